@@ -6,6 +6,7 @@ const { asyncHandler, AppError, ValidationError, AuthenticationError } = require
 const { generateTokens, verifyRefreshToken } = require('../middleware/auth');
 const emailService = require('../services/emailService');
 const smsService = require('../services/smsService');
+const creditRatingService = require('../services/creditRatingService');
 
 // Generate verification code
 const generateVerificationCode = () => {
@@ -260,6 +261,7 @@ const verifyEmail = asyncHandler(async (req, res) => {
   user.emailVerificationExpires = null;
   user.emailVerifiedAt = new Date();
   await user.save();
+  await creditRatingService.scheduleRecalculation(user.id, 'profile');
 
   res.json({
     success: true,
@@ -331,6 +333,7 @@ const verifyPhone = asyncHandler(async (req, res) => {
   user.phoneVerificationExpires = null;
   user.phoneVerifiedAt = new Date();
   await user.save();
+  await creditRatingService.scheduleRecalculation(user.id, 'profile');
 
   res.json({
     success: true,
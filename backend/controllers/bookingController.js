@@ -1,9 +1,18 @@
 const { Booking, Service, User, Payment, Review } = require('../models');
-const { asyncHandler, AppError, ValidationError, NotFoundError, AuthorizationError } = require('../middleware/errorHandler');
+const { asyncHandler, ValidationError, NotFoundError, AuthorizationError } = require('../middleware/errorHandler');
 const { Op } = require('sequelize');
-const emailService = require('../services/emailService');
-const notificationService = require('../services/notificationService');
-const paymentService = require('../services/paymentService');
+const notificationDispatcher = require('../services/notificationDispatcher');
+const feeService = require('../services/feeService');
+const kycTierService = require('../services/kycTierService');
+const bookingLifecycle = require('../services/lifecycle/bookingLifecycle');
+
+// `PUT /bookings/:id/status` takes the target status; the lifecycle works in actions
+const STATUS_ACTIONS = {
+  confirmed: 'confirm',
+  in_progress: 'start',
+  completed: 'complete',
+  cancelled: 'cancel'
+};
 
 // Get all bookings with filtering
 const getAllBookings = asyncHandler(async (req, res) => {
@@ -132,7 +141,7 @@ const getBookingById = asyncHandler(async (req, res) => {
       },
       {
         model: Review,
-        as: 'review'
+        as: 'reviews'
       }
     ]
   });
@@ -210,10 +219,10 @@ const createBooking = asyncHandler(async (req, res) => {
     throw new ValidationError('Provider is not available at the selected time');
   }
 
-  // Calculate pricing
-  const baseAmount = parseFloat(service.price);
-  const platformFee = baseAmount * 0.05; // 5% platform fee
-  const totalAmount = baseAmount + platformFee;
+  // Price the booking; gateway fees are added once the requester picks how to pay
+  const quote = await feeService.quote({ serviceId: service.id });
+
+  await kycTierService.assertBookingAllowed(req.user, { amount: quote.total, currency: quote.currency });
 
   // Create booking
   const booking = await Booking.create({
@@ -230,9 +239,17 @@ const createBooking = asyncHandler(async (req, res) => {
     zipCode,
     latitude,
     longitude,
-    baseAmount,
-    platformFee,
-    totalAmount,
+    pricing: {
+      basePrice: quote.subtotal,
+      addOns: [],
+      discounts: [],
+      subtotal: quote.subtotal,
+      tax: quote.vat,
+      serviceFee: quote.platformFee,
+      total: quote.total,
+      currency: quote.currency
+    },
+    totalAmount: quote.total,
     currency: service.currency,
     timeline: [{
       status: 'pending',
@@ -264,26 +281,20 @@ const createBooking = asyncHandler(async (req, res) => {
 
   // Send notifications
   try {
-    // Email to provider
-    await emailService.sendBookingNotification(
-      service.provider.email,
-      'new_booking',
-      {
-        providerName: service.provider.firstName,
-        serviceName: service.title,
-        requesterName: req.user.firstName,
-        scheduledDate: scheduledDate,
-        bookingId: booking.id
-      }
-    );
+    const params = {
+      providerName: service.provider.firstName,
+      serviceName: service.title,
+      requesterName: `${req.user.firstName} ${req.user.lastName}`,
+      scheduledDate,
+      bookingId: booking.id
+    };
 
-    // In-app notification to provider
-    await notificationService.createNotification({
-      userId: service.providerId,
+    await notificationDispatcher.dispatch(service.providerId, {
       type: 'booking_request',
-      title: 'New Booking Request',
-      message: `${req.user.firstName} ${req.user.lastName} has requested to book your service "${service.title}"`,
-      data: { bookingId: booking.id }
+      template: 'booking_request',
+      params,
+      data: { bookingId: booking.id },
+      email: { template: 'booking-notification', data: params }
     });
   } catch (error) {
     console.error('Failed to send booking notifications:', error.message, '\nStack:', error.stack);
@@ -300,8 +311,6 @@ const createBooking = asyncHandler(async (req, res) => {
 const updateBookingStatus = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { status, notes } = req.body;
-  const userId = req.user.id;
-  const isAdmin = req.user.userType === 'admin';
 
   const booking = await Booking.findByPk(id, {
     include: [
@@ -319,6 +328,10 @@ const updateBookingStatus = asyncHandler(async (req, res) => {
         model: User,
         as: 'provider',
         attributes: ['id', 'firstName', 'lastName', 'email']
+      },
+      {
+        model: Payment,
+        as: 'payment'
       }
     ]
   });
@@ -327,124 +340,61 @@ const updateBookingStatus = asyncHandler(async (req, res) => {
     throw new NotFoundError('Booking not found');
   }
 
-  // Check permissions based on status change
-  const canUpdate = isAdmin || 
-    (status === 'confirmed' && booking.providerId === userId) ||
-    (status === 'cancelled' && (booking.requesterId === userId || booking.providerId === userId)) ||
-    (status === 'in_progress' && booking.providerId === userId) ||
-    (status === 'completed' && booking.providerId === userId);
+  const action = STATUS_ACTIONS[status];
 
-  if (!canUpdate) {
-    throw new AuthorizationError('You are not authorized to update this booking status');
+  if (!action || !bookingLifecycle.findTransition(booking, action)) {
+    throw new ValidationError(`Cannot change status from ${booking.status} to ${status}`);
   }
 
-  // Validate status transitions
-  const validTransitions = {
-    pending: ['confirmed', 'cancelled'],
-    confirmed: ['in_progress', 'cancelled'],
-    in_progress: ['completed', 'cancelled'],
-    completed: [], // Cannot change from completed
-    cancelled: [] // Cannot change from cancelled
-  };
+  const { allowed, role, reason } = await bookingLifecycle.check(booking, action, req.user);
 
-  if (!validTransitions[booking.status].includes(status)) {
-    throw new ValidationError(`Cannot change status from ${booking.status} to ${status}`);
+  if (!allowed) {
+    throw role ? new ValidationError(reason) : new AuthorizationError(reason);
   }
 
-  // Update booking
-  const timeline = booking.timeline || [];
-  timeline.push({
-    status,
-    timestamp: new Date(),
-    note: notes || `Status changed to ${status}`,
-    updatedBy: userId
+  await bookingLifecycle.transition(booking, action, req.user, {
+    note: notes || null,
+    reason: notes || null
   });
 
-  await booking.update({
-    status,
-    timeline,
-    ...(status === 'confirmed' && { confirmedAt: new Date() }),
-    ...(status === 'in_progress' && { startedAt: new Date() }),
-    ...(status === 'completed' && { completedAt: new Date() }),
-    ...(status === 'cancelled' && { cancelledAt: new Date(), cancellationReason: notes })
+  res.json({
+    success: true,
+    message: `Booking ${status} successfully`,
+    data: { booking }
   });
+});
 
-  // Handle status-specific actions
-  if (status === 'confirmed') {
-    // Send confirmation emails
-    try {
-      await emailService.sendBookingNotification(
-        booking.requester.email,
-        'booking_confirmed',
-        {
-          requesterName: booking.requester.firstName,
-          serviceName: booking.service.title,
-          providerName: booking.provider.firstName,
-          scheduledDate: booking.scheduledDate,
-          bookingId: booking.id
-        }
-      );
-    } catch (error) {
-      console.error('Failed to send confirmation email:', error.message, '\nStack:', error.stack);
-    }
-  } else if (status === 'completed') {
-    // Update service booking count
-    await booking.service.updateBookingCount();
-    
-    // Process payment if not already processed
-    if (booking.payment && booking.payment.status === 'pending') {
-      try {
-        await paymentService.processPayment(booking.payment.id);
-      } catch (error) {
-        console.error('Failed to process payment:', error.message, '\nStack:', error.stack);
-      }
-    }
-  } else if (status === 'cancelled') {
-    // Handle refunds if applicable
-    if (booking.payment && booking.payment.status === 'completed') {
-      try {
-        await paymentService.processRefund(booking.payment.id, 'Booking cancelled');
-      } catch (error) {
-        console.error('Failed to process refund:', error.message, '\nStack:', error.stack);
-      }
-    }
-  }
+// Get the status changes the current user can make on a booking
+const getBookingTransitions = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+  const isAdmin = req.user.userType === 'admin';
 
-  // Send notifications
-  try {
-    const notificationData = {
-      bookingId: booking.id,
-      serviceName: booking.service.title,
-      status
-    };
+  const booking = await Booking.findByPk(id, {
+    include: [
+      {
+        model: Payment,
+        as: 'payment'
+      }
+    ]
+  });
 
-    if (booking.providerId !== userId) {
-      await notificationService.createNotification({
-        userId: booking.providerId,
-        type: 'booking_status_update',
-        title: 'Booking Status Updated',
-        message: `Booking for "${booking.service.title}" has been ${status}`,
-        data: notificationData
-      });
-    }
+  if (!booking) {
+    throw new NotFoundError('Booking not found');
+  }
 
-    if (booking.requesterId !== userId) {
-      await notificationService.createNotification({
-        userId: booking.requesterId,
-        type: 'booking_status_update',
-        title: 'Booking Status Updated',
-        message: `Your booking for "${booking.service.title}" has been ${status}`,
-        data: notificationData
-      });
-    }
-  } catch (error) {
-    console.error('Failed to send status update notifications:', error.message, '\nStack:', error.stack);
+  if (!isAdmin && booking.requesterId !== userId && booking.providerId !== userId) {
+    throw new AuthorizationError('Access denied');
   }
 
+  const transitions = await bookingLifecycle.availableTransitions(booking, req.user);
+
   res.json({
     success: true,
-    message: `Booking ${status} successfully`,
-    data: { booking }
+    data: {
+      status: booking.status,
+      transitions
+    }
   });
 });
 
@@ -538,27 +488,21 @@ const rescheduleBooking = asyncHandler(async (req, res) => {
 
   // Send notifications
   try {
-    const otherUserId = booking.requesterId === userId ? booking.providerId : booking.requesterId;
     const otherUser = booking.requesterId === userId ? booking.provider : booking.requester;
-    
-    await emailService.sendBookingNotification(
-      otherUser.email,
-      'booking_rescheduled',
-      {
-        userName: otherUser.firstName,
-        serviceName: booking.service.title,
-        oldDate: booking.scheduledDate,
-        newDate: newScheduledDate,
-        reason,
-        bookingId: booking.id
-      }
-    );
+    const params = {
+      userName: otherUser.firstName,
+      serviceName: booking.service.title,
+      oldDate: booking.scheduledDate,
+      newDate: newScheduledDate,
+      reason,
+      bookingId: booking.id
+    };
 
-    await notificationService.createNotification({
-      userId: otherUserId,
+    await notificationDispatcher.dispatch(otherUser, {
       type: 'booking_rescheduled',
-      title: 'Booking Rescheduled',
-      message: `Booking for "${booking.service.title}" has been rescheduled`,
+      template: 'booking_rescheduled',
+      params,
+      email: { template: 'booking-notification', data: params },
       data: {
         bookingId: booking.id,
         oldDate: booking.scheduledDate,
@@ -686,6 +630,7 @@ module.exports = {
   getBookingById,
   createBooking,
   updateBookingStatus,
+  getBookingTransitions,
   rescheduleBooking,
   getUserBookings,
   getUpcomingBookings,
@@ -0,0 +1,177 @@
+const path = require('path');
+const { asyncHandler, ValidationError, AuthorizationError } = require('../middleware/errorHandler');
+const chatService = require('../services/chatService');
+const chatServer = require('../services/chatServer');
+const uploadService = require('../services/uploadService');
+
+// Booking conversations of the current user, most recently active first
+const getConversations = asyncHandler(async (req, res) => {
+  const result = await chatService.listConversations(req.user, req.query);
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
+
+// Get a single conversation with its participants and unread count
+const getConversation = asyncHandler(async (req, res) => {
+  const conversation = await chatService.getConversation(req.params.id, req.user);
+
+  res.json({
+    success: true,
+    data: { conversation }
+  });
+});
+
+// Page back through a conversation's history
+const getMessages = asyncHandler(async (req, res) => {
+  const result = await chatService.listMessages(req.params.id, req.user, req.query);
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
+
+// Send a text or location message without a WebSocket connection
+const sendMessage = asyncHandler(async (req, res) => {
+  const { content, type, location, tempId } = req.body;
+
+  const message = await chatService.sendMessage(req.user, {
+    conversationId: req.params.id,
+    content,
+    type,
+    location
+  });
+
+  await chatServer.publishMessage(message, { tempId });
+
+  res.status(201).json({
+    success: true,
+    message: 'Message sent successfully',
+    data: { message: chatService.serializeMessage(message) }
+  });
+});
+
+// Upload an image or file as a message
+const sendAttachment = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new ValidationError('No file uploaded');
+  }
+
+  const message = await chatService.sendAttachment(req.user, {
+    conversationId: req.params.id,
+    file: req.file,
+    caption: req.body.caption
+  });
+
+  await chatServer.publishMessage(message, { tempId: req.body.tempId });
+
+  res.status(201).json({
+    success: true,
+    message: 'Attachment sent successfully',
+    data: { message: chatService.serializeMessage(message) }
+  });
+});
+
+// Serve an attachment behind a signed link; the signature stands in for the auth header
+const downloadAttachment = asyncHandler(async (req, res) => {
+  const { messageId, attachmentId, variant } = req.params;
+
+  if (!uploadService.verifySignedUrl(chatService.attachmentPath(messageId, attachmentId, variant), req.query)) {
+    throw new AuthorizationError('This download link is invalid or has expired');
+  }
+
+  const attachment = await chatService.findAttachment(messageId, attachmentId, variant);
+
+  if (attachment.s3Key) {
+    return res.redirect(uploadService.getS3SignedUrl(attachment.s3Key, 60));
+  }
+
+  res.set('Cache-Control', 'private, max-age=300');
+
+  if (attachment.inline) {
+    return res.type(attachment.mimetype).sendFile(path.resolve(attachment.path));
+  }
+
+  res.download(path.resolve(attachment.path), attachment.name);
+});
+
+// Mark received messages as read; all unread ones when no ids are given
+const markConversationRead = asyncHandler(async (req, res) => {
+  const messages = await chatService.markRead(req.user, {
+    conversationId: req.params.id,
+    messageIds: req.body.messageIds
+  });
+
+  chatServer.sendStatusUpdates(messages, 'read');
+  await chatServer.sendConversationUpdate(req.params.id, req.user.id);
+
+  res.json({
+    success: true,
+    data: {
+      conversationId: req.params.id,
+      messageIds: messages.map(message => message.id),
+      readAt: messages.length > 0 ? messages[0].readAt : null
+    }
+  });
+});
+
+// Unread message counts across the user's conversations
+const getUnreadCounts = asyncHandler(async (req, res) => {
+  const counts = await chatService.getUnreadCounts(req.user);
+
+  res.json({
+    success: true,
+    data: counts
+  });
+});
+
+// Search message text across the user's conversations
+const searchMessages = asyncHandler(async (req, res) => {
+  const result = await chatService.searchMessages(req.user, req.query);
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
+
+// Edit the text of one of the user's own messages
+const editMessage = asyncHandler(async (req, res) => {
+  const message = await chatService.editMessage(req.params.id, req.user, req.body.content);
+  await chatServer.publishMessageChange(message, 'messageUpdated');
+
+  res.json({
+    success: true,
+    message: 'Message updated successfully',
+    data: { message: chatService.serializeMessage(message) }
+  });
+});
+
+// Delete one of the user's own messages, leaving a tombstone in the history
+const deleteMessage = asyncHandler(async (req, res) => {
+  const message = await chatService.deleteMessage(req.params.id, req.user);
+  await chatServer.publishMessageChange(message, 'messageDeleted');
+
+  res.json({
+    success: true,
+    message: 'Message deleted successfully',
+    data: { message: chatService.serializeMessage(message) }
+  });
+});
+
+module.exports = {
+  getConversations,
+  getConversation,
+  getMessages,
+  sendMessage,
+  sendAttachment,
+  downloadAttachment,
+  markConversationRead,
+  getUnreadCounts,
+  searchMessages,
+  editMessage,
+  deleteMessage
+};
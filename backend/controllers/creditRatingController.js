@@ -0,0 +1,73 @@
+const { asyncHandler, AuthorizationError } = require('../middleware/errorHandler');
+const creditRatingService = require('../services/creditRatingService');
+
+// Scores, and the data behind them, are only shown to their owner and admins
+const assertCanView = (req) => {
+  if (req.params.userId !== req.user.id && req.user.userType !== 'admin') {
+    throw new AuthorizationError('Only the account owner or an admin can view this credit rating');
+  }
+};
+
+// Current score, recalculated first if it has gone stale
+const getRating = asyncHandler(async (req, res) => {
+  assertCanView(req);
+  const rating = await creditRatingService.getRating(req.params.userId);
+
+  res.json({
+    success: true,
+    data: { rating }
+  });
+});
+
+// Recalculate the score now instead of waiting for the next event
+const updateRating = asyncHandler(async (req, res) => {
+  assertCanView(req);
+  const snapshot = await creditRatingService.recalculate(req.params.userId, {
+    trigger: req.user.userType === 'admin' ? 'admin' : 'manual'
+  });
+
+  res.json({
+    success: true,
+    message: 'Credit rating updated',
+    data: { rating: creditRatingService.serializeSnapshot(snapshot) }
+  });
+});
+
+const getHistory = asyncHandler(async (req, res) => {
+  assertCanView(req);
+  const result = await creditRatingService.getHistory(req.params.userId, req.query.period);
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
+
+const getRecommendations = asyncHandler(async (req, res) => {
+  assertCanView(req);
+  const recommendations = await creditRatingService.getRecommendations(req.params.userId);
+
+  res.json({
+    success: true,
+    data: { recommendations }
+  });
+});
+
+// Admin: recalculate a batch of users
+const bulkUpdate = asyncHandler(async (req, res) => {
+  const result = await creditRatingService.bulkUpdate(req.body.userIds, { trigger: 'admin' });
+
+  res.json({
+    success: true,
+    message: `${result.updated.length} credit ratings updated`,
+    data: result
+  });
+});
+
+module.exports = {
+  getRating,
+  updateRating,
+  getHistory,
+  getRecommendations,
+  bulkUpdate
+};
@@ -0,0 +1,126 @@
+const { asyncHandler, ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const { Booking } = require('../models');
+const disputeService = require('../services/disputeService');
+const jobService = require('../services/jobService');
+
+const disputeFields = ({ disputeType, reason, description, proposedResolution }) => ({
+  disputeType,
+  reason,
+  description,
+  proposedResolution
+});
+
+// Open a dispute on a job
+const openJobDispute = asyncHandler(async (req, res) => {
+  const job = await jobService.findJob(req.params.id);
+  const dispute = await disputeService.openDispute('job', job, req.user, disputeFields(req.body));
+
+  res.status(201).json({
+    success: true,
+    message: 'Dispute opened successfully',
+    data: { dispute }
+  });
+});
+
+// Open a dispute on a booking
+const openBookingDispute = asyncHandler(async (req, res) => {
+  const booking = await Booking.findByPk(req.params.id);
+
+  if (!booking) {
+    throw new NotFoundError('Booking not found');
+  }
+
+  const dispute = await disputeService.openDispute('booking', booking, req.user, disputeFields(req.body));
+
+  res.status(201).json({
+    success: true,
+    message: 'Dispute opened successfully',
+    data: { dispute }
+  });
+});
+
+// Disputes the current user is a party to
+const getMyDisputes = asyncHandler(async (req, res) => {
+  const result = await disputeService.listUserDisputes(req.user, req.query);
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
+
+// Get a dispute with its statement thread
+const getDisputeById = asyncHandler(async (req, res) => {
+  const dispute = await disputeService.getDispute(req.params.id, req.user);
+
+  res.json({
+    success: true,
+    data: { dispute }
+  });
+});
+
+// Add a statement, optionally in reply to another one
+const addDisputeStatement = asyncHandler(async (req, res) => {
+  const dispute = await disputeService.findDispute(req.params.id);
+  const statement = await disputeService.addStatement(dispute, req.user, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Statement added successfully',
+    data: { statement }
+  });
+});
+
+// Upload evidence files
+const uploadDisputeEvidence = asyncHandler(async (req, res) => {
+  if (!req.files || req.files.length === 0) {
+    throw new ValidationError('No files uploaded');
+  }
+
+  const dispute = await disputeService.findDispute(req.params.id);
+  const evidence = await disputeService.addEvidence(dispute, req.user, req.files, {
+    caption: req.body.caption || null
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Evidence uploaded successfully',
+    data: {
+      evidence,
+      totalEvidence: dispute.evidence.length
+    }
+  });
+});
+
+// Admin queue of disputes
+const getDisputes = asyncHandler(async (req, res) => {
+  const result = await disputeService.listDisputes(req.query);
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
+
+// Admin decision: refund, split or release the escrowed payment
+const resolveDispute = asyncHandler(async (req, res) => {
+  const dispute = await disputeService.findDispute(req.params.id);
+  await disputeService.resolveDispute(dispute, req.user, req.body);
+
+  res.json({
+    success: true,
+    message: 'Dispute resolved successfully',
+    data: { dispute }
+  });
+});
+
+module.exports = {
+  openJobDispute,
+  openBookingDispute,
+  getMyDisputes,
+  getDisputeById,
+  addDisputeStatement,
+  uploadDisputeEvidence,
+  getDisputes,
+  resolveDispute
+};
@@ -0,0 +1,311 @@
+const { asyncHandler } = require('../middleware/errorHandler');
+const jobService = require('../services/jobService');
+const jobOfferService = require('../services/jobOfferService');
+
+// Get open jobs
+const getJobs = asyncHandler(async (req, res) => {
+  const result = await jobService.listJobs({
+    ...req.query,
+    excludeRequesterId: req.user ? req.user.id : null
+  });
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
+
+// Search open jobs
+const searchJobs = asyncHandler(async (req, res) => {
+  const { q, ...filters } = req.query;
+  const result = await jobService.listJobs({ ...filters, search: q });
+
+  res.json({
+    success: true,
+    data: {
+      ...result,
+      query: q
+    }
+  });
+});
+
+// Get job by ID
+const getJobById = asyncHandler(async (req, res) => {
+  const job = await jobService.getJobDetails(req.params.id, req.user ? req.user.id : null);
+
+  res.json({
+    success: true,
+    data: { job }
+  });
+});
+
+// Post a job
+const createJob = asyncHandler(async (req, res) => {
+  const job = await jobService.createJob(req.user.id, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Job posted successfully',
+    data: { job }
+  });
+});
+
+// Update an open job
+const updateJob = asyncHandler(async (req, res) => {
+  const job = await jobService.findJob(req.params.id);
+  await jobService.updateJob(job, req.user.id, req.body);
+
+  res.json({
+    success: true,
+    message: 'Job updated successfully',
+    data: { job }
+  });
+});
+
+// Delete an open job
+const deleteJob = asyncHandler(async (req, res) => {
+  const job = await jobService.findJob(req.params.id);
+  await jobService.deleteJob(job, req.user.id);
+
+  res.json({
+    success: true,
+    message: 'Job deleted successfully'
+  });
+});
+
+// Get current user's jobs
+const getMyJobs = asyncHandler(async (req, res) => {
+  const result = await jobService.getMyJobs(req.user.id, req.query);
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
+
+// Apply for a job
+const applyForJob = asyncHandler(async (req, res) => {
+  const job = await jobService.findJob(req.params.id);
+  const application = await jobService.apply(job, req.user, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Application submitted successfully',
+    data: { application }
+  });
+});
+
+// Withdraw own pending application
+const withdrawApplication = asyncHandler(async (req, res) => {
+  const job = await jobService.findJob(req.params.id);
+  const application = await jobService.withdrawApplication(job, req.user.id);
+
+  res.json({
+    success: true,
+    message: 'Application withdrawn',
+    data: { application }
+  });
+});
+
+// Get applications for a job
+const getJobApplications = asyncHandler(async (req, res) => {
+  const job = await jobService.findJob(req.params.id);
+  const applications = await jobService.getApplications(job, req.user.id, req.query);
+
+  res.json({
+    success: true,
+    data: { applications }
+  });
+});
+
+// Accept an application, or take the job as a provider
+const acceptJob = asyncHandler(async (req, res) => {
+  const job = await jobService.findJob(req.params.id);
+  await jobService.acceptJob(job, req.user, req.body);
+
+  res.json({
+    success: true,
+    message: 'Job accepted successfully',
+    data: { job }
+  });
+});
+
+// Get the offer history for a job
+const getJobOffers = asyncHandler(async (req, res) => {
+  const job = await jobService.findJob(req.params.id);
+  const offers = await jobOfferService.listOffers(job, req.user);
+
+  res.json({
+    success: true,
+    data: { offers }
+  });
+});
+
+// Bid on an open job
+const submitJobOffer = asyncHandler(async (req, res) => {
+  const job = await jobService.findJob(req.params.id);
+  const offer = await jobOfferService.submitBid(job, req.user, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Offer submitted successfully',
+    data: { offer }
+  });
+});
+
+// Answer the other side's offer with a new amount
+const counterJobOffer = asyncHandler(async (req, res) => {
+  const job = await jobService.findJob(req.params.id);
+  const offer = await jobOfferService.counterOffer(job, req.user, req.params.offerId, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Counter-offer submitted successfully',
+    data: { offer }
+  });
+});
+
+// Accept the other side's offer, assigning the job at its amount
+const acceptJobOffer = asyncHandler(async (req, res) => {
+  const job = await jobService.findJob(req.params.id);
+  const { offer } = await jobOfferService.acceptOffer(job, req.user, req.params.offerId);
+
+  res.json({
+    success: true,
+    message: 'Offer accepted successfully',
+    data: { job, offer }
+  });
+});
+
+// Decline the other side's offer
+const rejectJobOffer = asyncHandler(async (req, res) => {
+  const job = await jobService.findJob(req.params.id);
+  const offer = await jobOfferService.rejectOffer(job, req.user, req.params.offerId);
+
+  res.json({
+    success: true,
+    message: 'Offer rejected',
+    data: { offer }
+  });
+});
+
+// Start work on an accepted job
+const startJob = asyncHandler(async (req, res) => {
+  const job = await jobService.findJob(req.params.id);
+  await jobService.startJob(job, req.user);
+
+  res.json({
+    success: true,
+    message: 'Job started successfully',
+    data: { job }
+  });
+});
+
+// Mark job as completed
+const completeJob = asyncHandler(async (req, res) => {
+  const job = await jobService.findJob(req.params.id);
+  await jobService.completeJob(job, req.user, req.body);
+
+  res.json({
+    success: true,
+    message: 'Job marked as completed',
+    data: { job }
+  });
+});
+
+// Confirm satisfaction with completed work and release the payment
+const satisfyJob = asyncHandler(async (req, res) => {
+  const job = await jobService.findJob(req.params.id);
+  await jobService.satisfyJob(job, req.user, req.body);
+
+  res.json({
+    success: true,
+    message: 'Job marked as satisfied',
+    data: { job }
+  });
+});
+
+// Cancel job
+const cancelJob = asyncHandler(async (req, res) => {
+  const job = await jobService.findJob(req.params.id);
+  await jobService.cancelJob(job, req.user, req.body.reason);
+
+  res.json({
+    success: true,
+    message: 'Job cancelled successfully',
+    data: { job }
+  });
+});
+
+// Rate the other party on a completed job
+const rateJob = asyncHandler(async (req, res) => {
+  const job = await jobService.findJob(req.params.id);
+  await jobService.rateJob(job, req.user.id, req.body);
+
+  res.json({
+    success: true,
+    message: 'Rating submitted successfully',
+    data: { job }
+  });
+});
+
+// Get the status changes the current user can make
+const getJobTransitions = asyncHandler(async (req, res) => {
+  const job = await jobService.findJob(req.params.id);
+  const transitions = await jobService.getTransitions(job, req.user);
+
+  res.json({
+    success: true,
+    data: {
+      status: job.status,
+      transitions
+    }
+  });
+});
+
+// Get categories with open jobs
+const getJobCategories = asyncHandler(async (req, res) => {
+  const categories = await jobService.getCategories();
+
+  res.json({
+    success: true,
+    data: { categories }
+  });
+});
+
+// Get skills requested by open jobs
+const getJobSkills = asyncHandler(async (req, res) => {
+  const skills = await jobService.getSkills(req.query.category);
+
+  res.json({
+    success: true,
+    data: { skills }
+  });
+});
+
+module.exports = {
+  getJobs,
+  searchJobs,
+  getJobById,
+  createJob,
+  updateJob,
+  deleteJob,
+  getMyJobs,
+  applyForJob,
+  withdrawApplication,
+  getJobApplications,
+  acceptJob,
+  getJobOffers,
+  submitJobOffer,
+  counterJobOffer,
+  acceptJobOffer,
+  rejectJobOffer,
+  startJob,
+  completeJob,
+  satisfyJob,
+  cancelJob,
+  rateJob,
+  getJobTransitions,
+  getJobCategories,
+  getJobSkills
+};
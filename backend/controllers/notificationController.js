@@ -0,0 +1,144 @@
+const { asyncHandler, NotFoundError } = require('../middleware/errorHandler');
+const notificationService = require('../services/notificationService');
+
+// Current user's notifications, newest first, with the unread total
+const getNotifications = asyncHandler(async (req, res) => {
+  const { page, limit, unreadOnly, type } = req.query;
+
+  const [result, unreadCount] = await Promise.all([
+    notificationService.getUserNotifications(req.user.id, { page, limit, unreadOnly, type }),
+    notificationService.getUnreadCount(req.user.id)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      ...result,
+      unreadCount
+    }
+  });
+});
+
+const getUnreadCount = asyncHandler(async (req, res) => {
+  const unreadCount = await notificationService.getUnreadCount(req.user.id);
+
+  res.json({
+    success: true,
+    data: { unreadCount }
+  });
+});
+
+const markAsRead = asyncHandler(async (req, res) => {
+  const notification = await notificationService.markAsRead(req.params.id, req.user.id);
+
+  res.json({
+    success: true,
+    message: 'Notification marked as read',
+    data: { notification }
+  });
+});
+
+const markAllAsRead = asyncHandler(async (req, res) => {
+  const updatedCount = await notificationService.markAllAsRead(req.user.id);
+
+  res.json({
+    success: true,
+    message: 'All notifications marked as read',
+    data: { updatedCount }
+  });
+});
+
+const deleteNotification = asyncHandler(async (req, res) => {
+  const deleted = await notificationService.deleteNotification(req.params.id, req.user.id);
+
+  if (!deleted) {
+    throw new NotFoundError('Notification not found');
+  }
+
+  res.json({
+    success: true,
+    message: 'Notification deleted successfully'
+  });
+});
+
+const clearNotifications = asyncHandler(async (req, res) => {
+  const deletedCount = await notificationService.clearNotifications(req.user.id);
+
+  res.json({
+    success: true,
+    message: 'All notifications cleared',
+    data: { deletedCount }
+  });
+});
+
+const getPreferences = asyncHandler(async (req, res) => {
+  const preferences = await notificationService.getPreferences(req.user.id);
+
+  res.json({
+    success: true,
+    data: { preferences }
+  });
+});
+
+const updatePreferences = asyncHandler(async (req, res) => {
+  const preferences = await notificationService.updatePreferences(req.user.id, req.body);
+
+  res.json({
+    success: true,
+    message: 'Notification preferences updated',
+    data: { preferences }
+  });
+});
+
+// Register this device for push; browsers send web-push subscriptions, the apps FCM tokens
+const subscribe = asyncHandler(async (req, res) => {
+  const { token, platform, appVersion } = req.body;
+  const type = req.body.type || (platform === 'web' ? 'webpush' : 'firebase');
+
+  const device = await notificationService.registerDevice(req.user.id, {
+    token,
+    type,
+    platform,
+    appVersion
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Device registered for push notifications',
+    data: {
+      device: {
+        id: device.id,
+        type: device.type,
+        platform: device.platform,
+        appVersion: device.appVersion,
+        lastUsedAt: device.lastUsedAt
+      }
+    }
+  });
+});
+
+const unsubscribe = asyncHandler(async (req, res) => {
+  const removed = await notificationService.removeDeviceToken(req.user.id, req.body.token);
+
+  if (!removed) {
+    throw new NotFoundError('Device not registered');
+  }
+
+  res.json({
+    success: true,
+    message: 'Device unregistered from push notifications'
+  });
+});
+
+module.exports = {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification,
+  clearNotifications,
+  getPreferences,
+  updatePreferences,
+  subscribe,
+  unsubscribe
+};
@@ -1,24 +1,35 @@
-const { Payment, Booking, User, Service } = require('../models');
+const { Payment, Refund, Booking, User, Service, Job } = require('../models');
 const { asyncHandler, AppError, ValidationError, NotFoundError, AuthorizationError, logger } = require('../middleware/errorHandler');
 const { Op } = require('sequelize');
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-const crypto = require('crypto');
-const emailService = require('../services/emailService');
-const notificationService = require('../services/notificationService');
+const notificationDispatcher = require('../services/notificationDispatcher');
 const paymentService = require('../services/paymentService');
+const ledgerService = require('../services/ledgerService');
+const payoutService = require('../services/payoutService');
+const escrowService = require('../services/escrowService');
+const exchangeRateService = require('../services/exchangeRateService');
+const feeService = require('../services/feeService');
+const kycTierService = require('../services/kycTierService');
+const webhookService = require('../services/webhookService');
+const { resolveGateway, isSupportedGateway } = require('../services/gateways');
+
+// Hold the charge to the payer's KYC tier limits and the payee's wallet cap
+const assertWithinKycLimits = (payerId, payeeId, quote) => kycTierService.assertPaymentAllowed({
+  payer: payerId,
+  payeeId,
+  amount: quote.total,
+  payeeAmount: quote.payeeAmount,
+  currency: quote.currency
+});
 
-// Create payment intent
-const createPaymentIntent = asyncHandler(async (req, res) => {
-  const { bookingId, paymentMethod = 'stripe' } = req.body;
-  const userId = req.user.id;
-
+// Pending booking payment, priced from the booking
+const createBookingPayment = async (bookingId, userId, { gateway, paymentMethod }) => {
   // Get booking details
   const booking = await Booking.findByPk(bookingId, {
     include: [
       {
         model: Service,
         as: 'service',
-        attributes: ['id', 'title', 'price', 'currency']
+        attributes: ['id', 'title', 'category', 'basePrice', 'currency']
       },
       {
         model: User,
@@ -59,73 +70,127 @@ const createPaymentIntent = asyncHandler(async (req, res) => {
     throw new ValidationError('Payment already exists for this booking');
   }
 
-  let paymentIntent;
-  let gatewayTransactionId;
-  let gatewayData = {};
-
+  // Lock in the rate to the base currency and price the fees for this gateway
+  let rateSnapshot;
+  let quote;
   try {
-    if (paymentMethod === 'stripe') {
-      // Create Stripe payment intent
-      paymentIntent = await stripe.paymentIntents.create({
-        amount: Math.round(booking.totalAmount * 100), // Convert to cents
-        currency: booking.currency.toLowerCase(),
-        metadata: {
-          bookingId: booking.id,
-          userId: userId,
-          serviceTitle: booking.service.title
-        },
-        automatic_payment_methods: {
-          enabled: true
-        }
-      });
+    rateSnapshot = await exchangeRateService.snapshot(booking.currency);
+    quote = await feeService.quoteBooking(booking, { gateway: gateway.name });
+  } catch (error) {
+    throw new AppError(`Cannot price payment in ${booking.currency}: ${error.message}`, 503);
+  }
 
-      gatewayTransactionId = paymentIntent.id;
-      gatewayData = {
-        clientSecret: paymentIntent.client_secret,
-        paymentIntentId: paymentIntent.id
-      };
-    } else if (paymentMethod === 'paystack') {
-      // Initialize Paystack transaction using secure service
-      const paystackResponse = await paymentService.initializePaystackTransaction(
-        booking.totalAmount,
-        booking.currency,
-        booking.requester.email,
-        {
-          bookingId: booking.id,
-          userId: userId,
-          serviceTitle: booking.service.title
-        }
-      );
-
-      gatewayTransactionId = paystackResponse.reference;
-      gatewayData = {
-        authorizationUrl: paystackResponse.authorizationUrl,
-        accessCode: paystackResponse.accessCode,
-        reference: paystackResponse.reference
-      };
-    } else {
-      throw new ValidationError('Unsupported payment method');
+  await assertWithinKycLimits(booking.requesterId, booking.providerId, quote);
+
+  // Create payment record; its transaction ID is the reference sent to the gateway
+  const payment = await Payment.create({
+    bookingId,
+    payerId: booking.requesterId,
+    payeeId: booking.providerId,
+    currency: booking.currency,
+    ...rateSnapshot,
+    ...feeService.toPaymentFields(quote),
+    paymentType: 'booking_payment',
+    paymentMethod,
+    paymentGateway: gateway.name,
+    status: 'pending',
+    description: `Payment for service: ${booking.service.title}`
+  });
+
+  return { payment, email: booking.requester.email };
+};
+
+// Pending job payment for the amount agreed when the job was accepted
+const createJobPayment = async (jobId, userId, { gateway, paymentMethod }) => {
+  const job = await Job.findByPk(jobId, {
+    include: [
+      {
+        model: User,
+        as: 'requester',
+        attributes: ['id', 'email']
+      }
+    ]
+  });
+
+  if (!job) {
+    throw new NotFoundError('Job not found');
+  }
+
+  if (job.requesterId !== userId) {
+    throw new AuthorizationError('You can only create payments for your own jobs');
+  }
+
+  if (job.status !== 'accepted') {
+    throw new ValidationError('Payment can only be created for accepted jobs');
+  }
+
+  const existingPayment = await Payment.findOne({
+    where: {
+      jobId,
+      status: { [Op.in]: ['pending', 'processing', 'completed'] }
     }
+  });
 
-    // Create payment record
-    const payment = await Payment.create({
-      bookingId,
-      userId,
-      amount: booking.totalAmount,
-      currency: booking.currency,
-      paymentType: 'booking_payment',
+  if (existingPayment) {
+    throw new ValidationError('Payment already exists for this job');
+  }
+
+  let rateSnapshot;
+  let quote;
+  try {
+    rateSnapshot = await exchangeRateService.snapshot(job.currency);
+    quote = await feeService.quoteJob(job, { gateway: gateway.name });
+  } catch (error) {
+    throw new AppError(`Cannot price payment in ${job.currency}: ${error.message}`, 503);
+  }
+
+  await assertWithinKycLimits(job.requesterId, job.providerId, quote);
+
+  const payment = await Payment.create({
+    jobId,
+    payerId: job.requesterId,
+    payeeId: job.providerId,
+    currency: job.currency,
+    ...rateSnapshot,
+    ...feeService.toPaymentFields(quote),
+    paymentType: 'job_payment',
+    paymentMethod,
+    paymentGateway: gateway.name,
+    status: 'pending',
+    description: `Payment for job: ${job.title}`
+  });
+
+  // The job lifecycle checks this payment is in escrow before work starts
+  await job.update({ paymentId: payment.id });
+
+  return { payment, email: job.requester.email };
+};
+
+// Create payment intent for a booking or an accepted job
+const createPaymentIntent = asyncHandler(async (req, res) => {
+  const { bookingId, jobId, bankCode } = req.body;
+  const userId = req.user.id;
+
+  let gateway;
+  let paymentMethod;
+  try {
+    ({ gateway, paymentMethod } = resolveGateway({
+      gateway: req.body.gateway,
+      paymentMethod: req.body.paymentMethod
+    }));
+  } catch (error) {
+    throw new ValidationError(error.message);
+  }
+
+  const { payment, email } = jobId
+    ? await createJobPayment(jobId, userId, { gateway, paymentMethod })
+    : await createBookingPayment(bookingId, userId, { gateway, paymentMethod });
+
+  try {
+    const { clientData } = await paymentService.initializePayment(payment, {
+      email,
       paymentMethod,
-      gateway: paymentMethod,
-      status: 'pending',
-      description: `Payment for service: ${booking.service.title}`,
-      gatewayTransactionId,
-      gatewayData,
-      breakdown: {
-        baseAmount: booking.baseAmount,
-        platformFee: booking.platformFee,
-        totalAmount: booking.totalAmount
-      },
-      expiresAt: new Date(Date.now() + 30 * 60 * 1000) // 30 minutes
+      bankCode
     });
 
     res.status(201).json({
@@ -137,17 +202,106 @@ const createPaymentIntent = asyncHandler(async (req, res) => {
           amount: payment.amount,
           currency: payment.currency,
           status: payment.status,
+          fees: payment.fees,
+          breakdown: payment.breakdown,
           paymentMethod,
-          gatewayData
+          gateway: gateway.name,
+          gatewayData: clientData
         }
       }
     });
   } catch (error) {
     console.error('Payment intent creation failed:', error.message, '\nStack:', error.stack);
+    await payment.markAsFailed(error.message);
     throw new AppError('Failed to create payment intent', 500);
   }
 });
 
+// Quote the fees for a booking, service or amount
+const getFeeQuote = asyncHandler(async (req, res) => {
+  const { bookingId, serviceId, amount, currency, category, providerId, gateway } = req.query;
+
+  const quote = await feeService.quote({
+    bookingId,
+    serviceId,
+    amount: amount !== undefined ? parseFloat(amount) : undefined,
+    currency,
+    category,
+    providerId,
+    gateway
+  });
+
+  res.json({
+    success: true,
+    data: { quote }
+  });
+});
+
+// Confirm a pending booking and tell both parties its payment went through
+const onBookingPaymentConfirmed = async (payment) => {
+  // Update booking status if it's still pending
+  if (payment.booking.status === 'pending') {
+    await payment.booking.update({
+      status: 'confirmed',
+      confirmedAt: new Date()
+    });
+  }
+
+  // Send notifications
+  try {
+    const params = {
+      requesterName: payment.booking.requester.firstName,
+      providerName: payment.booking.provider.firstName,
+      serviceName: payment.booking.service.title,
+      amount: payment.amount,
+      currency: payment.currency,
+      transactionId: payment.transactionId,
+      bookingId: payment.bookingId
+    };
+    const data = {
+      paymentId: payment.id,
+      bookingId: payment.bookingId,
+      amount: payment.amount
+    };
+
+    await notificationDispatcher.dispatch(payment.booking.requesterId, {
+      type: 'payment_confirmed',
+      template: 'payment_confirmed',
+      params,
+      data,
+      email: { template: 'payment-confirmation', data: params }
+    });
+
+    await notificationDispatcher.dispatch(payment.booking.providerId, {
+      type: 'payment_received',
+      template: 'payment_received',
+      params,
+      data,
+      email: { template: 'booking-notification', data: params }
+    });
+  } catch (error) {
+    console.error('Failed to send payment confirmation notifications:', error.message, '\nStack:', error.stack);
+  }
+};
+
+// Tell the provider the job is funded and work can start
+const onJobPaymentConfirmed = async (payment) => {
+  try {
+    await notificationDispatcher.dispatch(payment.job.providerId, {
+      type: 'payment_received',
+      title: 'Job Funded',
+      message: `Payment for "${payment.job.title}" is held in escrow. You can start work.`,
+      data: {
+        paymentId: payment.id,
+        jobId: payment.jobId,
+        amount: payment.amount
+      }
+    });
+  } catch (error) {
+    console.error('Failed to send job payment notification:', error.message, '\nStack:', error.stack);
+  }
+};
+
 // Confirm payment
 const confirmPayment = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -176,6 +330,11 @@ const confirmPayment = asyncHandler(async (req, res) => {
             attributes: ['id', 'firstName', 'lastName', 'email']
           }
         ]
+      },
+      {
+        model: Job,
+        as: 'job',
+        attributes: ['id', 'title', 'providerId']
       }
     ]
   });
@@ -184,7 +343,7 @@ const confirmPayment = asyncHandler(async (req, res) => {
     throw new NotFoundError('Payment not found');
   }
 
-  if (payment.userId !== userId) {
+  if (payment.payerId !== userId) {
     throw new AuthorizationError('You can only confirm your own payments');
   }
 
@@ -193,86 +352,31 @@ const confirmPayment = asyncHandler(async (req, res) => {
   }
 
   try {
-    let gatewayPayment;
-
-    if (payment.gateway === 'stripe') {
-      // Retrieve payment intent from Stripe
-      gatewayPayment = await stripe.paymentIntents.retrieve(gatewayTransactionId);
-      
-      if (gatewayPayment.status !== 'succeeded') {
-        throw new ValidationError('Payment not completed on Stripe');
-      }
-    } else if (payment.gateway === 'paystack') {
-      // Verify transaction with Paystack using secure service
-      const verification = await paymentService.verifyPaystackTransaction(gatewayTransactionId);
-      
-      if (verification.status !== 'success') {
-        throw new ValidationError('Payment not completed on Paystack');
-      }
-      
-      gatewayPayment = verification;
+    const gatewayPayment = await paymentService.verifyPayment(payment, gatewayTransactionId || payment.gatewayTransactionId);
+
+    // Bank transfers and USSD settle asynchronously; the webhook completes them
+    if (gatewayPayment.status === 'pending') {
+      return res.status(202).json({
+        success: true,
+        message: 'Payment is still pending with the gateway',
+        data: { payment }
+      });
     }
 
-    // Update payment status
-    await payment.update({
-      status: 'completed',
-      completedAt: new Date(),
-      gatewayResponse: gatewayPayment,
-      actualAmount: gatewayPayment.amount_received || gatewayPayment.amount,
-      gatewayFee: gatewayPayment.application_fee_amount || 0
-    });
-
-    // Update booking status if it's still pending
-    if (payment.booking.status === 'pending') {
-      await payment.booking.update({
-        status: 'confirmed',
-        confirmedAt: new Date()
-      });
+    if (gatewayPayment.status !== 'succeeded') {
+      throw new ValidationError(`Payment not completed on ${payment.paymentGateway}`);
     }
 
-    // Send notifications
-    try {
-      // Email to requester
-      await emailService.sendPaymentConfirmation(
-        payment.booking.requester.email,
-        {
-          requesterName: payment.booking.requester.firstName,
-          serviceName: payment.booking.service.title,
-          amount: payment.amount,
-          currency: payment.currency,
-          transactionId: payment.transactionId,
-          bookingId: payment.bookingId
-        }
-      );
-
-      // Email to provider
-      await emailService.sendBookingNotification(
-        payment.booking.provider.email,
-        'payment_received',
-        {
-          providerName: payment.booking.provider.firstName,
-          serviceName: payment.booking.service.title,
-          requesterName: payment.booking.requester.firstName,
-          amount: payment.amount,
-          currency: payment.currency,
-          bookingId: payment.bookingId
-        }
-      );
-
-      // In-app notifications
-      await notificationService.createNotification({
-        userId: payment.booking.providerId,
-        type: 'payment_received',
-        title: 'Payment Received',
-        message: `Payment received for booking of "${payment.booking.service.title}"`,
-        data: {
-          paymentId: payment.id,
-          bookingId: payment.bookingId,
-          amount: payment.amount
-        }
-      });
-    } catch (error) {
-      console.error('Failed to send payment confirmation notifications:', error.message, '\nStack:', error.stack);
+    // Capture the payment into escrow until the requester confirms the work
+    await escrowService.holdPayment(payment, {
+      reference: gatewayPayment.reference,
+      webhookData: gatewayPayment.raw
+    });
+
+    if (payment.booking) {
+      await onBookingPaymentConfirmed(payment);
+    } else if (payment.job) {
+      await onJobPaymentConfirmed(payment);
     }
 
     res.json({
@@ -283,18 +387,15 @@ const confirmPayment = asyncHandler(async (req, res) => {
   } catch (error) {
     console.error('Payment confirmation failed:', error.message, '\nStack:', error.stack);
     
-    // Update payment status to failed
-    await payment.update({
-      status: 'failed',
-      failureReason: error.message,
-      failedAt: new Date()
-    });
+    // Fail the attempt; the scheduler retries it until maxAttempts
+    await payment.markAsFailed(error.message);
 
     throw new AppError('Payment confirmation failed', 500);
   }
 });
 
-// Process refund
+// Refund a payment. Admins can refund any payment and providers their own
+// receipts; payers ask for their money back by opening a dispute instead.
 const processRefund = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { reason, amount } = req.body;
@@ -303,26 +404,27 @@ const processRefund = asyncHandler(async (req, res) => {
 
   const payment = await Payment.findByPk(id, {
     include: [
+      {
+        model: User,
+        as: 'payer',
+        attributes: ['id', 'firstName', 'lastName', 'email']
+      },
       {
         model: Booking,
         as: 'booking',
+        attributes: ['id'],
         include: [
           {
             model: Service,
             as: 'service',
             attributes: ['id', 'title']
-          },
-          {
-            model: User,
-            as: 'requester',
-            attributes: ['id', 'firstName', 'lastName', 'email']
-          },
-          {
-            model: User,
-            as: 'provider',
-            attributes: ['id', 'firstName', 'lastName', 'email']
           }
         ]
+      },
+      {
+        model: Job,
+        as: 'job',
+        attributes: ['id', 'title']
       }
     ]
   });
@@ -331,257 +433,143 @@ const processRefund = asyncHandler(async (req, res) => {
     throw new NotFoundError('Payment not found');
   }
 
-  // Check permissions
-  const canRefund = isAdmin || 
-    payment.payerId === userId || 
-    payment.booking.providerId === userId;
-
-  if (!canRefund) {
-    throw new AuthorizationError('You are not authorized to process this refund');
-  }
-
-  if (payment.status !== 'completed') {
-    throw new ValidationError('Only completed payments can be refunded');
+  if (!isAdmin && payment.payeeId !== userId) {
+    throw new AuthorizationError(payment.payerId === userId
+      ? 'Open a dispute to ask for a refund'
+      : 'You are not authorized to process this refund');
   }
 
-  if (payment.refundStatus === 'completed') {
-    throw new ValidationError('Payment has already been refunded');
-  }
+  const { refund } = await paymentService.processRefund(payment.id, reason, amount, {
+    initiatedBy: userId,
+    source: isAdmin ? 'admin' : 'provider'
+  });
 
-  // Calculate refund amount
-  const maxRefundAmount = payment.amount - (payment.refundedAmount || 0);
-  const refundAmount = amount ? Math.min(amount, maxRefundAmount) : maxRefundAmount;
-
-  if (refundAmount <= 0) {
-    throw new ValidationError('Invalid refund amount');
-  }
+  await payment.reload();
 
+  // Send notifications
   try {
-    let gatewayRefund;
-
-    if (payment.paymentGateway === 'stripe') {
-      // Create Stripe refund
-      gatewayRefund = await stripe.refunds.create({
-        payment_intent: payment.gatewayTransactionId,
-        amount: Math.round(refundAmount * 100), // Convert to cents
-        reason: 'requested_by_customer',
-        metadata: {
-          bookingId: payment.bookingId,
-          refundReason: reason
-        }
-      });
-    } else if (payment.paymentGateway === 'paystack') {
-      // Create Paystack refund using secure service
-      gatewayRefund = await paymentService.createPaystackRefund(
-        payment.gatewayTransactionId,
-        refundAmount,
-        payment.currency,
-        reason
-      );
-    }
-
-    // Update payment with refund information
-    const refundDetails = payment.refundDetails || [];
-    refundDetails.push({
-      amount: refundAmount,
+    const params = {
+      requesterName: payment.payer.firstName,
+      serviceName: payment.booking ? payment.booking.service.title : payment.job.title,
+      amount: refund.amount,
+      refundAmount: refund.amount,
+      currency: payment.currency,
       reason,
-      processedBy: userId,
-      processedAt: new Date(),
-      gatewayRefundId: gatewayRefund.id,
-      gatewayResponse: gatewayRefund
-    });
-
-    const totalRefunded = (payment.refundedAmount || 0) + refundAmount;
-    const refundStatus = totalRefunded >= payment.amount ? 'completed' : 'partial';
-
-    await payment.update({
-      refundStatus,
-      refundedAmount: totalRefunded,
-      refundDetails,
-      refundedAt: refundStatus === 'completed' ? new Date() : payment.refundedAt
-    });
-
-    // Send notifications
-    try {
-      await emailService.sendRefundNotification(
-        payment.booking.requester.email,
-        {
-          requesterName: payment.booking.requester.firstName,
-          serviceName: payment.booking.service.title,
-          refundAmount,
-          currency: payment.currency,
-          reason,
-          transactionId: payment.transactionId
-        }
-      );
-
-      await notificationService.createNotification({
-        userId: payment.userId,
-        type: 'refund_processed',
-        title: 'Refund Processed',
-        message: `Refund of ${refundAmount} ${payment.currency} has been processed for your booking`,
-        data: {
-          paymentId: payment.id,
-          bookingId: payment.bookingId,
-          refundAmount
-        }
-      });
-    } catch (error) {
-      console.error('Failed to send refund notifications:', error.message, '\nStack:', error.stack);
-    }
-
-    res.json({
-      success: true,
-      message: 'Refund processed successfully',
+      transactionId: payment.transactionId
+    };
+
+    await notificationDispatcher.dispatch(payment.payerId, {
+      type: 'refund_processed',
+      template: 'refund_processed',
+      params,
+      email: { template: 'refund-notification', data: params },
       data: {
-        refund: {
-          amount: refundAmount,
-          currency: payment.currency,
-          status: refundStatus,
-          gatewayRefundId: gatewayRefund.id
-        }
+        paymentId: payment.id,
+        bookingId: payment.bookingId,
+        jobId: payment.jobId,
+        refundId: refund.id,
+        refundAmount: refund.amount
       }
     });
   } catch (error) {
-    console.error('Refund processing failed:', error.message, '\nStack:', error.stack);
-    throw new AppError('Failed to process refund', 500);
+    console.error('Failed to send refund notifications:', error.message, '\nStack:', error.stack);
   }
+
+  res.json({
+    success: true,
+    message: 'Refund processed successfully',
+    data: {
+      refund,
+      payment: {
+        id: payment.id,
+        status: payment.status,
+        amount: payment.amount,
+        refundedAmount: payment.refundedAmount,
+        currency: payment.currency
+      }
+    }
+  });
 });
 
 // Handle webhook from payment gateway
 const handleWebhook = asyncHandler(async (req, res) => {
   const { gateway } = req.params;
-  const signature = req.headers['stripe-signature'] || req.headers['x-paystack-signature'];
-  
+  const rawBody = req.rawBody || JSON.stringify(req.body);
+
   let event;
 
   try {
-    if (gateway === 'stripe') {
-      event = stripe.webhooks.constructEvent(
-        req.body,
-        signature,
-        process.env.STRIPE_WEBHOOK_SECRET
-      );
-    } else if (gateway === 'paystack') {
-      const hash = crypto
-        .createHmac('sha512', process.env.PAYSTACK_SECRET_KEY)
-        .update(JSON.stringify(req.body))
-        .digest('hex');
-      
-      if (hash !== signature) {
-        throw new Error('Invalid signature');
-      }
-      
-      event = req.body;
-    } else {
+    if (!isSupportedGateway(gateway)) {
       throw new Error('Unsupported gateway');
     }
 
-    // Handle different event types
-    switch (event.type || event.event) {
-      case 'payment_intent.succeeded':
-      case 'charge.success':
-        await handlePaymentSuccess(event.data.object, gateway);
-        break;
-      
-      case 'payment_intent.payment_failed':
-      case 'charge.failed':
-        await handlePaymentFailure(event.data.object, gateway);
-        break;
-      
-      case 'charge.dispute.created':
-        await handleDispute(event.data.object, gateway);
-        break;
-      
-      default:
-        console.log(`Unhandled event type: ${event.type || event.event}`);
+    if (!paymentService.validateWebhookSignature(gateway, rawBody, req.headers)) {
+      throw new Error('Invalid signature');
     }
 
-    res.json({ received: true });
+    event = Buffer.isBuffer(req.body) ? JSON.parse(req.body.toString()) : req.body;
   } catch (error) {
     console.error('Webhook error:', error.message, '\nStack:', error.stack);
-    res.status(400).json({ error: 'Webhook error' });
+    return res.status(400).json({ error: 'Webhook error' });
   }
+
+  const { event: webhookEvent, duplicate } = await webhookService.ingest(gateway, event);
+
+  // A 5xx makes the gateway redeliver; the stored event is retried then
+  if (webhookEvent.status === 'failed') {
+    return res.status(500).json({ error: 'Webhook processing failed' });
+  }
+
+  res.json({ received: true, duplicate });
 });
 
-// Helper function to handle payment success
-const handlePaymentSuccess = async (paymentData, gateway) => {
-  const gatewayTransactionId = paymentData.id || paymentData.reference;
-  
-  const payment = await Payment.findOne({
-    where: { gatewayTransactionId },
-    include: [
-      {
-        model: Booking,
-        as: 'booking',
-        include: [
-          { model: Service, as: 'service' },
-          { model: User, as: 'requester' },
-          { model: User, as: 'provider' }
-        ]
-      }
-    ]
+// List stored webhook events
+const getWebhookEvents = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status, gateway, eventType } = req.query;
+
+  const result = await webhookService.getEvents({
+    page: parseInt(page),
+    limit: parseInt(limit),
+    status,
+    gateway,
+    eventType
   });
 
-  if (payment && payment.status === 'pending') {
-    await payment.update({
-      status: 'completed',
-      completedAt: new Date(),
-      gatewayResponse: paymentData,
-      webhookData: paymentData
-    });
+  res.json({
+    success: true,
+    data: result
+  });
+});
 
-    // Update booking status
-    if (payment.booking.status === 'pending') {
-      await payment.booking.update({
-        status: 'confirmed',
-        confirmedAt: new Date()
-      });
-    }
-  }
-};
+// List refunds, e.g. those settled at the gateway that still need reconciling
+const getRefunds = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status, gateway } = req.query;
 
-// Helper function to handle payment failure
-const handlePaymentFailure = async (paymentData, gateway) => {
-  const gatewayTransactionId = paymentData.id || paymentData.reference;
-  
-  const payment = await Payment.findOne({
-    where: { gatewayTransactionId }
+  const result = await paymentService.getRefunds({
+    page: parseInt(page),
+    limit: parseInt(limit),
+    status,
+    gateway
   });
 
-  if (payment && payment.status === 'pending') {
-    await payment.update({
-      status: 'failed',
-      failedAt: new Date(),
-      failureReason: paymentData.failure_message || paymentData.gateway_response,
-      gatewayResponse: paymentData,
-      webhookData: paymentData
-    });
-  }
-};
-
-// Helper function to handle disputes
-const handleDispute = async (disputeData, gateway) => {
-  const gatewayTransactionId = disputeData.charge || disputeData.transaction;
-  
-  const payment = await Payment.findOne({
-    where: { gatewayTransactionId }
+  res.json({
+    success: true,
+    data: result
   });
+});
 
-  if (payment) {
-    await payment.update({
-      disputeStatus: 'created',
-      disputeDetails: {
-        id: disputeData.id,
-        amount: disputeData.amount,
-        reason: disputeData.reason,
-        status: disputeData.status,
-        createdAt: new Date()
-      },
-      webhookData: disputeData
-    });
-  }
-};
+// Replay a failed webhook event
+const replayWebhookEvent = asyncHandler(async (req, res) => {
+  const webhookEvent = await webhookService.replayEvent(req.params.id);
+
+  res.json({
+    success: webhookEvent.status !== 'failed',
+    message: webhookEvent.status === 'failed'
+      ? `Replay failed: ${webhookEvent.lastError}`
+      : 'Webhook event replayed successfully',
+    data: { event: webhookEvent }
+  });
+});
 
 // Get payment by ID
 const getPaymentById = asyncHandler(async (req, res) => {
@@ -611,6 +599,17 @@ const getPaymentById = asyncHandler(async (req, res) => {
             attributes: ['id', 'firstName', 'lastName']
           }
         ]
+      },
+      {
+        model: Job,
+        as: 'job',
+        attributes: ['id', 'title', 'status', 'requesterId', 'providerId']
+      },
+      {
+        model: Refund,
+        as: 'refunds',
+        separate: true,
+        order: [['createdAt', 'ASC']]
       }
     ]
   });
@@ -619,10 +618,10 @@ const getPaymentById = asyncHandler(async (req, res) => {
     throw new NotFoundError('Payment not found');
   }
 
-  // Check access permissions
-  const hasAccess = isAdmin || 
-    payment.userId === userId || 
-    payment.booking.providerId === userId;
+  // Job payments have no booking, so the parties are read off the payment itself
+  const hasAccess = isAdmin ||
+    payment.payerId === userId ||
+    payment.payeeId === userId;
 
   if (!hasAccess) {
     throw new AuthorizationError('Access denied');
@@ -700,18 +699,99 @@ const getProviderBalance = asyncHandler(async (req, res) => {
     throw new AuthorizationError('Only providers can access balance information');
   }
 
-  // For now, return mock data to test the endpoint
-  // TODO: Implement actual balance calculation
-  const mockBalance = {
-    balance: 1500.00,
-    pendingBalance: 250.00,
-    totalEarnings: 2000.00,
-    currency: 'NGN'
-  };
+  const currency = (req.query.currency || ledgerService.baseCurrency).toUpperCase();
+  const [{ available, pending, totalEarnings }, totalWithdrawn] = await Promise.all([
+    ledgerService.getUserBalance(userId, currency),
+    payoutService.getTotalWithdrawn(userId, currency)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      balance: available,
+      pendingBalance: pending,
+      totalEarnings,
+      totalWithdrawn,
+      currency
+    }
+  });
+});
+
+// Get ledger statement for current user
+const getLedgerStatement = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { page = 1, limit = 20, currency } = req.query;
+
+  const statement = await ledgerService.getUserStatement(userId, {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    currency: currency || ledgerService.baseCurrency
+  });
+
+  res.json({
+    success: true,
+    data: statement
+  });
+});
+
+// Release escrowed funds after the requester confirms satisfaction
+const releasePayment = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { isSatisfied = true, rating, feedback } = req.body;
+  const userId = req.user.id;
+  const isAdmin = req.user.userType === 'admin';
+
+  const payment = await Payment.findByPk(id);
+
+  if (!payment) {
+    throw new NotFoundError('Payment not found');
+  }
+
+  if (payment.payerId !== userId && !isAdmin) {
+    throw new AuthorizationError('Only the paying requester can release this payment');
+  }
+
+  if (!isSatisfied) {
+    throw new ValidationError('Payment cannot be released for unsatisfactory work. Open a dispute instead');
+  }
+
+  await escrowService.releasePayment(payment, {
+    releasedBy: userId,
+    trigger: isAdmin && payment.payerId !== userId ? 'admin' : 'requester_satisfaction',
+    satisfaction: rating || feedback ? { rating, feedback } : null
+  });
+
+  res.json({
+    success: true,
+    message: 'Payment released successfully',
+    data: { payment }
+  });
+});
+
+// Release escrowed payments whose hold period has elapsed (scheduled job)
+const releaseDueEscrowPayments = asyncHandler(async (req, res) => {
+  const { limit = 100 } = req.body;
+  const result = await escrowService.releaseDuePayments(new Date(), parseInt(limit));
+
+  res.json({
+    success: true,
+    message: `${result.released.length} escrowed payment(s) released`,
+    data: result
+  });
+});
+
+// List escrowed payments awaiting release
+const getPendingEscrowReleases = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const result = await escrowService.getPendingReleases({
+    page: parseInt(page),
+    limit: parseInt(limit)
+  });
 
   res.json({
     success: true,
-    data: mockBalance
+    data: result
   });
 });
 
@@ -734,11 +814,19 @@ const getPaymentStats = asyncHandler(async (req, res) => {
 
 module.exports = {
   createPaymentIntent,
+  getFeeQuote,
   confirmPayment,
   processRefund,
   handleWebhook,
   getPaymentById,
   getUserPayments,
   getPaymentStats,
-  getProviderBalance
+  getProviderBalance,
+  getLedgerStatement,
+  releasePayment,
+  releaseDueEscrowPayments,
+  getPendingEscrowReleases,
+  getWebhookEvents,
+  replayWebhookEvent,
+  getRefunds
 };
\ No newline at end of file
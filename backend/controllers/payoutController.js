@@ -0,0 +1,171 @@
+const { Withdrawal, PayoutAccount } = require('../models');
+const { asyncHandler, NotFoundError, AuthorizationError } = require('../middleware/errorHandler');
+const payoutService = require('../services/payoutService');
+const ledgerService = require('../services/ledgerService');
+
+// Only providers hold a withdrawable wallet
+const ensureProvider = (req) => {
+  if (req.user.userType !== 'provider') {
+    throw new AuthorizationError('Only providers can manage payouts');
+  }
+};
+
+// Resolve the account name for a bank account
+const resolvePayoutAccount = asyncHandler(async (req, res) => {
+  ensureProvider(req);
+  const { accountNumber, bankCode } = req.body;
+
+  const account = await payoutService.resolveAccount({ accountNumber, bankCode });
+
+  res.json({
+    success: true,
+    data: { account }
+  });
+});
+
+// Add a verified payout account
+const addPayoutAccount = asyncHandler(async (req, res) => {
+  ensureProvider(req);
+  const { accountNumber, bankCode, bankName, accountType, currency, isDefault } = req.body;
+
+  const payoutAccount = await payoutService.addPayoutAccount(req.user.id, {
+    accountNumber,
+    bankCode,
+    bankName,
+    accountType,
+    currency,
+    isDefault
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Payout account added successfully',
+    data: { payoutAccount }
+  });
+});
+
+// List current user's payout accounts
+const getPayoutAccounts = asyncHandler(async (req, res) => {
+  ensureProvider(req);
+  const payoutAccounts = await payoutService.getPayoutAccounts(req.user.id);
+
+  res.json({
+    success: true,
+    data: { payoutAccounts }
+  });
+});
+
+// Make a payout account the default
+const setDefaultPayoutAccount = asyncHandler(async (req, res) => {
+  ensureProvider(req);
+  const payoutAccount = await payoutService.setDefaultPayoutAccount(req.user.id, req.params.id);
+
+  res.json({
+    success: true,
+    message: 'Default payout account updated',
+    data: { payoutAccount }
+  });
+});
+
+// Remove a payout account
+const removePayoutAccount = asyncHandler(async (req, res) => {
+  ensureProvider(req);
+  await payoutService.removePayoutAccount(req.user.id, req.params.id);
+
+  res.json({
+    success: true,
+    message: 'Payout account removed successfully'
+  });
+});
+
+// Request a withdrawal from available balance
+const requestWithdrawal = asyncHandler(async (req, res) => {
+  ensureProvider(req);
+  const { amount, payoutAccountId, currency, reason } = req.body;
+
+  const withdrawal = await payoutService.requestWithdrawal(req.user.id, {
+    amount,
+    payoutAccountId,
+    currency: currency || ledgerService.baseCurrency,
+    reason
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Withdrawal requested successfully',
+    data: { withdrawal }
+  });
+});
+
+// Get current user's withdrawals
+const getWithdrawals = asyncHandler(async (req, res) => {
+  ensureProvider(req);
+  const { page = 1, limit = 20, status } = req.query;
+
+  const result = await payoutService.getWithdrawals(req.user.id, {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    status
+  });
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
+
+// Get a withdrawal, refreshing its status from the gateway while in flight
+const getWithdrawalById = asyncHandler(async (req, res) => {
+  const withdrawal = await Withdrawal.findByPk(req.params.id, {
+    include: [
+      {
+        model: PayoutAccount,
+        as: 'payoutAccount',
+        paranoid: false
+      }
+    ]
+  });
+
+  if (!withdrawal) {
+    throw new NotFoundError('Withdrawal not found');
+  }
+
+  if (withdrawal.userId !== req.user.id && req.user.userType !== 'admin') {
+    throw new AuthorizationError('Access denied to this withdrawal');
+  }
+
+  await payoutService.refreshWithdrawalStatus(withdrawal);
+
+  res.json({
+    success: true,
+    data: { withdrawal }
+  });
+});
+
+// Get withdrawal limits and today's usage
+const getWithdrawalLimits = asyncHandler(async (req, res) => {
+  ensureProvider(req);
+  const currency = (req.query.currency || ledgerService.baseCurrency).toUpperCase();
+  const usage = await payoutService.getDailyUsage(req.user.id, currency);
+
+  res.json({
+    success: true,
+    data: {
+      limits: payoutService.getLimits(),
+      usage,
+      currency
+    }
+  });
+});
+
+module.exports = {
+  resolvePayoutAccount,
+  addPayoutAccount,
+  getPayoutAccounts,
+  setDefaultPayoutAccount,
+  removePayoutAccount,
+  requestWithdrawal,
+  getWithdrawals,
+  getWithdrawalById,
+  getWithdrawalLimits
+};
@@ -0,0 +1,75 @@
+const { asyncHandler, ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const reconciliationService = require('../services/reconciliationService');
+
+// Reconcile an uploaded settlement export (multipart `file` or JSON `content`)
+const createReconciliationReport = asyncHandler(async (req, res) => {
+  const { gateway, format, periodStart, periodEnd } = req.body;
+  const content = req.file ? req.file.buffer : req.body.content;
+
+  if (!content || content.length === 0) {
+    throw new ValidationError('A settlement file or content is required');
+  }
+
+  const report = await reconciliationService.reconcile(gateway, content, {
+    format,
+    sourceName: req.file?.originalname || req.body.sourceName || null,
+    periodStart,
+    periodEnd,
+    createdBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: report.status === 'clean'
+      ? 'Settlement reconciled with no mismatches'
+      : `Settlement reconciled with ${report.summary.mismatches} mismatches`,
+    data: { report }
+  });
+});
+
+// List reconciliation reports
+const getReconciliationReports = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, gateway, status } = req.query;
+
+  const result = await reconciliationService.getReports({
+    page: parseInt(page),
+    limit: parseInt(limit),
+    gateway,
+    status
+  });
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
+
+// Get a reconciliation report with its mismatches
+const getReconciliationReport = asyncHandler(async (req, res) => {
+  const report = await reconciliationService.getReport(req.params.id);
+
+  if (!report) {
+    throw new NotFoundError('Reconciliation report not found');
+  }
+
+  const { type } = req.query;
+  const mismatches = type
+    ? report.mismatches.filter(mismatch => mismatch.type === type)
+    : report.mismatches;
+
+  res.json({
+    success: true,
+    data: {
+      report: {
+        ...report.toJSON(),
+        mismatches
+      }
+    }
+  });
+});
+
+module.exports = {
+  createReconciliationReport,
+  getReconciliationReports,
+  getReconciliationReport
+};
@@ -0,0 +1,129 @@
+const { asyncHandler } = require('../middleware/errorHandler');
+const reviewService = require('../services/reviewService');
+
+// Review the other participant of a completed booking
+const createReview = asyncHandler(async (req, res) => {
+  const review = await reviewService.createReview(req.user, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Review submitted successfully',
+    data: { review }
+  });
+});
+
+// Get a review by ID
+const getReviewById = asyncHandler(async (req, res) => {
+  const review = await reviewService.getReview(req.params.id);
+
+  res.json({
+    success: true,
+    data: { review }
+  });
+});
+
+// Reviews a user has received
+const getUserReviews = asyncHandler(async (req, res) => {
+  const result = await reviewService.listUserReviews(req.params.id, req.query);
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
+
+// Requesters' reviews of a service
+const getServiceReviews = asyncHandler(async (req, res) => {
+  const result = await reviewService.listServiceReviews(req.params.id, req.query);
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
+
+// Provider's public reply to a review of them
+const replyToReview = asyncHandler(async (req, res) => {
+  const review = await reviewService.findReview(req.params.id);
+  await reviewService.replyToReview(review, req.user, req.body.reply);
+
+  res.json({
+    success: true,
+    message: 'Reply posted successfully',
+    data: { review }
+  });
+});
+
+// Mark a review as helpful
+const voteReviewHelpful = asyncHandler(async (req, res) => {
+  const review = await reviewService.findReview(req.params.id);
+  await reviewService.voteHelpful(review, req.user);
+
+  res.json({
+    success: true,
+    data: { helpfulCount: review.helpfulCount }
+  });
+});
+
+// Take back a helpful vote
+const removeReviewHelpfulVote = asyncHandler(async (req, res) => {
+  const review = await reviewService.findReview(req.params.id);
+  await reviewService.removeHelpfulVote(review, req.user);
+
+  res.json({
+    success: true,
+    data: { helpfulCount: review.helpfulCount }
+  });
+});
+
+// Report a review for moderation
+const reportReview = asyncHandler(async (req, res) => {
+  const review = await reviewService.findReview(req.params.id);
+  const report = await reviewService.reportReview(review, req.user, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Review reported. Thank you for letting us know',
+    data: { reportId: report.id }
+  });
+});
+
+// Admin moderation queue of reported reviews
+const getReportedReviews = asyncHandler(async (req, res) => {
+  const result = await reviewService.listReportedReviews(req.query);
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
+
+// Hide, dismiss and unhide share one handler; each returns the review
+const moderateReview = (action, message) => asyncHandler(async (req, res) => {
+  const review = await reviewService[action](req.params.id, req.user);
+
+  res.json({
+    success: true,
+    message,
+    data: { review }
+  });
+});
+
+const hideReview = moderateReview('hideReview', 'Review hidden');
+const dismissReviewReports = moderateReview('dismissReports', 'Reports dismissed');
+const unhideReview = moderateReview('unhideReview', 'Review restored');
+
+module.exports = {
+  createReview,
+  getReviewById,
+  getUserReviews,
+  getServiceReviews,
+  replyToReview,
+  voteReviewHelpful,
+  removeReviewHelpfulVote,
+  reportReview,
+  getReportedReviews,
+  hideReview,
+  dismissReviewReports,
+  unhideReview
+};
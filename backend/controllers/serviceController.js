@@ -3,6 +3,12 @@ const { asyncHandler, AppError, ValidationError, NotFoundError, AuthorizationErr
 const { Op } = require('sequelize');
 const uploadService = require('../services/uploadService');
 const searchService = require('../services/searchService');
+const exchangeRateService = require('../services/exchangeRateService');
+
+// Currency to display prices in: explicit ?currency=, else the viewer's preference
+const getViewerCurrency = (req) => req.query.currency || req.user?.preferences?.currency || null;
+
+const localizeServices = (services, req) => exchangeRateService.localizePrices(services, getViewerCurrency(req));
 
 // Get all services with filtering and pagination
 const getAllServices = asyncHandler(async (req, res) => {
@@ -89,6 +95,8 @@ const getAllServices = asyncHandler(async (req, res) => {
       {
         model: Review,
         as: 'reviews',
+        where: { isPublic: true },
+        required: false,
         limit: 3,
         order: [['createdAt', 'DESC']],
         include: [
@@ -107,7 +115,7 @@ const getAllServices = asyncHandler(async (req, res) => {
   res.json({
     success: true,
     data: {
-      services,
+      services: await localizeServices(services, req),
       pagination: {
         currentPage: parseInt(page),
         totalPages,
@@ -133,6 +141,8 @@ const getServiceById = asyncHandler(async (req, res) => {
       {
         model: Review,
         as: 'reviews',
+        where: { isPublic: true },
+        required: false,
         include: [
           {
             model: User,
@@ -159,9 +169,11 @@ const getServiceById = asyncHandler(async (req, res) => {
   // Increment view count
   await service.updateViews();
 
+  const [localized] = await localizeServices([service], req);
+
   res.json({
     success: true,
-    data: { service }
+    data: { service: localized }
   });
 });
 
@@ -500,7 +512,10 @@ const searchServices = asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    data: searchResults
+    data: {
+      ...searchResults,
+      services: await localizeServices(searchResults.services, req)
+    }
   });
 });
 
@@ -526,7 +541,7 @@ const getFeaturedServices = asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    data: { services }
+    data: { services: await localizeServices(services, req) }
   });
 });
 
@@ -557,7 +572,7 @@ const getPopularServices = asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    data: { services }
+    data: { services: await localizeServices(services, req) }
   });
 });
 
@@ -606,7 +621,7 @@ const getServicesByProvider = asyncHandler(async (req, res) => {
   res.json({
     success: true,
     data: {
-      services,
+      services: await localizeServices(services, req),
       pagination: {
         currentPage: parseInt(page),
         totalPages,
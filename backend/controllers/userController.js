@@ -3,6 +3,7 @@ const { asyncHandler, AppError, ValidationError, NotFoundError, AuthorizationErr
 const { Op } = require('sequelize');
 const { uploadToCloudinary, uploadToS3, deleteFromCloud } = require('../config/cloudStorage');
 const emailService = require('../services/emailService');
+const creditRatingService = require('../services/creditRatingService');
 
 // Get all users (admin only)
 const getAllUsers = asyncHandler(async (req, res) => {
@@ -92,7 +93,8 @@ const getUserById = asyncHandler(async (req, res) => {
       },
       {
         model: Review,
-        as: 'receivedReviews',
+        as: 'reviewsReceived',
+        where: { isPublic: true },
         required: false,
         limit: 5,
         order: [['createdAt', 'DESC']],
@@ -116,8 +118,8 @@ const getUserById = asyncHandler(async (req, res) => {
     const publicFields = [
       'id', 'firstName', 'lastName', 'userType', 'profilePicture',
       'bio', 'skills', 'isEmailVerified', 'isPhoneVerified',
-      'rating', 'totalReviews', 'totalEarnings', 'joinedAt',
-      'services', 'receivedReviews'
+      'rating', 'totalRatings', 'totalEarnings', 'joinedAt',
+      'services', 'reviewsReceived'
     ];
     
     const publicUser = {};
@@ -219,6 +221,7 @@ const updateProfile = asyncHandler(async (req, res) => {
   });
 
   await user.update(updateFields);
+  await creditRatingService.scheduleRecalculation(userId, 'profile');
 
   // Return updated user without sensitive data
   const updatedUser = await User.findByPk(userId, {
@@ -275,6 +278,7 @@ const uploadProfilePicture = asyncHandler(async (req, res) => {
     // Update user profile picture
     user.profilePicture = uploadResult.secure_url || uploadResult.url;
     await user.save();
+    await creditRatingService.scheduleRecalculation(userId, 'profile');
 
     res.json({
       success: true,
@@ -376,7 +380,7 @@ const getUserStats = asyncHandler(async (req, res) => {
 
   // Get review statistics
   const reviews = await Review.findAll({
-    where: { revieweeId: userId },
+    where: { revieweeId: userId, isPublic: true },
     attributes: ['rating']
   });
 
@@ -0,0 +1,181 @@
+const { asyncHandler, ValidationError, AuthorizationError } = require('../middleware/errorHandler');
+const path = require('path');
+const kycService = require('../services/kycService');
+const kycTierService = require('../services/kycTierService');
+const documentReviewService = require('../services/documentReviewService');
+const uploadService = require('../services/uploadService');
+
+// Registry misses and mismatches are answers, not errors: 200 with verified false
+const sendCheckResult = (res, label, { verification, status }) => {
+  const verified = verification.status === 'verified';
+
+  res.json({
+    success: true,
+    message: verified ? `${label} verified successfully` : verification.failureReason,
+    data: {
+      verified,
+      verification: kycService.serializeVerification(verification),
+      verificationStatus: status
+    }
+  });
+};
+
+const verifyNin = asyncHandler(async (req, res) => {
+  const { nin, dateOfBirth } = req.body;
+  const result = await kycService.verifyNin(req.user, { nin, dateOfBirth });
+
+  sendCheckResult(res, 'NIN', result);
+});
+
+const verifyBvn = asyncHandler(async (req, res) => {
+  const { bvn, dateOfBirth } = req.body;
+  const result = await kycService.verifyBvn(req.user, { bvn, dateOfBirth });
+
+  sendCheckResult(res, 'BVN', result);
+});
+
+const verifyBankAccount = asyncHandler(async (req, res) => {
+  const { accountNumber, bankCode } = req.body;
+  const result = await kycService.verifyBankAccount(req.user, { accountNumber, bankCode });
+
+  sendCheckResult(res, 'Bank account', result);
+});
+
+// Own status, or anyone's for admins
+const getStatus = asyncHandler(async (req, res) => {
+  const userId = req.params.userId || req.user.id;
+
+  if (userId !== req.user.id && req.user.userType !== 'admin') {
+    throw new AuthorizationError('You can only view your own verification status');
+  }
+
+  const status = await kycService.getStatus(userId);
+
+  res.json({
+    success: true,
+    data: status
+  });
+});
+
+// Current KYC tier, its limits and what unlocks the next tier
+const getRequirements = asyncHandler(async (req, res) => {
+  const requirements = await kycTierService.getRequirements(req.user.id);
+
+  res.json({
+    success: true,
+    data: requirements
+  });
+});
+
+// Upload an ID card, business license or certification for review
+const submitDocument = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new ValidationError('No file uploaded');
+  }
+
+  const document = await documentReviewService.submitDocument(req.user, {
+    documentType: req.body.documentType,
+    file: req.file
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Document submitted for review',
+    data: { document: documentReviewService.serializeDocument(document, { withUrl: true }) }
+  });
+});
+
+// The user's own documents and their review outcome
+const getMyDocuments = asyncHandler(async (req, res) => {
+  const documents = await documentReviewService.getUserDocuments(req.user.id);
+
+  res.json({
+    success: true,
+    data: { documents }
+  });
+});
+
+// Serve a document file behind a signed link; the signature stands in for the auth header
+const downloadDocument = asyncHandler(async (req, res) => {
+  if (!uploadService.verifySignedUrl(documentReviewService.documentPath(req.params.id), req.query)) {
+    throw new AuthorizationError('This document link is invalid or has expired');
+  }
+
+  const file = await documentReviewService.findFile(req.params.id);
+
+  if (file.s3Key) {
+    return res.redirect(uploadService.getS3SignedUrl(file.s3Key, 60));
+  }
+
+  // Identity documents must not linger in shared caches
+  res.set('Cache-Control', 'private, no-store');
+  res.type(file.mimetype).sendFile(path.resolve(file.path));
+});
+
+// Admin review queue, pending documents oldest first
+const getDocumentQueue = asyncHandler(async (req, res) => {
+  const result = await documentReviewService.listQueue(req.query);
+
+  res.json({
+    success: true,
+    data: {
+      ...result,
+      reasonCodes: documentReviewService.getReviewReasons()
+    }
+  });
+});
+
+// Open a document for review: signed file link and its audit trail
+const getDocumentForReview = asyncHandler(async (req, res) => {
+  const document = await documentReviewService.getDocumentForReview(req.params.id, req.user);
+
+  res.json({
+    success: true,
+    data: { document }
+  });
+});
+
+// Approve and reject share one handler; a rejection needs a reason code
+const reviewDocument = (decision) => asyncHandler(async (req, res) => {
+  const { reasonCode, note } = req.body;
+  const document = await documentReviewService.reviewDocument(req.params.id, req.user, {
+    decision,
+    reasonCode,
+    note
+  });
+
+  res.json({
+    success: true,
+    message: decision === 'approve' ? 'Document approved' : 'Document rejected',
+    data: { document: documentReviewService.serializeDocument(document) }
+  });
+});
+
+const approveDocument = reviewDocument('approve');
+const rejectDocument = reviewDocument('reject');
+
+// Every submission, view and decision on verification documents
+const getDocumentAuditLog = asyncHandler(async (req, res) => {
+  const result = await documentReviewService.getAuditLog(req.query);
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
+
+module.exports = {
+  verifyNin,
+  verifyBvn,
+  verifyBankAccount,
+  getStatus,
+  getRequirements,
+  submitDocument,
+  getMyDocuments,
+  downloadDocument,
+  getDocumentQueue,
+  getDocumentForReview,
+  approveDocument,
+  rejectDocument,
+  getDocumentAuditLog
+};
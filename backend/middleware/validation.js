@@ -1,5 +1,6 @@
 const { body, param, query, validationResult } = require('express-validator');
 const { ValidationError } = require('./errorHandler');
+const { SUPPORTED_GATEWAYS } = require('../services/gateways');
 
 // Helper function to handle validation results
 const handleValidationErrors = (req, res, next) => {
@@ -408,8 +409,13 @@ const bookingValidations = {
 const paymentValidations = {
   create: [
     body('bookingId')
+      .if(body('jobId').not().exists())
       .isUUID(4)
       .withMessage('Booking ID must be a valid UUID'),
+    body('jobId')
+      .optional()
+      .isUUID(4)
+      .withMessage('Job ID must be a valid UUID'),
     body('amount')
       .isFloat({ min: 0.01, max: 999999.99 })
       .withMessage('Amount must be between 0.01 and 999,999.99'),
@@ -417,8 +423,16 @@ const paymentValidations = {
       .isIn(['USD', 'EUR', 'GBP', 'NGN', 'GHS', 'KES', 'ZAR'])
       .withMessage('Currency must be a valid currency code'),
     body('paymentMethod')
-      .isIn(['card', 'bank_transfer', 'mobile_money', 'wallet'])
+      .isIn(['card', 'bank_transfer', 'ussd', 'mobile_money', 'wallet'])
       .withMessage('Payment method must be valid'),
+    body('gateway')
+      .optional()
+      .isIn(SUPPORTED_GATEWAYS)
+      .withMessage(`Gateway must be one of: ${SUPPORTED_GATEWAYS.join(', ')}`),
+    body('bankCode')
+      .optional()
+      .isString()
+      .withMessage('Bank code must be a string'),
     handleValidationErrors
   ],
   
@@ -433,6 +447,577 @@ const paymentValidations = {
   ]
 };
 
+// Job marketplace validation schemas
+const jobValidations = {
+  create: [
+    body('title')
+      .trim()
+      .isLength({ min: 5, max: 200 })
+      .withMessage('Title must be between 5 and 200 characters'),
+    body('description')
+      .trim()
+      .isLength({ min: 20, max: 5000 })
+      .withMessage('Description must be between 20 and 5000 characters'),
+    body('category')
+      .trim()
+      .isLength({ min: 2, max: 50 })
+      .withMessage('Category must be between 2 and 50 characters'),
+    body('amount')
+      .custom((value, { req }) => {
+        if (value === undefined && req.body.budget === undefined) {
+          throw new Error('Amount is required');
+        }
+        return true;
+      }),
+    body(['amount', 'budget'])
+      .optional()
+      .isFloat({ min: 0.01, max: 9999999999.99 })
+      .withMessage('Amount must be a positive number'),
+    body('currency')
+      .optional()
+      .isIn(['USD', 'EUR', 'GBP', 'NGN', 'GHS', 'KES', 'ZAR'])
+      .withMessage('Currency must be a valid currency code'),
+    body('budgetType')
+      .optional()
+      .isIn(['fixed', 'hourly'])
+      .withMessage('Budget type must be fixed or hourly'),
+    body('locationType')
+      .optional()
+      .isIn(['remote', 'onsite', 'hybrid'])
+      .withMessage('Location type must be remote, onsite or hybrid'),
+    body(['priority', 'urgency'])
+      .optional()
+      .isIn(['low', 'medium', 'high', 'urgent'])
+      .withMessage('Priority must be low, medium, high or urgent'),
+    body('deadline')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('Deadline must be a valid date'),
+    body(['skills', 'requirements', 'deliverables', 'attachments'])
+      .optional()
+      .isArray({ max: 50 })
+      .withMessage('Must be a list of at most 50 items'),
+    handleValidationErrors
+  ],
+
+  update: [
+    commonValidations.id(),
+    body('title')
+      .optional()
+      .trim()
+      .isLength({ min: 5, max: 200 })
+      .withMessage('Title must be between 5 and 200 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ min: 20, max: 5000 })
+      .withMessage('Description must be between 20 and 5000 characters'),
+    body(['amount', 'budget'])
+      .optional()
+      .isFloat({ min: 0.01, max: 9999999999.99 })
+      .withMessage('Amount must be a positive number'),
+    body('locationType')
+      .optional()
+      .isIn(['remote', 'onsite', 'hybrid'])
+      .withMessage('Location type must be remote, onsite or hybrid'),
+    body(['priority', 'urgency'])
+      .optional()
+      .isIn(['low', 'medium', 'high', 'urgent'])
+      .withMessage('Priority must be low, medium, high or urgent'),
+    body('deadline')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('Deadline must be a valid date'),
+    handleValidationErrors
+  ],
+
+  apply: [
+    commonValidations.id(),
+    body('coverLetter')
+      .optional()
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage('Cover letter must not exceed 2000 characters'),
+    body(['proposedAmount', 'proposedBudget'])
+      .optional({ nullable: true })
+      .isFloat({ min: 0.01 })
+      .withMessage('Proposed amount must be a positive number'),
+    body('portfolio')
+      .optional()
+      .isArray({ max: 20 })
+      .withMessage('Portfolio must be a list of at most 20 items'),
+    handleValidationErrors
+  ],
+
+  rate: [
+    commonValidations.id(),
+    body('rating')
+      .isInt({ min: 1, max: 5 })
+      .withMessage('Rating must be between 1 and 5')
+      .toInt(),
+    body('review')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Review must not exceed 1000 characters'),
+    body('categories')
+      .optional()
+      .isObject()
+      .withMessage('Categories must be an object'),
+    handleValidationErrors
+  ],
+
+  offer: [
+    commonValidations.id(),
+    body('amount')
+      .isFloat({ min: 0.01 })
+      .withMessage('Amount must be a positive number'),
+    body('estimatedCompletion')
+      .optional()
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage('Estimated completion must not exceed 50 characters'),
+    body('message')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Message must not exceed 1000 characters'),
+    handleValidationErrors
+  ],
+
+  satisfy: [
+    commonValidations.id(),
+    body('rating')
+      .optional()
+      .isInt({ min: 1, max: 5 })
+      .withMessage('Rating must be between 1 and 5')
+      .toInt(),
+    body('review')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Review must not exceed 1000 characters'),
+    body('categories')
+      .optional()
+      .isObject()
+      .withMessage('Categories must be an object'),
+    handleValidationErrors
+  ]
+};
+
+// Review validation rules
+const reviewValidations = {
+  create: [
+    body('bookingId')
+      .isUUID()
+      .withMessage('Booking ID must be a valid UUID'),
+    body('rating')
+      .isInt({ min: 1, max: 5 })
+      .withMessage('Rating must be between 1 and 5')
+      .toInt(),
+    body('review')
+      .optional()
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage('Review must not exceed 2000 characters'),
+    handleValidationErrors
+  ],
+
+  list: [
+    commonValidations.id(),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer')
+      .toInt(),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50')
+      .toInt(),
+    query('rating')
+      .optional()
+      .isInt({ min: 1, max: 5 })
+      .withMessage('Rating must be between 1 and 5')
+      .toInt(),
+    query('sort')
+      .optional()
+      .isIn(['newest', 'oldest', 'highest', 'lowest', 'helpful'])
+      .withMessage('Sort must be newest, oldest, highest, lowest or helpful'),
+    handleValidationErrors
+  ],
+
+  reply: [
+    commonValidations.id(),
+    body('reply')
+      .trim()
+      .isLength({ min: 1, max: 1000 })
+      .withMessage('Reply must be between 1 and 1000 characters'),
+    handleValidationErrors
+  ],
+
+  report: [
+    commonValidations.id(),
+    body('reason')
+      .isIn(['spam', 'offensive', 'fake', 'irrelevant', 'other'])
+      .withMessage('Reason must be spam, offensive, fake, irrelevant or other'),
+    body('details')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Details must not exceed 1000 characters'),
+    handleValidationErrors
+  ],
+
+  reportQueue: [
+    query('status')
+      .optional()
+      .isIn(['pending', 'upheld', 'dismissed'])
+      .withMessage('Status must be pending, upheld or dismissed'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer')
+      .toInt(),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+      .toInt(),
+    handleValidationErrors
+  ]
+};
+
+// Dispute validation rules
+const disputeValidations = {
+  // Opening a dispute on a job or booking (`:id` is the job or booking)
+  create: [
+    commonValidations.id(),
+    body('disputeType')
+      .optional()
+      .isIn(['quality', 'incomplete', 'payment', 'no_show', 'other'])
+      .withMessage('Invalid dispute type'),
+    body('reason')
+      .trim()
+      .isLength({ min: 5, max: 200 })
+      .withMessage('Reason must be between 5 and 200 characters'),
+    body('description')
+      .trim()
+      .isLength({ min: 10, max: 5000 })
+      .withMessage('Description must be between 10 and 5000 characters'),
+    body('proposedResolution')
+      .optional()
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage('Proposed resolution must not exceed 2000 characters'),
+    handleValidationErrors
+  ],
+
+  list: [
+    query('status')
+      .optional()
+      .isIn(['open', 'under_review', 'resolving', 'resolved'])
+      .withMessage('Invalid dispute status'),
+    query('priority')
+      .optional()
+      .isIn(['normal', 'high', 'urgent'])
+      .withMessage('Invalid dispute priority'),
+    query('subjectType')
+      .optional()
+      .isIn(['job', 'booking'])
+      .withMessage('Subject type must be job or booking'),
+    query('overdue')
+      .optional()
+      .isBoolean()
+      .withMessage('Overdue must be true or false'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer')
+      .toInt(),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+      .toInt(),
+    handleValidationErrors
+  ],
+
+  statement: [
+    commonValidations.id(),
+    body('message')
+      .trim()
+      .isLength({ min: 1, max: 5000 })
+      .withMessage('Message must be between 1 and 5000 characters'),
+    body('parentId')
+      .optional({ nullable: true })
+      .isUUID()
+      .withMessage('Parent statement must be a valid UUID'),
+    body('evidenceIds')
+      .optional()
+      .isArray({ max: 10 })
+      .withMessage('Evidence must be a list of up to 10 evidence IDs'),
+    handleValidationErrors
+  ],
+
+  evidence: [
+    commonValidations.id(),
+    body('caption')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Caption must not exceed 200 characters'),
+    handleValidationErrors
+  ],
+
+  resolve: [
+    commonValidations.id(),
+    body('outcome')
+      .isIn(['full_refund', 'partial_refund', 'release'])
+      .withMessage('Outcome must be full_refund, partial_refund or release'),
+    body('refundAmount')
+      .if(body('outcome').equals('partial_refund'))
+      .isFloat({ min: 0.01 })
+      .withMessage('Refund amount is required for a partial refund'),
+    body('notes')
+      .trim()
+      .isLength({ min: 10, max: 2000 })
+      .withMessage('Decision notes must be between 10 and 2000 characters'),
+    handleValidationErrors
+  ]
+};
+
+// Chat validation rules (`:id` is the conversation's booking, or the message)
+const chatValidations = {
+  conversations: [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer')
+      .toInt(),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+      .toInt(),
+    handleValidationErrors
+  ],
+
+  messages: [
+    commonValidations.id(),
+    query('cursor')
+      .optional()
+      .isBase64({ urlSafe: true })
+      .withMessage('Invalid cursor'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+      .toInt(),
+    handleValidationErrors
+  ],
+
+  send: [
+    commonValidations.id(),
+    body('content')
+      .if(body('type').not().equals('location'))
+      .trim()
+      .isLength({ min: 1, max: 5000 })
+      .withMessage('Message must be between 1 and 5000 characters'),
+    body('content')
+      .optional()
+      .isString()
+      .isLength({ max: 5000 })
+      .withMessage('Message must not exceed 5000 characters'),
+    body('type')
+      .optional()
+      .isIn(['text', 'location'])
+      .withMessage('Type must be text or location; images and files are sent as attachments'),
+    body('location.latitude')
+      .if(body('type').equals('location'))
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Latitude must be between -90 and 90')
+      .toFloat(),
+    body('location.longitude')
+      .if(body('type').equals('location'))
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Longitude must be between -180 and 180')
+      .toFloat(),
+    body('location.address')
+      .optional()
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage('Address must not exceed 500 characters'),
+    body('tempId')
+      .optional()
+      .isString()
+      .isLength({ max: 100 })
+      .withMessage('Temporary ID must not exceed 100 characters'),
+    handleValidationErrors
+  ],
+
+  attachment: [
+    commonValidations.id(),
+    body('caption')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Caption must not exceed 1000 characters'),
+    body('tempId')
+      .optional()
+      .isString()
+      .isLength({ max: 100 })
+      .withMessage('Temporary ID must not exceed 100 characters'),
+    handleValidationErrors
+  ],
+
+  download: [
+    param('messageId')
+      .isUUID()
+      .withMessage('Invalid message ID'),
+    param('attachmentId')
+      .isUUID()
+      .withMessage('Invalid attachment ID'),
+    param('variant')
+      .optional()
+      .equals('thumbnail')
+      .withMessage('Unknown attachment variant'),
+    query('expires')
+      .isInt({ min: 1 })
+      .withMessage('Download link is missing its expiry'),
+    query('signature')
+      .isString()
+      .notEmpty()
+      .withMessage('Download link is missing its signature'),
+    handleValidationErrors
+  ],
+
+  read: [
+    commonValidations.id(),
+    body('messageIds')
+      .optional()
+      .isArray({ max: 500 })
+      .withMessage('Message IDs must be a list of up to 500 IDs'),
+    body('messageIds.*')
+      .isUUID()
+      .withMessage('Message IDs must be valid UUIDs'),
+    handleValidationErrors
+  ],
+
+  search: [
+    query('q')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Search query must be between 2 and 100 characters'),
+    query('conversationId')
+      .optional()
+      .isUUID()
+      .withMessage('Conversation ID must be a valid UUID'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer')
+      .toInt(),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50')
+      .toInt(),
+    handleValidationErrors
+  ],
+
+  edit: [
+    commonValidations.id(),
+    body('content')
+      .trim()
+      .isLength({ min: 1, max: 5000 })
+      .withMessage('Message must be between 1 and 5000 characters'),
+    handleValidationErrors
+  ]
+};
+
+// Notification validation rules
+const notificationPreferenceFields = ['push', 'email', 'sms', 'jobAlerts', 'paymentAlerts', 'chatMessages', 'marketing'];
+const notificationSettingFields = [...notificationPreferenceFields, 'quietHours'];
+const clockTimePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const notificationValidations = {
+  list: [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer')
+      .toInt(),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+      .toInt(),
+    query('unreadOnly')
+      .optional()
+      .isBoolean()
+      .withMessage('unreadOnly must be true or false')
+      .toBoolean(),
+    query('type')
+      .optional()
+      .isString()
+      .isLength({ max: 50 })
+      .withMessage('Type must not exceed 50 characters'),
+    handleValidationErrors
+  ],
+
+  preferences: [
+    ...notificationPreferenceFields.map(field => body(field)
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage(`${field} must be true or false`)),
+    body('quietHours')
+      .optional()
+      .custom(value => value !== null && typeof value === 'object' && !Array.isArray(value))
+      .withMessage('Quiet hours must be an object'),
+    body('quietHours.enabled')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('quietHours.enabled must be true or false'),
+    body(['quietHours.start', 'quietHours.end'])
+      .optional()
+      .matches(clockTimePattern)
+      .withMessage('Quiet hours must use 24-hour HH:MM times'),
+    body()
+      .custom(value => Object.keys(value || {}).some(key => notificationSettingFields.includes(key)))
+      .withMessage(`Provide at least one of: ${notificationSettingFields.join(', ')}`),
+    handleValidationErrors
+  ],
+
+  subscribe: [
+    body('token')
+      .custom(value => (typeof value === 'string' && value.length > 0 && value.length <= 4096) ||
+        (value !== null && typeof value === 'object' && !Array.isArray(value)))
+      .withMessage('Token must be an FCM registration token or a web push subscription'),
+    body('type')
+      .optional()
+      .isIn(['firebase', 'webpush'])
+      .withMessage('Type must be firebase or webpush'),
+    body('platform')
+      .isIn(['ios', 'android', 'web'])
+      .withMessage('Platform must be ios, android or web'),
+    body('appVersion')
+      .optional()
+      .isString()
+      .isLength({ max: 20 })
+      .withMessage('App version must not exceed 20 characters'),
+    handleValidationErrors
+  ],
+
+  unsubscribe: [
+    body('token')
+      .custom(value => (typeof value === 'string' && value.length > 0) ||
+        (value !== null && typeof value === 'object' && !Array.isArray(value)))
+      .withMessage('Token is required'),
+    handleValidationErrors
+  ]
+};
+
 // File upload validation
 const fileValidations = {
   profilePicture: [
@@ -444,6 +1029,170 @@ const fileValidations = {
   ]
 };
 
+// KYC verification validation rules
+const kycDateOfBirth = body('dateOfBirth')
+  .optional()
+  .isISO8601({ strict: true })
+  .withMessage('Date of birth must be a valid date (YYYY-MM-DD)')
+  .customSanitizer(value => value.slice(0, 10));
+
+const verificationDocumentTypes = ['id_card', 'business_license', 'certification'];
+
+const verificationValidations = {
+  nin: [
+    body('nin')
+      .matches(/^\d{11}$/)
+      .withMessage('NIN must be 11 digits'),
+    kycDateOfBirth,
+    handleValidationErrors
+  ],
+
+  bvn: [
+    body('bvn')
+      .matches(/^\d{11}$/)
+      .withMessage('BVN must be 11 digits'),
+    kycDateOfBirth,
+    handleValidationErrors
+  ],
+
+  bankAccount: [
+    body('accountNumber')
+      .matches(/^\d{10}$/)
+      .withMessage('Account number must be a 10-digit NUBAN'),
+    body('bankCode')
+      .matches(/^\d{3,6}$/)
+      .withMessage('Bank code must be 3 to 6 digits'),
+    handleValidationErrors
+  ],
+
+  status: [
+    param('userId')
+      .optional()
+      .isUUID()
+      .withMessage('Invalid user ID'),
+    handleValidationErrors
+  ],
+
+  document: [
+    body('documentType')
+      .isIn(verificationDocumentTypes)
+      .withMessage(`Document type must be one of: ${verificationDocumentTypes.join(', ')}`),
+    handleValidationErrors
+  ],
+
+  documentFile: [
+    param('id')
+      .isUUID()
+      .withMessage('Invalid document ID'),
+    query('expires')
+      .isInt({ min: 1 })
+      .withMessage('Download link is missing its expiry'),
+    query('signature')
+      .isString()
+      .notEmpty()
+      .withMessage('Download link is missing its signature'),
+    handleValidationErrors
+  ],
+
+  // Admin review queue
+  documentQueue: [
+    query('status')
+      .optional()
+      .isIn(['pending', 'approved', 'rejected', 'superseded'])
+      .withMessage('Invalid document status'),
+    query('documentType')
+      .optional()
+      .isIn(verificationDocumentTypes)
+      .withMessage('Invalid document type'),
+    query('userId')
+      .optional()
+      .isUUID()
+      .withMessage('Invalid user ID'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer')
+      .toInt(),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+      .toInt(),
+    handleValidationErrors
+  ],
+
+  documentReview: [
+    param('id')
+      .isUUID()
+      .withMessage('Invalid document ID'),
+    body('reasonCode')
+      .optional()
+      .isString()
+      .isLength({ max: 50 })
+      .withMessage('Reason code must be a short string'),
+    body('note')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 1000 })
+      .withMessage('Note must be between 1 and 1000 characters'),
+    handleValidationErrors
+  ],
+
+  documentAudit: [
+    query(['actorId', 'userId', 'documentId'])
+      .optional()
+      .isUUID()
+      .withMessage('Invalid ID filter'),
+    query('action')
+      .optional()
+      .isIn(['submitted', 'viewed', 'approved', 'rejected', 'superseded'])
+      .withMessage('Invalid audit action'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer')
+      .toInt(),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+      .toInt(),
+    handleValidationErrors
+  ]
+};
+
+const creditRatingPeriods = ['1month', '3months', '6months', '1year', 'all'];
+
+const creditRatingValidations = {
+  rating: [
+    param('userId')
+      .isUUID()
+      .withMessage('Invalid user ID'),
+    handleValidationErrors
+  ],
+
+  history: [
+    param('userId')
+      .isUUID()
+      .withMessage('Invalid user ID'),
+    query('period')
+      .optional()
+      .isIn(creditRatingPeriods)
+      .withMessage(`Period must be one of: ${creditRatingPeriods.join(', ')}`),
+    handleValidationErrors
+  ],
+
+  bulkUpdate: [
+    body('userIds')
+      .isArray({ min: 1, max: 100 })
+      .withMessage('User IDs must be a list of 1 to 100 IDs'),
+    body('userIds.*')
+      .isUUID()
+      .withMessage('Invalid user ID'),
+    handleValidationErrors
+  ]
+};
+
 module.exports = {
   handleValidationErrors,
   commonValidations,
@@ -451,5 +1200,12 @@ module.exports = {
   serviceValidations,
   bookingValidations,
   paymentValidations,
+  jobValidations,
+  reviewValidations,
+  disputeValidations,
+  chatValidations,
+  notificationValidations,
+  verificationValidations,
+  creditRatingValidations,
   fileValidations
 };
\ No newline at end of file
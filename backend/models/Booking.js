@@ -382,58 +382,6 @@ Booking.prototype.addTimelineEvent = async function(event, description, actor =
   return this.update({ timeline });
 };
 
-Booking.prototype.confirm = async function() {
-  const updates = {
-    status: 'confirmed',
-    confirmedAt: new Date(),
-    expiresAt: null
-  };
-  
-  await this.addTimelineEvent('booking_confirmed', 'Booking confirmed by provider', 'provider');
-  return this.update(updates);
-};
-
-Booking.prototype.start = async function() {
-  const updates = {
-    status: 'in_progress',
-    startedAt: new Date(),
-    actualStartTime: new Date()
-  };
-  
-  await this.addTimelineEvent('service_started', 'Service started', 'provider');
-  return this.update(updates);
-};
-
-Booking.prototype.complete = async function() {
-  const updates = {
-    status: 'completed',
-    completedAt: new Date(),
-    actualEndTime: new Date()
-  };
-  
-  await this.addTimelineEvent('service_completed', 'Service completed', 'provider');
-  return this.update(updates);
-};
-
-Booking.prototype.cancel = async function(reason, cancelledBy = 'requester') {
-  const cancellation = {
-    cancelledBy,
-    reason,
-    cancelledAt: new Date(),
-    refundAmount: this.calculateRefundAmount(),
-    refundStatus: 'pending'
-  };
-  
-  const updates = {
-    status: 'cancelled',
-    cancelledAt: new Date(),
-    cancellation
-  };
-  
-  await this.addTimelineEvent('booking_cancelled', `Booking cancelled by ${cancelledBy}: ${reason}`, cancelledBy);
-  return this.update(updates);
-};
-
 Booking.prototype.calculateRefundAmount = function() {
   const now = new Date();
   const scheduledDateTime = new Date(`${this.scheduledDate} ${this.scheduledTime}`);
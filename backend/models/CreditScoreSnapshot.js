@@ -0,0 +1,75 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A user's credit score as calculated at one point in time; the series is the rating history
+const CreditScoreSnapshot = sequelize.define('CreditScoreSnapshot', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  score: {
+    type: DataTypes.DECIMAL(4, 1),
+    allowNull: false
+  },
+  tier: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  // { verification, transactions, activity, financial }, each 0-100
+  breakdown: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  // Per-factor component scores; null where the user has no data for a component
+  components: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  // The raw counts and rates the components were derived from
+  metrics: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  // Points each factor and component added to the score, out of their maximum
+  contributions: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  // Reason codes for the points missing, e.g. dispute_rate, new_account; most costly first
+  reasons: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  // Score, factor, component and reason changes since the previous snapshot; null for the first
+  changes: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  // What caused the recalculation, e.g. booking, review, kyc, scheduled
+  trigger: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    defaultValue: 'manual'
+  }
+}, {
+  tableName: 'credit_score_snapshots',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['user_id', 'created_at']
+    }
+  ]
+});
+
+module.exports = CreditScoreSnapshot;
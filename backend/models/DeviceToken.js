@@ -0,0 +1,64 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * A device registered for push notifications: an FCM registration token for
+ * the mobile apps, or a serialized web-push subscription for browsers.
+ * Tokens are unique across users; registering one again moves it to the
+ * signed-in user.
+ */
+const DeviceToken = sequelize.define('DeviceToken', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.ENUM('firebase', 'webpush'),
+    allowNull: false
+  },
+  token: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  // SHA-256 of the token; web-push subscriptions are too long to index directly
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  platform: {
+    type: DataTypes.ENUM('ios', 'android', 'web'),
+    allowNull: false
+  },
+  appVersion: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'device_tokens',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['token_hash']
+    },
+    {
+      fields: ['user_id']
+    }
+  ]
+});
+
+module.exports = DeviceToken;
@@ -0,0 +1,202 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A disagreement over a funded job or booking. While it is open the payment's
+// escrow is frozen; an admin's decision refunds it, releases it or splits it.
+const Dispute = sequelize.define('Dispute', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  disputeNumber: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true
+  },
+  subjectType: {
+    type: DataTypes.ENUM('job', 'booking'),
+    allowNull: false
+  },
+  jobId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'jobs',
+      key: 'id'
+    }
+  },
+  bookingId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'bookings',
+      key: 'id'
+    }
+  },
+  paymentId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'payments',
+      key: 'id'
+    }
+  },
+  // The party who opened the dispute and the one it is against
+  claimantId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  respondentId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  disputeType: {
+    type: DataTypes.ENUM('quality', 'incomplete', 'payment', 'no_show', 'other'),
+    allowNull: false,
+    defaultValue: 'other'
+  },
+  reason: {
+    type: DataTypes.STRING(200),
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    validate: {
+      len: [10, 5000]
+    }
+  },
+  proposedResolution: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Uploaded files: { id, url, filename, mimetype, size, caption, uploadedBy, uploadedAt }
+  evidence: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  // resolving: the decision is recorded and its refund and release are under way
+  status: {
+    type: DataTypes.ENUM('open', 'under_review', 'resolving', 'resolved'),
+    allowNull: false,
+    defaultValue: 'open'
+  },
+  priority: {
+    type: DataTypes.ENUM('normal', 'high', 'urgent'),
+    allowNull: false,
+    defaultValue: 'normal'
+  },
+  // SLA deadlines: the respondent's first statement, then the admin decision
+  respondBy: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  respondedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  resolveBy: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  escalatedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  overdueAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // { outcome, refundAmount, releasedAmount, notes }; while resolving, { outcome, requestedRefund, notes }
+  decision: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  resolvedById: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  resolvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'disputes',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['dispute_number']
+    },
+    {
+      fields: ['job_id']
+    },
+    {
+      fields: ['booking_id']
+    },
+    {
+      fields: ['payment_id']
+    },
+    {
+      fields: ['claimant_id']
+    },
+    {
+      fields: ['respondent_id']
+    },
+    {
+      fields: ['status', 'resolve_by']
+    }
+  ]
+});
+
+// Fill the dispute number before NOT NULL validation runs
+Dispute.beforeValidate(async (dispute) => {
+  if (dispute.isNewRecord && !dispute.disputeNumber) {
+    const timestamp = Date.now().toString();
+    const random = Math.random().toString(36).substring(2, 6).toUpperCase();
+    dispute.disputeNumber = `DSP${timestamp}${random}`;
+  }
+});
+
+// Instance methods
+Dispute.prototype.isResolved = function() {
+  return this.status === 'resolved';
+};
+
+// Decided, whether or not the money has finished moving
+Dispute.prototype.isDecided = function() {
+  return this.status === 'resolving' || this.isResolved();
+};
+
+// The user's side of the dispute, or null if they are not part of it
+Dispute.prototype.getPartyRole = function(user) {
+  if (this.claimantId === user.id) {
+    return 'claimant';
+  }
+
+  if (this.respondentId === user.id) {
+    return 'respondent';
+  }
+
+  return user.userType === 'admin' ? 'admin' : null;
+};
+
+Dispute.prototype.getSubjectId = function() {
+  return this.subjectType === 'job' ? this.jobId : this.bookingId;
+};
+
+module.exports = Dispute;
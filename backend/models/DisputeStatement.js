@@ -0,0 +1,65 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A statement in a dispute's thread; replies point at the statement they answer
+const DisputeStatement = sequelize.define('DisputeStatement', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  disputeId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'disputes',
+      key: 'id'
+    }
+  },
+  authorId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  authorRole: {
+    type: DataTypes.ENUM('claimant', 'respondent', 'admin'),
+    allowNull: false
+  },
+  parentId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'dispute_statements',
+      key: 'id'
+    }
+  },
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    validate: {
+      len: [1, 5000]
+    }
+  },
+  // Ids of dispute evidence the statement refers to
+  evidenceIds: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  }
+}, {
+  tableName: 'dispute_statements',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['dispute_id', 'created_at']
+    },
+    {
+      fields: ['parent_id']
+    }
+  ]
+});
+
+module.exports = DisputeStatement;
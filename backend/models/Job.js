@@ -0,0 +1,268 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Job = sequelize.define('Job', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  title: {
+    type: DataTypes.STRING(200),
+    allowNull: false,
+    validate: {
+      len: [5, 200]
+    }
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    validate: {
+      len: [20, 5000]
+    }
+  },
+  category: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  subcategory: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  skills: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  amount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    validate: {
+      min: 0.01
+    }
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'NGN'
+  },
+  budgetType: {
+    type: DataTypes.ENUM('fixed', 'hourly'),
+    allowNull: false,
+    defaultValue: 'fixed'
+  },
+  // Amount agreed with the provider when an application is accepted
+  agreedAmount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: true
+  },
+  deadline: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  location: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  locationType: {
+    type: DataTypes.ENUM('remote', 'onsite', 'hybrid'),
+    allowNull: false,
+    defaultValue: 'remote'
+  },
+  status: {
+    type: DataTypes.ENUM(
+      'pending',
+      'accepted',
+      'in_progress',
+      'completed',
+      'satisfied',
+      'disputed',
+      'resolved',
+      'cancelled'
+    ),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  priority: {
+    type: DataTypes.ENUM('low', 'medium', 'high', 'urgent'),
+    allowNull: false,
+    defaultValue: 'medium'
+  },
+  requesterId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  providerId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  paymentId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'payments',
+      key: 'id'
+    }
+  },
+  estimatedDuration: {
+    type: DataTypes.STRING(50), // e.g. '2 weeks', '3 days'
+    allowNull: true
+  },
+  attachments: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  requirements: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  deliverables: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  completionNotes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  contactPreference: {
+    type: DataTypes.ENUM('chat', 'phone', 'email'),
+    allowNull: false,
+    defaultValue: 'chat'
+  },
+  applicationCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  viewCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  rating: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: {
+      requesterRating: null,
+      providerRating: null,
+      requesterReview: null,
+      providerReview: null,
+      requesterCategories: null,
+      providerCategories: null,
+      ratedAt: null
+    }
+  },
+  timeline: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: []
+  },
+  cancellation: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: {
+      cancelledBy: null, // 'requester', 'provider', 'admin'
+      reason: null,
+      cancelledAt: null
+    }
+  },
+  acceptedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  satisfiedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  disputedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  resolvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  cancelledAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'jobs',
+  timestamps: true,
+  paranoid: true, // Soft delete
+  indexes: [
+    {
+      fields: ['requester_id']
+    },
+    {
+      fields: ['provider_id']
+    },
+    {
+      fields: ['status']
+    },
+    {
+      fields: ['category']
+    },
+    {
+      fields: ['created_at']
+    }
+  ]
+});
+
+// Hooks
+Job.beforeCreate(async (job) => {
+  job.timeline = [{
+    event: 'job_created',
+    timestamp: new Date(),
+    description: 'Job posted',
+    actor: 'requester'
+  }];
+});
+
+// Instance methods
+Job.prototype.addTimelineEvent = async function(event, description, actor = 'system') {
+  const timeline = [...(this.timeline || []), {
+    event,
+    timestamp: new Date(),
+    description,
+    actor
+  }];
+
+  return this.update({ timeline });
+};
+
+Job.prototype.isParticipant = function(userId) {
+  return this.requesterId === userId || this.providerId === userId;
+};
+
+Job.prototype.addRating = async function(rating, review, categories, ratedBy = 'requester') {
+  const ratingData = {
+    ...this.rating,
+    [`${ratedBy}Rating`]: rating,
+    [`${ratedBy}Review`]: review,
+    [`${ratedBy}Categories`]: categories,
+    ratedAt: new Date()
+  };
+
+  await this.addTimelineEvent('rating_added', `Rating added by ${ratedBy}: ${rating}/5`, ratedBy);
+  return this.update({ rating: ratingData });
+};
+
+module.exports = Job;
@@ -0,0 +1,79 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const JobApplication = sequelize.define('JobApplication', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  jobId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'jobs',
+      key: 'id'
+    }
+  },
+  applicantId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  coverLetter: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  proposedAmount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: true
+  },
+  estimatedCompletion: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  portfolio: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  answers: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: {}
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'accepted', 'rejected', 'withdrawn'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  appliedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  respondedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'job_applications',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['job_id', 'applicant_id']
+    },
+    {
+      fields: ['applicant_id']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+module.exports = JobApplication;
@@ -0,0 +1,111 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One price proposal in the negotiation between a job's requester and a provider.
+// Each provider's bids and the requester's counters form a thread (jobId + providerId).
+const JobOffer = sequelize.define('JobOffer', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  jobId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'jobs',
+      key: 'id'
+    }
+  },
+  applicationId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'job_applications',
+      key: 'id'
+    }
+  },
+  // The provider the thread is with, whoever made this offer
+  providerId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  authorId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  authorRole: {
+    type: DataTypes.ENUM('provider', 'requester'),
+    allowNull: false
+  },
+  amount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    validate: {
+      min: 0.01
+    }
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'NGN'
+  },
+  estimatedCompletion: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    validate: {
+      len: [0, 1000]
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'countered', 'accepted', 'rejected', 'withdrawn'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  // The offer this one answers, if it is a counter-offer
+  counterToId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'job_offers',
+      key: 'id'
+    }
+  },
+  respondedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'job_offers',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['job_id', 'provider_id']
+    },
+    {
+      fields: ['application_id']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+// Instance methods
+JobOffer.prototype.isPending = function() {
+  return this.status === 'pending';
+};
+
+module.exports = JobOffer;
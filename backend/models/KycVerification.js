@@ -0,0 +1,99 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * One identity check against an external registry: NIN (NIMC), BVN, or a
+ * CBN bank-account ownership check. Raw identity numbers are never stored;
+ * identifierHash, an HMAC keyed with KYC_IDENTIFIER_SECRET, lets us stop the
+ * same NIN or BVN verifying two accounts, maskedIdentifier is what the user
+ * sees. Successful checks lapse at expiresAt and must be repeated.
+ */
+const KycVerification = sequelize.define('KycVerification', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  checkType: {
+    type: DataTypes.ENUM('nin', 'bvn', 'cbn'),
+    allowNull: false
+  },
+  provider: {
+    type: DataTypes.STRING(30),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('verified', 'mismatch', 'not_found', 'error', 'expired'),
+    allowNull: false
+  },
+  // SHA-256 of the identifier (for cbn, bank code and account number)
+  identifierHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  maskedIdentifier: {
+    type: DataTypes.STRING(30),
+    allowNull: false
+  },
+  // 0-1 similarity between the registry record and the user's profile
+  matchScore: {
+    type: DataTypes.DECIMAL(4, 3),
+    allowNull: true
+  },
+  // Per-field outcome, e.g. { firstName: { score, matched }, dateOfBirth: { matched } }
+  matchDetails: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: {}
+  },
+  // The registry fields we use later (the date of birth for NIN and BVN checks); the rest is not kept
+  registryRecord: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: {}
+  },
+  providerReference: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  failureReason: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  verifiedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'kyc_verifications',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['user_id', 'check_type']
+    },
+    {
+      fields: ['identifier_hash']
+    },
+    {
+      fields: ['status', 'expires_at']
+    }
+  ]
+});
+
+KycVerification.prototype.isCurrent = function(now = new Date()) {
+  return this.status === 'verified' && (!this.expiresAt || this.expiresAt > now);
+};
+
+module.exports = KycVerification;
@@ -0,0 +1,76 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Accounts that carry a credit-normal balance (money the platform owes or has earned)
+const CREDIT_NORMAL_TYPES = ['wallet', 'escrow', 'platform_fee', 'payout_clearing'];
+
+const LedgerAccount = sequelize.define('LedgerAccount', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  code: {
+    type: DataTypes.STRING(120),
+    allowNull: false,
+    unique: true
+  },
+  accountType: {
+    type: DataTypes.ENUM(
+      'wallet',           // Funds a user can withdraw
+      'escrow',           // Funds held on behalf of a payee until release
+      'platform_fee',     // Platform commission revenue
+      'gateway_clearing', // Money collected by payment gateways
+      'payout_clearing'   // Withdrawals sent to a gateway but not yet settled
+    ),
+    allowNull: false
+  },
+  ownerId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'NGN'
+  },
+  normalBalance: {
+    type: DataTypes.ENUM('debit', 'credit'),
+    allowNull: false,
+    defaultValue: 'credit'
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'ledger_accounts',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['code']
+    },
+    {
+      fields: ['owner_id']
+    },
+    {
+      fields: ['account_type', 'currency']
+    }
+  ]
+});
+
+// Static methods
+LedgerAccount.buildCode = function(accountType, ownerId = null, currency = 'NGN') {
+  return [accountType, ownerId || 'platform', currency.toUpperCase()].join(':');
+};
+
+LedgerAccount.normalBalanceFor = function(accountType) {
+  return CREDIT_NORMAL_TYPES.includes(accountType) ? 'credit' : 'debit';
+};
+
+module.exports = LedgerAccount;
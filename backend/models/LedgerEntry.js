@@ -0,0 +1,70 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const LedgerEntry = sequelize.define('LedgerEntry', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  journalId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'ledger_journals',
+      key: 'id'
+    }
+  },
+  accountId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'ledger_accounts',
+      key: 'id'
+    }
+  },
+  paymentId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'payments',
+      key: 'id'
+    }
+  },
+  direction: {
+    type: DataTypes.ENUM('debit', 'credit'),
+    allowNull: false
+  },
+  amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    validate: {
+      min: 0.01
+    }
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'NGN'
+  },
+  memo: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  }
+}, {
+  tableName: 'ledger_entries',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['journal_id']
+    },
+    {
+      fields: ['account_id']
+    },
+    {
+      fields: ['payment_id']
+    }
+  ]
+});
+
+module.exports = LedgerEntry;
@@ -0,0 +1,82 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const LedgerJournal = sequelize.define('LedgerJournal', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  reference: {
+    type: DataTypes.STRING(150),
+    allowNull: false,
+    unique: true
+  },
+  journalType: {
+    type: DataTypes.ENUM(
+      'payment_capture',
+      'escrow_hold',
+      'escrow_release',
+      'refund',
+      'withdrawal',
+      'withdrawal_paid',
+      'withdrawal_reversal',
+      'adjustment'
+    ),
+    allowNull: false
+  },
+  paymentId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'payments',
+      key: 'id'
+    }
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'NGN'
+  },
+  amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    validate: {
+      min: 0
+    }
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  metadata: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: {}
+  },
+  postedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'ledger_journals',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['reference']
+    },
+    {
+      fields: ['payment_id']
+    },
+    {
+      fields: ['journal_type']
+    },
+    {
+      fields: ['posted_at']
+    }
+  ]
+});
+
+module.exports = LedgerJournal;
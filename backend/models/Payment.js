@@ -1,5 +1,6 @@
-const { DataTypes } = require('sequelize');
+const { DataTypes, Op } = require('sequelize');
 const { sequelize } = require('../config/database');
+const Refund = require('./Refund');
 
 const Payment = sequelize.define('Payment', {
   id: {
@@ -12,14 +13,20 @@ const Payment = sequelize.define('Payment', {
     allowNull: false,
     unique: true
   },
+  // Set for booking payments; job payments reference the job instead
   bookingId: {
     type: DataTypes.UUID,
-    allowNull: false,
+    allowNull: true,
     references: {
       model: 'bookings',
       key: 'id'
     }
   },
+  // No foreign key constraint: jobs already reference their payment
+  jobId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
   payerId: {
     type: DataTypes.UUID,
     allowNull: false,
@@ -48,11 +55,20 @@ const Payment = sequelize.define('Payment', {
     allowNull: false,
     defaultValue: 'NGN'
   },
+  // Units of the base currency per unit of `currency` when the payment was created
   exchangeRate: {
-    type: DataTypes.DECIMAL(10, 6),
+    type: DataTypes.DECIMAL(18, 8),
     allowNull: true,
     defaultValue: 1.000000
   },
+  exchangeRateSource: {
+    type: DataTypes.STRING(30),
+    allowNull: true
+  },
+  exchangeRateFetchedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   amountInBaseCurrency: {
     type: DataTypes.DECIMAL(15, 2),
     allowNull: false
@@ -60,6 +76,7 @@ const Payment = sequelize.define('Payment', {
   paymentType: {
     type: DataTypes.ENUM(
       'booking_payment',
+      'job_payment',
       'advance_payment',
       'remaining_payment',
       'refund',
@@ -77,6 +94,7 @@ const Payment = sequelize.define('Payment', {
     type: DataTypes.ENUM(
       'card',
       'bank_transfer',
+      'ussd',
       'mobile_money',
       'wallet',
       'cash',
@@ -95,7 +113,8 @@ const Payment = sequelize.define('Payment', {
       'paypal',
       'razorpay',
       'internal',
-      'manual'
+      'manual',
+      'mock'
     ),
     allowNull: false,
     defaultValue: 'paystack'
@@ -115,6 +134,7 @@ const Payment = sequelize.define('Payment', {
       'completed',
       'failed',
       'cancelled',
+      'partially_refunded',
       'refunded',
       'disputed',
       'expired'
@@ -143,6 +163,7 @@ const Payment = sequelize.define('Payment', {
       platformFee: 0,
       gatewayFee: 0,
       processingFee: 0,
+      vat: 0,
       totalFees: 0
     }
   },
@@ -168,16 +189,11 @@ const Payment = sequelize.define('Payment', {
       authorizationCode: null
     }
   },
-  refundDetails: {
-    type: DataTypes.JSON,
-    allowNull: true,
-    defaultValue: {
-      refundId: null,
-      refundAmount: 0,
-      refundReason: null,
-      refundedAt: null,
-      refundMethod: null
-    }
+  // Sum of succeeded refunds; individual refunds live in the refunds table
+  refundedAmount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    defaultValue: 0
   },
   disputeDetails: {
     type: DataTypes.JSON,
@@ -202,6 +218,10 @@ const Payment = sequelize.define('Payment', {
       holdPeriod: 0
     }
   },
+  escrowReleaseAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   recurringDetails: {
     type: DataTypes.JSON,
     allowNull: true,
@@ -330,6 +350,9 @@ const Payment = sequelize.define('Payment', {
     {
       fields: ['booking_id']
     },
+    {
+      fields: ['job_id']
+    },
     {
       fields: ['payer_id']
     },
@@ -354,6 +377,9 @@ const Payment = sequelize.define('Payment', {
     {
       fields: ['completed_at']
     },
+    {
+      fields: ['escrow_release_at']
+    },
     {
       fields: ['amount']
     },
@@ -363,26 +389,51 @@ const Payment = sequelize.define('Payment', {
   ]
 });
 
+// The ledger service depends on the models, so resolve it lazily
+const getLedgerService = () => require('../services/ledgerService');
+const getExchangeRateService = () => require('../services/exchangeRateService');
+const getFeeService = () => require('../services/feeService');
+
+// Run work in the caller's transaction or a new one
+const runInTransaction = (options, work) => (
+  options.transaction ? work(options.transaction) : sequelize.transaction(work)
+);
+
 // Hooks
+// Derived columns are filled before validation so NOT NULL checks pass
+Payment.beforeValidate(async (payment) => {
+  if (!payment.isNewRecord) {
+    return;
+  }
+
+  // Generate unique transaction ID; it doubles as our gateway reference
+  if (!payment.transactionId) {
+    const timestamp = Date.now().toString();
+    const random = Math.random().toString(36).substring(2, 8).toUpperCase();
+    payment.transactionId = `TXN${timestamp}${random}`;
+  }
+
+  // Snapshot the rate unless the caller already did
+  if (!payment.exchangeRateSource) {
+    Object.assign(payment, await getExchangeRateService().snapshot(payment.currency));
+  }
+
+  // Calculate amount in base currency
+  payment.amountInBaseCurrency = Math.round(payment.amount * (payment.exchangeRate || 1) * 100) / 100;
+});
+
 Payment.beforeCreate(async (payment) => {
-  // Generate unique transaction ID
-  const timestamp = Date.now().toString();
-  const random = Math.random().toString(36).substring(2, 8).toUpperCase();
-  payment.transactionId = `TXN${timestamp}${random}`;
-  
   // Set expiration time (30 minutes for pending payments)
   if (payment.status === 'pending') {
     payment.expiresAt = new Date(Date.now() + 30 * 60 * 1000);
   }
   
-  // Calculate amount in base currency
-  payment.amountInBaseCurrency = payment.amount * payment.exchangeRate;
-  
   // Calculate total fees
   if (payment.fees) {
     payment.fees.totalFees = (payment.fees.platformFee || 0) + 
                             (payment.fees.gatewayFee || 0) + 
-                            (payment.fees.processingFee || 0);
+                            (payment.fees.processingFee || 0) +
+                            (payment.fees.vat || 0);
   }
 });
 
@@ -416,7 +467,7 @@ Payment.prototype.markAsProcessing = async function() {
   });
 };
 
-Payment.prototype.markAsCompleted = async function(gatewayData = {}) {
+Payment.prototype.markAsCompleted = async function(gatewayData = {}, options = {}) {
   const updates = {
     status: 'completed',
     completedAt: new Date()
@@ -434,7 +485,11 @@ Payment.prototype.markAsCompleted = async function(gatewayData = {}) {
     updates.webhookData = gatewayData.webhookData;
   }
   
-  return this.update(updates);
+  return runInTransaction(options, async (transaction) => {
+    await this.update(updates, { transaction });
+    await getLedgerService().recordPaymentCapture(this, { transaction });
+    return this;
+  });
 };
 
 Payment.prototype.markAsFailed = async function(errorMessage, errorCode = null) {
@@ -442,7 +497,8 @@ Payment.prototype.markAsFailed = async function(errorMessage, errorCode = null)
     status: 'failed',
     failedAt: new Date(),
     errorMessage,
-    attempts: this.attempts + 1
+    attempts: this.attempts + 1,
+    lastAttemptAt: new Date()
   };
   
   if (errorCode) {
@@ -454,41 +510,115 @@ Payment.prototype.markAsFailed = async function(errorMessage, errorCode = null)
     const retryDelay = Math.pow(2, this.attempts) * 60 * 1000; // Exponential backoff
     updates.nextRetryAt = new Date(Date.now() + retryDelay);
     updates.status = 'pending'; // Keep as pending for retry
+  } else {
+    updates.nextRetryAt = null;
   }
   
   return this.update(updates);
 };
 
-Payment.prototype.processRefund = async function(refundAmount, reason, refundMethod = null) {
-  const refundDetails = {
-    refundId: `REF${Date.now()}${Math.random().toString(36).substring(2, 6).toUpperCase()}`,
-    refundAmount: refundAmount || this.amount,
-    refundReason: reason,
-    refundedAt: new Date(),
-    refundMethod: refundMethod || this.paymentMethod
-  };
-  
-  return this.update({
-    status: 'refunded',
-    refundedAt: new Date(),
-    refundDetails
+// Statuses a payment can still be (further) refunded from
+const REFUNDABLE_STATUSES = ['completed', 'partially_refunded', 'disputed'];
+
+Payment.prototype.canBeRefunded = function() {
+  return REFUNDABLE_STATUSES.includes(this.status);
+};
+
+// Captured amount not yet refunded or reserved by a pending refund
+Payment.prototype.getRefundableAmount = async function(options = {}) {
+  const committed = await Refund.sum('amount', {
+    where: {
+      paymentId: this.id,
+      status: ['pending', 'succeeded', 'needs_reconciliation']
+    },
+    transaction: options.transaction
+  }) || 0;
+
+  return Math.round((parseFloat(this.amount) - parseFloat(committed)) * 100) / 100;
+};
+
+// Apply a succeeded refund to the payment totals, status and ledger
+Payment.prototype.applyRefund = async function(refund, options = {}) {
+  return runInTransaction(options, async (transaction) => {
+    // Another refund may have landed since this instance was loaded
+    await this.reload({ transaction, lock: transaction.LOCK.UPDATE });
+
+    const refundedAmount = Math.round((parseFloat(this.refundedAmount || 0) + parseFloat(refund.amount)) * 100) / 100;
+    const fullyRefunded = refundedAmount >= parseFloat(this.amount);
+    const updates = {
+      refundedAmount,
+      status: fullyRefunded ? 'refunded' : 'partially_refunded'
+    };
+
+    // Nothing is left to release once everything has gone back to the payer
+    if (fullyRefunded) {
+      updates.escrowReleaseAt = null;
+    }
+
+    await this.update(updates, { transaction });
+
+    await getLedgerService().recordRefund(this, {
+      refundId: refund.refundNumber,
+      amount: refund.amount
+    }, { transaction });
+
+    return this;
   });
 };
 
-Payment.prototype.createDispute = async function(reason, evidence = []) {
+// Record a refund that has already been settled outside the gateway flow
+Payment.prototype.processRefund = async function(refundAmount, reason, refundMethod = null, options = {}) {
+  return runInTransaction(options, async (transaction) => {
+    const refundable = await this.getRefundableAmount({ transaction });
+    const amount = refundAmount ? parseFloat(refundAmount) : refundable;
+
+    if (amount <= 0 || amount > refundable) {
+      throw new Error(`Refund amount must be between 0.01 and ${refundable} ${this.currency}`);
+    }
+
+    const refund = await Refund.create({
+      paymentId: this.id,
+      amount,
+      currency: this.currency,
+      reason,
+      status: 'succeeded',
+      source: options.source || 'system',
+      initiatedBy: options.initiatedBy || null,
+      refundMethod: refundMethod || this.paymentMethod,
+      processedAt: new Date()
+    }, { transaction });
+
+    await this.applyRefund(refund, { transaction });
+    return refund;
+  });
+};
+
+Payment.prototype.createDispute = async function(reason, evidence = [], details = {}, options = {}) {
   const disputeDetails = {
     disputeId: `DIS${Date.now()}${Math.random().toString(36).substring(2, 6).toUpperCase()}`,
     reason,
     evidence,
     status: 'open',
     createdAt: new Date(),
-    resolvedAt: null
+    resolvedAt: null,
+    ...details
   };
   
-  return this.update({
+  const updates = {
     status: 'disputed',
     disputeDetails
-  });
+  };
+  
+  // Freeze escrowed funds until the dispute is resolved
+  if (this.isHeldInEscrow()) {
+    updates.escrowDetails = {
+      ...this.escrowDetails,
+      frozenAt: new Date()
+    };
+    updates.escrowReleaseAt = null;
+  }
+  
+  return this.update(updates, options);
 };
 
 Payment.prototype.resolveDispute = async function(resolution, winner = null) {
@@ -500,75 +630,100 @@ Payment.prototype.resolveDispute = async function(resolution, winner = null) {
     resolvedAt: new Date()
   };
   
-  const newStatus = winner === 'payer' ? 'refunded' : 'completed';
+  // Refunds made as part of the decision have already been applied
+  let newStatus = 'completed';
+  if (winner === 'payer') {
+    newStatus = 'refunded';
+  } else if (parseFloat(this.refundedAmount || 0) > 0) {
+    newStatus = 'partially_refunded';
+  }
   
-  return this.update({
+  const updates = {
     status: newStatus,
     disputeDetails
-  });
+  };
+  
+  // Lift the freeze so whatever is left in escrow can be released
+  if (this.escrowDetails?.frozenAt) {
+    updates.escrowDetails = {
+      ...this.escrowDetails,
+      frozenAt: null
+    };
+  }
+  
+  return this.update(updates);
 };
 
-Payment.prototype.holdInEscrow = async function(holdPeriod = 72, releaseCondition = 'service_completion') {
+Payment.prototype.holdInEscrow = async function(holdPeriod = 72, releaseCondition = 'service_completion', options = {}) {
+  const escrowedAt = new Date();
   const escrowDetails = {
     isEscrowed: true,
-    escrowedAt: new Date(),
+    escrowedAt,
     releasedAt: null,
     releaseCondition,
     holdPeriod // in hours
   };
   
-  return this.update({ escrowDetails });
+  return runInTransaction(options, async (transaction) => {
+    await this.update({
+      escrowDetails,
+      escrowReleaseAt: new Date(escrowedAt.getTime() + holdPeriod * 60 * 60 * 1000)
+    }, { transaction });
+    
+    // Funds only reach the ledger once the payment is completed
+    if (this.status === 'completed') {
+      const ledgerService = getLedgerService();
+      await ledgerService.recordPaymentCapture(this, { transaction });
+      await ledgerService.recordEscrowHold(this, { transaction });
+    }
+    
+    return this;
+  });
 };
 
-Payment.prototype.releaseFromEscrow = async function() {
+Payment.prototype.releaseFromEscrow = async function(releaseDetails = {}, options = {}) {
   const escrowDetails = {
     ...this.escrowDetails,
+    ...releaseDetails,
+    frozenAt: null,
     releasedAt: new Date()
   };
   
-  return this.update({
-    status: 'completed',
-    completedAt: new Date(),
-    escrowDetails
+  return runInTransaction(options, async (transaction) => {
+    await this.update({
+      status: this.status === 'partially_refunded' ? 'partially_refunded' : 'completed',
+      completedAt: this.completedAt || new Date(),
+      escrowDetails,
+      escrowReleaseAt: null
+    }, { transaction });
+    
+    const ledgerService = getLedgerService();
+    await ledgerService.recordPaymentCapture(this, { transaction });
+    await ledgerService.recordEscrowRelease(this, { transaction });
+    
+    return this;
   });
 };
 
+Payment.prototype.isHeldInEscrow = function() {
+  return !!(this.escrowDetails?.isEscrowed && !this.escrowDetails?.releasedAt);
+};
+
+// Fees for payments created without a stored breakdown, treating the amount as the subtotal
 Payment.prototype.calculateFees = function() {
-  const amount = parseFloat(this.amount);
-  let platformFee = 0;
-  let gatewayFee = 0;
-  let processingFee = 0;
-  
-  // Platform fee (2.5% of transaction amount)
-  platformFee = amount * 0.025;
-  
-  // Gateway fees based on payment method
-  switch (this.paymentGateway) {
-    case 'paystack':
-      gatewayFee = amount * 0.015 + 100; // 1.5% + ₦100
-      break;
-    case 'stripe':
-      gatewayFee = amount * 0.029 + 30; // 2.9% + $0.30
-      break;
-    case 'flutterwave':
-      gatewayFee = amount * 0.014; // 1.4%
-      break;
-    default:
-      gatewayFee = amount * 0.02; // 2% default
-  }
-  
-  // Processing fee for international transactions
-  if (this.currency !== 'NGN') {
-    processingFee = amount * 0.01; // 1% for currency conversion
-  }
-  
-  const totalFees = platformFee + gatewayFee + processingFee;
-  
+  const quote = getFeeService().calculate({
+    amount: this.amount,
+    currency: this.currency,
+    gateway: this.paymentGateway,
+    exchangeRate: parseFloat(this.exchangeRate) || 1
+  });
+
   return {
-    platformFee: Math.round(platformFee * 100) / 100,
-    gatewayFee: Math.round(gatewayFee * 100) / 100,
-    processingFee: Math.round(processingFee * 100) / 100,
-    totalFees: Math.round(totalFees * 100) / 100
+    platformFee: quote.platformFee,
+    gatewayFee: quote.gatewayFee,
+    processingFee: quote.processingFee,
+    vat: quote.vat,
+    totalFees: quote.totalFees
   };
 };
 
@@ -628,23 +783,38 @@ Payment.getPaymentStats = async function(userId, userType = 'payer') {
   return stats[0] || {};
 };
 
+// Revenue per month of the year, summed in the base currency so mixed-currency payments add up
 Payment.getMonthlyRevenue = async function(year = new Date().getFullYear()) {
-  return this.findAll({
+  const month = sequelize.getDialect() === 'sqlite'
+    ? sequelize.fn('strftime', '%m', sequelize.col('created_at'))
+    : sequelize.fn('EXTRACT', sequelize.literal('MONTH FROM "created_at"'));
+
+  const rows = await this.findAll({
     where: {
       status: 'completed',
       createdAt: {
-        [sequelize.Op.gte]: new Date(`${year}-01-01`),
-        [sequelize.Op.lt]: new Date(`${year + 1}-01-01`)
+        [Op.gte]: new Date(`${year}-01-01`),
+        [Op.lt]: new Date(`${year + 1}-01-01`)
       }
     },
     attributes: [
-      [sequelize.fn('EXTRACT', sequelize.literal('MONTH FROM "createdAt"')), 'month'],
-      [sequelize.fn('SUM', sequelize.col('amount')), 'revenue'],
+      [month, 'month'],
+      [sequelize.fn('SUM', sequelize.col('amount_in_base_currency')), 'revenue'],
       [sequelize.fn('COUNT', sequelize.col('id')), 'transactions']
     ],
-    group: [sequelize.fn('EXTRACT', sequelize.literal('MONTH FROM "createdAt"'))],
-    order: [[sequelize.fn('EXTRACT', sequelize.literal('MONTH FROM "createdAt"')), 'ASC']]
+    group: [month],
+    order: [[month, 'ASC']],
+    raw: true
   });
+
+  const { baseCurrency } = getExchangeRateService();
+
+  return rows.map(row => ({
+    month: parseInt(row.month),
+    revenue: Math.round(parseFloat(row.revenue || 0) * 100) / 100,
+    transactions: parseInt(row.transactions),
+    currency: baseCurrency
+  }));
 };
 
 Payment.getPendingPayments = async function() {
@@ -659,19 +829,20 @@ Payment.getPendingPayments = async function() {
   });
 };
 
-Payment.getFailedPaymentsForRetry = async function() {
+Payment.getFailedPaymentsForRetry = async function(limit = 50) {
   return this.findAll({
     where: {
       status: 'pending',
       attempts: {
-        [sequelize.Op.gt]: 0,
-        [sequelize.Op.lt]: sequelize.col('maxAttempts')
+        [Op.gt]: 0,
+        [Op.lt]: sequelize.col('max_attempts')
       },
       nextRetryAt: {
-        [sequelize.Op.lte]: new Date()
+        [Op.lte]: new Date()
       }
     },
-    order: [['nextRetryAt', 'ASC']]
+    order: [['nextRetryAt', 'ASC']],
+    limit
   });
 };
 
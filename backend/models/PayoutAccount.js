@@ -0,0 +1,104 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const PayoutAccount = sequelize.define('PayoutAccount', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  accountType: {
+    type: DataTypes.ENUM('bank', 'mobile_money'),
+    allowNull: false,
+    defaultValue: 'bank'
+  },
+  bankCode: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  bankName: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  accountNumber: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: {
+      notEmpty: true,
+      is: /^\d{6,20}$/
+    }
+  },
+  accountName: {
+    type: DataTypes.STRING(150),
+    allowNull: false
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'NGN'
+  },
+  gateway: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    defaultValue: 'paystack'
+  },
+  recipientCode: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  isDefault: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  isVerified: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  verifiedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  metadata: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: {}
+  }
+}, {
+  tableName: 'payout_accounts',
+  timestamps: true,
+  paranoid: true, // Soft delete
+  indexes: [
+    {
+      fields: ['user_id']
+    },
+    {
+      fields: ['user_id', 'bank_code', 'account_number']
+    }
+  ]
+});
+
+PayoutAccount.prototype.getMaskedAccountNumber = function() {
+  return `******${this.accountNumber.slice(-4)}`;
+};
+
+PayoutAccount.prototype.toJSON = function() {
+  const values = Object.assign({}, this.get());
+
+  // Add computed fields
+  values.maskedAccountNumber = this.getMaskedAccountNumber();
+
+  // Remove gateway internals
+  delete values.recipientCode;
+
+  return values;
+};
+
+module.exports = PayoutAccount;
@@ -0,0 +1,69 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ReconciliationReport = sequelize.define('ReconciliationReport', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  gateway: {
+    type: DataTypes.STRING(30),
+    allowNull: false
+  },
+  sourceName: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  format: {
+    type: DataTypes.ENUM('csv', 'json'),
+    allowNull: false
+  },
+  periodStart: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  periodEnd: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('clean', 'mismatched'),
+    allowNull: false
+  },
+  // Row counts, matched count, mismatch counts by type and amount totals
+  summary: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: {}
+  },
+  mismatches: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'reconciliation_reports',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['gateway']
+    },
+    {
+      fields: ['status']
+    },
+    {
+      fields: ['created_at']
+    }
+  ]
+});
+
+module.exports = ReconciliationReport;
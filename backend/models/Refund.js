@@ -0,0 +1,136 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Refund = sequelize.define('Refund', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  refundNumber: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true
+  },
+  paymentId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'payments',
+      key: 'id'
+    }
+  },
+  amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    validate: {
+      min: 0.01
+    }
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'NGN'
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Pending refunds count against the refundable balance until they settle or fail.
+  // needs_reconciliation: the gateway paid out but recording it failed; an admin must settle it
+  status: {
+    type: DataTypes.ENUM('pending', 'succeeded', 'failed', 'needs_reconciliation'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  source: {
+    type: DataTypes.ENUM('payer', 'provider', 'admin', 'cancellation', 'dispute', 'system'),
+    allowNull: false,
+    defaultValue: 'system'
+  },
+  // What the refund settles, e.g. booking_cancellation:<id>; one live refund per reference
+  reference: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  initiatedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  refundMethod: {
+    type: DataTypes.STRING(30),
+    allowNull: true
+  },
+  gateway: {
+    type: DataTypes.STRING(30),
+    allowNull: true
+  },
+  gatewayRefundId: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  gatewayResponse: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  failureReason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  processedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  failedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'refunds',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['payment_id']
+    },
+    {
+      fields: ['status']
+    },
+    {
+      fields: ['gateway_refund_id']
+    },
+    {
+      fields: ['reference']
+    }
+  ]
+});
+
+// Fill the refund number before NOT NULL validation runs
+Refund.beforeValidate(async (refund) => {
+  if (refund.isNewRecord && !refund.refundNumber) {
+    const timestamp = Date.now().toString();
+    const random = Math.random().toString(36).substring(2, 6).toUpperCase();
+    refund.refundNumber = `REF${timestamp}${random}`;
+  }
+});
+
+Refund.beforeUpdate(async (refund) => {
+  if (refund.changed('status')) {
+    if (refund.status === 'succeeded' && !refund.processedAt) {
+      refund.processedAt = new Date();
+    } else if (refund.status === 'failed' && !refund.failedAt) {
+      refund.failedAt = new Date();
+    }
+  }
+});
+
+Refund.prototype.toJSON = function() {
+  const values = Object.assign({}, this.get());
+  delete values.gatewayResponse;
+  return values;
+};
+
+module.exports = Refund;
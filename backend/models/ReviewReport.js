@@ -0,0 +1,57 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A user flagging a review for moderation; one report per user and review
+const ReviewReport = sequelize.define('ReviewReport', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  reviewId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'reviews',
+      key: 'id'
+    }
+  },
+  reporterId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  reason: {
+    type: DataTypes.ENUM('spam', 'offensive', 'fake', 'irrelevant', 'other'),
+    allowNull: false
+  },
+  details: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    validate: {
+      len: [0, 1000]
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'upheld', 'dismissed'),
+    allowNull: false,
+    defaultValue: 'pending'
+  }
+}, {
+  tableName: 'review_reports',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['review_id', 'reporter_id']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+module.exports = ReviewReport;
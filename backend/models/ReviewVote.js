@@ -0,0 +1,38 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A user marking a review as helpful; one vote per user and review
+const ReviewVote = sequelize.define('ReviewVote', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  reviewId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'reviews',
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'review_votes',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['review_id', 'user_id']
+    }
+  ]
+});
+
+module.exports = ReviewVote;
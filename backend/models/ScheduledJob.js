@@ -0,0 +1,89 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ScheduledJob = sequelize.define('ScheduledJob', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  // Deduplicates enqueues; recurring jobs use `recurring:<name>`
+  uniqueKey: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    unique: true
+  },
+  payload: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: {}
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'running', 'completed', 'failed'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  runAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  // Milliseconds between runs for recurring jobs; null for one-off jobs
+  intervalMs: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  maxAttempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 5
+  },
+  lockedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lockedBy: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  result: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  lastRunAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'scheduled_jobs',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['status', 'run_at']
+    },
+    {
+      fields: ['name']
+    }
+  ]
+});
+
+ScheduledJob.prototype.isRecurring = function() {
+  return !!this.intervalMs;
+};
+
+module.exports = ScheduledJob;
@@ -336,7 +336,7 @@ Service.prototype.incrementViews = async function() {
 
 Service.prototype.updateRating = async function(newRating) {
   const totalRatings = this.totalRatings + 1;
-  const currentTotal = this.rating * this.totalRatings;
+  const currentTotal = parseFloat(this.rating) * this.totalRatings;
   const newAverage = (currentTotal + newRating) / totalRatings;
   
   return this.update({
@@ -346,6 +346,19 @@ Service.prototype.updateRating = async function(newRating) {
   });
 };
 
+// Take a rating back out of the average, e.g. when its review is hidden
+Service.prototype.removeRating = async function(oldRating) {
+  const totalRatings = Math.max(this.totalRatings - 1, 0);
+  const remainingTotal = parseFloat(this.rating) * this.totalRatings - oldRating;
+  const newAverage = totalRatings > 0 ? Math.max(remainingTotal, 0) / totalRatings : 0;
+  
+  return this.update({
+    rating: Math.round(newAverage * 100) / 100,
+    totalRatings,
+    'analytics.rating': Math.round(newAverage * 100) / 100
+  });
+};
+
 Service.prototype.incrementBookings = async function() {
   return this.update({ 
     totalBookings: this.totalBookings + 1,
@@ -329,6 +329,29 @@ User.prototype.updateLastLogin = async function() {
   return this.update({ lastLoginAt: new Date() });
 };
 
+User.prototype.updateRating = async function(newRating) {
+  const totalRatings = this.totalRatings + 1;
+  const currentTotal = parseFloat(this.rating) * this.totalRatings;
+  const newAverage = (currentTotal + newRating) / totalRatings;
+
+  return this.update({
+    rating: Math.round(newAverage * 100) / 100,
+    totalRatings
+  });
+};
+
+// Take a rating back out of the average, e.g. when its review is hidden
+User.prototype.removeRating = async function(oldRating) {
+  const totalRatings = Math.max(this.totalRatings - 1, 0);
+  const remainingTotal = parseFloat(this.rating) * this.totalRatings - oldRating;
+  const newAverage = totalRatings > 0 ? Math.max(remainingTotal, 0) / totalRatings : 0;
+
+  return this.update({
+    rating: Math.round(newAverage * 100) / 100,
+    totalRatings
+  });
+};
+
 User.prototype.toJSON = function() {
   const values = Object.assign({}, this.get());
   
@@ -0,0 +1,88 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * An identity or business document a user uploaded for manual review.
+ * Files live in private storage and are only reachable through signed,
+ * short-lived URLs. A new ID card or business licence supersedes the
+ * user's earlier pending or rejected one; User.documents mirrors the
+ * current document of each type so the rest of the app can read it cheaply.
+ */
+const VerificationDocument = sequelize.define('VerificationDocument', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  documentType: {
+    type: DataTypes.ENUM('id_card', 'business_license', 'certification'),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'approved', 'rejected', 'superseded'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  fileName: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  mimetype: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  size: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // Local copy in private storage, and the private S3 object when S3 is enabled
+  storagePath: {
+    type: DataTypes.STRING(500),
+    allowNull: false
+  },
+  s3Key: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  reviewerId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  reviewedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  reasonCode: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  reviewNote: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'verification_documents',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['user_id', 'document_type']
+    },
+    {
+      fields: ['status', 'created_at']
+    }
+  ]
+});
+
+module.exports = VerificationDocument;
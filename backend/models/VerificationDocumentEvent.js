@@ -0,0 +1,73 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Audit trail of a verification document: who submitted, viewed or decided it, and why
+const VerificationDocumentEvent = sequelize.define('VerificationDocumentEvent', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  documentId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'verification_documents',
+      key: 'id'
+    }
+  },
+  // Owner of the document, so a user's whole history is one query
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  // The reviewer, or the owner for submissions
+  actorId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  action: {
+    type: DataTypes.ENUM('submitted', 'viewed', 'approved', 'rejected', 'superseded'),
+    allowNull: false
+  },
+  fromStatus: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  toStatus: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  reasonCode: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  note: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'verification_document_events',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['document_id', 'created_at']
+    },
+    {
+      fields: ['actor_id', 'created_at']
+    },
+    {
+      fields: ['user_id', 'created_at']
+    }
+  ]
+});
+
+module.exports = VerificationDocumentEvent;
@@ -0,0 +1,86 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const WebhookEvent = sequelize.define('WebhookEvent', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  gateway: {
+    type: DataTypes.STRING(30),
+    allowNull: false
+  },
+  eventId: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  eventType: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  payloadHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  payload: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM(
+      'received',
+      'processing',
+      'processed',
+      'skipped',   // Valid event, but stale for the current payment state
+      'ignored',   // Event type we don't handle
+      'failed'
+    ),
+    allowNull: false,
+    defaultValue: 'received'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  deliveryCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 1
+  },
+  result: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  lastAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  processedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'webhook_events',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['gateway', 'event_id']
+    },
+    {
+      fields: ['status']
+    },
+    {
+      fields: ['event_type']
+    },
+    {
+      fields: ['created_at']
+    }
+  ]
+});
+
+module.exports = WebhookEvent;
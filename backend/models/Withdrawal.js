@@ -0,0 +1,151 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Withdrawal = sequelize.define('Withdrawal', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  reference: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  payoutAccountId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'payout_accounts',
+      key: 'id'
+    }
+  },
+  amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    validate: {
+      min: 0.01
+    }
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'NGN'
+  },
+  status: {
+    type: DataTypes.ENUM(
+      'queued',
+      'processing',
+      'paid',
+      'failed',
+      'reversed'
+    ),
+    allowNull: false,
+    defaultValue: 'queued'
+  },
+  gateway: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    defaultValue: 'paystack'
+  },
+  gatewayTransferCode: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  gatewayResponse: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: {}
+  },
+  reason: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  failureReason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  processedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  paidAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  failedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  reversedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'withdrawals',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['reference']
+    },
+    {
+      fields: ['user_id']
+    },
+    {
+      fields: ['status']
+    },
+    {
+      fields: ['created_at']
+    }
+  ]
+});
+
+// Hooks
+Withdrawal.beforeUpdate(async (withdrawal) => {
+  // Update timestamps based on status changes
+  if (withdrawal.changed('status')) {
+    const now = new Date();
+
+    switch (withdrawal.status) {
+      case 'processing':
+        withdrawal.processedAt = now;
+        break;
+      case 'paid':
+        withdrawal.paidAt = now;
+        break;
+      case 'failed':
+        withdrawal.failedAt = now;
+        break;
+      case 'reversed':
+        withdrawal.reversedAt = now;
+        break;
+    }
+  }
+});
+
+// Instance methods
+Withdrawal.prototype.isFinal = function() {
+  return ['paid', 'failed', 'reversed'].includes(this.status);
+};
+
+// Static methods
+Withdrawal.generateReference = function() {
+  const timestamp = Date.now().toString();
+  const random = Math.random().toString(36).substring(2, 8).toUpperCase();
+  return `WD${timestamp}${random}`;
+};
+
+module.exports = Withdrawal;
@@ -3,6 +3,27 @@ const User = require('./User');
 const Service = require('./Service');
 const Booking = require('./Booking');
 const Payment = require('./Payment');
+const Refund = require('./Refund');
+const LedgerAccount = require('./LedgerAccount');
+const LedgerJournal = require('./LedgerJournal');
+const LedgerEntry = require('./LedgerEntry');
+const PayoutAccount = require('./PayoutAccount');
+const Withdrawal = require('./Withdrawal');
+const WebhookEvent = require('./WebhookEvent');
+const ScheduledJob = require('./ScheduledJob');
+const ReconciliationReport = require('./ReconciliationReport');
+const Job = require('./Job');
+const JobApplication = require('./JobApplication');
+const JobOffer = require('./JobOffer');
+const Dispute = require('./Dispute');
+const DisputeStatement = require('./DisputeStatement');
+const ReviewVote = require('./ReviewVote');
+const ReviewReport = require('./ReviewReport');
+const DeviceToken = require('./DeviceToken');
+const KycVerification = require('./KycVerification');
+const VerificationDocument = require('./VerificationDocument');
+const VerificationDocumentEvent = require('./VerificationDocumentEvent');
+const CreditScoreSnapshot = require('./CreditScoreSnapshot');
 
 // Define associations
 
@@ -75,6 +96,13 @@ Booking.hasMany(Payment, {
   onDelete: 'CASCADE'
 });
 
+// The booking's own charge, as opposed to adjustments and penalties
+Booking.hasOne(Payment, {
+  foreignKey: 'bookingId',
+  as: 'payment',
+  scope: { paymentType: 'booking_payment' }
+});
+
 // Self-referencing association for recurring bookings
 Booking.belongsTo(Booking, {
   foreignKey: 'parentBookingId',
@@ -107,6 +135,262 @@ Payment.belongsTo(Booking, {
   onDelete: 'CASCADE'
 });
 
+// Refund associations
+Payment.hasMany(Refund, {
+  foreignKey: 'paymentId',
+  as: 'refunds',
+  onDelete: 'CASCADE'
+});
+
+Refund.belongsTo(Payment, {
+  foreignKey: 'paymentId',
+  as: 'payment'
+});
+
+Refund.belongsTo(User, {
+  foreignKey: 'initiatedBy',
+  as: 'initiator'
+});
+
+// Ledger associations
+User.hasMany(LedgerAccount, {
+  foreignKey: 'ownerId',
+  as: 'ledgerAccounts'
+});
+
+LedgerAccount.belongsTo(User, {
+  foreignKey: 'ownerId',
+  as: 'owner'
+});
+
+LedgerAccount.hasMany(LedgerEntry, {
+  foreignKey: 'accountId',
+  as: 'entries'
+});
+
+LedgerJournal.hasMany(LedgerEntry, {
+  foreignKey: 'journalId',
+  as: 'entries',
+  onDelete: 'CASCADE'
+});
+
+LedgerJournal.belongsTo(Payment, {
+  foreignKey: 'paymentId',
+  as: 'payment'
+});
+
+LedgerEntry.belongsTo(LedgerJournal, {
+  foreignKey: 'journalId',
+  as: 'journal'
+});
+
+LedgerEntry.belongsTo(LedgerAccount, {
+  foreignKey: 'accountId',
+  as: 'account'
+});
+
+Payment.hasMany(LedgerJournal, {
+  foreignKey: 'paymentId',
+  as: 'ledgerJournals'
+});
+
+// Payout associations
+User.hasMany(PayoutAccount, {
+  foreignKey: 'userId',
+  as: 'payoutAccounts',
+  onDelete: 'CASCADE'
+});
+
+PayoutAccount.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+User.hasMany(Withdrawal, {
+  foreignKey: 'userId',
+  as: 'withdrawals',
+  onDelete: 'CASCADE'
+});
+
+Withdrawal.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+PayoutAccount.hasMany(Withdrawal, {
+  foreignKey: 'payoutAccountId',
+  as: 'withdrawals'
+});
+
+Withdrawal.belongsTo(PayoutAccount, {
+  foreignKey: 'payoutAccountId',
+  as: 'payoutAccount'
+});
+
+ReconciliationReport.belongsTo(User, {
+  foreignKey: 'createdBy',
+  as: 'creator'
+});
+
+// Job marketplace associations
+User.hasMany(Job, {
+  foreignKey: 'requesterId',
+  as: 'postedJobs',
+  onDelete: 'CASCADE'
+});
+
+User.hasMany(Job, {
+  foreignKey: 'providerId',
+  as: 'assignedJobs'
+});
+
+Job.belongsTo(User, {
+  foreignKey: 'requesterId',
+  as: 'requester'
+});
+
+Job.belongsTo(User, {
+  foreignKey: 'providerId',
+  as: 'provider'
+});
+
+Job.belongsTo(Payment, {
+  foreignKey: 'paymentId',
+  as: 'payment'
+});
+
+Job.hasMany(JobApplication, {
+  foreignKey: 'jobId',
+  as: 'applications',
+  onDelete: 'CASCADE'
+});
+
+JobApplication.belongsTo(Job, {
+  foreignKey: 'jobId',
+  as: 'job'
+});
+
+JobApplication.belongsTo(User, {
+  foreignKey: 'applicantId',
+  as: 'applicant'
+});
+
+User.hasMany(JobApplication, {
+  foreignKey: 'applicantId',
+  as: 'jobApplications',
+  onDelete: 'CASCADE'
+});
+
+Job.hasMany(JobOffer, {
+  foreignKey: 'jobId',
+  as: 'offers',
+  onDelete: 'CASCADE'
+});
+
+JobOffer.belongsTo(Job, {
+  foreignKey: 'jobId',
+  as: 'job'
+});
+
+JobApplication.hasMany(JobOffer, {
+  foreignKey: 'applicationId',
+  as: 'offers',
+  onDelete: 'CASCADE'
+});
+
+JobOffer.belongsTo(JobApplication, {
+  foreignKey: 'applicationId',
+  as: 'application'
+});
+
+JobOffer.belongsTo(User, {
+  foreignKey: 'providerId',
+  as: 'provider'
+});
+
+JobOffer.belongsTo(User, {
+  foreignKey: 'authorId',
+  as: 'author'
+});
+
+JobOffer.belongsTo(JobOffer, {
+  foreignKey: 'counterToId',
+  as: 'counterTo'
+});
+
+Payment.belongsTo(Job, {
+  foreignKey: 'jobId',
+  as: 'job',
+  constraints: false
+});
+
+// Dispute associations
+Job.hasMany(Dispute, {
+  foreignKey: 'jobId',
+  as: 'disputes'
+});
+
+Booking.hasMany(Dispute, {
+  foreignKey: 'bookingId',
+  as: 'disputes'
+});
+
+Payment.hasMany(Dispute, {
+  foreignKey: 'paymentId',
+  as: 'disputes'
+});
+
+Dispute.belongsTo(Job, {
+  foreignKey: 'jobId',
+  as: 'job'
+});
+
+Dispute.belongsTo(Booking, {
+  foreignKey: 'bookingId',
+  as: 'booking'
+});
+
+Dispute.belongsTo(Payment, {
+  foreignKey: 'paymentId',
+  as: 'payment'
+});
+
+Dispute.belongsTo(User, {
+  foreignKey: 'claimantId',
+  as: 'claimant'
+});
+
+Dispute.belongsTo(User, {
+  foreignKey: 'respondentId',
+  as: 'respondent'
+});
+
+Dispute.belongsTo(User, {
+  foreignKey: 'resolvedById',
+  as: 'resolvedBy'
+});
+
+Dispute.hasMany(DisputeStatement, {
+  foreignKey: 'disputeId',
+  as: 'statements',
+  onDelete: 'CASCADE'
+});
+
+DisputeStatement.belongsTo(Dispute, {
+  foreignKey: 'disputeId',
+  as: 'dispute'
+});
+
+DisputeStatement.belongsTo(User, {
+  foreignKey: 'authorId',
+  as: 'author'
+});
+
+DisputeStatement.belongsTo(DisputeStatement, {
+  foreignKey: 'parentId',
+  as: 'parent'
+});
+
 // Additional models for future features
 
 // Review model for ratings and reviews
@@ -148,6 +432,12 @@ const Review = sequelize.define('Review', {
       key: 'id'
     }
   },
+  // Requesters review the provider and service; providers review the requester
+  reviewerRole: {
+    type: sequelize.Sequelize.DataTypes.ENUM('requester', 'provider'),
+    allowNull: false,
+    defaultValue: 'requester'
+  },
   rating: {
     type: sequelize.Sequelize.DataTypes.INTEGER,
     allowNull: false,
@@ -175,11 +465,37 @@ const Review = sequelize.define('Review', {
   reportCount: {
     type: sequelize.Sequelize.DataTypes.INTEGER,
     defaultValue: 0
+  },
+  // The reviewed provider's public answer
+  reply: {
+    type: sequelize.Sequelize.DataTypes.TEXT,
+    allowNull: true
+  },
+  repliedAt: {
+    type: sequelize.Sequelize.DataTypes.DATE,
+    allowNull: true
+  },
+  // Set when a moderator hides the review; hidden reviews leave the rating aggregates
+  hiddenAt: {
+    type: sequelize.Sequelize.DataTypes.DATE,
+    allowNull: true
   }
 }, {
   tableName: 'reviews',
   timestamps: true,
-  paranoid: true
+  paranoid: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['booking_id', 'reviewer_id']
+    },
+    {
+      fields: ['reviewee_id', 'is_public']
+    },
+    {
+      fields: ['service_id', 'is_public']
+    }
+  ]
 });
 
 // Notification model
@@ -203,12 +519,34 @@ const Notification = sequelize.define('Notification', {
       'booking_confirmed',
       'booking_cancelled',
       'booking_completed',
+      'booking_status_update',
+      'booking_rescheduled',
+      'payment_confirmed',
       'payment_received',
       'payment_failed',
+      'refund_processed',
+      'withdrawal_completed',
+      'withdrawal_failed',
+      'job_application',
+      'job_offer',
+      'job_offer_rejected',
+      'job_accepted',
+      'job_started',
+      'job_completed',
+      'job_satisfied',
+      'job_cancelled',
+      'dispute_opened',
+      'dispute_statement',
+      'dispute_escalated',
+      'dispute_resolved',
       'review_received',
+      'review_reply',
+      'message_received',
       'service_approved',
       'service_rejected',
       'account_verified',
+      'document_approved',
+      'document_rejected',
       'promotion',
       'system_update'
     ),
@@ -297,6 +635,16 @@ const Message = sequelize.define('Message', {
     allowNull: true,
     defaultValue: []
   },
+  // Delivery receipt: sent once stored, delivered once it reaches the receiver's device
+  status: {
+    type: sequelize.Sequelize.DataTypes.ENUM('sent', 'delivered', 'read'),
+    allowNull: false,
+    defaultValue: 'sent'
+  },
+  deliveredAt: {
+    type: sequelize.Sequelize.DataTypes.DATE,
+    allowNull: true
+  },
   isRead: {
     type: sequelize.Sequelize.DataTypes.BOOLEAN,
     defaultValue: false
@@ -324,7 +672,15 @@ const Message = sequelize.define('Message', {
 }, {
   tableName: 'messages',
   timestamps: true,
-  paranoid: true
+  paranoid: true,
+  indexes: [
+    {
+      fields: ['booking_id', 'created_at']
+    },
+    {
+      fields: ['receiver_id', 'status']
+    }
+  ]
 });
 
 // Category model for service categories
@@ -395,9 +751,33 @@ User.hasMany(Review, { foreignKey: 'revieweeId', as: 'reviewsReceived' });
 Booking.hasMany(Review, { foreignKey: 'bookingId', as: 'reviews' });
 Service.hasMany(Review, { foreignKey: 'serviceId', as: 'reviews' });
 
+Review.hasMany(ReviewVote, { foreignKey: 'reviewId', as: 'votes', onDelete: 'CASCADE' });
+ReviewVote.belongsTo(Review, { foreignKey: 'reviewId', as: 'review' });
+ReviewVote.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+Review.hasMany(ReviewReport, { foreignKey: 'reviewId', as: 'reports', onDelete: 'CASCADE' });
+ReviewReport.belongsTo(Review, { foreignKey: 'reviewId', as: 'review' });
+ReviewReport.belongsTo(User, { foreignKey: 'reporterId', as: 'reporter' });
+
 // Notification associations
 Notification.belongsTo(User, { foreignKey: 'userId', as: 'user' });
 User.hasMany(Notification, { foreignKey: 'userId', as: 'notifications' });
+DeviceToken.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+User.hasMany(DeviceToken, { foreignKey: 'userId', as: 'deviceTokens', onDelete: 'CASCADE' });
+
+// KYC associations
+KycVerification.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+User.hasMany(KycVerification, { foreignKey: 'userId', as: 'kycVerifications', onDelete: 'CASCADE' });
+VerificationDocument.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+VerificationDocument.belongsTo(User, { foreignKey: 'reviewerId', as: 'reviewer' });
+User.hasMany(VerificationDocument, { foreignKey: 'userId', as: 'verificationDocuments', onDelete: 'CASCADE' });
+VerificationDocument.hasMany(VerificationDocumentEvent, { foreignKey: 'documentId', as: 'events', onDelete: 'CASCADE' });
+VerificationDocumentEvent.belongsTo(VerificationDocument, { foreignKey: 'documentId', as: 'document' });
+VerificationDocumentEvent.belongsTo(User, { foreignKey: 'actorId', as: 'actor' });
+
+// Credit rating associations
+CreditScoreSnapshot.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+User.hasMany(CreditScoreSnapshot, { foreignKey: 'userId', as: 'creditScoreSnapshots', onDelete: 'CASCADE' });
 
 // Message associations
 Message.belongsTo(User, { foreignKey: 'senderId', as: 'sender' });
@@ -431,8 +811,29 @@ module.exports = {
   Service,
   Booking,
   Payment,
+  Refund,
+  LedgerAccount,
+  LedgerJournal,
+  LedgerEntry,
+  PayoutAccount,
+  Withdrawal,
+  WebhookEvent,
+  ScheduledJob,
+  ReconciliationReport,
+  Job,
+  JobApplication,
+  JobOffer,
+  Dispute,
+  DisputeStatement,
   Review,
+  ReviewVote,
+  ReviewReport,
   Notification,
+  DeviceToken,
+  KycVerification,
+  VerificationDocument,
+  VerificationDocumentEvent,
+  CreditScoreSnapshot,
   Message,
   Category,
   syncDatabase
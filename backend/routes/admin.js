@@ -0,0 +1,192 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getDisputes,
+  getDisputeById,
+  resolveDispute
+} = require('../controllers/disputeController');
+const {
+  getDocumentQueue,
+  getDocumentForReview,
+  approveDocument,
+  rejectDocument,
+  getDocumentAuditLog
+} = require('../controllers/verificationController');
+const {
+  getReportedReviews,
+  hideReview,
+  dismissReviewReports,
+  unhideReview
+} = require('../controllers/reviewController');
+const {
+  disputeValidations,
+  verificationValidations,
+  reviewValidations,
+  handleValidationErrors
+} = require('../middleware/validation');
+const { param } = require('express-validator');
+const { verifyToken, requireAdmin } = require('../middleware/auth');
+const { generalRateLimit, paymentRateLimit } = require('../middleware/security');
+
+/**
+ * @route   GET /api/admin/disputes
+ * @desc    Get the dispute queue, soonest resolution deadline first
+ * @access  Private (Admin)
+ */
+router.get('/disputes',
+  verifyToken,
+  requireAdmin,
+  generalRateLimit,
+  ...disputeValidations.list,
+  getDisputes
+);
+
+/**
+ * @route   GET /api/admin/disputes/:id
+ * @desc    Get a dispute with its evidence and statement thread
+ * @access  Private (Admin)
+ */
+router.get('/disputes/:id',
+  verifyToken,
+  requireAdmin,
+  generalRateLimit,
+  param('id').isUUID().withMessage('Invalid dispute ID'),
+  handleValidationErrors,
+  getDisputeById
+);
+
+/**
+ * @route   POST /api/admin/disputes/:id/resolve
+ * @desc    Decide a dispute: full refund, partial refund or release to the provider
+ * @access  Private (Admin)
+ */
+router.post('/disputes/:id/resolve',
+  verifyToken,
+  requireAdmin,
+  paymentRateLimit,
+  ...disputeValidations.resolve,
+  resolveDispute
+);
+
+/**
+ * @route   GET /api/admin/verification-documents
+ * @desc    Get the document review queue, oldest pending submission first
+ * @access  Private (Admin)
+ */
+router.get('/verification-documents',
+  verifyToken,
+  requireAdmin,
+  generalRateLimit,
+  ...verificationValidations.documentQueue,
+  getDocumentQueue
+);
+
+/**
+ * @route   GET /api/admin/verification-documents/audit
+ * @desc    Get the audit log of document submissions, views and decisions
+ * @access  Private (Admin)
+ */
+router.get('/verification-documents/audit',
+  verifyToken,
+  requireAdmin,
+  generalRateLimit,
+  ...verificationValidations.documentAudit,
+  getDocumentAuditLog
+);
+
+/**
+ * @route   GET /api/admin/verification-documents/:id
+ * @desc    Open a document for review with a signed file link and its history
+ * @access  Private (Admin)
+ */
+router.get('/verification-documents/:id',
+  verifyToken,
+  requireAdmin,
+  generalRateLimit,
+  param('id').isUUID().withMessage('Invalid document ID'),
+  handleValidationErrors,
+  getDocumentForReview
+);
+
+/**
+ * @route   POST /api/admin/verification-documents/:id/approve
+ * @desc    Approve a document, optionally with a reason code and note
+ * @access  Private (Admin)
+ */
+router.post('/verification-documents/:id/approve',
+  verifyToken,
+  requireAdmin,
+  generalRateLimit,
+  ...verificationValidations.documentReview,
+  approveDocument
+);
+
+/**
+ * @route   POST /api/admin/verification-documents/:id/reject
+ * @desc    Reject a document with a reason code the user is told about
+ * @access  Private (Admin)
+ */
+router.post('/verification-documents/:id/reject',
+  verifyToken,
+  requireAdmin,
+  generalRateLimit,
+  ...verificationValidations.documentReview,
+  rejectDocument
+);
+
+/**
+ * @route   GET /api/admin/reviews/reported
+ * @desc    Get the queue of reported reviews, most reported first
+ * @access  Private (Admin)
+ */
+router.get('/reviews/reported',
+  verifyToken,
+  requireAdmin,
+  generalRateLimit,
+  ...reviewValidations.reportQueue,
+  getReportedReviews
+);
+
+/**
+ * @route   POST /api/admin/reviews/:id/hide
+ * @desc    Uphold a review's reports and take it out of listings and ratings
+ * @access  Private (Admin)
+ */
+router.post('/reviews/:id/hide',
+  verifyToken,
+  requireAdmin,
+  generalRateLimit,
+  param('id').isUUID().withMessage('Invalid review ID'),
+  handleValidationErrors,
+  hideReview
+);
+
+/**
+ * @route   POST /api/admin/reviews/:id/dismiss
+ * @desc    Dismiss a review's pending reports and keep it listed
+ * @access  Private (Admin)
+ */
+router.post('/reviews/:id/dismiss',
+  verifyToken,
+  requireAdmin,
+  generalRateLimit,
+  param('id').isUUID().withMessage('Invalid review ID'),
+  handleValidationErrors,
+  dismissReviewReports
+);
+
+/**
+ * @route   POST /api/admin/reviews/:id/unhide
+ * @desc    Restore a hidden review to listings and ratings
+ * @access  Private (Admin)
+ */
+router.post('/reviews/:id/unhide',
+  verifyToken,
+  requireAdmin,
+  generalRateLimit,
+  param('id').isUUID().withMessage('Invalid review ID'),
+  handleValidationErrors,
+  unhideReview
+);
+
+module.exports = router;
@@ -5,13 +5,16 @@ const {
   getBookingById,
   createBooking,
   updateBookingStatus,
+  getBookingTransitions,
   rescheduleBooking,
   getUserBookings,
   getUpcomingBookings,
   getBookingStats
 } = require('../controllers/bookingController');
+const { openBookingDispute } = require('../controllers/disputeController');
 const {
   bookingValidations,
+  disputeValidations,
   handleValidationErrors
 } = require('../middleware/validation');
 const { body, param, query } = require('express-validator');
@@ -94,6 +97,20 @@ router.get('/:id',
   getBookingById
 );
 
+/**
+ * @route   GET /api/bookings/:id/transitions
+ * @desc    Get the status changes the current user can make on a booking
+ * @access  Private (Booking participants or Admin)
+ */
+router.get('/:id/transitions',
+  verifyToken,
+  generalRateLimit,
+  param('id').isUUID().withMessage('Invalid booking ID'),
+  handleValidationErrors,
+  requireBookingAccess,
+  getBookingTransitions
+);
+
 /**
  * @route   PUT /api/bookings/:id/status
  * @desc    Update booking status
@@ -109,6 +126,19 @@ router.put('/:id/status',
   updateBookingStatus
 );
 
+/**
+ * @route   POST /api/bookings/:id/dispute
+ * @desc    Open a dispute on a paid booking, freezing its escrowed payment
+ * @access  Private (Booking participants)
+ */
+router.post('/:id/dispute',
+  verifyToken,
+  generalRateLimit,
+  ...disputeValidations.create,
+  requireBookingAccess,
+  openBookingDispute
+);
+
 /**
  * @route   PUT /api/bookings/:id/reschedule
  * @desc    Reschedule booking
@@ -0,0 +1,166 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getConversations,
+  getConversation,
+  getMessages,
+  sendMessage,
+  sendAttachment,
+  downloadAttachment,
+  markConversationRead,
+  getUnreadCounts,
+  searchMessages,
+  editMessage,
+  deleteMessage
+} = require('../controllers/chatController');
+const {
+  chatValidations,
+  handleValidationErrors
+} = require('../middleware/validation');
+const { param } = require('express-validator');
+const { verifyToken } = require('../middleware/auth');
+const { generalRateLimit, uploadRateLimit } = require('../middleware/security');
+const uploadService = require('../services/uploadService');
+
+// Attachments arrive as a single multipart `file`; per-type size limits are checked by the upload service
+const attachmentUpload = uploadService.createUploadMiddleware({
+  destination: 'temp',
+  maxFiles: 1,
+  allowedTypes: uploadService.allowedChatAttachmentTypes,
+  maxSize: Math.max(...Object.values(uploadService.chatAttachmentLimits))
+});
+
+/**
+ * @route   GET /api/chat/conversations
+ * @desc    Get the current user's booking conversations, most recently active first
+ * @access  Private
+ */
+router.get('/conversations',
+  verifyToken,
+  generalRateLimit,
+  ...chatValidations.conversations,
+  getConversations
+);
+
+/**
+ * @route   GET /api/chat/conversations/:id
+ * @desc    Get a conversation with its participants and unread count
+ * @access  Private (Booking participants)
+ */
+router.get('/conversations/:id',
+  verifyToken,
+  generalRateLimit,
+  param('id').isUUID().withMessage('Invalid conversation ID'),
+  handleValidationErrors,
+  getConversation
+);
+
+/**
+ * @route   GET /api/chat/conversations/:id/messages
+ * @desc    Get conversation history, paging back with `cursor`
+ * @access  Private (Booking participants)
+ */
+router.get('/conversations/:id/messages',
+  verifyToken,
+  generalRateLimit,
+  ...chatValidations.messages,
+  getMessages
+);
+
+/**
+ * @route   POST /api/chat/conversations/:id/messages
+ * @desc    Send a message to the other participant
+ * @access  Private (Booking participants)
+ */
+router.post('/conversations/:id/messages',
+  verifyToken,
+  generalRateLimit,
+  ...chatValidations.send,
+  sendMessage
+);
+
+/**
+ * @route   POST /api/chat/conversations/:id/attachments
+ * @desc    Send an image or file, with an optional caption
+ * @access  Private (Booking participants)
+ */
+router.post('/conversations/:id/attachments',
+  verifyToken,
+  uploadRateLimit,
+  attachmentUpload,
+  ...chatValidations.attachment,
+  sendAttachment
+);
+
+/**
+ * @route   GET /api/chat/attachments/:messageId/:attachmentId/:variant?
+ * @desc    Download an attachment, or an image thumbnail, through a signed link
+ * @access  Public (Signed URL)
+ */
+router.get('/attachments/:messageId/:attachmentId/:variant?',
+  generalRateLimit,
+  ...chatValidations.download,
+  downloadAttachment
+);
+
+/**
+ * @route   PUT /api/chat/conversations/:id/read
+ * @desc    Mark received messages as read
+ * @access  Private (Booking participants)
+ */
+router.put('/conversations/:id/read',
+  verifyToken,
+  generalRateLimit,
+  ...chatValidations.read,
+  markConversationRead
+);
+
+/**
+ * @route   GET /api/chat/unread
+ * @desc    Get unread message counts per conversation
+ * @access  Private
+ */
+router.get('/unread',
+  verifyToken,
+  generalRateLimit,
+  getUnreadCounts
+);
+
+/**
+ * @route   GET /api/chat/search
+ * @desc    Search messages across the user's conversations
+ * @access  Private
+ */
+router.get('/search',
+  verifyToken,
+  generalRateLimit,
+  ...chatValidations.search,
+  searchMessages
+);
+
+/**
+ * @route   PUT /api/chat/messages/:id
+ * @desc    Edit one of your own text messages
+ * @access  Private (Sender)
+ */
+router.put('/messages/:id',
+  verifyToken,
+  generalRateLimit,
+  ...chatValidations.edit,
+  editMessage
+);
+
+/**
+ * @route   DELETE /api/chat/messages/:id
+ * @desc    Delete one of your own messages
+ * @access  Private (Sender)
+ */
+router.delete('/messages/:id',
+  verifyToken,
+  generalRateLimit,
+  param('id').isUUID().withMessage('Invalid message ID'),
+  handleValidationErrors,
+  deleteMessage
+);
+
+module.exports = router;
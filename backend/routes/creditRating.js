@@ -0,0 +1,75 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getRating,
+  updateRating,
+  getHistory,
+  getRecommendations,
+  bulkUpdate
+} = require('../controllers/creditRatingController');
+const { creditRatingValidations } = require('../middleware/validation');
+const { verifyToken, requireAdmin } = require('../middleware/auth');
+const { generalRateLimit } = require('../middleware/security');
+
+/**
+ * @route   POST /api/credit-rating/bulk-update
+ * @desc    Recalculate the credit ratings of up to 100 users
+ * @access  Private (Admin)
+ */
+router.post('/bulk-update',
+  verifyToken,
+  requireAdmin,
+  generalRateLimit,
+  ...creditRatingValidations.bulkUpdate,
+  bulkUpdate
+);
+
+/**
+ * @route   GET /api/credit-rating/:userId
+ * @desc    Get a user's current credit rating and its breakdown
+ * @access  Private (owner or admin)
+ */
+router.get('/:userId',
+  verifyToken,
+  generalRateLimit,
+  ...creditRatingValidations.rating,
+  getRating
+);
+
+/**
+ * @route   POST /api/credit-rating/:userId/update
+ * @desc    Recalculate a user's credit rating now
+ * @access  Private (owner or admin)
+ */
+router.post('/:userId/update',
+  verifyToken,
+  generalRateLimit,
+  ...creditRatingValidations.rating,
+  updateRating
+);
+
+/**
+ * @route   GET /api/credit-rating/:userId/history
+ * @desc    Get a user's credit score snapshots and trend for a period
+ * @access  Private (owner or admin)
+ */
+router.get('/:userId/history',
+  verifyToken,
+  generalRateLimit,
+  ...creditRatingValidations.history,
+  getHistory
+);
+
+/**
+ * @route   GET /api/credit-rating/:userId/recommendations
+ * @desc    Get what would raise a user's credit rating most
+ * @access  Private (owner or admin)
+ */
+router.get('/:userId/recommendations',
+  verifyToken,
+  generalRateLimit,
+  ...creditRatingValidations.rating,
+  getRecommendations
+);
+
+module.exports = router;
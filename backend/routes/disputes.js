@@ -0,0 +1,77 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getMyDisputes,
+  getDisputeById,
+  addDisputeStatement,
+  uploadDisputeEvidence
+} = require('../controllers/disputeController');
+const {
+  disputeValidations,
+  handleValidationErrors
+} = require('../middleware/validation');
+const { param } = require('express-validator');
+const { verifyToken } = require('../middleware/auth');
+const { generalRateLimit, uploadRateLimit } = require('../middleware/security');
+const uploadService = require('../services/uploadService');
+
+// Evidence arrives as multipart `files`: images or PDFs, up to 5 per request
+const evidenceUpload = uploadService.createUploadMiddleware({
+  destination: 'temp',
+  maxFiles: 5,
+  allowedTypes: uploadService.allowedEvidenceTypes
+});
+
+/**
+ * @route   GET /api/disputes
+ * @desc    Get disputes the current user is a party to
+ * @access  Private
+ */
+router.get('/',
+  verifyToken,
+  generalRateLimit,
+  ...disputeValidations.list,
+  getMyDisputes
+);
+
+/**
+ * @route   GET /api/disputes/:id
+ * @desc    Get a dispute with its evidence and statement thread
+ * @access  Private (Dispute parties or Admin)
+ */
+router.get('/:id',
+  verifyToken,
+  generalRateLimit,
+  param('id').isUUID().withMessage('Invalid dispute ID'),
+  handleValidationErrors,
+  getDisputeById
+);
+
+/**
+ * @route   POST /api/disputes/:id/statements
+ * @desc    Add a statement to a dispute, optionally replying to another
+ * @access  Private (Dispute parties or Admin)
+ */
+router.post('/:id/statements',
+  verifyToken,
+  generalRateLimit,
+  ...disputeValidations.statement,
+  addDisputeStatement
+);
+
+/**
+ * @route   POST /api/disputes/:id/evidence
+ * @desc    Upload evidence files for a dispute
+ * @access  Private (Dispute parties or Admin)
+ */
+router.post('/:id/evidence',
+  verifyToken,
+  uploadRateLimit,
+  param('id').isUUID().withMessage('Invalid dispute ID'),
+  handleValidationErrors,
+  evidenceUpload,
+  ...disputeValidations.evidence,
+  uploadDisputeEvidence
+);
+
+module.exports = router;
@@ -8,6 +8,14 @@ const userRoutes = require('./users');
 const serviceRoutes = require('./services');
 const bookingRoutes = require('./bookings');
 const paymentRoutes = require('./payments');
+const jobRoutes = require('./jobs');
+const reviewRoutes = require('./reviews');
+const disputeRoutes = require('./disputes');
+const chatRoutes = require('./chat');
+const notificationRoutes = require('./notifications');
+const verificationRoutes = require('./verification');
+const creditRatingRoutes = require('./creditRating');
+const adminRoutes = require('./admin');
 
 // Health check endpoint
 router.get('/health', (req, res) => {
@@ -31,7 +39,15 @@ router.get('/', (req, res) => {
       users: '/api/users',
       services: '/api/services',
       bookings: '/api/bookings',
-      payments: '/api/payments'
+      payments: '/api/payments',
+      jobs: '/api/jobs',
+      reviews: '/api/reviews',
+      disputes: '/api/disputes',
+      chat: '/api/chat',
+      notifications: '/api/notifications',
+      verification: '/api/verification',
+      creditRating: '/api/credit-rating',
+      admin: '/api/admin'
     },
     documentation: {
       swagger: '/api/docs',
@@ -60,6 +76,14 @@ router.use('/users', userRoutes);
 router.use('/services', serviceRoutes);
 router.use('/bookings', bookingRoutes);
 router.use('/payments', paymentRoutes);
+router.use('/jobs', jobRoutes);
+router.use('/reviews', reviewRoutes);
+router.use('/disputes', disputeRoutes);
+router.use('/chat', chatRoutes);
+router.use('/notifications', notificationRoutes);
+router.use('/verification', verificationRoutes);
+router.use('/credit-rating', creditRatingRoutes);
+router.use('/admin', adminRoutes);
 
 // 404 handler for API routes
 router.use('*', (req, res) => {
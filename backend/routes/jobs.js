@@ -0,0 +1,377 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getJobs,
+  searchJobs,
+  getJobById,
+  createJob,
+  updateJob,
+  deleteJob,
+  getMyJobs,
+  applyForJob,
+  withdrawApplication,
+  getJobApplications,
+  acceptJob,
+  getJobOffers,
+  submitJobOffer,
+  counterJobOffer,
+  acceptJobOffer,
+  rejectJobOffer,
+  startJob,
+  completeJob,
+  satisfyJob,
+  cancelJob,
+  rateJob,
+  getJobTransitions,
+  getJobCategories,
+  getJobSkills
+} = require('../controllers/jobController');
+const { openJobDispute } = require('../controllers/disputeController');
+const {
+  jobValidations,
+  disputeValidations,
+  commonValidations,
+  handleValidationErrors
+} = require('../middleware/validation');
+const { body, param, query } = require('express-validator');
+const {
+  verifyToken,
+  optionalAuth
+} = require('../middleware/auth');
+const { generalRateLimit } = require('../middleware/security');
+
+const listFilters = [
+  ...commonValidations.pagination,
+  query('minPrice').optional().isFloat({ min: 0 }).withMessage('Minimum price must be a positive number'),
+  query('maxPrice').optional().isFloat({ min: 0 }).withMessage('Maximum price must be a positive number'),
+  query('locationType').optional().isIn(['remote', 'onsite', 'hybrid']).withMessage('Invalid location type'),
+  query('category').optional().trim().isLength({ max: 50 }).withMessage('Category must not exceed 50 characters')
+];
+
+/**
+ * @route   GET /api/jobs
+ * @desc    Get open jobs with filtering and pagination
+ * @access  Public
+ */
+router.get('/',
+  optionalAuth,
+  generalRateLimit,
+  ...listFilters,
+  handleValidationErrors,
+  getJobs
+);
+
+/**
+ * @route   GET /api/jobs/search
+ * @desc    Search open jobs
+ * @access  Public
+ */
+router.get('/search',
+  optionalAuth,
+  generalRateLimit,
+  query('q').trim().isLength({ min: 1, max: 100 }).withMessage('Search query must be between 1 and 100 characters'),
+  ...listFilters,
+  handleValidationErrors,
+  searchJobs
+);
+
+/**
+ * @route   GET /api/jobs/categories
+ * @desc    Get categories with open jobs
+ * @access  Public
+ */
+router.get('/categories',
+  generalRateLimit,
+  getJobCategories
+);
+
+/**
+ * @route   GET /api/jobs/skills
+ * @desc    Get skills requested by open jobs
+ * @access  Public
+ */
+router.get('/skills',
+  generalRateLimit,
+  query('category').optional().trim().isLength({ max: 50 }).withMessage('Category must not exceed 50 characters'),
+  handleValidationErrors,
+  getJobSkills
+);
+
+/**
+ * @route   GET /api/jobs/my-jobs
+ * @desc    Get jobs the current user posted, applied to or was assigned
+ * @access  Private
+ */
+router.get('/my-jobs',
+  verifyToken,
+  generalRateLimit,
+  query('type').optional().isIn(['created', 'applied', 'assigned']).withMessage('Type must be created, applied or assigned'),
+  query('status').optional().isIn(['open', 'active', 'pending', 'accepted', 'in_progress', 'completed', 'satisfied', 'disputed', 'resolved', 'cancelled']).withMessage('Invalid job status'),
+  ...commonValidations.pagination,
+  handleValidationErrors,
+  getMyJobs
+);
+
+/**
+ * @route   POST /api/jobs
+ * @desc    Post a new job
+ * @access  Private
+ */
+router.post('/',
+  verifyToken,
+  generalRateLimit,
+  ...jobValidations.create,
+  createJob
+);
+
+/**
+ * @route   GET /api/jobs/:id
+ * @desc    Get job by ID
+ * @access  Public
+ */
+router.get('/:id',
+  optionalAuth,
+  generalRateLimit,
+  param('id').isUUID().withMessage('Invalid job ID'),
+  handleValidationErrors,
+  getJobById
+);
+
+/**
+ * @route   PUT /api/jobs/:id
+ * @desc    Update an open job
+ * @access  Private (Job owner)
+ */
+router.put('/:id',
+  verifyToken,
+  generalRateLimit,
+  ...jobValidations.update,
+  updateJob
+);
+
+/**
+ * @route   DELETE /api/jobs/:id
+ * @desc    Delete an open job
+ * @access  Private (Job owner)
+ */
+router.delete('/:id',
+  verifyToken,
+  generalRateLimit,
+  param('id').isUUID().withMessage('Invalid job ID'),
+  handleValidationErrors,
+  deleteJob
+);
+
+/**
+ * @route   POST /api/jobs/:id/apply
+ * @desc    Apply for a job
+ * @access  Private (Provider only)
+ */
+router.post('/:id/apply',
+  verifyToken,
+  generalRateLimit,
+  ...jobValidations.apply,
+  applyForJob
+);
+
+/**
+ * @route   DELETE /api/jobs/:id/apply
+ * @desc    Withdraw own pending application
+ * @access  Private (Applicant)
+ */
+router.delete('/:id/apply',
+  verifyToken,
+  generalRateLimit,
+  param('id').isUUID().withMessage('Invalid job ID'),
+  handleValidationErrors,
+  withdrawApplication
+);
+
+/**
+ * @route   GET /api/jobs/:id/applications
+ * @desc    Get applications for a job (all for the owner, own for applicants)
+ * @access  Private
+ */
+router.get('/:id/applications',
+  verifyToken,
+  generalRateLimit,
+  param('id').isUUID().withMessage('Invalid job ID'),
+  query('status').optional().isIn(['pending', 'accepted', 'rejected', 'withdrawn']).withMessage('Invalid application status'),
+  handleValidationErrors,
+  getJobApplications
+);
+
+/**
+ * @route   POST /api/jobs/:id/accept
+ * @desc    Accept an application (owner) or take the job at the posted amount (provider)
+ * @access  Private
+ */
+router.post('/:id/accept',
+  verifyToken,
+  generalRateLimit,
+  param('id').isUUID().withMessage('Invalid job ID'),
+  body('applicationId').optional().isUUID().withMessage('Invalid application ID'),
+  body('agreedAmount').optional({ nullable: true }).isFloat({ min: 0.01 }).withMessage('Agreed amount must be a positive number'),
+  body('additionalNotes').optional().trim().isLength({ max: 1000 }).withMessage('Notes must not exceed 1000 characters'),
+  handleValidationErrors,
+  acceptJob
+);
+
+/**
+ * @route   GET /api/jobs/:id/offers
+ * @desc    Get the offer history (all threads for the owner, own thread for bidders)
+ * @access  Private
+ */
+router.get('/:id/offers',
+  verifyToken,
+  generalRateLimit,
+  param('id').isUUID().withMessage('Invalid job ID'),
+  handleValidationErrors,
+  getJobOffers
+);
+
+/**
+ * @route   POST /api/jobs/:id/offers
+ * @desc    Bid on an open job
+ * @access  Private (Provider only)
+ */
+router.post('/:id/offers',
+  verifyToken,
+  generalRateLimit,
+  ...jobValidations.offer,
+  submitJobOffer
+);
+
+/**
+ * @route   POST /api/jobs/:id/offers/:offerId/counter
+ * @desc    Counter the other side's pending offer
+ * @access  Private (Job owner or bidding provider)
+ */
+router.post('/:id/offers/:offerId/counter',
+  verifyToken,
+  generalRateLimit,
+  param('offerId').isUUID().withMessage('Invalid offer ID'),
+  ...jobValidations.offer,
+  counterJobOffer
+);
+
+/**
+ * @route   POST /api/jobs/:id/offers/:offerId/accept
+ * @desc    Accept the other side's pending offer and assign the job at its amount
+ * @access  Private (Job owner or bidding provider)
+ */
+router.post('/:id/offers/:offerId/accept',
+  verifyToken,
+  generalRateLimit,
+  param('id').isUUID().withMessage('Invalid job ID'),
+  param('offerId').isUUID().withMessage('Invalid offer ID'),
+  handleValidationErrors,
+  acceptJobOffer
+);
+
+/**
+ * @route   POST /api/jobs/:id/offers/:offerId/reject
+ * @desc    Decline the other side's pending offer
+ * @access  Private (Job owner or bidding provider)
+ */
+router.post('/:id/offers/:offerId/reject',
+  verifyToken,
+  generalRateLimit,
+  param('id').isUUID().withMessage('Invalid job ID'),
+  param('offerId').isUUID().withMessage('Invalid offer ID'),
+  handleValidationErrors,
+  rejectJobOffer
+);
+
+/**
+ * @route   GET /api/jobs/:id/transitions
+ * @desc    Get the status changes the current user can make on a job
+ * @access  Private
+ */
+router.get('/:id/transitions',
+  verifyToken,
+  generalRateLimit,
+  param('id').isUUID().withMessage('Invalid job ID'),
+  handleValidationErrors,
+  getJobTransitions
+);
+
+/**
+ * @route   POST /api/jobs/:id/start
+ * @desc    Start work once the payment is held in escrow
+ * @access  Private (Assigned provider or Admin)
+ */
+router.post('/:id/start',
+  verifyToken,
+  generalRateLimit,
+  param('id').isUUID().withMessage('Invalid job ID'),
+  handleValidationErrors,
+  startJob
+);
+
+/**
+ * @route   POST /api/jobs/:id/complete
+ * @desc    Mark job as completed
+ * @access  Private (Assigned provider)
+ */
+router.post('/:id/complete',
+  verifyToken,
+  generalRateLimit,
+  param('id').isUUID().withMessage('Invalid job ID'),
+  body('deliverables').optional().isArray({ max: 50 }).withMessage('Deliverables must be a list of at most 50 items'),
+  body('notes').optional().trim().isLength({ max: 2000 }).withMessage('Notes must not exceed 2000 characters'),
+  handleValidationErrors,
+  completeJob
+);
+
+/**
+ * @route   POST /api/jobs/:id/satisfy
+ * @desc    Confirm satisfaction with completed work, releasing the escrowed payment
+ * @access  Private (Job owner)
+ */
+router.post('/:id/satisfy',
+  verifyToken,
+  generalRateLimit,
+  ...jobValidations.satisfy,
+  satisfyJob
+);
+
+/**
+ * @route   POST /api/jobs/:id/cancel
+ * @desc    Cancel job
+ * @access  Private (Job participants or Admin)
+ */
+router.post('/:id/cancel',
+  verifyToken,
+  generalRateLimit,
+  param('id').isUUID().withMessage('Invalid job ID'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must not exceed 500 characters'),
+  handleValidationErrors,
+  cancelJob
+);
+
+/**
+ * @route   POST /api/jobs/:id/dispute
+ * @desc    Open a dispute on a funded job, freezing its escrowed payment
+ * @access  Private (Job participants)
+ */
+router.post('/:id/dispute',
+  verifyToken,
+  generalRateLimit,
+  ...disputeValidations.create,
+  openJobDispute
+);
+
+/**
+ * @route   POST /api/jobs/:id/rate
+ * @desc    Rate the other party on a completed job
+ * @access  Private (Job participants)
+ */
+router.post('/:id/rate',
+  verifyToken,
+  generalRateLimit,
+  ...jobValidations.rate,
+  rateJob
+);
+
+module.exports = router;
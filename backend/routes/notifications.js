@@ -0,0 +1,141 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification,
+  clearNotifications,
+  getPreferences,
+  updatePreferences,
+  subscribe,
+  unsubscribe
+} = require('../controllers/notificationController');
+const {
+  notificationValidations,
+  handleValidationErrors
+} = require('../middleware/validation');
+const { param } = require('express-validator');
+const { verifyToken } = require('../middleware/auth');
+const { generalRateLimit } = require('../middleware/security');
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Get the current user's notifications with the unread count
+ * @access  Private
+ */
+router.get('/',
+  verifyToken,
+  generalRateLimit,
+  ...notificationValidations.list,
+  getNotifications
+);
+
+/**
+ * @route   GET /api/notifications/unread-count
+ * @desc    Get the number of unread notifications
+ * @access  Private
+ */
+router.get('/unread-count',
+  verifyToken,
+  generalRateLimit,
+  getUnreadCount
+);
+
+/**
+ * @route   PATCH /api/notifications/read-all
+ * @desc    Mark all notifications as read
+ * @access  Private
+ */
+router.patch('/read-all',
+  verifyToken,
+  generalRateLimit,
+  markAllAsRead
+);
+
+/**
+ * @route   DELETE /api/notifications/clear
+ * @desc    Delete all of the current user's notifications
+ * @access  Private
+ */
+router.delete('/clear',
+  verifyToken,
+  generalRateLimit,
+  clearNotifications
+);
+
+/**
+ * @route   GET /api/notifications/preferences
+ * @desc    Get notification channel and category preferences
+ * @access  Private
+ */
+router.get('/preferences',
+  verifyToken,
+  generalRateLimit,
+  getPreferences
+);
+
+/**
+ * @route   PUT /api/notifications/preferences
+ * @desc    Update notification channel and category preferences
+ * @access  Private
+ */
+router.put('/preferences',
+  verifyToken,
+  generalRateLimit,
+  ...notificationValidations.preferences,
+  updatePreferences
+);
+
+/**
+ * @route   POST /api/notifications/subscribe
+ * @desc    Register a device's FCM token or web push subscription
+ * @access  Private
+ */
+router.post('/subscribe',
+  verifyToken,
+  generalRateLimit,
+  ...notificationValidations.subscribe,
+  subscribe
+);
+
+/**
+ * @route   POST /api/notifications/unsubscribe
+ * @desc    Stop push notifications to a device
+ * @access  Private
+ */
+router.post('/unsubscribe',
+  verifyToken,
+  generalRateLimit,
+  ...notificationValidations.unsubscribe,
+  unsubscribe
+);
+
+/**
+ * @route   PATCH /api/notifications/:id/read
+ * @desc    Mark a notification as read
+ * @access  Private
+ */
+router.patch('/:id/read',
+  verifyToken,
+  generalRateLimit,
+  param('id').isUUID().withMessage('Invalid notification ID'),
+  handleValidationErrors,
+  markAsRead
+);
+
+/**
+ * @route   DELETE /api/notifications/:id
+ * @desc    Delete a notification
+ * @access  Private
+ */
+router.delete('/:id',
+  verifyToken,
+  generalRateLimit,
+  param('id').isUUID().withMessage('Invalid notification ID'),
+  handleValidationErrors,
+  deleteNotification
+);
+
+module.exports = router;
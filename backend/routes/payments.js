@@ -2,14 +2,40 @@ const express = require('express');
 const router = express.Router();
 const {
   createPaymentIntent,
+  getFeeQuote,
   confirmPayment,
   processRefund,
   handleWebhook,
   getPaymentById,
   getUserPayments,
   getPaymentStats,
-  getProviderBalance
+  getProviderBalance,
+  getLedgerStatement,
+  releasePayment,
+  releaseDueEscrowPayments,
+  getPendingEscrowReleases,
+  getWebhookEvents,
+  replayWebhookEvent,
+  getRefunds
 } = require('../controllers/paymentController');
+const {
+  resolvePayoutAccount,
+  addPayoutAccount,
+  getPayoutAccounts,
+  setDefaultPayoutAccount,
+  removePayoutAccount,
+  requestWithdrawal,
+  getWithdrawals,
+  getWithdrawalById,
+  getWithdrawalLimits
+} = require('../controllers/payoutController');
+const {
+  createReconciliationReport,
+  getReconciliationReports,
+  getReconciliationReport
+} = require('../controllers/reconciliationController');
+const { supportedGateways } = require('../services/settlementParsers');
+const { SUPPORTED_GATEWAYS } = require('../services/gateways');
 const {
   paymentValidations,
   handleValidationErrors
@@ -21,10 +47,19 @@ const {
   optionalAuth
 } = require('../middleware/auth');
 const { generalRateLimit, paymentRateLimit } = require('../middleware/security');
+const multer = require('multer');
+
+// Settlement exports are parsed in memory
+const settlementUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 20 * 1024 * 1024 // 20MB
+  }
+});
 
 /**
  * @route   POST /api/payments/intent
- * @desc    Create payment intent
+ * @desc    Create payment intent for a booking or an accepted job
  * @access  Private
  */
 router.post('/intent',
@@ -34,6 +69,25 @@ router.post('/intent',
   createPaymentIntent
 );
 
+/**
+ * @route   GET /api/payments/quote
+ * @desc    Fee breakdown for a booking, service or amount
+ * @access  Private
+ */
+router.get('/quote',
+  verifyToken,
+  generalRateLimit,
+  query('bookingId').optional().isUUID().withMessage('Invalid booking ID'),
+  query('serviceId').optional().isUUID().withMessage('Invalid service ID'),
+  query('providerId').optional().isUUID().withMessage('Invalid provider ID'),
+  query('amount').optional().isFloat({ min: 0.01, max: 999999.99 }).withMessage('Amount must be between 0.01 and 999,999.99'),
+  query('currency').optional().isIn(['USD', 'EUR', 'GBP', 'NGN', 'GHS', 'KES', 'ZAR']).withMessage('Currency must be a valid currency code'),
+  query('gateway').optional().isIn(SUPPORTED_GATEWAYS).withMessage('Unsupported payment gateway'),
+  query('category').optional().isString().withMessage('Category must be a string'),
+  handleValidationErrors,
+  getFeeQuote
+);
+
 /**
  * @route   POST /api/payments/:id/confirm
  * @desc    Confirm payment
@@ -50,26 +104,160 @@ router.post('/:id/confirm',
 /**
  * @route   POST /api/payments/:id/refund
  * @desc    Process refund
- * @access  Private
+ * @access  Private (Admin or the payee)
  */
 router.post('/:id/refund',
   verifyToken,
   paymentRateLimit,
   param('id').isUUID().withMessage('Invalid payment ID'),
-  body('amount').optional().isFloat({ min: 0 }).withMessage('Refund amount must be a positive number'),
+  body('amount').optional().isFloat({ min: 0.01 }).withMessage('Refund amount must be a positive number'),
   body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must not exceed 500 characters'),
   handleValidationErrors,
   processRefund
 );
 
+/**
+ * @route   POST /api/payments/:id/release
+ * @desc    Release escrowed funds to the provider
+ * @access  Private (Paying requester or Admin)
+ */
+router.post('/:id/release',
+  verifyToken,
+  paymentRateLimit,
+  param('id').isUUID().withMessage('Invalid payment ID'),
+  body('isSatisfied').optional().isBoolean().withMessage('isSatisfied must be a boolean'),
+  body('rating').optional().isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+  body('feedback').optional().trim().isLength({ max: 1000 }).withMessage('Feedback must not exceed 1000 characters'),
+  handleValidationErrors,
+  releasePayment
+);
+
+/**
+ * @route   POST /api/payments/escrow/release-due
+ * @desc    Release escrowed payments whose hold period has elapsed (scheduled job)
+ * @access  Private (Admin)
+ */
+router.post('/escrow/release-due',
+  verifyToken,
+  requireAdmin,
+  body('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500'),
+  handleValidationErrors,
+  releaseDueEscrowPayments
+);
+
+/**
+ * @route   GET /api/payments/escrow/pending
+ * @desc    List escrowed payments awaiting release
+ * @access  Private (Admin)
+ */
+router.get('/escrow/pending',
+  verifyToken,
+  requireAdmin,
+  generalRateLimit,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  handleValidationErrors,
+  getPendingEscrowReleases
+);
+
 /**
  * @route   POST /api/payments/webhook/:gateway
  * @desc    Handle payment gateway webhooks
  * @access  Public (but verified by gateway signature)
  */
-router.post('/webhook/:gateway',
-  express.raw({ type: 'application/json' }),
-  handleWebhook
+router.post('/webhook/:gateway', handleWebhook);
+
+/**
+ * @route   GET /api/payments/webhooks/events
+ * @desc    List stored gateway webhook events
+ * @access  Private (Admin)
+ */
+router.get('/webhooks/events',
+  verifyToken,
+  requireAdmin,
+  generalRateLimit,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional().isIn(['received', 'processing', 'processed', 'skipped', 'ignored', 'failed']).withMessage('Invalid event status'),
+  handleValidationErrors,
+  getWebhookEvents
+);
+
+/**
+ * @route   POST /api/payments/webhooks/events/:id/replay
+ * @desc    Replay a failed webhook event
+ * @access  Private (Admin)
+ */
+router.post('/webhooks/events/:id/replay',
+  verifyToken,
+  requireAdmin,
+  param('id').isUUID().withMessage('Invalid webhook event ID'),
+  handleValidationErrors,
+  replayWebhookEvent
+);
+
+/**
+ * @route   GET /api/payments/refunds
+ * @desc    List refunds; status=needs_reconciliation finds gateway refunds we failed to record
+ * @access  Private (Admin)
+ */
+router.get('/refunds',
+  verifyToken,
+  requireAdmin,
+  generalRateLimit,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional().isIn(['pending', 'succeeded', 'failed', 'needs_reconciliation']).withMessage('Invalid refund status'),
+  handleValidationErrors,
+  getRefunds
+);
+
+/**
+ * @route   POST /api/payments/reconciliation
+ * @desc    Reconcile a gateway settlement export against our payments
+ * @access  Private (Admin)
+ */
+router.post('/reconciliation',
+  verifyToken,
+  requireAdmin,
+  settlementUpload.single('file'),
+  body('gateway').isIn(supportedGateways).withMessage(`Gateway must be one of: ${supportedGateways.join(', ')}`),
+  body('format').optional().isIn(['csv', 'json']).withMessage('Format must be csv or json'),
+  body('periodStart').optional().isISO8601().withMessage('Period start must be a valid date'),
+  body('periodEnd').optional().isISO8601().withMessage('Period end must be a valid date'),
+  handleValidationErrors,
+  createReconciliationReport
+);
+
+/**
+ * @route   GET /api/payments/reconciliation
+ * @desc    List settlement reconciliation reports
+ * @access  Private (Admin)
+ */
+router.get('/reconciliation',
+  verifyToken,
+  requireAdmin,
+  generalRateLimit,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional().isIn(['clean', 'mismatched']).withMessage('Invalid report status'),
+  handleValidationErrors,
+  getReconciliationReports
+);
+
+/**
+ * @route   GET /api/payments/reconciliation/:id
+ * @desc    Get a reconciliation report and its mismatches
+ * @access  Private (Admin)
+ */
+router.get('/reconciliation/:id',
+  verifyToken,
+  requireAdmin,
+  generalRateLimit,
+  param('id').isUUID().withMessage('Invalid report ID'),
+  query('type').optional().isIn(['missing_locally', 'missing_at_gateway', 'amount_mismatch', 'status_mismatch', 'duplicate_at_gateway']).withMessage('Invalid mismatch type'),
+  handleValidationErrors,
+  getReconciliationReport
 );
 
 /**
@@ -94,6 +282,143 @@ router.get('/balance',
   getProviderBalance
 );
 
+/**
+ * @route   GET /api/payments/ledger
+ * @desc    Get ledger statement for current user's wallet and escrow
+ * @access  Private
+ */
+router.get('/ledger',
+  verifyToken,
+  generalRateLimit,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  handleValidationErrors,
+  getLedgerStatement
+);
+
+/**
+ * @route   POST /api/payments/withdraw
+ * @desc    Withdraw available balance to a saved payout account
+ * @access  Private (Provider only)
+ */
+router.post('/withdraw',
+  verifyToken,
+  paymentRateLimit,
+  body('amount').isFloat({ min: 100 }).withMessage('Minimum withdrawal amount is 100'),
+  body('payoutAccountId').optional().isUUID().withMessage('Invalid payout account ID'),
+  body('currency').optional().isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3-letter code'),
+  body('reason').optional().trim().isLength({ max: 255 }).withMessage('Reason must not exceed 255 characters'),
+  handleValidationErrors,
+  requestWithdrawal
+);
+
+/**
+ * @route   GET /api/payments/withdrawals
+ * @desc    Get current user's withdrawals
+ * @access  Private (Provider only)
+ */
+router.get('/withdrawals',
+  verifyToken,
+  generalRateLimit,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional().isIn(['queued', 'processing', 'paid', 'failed', 'reversed']).withMessage('Invalid withdrawal status'),
+  handleValidationErrors,
+  getWithdrawals
+);
+
+/**
+ * @route   GET /api/payments/withdrawals/limits
+ * @desc    Get withdrawal limits and today's usage
+ * @access  Private (Provider only)
+ */
+router.get('/withdrawals/limits',
+  verifyToken,
+  generalRateLimit,
+  getWithdrawalLimits
+);
+
+/**
+ * @route   GET /api/payments/withdrawals/:id
+ * @desc    Get withdrawal by ID
+ * @access  Private
+ */
+router.get('/withdrawals/:id',
+  verifyToken,
+  generalRateLimit,
+  param('id').isUUID().withMessage('Invalid withdrawal ID'),
+  handleValidationErrors,
+  getWithdrawalById
+);
+
+/**
+ * @route   POST /api/payments/payout-accounts/resolve
+ * @desc    Resolve the account name for a bank account
+ * @access  Private (Provider only)
+ */
+router.post('/payout-accounts/resolve',
+  verifyToken,
+  paymentRateLimit,
+  body('accountNumber').matches(/^\d{10}$/).withMessage('Account number must be 10 digits'),
+  body('bankCode').trim().notEmpty().withMessage('Bank code is required'),
+  handleValidationErrors,
+  resolvePayoutAccount
+);
+
+/**
+ * @route   GET /api/payments/payout-accounts
+ * @desc    Get current user's payout accounts
+ * @access  Private (Provider only)
+ */
+router.get('/payout-accounts',
+  verifyToken,
+  generalRateLimit,
+  getPayoutAccounts
+);
+
+/**
+ * @route   POST /api/payments/payout-accounts
+ * @desc    Verify and save a payout account
+ * @access  Private (Provider only)
+ */
+router.post('/payout-accounts',
+  verifyToken,
+  paymentRateLimit,
+  body('accountNumber').matches(/^\d{10}$/).withMessage('Account number must be 10 digits'),
+  body('bankCode').trim().notEmpty().withMessage('Bank code is required'),
+  body('bankName').optional().trim().isLength({ max: 100 }).withMessage('Bank name must not exceed 100 characters'),
+  body('accountType').optional().isIn(['bank', 'mobile_money']).withMessage('Invalid account type'),
+  body('isDefault').optional().isBoolean().withMessage('isDefault must be a boolean'),
+  handleValidationErrors,
+  addPayoutAccount
+);
+
+/**
+ * @route   PUT /api/payments/payout-accounts/:id/default
+ * @desc    Make a payout account the default
+ * @access  Private (Provider only)
+ */
+router.put('/payout-accounts/:id/default',
+  verifyToken,
+  generalRateLimit,
+  param('id').isUUID().withMessage('Invalid payout account ID'),
+  handleValidationErrors,
+  setDefaultPayoutAccount
+);
+
+/**
+ * @route   DELETE /api/payments/payout-accounts/:id
+ * @desc    Remove a payout account
+ * @access  Private (Provider only)
+ */
+router.delete('/payout-accounts/:id',
+  verifyToken,
+  generalRateLimit,
+  param('id').isUUID().withMessage('Invalid payout account ID'),
+  handleValidationErrors,
+  removePayoutAccount
+);
+
 /**
  * @route   GET /api/payments/stats
  * @desc    Get payment statistics (Admin only)
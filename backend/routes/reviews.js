@@ -0,0 +1,94 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createReview,
+  getReviewById,
+  replyToReview,
+  voteReviewHelpful,
+  removeReviewHelpfulVote,
+  reportReview
+} = require('../controllers/reviewController');
+const {
+  reviewValidations,
+  handleValidationErrors
+} = require('../middleware/validation');
+const { param } = require('express-validator');
+const { verifyToken, optionalAuth } = require('../middleware/auth');
+const { generalRateLimit } = require('../middleware/security');
+
+/**
+ * @route   POST /api/reviews
+ * @desc    Review the other participant of a completed booking
+ * @access  Private (Booking participants)
+ */
+router.post('/',
+  verifyToken,
+  generalRateLimit,
+  ...reviewValidations.create,
+  createReview
+);
+
+/**
+ * @route   GET /api/reviews/:id
+ * @desc    Get a review by ID
+ * @access  Public
+ */
+router.get('/:id',
+  optionalAuth,
+  generalRateLimit,
+  param('id').isUUID().withMessage('Invalid review ID'),
+  handleValidationErrors,
+  getReviewById
+);
+
+/**
+ * @route   POST /api/reviews/:id/reply
+ * @desc    Reply to a review as the reviewed provider
+ * @access  Private (Reviewed provider)
+ */
+router.post('/:id/reply',
+  verifyToken,
+  generalRateLimit,
+  ...reviewValidations.reply,
+  replyToReview
+);
+
+/**
+ * @route   POST /api/reviews/:id/helpful
+ * @desc    Mark a review as helpful
+ * @access  Private
+ */
+router.post('/:id/helpful',
+  verifyToken,
+  generalRateLimit,
+  param('id').isUUID().withMessage('Invalid review ID'),
+  handleValidationErrors,
+  voteReviewHelpful
+);
+
+/**
+ * @route   DELETE /api/reviews/:id/helpful
+ * @desc    Remove a helpful vote
+ * @access  Private
+ */
+router.delete('/:id/helpful',
+  verifyToken,
+  generalRateLimit,
+  param('id').isUUID().withMessage('Invalid review ID'),
+  handleValidationErrors,
+  removeReviewHelpfulVote
+);
+
+/**
+ * @route   POST /api/reviews/:id/report
+ * @desc    Report a review for moderation
+ * @access  Private
+ */
+router.post('/:id/report',
+  verifyToken,
+  generalRateLimit,
+  ...reviewValidations.report,
+  reportReview
+);
+
+module.exports = router;
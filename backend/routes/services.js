@@ -14,8 +14,10 @@ const {
   getCategories,
   getServicesByProvider
 } = require('../controllers/serviceController');
+const { getServiceReviews } = require('../controllers/reviewController');
 const {
   serviceValidations,
+  reviewValidations,
   handleValidationErrors
 } = require('../middleware/validation');
 const { body, param, query } = require('express-validator');
@@ -149,6 +151,18 @@ router.get('/:id',
   getServiceById
 );
 
+/**
+ * @route   GET /api/services/:id/reviews
+ * @desc    Get requesters' reviews of a service, with a rating summary
+ * @access  Public
+ */
+router.get('/:id/reviews',
+  optionalAuth,
+  generalRateLimit,
+  ...reviewValidations.list,
+  getServiceReviews
+);
+
 /**
  * @route   PUT /api/services/:id
  * @desc    Update service
@@ -12,9 +12,11 @@ const {
   deleteUser,
   searchUsers
 } = require('../controllers/userController');
+const { getUserReviews } = require('../controllers/reviewController');
 const {
   handleValidationErrors,
-  userValidations
+  userValidations,
+  reviewValidations
 } = require('../middleware/validation');
 const { body, param, query } = require('express-validator');
 const {
@@ -84,6 +86,17 @@ router.get('/:id',
   getUserById
 );
 
+/**
+ * @route   GET /api/users/:id/reviews
+ * @desc    Get reviews the user has received, with a rating summary
+ * @access  Public
+ */
+router.get('/:id/reviews',
+  generalRateLimit,
+  ...reviewValidations.list,
+  getUserReviews
+);
+
 /**
  * @route   PUT /api/users/:id
  * @desc    Update user profile
@@ -0,0 +1,120 @@
+const express = require('express');
+const router = express.Router();
+const {
+  verifyNin,
+  verifyBvn,
+  verifyBankAccount,
+  getStatus,
+  getRequirements,
+  submitDocument,
+  getMyDocuments,
+  downloadDocument
+} = require('../controllers/verificationController');
+const { verificationValidations } = require('../middleware/validation');
+const { verifyToken } = require('../middleware/auth');
+const { generalRateLimit, uploadRateLimit } = require('../middleware/security');
+const uploadService = require('../services/uploadService');
+
+// Documents arrive as a single multipart `file`; photos and PDFs only
+const documentUpload = uploadService.createUploadMiddleware({
+  destination: 'temp',
+  maxFiles: 1,
+  allowedTypes: uploadService.allowedEvidenceTypes,
+  maxSize: uploadService.verificationDocumentMaxSize
+});
+
+/**
+ * @route   POST /api/verification/nimc
+ * @desc    Verify the user's NIN against the NIMC registry
+ * @access  Private
+ */
+router.post('/nimc',
+  verifyToken,
+  generalRateLimit,
+  ...verificationValidations.nin,
+  verifyNin
+);
+
+/**
+ * @route   POST /api/verification/bvn
+ * @desc    Verify the user's BVN
+ * @access  Private
+ */
+router.post('/bvn',
+  verifyToken,
+  generalRateLimit,
+  ...verificationValidations.bvn,
+  verifyBvn
+);
+
+/**
+ * @route   POST /api/verification/cbn
+ * @desc    Confirm a bank account is held in the user's name (and under their BVN)
+ * @access  Private
+ */
+router.post('/cbn',
+  verifyToken,
+  generalRateLimit,
+  ...verificationValidations.bankAccount,
+  verifyBankAccount
+);
+
+/**
+ * @route   GET /api/verification/status/:userId?
+ * @desc    Get KYC status per check, overall status and next steps
+ * @access  Private (own status; admins any user's)
+ */
+router.get('/status/:userId?',
+  verifyToken,
+  generalRateLimit,
+  ...verificationValidations.status,
+  getStatus
+);
+
+/**
+ * @route   GET /api/verification/requirements
+ * @desc    Get the user's KYC tier, limits, today's usage and what unlocks the next tier
+ * @access  Private
+ */
+router.get('/requirements',
+  verifyToken,
+  generalRateLimit,
+  getRequirements
+);
+
+/**
+ * @route   POST /api/verification/document
+ * @desc    Upload an ID card, business license or certification for admin review
+ * @access  Private
+ */
+router.post('/document',
+  verifyToken,
+  uploadRateLimit,
+  documentUpload,
+  ...verificationValidations.document,
+  submitDocument
+);
+
+/**
+ * @route   GET /api/verification/documents
+ * @desc    Get the user's submitted documents and their review outcome
+ * @access  Private
+ */
+router.get('/documents',
+  verifyToken,
+  generalRateLimit,
+  getMyDocuments
+);
+
+/**
+ * @route   GET /api/verification/documents/:id/file
+ * @desc    View a document file through a short-lived signed link
+ * @access  Public (Signed URL)
+ */
+router.get('/documents/:id/file',
+  generalRateLimit,
+  ...verificationValidations.documentFile,
+  downloadDocument
+);
+
+module.exports = router;
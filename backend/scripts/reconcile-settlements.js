@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+/**
+ * Settlement Reconciliation Script
+ * Reconciles a gateway settlement export (CSV or JSON) against the payments table
+ *
+ * Exits with code 1 when the report has mismatches so it can gate a daily cron job.
+ */
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const { supportedGateways } = require('../services/settlementParsers');
+
+const parseArgs = (argv) => {
+  const args = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      const [key, inlineValue] = arg.slice(2).split('=');
+      args[key] = inlineValue !== undefined ? inlineValue : argv[++i];
+    }
+  }
+
+  return args;
+};
+
+const printUsage = () => {
+  console.log('📖 Sha Pay Settlement Reconciliation');
+  console.log('\nUsage:');
+  console.log('  node reconcile-settlements.js --gateway <name> --file <path> [options]');
+  console.log('\nOptions:');
+  console.log(`  --gateway   Gateway that produced the export (${supportedGateways.join(', ')})`);
+  console.log('  --file      Path to the settlement export');
+  console.log('  --format    csv or json (detected from the file when omitted)');
+  console.log('  --from      Start of the settlement period (defaults to the earliest row)');
+  console.log('  --to        End of the settlement period (defaults to the latest row)');
+  console.log('  --out       Write the full report as JSON to this path');
+  console.log('\nExamples:');
+  console.log('  node reconcile-settlements.js --gateway paystack --file ./paystack-2024-05-01.csv');
+  console.log('  node reconcile-settlements.js --gateway stripe --file ./charges.json --out ./report.json');
+};
+
+const printReport = (report) => {
+  const { summary } = report;
+
+  console.log(`\n📊 Reconciliation report ${report.id}`);
+  console.log(`   Gateway: ${report.gateway}  Format: ${report.format}`);
+  if (report.periodStart) {
+    console.log(`   Period:  ${report.periodStart.toISOString()} → ${report.periodEnd.toISOString()}`);
+  }
+  console.log(`   Rows: ${summary.gatewayRows}  Matched: ${summary.matched}  Mismatches: ${summary.mismatches}`);
+  console.log(`   Gateway total: ${summary.gatewayTotal}  Local total: ${summary.localTotal}`);
+
+  if (report.mismatches.length === 0) {
+    console.log('\n✅ No mismatches found');
+    return;
+  }
+
+  console.log('\n❌ Mismatches:');
+  console.log(`   Missing locally:    ${summary.missingLocally}`);
+  console.log(`   Missing at gateway: ${summary.missingAtGateway}`);
+  console.log(`   Amount differences: ${summary.amountMismatches}`);
+  console.log(`   Status differences: ${summary.statusMismatches}`);
+  console.log(`   Duplicate rows:     ${summary.duplicates}`);
+
+  console.table(report.mismatches.map(mismatch => ({
+    type: mismatch.type,
+    reference: mismatch.reference || mismatch.gatewayTransactionId,
+    paymentId: mismatch.paymentId || '',
+    gateway: mismatch.gatewayAmount !== undefined ? `${mismatch.gatewayAmount} ${mismatch.gatewayStatus}` : '',
+    local: mismatch.localAmount !== undefined ? `${mismatch.localAmount} ${mismatch.localStatus}` : ''
+  })));
+};
+
+const run = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.help || !args.gateway || !args.file) {
+    printUsage();
+    process.exit(args.help ? 0 : 2);
+  }
+
+  const { sequelize } = require('../config/database');
+  const reconciliationService = require('../services/reconciliationService');
+
+  try {
+    await sequelize.authenticate();
+
+    const content = fs.readFileSync(path.resolve(args.file));
+    const report = await reconciliationService.reconcile(args.gateway, content, {
+      format: args.format,
+      sourceName: path.basename(args.file),
+      periodStart: args.from,
+      periodEnd: args.to
+    });
+
+    printReport(report);
+
+    if (args.out) {
+      fs.writeFileSync(path.resolve(args.out), JSON.stringify(report.toJSON(), null, 2));
+      console.log(`\n💾 Report written to ${args.out}`);
+    }
+
+    await sequelize.close();
+    process.exit(report.status === 'clean' ? 0 : 1);
+  } catch (error) {
+    console.error('❌ Reconciliation failed:', error.message);
+    await sequelize.close().catch(() => {});
+    process.exit(2);
+  }
+};
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = { parseArgs };
@@ -23,6 +23,9 @@ const routes = require('./routes');
 const emailService = require('./services/emailService');
 const notificationService = require('./services/notificationService');
 const uploadService = require('./services/uploadService');
+const jobScheduler = require('./services/jobScheduler');
+const { registerJobs } = require('./services/scheduledJobs');
+const chatServer = require('./services/chatServer');
 
 // Create Express app
 const app = express();
@@ -119,7 +122,13 @@ if (NODE_ENV === 'development') {
 }
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw body around for gateway webhook signature checks
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Static files
@@ -221,6 +230,13 @@ const startServer = async () => {
     await initializeServices();
     console.log('✅ Services initialized.');
     
+    // Start background jobs (payment retries, expiry, escrow release, payouts)
+    if (process.env.JOB_SCHEDULER_ENABLED !== 'false') {
+      registerJobs(jobScheduler);
+      await jobScheduler.start();
+      logger.info('Job scheduler started.');
+    }
+    
     // Start the server
     console.log(`🔄 Starting server on port ${PORT}...`);
     const server = app.listen(PORT, '0.0.0.0', () => {
@@ -240,15 +256,23 @@ const startServer = async () => {
     // Set server timeout
     server.timeout = 30000; // 30 seconds
     
+    // Real-time chat over WebSocket on the same port
+    chatServer.attach(server);
+    logger.info(`💬 Chat WebSocket: ws://localhost:${PORT}${chatServer.path}`);
+    
     // Graceful shutdown
     const gracefulShutdown = async (signal) => {
       logger.info(`Received ${signal}. Starting graceful shutdown...`);
       
-      // Stop accepting new connections
+      // Stop accepting new connections; open chat sockets would keep the server from closing
+      await chatServer.close();
       server.close(async () => {
         logger.info('HTTP server closed.');
         
         try {
+          // Stop picking up jobs before the database goes away
+          await jobScheduler.stop();
+          
           // Close database connection
           await sequelize.close();
           logger.info('Database connection closed.');
@@ -0,0 +1,468 @@
+const jwt = require('jsonwebtoken');
+const winston = require('winston');
+const { WebSocketServer, WebSocket } = require('ws');
+const { User } = require('../models');
+const chatService = require('./chatService');
+const notificationDispatcher = require('./notificationDispatcher');
+const { AppError, ValidationError } = require('../middleware/errorHandler');
+
+const PUSH_PREVIEW_LENGTH = 100;
+
+/**
+ * WebSocket endpoint for booking chat.
+ *
+ * Clients connect to `/chat?token=<JWT>` and exchange JSON frames of the form
+ * `{ type, payload }`, the protocol spoken by the app's websocketService:
+ *
+ *   client → server: message, typing, stopTyping, markAsRead,
+ *                    joinConversation, leaveConversation, ping
+ *   server → client: message, messageStatus, messageUpdated, messageDeleted,
+ *                    typing, stopTyping, userOnline, userOffline,
+ *                    conversationUpdate, pong, error
+ *
+ * Each booking is a conversation room. A user may be connected from several
+ * devices at once; they count as online until their last socket closes.
+ */
+class ChatServer {
+  constructor() {
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/chat-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/chat.log' })
+      ]
+    });
+
+    this.path = process.env.CHAT_WS_PATH || '/chat';
+    this.heartbeatIntervalMs = parseInt(process.env.CHAT_HEARTBEAT_INTERVAL_MS || '30000');
+
+    this.wss = null;
+    this.heartbeatTimer = null;
+    this.sockets = new Map(); // userId -> Set<WebSocket>
+    this.rooms = new Map(); // conversationId -> Set<WebSocket>
+
+    this.handlers = new Map([
+      ['ping', this.handlePing],
+      ['joinConversation', this.handleJoinConversation],
+      ['leaveConversation', this.handleLeaveConversation],
+      ['message', this.handleChatMessage],
+      ['typing', this.handleTyping],
+      ['stopTyping', this.handleTyping],
+      ['markAsRead', this.handleMarkAsRead]
+    ]);
+  }
+
+  // Serve the chat endpoint from an existing HTTP server
+  attach(server) {
+    this.wss = new WebSocketServer({ noServer: true, maxPayload: 64 * 1024 });
+
+    server.on('upgrade', (request, socket, head) => {
+      this.handleUpgrade(request, socket, head).catch((error) => {
+        this.logger.error('WebSocket upgrade failed', { message: error.message, stack: error.stack });
+        this.rejectUpgrade(socket, 500, 'Internal Server Error');
+      });
+    });
+
+    this.wss.on('connection', (ws, request, user) => {
+      this.handleConnection(ws, user).catch((error) => {
+        this.logger.error('Failed to set up chat connection', { userId: user.id, message: error.message });
+      });
+    });
+
+    // Drop sockets that stopped answering protocol-level pings
+    this.heartbeatTimer = setInterval(() => this.checkHeartbeats(), this.heartbeatIntervalMs);
+    this.heartbeatTimer.unref();
+
+    this.logger.info('Chat server attached', { path: this.path });
+    return this.wss;
+  }
+
+  async handleUpgrade(request, socket, head) {
+    const { pathname } = new URL(request.url, 'http://localhost');
+
+    if (pathname !== this.path) {
+      this.rejectUpgrade(socket, 404, 'Not Found');
+      return;
+    }
+
+    const user = await this.authenticate(request);
+    if (!user) {
+      this.rejectUpgrade(socket, 401, 'Unauthorized');
+      return;
+    }
+
+    this.wss.handleUpgrade(request, socket, head, (ws) => {
+      this.wss.emit('connection', ws, request, user);
+    });
+  }
+
+  rejectUpgrade(socket, status, reason) {
+    if (socket.writable) {
+      socket.write(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\n\r\n`);
+    }
+    socket.destroy();
+  }
+
+  // JWT from the `token` query parameter or an Authorization header; same account checks as verifyToken
+  async authenticate(request) {
+    const { searchParams } = new URL(request.url, 'http://localhost');
+    const authHeader = request.headers.authorization;
+    const token = searchParams.get('token') || (authHeader && authHeader.replace(/^Bearer /, ''));
+
+    if (!token) {
+      return null;
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      return null;
+    }
+
+    const user = await User.findByPk(decoded.userId, {
+      attributes: { exclude: ['password', 'refreshToken'] }
+    });
+
+    if (!user || !user.isActive || user.isBlocked || user.isAccountLocked()) {
+      return null;
+    }
+
+    return user;
+  }
+
+  async handleConnection(ws, user) {
+    ws.user = user;
+    ws.isAlive = true;
+    ws.conversations = new Set();
+
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    ws.on('message', (data) => {
+      this.handleFrame(ws, data).catch((error) => {
+        this.logger.error('Unhandled chat frame error', { userId: user.id, message: error.message });
+      });
+    });
+
+    ws.on('close', () => {
+      this.handleDisconnect(ws).catch((error) => {
+        this.logger.error('Failed to clean up chat connection', { userId: user.id, message: error.message });
+      });
+    });
+
+    const devices = this.sockets.get(user.id) || new Set();
+    const cameOnline = devices.size === 0;
+    devices.add(ws);
+    this.sockets.set(user.id, devices);
+
+    if (cameOnline) {
+      await chatService.setPresence(user.id, true);
+      await this.broadcastPresence(user.id, 'userOnline', { userId: user.id, isOnline: true });
+    }
+
+    // Anything sent while the user was away has now reached a device
+    const delivered = await chatService.markDelivered(user);
+    this.sendStatusUpdates(delivered, 'delivered');
+
+    this.logger.info('Chat client connected', { userId: user.id, devices: devices.size });
+  }
+
+  async handleDisconnect(ws) {
+    const { user } = ws;
+
+    for (const conversationId of ws.conversations) {
+      this.leaveRoom(ws, conversationId);
+    }
+
+    const devices = this.sockets.get(user.id);
+    if (!devices) {
+      return;
+    }
+
+    devices.delete(ws);
+    if (devices.size > 0) {
+      return;
+    }
+
+    this.sockets.delete(user.id);
+    const lastSeenAt = await chatService.setPresence(user.id, false);
+    await this.broadcastPresence(user.id, 'userOffline', { userId: user.id, isOnline: false, lastSeenAt });
+
+    this.logger.info('Chat client went offline', { userId: user.id });
+  }
+
+  async handleFrame(ws, data) {
+    let frame;
+    try {
+      frame = JSON.parse(data.toString());
+    } catch (error) {
+      this.sendError(ws, 'Invalid JSON frame');
+      return;
+    }
+
+    const handler = frame && this.handlers.get(frame.type);
+    if (!handler) {
+      this.sendError(ws, `Unknown message type: ${frame && frame.type}`);
+      return;
+    }
+
+    try {
+      await handler.call(this, ws, frame.payload || {}, frame.type);
+    } catch (error) {
+      // Typed service errors are meant for the user; hide anything else
+      if (!(error instanceof AppError)) {
+        this.logger.error('Chat frame failed', { type: frame.type, userId: ws.user.id, message: error.message });
+      }
+      this.sendError(ws, error instanceof AppError ? error.message : 'Something went wrong', frame.type);
+    }
+  }
+
+  handlePing(ws) {
+    this.send(ws, 'pong', { timestamp: new Date().toISOString() });
+  }
+
+  async handleJoinConversation(ws, { conversationId }) {
+    const booking = await chatService.findConversation(conversationId, ws.user);
+
+    const room = this.rooms.get(booking.id) || new Set();
+    room.add(ws);
+    this.rooms.set(booking.id, room);
+    ws.conversations.add(booking.id);
+
+    // Let the client know whether the other side is around right now
+    const counterpartId = chatService.getCounterpartId(booking, ws.user.id);
+    if (this.isOnline(counterpartId)) {
+      this.send(ws, 'userOnline', { userId: counterpartId, isOnline: true });
+    } else {
+      const counterpart = await User.findByPk(counterpartId, { attributes: ['id', 'lastSeenAt'] });
+      this.send(ws, 'userOffline', { userId: counterpartId, isOnline: false, lastSeenAt: counterpart && counterpart.lastSeenAt });
+    }
+  }
+
+  handleLeaveConversation(ws, { conversationId }) {
+    this.leaveRoom(ws, conversationId);
+  }
+
+  leaveRoom(ws, conversationId) {
+    const room = this.rooms.get(conversationId);
+    if (room) {
+      room.delete(ws);
+      if (room.size === 0) {
+        this.rooms.delete(conversationId);
+      }
+    }
+    ws.conversations.delete(conversationId);
+  }
+
+  async handleChatMessage(ws, { id: tempId, conversationId, content, type, location }) {
+    const message = await chatService.sendMessage(ws.user, { conversationId, content, type, location });
+
+    this.send(ws, 'messageStatus', {
+      tempId,
+      messageId: message.id,
+      conversationId: message.bookingId,
+      status: 'sent',
+      timestamp: message.createdAt
+    });
+
+    await this.publishMessage(message, { tempId, origin: ws });
+  }
+
+  /**
+   * Fan a stored message out to every device of both participants except the
+   * one it came from, and mark it delivered if the receiver is connected.
+   * Also used for messages sent through the REST API.
+   */
+  async publishMessage(message, { tempId = null, origin = null } = {}) {
+    const payload = chatService.serializeMessage(message);
+
+    this.sendToUser(message.receiverId, 'message', payload);
+    this.sendToUser(message.senderId, 'message', { ...payload, tempId }, origin);
+
+    if (this.isOnline(message.receiverId)) {
+      const delivered = await chatService.markDelivered({ id: message.receiverId }, { messageIds: [message.id] });
+      this.sendStatusUpdates(delivered, 'delivered');
+    } else {
+      await this.notifyOfflineReceiver(message, payload);
+    }
+
+    await this.sendConversationUpdate(message.bookingId, message.receiverId, payload);
+    await this.sendConversationUpdate(message.bookingId, message.senderId, payload);
+  }
+
+  // A receiver with no open socket hears about the message by push instead
+  async notifyOfflineReceiver(message, payload) {
+    try {
+      const sender = await User.findByPk(message.senderId, { attributes: ['id', 'firstName'] });
+      const content = payload.content || '';
+
+      await notificationDispatcher.dispatch(message.receiverId, {
+        type: 'message_received',
+        template: 'message_received',
+        params: {
+          senderName: sender ? sender.firstName : 'Someone',
+          preview: content.length > PUSH_PREVIEW_LENGTH ? `${content.slice(0, PUSH_PREVIEW_LENGTH - 1)}…` : content
+        },
+        data: {
+          conversationId: message.bookingId,
+          messageId: message.id
+        },
+        inApp: false
+      });
+    } catch (error) {
+      this.logger.error('Failed to notify offline receiver', { messageId: message.id, message: error.message });
+    }
+  }
+
+  // Edits and deletions reach both participants as messageUpdated / messageDeleted
+  async publishMessageChange(message, type) {
+    const payload = chatService.serializeMessage(message);
+
+    this.sendToUser(message.senderId, type, payload);
+    this.sendToUser(message.receiverId, type, payload);
+
+    if (type === 'messageDeleted') {
+      await this.sendConversationUpdate(message.bookingId, message.receiverId);
+    }
+  }
+
+  handleTyping(ws, { conversationId }, type) {
+    if (!ws.conversations.has(conversationId)) {
+      throw new ValidationError('Join the conversation before sending typing indicators');
+    }
+
+    const payload = {
+      conversationId,
+      userId: ws.user.id,
+      timestamp: new Date().toISOString()
+    };
+
+    for (const socket of this.rooms.get(conversationId) || []) {
+      if (socket.user.id !== ws.user.id) {
+        this.send(socket, type, payload);
+      }
+    }
+  }
+
+  async handleMarkAsRead(ws, { conversationId, messageIds }) {
+    const messages = await chatService.markRead(ws.user, { conversationId, messageIds });
+    this.sendStatusUpdates(messages, 'read');
+
+    await this.sendConversationUpdate(conversationId, ws.user.id);
+  }
+
+  // Tell senders their messages moved on, one frame per sender
+  sendStatusUpdates(messages, status) {
+    const bySender = new Map();
+
+    for (const message of messages) {
+      const key = `${message.senderId}:${message.bookingId}`;
+      if (!bySender.has(key)) {
+        bySender.set(key, { senderId: message.senderId, conversationId: message.bookingId, messageIds: [] });
+      }
+      bySender.get(key).messageIds.push(message.id);
+    }
+
+    const timestamp = new Date().toISOString();
+    for (const { senderId, conversationId, messageIds } of bySender.values()) {
+      this.sendToUser(senderId, 'messageStatus', { conversationId, messageIds, status, timestamp });
+    }
+  }
+
+  async sendConversationUpdate(conversationId, userId, lastMessage) {
+    if (!this.isOnline(userId)) {
+      return;
+    }
+
+    const update = {
+      conversationId,
+      unreadCount: await chatService.countUnread(conversationId, userId)
+    };
+
+    if (lastMessage) {
+      update.lastMessage = lastMessage;
+    }
+
+    this.sendToUser(userId, 'conversationUpdate', update);
+  }
+
+  async broadcastPresence(userId, type, payload) {
+    const contactIds = await chatService.getContactIds(userId);
+
+    for (const contactId of contactIds) {
+      this.sendToUser(contactId, type, payload);
+    }
+  }
+
+  checkHeartbeats() {
+    for (const ws of this.wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }
+
+  isOnline(userId) {
+    return this.sockets.has(userId);
+  }
+
+  send(ws, type, payload) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ type, payload }));
+    }
+  }
+
+  sendToUser(userId, type, payload, except = null) {
+    for (const ws of this.sockets.get(userId) || []) {
+      if (ws !== except) {
+        this.send(ws, type, payload);
+      }
+    }
+  }
+
+  sendError(ws, message, requestType = null) {
+    this.send(ws, 'error', { message, requestType });
+  }
+
+  // Close every socket and mark their users offline
+  async close() {
+    if (!this.wss) {
+      return;
+    }
+
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+
+    const userIds = [...this.sockets.keys()];
+    this.sockets.clear();
+    this.rooms.clear();
+
+    for (const ws of this.wss.clients) {
+      ws.close(1001, 'Server shutting down');
+    }
+
+    await new Promise(resolve => this.wss.close(resolve));
+    this.wss = null;
+
+    if (userIds.length > 0) {
+      await User.update({ isOnline: false, lastSeenAt: new Date() }, { where: { id: userIds } });
+    }
+
+    this.logger.info('Chat server closed');
+  }
+}
+
+// Create and export singleton instance
+const chatServer = new ChatServer();
+module.exports = chatServer;
@@ -0,0 +1,625 @@
+const winston = require('winston');
+const { Op } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+const { sequelize, Message, Booking, Service, User } = require('../models');
+const uploadService = require('./uploadService');
+const { ValidationError, NotFoundError, AuthorizationError } = require('../middleware/errorHandler');
+
+const PARTICIPANT_ATTRIBUTES = ['id', 'firstName', 'lastName', 'profilePicture', 'isOnline', 'lastSeenAt'];
+
+// 'system' messages are posted by the platform, never by users
+const USER_MESSAGE_TYPES = ['text', 'image', 'file', 'location'];
+
+// Attachment kinds backed by an uploaded file
+const STORED_ATTACHMENT_KINDS = ['image', 'file'];
+
+const ATTACHMENT_PATH = '/api/chat/attachments';
+
+/**
+ * Booking conversations.
+ *
+ * Every booking has one conversation between its requester and provider; the
+ * booking id doubles as the conversation id. Messages move from `sent` to
+ * `delivered` when they reach the receiver's device and to `read` once the
+ * receiver opens them. Deleted messages stay in the history as tombstones.
+ *
+ * Images and files are uploaded into private storage and served through
+ * signed, expiring URLs; locations are stored as coordinates with an optional
+ * address.
+ *
+ * `Booking.communication` caches the message count, last message time and each
+ * side's unread count; it is recomputed whenever messages are sent, read or
+ * deleted.
+ */
+class ChatService {
+  constructor() {
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/chat-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/chat.log' })
+      ]
+    });
+  }
+
+  // The booking behind a conversation, if the user takes part in it
+  async findConversation(conversationId, user) {
+    const booking = await Booking.findByPk(conversationId, {
+      attributes: ['id', 'bookingNumber', 'requesterId', 'providerId', 'serviceId', 'status', 'communication', 'createdAt', 'updatedAt']
+    });
+
+    if (!booking) {
+      throw new NotFoundError('Conversation not found');
+    }
+
+    if (booking.requesterId !== user.id && booking.providerId !== user.id) {
+      throw new AuthorizationError('Only participants of this booking can access its conversation');
+    }
+
+    return booking;
+  }
+
+  getCounterpartId(booking, userId) {
+    return booking.requesterId === userId ? booking.providerId : booking.requesterId;
+  }
+
+  // Ids of everyone the user shares a booking conversation with
+  async getContactIds(userId) {
+    const bookings = await Booking.findAll({
+      where: {
+        [Op.or]: [{ requesterId: userId }, { providerId: userId }]
+      },
+      attributes: ['requesterId', 'providerId'],
+      raw: true
+    });
+
+    const contacts = new Set(bookings.map(booking => this.getCounterpartId(booking, userId)));
+    contacts.delete(userId);
+
+    return [...contacts];
+  }
+
+  async sendMessage(user, { conversationId, content, type = 'text', location = null }) {
+    const booking = await this.findConversation(conversationId, user);
+
+    if (!USER_MESSAGE_TYPES.includes(type)) {
+      throw new ValidationError(`Unsupported message type: ${type}`);
+    }
+
+    if (type === 'image' || type === 'file') {
+      throw new ValidationError('Images and files must be uploaded as attachments');
+    }
+
+    if (type === 'location') {
+      const attachment = this.toLocationAttachment(location);
+      return this.createMessage(booking, user, {
+        content: (typeof content === 'string' && content.trim()) || attachment.address || 'Shared a location',
+        type,
+        attachments: [attachment]
+      });
+    }
+
+    if (typeof content !== 'string' || content.trim().length === 0) {
+      throw new ValidationError('Message content is required');
+    }
+
+    return this.createMessage(booking, user, { content: content.trim(), type });
+  }
+
+  // Upload an image or file and send it as a message, with an optional caption
+  async sendAttachment(user, { conversationId, file, caption = null }) {
+    let booking;
+    try {
+      booking = await this.findConversation(conversationId, user);
+    } catch (error) {
+      await uploadService.deleteLocalFile(file.path);
+      throw error;
+    }
+
+    const attachment = await uploadService.uploadChatAttachment(file, booking.id);
+    const text = typeof caption === 'string' ? caption.trim() : '';
+
+    return this.createMessage(booking, user, {
+      content: text || attachment.name,
+      type: attachment.kind,
+      attachments: [attachment]
+    });
+  }
+
+  toLocationAttachment(location) {
+    const latitude = parseFloat(location && location.latitude);
+    const longitude = parseFloat(location && location.longitude);
+
+    if (!(latitude >= -90 && latitude <= 90) || !(longitude >= -180 && longitude <= 180)) {
+      throw new ValidationError('A valid location is required');
+    }
+
+    const address = typeof location.address === 'string' ? location.address.trim().slice(0, 500) : '';
+
+    return {
+      id: uuidv4(),
+      kind: 'location',
+      latitude,
+      longitude,
+      address: address || null
+    };
+  }
+
+  async createMessage(booking, user, { content, type, attachments = [] }) {
+    const message = await Message.create({
+      bookingId: booking.id,
+      senderId: user.id,
+      receiverId: this.getCounterpartId(booking, user.id),
+      content,
+      messageType: type,
+      attachments
+    });
+
+    await this.syncCommunication(booking);
+
+    this.logger.info('Message sent', {
+      messageId: message.id,
+      bookingId: booking.id,
+      senderId: user.id,
+      type
+    });
+
+    return message;
+  }
+
+  // Mark the user's undelivered messages as delivered; returns the updated messages
+  async markDelivered(user, { conversationId, messageIds } = {}) {
+    const where = { receiverId: user.id, status: 'sent' };
+
+    if (conversationId) {
+      where.bookingId = conversationId;
+    }
+
+    if (messageIds) {
+      where.id = messageIds;
+    }
+
+    const messages = await Message.findAll({ where });
+    if (messages.length === 0) {
+      return [];
+    }
+
+    const deliveredAt = new Date();
+    await Message.update(
+      { status: 'delivered', deliveredAt },
+      { where: { id: messages.map(message => message.id) } }
+    );
+
+    return messages.map(message => Object.assign(message, { status: 'delivered', deliveredAt }));
+  }
+
+  // Mark messages the user received in a conversation as read; all unread ones when no ids are given
+  async markRead(user, { conversationId, messageIds }) {
+    const booking = await this.findConversation(conversationId, user);
+
+    const where = {
+      bookingId: conversationId,
+      receiverId: user.id,
+      isRead: false
+    };
+
+    if (messageIds && messageIds.length > 0) {
+      where.id = messageIds;
+    }
+
+    const messages = await Message.findAll({ where });
+    if (messages.length === 0) {
+      return [];
+    }
+
+    const ids = messages.map(message => message.id);
+    const readAt = new Date();
+
+    // Messages opened before their delivery receipt came back were delivered when read
+    await Message.update({ deliveredAt: readAt }, { where: { id: ids, deliveredAt: null } });
+    await Message.update({ status: 'read', isRead: true, readAt }, { where: { id: ids } });
+    await this.syncCommunication(booking);
+
+    return messages.map(message => Object.assign(message, {
+      status: 'read',
+      isRead: true,
+      readAt,
+      deliveredAt: message.deliveredAt || readAt
+    }));
+  }
+
+  async countUnread(conversationId, userId) {
+    return Message.count({
+      where: { bookingId: conversationId, receiverId: userId, isRead: false, isDeleted: false }
+    });
+  }
+
+  // Recompute the booking's cached message count, last message time and unread counters
+  async syncCommunication(booking) {
+    const where = { bookingId: booking.id, isDeleted: false };
+
+    const [messageCount, lastMessageAt, requesterUnread, providerUnread] = await Promise.all([
+      Message.count({ where }),
+      Message.max('createdAt', { where }),
+      Message.count({ where: { ...where, receiverId: booking.requesterId, isRead: false } }),
+      Message.count({ where: { ...where, receiverId: booking.providerId, isRead: false } })
+    ]);
+
+    const communication = {
+      ...(booking.communication || {}),
+      lastMessageAt: lastMessageAt || null,
+      messageCount,
+      unreadCount: {
+        requester: requesterUnread,
+        provider: providerUnread
+      }
+    };
+
+    await Booking.update({ communication }, { where: { id: booking.id } });
+    booking.communication = communication;
+
+    return communication;
+  }
+
+  likeOperator() {
+    return sequelize.getDialect() === 'postgres' ? Op.iLike : Op.like;
+  }
+
+  getRole(booking, userId) {
+    return booking.requesterId === userId ? 'requester' : 'provider';
+  }
+
+  // Bookings the user takes part in, most recently active conversation first
+  async listConversations(user, { page = 1, limit = 20 } = {}) {
+    page = parseInt(page);
+    limit = parseInt(limit);
+
+    const bookings = await Booking.findAll({
+      where: {
+        [Op.or]: [{ requesterId: user.id }, { providerId: user.id }]
+      },
+      attributes: ['id', 'communication', 'createdAt'],
+      raw: true
+    });
+
+    // Ordered in memory: the last message time lives in the communication JSON
+    const activityOf = (booking) => {
+      const communication = typeof booking.communication === 'string'
+        ? JSON.parse(booking.communication)
+        : booking.communication;
+      return new Date((communication && communication.lastMessageAt) || booking.createdAt).getTime();
+    };
+
+    const ordered = bookings.sort((a, b) => activityOf(b) - activityOf(a));
+    const pageIds = ordered.slice((page - 1) * limit, page * limit).map(booking => booking.id);
+
+    const rows = await Booking.findAll({
+      where: { id: pageIds },
+      include: [
+        { model: User, as: 'requester', attributes: PARTICIPANT_ATTRIBUTES },
+        { model: User, as: 'provider', attributes: PARTICIPANT_ATTRIBUTES },
+        { model: Service, as: 'service', attributes: ['id', 'title'] }
+      ]
+    });
+    const byId = new Map(rows.map(booking => [booking.id, booking]));
+
+    const conversations = await Promise.all(
+      pageIds.map(id => this.toConversation(byId.get(id), user))
+    );
+
+    const totalPages = Math.ceil(ordered.length / limit);
+
+    return {
+      conversations,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalConversations: ordered.length,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    };
+  }
+
+  async getConversation(conversationId, user) {
+    await this.findConversation(conversationId, user);
+
+    const booking = await Booking.findByPk(conversationId, {
+      include: [
+        { model: User, as: 'requester', attributes: PARTICIPANT_ATTRIBUTES },
+        { model: User, as: 'provider', attributes: PARTICIPANT_ATTRIBUTES },
+        { model: Service, as: 'service', attributes: ['id', 'title'] }
+      ]
+    });
+
+    return this.toConversation(booking, user);
+  }
+
+  // A booking (with requester, provider and service loaded) as the user's conversation
+  async toConversation(booking, user) {
+    const lastMessage = await Message.findOne({
+      where: { bookingId: booking.id },
+      order: [['createdAt', 'DESC'], ['id', 'DESC']]
+    });
+
+    const communication = booking.communication || {};
+    const participant = (person, role) => person && {
+      id: person.id,
+      name: `${person.firstName} ${person.lastName}`,
+      avatar: person.profilePicture,
+      role,
+      isOnline: person.isOnline,
+      lastSeenAt: person.lastSeenAt
+    };
+
+    return {
+      id: booking.id,
+      bookingId: booking.id,
+      bookingNumber: booking.bookingNumber,
+      status: booking.status,
+      service: booking.service && { id: booking.service.id, title: booking.service.title },
+      participants: [
+        participant(booking.requester, 'requester'),
+        participant(booking.provider, 'provider')
+      ],
+      lastMessage: lastMessage ? this.serializeMessage(lastMessage) : null,
+      lastMessageAt: communication.lastMessageAt || null,
+      messageCount: communication.messageCount || 0,
+      unreadCount: (communication.unreadCount || {})[this.getRole(booking, user.id)] || 0,
+      createdAt: booking.createdAt,
+      updatedAt: booking.updatedAt
+    };
+  }
+
+  // Cursors point at the oldest message of the previous page: base64url of "<createdAt>|<id>"
+  encodeCursor(message) {
+    return Buffer.from(`${new Date(message.createdAt).toISOString()}|${message.id}`).toString('base64url');
+  }
+
+  decodeCursor(cursor) {
+    const [createdAt, id] = Buffer.from(cursor, 'base64url').toString().split('|');
+    const date = new Date(createdAt);
+
+    if (!id || Number.isNaN(date.getTime())) {
+      throw new ValidationError('Invalid cursor');
+    }
+
+    return { createdAt: date, id };
+  }
+
+  // Conversation history, newest page first; each page is returned oldest to newest
+  async listMessages(conversationId, user, { cursor = null, limit = 50 } = {}) {
+    const booking = await this.findConversation(conversationId, user);
+    limit = parseInt(limit);
+
+    const where = { bookingId: booking.id };
+
+    if (cursor) {
+      const { createdAt, id } = this.decodeCursor(cursor);
+      where[Op.or] = [
+        { createdAt: { [Op.lt]: createdAt } },
+        { createdAt, id: { [Op.lt]: id } }
+      ];
+    }
+
+    const rows = await Message.findAll({
+      where,
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit: limit + 1
+    });
+
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+
+    return {
+      messages: page.reverse().map(message => this.serializeMessage(message)),
+      nextCursor: hasMore ? this.encodeCursor(page[0]) : null,
+      hasMore,
+      unreadCount: (booking.communication.unreadCount || {})[this.getRole(booking, user.id)] || 0
+    };
+  }
+
+  async findOwnMessage(messageId, user) {
+    const message = await Message.findByPk(messageId);
+
+    if (!message) {
+      throw new NotFoundError('Message not found');
+    }
+
+    if (message.senderId !== user.id) {
+      throw new AuthorizationError('Only the sender can change this message');
+    }
+
+    if (message.isDeleted) {
+      throw new ValidationError('This message has been deleted');
+    }
+
+    return message;
+  }
+
+  async editMessage(messageId, user, content) {
+    const message = await this.findOwnMessage(messageId, user);
+
+    if (message.messageType !== 'text') {
+      throw new ValidationError('Only text messages can be edited');
+    }
+
+    if (typeof content !== 'string' || content.trim().length === 0) {
+      throw new ValidationError('Message content is required');
+    }
+
+    await message.update({
+      content: content.trim(),
+      isEdited: true,
+      editedAt: new Date()
+    });
+
+    return message;
+  }
+
+  // Soft delete: the message stays in the history but its content is no longer shown
+  async deleteMessage(messageId, user) {
+    const message = await this.findOwnMessage(messageId, user);
+    await message.update({ isDeleted: true });
+
+    for (const attachment of message.attachments || []) {
+      if (STORED_ATTACHMENT_KINDS.includes(attachment.kind)) {
+        await uploadService.deleteChatAttachment(attachment);
+      }
+    }
+
+    const booking = await Booking.findByPk(message.bookingId, {
+      attributes: ['id', 'requesterId', 'providerId', 'communication']
+    });
+    await this.syncCommunication(booking);
+
+    this.logger.info('Message deleted', { messageId: message.id, bookingId: message.bookingId });
+
+    return message;
+  }
+
+  // Unread messages per conversation and in total
+  async getUnreadCounts(user) {
+    const rows = await Message.findAll({
+      where: { receiverId: user.id, isRead: false, isDeleted: false },
+      attributes: ['bookingId', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['bookingId'],
+      raw: true
+    });
+
+    const conversationCounts = {};
+    let totalUnread = 0;
+
+    for (const row of rows) {
+      const count = parseInt(row.count);
+      conversationCounts[row.bookingId] = count;
+      totalUnread += count;
+    }
+
+    return { totalUnread, conversationCounts };
+  }
+
+  // Text search over the user's conversations, optionally within one of them
+  async searchMessages(user, { q, conversationId = null, page = 1, limit = 20 }) {
+    page = parseInt(page);
+    limit = parseInt(limit);
+
+    const where = {
+      isDeleted: false,
+      content: { [this.likeOperator()]: `%${q}%` },
+      [Op.or]: [{ senderId: user.id }, { receiverId: user.id }]
+    };
+
+    if (conversationId) {
+      await this.findConversation(conversationId, user);
+      where.bookingId = conversationId;
+    }
+
+    const { count, rows } = await Message.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    return {
+      results: rows.map(message => this.serializeMessage(message)),
+      totalResults: count,
+      query: q,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    };
+  }
+
+  async setPresence(userId, isOnline) {
+    const lastSeenAt = new Date();
+    await User.update({ isOnline, lastSeenAt }, { where: { id: userId } });
+    return lastSeenAt;
+  }
+
+  // API path an attachment is downloaded from; `variant` is 'thumbnail' for image previews
+  attachmentPath(messageId, attachmentId, variant = null) {
+    return [ATTACHMENT_PATH, messageId, attachmentId, variant].filter(Boolean).join('/');
+  }
+
+  // The stored attachment behind a download link
+  async findAttachment(messageId, attachmentId, variant = null) {
+    const message = await Message.findByPk(messageId);
+    const attachment = message && !message.isDeleted
+      ? (message.attachments || []).find(item => item.id === attachmentId && STORED_ATTACHMENT_KINDS.includes(item.kind))
+      : null;
+
+    if (!attachment || (variant && !attachment.thumbnailPath)) {
+      throw new NotFoundError('Attachment not found');
+    }
+
+    const thumbnail = variant === 'thumbnail';
+
+    return {
+      name: attachment.name,
+      mimetype: thumbnail ? 'image/jpeg' : attachment.mimetype,
+      inline: attachment.kind === 'image',
+      path: thumbnail ? attachment.thumbnailPath : attachment.path,
+      s3Key: attachment.s3 && (thumbnail ? attachment.s3.thumbnailKey : attachment.s3.key)
+    };
+  }
+
+  // Stored attachments go out with signed download URLs, never their storage location
+  serializeAttachment(message, attachment) {
+    if (!STORED_ATTACHMENT_KINDS.includes(attachment.kind)) {
+      return attachment;
+    }
+
+    const { url, expiresAt } = uploadService.createSignedUrl(this.attachmentPath(message.id, attachment.id));
+
+    return {
+      id: attachment.id,
+      kind: attachment.kind,
+      name: attachment.name,
+      mimetype: attachment.mimetype,
+      size: attachment.size,
+      width: attachment.width,
+      height: attachment.height,
+      url,
+      thumbnailUrl: attachment.thumbnailPath
+        ? uploadService.createSignedUrl(this.attachmentPath(message.id, attachment.id, 'thumbnail')).url
+        : null,
+      expiresAt
+    };
+  }
+
+  // Shape of a message as chat clients see it
+  serializeMessage(message) {
+    return {
+      id: message.id,
+      conversationId: message.bookingId,
+      senderId: message.senderId,
+      receiverId: message.receiverId,
+      content: message.isDeleted ? null : message.content,
+      type: message.messageType,
+      attachments: message.isDeleted ? [] : (message.attachments || []).map(attachment => this.serializeAttachment(message, attachment)),
+      status: message.status,
+      isEdited: message.isEdited,
+      editedAt: message.editedAt,
+      isDeleted: message.isDeleted,
+      deliveredAt: message.deliveredAt,
+      readAt: message.readAt,
+      timestamp: message.createdAt
+    };
+  }
+}
+
+// Create and export singleton instance
+const chatService = new ChatService();
+module.exports = chatService;
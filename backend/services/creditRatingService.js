@@ -0,0 +1,874 @@
+const fs = require('fs');
+const path = require('path');
+const { Op } = require('sequelize');
+const winston = require('winston');
+const {
+  User,
+  Booking,
+  Payment,
+  Review,
+  Dispute,
+  Withdrawal,
+  KycVerification,
+  CreditScoreSnapshot
+} = require('../models');
+const ledgerService = require('./ledgerService');
+const jobScheduler = require('./jobScheduler');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+const DEFAULT_RULES_FILE = path.join(__dirname, '../config/credit-rating.json');
+
+const RECALCULATE_JOB = 'credit.recalculate';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days of history each period of the history endpoint covers; null is everything
+const HISTORY_PERIODS = {
+  '1month': 30,
+  '3months': 90,
+  '6months': 180,
+  '1year': 365,
+  all: null
+};
+
+// Most snapshots returned by one history request
+const HISTORY_LIMIT = 500;
+
+// Score change, in points, below which a trend counts as stable
+const TREND_THRESHOLD = 2;
+
+// Payer payments that were captured, whatever happened to them afterwards
+const CAPTURED_PAYMENT_STATUSES = ['completed', 'partially_refunded', 'refunded', 'disputed'];
+
+// Profile fields that count towards completeness; skills only for providers
+const PROFILE_FIELDS = [
+  ['profilePicture', user => Boolean(user.profilePicture)],
+  ['bio', user => Boolean(user.bio && user.bio.trim())],
+  ['dateOfBirth', user => Boolean(user.dateOfBirth)],
+  ['location', user => Boolean(user.city || user.address)],
+  ['languages', user => Array.isArray(user.languages) && user.languages.length > 0],
+  ['skills', user => Array.isArray(user.skills) && user.skills.length > 0, user => user.userType === 'provider']
+];
+
+// What to suggest when a component leaves points on the table
+const RECOMMENDATIONS = {
+  nin: { category: 'Verification', title: 'Verify your NIN', description: 'Verify your National Identification Number against the NIMC registry.', action: 'verify_identity' },
+  bvn: { category: 'Verification', title: 'Verify your BVN', description: 'Verify your Bank Verification Number to confirm your identity with your bank.', action: 'verify_identity' },
+  idDocument: { category: 'Verification', title: 'Upload a government-issued ID', description: 'Upload your ID card and have it approved by our team.', action: 'upload_document' },
+  phone: { category: 'Verification', title: 'Verify your phone number', description: 'Confirm your phone number with the code we send you.', action: 'verify_phone' },
+  email: { category: 'Verification', title: 'Verify your email address', description: 'Confirm your email address from the link we send you.', action: 'verify_email' },
+  completionRate: { category: 'Performance', title: 'Complete the bookings you accept', description: 'Bookings you cancel, or that end in a refund, lower your completion rate.', action: 'improve_performance' },
+  onTimeDelivery: { category: 'Performance', title: 'Start bookings on time', description: 'Start work no later than the scheduled time to build trust with clients.', action: 'improve_performance' },
+  clientSatisfaction: { category: 'Performance', title: 'Keep your clients satisfied', description: 'Higher review ratings from the people you work with raise your score.', action: 'improve_performance' },
+  disputeRate: { category: 'Performance', title: 'Avoid disputes', description: 'Agree on the details of each booking up front so fewer end in a dispute.', action: 'improve_performance' },
+  profileCompleteness: { category: 'Profile', title: 'Complete your profile', description: 'Add a profile picture, bio, location, languages and skills.', action: 'complete_profile' },
+  responseTime: { category: 'Profile', title: 'Respond to booking requests faster', description: 'Confirm new booking requests within an hour of receiving them.', action: 'improve_response_time' },
+  paymentHistory: { category: 'Financial', title: 'Maintain a good payment history', description: 'Make sure your payments go through the first time.', action: 'improve_payments' },
+  withdrawalPattern: { category: 'Financial', title: 'Keep your payout details up to date', description: 'Withdrawals to closed or mistyped bank accounts fail and lower your score.', action: 'update_payout_account' },
+  balanceManagement: { category: 'Financial', title: 'Clear your outstanding balance', description: 'Your wallet balance is negative. Top it up to restore your score.', action: 'improve_payments' }
+};
+
+// Accounts younger than this are reported as new
+const NEW_ACCOUNT_DAYS = 30;
+
+const COMPONENT_LABELS = {
+  nin: 'NIN',
+  bvn: 'BVN',
+  idDocument: 'ID document',
+  phone: 'Phone number',
+  email: 'Email address',
+  completionRate: 'Completion rate',
+  onTimeDelivery: 'On-time starts',
+  clientSatisfaction: 'Review rating',
+  disputeRate: 'Disputes',
+  accountAge: 'Account age',
+  profileCompleteness: 'Profile completeness',
+  responseTime: 'Response time',
+  recentBookings: 'Recent bookings',
+  paymentHistory: 'Payment history',
+  withdrawalPattern: 'Withdrawals',
+  balanceManagement: 'Wallet balance'
+};
+
+const PROFILE_FIELD_LABELS = {
+  profilePicture: 'profile picture',
+  bio: 'bio',
+  dateOfBirth: 'date of birth',
+  location: 'location',
+  languages: 'languages',
+  skills: 'skills'
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const wholePercent = (part, whole) => Math.round(percent(part, whole));
+
+// Why a component scored below 100, from the snapshot's metrics
+const REASONS = {
+  nin: () => ({ code: 'nin_not_verified', message: 'NIN not verified', params: {} }),
+  bvn: () => ({ code: 'bvn_not_verified', message: 'BVN not verified', params: {} }),
+  idDocument: () => ({ code: 'id_document_not_approved', message: 'No approved government-issued ID', params: {} }),
+  phone: () => ({ code: 'phone_not_verified', message: 'Phone number not verified', params: {} }),
+  email: () => ({ code: 'email_not_verified', message: 'Email address not verified', params: {} }),
+  completionRate: m => ({
+    code: 'low_completion_rate',
+    message: `Completion rate ${wholePercent(m.completedBookings, m.closedBookings)}% in the last ${m.windowDays} days: ${m.failedBookings} of ${plural(m.closedBookings, 'booking')} cancelled or refunded`,
+    params: { completedBookings: m.completedBookings, failedBookings: m.failedBookings, closedBookings: m.closedBookings, windowDays: m.windowDays }
+  }),
+  onTimeDelivery: m => ({
+    code: 'late_starts',
+    message: `${m.startedBookings - m.onTimeBookings} of ${plural(m.startedBookings, 'booking')} started late in the last ${m.windowDays} days`,
+    params: { lateBookings: m.startedBookings - m.onTimeBookings, startedBookings: m.startedBookings, windowDays: m.windowDays }
+  }),
+  clientSatisfaction: m => ({
+    code: 'low_review_rating',
+    message: `Average review rating ${m.averageRating} from ${plural(m.reviewCount, 'review')} in the last ${m.windowDays} days`,
+    params: { averageRating: m.averageRating, reviewCount: m.reviewCount, windowDays: m.windowDays }
+  }),
+  disputeRate: m => ({
+    code: 'dispute_rate',
+    message: `Dispute rate ${Math.round(m.disputeRate)}% in the last ${m.disputeWindowDays} days`,
+    params: { disputeRate: m.disputeRate, disputesUpheld: m.disputesUpheld, bookings: m.disputeWindowBookings, windowDays: m.disputeWindowDays }
+  }),
+  accountAge: m => (m.accountAgeDays < NEW_ACCOUNT_DAYS
+    ? { code: 'new_account', message: `Account younger than ${NEW_ACCOUNT_DAYS} days`, params: { accountAgeDays: m.accountAgeDays } }
+    : { code: 'young_account', message: `Account is ${plural(Math.floor(m.accountAgeDays / 30), 'month')} old`, params: { accountAgeDays: m.accountAgeDays } }),
+  profileCompleteness: m => ({
+    code: 'incomplete_profile',
+    message: `Profile is missing: ${m.profileFieldsMissing.map(field => PROFILE_FIELD_LABELS[field] || field).join(', ')}`,
+    params: { missing: m.profileFieldsMissing }
+  }),
+  responseTime: m => ({
+    code: 'slow_response',
+    message: `Booking requests confirmed after ${m.averageConfirmationHours} hours on average`,
+    params: { averageConfirmationHours: m.averageConfirmationHours }
+  }),
+  recentBookings: (m, rules) => (m.recentBookings === 0
+    ? { code: 'no_recent_bookings', message: `No bookings in the last ${rules.recentDays} days`, params: { recentBookings: 0, recentDays: rules.recentDays } }
+    : { code: 'few_recent_bookings', message: `Only ${plural(m.recentBookings, 'booking')} in the last ${rules.recentDays} days`, params: { recentBookings: m.recentBookings, recentDays: rules.recentDays } }),
+  paymentHistory: m => ({
+    code: 'failed_payments',
+    message: `${m.paymentsFailed} of ${plural(m.paymentsSucceeded + m.paymentsFailed, 'payment')} failed in the last ${m.windowDays} days`,
+    params: { paymentsFailed: m.paymentsFailed, payments: m.paymentsSucceeded + m.paymentsFailed, windowDays: m.windowDays }
+  }),
+  withdrawalPattern: m => ({
+    code: 'failed_withdrawals',
+    message: `${m.withdrawalsFailed} of ${plural(m.withdrawalsPaid + m.withdrawalsFailed, 'withdrawal')} failed in the last ${m.windowDays} days`,
+    params: { withdrawalsFailed: m.withdrawalsFailed, withdrawals: m.withdrawalsPaid + m.withdrawalsFailed, windowDays: m.windowDays }
+  }),
+  balanceManagement: m => ({ code: 'negative_balance', message: 'Wallet balance is negative', params: { walletBalance: m.walletBalance } })
+};
+
+// Why a factor with no data at all was given the neutral score
+const NEUTRAL_REASONS = {
+  transactions: m => ({ code: 'no_booking_history', message: `No finished bookings or reviews in the last ${m.windowDays} days`, params: { windowDays: m.windowDays } }),
+  financial: m => ({ code: 'no_financial_history', message: `No payments or withdrawals in the last ${m.windowDays} days`, params: { windowDays: m.windowDays } })
+};
+
+const round = (value, places = 1) => {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+};
+
+const clamp = (value) => Math.min(100, Math.max(0, value));
+
+const percent = (part, whole) => (whole > 0 ? (part / whole) * 100 : null);
+
+const daysBefore = (now, days) => new Date(now.getTime() - days * DAY_MS);
+
+const isApproved = (document) => Boolean(document && document.status === 'approved');
+
+/**
+ * Credit ratings calculated from what happened on the platform.
+ *
+ * The score is a weighted sum of four factors - verification, transaction
+ * history, account activity and financial behaviour - each scored 0-100 from
+ * weighted components. Weights, tiers and windows are read from
+ * CREDIT_RATING_FILE. Components without data (e.g. on-time delivery for
+ * someone who has never provided a service) are left out and the remaining
+ * weights scaled up; a factor with no data at all gets the neutral score.
+ *
+ * Every calculation that changes the result is kept as a snapshot, which is
+ * what the history and trend are read from. Each snapshot also records the
+ * points every factor and component contributed, reason codes for the points
+ * missing, and what changed since the previous snapshot. Services call
+ * scheduleRecalculation when something that feeds the score happens, and the
+ * recalculation runs as a debounced background job.
+ */
+class CreditRatingService {
+  constructor() {
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/credit-rating-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/credit-rating.log' })
+      ]
+    });
+
+    this.rulesFile = process.env.CREDIT_RATING_FILE || DEFAULT_RULES_FILE;
+    this.rules = null;
+
+    // Events for a user within this window share one recalculation
+    this.debounceMs = parseInt(process.env.CREDIT_RATING_DEBOUNCE_MS || '60000');
+  }
+
+  getRules() {
+    if (!this.rules) {
+      this.rules = JSON.parse(fs.readFileSync(this.rulesFile, 'utf8'));
+      this.logger.info('Credit rating rules loaded', { file: this.rulesFile });
+    }
+
+    return this.rules;
+  }
+
+  setRules(rules) {
+    this.rules = rules;
+  }
+
+  get historyPeriods() {
+    return Object.keys(HISTORY_PERIODS);
+  }
+
+  // Tiers are listed best first, so the first one the score reaches wins
+  getTier(score) {
+    const { tiers } = this.getRules();
+    return tiers.find(tier => score >= tier.min) || tiers[tiers.length - 1];
+  }
+
+  async loadUser(userId) {
+    const user = await User.findByPk(userId);
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    return user;
+  }
+
+  async getVerificationComponents(user, now) {
+    const checks = await KycVerification.findAll({
+      where: { userId: user.id, status: 'verified', checkType: { [Op.in]: ['nin', 'bvn'] } }
+    });
+    const current = (checkType) => checks.some(check => check.checkType === checkType && check.isCurrent(now));
+    const documents = user.documents || {};
+
+    return {
+      nin: current('nin') ? 100 : 0,
+      bvn: current('bvn') ? 100 : 0,
+      idDocument: isApproved(documents.idCard) ? 100 : 0,
+      phone: user.isPhoneVerified ? 100 : 0,
+      email: user.isEmailVerified ? 100 : 0
+    };
+  }
+
+  // Bookings the user took part in during the window, from both sides
+  async getBookingMetrics(user, since, now) {
+    const { onTimeGraceMinutes, recentDays } = this.getRules();
+    const bookings = await Booking.findAll({
+      where: {
+        [Op.or]: [{ providerId: user.id }, { requesterId: user.id }],
+        createdAt: { [Op.gte]: since }
+      },
+      attributes: ['id', 'providerId', 'status', 'scheduledDate', 'scheduledTime', 'startedAt', 'confirmedAt', 'cancellation', 'createdAt']
+    });
+
+    const roleIn = booking => (booking.providerId === user.id ? 'provider' : 'requester');
+    const recentSince = daysBefore(now, recentDays);
+
+    const metrics = {
+      bookings: 0,
+      completedBookings: 0,
+      failedBookings: 0,
+      startedBookings: 0,
+      onTimeBookings: 0,
+      confirmedBookings: 0,
+      averageConfirmationHours: null,
+      recentBookings: 0
+    };
+    let confirmationHours = 0;
+
+    for (const booking of bookings) {
+      const role = roleIn(booking);
+
+      if (booking.status !== 'pending') {
+        metrics.bookings += 1;
+      }
+
+      if (booking.status === 'completed') {
+        metrics.completedBookings += 1;
+      }
+
+      // Cancellations count against whoever cancelled; refunds against the provider
+      const cancelledByUser = booking.status === 'cancelled' && booking.cancellation?.cancelledBy === role;
+      if (cancelledByUser || (booking.status === 'refunded' && role === 'provider')) {
+        metrics.failedBookings += 1;
+      }
+
+      if (role === 'provider' && booking.startedAt) {
+        const scheduledStart = new Date(`${booking.scheduledDate}T${booking.scheduledTime}`);
+        metrics.startedBookings += 1;
+
+        if (new Date(booking.startedAt) <= new Date(scheduledStart.getTime() + onTimeGraceMinutes * 60 * 1000)) {
+          metrics.onTimeBookings += 1;
+        }
+      }
+
+      if (role === 'provider' && booking.confirmedAt) {
+        metrics.confirmedBookings += 1;
+        confirmationHours += (new Date(booking.confirmedAt) - new Date(booking.createdAt)) / (60 * 60 * 1000);
+      }
+
+      if (booking.status !== 'cancelled' && booking.createdAt >= recentSince) {
+        metrics.recentBookings += 1;
+      }
+    }
+
+    if (metrics.confirmedBookings > 0) {
+      metrics.averageConfirmationHours = round(confirmationHours / metrics.confirmedBookings);
+    }
+
+    return { bookings, metrics, roleIn };
+  }
+
+  /**
+   * Disputes raised against the user on bookings made within the last
+   * disputeWindowDays, except those decided in their favour, and how many
+   * bookings that window holds.
+   */
+  async getDisputeMetrics(user, bookings, roleIn, now) {
+    const since = daysBefore(now, this.getRules().disputeWindowDays);
+    const inWindow = bookings.filter(booking => booking.status !== 'pending' && booking.createdAt >= since);
+
+    if (inWindow.length === 0) {
+      return { disputeWindowBookings: 0, disputesUpheld: 0 };
+    }
+
+    const roles = new Map(inWindow.map(booking => [booking.id, roleIn(booking)]));
+    const disputes = await Dispute.findAll({
+      where: { respondentId: user.id, bookingId: { [Op.in]: [...roles.keys()] } },
+      attributes: ['id', 'bookingId', 'status', 'decision']
+    });
+
+    const cleared = { provider: 'release', requester: 'full_refund' };
+
+    const upheld = disputes.filter(dispute => !(
+      dispute.status === 'resolved' && dispute.decision?.outcome === cleared[roles.get(dispute.bookingId)]
+    ));
+
+    return { disputeWindowBookings: inWindow.length, disputesUpheld: upheld.length };
+  }
+
+  async getReviewMetrics(user, since) {
+    const reviews = await Review.findAll({
+      where: { revieweeId: user.id, isPublic: true, createdAt: { [Op.gte]: since } },
+      attributes: ['rating']
+    });
+
+    return {
+      reviewCount: reviews.length,
+      averageRating: reviews.length > 0
+        ? round(reviews.reduce((sum, review) => sum + review.rating, 0) / reviews.length, 2)
+        : null
+    };
+  }
+
+  async getFinancialMetrics(user, since) {
+    const [paymentsSucceeded, paymentsFailed, withdrawalsPaid, withdrawalsFailed, paymentsReceived, balance] = await Promise.all([
+      Payment.count({ where: { payerId: user.id, status: { [Op.in]: CAPTURED_PAYMENT_STATUSES }, createdAt: { [Op.gte]: since } } }),
+      Payment.count({ where: { payerId: user.id, status: 'failed', createdAt: { [Op.gte]: since } } }),
+      Withdrawal.count({ where: { userId: user.id, status: 'paid', createdAt: { [Op.gte]: since } } }),
+      Withdrawal.count({ where: { userId: user.id, status: { [Op.in]: ['failed', 'reversed'] }, createdAt: { [Op.gte]: since } } }),
+      Payment.count({ where: { payeeId: user.id, status: { [Op.in]: CAPTURED_PAYMENT_STATUSES } } }),
+      ledgerService.getUserBalance(user.id)
+    ]);
+
+    return {
+      paymentsSucceeded,
+      paymentsFailed,
+      withdrawalsPaid,
+      withdrawalsFailed,
+      hasWallet: paymentsReceived > 0 || withdrawalsPaid + withdrawalsFailed > 0,
+      walletBalance: balance.available
+    };
+  }
+
+  getProfileCompleteness(user) {
+    const fields = PROFILE_FIELDS.filter(([, , appliesTo]) => !appliesTo || appliesTo(user));
+    const missing = fields.filter(([, isFilled]) => !isFilled(user)).map(([name]) => name);
+
+    return { total: fields.length, completed: fields.length - missing.length, missing };
+  }
+
+  // Each component's share of its factor, with components that have no data left out
+  componentShares(weights, components) {
+    const scored = Object.entries(weights).filter(([key]) => components[key] !== null && components[key] !== undefined);
+    const totalWeight = scored.reduce((sum, [, weight]) => sum + weight, 0);
+
+    return Object.fromEntries(scored.map(([key, weight]) => [key, weight / totalWeight]));
+  }
+
+  // Weighted average of the components that have data
+  scoreFactor(weights, components) {
+    const shares = Object.entries(this.componentShares(weights, components));
+
+    if (shares.length === 0) {
+      return this.getRules().neutralScore;
+    }
+
+    return round(shares.reduce((sum, [key, share]) => sum + components[key] * share, 0));
+  }
+
+  /**
+   * How many of the score's points each factor and component accounts for,
+   * and how many they could at most. Components without data have null
+   * points; their weight went to the rest of the factor.
+   */
+  getContributions(breakdown, components) {
+    const { factors } = this.getRules();
+    const contributions = {};
+
+    for (const [name, factor] of Object.entries(factors)) {
+      const values = components[name] || {};
+      const shares = this.componentShares(factor.components, values);
+
+      contributions[name] = {
+        label: factor.label,
+        weight: factor.weight,
+        score: breakdown[name],
+        points: round(breakdown[name] * factor.weight, 2),
+        maxPoints: round(100 * factor.weight, 2),
+        components: Object.fromEntries(Object.keys(factor.components).map(key => [key, key in shares
+          ? {
+            label: COMPONENT_LABELS[key] || key,
+            score: values[key],
+            points: round(values[key] * shares[key] * factor.weight, 2),
+            maxPoints: round(100 * shares[key] * factor.weight, 2)
+          }
+          : { label: COMPONENT_LABELS[key] || key, score: null, points: null, maxPoints: null }]))
+      };
+    }
+
+    return contributions;
+  }
+
+  /**
+   * Reason codes for every point the score is missing: one per component
+   * below 100 and one per factor scored neutral for lack of data. Each
+   * carries the points it costs (negative), most costly first.
+   */
+  explain(contributions, metrics) {
+    const rules = this.getRules();
+    const reasons = [];
+
+    for (const [name, factor] of Object.entries(contributions)) {
+      const scored = Object.entries(factor.components).filter(([, component]) => component.points !== null);
+
+      if (scored.length === 0) {
+        const points = round(factor.points - factor.maxPoints, 2);
+
+        if (NEUTRAL_REASONS[name] && points < 0) {
+          reasons.push({ ...NEUTRAL_REASONS[name](metrics, rules), factor: name, component: null, points });
+        }
+        continue;
+      }
+
+      for (const [key, component] of scored) {
+        const points = round(component.points - component.maxPoints, 2);
+
+        if (REASONS[key] && points < 0) {
+          reasons.push({ ...REASONS[key](metrics, rules), factor: name, component: key, points });
+        }
+      }
+    }
+
+    return reasons.sort((a, b) => a.points - b.points);
+  }
+
+  /**
+   * What changed between a user's previous snapshot and a new calculation:
+   * the score, each factor and component whose points moved, and the reason
+   * codes that appeared or were resolved.
+   */
+  compareSnapshots(previous, current) {
+    const previousScore = parseFloat(previous.score);
+    const factors = [];
+    const components = [];
+
+    for (const [name, factor] of Object.entries(current.contributions)) {
+      const old = previous.contributions[name];
+
+      if (!old) {
+        continue;
+      }
+
+      const pointsChange = round(factor.points - old.points, 2);
+
+      if (pointsChange !== 0) {
+        factors.push({ factor: name, label: factor.label, from: old.score, to: factor.score, pointsChange });
+      }
+
+      for (const [key, component] of Object.entries(factor.components)) {
+        const was = old.components[key] || { score: null, points: null };
+
+        if (component.score === was.score) {
+          continue;
+        }
+
+        const reason = current.reasons.find(item => item.component === key);
+
+        components.push({
+          factor: name,
+          component: key,
+          label: component.label,
+          from: was.score,
+          to: component.score,
+          pointsChange: round((component.points || 0) - (was.points || 0), 2),
+          reason: reason ? { code: reason.code, message: reason.message } : null
+        });
+      }
+    }
+
+    const summarize = reason => ({ code: reason.code, message: reason.message });
+    const codes = reasons => new Set(reasons.map(reason => reason.code));
+    const previousCodes = codes(previous.reasons);
+    const currentCodes = codes(current.reasons);
+
+    return {
+      previousSnapshotId: previous.id,
+      previousScore,
+      previousCalculatedAt: previous.createdAt,
+      scoreChange: round(current.score - previousScore),
+      factors,
+      components: components.sort((a, b) => Math.abs(b.pointsChange) - Math.abs(a.pointsChange)),
+      reasonsAdded: current.reasons.filter(reason => !previousCodes.has(reason.code)).map(summarize),
+      reasonsResolved: previous.reasons.filter(reason => !currentCodes.has(reason.code)).map(summarize)
+    };
+  }
+
+  /**
+   * Calculate the user's score from current data without saving it.
+   * Returns the score, tier, per-factor breakdown, component scores and the
+   * raw metrics behind them.
+   */
+  async calculate(userId, now = new Date()) {
+    const rules = this.getRules();
+    const user = await this.loadUser(userId);
+    const since = daysBefore(now, rules.windowDays);
+
+    const { bookings, metrics: bookingMetrics, roleIn } = await this.getBookingMetrics(user, since, now);
+    const [verification, disputeMetrics, reviewMetrics, financialMetrics] = await Promise.all([
+      this.getVerificationComponents(user, now),
+      this.getDisputeMetrics(user, bookings, roleIn, now),
+      this.getReviewMetrics(user, since),
+      this.getFinancialMetrics(user, since)
+    ]);
+
+    const profile = this.getProfileCompleteness(user);
+    const accountAgeDays = Math.floor((now - new Date(user.createdAt)) / DAY_MS);
+    const closedBookings = bookingMetrics.completedBookings + bookingMetrics.failedBookings;
+    const disputeRate = percent(disputeMetrics.disputesUpheld, disputeMetrics.disputeWindowBookings);
+    const confirmationHours = bookingMetrics.averageConfirmationHours;
+    const settledWithdrawals = financialMetrics.withdrawalsPaid + financialMetrics.withdrawalsFailed;
+
+    const components = {
+      verification,
+      transactions: {
+        completionRate: percent(bookingMetrics.completedBookings, closedBookings),
+        onTimeDelivery: percent(bookingMetrics.onTimeBookings, bookingMetrics.startedBookings),
+        clientSatisfaction: reviewMetrics.averageRating === null ? null : reviewMetrics.averageRating * 20,
+        // Each percent of bookings disputed costs five points
+        disputeRate: disputeRate === null ? null : clamp(100 - disputeRate * 5)
+      },
+      activity: {
+        // Ten points per month on the platform
+        accountAge: clamp((accountAgeDays / 30) * 10),
+        profileCompleteness: percent(profile.completed, profile.total),
+        // Full marks for confirming within an hour, nothing after two days
+        responseTime: confirmationHours === null ? null : clamp(100 * (1 - (confirmationHours - 1) / 47)),
+        recentBookings: clamp(bookingMetrics.recentBookings * 20)
+      },
+      financial: {
+        paymentHistory: percent(financialMetrics.paymentsSucceeded, financialMetrics.paymentsSucceeded + financialMetrics.paymentsFailed),
+        withdrawalPattern: percent(financialMetrics.withdrawalsPaid, settledWithdrawals),
+        balanceManagement: financialMetrics.walletBalance < 0 ? 0 : (financialMetrics.hasWallet ? 100 : null)
+      }
+    };
+
+    for (const factor of Object.values(components)) {
+      for (const [key, value] of Object.entries(factor)) {
+        factor[key] = value === null ? null : round(value);
+      }
+    }
+
+    const breakdown = {};
+    let score = 0;
+
+    for (const [name, factor] of Object.entries(rules.factors)) {
+      breakdown[name] = this.scoreFactor(factor.components, components[name]);
+      score += breakdown[name] * factor.weight;
+    }
+
+    score = round(score);
+
+    return {
+      user,
+      score,
+      tier: this.getTier(score),
+      breakdown,
+      components,
+      metrics: {
+        windowDays: rules.windowDays,
+        ...bookingMetrics,
+        closedBookings,
+        disputeWindowDays: rules.disputeWindowDays,
+        ...disputeMetrics,
+        disputeRate: disputeRate === null ? null : round(disputeRate),
+        ...reviewMetrics,
+        accountAgeDays,
+        profileFieldsCompleted: profile.completed,
+        profileFieldsTotal: profile.total,
+        profileFieldsMissing: profile.missing,
+        paymentsSucceeded: financialMetrics.paymentsSucceeded,
+        paymentsFailed: financialMetrics.paymentsFailed,
+        withdrawalsPaid: financialMetrics.withdrawalsPaid,
+        withdrawalsFailed: financialMetrics.withdrawalsFailed,
+        walletBalance: financialMetrics.walletBalance
+      }
+    };
+  }
+
+  async getLatestSnapshot(userId) {
+    return CreditScoreSnapshot.findOne({
+      where: { userId },
+      order: [['createdAt', 'DESC']]
+    });
+  }
+
+  isSnapshotStale(snapshot, now = new Date()) {
+    return now - new Date(snapshot.createdAt) > this.getRules().maxSnapshotAgeDays * DAY_MS;
+  }
+
+  /**
+   * Recalculate the user's score and keep it as a snapshot. Results identical
+   * to the latest snapshot aren't saved again unless that snapshot is stale,
+   * so the history only grows when something changed.
+   */
+  async recalculate(userId, { trigger = 'manual' } = {}) {
+    const now = new Date();
+    const result = await this.calculate(userId, now);
+    const latest = await this.getLatestSnapshot(userId);
+
+    const unchanged = latest
+      && parseFloat(latest.score) === result.score
+      && JSON.stringify(latest.breakdown) === JSON.stringify(result.breakdown);
+
+    if (unchanged && !this.isSnapshotStale(latest, now)) {
+      return latest;
+    }
+
+    const contributions = this.getContributions(result.breakdown, result.components);
+    const reasons = this.explain(contributions, result.metrics);
+    const changes = latest ? this.compareSnapshots(latest, { score: result.score, contributions, reasons }) : null;
+
+    const snapshot = await CreditScoreSnapshot.create({
+      userId,
+      score: result.score,
+      tier: result.tier.key,
+      breakdown: result.breakdown,
+      components: result.components,
+      metrics: result.metrics,
+      contributions,
+      reasons,
+      changes,
+      trigger
+    });
+
+    this.logger.info('Credit score recalculated', {
+      userId,
+      trigger,
+      score: result.score,
+      previousScore: latest ? parseFloat(latest.score) : null,
+      reasonsAdded: changes ? changes.reasonsAdded.map(reason => reason.code) : [],
+      reasonsResolved: changes ? changes.reasonsResolved.map(reason => reason.code) : []
+    });
+
+    return snapshot;
+  }
+
+  // The latest snapshot, recalculated first if there is none or it has gone stale
+  async getCurrentSnapshot(userId) {
+    const latest = await this.getLatestSnapshot(userId);
+
+    if (latest && !this.isSnapshotStale(latest)) {
+      return latest;
+    }
+
+    return this.recalculate(userId, { trigger: latest ? 'scheduled' : 'initial' });
+  }
+
+  async getRating(userId) {
+    await this.loadUser(userId);
+    return this.serializeSnapshot(await this.getCurrentSnapshot(userId));
+  }
+
+  /**
+   * Snapshots within `period` (see HISTORY_PERIODS), oldest first, and the
+   * trend between the first and last of them.
+   */
+  async getHistory(userId, period = '6months') {
+    if (!(period in HISTORY_PERIODS)) {
+      throw new ValidationError(`Period must be one of: ${this.historyPeriods.join(', ')}`);
+    }
+
+    await this.loadUser(userId);
+    await this.getCurrentSnapshot(userId);
+
+    const days = HISTORY_PERIODS[period];
+    const snapshots = await CreditScoreSnapshot.findAll({
+      where: {
+        userId,
+        ...(days && { createdAt: { [Op.gte]: daysBefore(new Date(), days) } })
+      },
+      order: [['createdAt', 'DESC']],
+      limit: HISTORY_LIMIT
+    });
+
+    const history = snapshots.reverse().map(snapshot => this.serializeSnapshot(snapshot));
+
+    return { period, history, trend: this.calculateTrend(history) };
+  }
+
+  calculateTrend(history) {
+    if (history.length < 2) {
+      return { trend: 'stable', change: 0, percentChange: 0, since: history[0]?.calculatedAt || null };
+    }
+
+    const first = history[0];
+    const last = history[history.length - 1];
+    const change = round(last.score - first.score);
+
+    let trend = 'stable';
+    if (change > TREND_THRESHOLD) {
+      trend = 'improving';
+    } else if (change < -TREND_THRESHOLD) {
+      trend = 'declining';
+    }
+
+    return {
+      trend,
+      change,
+      percentChange: first.score > 0 ? round((change / first.score) * 100) : 0,
+      since: first.calculatedAt
+    };
+  }
+
+  /**
+   * What would raise the user's score most, from the components of their
+   * current snapshot. `potentialGain` is how many points the score would
+   * gain if the component were at 100; `reasonCode` is the reason it isn't.
+   */
+  async getRecommendations(userId) {
+    await this.loadUser(userId);
+    const snapshot = await this.getCurrentSnapshot(userId);
+    const recommendations = [];
+
+    for (const [name, factor] of Object.entries(snapshot.contributions)) {
+      for (const [key, component] of Object.entries(factor.components)) {
+        const advice = RECOMMENDATIONS[key];
+
+        if (!advice || component.points === null) {
+          continue;
+        }
+
+        const potentialGain = round(component.maxPoints - component.points);
+        const reason = snapshot.reasons.find(item => item.component === key);
+
+        if (potentialGain > 0) {
+          recommendations.push({
+            key,
+            ...advice,
+            factor: name,
+            currentScore: component.score,
+            potentialGain,
+            impact: potentialGain >= 5 ? 'High' : (potentialGain >= 2 ? 'Medium' : 'Low'),
+            reasonCode: reason ? reason.code : null
+          });
+        }
+      }
+    }
+
+    return recommendations.sort((a, b) => b.potentialGain - a.potentialGain);
+  }
+
+  // Recalculate several users now; one failure doesn't stop the rest
+  async bulkUpdate(userIds, { trigger = 'bulk' } = {}) {
+    const updated = [];
+    const failed = [];
+
+    for (const userId of [...new Set(userIds)]) {
+      try {
+        updated.push(this.serializeSnapshot(await this.recalculate(userId, { trigger })));
+      } catch (error) {
+        failed.push({ userId, message: error.message });
+      }
+    }
+
+    this.logger.info('Bulk credit score update', { updated: updated.length, failed: failed.length });
+
+    return { updated, failed };
+  }
+
+  /**
+   * Queue a recalculation for each user after something that feeds their
+   * score happened. Events for the same user within debounceMs share one job.
+   * Never throws: a missed recalculation is caught up when the snapshot goes
+   * stale, and must not fail the action that triggered it.
+   */
+  async scheduleRecalculation(userIds, trigger) {
+    const ids = [...new Set([].concat(userIds).filter(Boolean))];
+    const bucket = Math.floor(Date.now() / this.debounceMs);
+    const runAt = new Date((bucket + 1) * this.debounceMs);
+
+    for (const userId of ids) {
+      try {
+        await jobScheduler.enqueue(RECALCULATE_JOB, { userId, trigger }, {
+          runAt,
+          uniqueKey: `credit-rating:${userId}:${bucket}`
+        });
+      } catch (error) {
+        this.logger.warn('Failed to schedule credit score recalculation', { userId, trigger, message: error.message });
+      }
+    }
+  }
+
+  serializeSnapshot(snapshot) {
+    const score = parseFloat(snapshot.score);
+    const tier = this.getRules().tiers.find(item => item.key === snapshot.tier) || this.getTier(score);
+
+    return {
+      id: snapshot.id,
+      userId: snapshot.userId,
+      score,
+      tier: tier.label,
+      tierKey: tier.key,
+      color: tier.color,
+      breakdown: snapshot.breakdown,
+      components: snapshot.components,
+      metrics: snapshot.metrics,
+      contributions: snapshot.contributions,
+      reasons: snapshot.reasons,
+      changes: snapshot.changes,
+      trigger: snapshot.trigger,
+      calculatedAt: snapshot.createdAt
+    };
+  }
+}
+
+// Create and export singleton instance
+const creditRatingService = new CreditRatingService();
+module.exports = creditRatingService;
@@ -0,0 +1,579 @@
+const { Op } = require('sequelize');
+const winston = require('winston');
+const { sequelize, Dispute, DisputeStatement, Job, Booking, Payment, User } = require('../models');
+const jobLifecycle = require('./lifecycle/jobLifecycle');
+const bookingLifecycle = require('./lifecycle/bookingLifecycle');
+const escrowService = require('./escrowService');
+const paymentService = require('./paymentService');
+const notificationDispatcher = require('./notificationDispatcher');
+const uploadService = require('./uploadService');
+const creditRatingService = require('./creditRatingService');
+const { ValidationError, NotFoundError, AuthorizationError } = require('../middleware/errorHandler');
+
+const USER_ATTRIBUTES = ['id', 'firstName', 'lastName', 'profilePicture', 'userType'];
+
+const OUTCOMES = ['full_refund', 'partial_refund', 'release'];
+
+const MAX_EVIDENCE = 10;
+
+const hours = (value) => value * 60 * 60 * 1000;
+
+// Only a captured payment can be disputed; failed and expired attempts stay on the booking
+const CAPTURED_PAYMENT_STATUSES = ['completed', 'partially_refunded', 'refunded', 'disputed'];
+
+// Where each kind of disputed entity lives, how its payment is found and which
+// lifecycle action closes it for each decision outcome
+const SUBJECTS = {
+  job: {
+    model: Job,
+    foreignKey: 'jobId',
+    lifecycle: jobLifecycle,
+    loadPayment: job => (job.paymentId ? Payment.findByPk(job.paymentId) : null),
+    closeActions: { full_refund: 'resolve', partial_refund: 'resolve', release: 'resolve' }
+  },
+  booking: {
+    model: Booking,
+    foreignKey: 'bookingId',
+    lifecycle: bookingLifecycle,
+    loadPayment: booking => Payment.findOne({
+      where: { bookingId: booking.id, paymentType: 'booking_payment', status: CAPTURED_PAYMENT_STATUSES },
+      order: [['createdAt', 'DESC']]
+    }),
+    closeActions: { full_refund: 'refund', partial_refund: 'resolve', release: 'resolve' }
+  }
+};
+
+/**
+ * Disputes over funded jobs and bookings.
+ *
+ * Either party may open a dispute while the payment is still in escrow; doing
+ * so freezes the escrow and moves the job or booking to `disputed`. The other
+ * party has `responseHours` to make a first statement before the dispute is
+ * escalated, and admins have `resolutionHours` from opening to decide.
+ * The decision refunds the payer in full, refunds part and releases the
+ * rest to the payee, or releases everything to the payee.
+ */
+class DisputeService {
+  constructor() {
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/disputes-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/disputes.log' })
+      ]
+    });
+
+    this.responseHours = parseInt(process.env.DISPUTE_RESPONSE_HOURS || '48');
+    this.resolutionHours = parseInt(process.env.DISPUTE_RESOLUTION_HOURS || '120');
+  }
+
+  async notify(dispute, userId, type, title, message, priority = 'high') {
+    try {
+      await notificationDispatcher.dispatch(userId, {
+        type,
+        title,
+        message,
+        priority,
+        data: {
+          disputeId: dispute.id,
+          disputeNumber: dispute.disputeNumber,
+          subjectType: dispute.subjectType,
+          subjectId: dispute.getSubjectId(),
+          status: dispute.status
+        }
+      });
+    } catch (error) {
+      this.logger.error('Failed to send dispute notification', {
+        disputeId: dispute.id,
+        type,
+        message: error.message
+      });
+    }
+  }
+
+  async notifyAdmins(dispute, type, title, message) {
+    const admins = await User.findAll({ where: { userType: 'admin' }, attributes: ['id'] });
+
+    for (const admin of admins) {
+      await this.notify(dispute, admin.id, type, title, message, 'urgent');
+    }
+  }
+
+  // Title of the disputed job or booking's service, for messages
+  async describeSubject(dispute) {
+    if (dispute.subjectType === 'job') {
+      const job = dispute.job || await Job.findByPk(dispute.jobId, { attributes: ['title'] });
+      return `"${job.title}"`;
+    }
+
+    const booking = dispute.booking || await Booking.findByPk(dispute.bookingId, { attributes: ['bookingNumber'] });
+    return `booking ${booking.bookingNumber}`;
+  }
+
+  async findDispute(id) {
+    const dispute = await Dispute.findByPk(id);
+
+    if (!dispute) {
+      throw new NotFoundError('Dispute not found');
+    }
+
+    return dispute;
+  }
+
+  // The user's side of the dispute; parties and admins only
+  ensureParty(dispute, user) {
+    const role = dispute.getPartyRole(user);
+
+    if (!role) {
+      throw new AuthorizationError('Only the parties to this dispute or an admin can access it');
+    }
+
+    return role;
+  }
+
+  ensureOpen(dispute) {
+    if (dispute.isDecided()) {
+      throw new ValidationError('This dispute has already been resolved');
+    }
+  }
+
+  async openDispute(subjectType, subject, user, { disputeType = 'other', reason, description, proposedResolution = null }) {
+    const { foreignKey, lifecycle, loadPayment } = SUBJECTS[subjectType];
+
+    // Lock the job or booking so two parties opening at once can't both get a dispute
+    const { dispute, payment } = await sequelize.transaction(async (transaction) => {
+      await subject.reload({ transaction, lock: transaction.LOCK.UPDATE });
+      const { role } = await lifecycle.assertCan(subject, 'dispute', user);
+
+      const payment = await loadPayment(subject);
+      const now = new Date();
+
+      const dispute = await Dispute.create({
+        subjectType,
+        [foreignKey]: subject.id,
+        paymentId: payment.id,
+        claimantId: user.id,
+        respondentId: role === 'requester' ? subject.providerId : subject.requesterId,
+        disputeType,
+        reason,
+        description,
+        proposedResolution,
+        respondBy: new Date(now.getTime() + hours(this.responseHours)),
+        resolveBy: new Date(now.getTime() + hours(this.resolutionHours))
+      }, { transaction });
+
+      // Freezes the escrow so the hold period can't release it mid-dispute
+      await payment.createDispute(reason, [], { disputeId: dispute.disputeNumber }, { transaction });
+
+      await lifecycle.transition(subject, 'dispute', user, {
+        note: `Dispute ${dispute.disputeNumber} opened: ${reason}`,
+        transaction
+      });
+
+      return { dispute, payment };
+    });
+
+    const subjectName = await this.describeSubject(dispute);
+
+    await this.notify(
+      dispute,
+      dispute.respondentId,
+      'dispute_opened',
+      'Dispute Opened',
+      `${user.firstName} opened a dispute on ${subjectName}. Please respond by ${dispute.respondBy.toISOString()}`
+    );
+
+    await creditRatingService.scheduleRecalculation([dispute.claimantId, dispute.respondentId], 'dispute');
+
+    this.logger.info('Dispute opened', {
+      disputeId: dispute.id,
+      subjectType,
+      subjectId: subject.id,
+      paymentId: payment.id,
+      claimantId: user.id
+    });
+
+    return dispute;
+  }
+
+  async getDispute(id, user) {
+    const dispute = await Dispute.findByPk(id, {
+      include: [
+        { model: User, as: 'claimant', attributes: USER_ATTRIBUTES },
+        { model: User, as: 'respondent', attributes: USER_ATTRIBUTES },
+        { model: Job, as: 'job', attributes: ['id', 'title', 'status', 'requesterId', 'providerId'] },
+        { model: Booking, as: 'booking', attributes: ['id', 'bookingNumber', 'status', 'requesterId', 'providerId'] },
+        { model: Payment, as: 'payment', attributes: ['id', 'status', 'amount', 'refundedAmount', 'currency', 'escrowDetails'] },
+        {
+          model: DisputeStatement,
+          as: 'statements',
+          include: [{ model: User, as: 'author', attributes: USER_ATTRIBUTES }]
+        }
+      ],
+      order: [[{ model: DisputeStatement, as: 'statements' }, 'createdAt', 'ASC']]
+    });
+
+    if (!dispute) {
+      throw new NotFoundError('Dispute not found');
+    }
+
+    this.ensureParty(dispute, user);
+    return dispute;
+  }
+
+  async paginate(where, { page = 1, limit = 20 }) {
+    page = parseInt(page);
+    limit = parseInt(limit);
+
+    const { count, rows: disputes } = await Dispute.findAndCountAll({
+      where,
+      include: [
+        { model: User, as: 'claimant', attributes: USER_ATTRIBUTES },
+        { model: User, as: 'respondent', attributes: USER_ATTRIBUTES },
+        { model: Job, as: 'job', attributes: ['id', 'title', 'status'] },
+        { model: Booking, as: 'booking', attributes: ['id', 'bookingNumber', 'status'] }
+      ],
+      order: [['resolveBy', 'ASC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    return {
+      disputes,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalDisputes: count,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    };
+  }
+
+  // Disputes the user is a party to
+  async listUserDisputes(user, { status, page, limit } = {}) {
+    const where = {
+      [Op.or]: [{ claimantId: user.id }, { respondentId: user.id }]
+    };
+
+    if (status) {
+      where.status = status;
+    }
+
+    return this.paginate(where, { page, limit });
+  }
+
+  // Admin queue, most urgent deadline first
+  async listDisputes({ status, priority, subjectType, overdue, page, limit } = {}) {
+    const where = {};
+
+    if (status) {
+      where.status = status;
+    }
+
+    if (priority) {
+      where.priority = priority;
+    }
+
+    if (subjectType) {
+      where.subjectType = subjectType;
+    }
+
+    if (overdue === true || overdue === 'true') {
+      where.status = { [Op.ne]: 'resolved' };
+      where.resolveBy = { [Op.lte]: new Date() };
+    }
+
+    return this.paginate(where, { page, limit });
+  }
+
+  async addStatement(dispute, user, { message, parentId = null, evidenceIds = [] }) {
+    const role = this.ensureParty(dispute, user);
+    this.ensureOpen(dispute);
+
+    if (parentId) {
+      const parent = await DisputeStatement.findOne({ where: { id: parentId, disputeId: dispute.id } });
+
+      if (!parent) {
+        throw new NotFoundError('Statement not found');
+      }
+    }
+
+    const knownEvidence = new Set(dispute.evidence.map(item => item.id));
+    if (evidenceIds.some(id => !knownEvidence.has(id))) {
+      throw new NotFoundError('Evidence not found on this dispute');
+    }
+
+    const statement = await DisputeStatement.create({
+      disputeId: dispute.id,
+      authorId: user.id,
+      authorRole: role,
+      parentId,
+      message,
+      evidenceIds
+    });
+
+    // The respondent's first statement stops the response clock
+    if (role === 'respondent' && !dispute.respondedAt) {
+      await dispute.update({
+        respondedAt: new Date(),
+        status: 'under_review'
+      });
+    }
+
+    const subjectName = await this.describeSubject(dispute);
+    const recipients = [dispute.claimantId, dispute.respondentId].filter(userId => userId !== user.id);
+
+    for (const userId of recipients) {
+      await this.notify(
+        dispute,
+        userId,
+        'dispute_statement',
+        role === 'admin' ? 'Message from Support' : 'New Dispute Statement',
+        `A new statement was added to the dispute on ${subjectName}`,
+        'medium'
+      );
+    }
+
+    return statement;
+  }
+
+  async addEvidence(dispute, user, files, { caption = null } = {}) {
+    this.ensureParty(dispute, user);
+    this.ensureOpen(dispute);
+
+    if (dispute.evidence.length + files.length > MAX_EVIDENCE) {
+      throw new ValidationError(`A dispute can have at most ${MAX_EVIDENCE} evidence files`);
+    }
+
+    const uploads = await uploadService.uploadDisputeEvidence(files, dispute.id);
+    const added = uploads.map(upload => ({
+      id: upload.filename,
+      url: upload.url,
+      filename: upload.originalName,
+      mimetype: upload.mimetype,
+      size: upload.size,
+      caption,
+      uploadedBy: user.id,
+      uploadedAt: new Date()
+    }));
+
+    await dispute.update({ evidence: [...dispute.evidence, ...added] });
+
+    this.logger.info('Dispute evidence added', {
+      disputeId: dispute.id,
+      userId: user.id,
+      count: added.length
+    });
+
+    return added;
+  }
+
+  /**
+   * Apply an admin's decision: move the escrowed money, close the dispute and
+   * close the job or booking.
+   *
+   * A partial refund must leave something for the payee; refunding everything
+   * is `full_refund`. The decision is saved first with the dispute in
+   * `resolving`, and the refund and release are keyed on the dispute, so a
+   * decision that fails part way can be submitted again to finish it.
+   */
+  async resolveDispute(dispute, admin, { outcome, refundAmount = null, notes = null }) {
+    if (!OUTCOMES.includes(outcome)) {
+      throw new ValidationError(`Decision outcome must be one of: ${OUTCOMES.join(', ')}`);
+    }
+
+    const { model, foreignKey, lifecycle, closeActions } = SUBJECTS[dispute.subjectType];
+    const payment = await Payment.findByPk(dispute.paymentId);
+    const reason = `Dispute ${dispute.disputeNumber} resolved`;
+    const reference = `dispute:${dispute.id}`;
+
+    const decision = await sequelize.transaction(async (transaction) => {
+      await dispute.reload({ transaction, lock: transaction.LOCK.UPDATE });
+
+      if (dispute.isResolved()) {
+        throw new ValidationError('This dispute has already been resolved');
+      }
+
+      if (dispute.status === 'resolving') {
+        if (dispute.decision.outcome !== outcome) {
+          throw new ValidationError(`This dispute is already being resolved as ${dispute.decision.outcome.replace('_', ' ')}`);
+        }
+
+        return dispute.decision;
+      }
+
+      const refundable = await payment.getRefundableAmount({ transaction });
+      const amount = parseFloat(refundAmount);
+
+      if (outcome === 'partial_refund' && (!(amount > 0) || amount >= refundable)) {
+        throw new ValidationError(`Partial refund amount must be more than 0 and less than ${refundable} ${payment.currency}`);
+      }
+
+      const recorded = {
+        outcome,
+        requestedRefund: outcome === 'partial_refund' ? amount : null,
+        currency: payment.currency,
+        notes
+      };
+
+      await dispute.update({ status: 'resolving', decision: recorded, resolvedById: admin.id }, { transaction });
+      return recorded;
+    });
+
+    let refunded = 0;
+
+    if (outcome !== 'release') {
+      const { refund } = await paymentService.processRefund(payment.id, reason, decision.requestedRefund, {
+        initiatedBy: admin.id,
+        source: 'dispute',
+        reference
+      });
+      refunded = parseFloat(refund.amount);
+      await payment.reload();
+    }
+
+    if (payment.disputeDetails?.status !== 'resolved') {
+      const winners = { full_refund: 'payer', partial_refund: 'split', release: 'payee' };
+      await payment.resolveDispute(decision.notes || reason, winners[outcome]);
+    }
+
+    if (outcome !== 'full_refund' && payment.isHeldInEscrow()) {
+      await escrowService.releasePayment(payment, {
+        releasedBy: admin.id,
+        trigger: 'dispute_resolution',
+        reference
+      });
+    }
+
+    const released = outcome === 'full_refund'
+      ? 0
+      : Math.round((parseFloat(payment.amount) - parseFloat(payment.refundedAmount || 0)) * 100) / 100;
+
+    await dispute.update({
+      status: 'resolved',
+      decision: {
+        outcome,
+        refundAmount: refunded,
+        releasedAmount: released,
+        currency: payment.currency,
+        notes: decision.notes
+      },
+      resolvedAt: new Date()
+    });
+
+    const subject = await model.findByPk(dispute[foreignKey]);
+
+    if (subject.status === 'disputed') {
+      await lifecycle.transition(subject, closeActions[outcome], admin, {
+        note: `${reason}: ${outcome.replace('_', ' ')}`
+      });
+    }
+
+    const subjectName = await this.describeSubject(dispute);
+    const summaries = {
+      full_refund: `the payment of ${payment.currency} ${refunded.toLocaleString()} is refunded to the client`,
+      partial_refund: `${payment.currency} ${refunded.toLocaleString()} is refunded to the client and ${payment.currency} ${released.toLocaleString()} released to the provider`,
+      release: `the payment of ${payment.currency} ${released.toLocaleString()} is released to the provider`
+    };
+
+    for (const userId of [dispute.claimantId, dispute.respondentId]) {
+      await this.notify(
+        dispute,
+        userId,
+        'dispute_resolved',
+        'Dispute Resolved',
+        `The dispute on ${subjectName} has been resolved: ${summaries[outcome]}`
+      );
+    }
+
+    await creditRatingService.scheduleRecalculation([dispute.claimantId, dispute.respondentId], 'dispute');
+
+    this.logger.info('Dispute resolved', {
+      disputeId: dispute.id,
+      outcome,
+      refunded,
+      released,
+      resolvedBy: admin.id
+    });
+
+    return dispute;
+  }
+
+  /**
+   * Enforce the SLA deadlines. Disputes whose respondent missed the response
+   * deadline go to review without them; disputes still undecided at the
+   * resolution deadline are flagged to admins once.
+   */
+  async processDeadlines(now = new Date()) {
+    const escalated = await Dispute.findAll({
+      where: {
+        status: 'open',
+        respondBy: { [Op.lte]: now }
+      }
+    });
+
+    for (const dispute of escalated) {
+      await dispute.update({
+        status: 'under_review',
+        priority: 'high',
+        escalatedAt: now
+      });
+
+      const subjectName = await this.describeSubject(dispute);
+
+      for (const userId of [dispute.claimantId, dispute.respondentId]) {
+        await this.notify(
+          dispute,
+          userId,
+          'dispute_escalated',
+          'Dispute Escalated',
+          `No response was received in time, so the dispute on ${subjectName} has gone to review`
+        );
+      }
+    }
+
+    const overdue = await Dispute.findAll({
+      where: {
+        status: { [Op.ne]: 'resolved' },
+        resolveBy: { [Op.lte]: now },
+        overdueAt: null
+      }
+    });
+
+    for (const dispute of overdue) {
+      await dispute.update({
+        priority: 'urgent',
+        overdueAt: now
+      });
+
+      await this.notifyAdmins(
+        dispute,
+        'dispute_escalated',
+        'Dispute Overdue',
+        `Dispute ${dispute.disputeNumber} has passed its resolution deadline`
+      );
+    }
+
+    this.logger.info('Processed dispute deadlines', {
+      escalated: escalated.length,
+      overdue: overdue.length
+    });
+
+    return {
+      escalated: escalated.map(dispute => dispute.id),
+      overdue: overdue.map(dispute => dispute.id)
+    };
+  }
+}
+
+// Create and export singleton instance
+const disputeService = new DisputeService();
+module.exports = disputeService;
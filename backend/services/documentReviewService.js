@@ -0,0 +1,486 @@
+const { Op } = require('sequelize');
+const winston = require('winston');
+const { sequelize, User, VerificationDocument, VerificationDocumentEvent } = require('../models');
+const notificationDispatcher = require('./notificationDispatcher');
+const uploadService = require('./uploadService');
+const creditRatingService = require('./creditRatingService');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+const DOCUMENT_PATH = '/api/verification/documents';
+
+// How each document type is labelled and mirrored onto User.documents
+const DOCUMENT_TYPES = {
+  id_card: { label: 'ID card', mirrorKey: 'idCard', single: true },
+  business_license: { label: 'business license', mirrorKey: 'businessLicense', single: true },
+  certification: { label: 'certification', mirrorKey: 'certifications', single: false }
+};
+
+// Reason codes a reviewer picks from, per decision
+const REVIEW_REASONS = {
+  approved: {
+    verified: 'The document was checked and accepted',
+    verified_with_registry: 'The document matches the identity registry record'
+  },
+  rejected: {
+    unreadable: 'The document is blurry or unreadable',
+    expired: 'The document has expired',
+    name_mismatch: 'The name on the document does not match your profile',
+    incomplete: 'Part of the document is cut off or missing',
+    wrong_document: 'This is not the type of document requested',
+    suspected_tampering: 'The document appears to have been altered',
+    other: 'The document could not be accepted'
+  }
+};
+
+const DECISIONS = {
+  approve: 'approved',
+  reject: 'rejected'
+};
+
+const USER_ATTRIBUTES = ['id', 'firstName', 'lastName', 'email', 'userType', 'verificationStatus'];
+const ACTOR_ATTRIBUTES = ['id', 'firstName', 'lastName', 'userType'];
+
+// Reviewer links are shorter-lived than chat links
+const DEFAULT_URL_TTL = 5 * 60;
+
+/**
+ * Manual review of uploaded identity and business documents.
+ *
+ * Users submit documents into private storage; admins work a queue of
+ * pending submissions, open each one through a short-lived signed URL and
+ * approve or reject it with a reason code. Every submission, view and
+ * decision is written to VerificationDocumentEvent, the user is notified of
+ * each decision, and User.documents/verificationNotes are kept in step.
+ */
+class DocumentReviewService {
+  constructor() {
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/kyc-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/kyc.log' })
+      ]
+    });
+
+    this.urlTtl = parseInt(process.env.DOCUMENT_URL_TTL_SECONDS) || DEFAULT_URL_TTL;
+  }
+
+  getReviewReasons() {
+    return REVIEW_REASONS;
+  }
+
+  describeReason(status, reasonCode) {
+    return (REVIEW_REASONS[status] || {})[reasonCode] || null;
+  }
+
+  async recordEvent(document, actor, action, { fromStatus = null, toStatus = null, reasonCode = null, note = null } = {}, options = {}) {
+    return VerificationDocumentEvent.create({
+      documentId: document.id,
+      userId: document.userId,
+      actorId: actor ? actor.id : null,
+      action,
+      fromStatus,
+      toStatus,
+      reasonCode,
+      note
+    }, options);
+  }
+
+  // Retire the user's other documents of a single-document type that are in `statuses`
+  async supersede(document, actor, statuses, options = {}) {
+    if (!DOCUMENT_TYPES[document.documentType].single) {
+      return;
+    }
+
+    const previous = await VerificationDocument.findAll({
+      where: {
+        userId: document.userId,
+        documentType: document.documentType,
+        status: { [Op.in]: statuses },
+        id: { [Op.ne]: document.id }
+      },
+      transaction: options.transaction
+    });
+
+    for (const item of previous) {
+      const fromStatus = item.status;
+      await item.update({ status: 'superseded' }, options);
+      await this.recordEvent(item, actor, 'superseded', { fromStatus, toStatus: 'superseded' }, options);
+    }
+  }
+
+  // Upload a document for review; a new ID card or license replaces the one still waiting or turned down
+  async submitDocument(user, { documentType, file }) {
+    if (!DOCUMENT_TYPES[documentType]) {
+      throw new ValidationError('Unsupported document type');
+    }
+
+    const stored = await uploadService.uploadVerificationDocument(file, user.id);
+
+    const document = await sequelize.transaction(async (transaction) => {
+      const created = await VerificationDocument.create({
+        userId: user.id,
+        documentType,
+        fileName: stored.name,
+        mimetype: stored.mimetype,
+        size: stored.size,
+        storagePath: stored.path,
+        s3Key: stored.s3Key || null
+      }, { transaction });
+
+      await this.recordEvent(created, user, 'submitted', { toStatus: 'pending' }, { transaction });
+      await this.supersede(created, user, ['pending', 'rejected'], { transaction });
+
+      return created;
+    });
+
+    await this.refreshUserDocuments(user.id);
+
+    this.logger.info('Verification document submitted', { userId: user.id, documentId: document.id, documentType });
+
+    return document;
+  }
+
+  async paginate(model, { where, include, order, page = 1, limit = 20 }) {
+    page = parseInt(page);
+    limit = parseInt(limit);
+
+    const { count, rows } = await model.findAndCountAll({
+      where,
+      include,
+      order,
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    return {
+      rows,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: count,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    };
+  }
+
+  // Review queue; pending documents oldest first so nobody waits longest
+  async listQueue({ status = 'pending', documentType, userId, page, limit } = {}) {
+    const where = { status };
+
+    if (documentType) {
+      where.documentType = documentType;
+    }
+
+    if (userId) {
+      where.userId = userId;
+    }
+
+    const { rows, pagination } = await this.paginate(VerificationDocument, {
+      where,
+      include: [{ model: User, as: 'user', attributes: USER_ATTRIBUTES }],
+      order: [['createdAt', status === 'pending' ? 'ASC' : 'DESC']],
+      page,
+      limit
+    });
+
+    return {
+      documents: rows.map(document => this.serializeDocument(document)),
+      pagination
+    };
+  }
+
+  async findDocument(documentId) {
+    const document = await VerificationDocument.findByPk(documentId, {
+      include: [{ model: User, as: 'user', attributes: USER_ATTRIBUTES }]
+    });
+
+    if (!document) {
+      throw new NotFoundError('Document not found');
+    }
+
+    return document;
+  }
+
+  // A document as a reviewer opens it: signed file link plus its audit trail. Opening it is audited too.
+  async getDocumentForReview(documentId, reviewer) {
+    const document = await this.findDocument(documentId);
+    await this.recordEvent(document, reviewer, 'viewed');
+
+    return {
+      ...this.serializeDocument(document, { withUrl: true }),
+      history: await this.getDocumentHistory(document.id)
+    };
+  }
+
+  async getDocumentHistory(documentId) {
+    const events = await VerificationDocumentEvent.findAll({
+      where: { documentId },
+      include: [{ model: User, as: 'actor', attributes: ACTOR_ATTRIBUTES }],
+      order: [['createdAt', 'ASC']]
+    });
+
+    return events.map(event => this.serializeEvent(event));
+  }
+
+  // Reviewer audit log, filterable by reviewer, document owner, document and action
+  async getAuditLog({ actorId, userId, documentId, action, page, limit } = {}) {
+    const where = {};
+
+    if (actorId) {
+      where.actorId = actorId;
+    }
+
+    if (userId) {
+      where.userId = userId;
+    }
+
+    if (documentId) {
+      where.documentId = documentId;
+    }
+
+    if (action) {
+      where.action = action;
+    }
+
+    const { rows, pagination } = await this.paginate(VerificationDocumentEvent, {
+      where,
+      include: [
+        { model: User, as: 'actor', attributes: ACTOR_ATTRIBUTES },
+        { model: VerificationDocument, as: 'document', attributes: ['id', 'documentType', 'status'] }
+      ],
+      order: [['createdAt', 'DESC']],
+      page,
+      limit
+    });
+
+    return {
+      events: rows.map(event => ({
+        ...this.serializeEvent(event),
+        document: event.document
+          ? { id: event.document.id, documentType: event.document.documentType, status: event.document.status }
+          : null
+      })),
+      pagination
+    };
+  }
+
+  /**
+   * Approve or reject a document. Rejections need a reason code, and `other`
+   * needs a note the user will see. A decision can be reversed later (e.g.
+   * revoking an approval), but superseded documents are closed.
+   */
+  async reviewDocument(documentId, reviewer, { decision, reasonCode = null, note = null }) {
+    const status = DECISIONS[decision];
+    if (!status) {
+      throw new ValidationError('Decision must be approve or reject');
+    }
+
+    const code = reasonCode || (status === 'approved' ? 'verified' : null);
+    if (!code) {
+      throw new ValidationError('A reason code is required to reject a document');
+    }
+    if (!this.describeReason(status, code)) {
+      throw new ValidationError(`Invalid reason code for ${decision}: ${code}`);
+    }
+    if (code === 'other' && !note) {
+      throw new ValidationError('Add a note explaining the decision when the reason is other');
+    }
+
+    const document = await this.findDocument(documentId);
+
+    if (document.status === 'superseded') {
+      throw new ValidationError('This document has been replaced by a newer upload');
+    }
+    if (document.status === status) {
+      throw new ValidationError(`This document is already ${status}`);
+    }
+
+    const fromStatus = document.status;
+
+    await sequelize.transaction(async (transaction) => {
+      await document.update({
+        status,
+        reviewerId: reviewer.id,
+        reviewedAt: new Date(),
+        reasonCode: code,
+        reviewNote: note
+      }, { transaction });
+
+      await this.recordEvent(document, reviewer, status, { fromStatus, toStatus: status, reasonCode: code, note }, { transaction });
+
+      // The newly approved document becomes the one of record
+      if (status === 'approved') {
+        await this.supersede(document, reviewer, ['approved'], { transaction });
+      }
+    });
+
+    await this.refreshUserDocuments(document.userId, {
+      verificationNotes: this.describeDecision(document)
+    });
+
+    this.logger.info('Verification document reviewed', {
+      documentId: document.id,
+      reviewerId: reviewer.id,
+      from: fromStatus,
+      to: status,
+      reasonCode: code
+    });
+
+    await this.notifyDecision(document);
+    await creditRatingService.scheduleRecalculation(document.userId, 'document_review');
+
+    return document;
+  }
+
+  describeDecision(document) {
+    const label = DOCUMENT_TYPES[document.documentType].label;
+    const reason = document.reviewNote || this.describeReason(document.status, document.reasonCode);
+
+    return document.status === 'approved'
+      ? `Your ${label} was approved`
+      : `Your ${label} was rejected: ${reason}`;
+  }
+
+  async notifyDecision(document) {
+    const approved = document.status === 'approved';
+
+    try {
+      await notificationDispatcher.dispatch(document.userId, {
+        type: approved ? 'document_approved' : 'document_rejected',
+        template: approved ? 'document_approved' : 'document_rejected',
+        params: {
+          documentLabel: DOCUMENT_TYPES[document.documentType].label,
+          reason: document.reviewNote || this.describeReason(document.status, document.reasonCode)
+        },
+        data: { documentId: document.id, documentType: document.documentType, reasonCode: document.reasonCode },
+        priority: approved ? 'medium' : 'high',
+        actionUrl: '/verification'
+      });
+    } catch (error) {
+      this.logger.error('Failed to send document review notification', { documentId: document.id, message: error.message });
+    }
+  }
+
+  // The user's documents, newest first, with signed links to their own files
+  async getUserDocuments(userId) {
+    const documents = await VerificationDocument.findAll({
+      where: { userId, status: { [Op.ne]: 'superseded' } },
+      order: [['createdAt', 'DESC']]
+    });
+
+    return documents.map(document => this.serializeDocument(document, { withUrl: true }));
+  }
+
+  // Mirror each type's document of record onto User.documents: the approved one, else the latest
+  async refreshUserDocuments(userId, fields = {}) {
+    const documents = await VerificationDocument.findAll({
+      where: { userId, status: { [Op.ne]: 'superseded' } },
+      order: [['createdAt', 'DESC']]
+    });
+
+    const summary = (document) => ({
+      id: document.id,
+      status: document.status,
+      reasonCode: document.reasonCode,
+      submittedAt: document.createdAt,
+      reviewedAt: document.reviewedAt
+    });
+
+    const mirror = {};
+    for (const [documentType, { mirrorKey, single }] of Object.entries(DOCUMENT_TYPES)) {
+      const ofType = documents.filter(document => document.documentType === documentType);
+
+      if (single) {
+        const current = ofType.find(document => document.status === 'approved') || ofType[0];
+        mirror[mirrorKey] = current ? summary(current) : null;
+      } else {
+        mirror[mirrorKey] = ofType.map(summary);
+      }
+    }
+
+    await User.update({ documents: mirror, ...fields }, { where: { id: userId } });
+
+    return mirror;
+  }
+
+  // API path a document file is served from
+  documentPath(documentId) {
+    return `${DOCUMENT_PATH}/${documentId}/file`;
+  }
+
+  // The stored file behind a signed document link
+  async findFile(documentId) {
+    const document = await VerificationDocument.findByPk(documentId);
+
+    if (!document || document.status === 'superseded') {
+      throw new NotFoundError('Document not found');
+    }
+
+    return {
+      name: document.fileName,
+      mimetype: document.mimetype,
+      path: document.storagePath,
+      s3Key: document.s3Key
+    };
+  }
+
+  serializeEvent(event) {
+    return {
+      id: event.id,
+      documentId: event.documentId,
+      userId: event.userId,
+      action: event.action,
+      fromStatus: event.fromStatus,
+      toStatus: event.toStatus,
+      reasonCode: event.reasonCode,
+      note: event.note,
+      actor: event.actor
+        ? { id: event.actor.id, firstName: event.actor.firstName, lastName: event.actor.lastName, userType: event.actor.userType }
+        : null,
+      createdAt: event.createdAt
+    };
+  }
+
+  // Documents go out with a signed link when asked, never their storage location
+  serializeDocument(document, { withUrl = false } = {}) {
+    const serialized = {
+      id: document.id,
+      userId: document.userId,
+      documentType: document.documentType,
+      status: document.status,
+      fileName: document.fileName,
+      mimetype: document.mimetype,
+      size: document.size,
+      reasonCode: document.reasonCode,
+      reason: this.describeReason(document.status, document.reasonCode),
+      reviewNote: document.reviewNote,
+      reviewedAt: document.reviewedAt,
+      submittedAt: document.createdAt
+    };
+
+    if (document.user) {
+      serialized.user = document.user.toJSON();
+    }
+
+    if (withUrl) {
+      const { url, expiresAt } = uploadService.createSignedUrl(this.documentPath(document.id), this.urlTtl);
+      serialized.url = url;
+      serialized.urlExpiresAt = expiresAt;
+    }
+
+    return serialized;
+  }
+}
+
+// Create and export singleton instance
+const documentReviewService = new DocumentReviewService();
+module.exports = documentReviewService;
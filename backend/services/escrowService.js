@@ -0,0 +1,252 @@
+const { sequelize, Payment, Booking, Job, Service } = require('../models');
+const { Op } = require('sequelize');
+const winston = require('winston');
+const notificationDispatcher = require('./notificationDispatcher');
+const creditRatingService = require('./creditRatingService');
+const { ValidationError } = require('../middleware/errorHandler');
+
+// A partially refunded payment still has its remainder held for the payee
+const RELEASABLE_STATUSES = ['completed', 'partially_refunded'];
+
+const HELD_SUBJECT_STATUSES = ['disputed', 'cancelled'];
+
+const RELEASE_MESSAGES = {
+  hold_period_elapsed: 'Escrowed funds have been released to your balance after the hold period',
+  dispute_resolution: 'A dispute was resolved and escrowed funds have been released to your balance',
+  requester_satisfaction: 'The client confirmed the job and escrowed funds have been released to your balance',
+  cancellation: 'A booking was cancelled and the part kept under the cancellation policy has been released to your balance'
+};
+
+/**
+ * Escrow workflow for booking payments.
+ *
+ * Confirmed booking payments are captured straight into the payee's escrow
+ * account. Funds are released to the payee's wallet when the requester
+ * confirms satisfaction, or automatically once `escrowDetails.holdPeriod`
+ * hours have passed since the hold without a dispute. Opening a dispute
+ * freezes the funds (see Payment.prototype.createDispute).
+ */
+class EscrowService {
+  constructor() {
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/escrow-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/escrow.log' })
+      ]
+    });
+
+    this.defaultHoldPeriod = parseInt(process.env.ESCROW_HOLD_PERIOD_HOURS || '72'); // hours
+  }
+
+  // Complete a confirmed payment with its funds held in escrow
+  async holdPayment(payment, gatewayData = {}, options = {}) {
+    const work = async (transaction) => {
+      if (!payment.isHeldInEscrow()) {
+        await payment.holdInEscrow(this.defaultHoldPeriod, 'service_completion', { transaction });
+      }
+
+      await payment.markAsCompleted(gatewayData, { transaction });
+      return payment;
+    };
+
+    await (options.transaction ? work(options.transaction) : sequelize.transaction(work));
+
+    // A captured payment feeds both sides' credit scores, once it is committed
+    const refreshRatings = () => creditRatingService.scheduleRecalculation([payment.payerId, payment.payeeId], 'payment');
+    if (options.transaction) {
+      options.transaction.afterCommit(refreshRatings);
+    } else {
+      await refreshRatings();
+    }
+
+    this.logger.info('Payment held in escrow', {
+      paymentId: payment.id,
+      payeeId: payment.payeeId,
+      releaseAt: payment.escrowReleaseAt
+    });
+
+    return payment;
+  }
+
+  // Reasons a payment can't be released right now, or null if it can
+  getReleaseBlocker(payment) {
+    if (!payment.escrowDetails?.isEscrowed) {
+      return 'Payment is not held in escrow';
+    }
+
+    if (payment.escrowDetails.releasedAt) {
+      return 'Payment has already been released';
+    }
+
+    if (payment.status === 'disputed' || payment.escrowDetails.frozenAt) {
+      return 'Payment is frozen while a dispute is open';
+    }
+
+    if (!RELEASABLE_STATUSES.includes(payment.status)) {
+      return `Payment cannot be released from status ${payment.status}`;
+    }
+
+    return null;
+  }
+
+  // Release escrowed funds to the payee
+  async releasePayment(payment, { releasedBy = null, trigger = 'manual', satisfaction = null, reference = null } = {}) {
+    const blocker = this.getReleaseBlocker(payment);
+    if (blocker) {
+      throw new ValidationError(blocker);
+    }
+
+    const releaseDetails = {
+      releasedBy,
+      releaseTrigger: trigger,
+      releaseReference: reference
+    };
+
+    if (satisfaction) {
+      releaseDetails.satisfaction = {
+        ...satisfaction,
+        submittedAt: new Date()
+      };
+    }
+
+    await payment.releaseFromEscrow(releaseDetails);
+
+    this.logger.info('Escrow released', {
+      paymentId: payment.id,
+      payeeId: payment.payeeId,
+      trigger,
+      releasedBy
+    });
+
+    try {
+      await notificationDispatcher.dispatch(payment.payeeId, {
+        type: 'payment_received',
+        title: 'Payment Released',
+        message: RELEASE_MESSAGES[trigger] || RELEASE_MESSAGES.requester_satisfaction,
+        data: {
+          paymentId: payment.id,
+          bookingId: payment.bookingId,
+          amount: payment.amount
+        }
+      });
+    } catch (error) {
+      this.logger.error('Failed to send escrow release notification', {
+        paymentId: payment.id,
+        message: error.message
+      });
+    }
+
+    return payment;
+  }
+
+  // Release every escrowed payment whose hold period has elapsed
+  async releaseDuePayments(now = new Date(), limit = 100) {
+    const payments = await Payment.findAll({
+      where: {
+        status: RELEASABLE_STATUSES,
+        escrowReleaseAt: { [Op.lte]: now },
+        // A disputed or cancelled booking or job is settled elsewhere; left in, it would crowd out due payments
+        [Op.and]: [
+          { [Op.or]: [{ '$booking.status$': null }, { '$booking.status$': { [Op.notIn]: HELD_SUBJECT_STATUSES } }] },
+          { [Op.or]: [{ '$job.status$': null }, { '$job.status$': { [Op.notIn]: HELD_SUBJECT_STATUSES } }] }
+        ]
+      },
+      include: [
+        {
+          model: Booking,
+          as: 'booking',
+          attributes: ['id', 'status']
+        },
+        {
+          model: Job,
+          as: 'job',
+          attributes: ['id', 'status']
+        }
+      ],
+      order: [['escrowReleaseAt', 'ASC']],
+      limit
+    });
+
+    const result = { released: [], skipped: [], failed: [] };
+
+    for (const payment of payments) {
+      const blocker = this.getReleaseBlocker(payment);
+
+      if (blocker) {
+        result.skipped.push({ paymentId: payment.id, reason: blocker });
+        continue;
+      }
+
+      try {
+        await this.releasePayment(payment, { trigger: 'hold_period_elapsed' });
+        result.released.push(payment.id);
+      } catch (error) {
+        this.logger.error('Automatic escrow release failed', {
+          paymentId: payment.id,
+          message: error.message
+        });
+        result.failed.push({ paymentId: payment.id, reason: error.message });
+      }
+    }
+
+    this.logger.info('Processed due escrow releases', {
+      released: result.released.length,
+      skipped: result.skipped.length,
+      failed: result.failed.length
+    });
+
+    return result;
+  }
+
+  // Escrowed payments waiting on release, soonest first
+  async getPendingReleases({ page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+
+    const { count, rows: payments } = await Payment.findAndCountAll({
+      where: {
+        status: RELEASABLE_STATUSES,
+        escrowReleaseAt: { [Op.ne]: null }
+      },
+      include: [
+        {
+          model: Booking,
+          as: 'booking',
+          attributes: ['id', 'bookingNumber', 'status'],
+          include: [
+            {
+              model: Service,
+              as: 'service',
+              attributes: ['id', 'title']
+            }
+          ]
+        }
+      ],
+      order: [['escrowReleaseAt', 'ASC']],
+      limit: parseInt(limit),
+      offset
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    return {
+      payments,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalPayments: count,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    };
+  }
+}
+
+// Create and export singleton instance
+const escrowService = new EscrowService();
+module.exports = escrowService;
@@ -0,0 +1,259 @@
+const fs = require('fs');
+const path = require('path');
+const winston = require('winston');
+
+const DEFAULT_RATES_FILE = path.join(__dirname, '../config/exchange-rates.json');
+const DEFAULT_CACHE_TTL_MS = 60 * 60 * 1000;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+const roundRate = (value) => Math.round(value * 1e8) / 1e8;
+
+/**
+ * Rate sources implement `fetchRates()` and resolve to
+ * `{ base, rates, fetchedAt }`, where `rates[code]` is how many units of
+ * `code` one unit of `base` buys. The base doesn't have to match our
+ * BASE_CURRENCY; conversions go through cross rates.
+ */
+const createFileSource = (filePath) => ({
+  async fetchRates() {
+    const data = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+
+    return {
+      base: data.base,
+      rates: data.rates,
+      fetchedAt: data.updatedAt || (await fs.promises.stat(filePath)).mtime
+    };
+  }
+});
+
+// Works with the common `{ base | base_code, rates }` JSON shape of public rate APIs
+const createHttpSource = (url, apiKey) => ({
+  async fetchRates() {
+    const response = await fetch(url, {
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+      signal: AbortSignal.timeout(10000)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Rate API responded with ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    return {
+      base: data.base || data.base_code || data.source,
+      rates: data.rates || data.conversion_rates,
+      fetchedAt: data.time_last_update_unix ? new Date(data.time_last_update_unix * 1000) : new Date()
+    };
+  }
+});
+
+/**
+ * Exchange rates.
+ *
+ * Loads rates from the configured source and falls back to the bundled rates
+ * file when it fails, caching whichever answered for EXCHANGE_RATE_CACHE_TTL_MS.
+ * Payments snapshot the rate they were created with, so later rate changes
+ * never alter recorded amounts.
+ */
+class ExchangeRateService {
+  constructor() {
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/exchange-rates-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/exchange-rates.log' })
+      ]
+    });
+
+    this.baseCurrency = (process.env.BASE_CURRENCY || 'NGN').toUpperCase();
+    this.cacheTtlMs = parseInt(process.env.EXCHANGE_RATE_CACHE_TTL_MS) || DEFAULT_CACHE_TTL_MS;
+    this.cache = null;
+    this.sources = {};
+
+    this.registerSource('file', createFileSource(process.env.EXCHANGE_RATES_FILE || DEFAULT_RATES_FILE));
+
+    if (process.env.EXCHANGE_RATE_API_URL) {
+      this.registerSource('http', createHttpSource(process.env.EXCHANGE_RATE_API_URL, process.env.EXCHANGE_RATE_API_KEY));
+    }
+
+    this.sourceName = process.env.EXCHANGE_RATE_SOURCE || (process.env.EXCHANGE_RATE_API_URL ? 'http' : 'file');
+  }
+
+  registerSource(name, source) {
+    this.sources[name] = source;
+  }
+
+  useSource(name) {
+    if (!this.sources[name]) {
+      throw new Error(`Unknown exchange rate source: ${name}`);
+    }
+
+    this.sourceName = name;
+    this.clearCache();
+  }
+
+  clearCache() {
+    this.cache = null;
+  }
+
+  // Upper-case the codes and make sure the base itself is present
+  normalizeRates(result, source) {
+    const base = String(result.base || '').toUpperCase();
+    const rates = {};
+
+    Object.entries(result.rates || {}).forEach(([code, rate]) => {
+      const value = parseFloat(rate);
+      if (value > 0) {
+        rates[code.toUpperCase()] = value;
+      }
+    });
+
+    if (!base || Object.keys(rates).length === 0) {
+      throw new Error(`Exchange rate source ${source} returned no rates`);
+    }
+
+    rates[base] = 1;
+
+    return {
+      base,
+      rates,
+      source,
+      fetchedAt: result.fetchedAt ? new Date(result.fetchedAt) : new Date()
+    };
+  }
+
+  async fetchFrom(name) {
+    const source = this.sources[name];
+
+    if (!source) {
+      throw new Error(`Unknown exchange rate source: ${name}`);
+    }
+
+    return this.normalizeRates(await source.fetchRates(), name);
+  }
+
+  async loadRates() {
+    try {
+      return await this.fetchFrom(this.sourceName);
+    } catch (error) {
+      this.logger.warn('Exchange rate source failed', { source: this.sourceName, error: error.message });
+
+      if (this.sourceName === 'file') {
+        throw error;
+      }
+    }
+
+    return this.fetchFrom('file');
+  }
+
+  // Current rate table, refreshed once the cache expires
+  async getRates({ refresh = false } = {}) {
+    if (!refresh && this.cache && Date.now() - this.cache.loadedAt < this.cacheTtlMs) {
+      return this.cache.table;
+    }
+
+    try {
+      const table = await this.loadRates();
+      this.cache = { table, loadedAt: Date.now() };
+      return table;
+    } catch (error) {
+      // Stale rates are better than refusing every foreign-currency payment
+      if (this.cache) {
+        this.logger.error('Exchange rates could not be refreshed, using cached rates', { error: error.message });
+        return this.cache.table;
+      }
+
+      this.logger.error('Exchange rates are unavailable', { error: error.message });
+      throw new Error('Exchange rates are unavailable');
+    }
+  }
+
+  // Units of `to` one unit of `from` buys
+  async getRate(from, to = this.baseCurrency) {
+    const fromCode = String(from).toUpperCase();
+    const toCode = String(to).toUpperCase();
+
+    if (fromCode === toCode) {
+      return { rate: 1, source: 'identity', fetchedAt: null };
+    }
+
+    const table = await this.getRates();
+    const fromRate = table.rates[fromCode];
+    const toRate = table.rates[toCode];
+
+    if (!fromRate || !toRate) {
+      throw new Error(`No exchange rate available for ${fromCode}/${toCode}`);
+    }
+
+    return {
+      rate: roundRate(toRate / fromRate),
+      source: table.source,
+      fetchedAt: table.fetchedAt
+    };
+  }
+
+  async convert(amount, from, to = this.baseCurrency) {
+    const { rate, source, fetchedAt } = await this.getRate(from, to);
+
+    return {
+      amount: roundAmount(parseFloat(amount) * rate),
+      currency: String(to).toUpperCase(),
+      rate,
+      source,
+      fetchedAt
+    };
+  }
+
+  // Payment columns recording the rate to the base currency at creation time
+  async snapshot(currency) {
+    const { rate, source, fetchedAt } = await this.getRate(currency, this.baseCurrency);
+
+    return {
+      exchangeRate: rate,
+      exchangeRateSource: source,
+      exchangeRateFetchedAt: fetchedAt
+    };
+  }
+
+  /**
+   * Attach `displayPrice` to each item, converted to the viewer's currency.
+   * Items whose currency can't be converted keep their own price so a
+   * missing rate never breaks a listing.
+   */
+  async localizePrices(items, currency, { priceField = 'basePrice' } = {}) {
+    const target = currency ? String(currency).toUpperCase() : null;
+
+    return Promise.all(items.map(async (item) => {
+      const values = typeof item.toJSON === 'function' ? item.toJSON() : { ...item };
+      const price = parseFloat(values[priceField]);
+      const itemCurrency = values.currency || this.baseCurrency;
+
+      if (Number.isNaN(price)) {
+        return values;
+      }
+
+      values.displayPrice = { amount: roundAmount(price), currency: itemCurrency, exchangeRate: 1 };
+
+      if (target && target !== itemCurrency) {
+        try {
+          const converted = await this.convert(price, itemCurrency, target);
+          values.displayPrice = { amount: converted.amount, currency: target, exchangeRate: converted.rate };
+        } catch (error) {
+          this.logger.warn('Could not localize price', { itemCurrency, target, error: error.message });
+        }
+      }
+
+      return values;
+    }));
+  }
+}
+
+// Create and export singleton instance
+const exchangeRateService = new ExchangeRateService();
+module.exports = exchangeRateService;
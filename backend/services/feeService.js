@@ -0,0 +1,271 @@
+const fs = require('fs');
+const path = require('path');
+const winston = require('winston');
+const { Booking, Service, User } = require('../models');
+const exchangeRateService = require('./exchangeRateService');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+const DEFAULT_RULES_FILE = path.join(__dirname, '../config/fee-rules.json');
+
+const roundAmount = (value) => Math.round((parseFloat(value) || 0) * 100) / 100;
+
+// Fixed amounts, minimums and caps are in the rules currency; scale them to the charge currency
+const applyRule = (amount, rule, exchangeRate) => {
+  if (!rule) {
+    return 0;
+  }
+
+  const local = (value) => value / exchangeRate;
+  let fee = amount * (rule.rate || 0) + local(rule.fixed || 0);
+
+  if (rule.min !== undefined) {
+    fee = Math.max(fee, local(rule.min));
+  }
+
+  if (rule.max !== undefined) {
+    fee = Math.min(fee, local(rule.max));
+  }
+
+  return roundAmount(fee);
+};
+
+/**
+ * Fee engine.
+ *
+ * Prices every charge from the rules in FEE_RULES_FILE:
+ *   - platformFee: default rate/fixed/min/max and who pays it (payer or payee)
+ *   - categories: per service category overrides of the platform fee
+ *   - providerTiers: rate discounts and caps by provider standing
+ *   - gateways: processing fee per gateway, with a `default` entry
+ *   - crossBorder: extra fee when the charge isn't in the rules currency
+ *   - vat: VAT rate applied to all fees
+ *
+ * Quotes are always computed here from stored booking/service data so the
+ * client only ever displays what the server will charge.
+ */
+class FeeService {
+  constructor() {
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/fees-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/fees.log' })
+      ]
+    });
+
+    this.rulesFile = process.env.FEE_RULES_FILE || DEFAULT_RULES_FILE;
+    this.rules = null;
+  }
+
+  getRules() {
+    if (!this.rules) {
+      this.rules = JSON.parse(fs.readFileSync(this.rulesFile, 'utf8'));
+      this.logger.info('Fee rules loaded', { file: this.rulesFile });
+    }
+
+    return this.rules;
+  }
+
+  setRules(rules) {
+    this.rules = rules;
+  }
+
+  reloadRules() {
+    this.rules = null;
+    return this.getRules();
+  }
+
+  // Providers earn lower commission as they verify and build a track record
+  getProviderTier(provider) {
+    if (!provider) {
+      return 'standard';
+    }
+
+    if (parseFloat(provider.rating) >= 4.5 && provider.completedJobs >= 50) {
+      return 'top_rated';
+    }
+
+    return provider.verificationStatus === 'verified' ? 'verified' : 'standard';
+  }
+
+  // Effective platform fee rule after category and tier adjustments
+  getPlatformRule(rules, category, providerTier) {
+    const { rateDiscount = 0, ...tierRule } = (rules.providerTiers || {})[providerTier] || {};
+    const rule = {
+      ...rules.platformFee,
+      ...((rules.categories || {})[category] || {}),
+      ...tierRule
+    };
+
+    rule.rate = Math.max((rule.rate || 0) - rateDiscount, 0);
+    return rule;
+  }
+
+  /**
+   * Break a charge down into fees.
+   *
+   * `exchangeRate` is units of the rules currency per unit of `currency`.
+   * The gateway fee is only included once the gateway is known.
+   */
+  calculate({ amount, currency, category = null, providerTier = 'standard', gateway = null, exchangeRate = 1 }) {
+    const rules = this.getRules();
+    const subtotal = roundAmount(amount);
+    const chargeCurrency = String(currency || rules.currency).toUpperCase();
+
+    const platformRule = this.getPlatformRule(rules, category, providerTier);
+    const chargedTo = platformRule.chargedTo === 'payee' ? 'payee' : 'payer';
+    let platformFee = applyRule(subtotal, platformRule, exchangeRate);
+
+    if (chargedTo === 'payee') {
+      platformFee = Math.min(platformFee, subtotal);
+    }
+
+    const gatewayRule = gateway ? (rules.gateways[gateway] || rules.gateways.default) : null;
+    const gatewayFee = applyRule(subtotal, gatewayRule, exchangeRate);
+
+    const crossBorder = chargeCurrency !== rules.currency.toUpperCase();
+    const processingFee = crossBorder ? applyRule(subtotal, rules.crossBorder, exchangeRate) : 0;
+
+    const vatRate = rules.vat ? rules.vat.rate || 0 : 0;
+    const payerFees = gatewayFee + processingFee + (chargedTo === 'payer' ? platformFee : 0);
+    const payeeFees = chargedTo === 'payee' ? platformFee : 0;
+    const payerVat = roundAmount(payerFees * vatRate);
+    const payeeVat = roundAmount(payeeFees * vatRate);
+    const vat = roundAmount(payerVat + payeeVat);
+
+    return {
+      currency: chargeCurrency,
+      subtotal,
+      platformFee,
+      gatewayFee,
+      processingFee,
+      vat,
+      totalFees: roundAmount(platformFee + gatewayFee + processingFee + vat),
+      total: roundAmount(subtotal + payerFees + payerVat),
+      payeeAmount: roundAmount(subtotal - payeeFees - payeeVat),
+      chargedTo,
+      rates: {
+        platformFee: platformRule.rate,
+        gatewayFee: gatewayRule ? gatewayRule.rate || 0 : null,
+        processingFee: crossBorder && rules.crossBorder ? rules.crossBorder.rate || 0 : 0,
+        vat: vatRate
+      },
+      applied: {
+        category,
+        providerTier,
+        gateway
+      }
+    };
+  }
+
+  async calculateInCurrency(params) {
+    const { rate } = await exchangeRateService.getRate(params.currency || this.getRules().currency, this.getRules().currency);
+    return this.calculate({ ...params, exchangeRate: rate });
+  }
+
+  // Quote for a booking loaded with its service
+  async quoteBooking(booking, { gateway = null } = {}) {
+    const service = booking.service || await Service.findByPk(booking.serviceId);
+    const provider = await User.findByPk(booking.providerId);
+    const subtotal = parseFloat(booking.pricing?.subtotal) || parseFloat(booking.totalAmount);
+
+    return this.calculateInCurrency({
+      amount: subtotal,
+      currency: booking.currency,
+      category: service ? service.category : null,
+      providerTier: this.getProviderTier(provider),
+      gateway
+    });
+  }
+
+  // Quote for a job at the amount the requester and provider agreed on
+  async quoteJob(job, { gateway = null } = {}) {
+    const provider = job.providerId ? await User.findByPk(job.providerId) : null;
+
+    return this.calculateInCurrency({
+      amount: parseFloat(job.agreedAmount || job.amount),
+      currency: job.currency,
+      category: job.category,
+      providerTier: this.getProviderTier(provider),
+      gateway
+    });
+  }
+
+  // Quote from a booking, a service or a raw amount, in that order of preference
+  async quote({ bookingId, serviceId, amount, currency, category, providerId, gateway = null } = {}) {
+    if (bookingId) {
+      const booking = await Booking.findByPk(bookingId, {
+        include: [{ model: Service, as: 'service' }]
+      });
+
+      if (!booking) {
+        throw new NotFoundError('Booking not found');
+      }
+
+      return this.quoteBooking(booking, { gateway });
+    }
+
+    let providerTierSource = providerId;
+
+    if (serviceId) {
+      const service = await Service.findByPk(serviceId);
+
+      if (!service) {
+        throw new NotFoundError('Service not found');
+      }
+
+      amount = amount !== undefined && amount !== null ? amount : service.basePrice;
+      currency = service.currency;
+      category = service.category;
+      providerTierSource = service.providerId;
+    }
+
+    if (!(parseFloat(amount) > 0)) {
+      throw new ValidationError('Amount must be greater than zero');
+    }
+
+    const provider = providerTierSource ? await User.findByPk(providerTierSource) : null;
+
+    return this.calculateInCurrency({
+      amount,
+      currency,
+      category,
+      providerTier: this.getProviderTier(provider),
+      gateway
+    });
+  }
+
+  // Payment columns for a quote
+  toPaymentFields(quote) {
+    return {
+      amount: quote.total,
+      fees: {
+        platformFee: quote.platformFee,
+        gatewayFee: quote.gatewayFee,
+        processingFee: quote.processingFee,
+        vat: quote.vat,
+        totalFees: quote.totalFees
+      },
+      breakdown: {
+        subtotal: quote.subtotal,
+        tax: quote.vat,
+        discount: 0,
+        tip: 0,
+        total: quote.total,
+        payeeAmount: quote.payeeAmount,
+        chargedTo: quote.chargedTo,
+        rates: quote.rates,
+        applied: quote.applied
+      }
+    };
+  }
+}
+
+// Create and export singleton instance
+const feeService = new FeeService();
+module.exports = feeService;
@@ -0,0 +1,219 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+const FLUTTERWAVE_BASE_URL = 'https://api.flutterwave.com/v3';
+
+// Hosted checkout options for mobile money, by currency
+const MOBILE_MONEY_OPTIONS = {
+  GHS: 'mobilemoneyghana',
+  KES: 'mpesa',
+  UGX: 'mobilemoneyuganda',
+  RWF: 'mobilemoneyrwanda',
+  ZMW: 'mobilemoneyzambia',
+  XAF: 'mobilemoneyfranco',
+  XOF: 'mobilemoneyfranco',
+  TZS: 'mobilemoneytanzania'
+};
+
+const STATUS_MAP = {
+  successful: 'succeeded',
+  failed: 'failed',
+  cancelled: 'failed'
+};
+
+// Flutterwave standard checkout and direct bank transfer / USSD charges
+class FlutterwaveGateway {
+  constructor() {
+    this.name = 'flutterwave';
+    this.supportedMethods = ['card', 'bank_transfer', 'ussd', 'mobile_money'];
+  }
+
+  request(method, path, data) {
+    return axios({
+      method,
+      url: `${FLUTTERWAVE_BASE_URL}${path}`,
+      data,
+      headers: {
+        'Authorization': `Bearer ${process.env.FLUTTERWAVE_SECRET_KEY}`,
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  async initialize({ amount, currency, email, reference, paymentMethod = 'card', metadata = {}, callbackUrl, bankCode }) {
+    try {
+      switch (paymentMethod) {
+        case 'bank_transfer':
+          return await this.chargeBankTransfer({ amount, currency, email, reference, metadata });
+        case 'ussd':
+          return await this.chargeUssd({ amount, currency, email, reference, metadata, bankCode });
+        default:
+          return await this.createCheckout({ amount, currency, email, reference, paymentMethod, metadata, callbackUrl });
+      }
+    } catch (error) {
+      throw new Error(`Flutterwave payment initialization failed: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  // Hosted checkout for cards and mobile money
+  async createCheckout({ amount, currency, email, reference, paymentMethod, metadata, callbackUrl }) {
+    const paymentOptions = paymentMethod === 'mobile_money'
+      ? MOBILE_MONEY_OPTIONS[currency.toUpperCase()]
+      : 'card';
+
+    if (!paymentOptions) {
+      throw new Error(`Mobile money is not available for ${currency}`);
+    }
+
+    const response = await this.request('post', '/payments', {
+      tx_ref: reference,
+      amount,
+      currency: currency.toUpperCase(),
+      redirect_url: callbackUrl || `${process.env.FRONTEND_URL}/payment/callback`,
+      payment_options: paymentOptions,
+      customer: { email },
+      meta: metadata
+    });
+
+    return {
+      gatewayTransactionId: reference,
+      reference,
+      status: 'pending',
+      clientData: {
+        authorizationUrl: response.data.data.link,
+        reference
+      }
+    };
+  }
+
+  // Dynamic virtual account the customer transfers into
+  async chargeBankTransfer({ amount, currency, email, reference, metadata }) {
+    const response = await this.request('post', '/charges?type=bank_transfer', {
+      tx_ref: reference,
+      amount,
+      currency: currency.toUpperCase(),
+      email,
+      meta: metadata
+    });
+
+    const authorization = response.data.meta?.authorization || {};
+
+    return {
+      gatewayTransactionId: reference,
+      reference,
+      status: 'pending',
+      clientData: {
+        reference,
+        bankTransfer: {
+          accountNumber: authorization.transfer_account,
+          bankName: authorization.transfer_bank,
+          amount: authorization.transfer_amount,
+          expiresAt: authorization.account_expiration,
+          note: authorization.transfer_note
+        }
+      }
+    };
+  }
+
+  // USSD code the customer dials on their bank's short code
+  async chargeUssd({ amount, currency, email, reference, metadata, bankCode }) {
+    if (!bankCode) {
+      throw new Error('Bank code is required for USSD payments');
+    }
+
+    const response = await this.request('post', '/charges?type=ussd', {
+      tx_ref: reference,
+      account_bank: bankCode,
+      amount,
+      currency: currency.toUpperCase(),
+      email,
+      meta: metadata
+    });
+
+    const authorization = response.data.meta?.authorization || {};
+
+    return {
+      gatewayTransactionId: reference,
+      reference,
+      status: 'pending',
+      clientData: {
+        reference,
+        ussd: {
+          code: authorization.note,
+          paymentCode: response.data.data?.payment_code
+        }
+      }
+    };
+  }
+
+  async verify(reference) {
+    try {
+      const response = await this.request('get', `/transactions/verify_by_reference?tx_ref=${encodeURIComponent(reference)}`);
+      const transaction = response.data.data;
+
+      return {
+        id: transaction.id,
+        status: STATUS_MAP[transaction.status] || 'pending',
+        amount: transaction.charged_amount || transaction.amount,
+        currency: transaction.currency,
+        reference: transaction.tx_ref,
+        paidAt: transaction.created_at,
+        channel: transaction.payment_type,
+        fees: transaction.app_fee || 0,
+        raw: transaction
+      };
+    } catch (error) {
+      throw new Error(`Flutterwave transaction verification failed: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  // Refunds are issued against Flutterwave's own transaction id
+  async refund({ gatewayTransactionId, amount, currency }) {
+    try {
+      const transaction = await this.verify(gatewayTransactionId);
+      const response = await this.request('post', `/transactions/${transaction.id}/refund`, { amount });
+
+      return {
+        id: response.data.data.id,
+        amount: response.data.data.amount_refunded || amount,
+        currency: currency.toUpperCase(),
+        status: response.data.data.status,
+        raw: response.data.data
+      };
+    } catch (error) {
+      throw new Error(`Flutterwave refund failed: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  // Flutterwave sends the dashboard secret hash back verbatim
+  verifyWebhook(rawBody, headers = {}) {
+    const signature = headers['verif-hash'];
+    const secretHash = process.env.FLUTTERWAVE_WEBHOOK_HASH;
+
+    if (!signature || !secretHash || signature.length !== secretHash.length) {
+      return false;
+    }
+
+    return crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(secretHash));
+  }
+
+  parseWebhook(payload) {
+    const data = payload.data || {};
+    const status = (data.status || '').toLowerCase();
+    let type = payload.event;
+
+    if (payload.event === 'charge.completed') {
+      type = status === 'successful' ? 'payment.succeeded' : 'payment.failed';
+    }
+
+    return {
+      id: `${payload.event}:${data.id}:${status}`,
+      type,
+      nativeType: payload.event,
+      // Handlers look payments up by our reference
+      data: { ...data, reference: data.tx_ref }
+    };
+  }
+}
+
+module.exports = FlutterwaveGateway;
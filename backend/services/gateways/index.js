@@ -0,0 +1,82 @@
+/**
+ * Payment gateway registry.
+ *
+ * Each adapter exposes `name`, `supportedMethods` and implements:
+ *   initialize({ amount, currency, email, reference, paymentMethod, metadata, callbackUrl })
+ *     -> { gatewayTransactionId, reference, status, clientData }
+ *   verify(gatewayTransactionId)
+ *     -> { status, amount, currency, reference, paidAt, channel, fees, raw }
+ *   refund({ gatewayTransactionId, amount, currency, reason, metadata })
+ *     -> { id, amount, currency, status, raw }
+ *   verifyWebhook(rawBody, headers) -> boolean
+ *   parseWebhook(payload) -> { id, type, nativeType, data }
+ *
+ * Amounts are in major units (naira, dollars); adapters convert to the
+ * gateway's minor units. Verification statuses are normalized to
+ * 'succeeded', 'pending' or 'failed'. Parsed webhook types are normalized to
+ * payment.succeeded, payment.failed, dispute.created, transfer.success,
+ * transfer.failed and transfer.reversed; anything else keeps its native type
+ * and is ignored by the webhook processor. Adapters are loaded lazily so that
+ * an unused gateway's client library is never required. The mock gateway is
+ * only available in test and development.
+ */
+const adapters = {
+  stripe: () => require('./stripeGateway'),
+  paystack: () => require('./paystackGateway'),
+  flutterwave: () => require('./flutterwaveGateway')
+};
+
+const MOCK_ENVIRONMENTS = ['test', 'development'];
+
+if (MOCK_ENVIRONMENTS.includes(process.env.NODE_ENV)) {
+  adapters.mock = () => require('./mockGateway');
+}
+
+const SUPPORTED_GATEWAYS = Object.keys(adapters);
+
+const instances = {};
+
+// Earlier clients sent the gateway name as the payment method
+const LEGACY_METHODS = ['stripe', 'paystack'];
+
+const getDefaultGatewayName = () => (
+  process.env.DEFAULT_PAYMENT_GATEWAY || (process.env.NODE_ENV === 'test' ? 'mock' : 'paystack')
+);
+
+const isSupportedGateway = (name) => Object.prototype.hasOwnProperty.call(adapters, name);
+
+const getGateway = (name = getDefaultGatewayName()) => {
+  if (!isSupportedGateway(name)) {
+    throw new Error(`Unsupported payment gateway: ${name}`);
+  }
+
+  if (!instances[name]) {
+    const Adapter = adapters[name]();
+    instances[name] = new Adapter();
+  }
+
+  return instances[name];
+};
+
+// Pick the gateway and payment method for a checkout request
+const resolveGateway = ({ gateway, paymentMethod = 'card' } = {}) => {
+  if (!gateway && LEGACY_METHODS.includes(paymentMethod)) {
+    return { gateway: getGateway(paymentMethod), paymentMethod: 'card' };
+  }
+
+  const adapter = getGateway(gateway || getDefaultGatewayName());
+
+  if (!adapter.supportedMethods.includes(paymentMethod)) {
+    throw new Error(`${adapter.name} does not support ${paymentMethod} payments`);
+  }
+
+  return { gateway: adapter, paymentMethod };
+};
+
+module.exports = {
+  SUPPORTED_GATEWAYS,
+  getGateway,
+  resolveGateway,
+  isSupportedGateway,
+  getDefaultGatewayName
+};
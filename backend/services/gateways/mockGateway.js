@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+
+/**
+ * In-memory payment gateway for development and tests.
+ *
+ * Charges stay pending until completeCharge() or failCharge() is called.
+ * Webhooks are signed with an HMAC-SHA256 of the raw body using
+ * MOCK_GATEWAY_SECRET in the x-mock-signature header, and use the
+ * normalized event types directly. Without a secret no webhook verifies.
+ */
+class MockGateway {
+  constructor() {
+    this.name = 'mock';
+    this.supportedMethods = ['card', 'bank_transfer', 'ussd', 'mobile_money'];
+    this.charges = new Map();
+    this.refunds = [];
+  }
+
+  getSecret() {
+    return process.env.MOCK_GATEWAY_SECRET || null;
+  }
+
+  async initialize({ amount, currency, reference, paymentMethod = 'card' }) {
+    this.charges.set(reference, {
+      reference,
+      amount,
+      currency: currency.toUpperCase(),
+      paymentMethod,
+      status: 'pending',
+      paidAt: null
+    });
+
+    return {
+      gatewayTransactionId: reference,
+      reference,
+      status: 'pending',
+      clientData: {
+        reference,
+        authorizationUrl: `https://mock-gateway.local/checkout/${reference}`
+      }
+    };
+  }
+
+  async verify(reference) {
+    const charge = this.charges.get(reference);
+    if (!charge) {
+      throw new Error(`Mock charge ${reference} not found`);
+    }
+
+    return {
+      status: charge.status,
+      amount: charge.amount,
+      currency: charge.currency,
+      reference,
+      paidAt: charge.paidAt,
+      channel: charge.paymentMethod,
+      fees: 0,
+      raw: { ...charge }
+    };
+  }
+
+  async refund({ gatewayTransactionId, amount, currency }) {
+    const refund = {
+      id: `MOCK_RF_${this.refunds.length + 1}_${gatewayTransactionId}`,
+      amount,
+      currency: currency.toUpperCase(),
+      status: 'processed'
+    };
+
+    this.refunds.push(refund);
+    return { ...refund, raw: refund };
+  }
+
+  sign(rawBody) {
+    const secret = this.getSecret();
+
+    if (!secret) {
+      throw new Error('MOCK_GATEWAY_SECRET is not set');
+    }
+
+    return crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  }
+
+  verifyWebhook(rawBody, headers = {}) {
+    if (!this.getSecret() || !headers['x-mock-signature']) {
+      return false;
+    }
+
+    return headers['x-mock-signature'] === this.sign(rawBody);
+  }
+
+  parseWebhook(payload) {
+    return {
+      id: payload.id,
+      type: payload.type,
+      nativeType: payload.type,
+      data: payload.data || {}
+    };
+  }
+
+  // Test helpers: settle a charge
+  completeCharge(reference) {
+    const charge = this.charges.get(reference);
+    if (charge) {
+      charge.status = 'succeeded';
+      charge.paidAt = new Date();
+    }
+    return charge;
+  }
+
+  failCharge(reference) {
+    const charge = this.charges.get(reference);
+    if (charge) {
+      charge.status = 'failed';
+    }
+    return charge;
+  }
+
+  reset() {
+    this.charges.clear();
+    this.refunds = [];
+  }
+}
+
+module.exports = MockGateway;
@@ -0,0 +1,147 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+const PAYSTACK_BASE_URL = 'https://api.paystack.co';
+
+// Paystack checkout channels for each payment method
+const METHOD_CHANNELS = {
+  card: ['card'],
+  bank_transfer: ['bank_transfer', 'bank'],
+  ussd: ['ussd'],
+  mobile_money: ['mobile_money']
+};
+
+const STATUS_MAP = {
+  success: 'succeeded',
+  failed: 'failed',
+  abandoned: 'failed',
+  reversed: 'failed'
+};
+
+const EVENT_TYPES = {
+  'charge.success': 'payment.succeeded',
+  'charge.failed': 'payment.failed',
+  'charge.dispute.create': 'dispute.created',
+  'transfer.success': 'transfer.success',
+  'transfer.failed': 'transfer.failed',
+  'transfer.reversed': 'transfer.reversed'
+};
+
+// Paystack transactions and refunds
+class PaystackGateway {
+  constructor() {
+    this.name = 'paystack';
+    this.supportedMethods = Object.keys(METHOD_CHANNELS);
+  }
+
+  request(method, path, data) {
+    return axios({
+      method,
+      url: `${PAYSTACK_BASE_URL}${path}`,
+      data,
+      headers: {
+        'Authorization': `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  async initialize({ amount, currency, email, reference, paymentMethod = 'card', metadata = {}, callbackUrl }) {
+    try {
+      const response = await this.request('post', '/transaction/initialize', {
+        email,
+        amount: Math.round(amount * 100), // Convert to kobo
+        currency: currency.toUpperCase(),
+        reference,
+        channels: METHOD_CHANNELS[paymentMethod],
+        metadata,
+        callback_url: callbackUrl || `${process.env.FRONTEND_URL}/payment/callback`
+      });
+
+      return {
+        gatewayTransactionId: response.data.data.reference,
+        reference: response.data.data.reference,
+        status: 'pending',
+        clientData: {
+          authorizationUrl: response.data.data.authorization_url,
+          accessCode: response.data.data.access_code,
+          reference: response.data.data.reference
+        }
+      };
+    } catch (error) {
+      throw new Error(`Paystack transaction initialization failed: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  async verify(reference) {
+    try {
+      const response = await this.request('get', `/transaction/verify/${encodeURIComponent(reference)}`);
+      const transaction = response.data.data;
+
+      return {
+        status: STATUS_MAP[transaction.status] || 'pending',
+        amount: transaction.amount / 100,
+        currency: transaction.currency,
+        reference: transaction.reference,
+        paidAt: transaction.paid_at,
+        channel: transaction.channel,
+        fees: (transaction.fees || 0) / 100,
+        raw: transaction
+      };
+    } catch (error) {
+      throw new Error(`Paystack transaction verification failed: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  async refund({ gatewayTransactionId, amount, currency, reason }) {
+    try {
+      const response = await this.request('post', '/refund', {
+        transaction: gatewayTransactionId,
+        amount: Math.round(amount * 100), // Convert to kobo
+        currency: currency.toUpperCase(),
+        customer_note: reason,
+        merchant_note: `Refund for transaction ${gatewayTransactionId}`
+      });
+
+      return {
+        id: response.data.data.id,
+        amount: response.data.data.amount / 100, // Convert from kobo
+        currency: response.data.data.currency,
+        status: response.data.data.status,
+        raw: response.data.data
+      };
+    } catch (error) {
+      throw new Error(`Paystack refund creation failed: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  verifyWebhook(rawBody, headers = {}) {
+    const signature = headers['x-paystack-signature'];
+    if (!signature || !process.env.PAYSTACK_SECRET_KEY) {
+      return false;
+    }
+
+    const hash = crypto
+      .createHmac('sha512', process.env.PAYSTACK_SECRET_KEY)
+      .update(rawBody)
+      .digest('hex');
+
+    return hash.length === signature.length
+      && crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(signature));
+  }
+
+  // Paystack events have no id of their own; key them by type and resource
+  parseWebhook(payload) {
+    const data = payload.data || {};
+    const resourceId = data.id || data.reference || data.transfer_code;
+
+    return {
+      id: `${payload.event}:${resourceId}`,
+      type: EVENT_TYPES[payload.event] || payload.event,
+      nativeType: payload.event,
+      data
+    };
+  }
+}
+
+module.exports = PaystackGateway;
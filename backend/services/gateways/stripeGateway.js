@@ -0,0 +1,113 @@
+const Stripe = require('stripe');
+
+// Map Stripe PaymentIntent statuses onto normalized verification statuses
+const STATUS_MAP = {
+  succeeded: 'succeeded',
+  processing: 'pending',
+  requires_payment_method: 'pending',
+  requires_confirmation: 'pending',
+  requires_action: 'pending',
+  requires_capture: 'pending',
+  canceled: 'failed'
+};
+
+const EVENT_TYPES = {
+  'payment_intent.succeeded': 'payment.succeeded',
+  'payment_intent.payment_failed': 'payment.failed',
+  'charge.dispute.created': 'dispute.created'
+};
+
+// Stripe payment intents
+class StripeGateway {
+  constructor() {
+    this.name = 'stripe';
+    this.supportedMethods = ['card'];
+    this.client = Stripe(process.env.STRIPE_SECRET_KEY);
+  }
+
+  async initialize({ amount, currency, reference, metadata = {} }) {
+    try {
+      const paymentIntent = await this.client.paymentIntents.create({
+        amount: Math.round(amount * 100), // Convert to cents
+        currency: currency.toLowerCase(),
+        metadata: { ...metadata, reference },
+        automatic_payment_methods: {
+          enabled: true
+        },
+        capture_method: 'automatic'
+      });
+
+      return {
+        gatewayTransactionId: paymentIntent.id,
+        reference,
+        status: STATUS_MAP[paymentIntent.status] || 'pending',
+        clientData: {
+          clientSecret: paymentIntent.client_secret,
+          paymentIntentId: paymentIntent.id
+        }
+      };
+    } catch (error) {
+      throw new Error(`Stripe payment intent creation failed: ${error.message}`);
+    }
+  }
+
+  async verify(paymentIntentId) {
+    try {
+      const paymentIntent = await this.client.paymentIntents.retrieve(paymentIntentId);
+
+      return {
+        status: STATUS_MAP[paymentIntent.status] || 'pending',
+        amount: (paymentIntent.amount_received || paymentIntent.amount) / 100,
+        currency: paymentIntent.currency.toUpperCase(),
+        reference: paymentIntent.metadata?.reference || paymentIntent.id,
+        paidAt: paymentIntent.status === 'succeeded' ? new Date() : null,
+        channel: 'card',
+        fees: 0,
+        raw: paymentIntent
+      };
+    } catch (error) {
+      throw new Error(`Stripe payment verification failed: ${error.message}`);
+    }
+  }
+
+  async refund({ gatewayTransactionId, amount, reason, metadata = {} }) {
+    try {
+      const refund = await this.client.refunds.create({
+        payment_intent: gatewayTransactionId,
+        amount: Math.round(amount * 100), // Convert to cents
+        reason: 'requested_by_customer',
+        metadata: { ...metadata, refundReason: reason }
+      });
+
+      return {
+        id: refund.id,
+        amount: refund.amount / 100,
+        currency: refund.currency.toUpperCase(),
+        status: refund.status,
+        raw: refund
+      };
+    } catch (error) {
+      throw new Error(`Stripe refund failed: ${error.message}`);
+    }
+  }
+
+  verifyWebhook(rawBody, headers = {}) {
+    try {
+      this.client.webhooks.constructEvent(rawBody, headers['stripe-signature'], process.env.STRIPE_WEBHOOK_SECRET);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  parseWebhook(payload) {
+    return {
+      id: payload.id,
+      type: EVENT_TYPES[payload.type] || payload.type,
+      nativeType: payload.type,
+      data: payload.data?.object || {}
+    };
+  }
+}
+
+module.exports = StripeGateway;
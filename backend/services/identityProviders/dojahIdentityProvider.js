@@ -0,0 +1,91 @@
+const axios = require('axios');
+
+const DOJAH_BASE_URL = process.env.DOJAH_BASE_URL || 'https://api.dojah.io';
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Registries return 1990-01-31, 31-01-1990 or 31-Jan-1990; normalize to YYYY-MM-DD
+const normalizeDate = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  const iso = /^(\d{4})-(\d{2})-(\d{2})/.exec(value);
+  if (iso) {
+    return `${iso[1]}-${iso[2]}-${iso[3]}`;
+  }
+
+  const dayFirst = /^(\d{1,2})[-/ ]([A-Za-z]{3}|\d{1,2})[-/ ](\d{4})$/.exec(value.trim());
+  if (dayFirst) {
+    const month = /^\d+$/.test(dayFirst[2])
+      ? parseInt(dayFirst[2], 10)
+      : MONTHS.indexOf(dayFirst[2].toLowerCase()) + 1;
+
+    if (month >= 1) {
+      return `${dayFirst[3]}-${String(month).padStart(2, '0')}-${dayFirst[1].padStart(2, '0')}`;
+    }
+  }
+
+  return null;
+};
+
+// NIN, BVN and bank account lookups through Dojah's KYC API
+class DojahIdentityProvider {
+  constructor() {
+    this.name = 'dojah';
+  }
+
+  async request(path, params) {
+    try {
+      const response = await axios.get(`${DOJAH_BASE_URL}${path}`, {
+        params,
+        headers: {
+          'AppId': process.env.DOJAH_APP_ID,
+          'Authorization': process.env.DOJAH_SECRET_KEY
+        },
+        timeout: 20000
+      });
+
+      return response.data.entity;
+    } catch (error) {
+      if (error.response && [400, 404].includes(error.response.status)) {
+        return null;
+      }
+
+      throw new Error(`Dojah lookup failed: ${error.response?.data?.error || error.message}`);
+    }
+  }
+
+  toPerson(entity) {
+    return {
+      firstName: entity.first_name || null,
+      middleName: entity.middle_name || null,
+      lastName: entity.last_name || null,
+      dateOfBirth: normalizeDate(entity.date_of_birth),
+      phone: entity.phone_number || entity.phone_number1 || null
+    };
+  }
+
+  async lookupNin(nin) {
+    const entity = await this.request('/api/v1/kyc/nin', { nin });
+    return entity ? { reference: entity.reference_id || null, record: this.toPerson(entity) } : null;
+  }
+
+  async lookupBvn(bvn) {
+    const entity = await this.request('/api/v1/kyc/bvn/full', { bvn });
+    return entity ? { reference: entity.reference_id || null, record: this.toPerson(entity) } : null;
+  }
+
+  async resolveBankAccount({ accountNumber, bankCode }) {
+    const entity = await this.request('/api/v1/general/account', {
+      account_number: accountNumber,
+      bank_code: bankCode
+    });
+
+    return entity
+      ? { reference: entity.reference_id || null, record: { accountName: entity.account_name || null, bvn: entity.bvn || null } }
+      : null;
+  }
+}
+
+module.exports = DojahIdentityProvider;
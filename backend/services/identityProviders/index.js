@@ -0,0 +1,48 @@
+/**
+ * Identity provider registry for KYC checks.
+ *
+ * Each adapter implements:
+ *   lookupNin(nin) -> { reference, record } | null
+ *   lookupBvn(bvn) -> { reference, record } | null
+ *   resolveBankAccount({ accountNumber, bankCode }) -> { reference, record } | null
+ *
+ * For NIN and BVN the record is { firstName, middleName, lastName,
+ * dateOfBirth (YYYY-MM-DD), phone }; for bank accounts it is
+ * { accountName, bvn }. A null result means the registry has no such
+ * identifier; adapters throw when the provider itself fails. Adapters are
+ * loaded lazily so that an unused provider's client is never required. The
+ * local provider is only available in test and development.
+ */
+const adapters = {
+  dojah: () => require('./dojahIdentityProvider')
+};
+
+const LOCAL_ENVIRONMENTS = ['test', 'development'];
+
+if (LOCAL_ENVIRONMENTS.includes(process.env.NODE_ENV)) {
+  adapters.local = () => require('./localIdentityProvider');
+}
+
+const instances = {};
+
+const getDefaultProviderName = () => (
+  process.env.IDENTITY_PROVIDER || (process.env.NODE_ENV === 'test' ? 'local' : 'dojah')
+);
+
+const getIdentityProvider = (name = getDefaultProviderName()) => {
+  if (!adapters[name]) {
+    throw new Error(`Unsupported identity provider: ${name}`);
+  }
+
+  if (!instances[name]) {
+    const Adapter = adapters[name]();
+    instances[name] = new Adapter();
+  }
+
+  return instances[name];
+};
+
+module.exports = {
+  getIdentityProvider,
+  getDefaultProviderName
+};
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+
+/**
+ * In-memory identity provider for development and tests.
+ *
+ * Records registered with setRecord() are returned as-is; any other
+ * identifier resolves to a deterministic "Test Person" so the same input
+ * always gives the same answer. Identifiers starting with "000" are not
+ * found, and ones starting with "999" simulate a provider outage.
+ */
+class LocalIdentityProvider {
+  constructor() {
+    this.name = 'local';
+    this.records = new Map();
+  }
+
+  key(type, identifier) {
+    return `${type}:${identifier}`;
+  }
+
+  setRecord(type, identifier, record) {
+    this.records.set(this.key(type, identifier), record);
+  }
+
+  reference(type, identifier) {
+    const digest = crypto.createHash('sha1').update(this.key(type, identifier)).digest('hex');
+    return `KYC_local_${digest.slice(0, 12)}`;
+  }
+
+  lookup(type, identifier, fallback) {
+    if (identifier.startsWith('999')) {
+      throw new Error('Identity provider unavailable');
+    }
+
+    if (identifier.startsWith('000')) {
+      return null;
+    }
+
+    return {
+      reference: this.reference(type, identifier),
+      record: this.records.get(this.key(type, identifier)) || fallback
+    };
+  }
+
+  async lookupNin(nin) {
+    return this.lookup('nin', nin, {
+      firstName: 'Test',
+      middleName: null,
+      lastName: `Person${nin.slice(-4)}`,
+      dateOfBirth: '1990-01-01',
+      phone: null
+    });
+  }
+
+  async lookupBvn(bvn) {
+    return this.lookup('bvn', bvn, {
+      firstName: 'Test',
+      middleName: null,
+      lastName: `Person${bvn.slice(-4)}`,
+      dateOfBirth: '1990-01-01',
+      phone: null
+    });
+  }
+
+  async resolveBankAccount({ accountNumber, bankCode }) {
+    return this.lookup('account', `${accountNumber}:${bankCode}`, {
+      accountName: `TEST ACCOUNT ${accountNumber.slice(-4)}`,
+      bvn: null
+    });
+  }
+
+  reset() {
+    this.records.clear();
+  }
+}
+
+module.exports = LocalIdentityProvider;
@@ -0,0 +1,232 @@
+const { sequelize, JobApplication, JobOffer, User } = require('../models');
+const winston = require('winston');
+const jobService = require('./jobService');
+const jobLifecycle = require('./lifecycle/jobLifecycle');
+const { ValidationError, NotFoundError, AuthorizationError } = require('../middleware/errorHandler');
+
+const USER_ATTRIBUTES = ['id', 'firstName', 'lastName', 'profilePicture', 'rating', 'totalRatings'];
+
+/**
+ * Price negotiation on open jobs.
+ *
+ * A provider's bid opens a thread with the requester (and an application, if
+ * the provider has not applied yet). Either side answers the other's pending
+ * offer by countering, accepting or rejecting it. Only one offer per thread is
+ * pending at a time: a new offer marks the other side's as `countered` and
+ * the author's own earlier one as `withdrawn`. Accepting an offer hires the
+ * provider at the offer's amount, which is what the job payment charges.
+ */
+class JobOfferService {
+  constructor() {
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/job-offers-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/job-offers.log' })
+      ]
+    });
+  }
+
+  async findOffer(job, offerId) {
+    const offer = await JobOffer.findOne({ where: { id: offerId, jobId: job.id } });
+
+    if (!offer) {
+      throw new NotFoundError('Offer not found');
+    }
+
+    return offer;
+  }
+
+  // The user's side of the offer's thread, or null if they are not part of it
+  threadRole(job, offer, userId) {
+    if (job.requesterId === userId) {
+      return 'requester';
+    }
+
+    return offer.providerId === userId ? 'provider' : null;
+  }
+
+  // Check the user may answer the offer and return their side of the thread
+  ensureCanRespond(job, offer, userId) {
+    const role = this.threadRole(job, offer, userId);
+
+    if (!role) {
+      throw new AuthorizationError('Only the job owner or the bidding provider can respond to this offer');
+    }
+
+    if (role === offer.authorRole) {
+      throw new ValidationError('You cannot respond to your own offer');
+    }
+
+    if (!offer.isPending()) {
+      throw new ValidationError(`This offer has already been ${offer.status}`);
+    }
+
+    if (job.status !== 'pending') {
+      throw new ValidationError('This job is no longer accepting offers');
+    }
+
+    return role;
+  }
+
+  // Offer history: the requester sees every thread, a provider only their own
+  async listOffers(job, user) {
+    const where = { jobId: job.id };
+
+    if (job.requesterId !== user.id && user.userType !== 'admin') {
+      where.providerId = user.id;
+    }
+
+    return JobOffer.findAll({
+      where,
+      include: [{ model: User, as: 'author', attributes: USER_ATTRIBUTES }],
+      order: [['createdAt', 'ASC']]
+    });
+  }
+
+  async submitBid(job, provider, { amount, estimatedCompletion = null, message = null }) {
+    if (provider.userType !== 'provider') {
+      throw new AuthorizationError('Only providers can bid on jobs');
+    }
+
+    if (job.requesterId === provider.id) {
+      throw new ValidationError('You cannot bid on your own job');
+    }
+
+    if (job.status !== 'pending') {
+      throw new ValidationError('This job is no longer accepting offers');
+    }
+
+    const application = await JobApplication.findOne({
+      where: { jobId: job.id, applicantId: provider.id }
+    });
+
+    // The first bid is the provider's application
+    if (!application || application.status === 'withdrawn') {
+      const applied = await jobService.apply(job, provider, {
+        proposedAmount: amount,
+        estimatedCompletion,
+        coverLetter: message
+      });
+
+      return JobOffer.findOne({ where: { applicationId: applied.id, status: 'pending' } });
+    }
+
+    if (application.status !== 'pending') {
+      throw new ValidationError(`Your application has already been ${application.status}`);
+    }
+
+    return this.makeOffer(job, application, provider, 'provider', { amount, estimatedCompletion, message });
+  }
+
+  async counterOffer(job, user, offerId, { amount, estimatedCompletion = null, message = null }) {
+    const offer = await this.findOffer(job, offerId);
+    const role = this.ensureCanRespond(job, offer, user.id);
+    const application = await JobApplication.findByPk(offer.applicationId);
+
+    return this.makeOffer(job, application, user, role, { amount, estimatedCompletion, message });
+  }
+
+  async makeOffer(job, application, author, authorRole, { amount, estimatedCompletion, message }) {
+    const pending = await JobOffer.findAll({
+      where: { applicationId: application.id, status: 'pending' }
+    });
+    const answering = pending.find(offer => offer.authorRole !== authorRole);
+
+    const offer = await sequelize.transaction(async (transaction) => {
+      for (const previous of pending) {
+        await previous.update({
+          status: previous.authorRole === authorRole ? 'withdrawn' : 'countered',
+          respondedAt: new Date()
+        }, { transaction });
+      }
+
+      const created = await JobOffer.create({
+        jobId: job.id,
+        applicationId: application.id,
+        providerId: application.applicantId,
+        authorId: author.id,
+        authorRole,
+        amount,
+        currency: job.currency,
+        estimatedCompletion,
+        message,
+        counterToId: answering ? answering.id : null
+      }, { transaction });
+
+      // The application carries the provider's latest asking price
+      if (authorRole === 'provider') {
+        await application.update({
+          proposedAmount: amount,
+          estimatedCompletion: estimatedCompletion || application.estimatedCompletion
+        }, { transaction });
+      }
+
+      return created;
+    });
+
+    const recipientId = authorRole === 'provider' ? job.requesterId : application.applicantId;
+
+    await jobService.notify(
+      recipientId,
+      'job_offer',
+      answering ? 'New Counter-offer' : 'New Offer',
+      `${author.firstName} offered ${job.currency} ${parseFloat(amount).toLocaleString()} for "${job.title}"`,
+      job
+    );
+
+    this.logger.info('Job offer made', {
+      jobId: job.id,
+      offerId: offer.id,
+      authorRole,
+      amount,
+      counterToId: offer.counterToId
+    });
+
+    return offer;
+  }
+
+  // Either side accepts the other's pending offer, which hires the provider at its amount
+  async acceptOffer(job, user, offerId) {
+    const offer = await this.findOffer(job, offerId);
+    this.ensureCanRespond(job, offer, user.id);
+    await jobLifecycle.assertCan(job, 'accept', user);
+
+    const application = await JobApplication.findByPk(offer.applicationId);
+
+    await jobService.assignProvider(job, user, {
+      application,
+      offer,
+      amount: offer.amount,
+      note: `Offer of ${offer.currency} ${parseFloat(offer.amount).toLocaleString()} accepted`
+    });
+
+    return { job, offer };
+  }
+
+  async rejectOffer(job, user, offerId) {
+    const offer = await this.findOffer(job, offerId);
+    this.ensureCanRespond(job, offer, user.id);
+
+    await offer.update({ status: 'rejected', respondedAt: new Date() });
+
+    await jobService.notify(
+      offer.authorId,
+      'job_offer_rejected',
+      'Offer Declined',
+      `Your offer for "${job.title}" was declined`,
+      job
+    );
+
+    return offer;
+  }
+}
+
+// Create and export singleton instance
+const jobOfferService = new JobOfferService();
+module.exports = jobOfferService;
@@ -0,0 +1,235 @@
+const { ScheduledJob } = require('../models');
+const { Op } = require('sequelize');
+const winston = require('winston');
+const os = require('os');
+
+/**
+ * In-process job scheduler backed by the scheduled_jobs table.
+ *
+ * Handlers are registered by name; recurring jobs keep a single row that is
+ * rescheduled after every run, one-off jobs get a row per enqueue (optionally
+ * deduplicated by uniqueKey). Due jobs are claimed with a conditional update
+ * so several app instances can share the table, and jobs left `running` by a
+ * crashed process are picked up again once their lock goes stale. Failed
+ * one-off jobs are retried with exponential backoff until maxAttempts.
+ */
+class JobScheduler {
+  constructor() {
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/jobs-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/jobs.log' })
+      ]
+    });
+
+    this.pollInterval = parseInt(process.env.JOB_POLL_INTERVAL_MS || '15000');
+    this.lockTimeout = parseInt(process.env.JOB_LOCK_TIMEOUT_MS || '600000'); // 10 minutes
+    this.retryBaseDelay = 60 * 1000; // 1 minute, doubled per attempt
+    this.workerId = `${os.hostname()}:${process.pid}`;
+
+    this.handlers = new Map();
+    this.recurring = new Map();
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  // Register the function that runs jobs with this name
+  register(name, handler) {
+    this.handlers.set(name, handler);
+    return this;
+  }
+
+  // Register a handler that runs every intervalMs
+  every(name, intervalMs, handler) {
+    this.register(name, handler);
+    this.recurring.set(name, intervalMs);
+    return this;
+  }
+
+  /**
+   * Persist a one-off job; an existing job with the same uniqueKey is returned
+   * instead. The handler may live on another instance, so names are only
+   * matched to handlers when due jobs are picked up.
+   */
+  async enqueue(name, payload = {}, { runAt = new Date(), uniqueKey = null, maxAttempts = 5 } = {}) {
+    const values = { name, payload, runAt, uniqueKey, maxAttempts };
+
+    if (!uniqueKey) {
+      return ScheduledJob.create(values);
+    }
+
+    const [job] = await ScheduledJob.findOrCreate({ where: { uniqueKey }, defaults: values });
+    return job;
+  }
+
+  // Make sure every recurring job has its row; existing rows keep their schedule
+  async ensureRecurringJobs() {
+    for (const [name, intervalMs] of this.recurring) {
+      const [job, created] = await ScheduledJob.findOrCreate({
+        where: { uniqueKey: `recurring:${name}` },
+        defaults: { name, intervalMs, runAt: new Date() }
+      });
+
+      if (!created && job.intervalMs !== intervalMs) {
+        await job.update({ intervalMs });
+      }
+    }
+  }
+
+  async start() {
+    if (this.timer) {
+      return;
+    }
+
+    await this.ensureRecurringJobs();
+
+    this.timer = setInterval(() => {
+      this.tick().catch(error => {
+        this.logger.error('Job scheduler tick failed', { message: error.message, stack: error.stack });
+      });
+    }, this.pollInterval);
+
+    // Don't keep the process alive just for the scheduler
+    this.timer.unref?.();
+
+    this.logger.info('Job scheduler started', {
+      workerId: this.workerId,
+      pollInterval: this.pollInterval,
+      jobs: Array.from(this.handlers.keys())
+    });
+  }
+
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      this.logger.info('Job scheduler stopped', { workerId: this.workerId });
+    }
+  }
+
+  // Run every job that is due
+  async tick(now = new Date(), limit = 20) {
+    if (this.ticking) {
+      return { ran: 0, failed: 0 };
+    }
+
+    this.ticking = true;
+    const summary = { ran: 0, failed: 0 };
+
+    try {
+      const staleBefore = new Date(now.getTime() - this.lockTimeout);
+
+      const jobs = await ScheduledJob.findAll({
+        where: {
+          name: Array.from(this.handlers.keys()),
+          [Op.or]: [
+            { status: 'pending', runAt: { [Op.lte]: now } },
+            { status: 'running', lockedAt: { [Op.lt]: staleBefore } }
+          ]
+        },
+        order: [['runAt', 'ASC']],
+        limit
+      });
+
+      for (const job of jobs) {
+        if (!(await this.claim(job, now, staleBefore))) {
+          continue;
+        }
+
+        const ok = await this.runJob(job);
+        summary.ran += 1;
+        if (!ok) summary.failed += 1;
+      }
+    } finally {
+      this.ticking = false;
+    }
+
+    return summary;
+  }
+
+  // Lock a job for this worker; false if another worker got there first
+  async claim(job, now, staleBefore) {
+    const [claimed] = await ScheduledJob.update(
+      {
+        status: 'running',
+        lockedAt: now,
+        lockedBy: this.workerId
+      },
+      {
+        where: {
+          id: job.id,
+          [Op.or]: [
+            { status: 'pending' },
+            { status: 'running', lockedAt: { [Op.lt]: staleBefore } }
+          ]
+        }
+      }
+    );
+
+    if (claimed === 0) {
+      return false;
+    }
+
+    await job.reload();
+    return true;
+  }
+
+  async runJob(job) {
+    const handler = this.handlers.get(job.name);
+    const startedAt = new Date();
+
+    try {
+      const result = await handler(job.payload || {}, job);
+      const finishedAt = new Date();
+
+      await job.update({
+        ...(job.isRecurring()
+          ? { status: 'pending', runAt: new Date(finishedAt.getTime() + job.intervalMs), attempts: 0 }
+          : { status: 'completed', completedAt: finishedAt, attempts: job.attempts + 1 }),
+        result: result === undefined ? null : result,
+        lastError: null,
+        lastRunAt: startedAt,
+        lockedAt: null,
+        lockedBy: null
+      });
+
+      this.logger.info('Job completed', { jobId: job.id, name: job.name, duration: finishedAt - startedAt });
+      return true;
+    } catch (error) {
+      const attempts = job.attempts + 1;
+      const exhausted = !job.isRecurring() && attempts >= job.maxAttempts;
+      const retryDelay = job.isRecurring()
+        ? job.intervalMs
+        : this.retryBaseDelay * Math.pow(2, attempts - 1);
+
+      await job.update({
+        status: exhausted ? 'failed' : 'pending',
+        runAt: new Date(Date.now() + retryDelay),
+        attempts,
+        lastError: error.message,
+        lastRunAt: startedAt,
+        lockedAt: null,
+        lockedBy: null
+      });
+
+      this.logger.error('Job failed', {
+        jobId: job.id,
+        name: job.name,
+        attempts,
+        exhausted,
+        message: error.message
+      });
+      return false;
+    }
+  }
+}
+
+// Create and export singleton instance
+const jobScheduler = new JobScheduler();
+module.exports = jobScheduler;
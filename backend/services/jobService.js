@@ -0,0 +1,711 @@
+const { sequelize, Job, JobApplication, JobOffer, User, Payment } = require('../models');
+const { Op } = require('sequelize');
+const winston = require('winston');
+const notificationDispatcher = require('./notificationDispatcher');
+const jobLifecycle = require('./lifecycle/jobLifecycle');
+const { ValidationError, NotFoundError, AuthorizationError } = require('../middleware/errorHandler');
+
+const USER_ATTRIBUTES = ['id', 'firstName', 'lastName', 'profilePicture', 'rating', 'totalRatings', 'completedJobs'];
+
+// Fields the requester may change while the job is still open
+const EDITABLE_FIELDS = [
+  'title',
+  'description',
+  'category',
+  'subcategory',
+  'skills',
+  'amount',
+  'currency',
+  'budgetType',
+  'deadline',
+  'location',
+  'locationType',
+  'priority',
+  'estimatedDuration',
+  'attachments',
+  'requirements',
+  'deliverables',
+  'contactPreference'
+];
+
+// `status` filters on My Jobs that cover several job states
+const STATUS_GROUPS = {
+  open: ['pending'],
+  active: ['accepted', 'in_progress'],
+  completed: ['completed', 'satisfied', 'resolved'],
+  cancelled: ['cancelled'],
+  disputed: ['disputed']
+};
+
+const SORT_FIELDS = ['createdAt', 'amount', 'deadline', 'applicationCount'];
+
+// The mobile app still sends the older field names on some screens
+const normalizeJobData = (data) => {
+  const normalized = { ...data };
+
+  if (normalized.amount === undefined && normalized.budget !== undefined) {
+    normalized.amount = normalized.budget;
+  }
+
+  if (normalized.priority === undefined && normalized.urgency !== undefined) {
+    normalized.priority = normalized.urgency;
+  }
+
+  if (normalized.estimatedDuration === undefined && normalized.duration !== undefined) {
+    normalized.estimatedDuration = normalized.duration;
+  }
+
+  return EDITABLE_FIELDS.reduce((fields, field) => {
+    if (normalized[field] !== undefined) {
+      fields[field] = normalized[field];
+    }
+    return fields;
+  }, {});
+};
+
+/**
+ * Jobs marketplace.
+ *
+ * Requesters post jobs, providers apply to them (or take them at the posted
+ * amount), and the requester accepts one application, which assigns the
+ * provider. Status changes after that go through the job lifecycle
+ * (services/lifecycle/jobLifecycle.js), which owns who may do what. Errors
+ * are the typed API errors from middleware/errorHandler, so controllers let
+ * them through to the error handler.
+ */
+class JobService {
+  constructor() {
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/job-marketplace-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/job-marketplace.log' })
+      ]
+    });
+  }
+
+  likeOperator() {
+    return sequelize.getDialect() === 'postgres' ? Op.iLike : Op.like;
+  }
+
+  async notify(userId, type, title, message, job) {
+    try {
+      await notificationDispatcher.dispatch(userId, {
+        type,
+        title,
+        message,
+        data: {
+          jobId: job.id,
+          status: job.status
+        }
+      });
+    } catch (error) {
+      this.logger.error('Failed to send job notification', {
+        jobId: job.id,
+        type,
+        message: error.message
+      });
+    }
+  }
+
+  async createJob(requesterId, data) {
+    const job = await Job.create({
+      ...normalizeJobData(data),
+      requesterId,
+      status: 'pending'
+    });
+
+    this.logger.info('Job created', { jobId: job.id, requesterId });
+    return job;
+  }
+
+  async findJob(id, options = {}) {
+    const job = await Job.findByPk(id, options);
+
+    if (!job) {
+      throw new NotFoundError('Job not found');
+    }
+
+    return job;
+  }
+
+  async getJobDetails(id, viewerId = null) {
+    const job = await this.findJob(id, {
+      include: [
+        { model: User, as: 'requester', attributes: USER_ATTRIBUTES },
+        { model: User, as: 'provider', attributes: USER_ATTRIBUTES },
+        { model: Payment, as: 'payment', attributes: ['id', 'status', 'amount', 'currency', 'escrowDetails', 'escrowReleaseAt'] }
+      ]
+    });
+
+    if (viewerId && viewerId !== job.requesterId) {
+      await job.increment('viewCount');
+    }
+
+    return job;
+  }
+
+  ensureRequester(job, userId) {
+    if (job.requesterId !== userId) {
+      throw new AuthorizationError('Only the job owner can do this');
+    }
+  }
+
+  async updateJob(job, userId, data) {
+    this.ensureRequester(job, userId);
+
+    if (job.status !== 'pending') {
+      throw new ValidationError('Jobs can only be edited while open');
+    }
+
+    await job.update(normalizeJobData(data));
+    return job;
+  }
+
+  async deleteJob(job, userId) {
+    this.ensureRequester(job, userId);
+
+    if (job.status !== 'pending') {
+      throw new ValidationError('Jobs can only be deleted while open; cancel assigned jobs instead');
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await JobApplication.update(
+        { status: 'rejected', respondedAt: new Date() },
+        { where: { jobId: job.id, status: 'pending' }, transaction }
+      );
+      await job.destroy({ transaction });
+    });
+
+    this.logger.info('Job deleted', { jobId: job.id, userId });
+  }
+
+  buildListWhere({ status = 'pending', category, location, locationType, minPrice, maxPrice, search, excludeRequesterId }) {
+    const where = {};
+    const like = this.likeOperator();
+
+    if (status) {
+      where.status = STATUS_GROUPS[status] || status;
+    }
+
+    if (category) {
+      where.category = category;
+    }
+
+    if (locationType) {
+      where.locationType = locationType;
+    }
+
+    if (location) {
+      where.location = { [like]: `%${location}%` };
+    }
+
+    if (minPrice || maxPrice) {
+      where.amount = {};
+      if (minPrice) {
+        where.amount[Op.gte] = parseFloat(minPrice);
+      }
+      if (maxPrice) {
+        where.amount[Op.lte] = parseFloat(maxPrice);
+      }
+    }
+
+    if (search) {
+      where[Op.or] = [
+        { title: { [like]: `%${search}%` } },
+        { description: { [like]: `%${search}%` } },
+        { category: { [like]: `%${search}%` } }
+      ];
+    }
+
+    if (excludeRequesterId) {
+      where.requesterId = { [Op.ne]: excludeRequesterId };
+    }
+
+    return where;
+  }
+
+  /**
+   * Open jobs for the marketplace feed and search.
+   *
+   * Skills are stored as a JSON array, so the skills filter runs after the
+   * query; pagination counts reflect it.
+   */
+  async listJobs({
+    page = 1,
+    limit = 20,
+    sortBy = 'createdAt',
+    sortOrder = 'desc',
+    skills,
+    ...filters
+  } = {}) {
+    const pageNumber = parseInt(page);
+    const pageSize = parseInt(limit);
+    const order = [[SORT_FIELDS.includes(sortBy) ? sortBy : 'createdAt', sortOrder.toUpperCase() === 'ASC' ? 'ASC' : 'DESC']];
+    const where = this.buildListWhere(filters);
+    const include = [{ model: User, as: 'requester', attributes: USER_ATTRIBUTES }];
+
+    const wantedSkills = (Array.isArray(skills) ? skills : String(skills || '').split(','))
+      .map(skill => skill.trim().toLowerCase())
+      .filter(Boolean);
+
+    let jobs;
+    let count;
+
+    if (wantedSkills.length > 0) {
+      const matching = (await Job.findAll({ where, order, include }))
+        .filter(job => (job.skills || []).some(skill => wantedSkills.includes(String(skill).toLowerCase())));
+      count = matching.length;
+      jobs = matching.slice((pageNumber - 1) * pageSize, pageNumber * pageSize);
+    } else {
+      ({ count, rows: jobs } = await Job.findAndCountAll({
+        where,
+        order,
+        include,
+        limit: pageSize,
+        offset: (pageNumber - 1) * pageSize
+      }));
+    }
+
+    const totalPages = Math.ceil(count / pageSize);
+
+    return {
+      jobs,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages,
+        totalJobs: count,
+        hasNextPage: pageNumber < totalPages,
+        hasPrevPage: pageNumber > 1
+      }
+    };
+  }
+
+  // Jobs the user posted, applied to or was assigned
+  async getMyJobs(userId, { type = 'created', status, page = 1, limit = 20 } = {}) {
+    const pageNumber = parseInt(page);
+    const pageSize = parseInt(limit);
+    const where = {};
+
+    if (type === 'assigned') {
+      where.providerId = userId;
+    } else if (type === 'applied') {
+      const applications = await JobApplication.findAll({
+        where: { applicantId: userId },
+        attributes: ['jobId']
+      });
+      where.id = applications.map(application => application.jobId);
+    } else {
+      where.requesterId = userId;
+    }
+
+    if (status) {
+      where.status = STATUS_GROUPS[status] || status;
+    }
+
+    const include = [
+      { model: User, as: 'requester', attributes: USER_ATTRIBUTES },
+      { model: User, as: 'provider', attributes: USER_ATTRIBUTES }
+    ];
+
+    if (type === 'applied') {
+      include.push({
+        model: JobApplication,
+        as: 'applications',
+        where: { applicantId: userId },
+        required: false
+      });
+    }
+
+    const { count, rows: jobs } = await Job.findAndCountAll({
+      where,
+      include,
+      distinct: true,
+      order: [['createdAt', 'DESC']],
+      limit: pageSize,
+      offset: (pageNumber - 1) * pageSize
+    });
+
+    const totalPages = Math.ceil(count / pageSize);
+
+    return {
+      jobs,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages,
+        totalJobs: count,
+        hasNextPage: pageNumber < totalPages,
+        hasPrevPage: pageNumber > 1
+      }
+    };
+  }
+
+  async apply(job, applicant, data = {}) {
+    if (applicant.userType !== 'provider') {
+      throw new AuthorizationError('Only providers can apply for jobs');
+    }
+
+    if (job.requesterId === applicant.id) {
+      throw new ValidationError('You cannot apply for your own job');
+    }
+
+    if (job.status !== 'pending') {
+      throw new ValidationError('This job is no longer accepting applications');
+    }
+
+    const existing = await JobApplication.findOne({
+      where: { jobId: job.id, applicantId: applicant.id }
+    });
+
+    if (existing && existing.status !== 'withdrawn') {
+      throw new ValidationError('You have already applied for this job');
+    }
+
+    const proposedAmount = data.proposedAmount ?? data.proposedBudget ?? null;
+    const fields = {
+      coverLetter: data.coverLetter || null,
+      proposedAmount,
+      estimatedCompletion: data.estimatedCompletion || data.estimatedDuration || null,
+      portfolio: data.portfolio || [],
+      answers: data.questions || data.answers || {},
+      status: 'pending',
+      appliedAt: new Date(),
+      respondedAt: null
+    };
+
+    const application = await sequelize.transaction(async (transaction) => {
+      const saved = existing
+        ? await existing.update(fields, { transaction })
+        : await JobApplication.create({ ...fields, jobId: job.id, applicantId: applicant.id }, { transaction });
+
+      // A proposed amount opens the price negotiation for this applicant
+      if (proposedAmount !== null) {
+        await JobOffer.create({
+          jobId: job.id,
+          applicationId: saved.id,
+          providerId: applicant.id,
+          authorId: applicant.id,
+          authorRole: 'provider',
+          amount: proposedAmount,
+          currency: job.currency,
+          estimatedCompletion: fields.estimatedCompletion,
+          message: fields.coverLetter
+        }, { transaction });
+      }
+
+      await job.increment('applicationCount', { transaction });
+      return saved;
+    });
+
+    await this.notify(
+      job.requesterId,
+      'job_application',
+      'New Job Application',
+      `${applicant.firstName} applied for "${job.title}"`,
+      job
+    );
+
+    return application;
+  }
+
+  async withdrawApplication(job, applicantId) {
+    const application = await JobApplication.findOne({
+      where: { jobId: job.id, applicantId, status: 'pending' }
+    });
+
+    if (!application) {
+      throw new NotFoundError('Application not found');
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await application.update({ status: 'withdrawn', respondedAt: new Date() }, { transaction });
+      await JobOffer.update(
+        { status: 'withdrawn', respondedAt: new Date() },
+        { where: { applicationId: application.id, status: 'pending' }, transaction }
+      );
+      await job.decrement('applicationCount', { transaction });
+    });
+
+    return application;
+  }
+
+  // The requester sees every application; applicants only their own
+  async getApplications(job, userId, { status } = {}) {
+    const where = { jobId: job.id };
+
+    if (job.requesterId !== userId) {
+      where.applicantId = userId;
+    }
+
+    if (status) {
+      where.status = status;
+    }
+
+    return JobApplication.findAll({
+      where,
+      include: [{ model: User, as: 'applicant', attributes: USER_ATTRIBUTES }],
+      order: [['appliedAt', 'ASC']]
+    });
+  }
+
+  /**
+   * Assign the job.
+   *
+   * The requester accepts an application by `applicationId`. A provider may
+   * also take an open job directly at the posted amount, which records an
+   * accepted application on their behalf.
+   */
+  async acceptJob(job, user, { applicationId, agreedAmount, estimatedCompletion, additionalNotes } = {}) {
+    await jobLifecycle.assertCan(job, 'accept', user);
+
+    if (applicationId) {
+      this.ensureRequester(job, user.id);
+
+      const application = await JobApplication.findOne({
+        where: { id: applicationId, jobId: job.id }
+      });
+
+      if (!application) {
+        throw new NotFoundError('Application not found');
+      }
+
+      if (application.status !== 'pending') {
+        throw new ValidationError(`Application has already been ${application.status}`);
+      }
+
+      // Accepting the application accepts the provider's standing bid, if any
+      const bid = await JobOffer.findOne({
+        where: { applicationId: application.id, authorRole: 'provider', status: 'pending' }
+      });
+
+      return this.assignProvider(job, user, {
+        application,
+        offer: bid,
+        amount: application.proposedAmount !== null ? application.proposedAmount : job.amount,
+        note: 'Application accepted and provider assigned'
+      });
+    }
+
+    if (job.requesterId === user.id) {
+      throw new AuthorizationError('Only providers can take jobs directly; requesters must accept an application');
+    }
+
+    if (agreedAmount !== undefined && agreedAmount !== null && parseFloat(agreedAmount) !== parseFloat(job.amount)) {
+      throw new ValidationError('To propose a different amount, apply for the job instead');
+    }
+
+    const fields = {
+      coverLetter: additionalNotes || null,
+      proposedAmount: job.amount,
+      estimatedCompletion: estimatedCompletion || null,
+      status: 'pending'
+    };
+
+    const existing = await JobApplication.findOne({
+      where: { jobId: job.id, applicantId: user.id }
+    });
+
+    const application = existing
+      ? await existing.update(fields)
+      : await JobApplication.create({ ...fields, jobId: job.id, applicantId: user.id });
+
+    return this.assignProvider(job, user, {
+      application,
+      amount: job.amount,
+      note: 'Job taken at the posted amount'
+    });
+  }
+
+  /**
+   * Hire the application's provider at `amount`.
+   *
+   * Every other pending application and offer on the job is rejected; `offer`,
+   * when given, is the one being accepted. The job row is locked so two
+   * concurrent accepts can't both assign a provider.
+   */
+  async assignProvider(job, user, { application, offer = null, amount, note }) {
+    const respondedAt = new Date();
+
+    await sequelize.transaction(async (transaction) => {
+      await job.reload({ transaction, lock: transaction.LOCK.UPDATE });
+
+      if (job.status !== 'pending') {
+        throw new ValidationError('This job has already been assigned');
+      }
+
+      await application.reload({ transaction });
+
+      if (application.status !== 'pending') {
+        throw new ValidationError(`Application has already been ${application.status}`);
+      }
+
+      // A counter-offer may have replaced the offer since it was checked
+      if (offer) {
+        await offer.reload({ transaction, lock: transaction.LOCK.UPDATE });
+
+        if (offer.status !== 'pending') {
+          throw new ValidationError(`This offer has already been ${offer.status}`);
+        }
+      }
+
+      await application.update({ status: 'accepted', respondedAt }, { transaction });
+
+      if (offer) {
+        await offer.update({ status: 'accepted', respondedAt }, { transaction });
+      }
+
+      await JobApplication.update(
+        { status: 'rejected', respondedAt },
+        { where: { jobId: job.id, status: 'pending', id: { [Op.ne]: application.id } }, transaction }
+      );
+      await JobOffer.update(
+        { status: 'rejected', respondedAt },
+        { where: { jobId: job.id, status: 'pending' }, transaction }
+      );
+
+      await jobLifecycle.transition(job, 'accept', user, {
+        updates: { providerId: application.applicantId, agreedAmount: amount },
+        note,
+        transaction
+      });
+    });
+
+    this.logger.info('Job accepted', {
+      jobId: job.id,
+      providerId: application.applicantId,
+      applicationId: application.id,
+      offerId: offer ? offer.id : null
+    });
+
+    return job;
+  }
+
+  // Work starts once the payment for the job is held in escrow
+  async startJob(job, user) {
+    return jobLifecycle.transition(job, 'start', user);
+  }
+
+  async completeJob(job, user, { deliverables, notes } = {}) {
+    return jobLifecycle.transition(job, 'complete', user, { deliverables, notes });
+  }
+
+  /**
+   * The requester confirms they are happy with the work, which releases any
+   * escrowed payment to the provider. A rating given here is recorded as the
+   * requester's rating of the provider.
+   */
+  async satisfyJob(job, user, { rating, review = null, categories = null } = {}) {
+    await jobLifecycle.assertCan(job, 'satisfy', user);
+
+    if (rating && this.hasRated(job, 'requester')) {
+      throw new ValidationError('You have already rated this job');
+    }
+
+    await jobLifecycle.transition(job, 'satisfy', user, {
+      satisfaction: rating || review ? { rating, feedback: review } : null
+    });
+
+    // Rate only once the escrow release has gone through, so a failed release can be retried as is
+    if (rating) {
+      await this.rateJob(job, user.id, { rating, review, categories });
+    }
+
+    return job;
+  }
+
+  // Either party can cancel before work starts; admins at any point before completion
+  async cancelJob(job, user, reason) {
+    const { role } = await jobLifecycle.assertCan(job, 'cancel', user);
+    reason = reason || 'No reason given';
+
+    return jobLifecycle.transition(job, 'cancel', user, {
+      reason,
+      note: `Job cancelled by ${role}: ${reason}`
+    });
+  }
+
+  // Actions the user can take on the job right now
+  async getTransitions(job, user) {
+    return jobLifecycle.availableTransitions(job, user);
+  }
+
+  hasRated(job, ratedBy) {
+    const rating = job.rating && job.rating[`${ratedBy}Rating`];
+    return rating !== null && rating !== undefined;
+  }
+
+  // Each participant rates the other once the job is completed
+  async rateJob(job, userId, { rating, review = null, categories = null }) {
+    if (!job.isParticipant(userId)) {
+      throw new AuthorizationError('Only the job participants can rate this job');
+    }
+
+    if (!['completed', 'satisfied'].includes(job.status)) {
+      throw new ValidationError('Jobs can only be rated once completed');
+    }
+
+    const ratedBy = job.requesterId === userId ? 'requester' : 'provider';
+
+    if (this.hasRated(job, ratedBy)) {
+      throw new ValidationError('You have already rated this job');
+    }
+
+    const rateeId = ratedBy === 'requester' ? job.providerId : job.requesterId;
+    const ratee = await User.findByPk(rateeId);
+
+    await job.addRating(rating, review, categories, ratedBy);
+
+    if (ratee) {
+      await ratee.updateRating(rating);
+    }
+
+    return job;
+  }
+
+  // Open job counts per category
+  async getCategories() {
+    const rows = await Job.findAll({
+      where: { status: 'pending' },
+      attributes: ['category', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['category'],
+      order: [[sequelize.literal('count'), 'DESC']],
+      raw: true
+    });
+
+    return rows.map(row => ({ category: row.category, count: parseInt(row.count) }));
+  }
+
+  // Skills requested by open jobs, most common first
+  async getSkills(category = null) {
+    const where = { status: 'pending' };
+
+    if (category) {
+      where.category = category;
+    }
+
+    const jobs = await Job.findAll({ where, attributes: ['skills'] });
+    const counts = {};
+
+    jobs.forEach(job => {
+      (job.skills || []).forEach(skill => {
+        const name = String(skill).trim();
+        if (name) {
+          counts[name] = (counts[name] || 0) + 1;
+        }
+      });
+    });
+
+    return Object.entries(counts)
+      .map(([skill, count]) => ({ skill, count }))
+      .sort((a, b) => b.count - a.count || a.skill.localeCompare(b.skill));
+  }
+}
+
+// Create and export singleton instance
+const jobService = new JobService();
+module.exports = jobService;
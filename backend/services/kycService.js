@@ -0,0 +1,497 @@
+const { KycVerification, User } = require('../models');
+const { Op } = require('sequelize');
+const crypto = require('crypto');
+const winston = require('winston');
+const { getIdentityProvider } = require('./identityProviders');
+const notificationDispatcher = require('./notificationDispatcher');
+const creditRatingService = require('./creditRatingService');
+const { ValidationError, NotFoundError, RateLimitError, ServiceUnavailableError } = require('../middleware/errorHandler');
+
+const KYC_CHECKS = ['nin', 'bvn', 'cbn'];
+
+// Checks a user needs before their account counts as verified
+const REQUIRED_CHECKS = ['nin', 'bvn'];
+
+const CHECK_LABELS = {
+  nin: 'NIN',
+  bvn: 'BVN',
+  cbn: 'bank account'
+};
+
+const REGISTRY_LABELS = {
+  nin: 'NIMC record',
+  bvn: 'BVN record',
+  cbn: 'bank account name'
+};
+
+// Registry fields kept on a verification; everything else the provider returns is dropped
+const STORED_REGISTRY_FIELDS = {
+  nin: ['dateOfBirth'],
+  bvn: ['dateOfBirth'],
+  cbn: []
+};
+
+const FIELD_LABELS = {
+  firstName: 'first name',
+  lastName: 'last name',
+  dateOfBirth: 'date of birth'
+};
+
+/**
+ * KYC checks against national identity registries.
+ *
+ * Each check looks the identifier up through the configured identity
+ * provider, compares the registry's name and date of birth with the user's
+ * profile (names tolerate typos, reordering and extra middle names) and
+ * stores the outcome. The user's verificationStatus is derived from their
+ * current results: verified once every required check passes, rejected when
+ * a required check's latest attempt didn't match, pending otherwise.
+ */
+class KycService {
+  constructor() {
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/kyc-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/kyc.log' })
+      ]
+    });
+
+    this.nameMatchThreshold = parseFloat(process.env.KYC_NAME_MATCH_THRESHOLD || '0.8');
+    this.validityDays = parseInt(process.env.KYC_VERIFICATION_VALIDITY_DAYS || '365');
+    this.maxDailyAttempts = parseInt(process.env.KYC_MAX_DAILY_ATTEMPTS || '5');
+  }
+
+  // Keyed so that the few billion possible NINs and BVNs can't be hashed and compared offline
+  hashIdentifier(value) {
+    const secret = process.env.KYC_IDENTIFIER_SECRET;
+
+    if (!secret) {
+      throw new Error('KYC_IDENTIFIER_SECRET is not set');
+    }
+
+    return crypto.createHmac('sha256', secret).update(value).digest('hex');
+  }
+
+  pickRegistryFields(checkType, record) {
+    return Object.fromEntries(STORED_REGISTRY_FIELDS[checkType]
+      .filter(field => record[field] !== undefined && record[field] !== null)
+      .map(field => [field, record[field]]));
+  }
+
+  maskIdentifier(value) {
+    return `${'*'.repeat(Math.max(value.length - 4, 0))}${value.slice(-4)}`;
+  }
+
+  // Lowercase ASCII name parts: "Adébáyọ̀  O'Neil-Smith" -> ['adebayo', 'oneil', 'smith']
+  nameTokens(...names) {
+    return names
+      .filter(Boolean)
+      .join(' ')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/['’]/g, '')
+      .split(/[^a-z]+/)
+      .filter(Boolean);
+  }
+
+  // 1 for identical strings down to 0, by Levenshtein distance
+  similarity(a, b) {
+    if (a === b) {
+      return 1;
+    }
+
+    const previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+      let diagonal = previous[0];
+      previous[0] = i;
+
+      for (let j = 1; j <= b.length; j++) {
+        const above = previous[j];
+        previous[j] = Math.min(
+          previous[j] + 1,
+          previous[j - 1] + 1,
+          diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+        diagonal = above;
+      }
+    }
+
+    return 1 - previous[b.length] / Math.max(a.length, b.length);
+  }
+
+  // How well a profile name matches its best counterpart anywhere in the registry name
+  matchName(profileName, registryTokens) {
+    const tokens = this.nameTokens(profileName);
+
+    if (tokens.length === 0 || registryTokens.length === 0) {
+      return { score: 0, matched: false };
+    }
+
+    const scores = tokens.map(token => Math.max(...registryTokens.map(candidate => this.similarity(token, candidate))));
+    const score = Math.round(scores.reduce((sum, value) => sum + value, 0) / scores.length * 1000) / 1000;
+
+    return { score, matched: score >= this.nameMatchThreshold };
+  }
+
+  // Compare a registry person with the user's profile
+  matchPerson(user, record, dateOfBirth) {
+    const registryTokens = this.nameTokens(record.firstName, record.middleName, record.lastName);
+    const profileDateOfBirth = user.dateOfBirth || dateOfBirth || null;
+
+    const details = {
+      firstName: this.matchName(user.firstName, registryTokens),
+      lastName: this.matchName(user.lastName, registryTokens),
+      dateOfBirth: {
+        matched: Boolean(profileDateOfBirth && record.dateOfBirth && profileDateOfBirth === record.dateOfBirth)
+      }
+    };
+
+    return {
+      score: Math.round((details.firstName.score + details.lastName.score) / 2 * 1000) / 1000,
+      matched: Object.values(details).every(detail => detail.matched),
+      details
+    };
+  }
+
+  // Bank account names carry no date of birth and list names in any order
+  matchAccountHolder(user, record) {
+    const registryTokens = this.nameTokens(record.accountName);
+
+    const details = {
+      firstName: this.matchName(user.firstName, registryTokens),
+      lastName: this.matchName(user.lastName, registryTokens)
+    };
+
+    return {
+      score: Math.round((details.firstName.score + details.lastName.score) / 2 * 1000) / 1000,
+      matched: details.firstName.matched && details.lastName.matched,
+      details
+    };
+  }
+
+  describeMismatch(checkType, details) {
+    const fields = Object.keys(details)
+      .filter(field => !details[field].matched)
+      .map(field => FIELD_LABELS[field] || field);
+
+    const list = fields.length > 1
+      ? `${fields.slice(0, -1).join(', ')} and ${fields[fields.length - 1]}`
+      : fields[0];
+
+    return `Your ${list} ${fields.length > 1 ? 'do' : 'does'} not match the ${REGISTRY_LABELS[checkType]}`;
+  }
+
+  async assertCanAttempt(userId, checkType) {
+    const attempts = await KycVerification.count({
+      where: {
+        userId,
+        checkType,
+        status: { [Op.ne]: 'verified' },
+        createdAt: { [Op.gte]: new Date(Date.now() - 24 * 60 * 60 * 1000) }
+      }
+    });
+
+    if (attempts >= this.maxDailyAttempts) {
+      throw new RateLimitError(`Too many ${CHECK_LABELS[checkType]} verification attempts. Please try again in 24 hours`);
+    }
+  }
+
+  async assertNotLinkedElsewhere(userId, checkType, identifierHash) {
+    const existing = await KycVerification.findOne({
+      where: {
+        checkType,
+        identifierHash,
+        status: 'verified',
+        userId: { [Op.ne]: userId }
+      }
+    });
+
+    if (existing) {
+      throw new ValidationError(`This ${CHECK_LABELS[checkType]} is already linked to another account`);
+    }
+  }
+
+  /**
+   * Look an identifier up and record the outcome. `lookup` asks the provider,
+   * `match` compares what it returned with the user. Registry misses and
+   * mismatches are stored results, not errors; a provider failure is stored
+   * and then thrown so the user can retry.
+   */
+  async runCheck(user, checkType, identifier, lookup, match) {
+    await this.assertCanAttempt(user.id, checkType);
+
+    const identifierHash = this.hashIdentifier(identifier);
+    await this.assertNotLinkedElsewhere(user.id, checkType, identifierHash);
+
+    const provider = getIdentityProvider();
+    const base = {
+      userId: user.id,
+      checkType,
+      provider: provider.name,
+      identifierHash,
+      maskedIdentifier: this.maskIdentifier(identifier)
+    };
+
+    let result;
+    try {
+      result = await lookup(provider);
+    } catch (error) {
+      this.logger.error('Identity lookup failed', { userId: user.id, checkType, provider: provider.name, message: error.message });
+      await KycVerification.create({ ...base, status: 'error', failureReason: 'Identity provider unavailable' });
+      throw new ServiceUnavailableError('Identity verification is temporarily unavailable. Please try again later');
+    }
+
+    if (!result) {
+      const verification = await KycVerification.create({
+        ...base,
+        status: 'not_found',
+        failureReason: `No record was found for this ${CHECK_LABELS[checkType]}`
+      });
+
+      return { verification, status: await this.refreshUserStatus(user) };
+    }
+
+    const outcome = await match(result.record);
+    const now = new Date();
+
+    const verification = await KycVerification.create({
+      ...base,
+      status: outcome.matched ? 'verified' : 'mismatch',
+      matchScore: outcome.score,
+      matchDetails: outcome.details,
+      registryRecord: this.pickRegistryFields(checkType, result.record),
+      providerReference: result.reference,
+      failureReason: outcome.matched ? null : (outcome.reason || this.describeMismatch(checkType, outcome.details)),
+      verifiedAt: outcome.matched ? now : null,
+      expiresAt: outcome.matched ? new Date(now.getTime() + this.validityDays * 24 * 60 * 60 * 1000) : null
+    });
+
+    this.logger.info('KYC check recorded', {
+      userId: user.id,
+      checkType,
+      status: verification.status,
+      matchScore: outcome.score
+    });
+
+    return { verification, status: await this.refreshUserStatus(user) };
+  }
+
+  // A registry date of birth fills in a profile that doesn't have one yet
+  async adoptDateOfBirth(user, verification) {
+    const registryDate = verification.registryRecord && verification.registryRecord.dateOfBirth;
+
+    if (verification.status === 'verified' && !user.dateOfBirth && registryDate) {
+      await user.update({ dateOfBirth: registryDate });
+    }
+  }
+
+  async verifyNin(user, { nin, dateOfBirth = null }) {
+    const result = await this.runCheck(user, 'nin', nin,
+      provider => provider.lookupNin(nin),
+      record => this.matchPerson(user, record, dateOfBirth));
+
+    await this.adoptDateOfBirth(user, result.verification);
+    return result;
+  }
+
+  async verifyBvn(user, { bvn, dateOfBirth = null }) {
+    const result = await this.runCheck(user, 'bvn', bvn,
+      provider => provider.lookupBvn(bvn),
+      record => this.matchPerson(user, record, dateOfBirth));
+
+    await this.adoptDateOfBirth(user, result.verification);
+    return result;
+  }
+
+  // CBN-style account ownership: the account must be in the user's name, and under their BVN when we know it
+  async verifyBankAccount(user, { accountNumber, bankCode }) {
+    return this.runCheck(user, 'cbn', `${bankCode}:${accountNumber}`,
+      provider => provider.resolveBankAccount({ accountNumber, bankCode }),
+      async (record) => {
+        const outcome = this.matchAccountHolder(user, record);
+
+        if (outcome.matched && record.bvn) {
+          const bvnCheck = (await this.getCurrentVerifications(user.id)).bvn;
+
+          if (bvnCheck && bvnCheck.identifierHash !== this.hashIdentifier(record.bvn)) {
+            return { ...outcome, matched: false, reason: 'This bank account is registered to a different BVN' };
+          }
+        }
+
+        return outcome;
+      });
+  }
+
+  // Latest attempt and current (unexpired, verified) result per check type
+  async getCheckHistory(userId) {
+    const verifications = await KycVerification.findAll({
+      where: { userId },
+      order: [['createdAt', 'DESC']]
+    });
+
+    const now = new Date();
+    const checks = {};
+
+    for (const checkType of KYC_CHECKS) {
+      const attempts = verifications.filter(verification => verification.checkType === checkType);
+      checks[checkType] = {
+        latest: attempts[0] || null,
+        current: attempts.find(verification => verification.isCurrent(now)) || null
+      };
+    }
+
+    return checks;
+  }
+
+  async getCurrentVerifications(userId) {
+    const checks = await this.getCheckHistory(userId);
+
+    return Object.fromEntries(KYC_CHECKS.map(checkType => [checkType, checks[checkType].current]));
+  }
+
+  aggregateStatus(checks) {
+    if (REQUIRED_CHECKS.every(checkType => checks[checkType].current)) {
+      return 'verified';
+    }
+
+    const rejected = REQUIRED_CHECKS.some(checkType => {
+      const { latest, current } = checks[checkType];
+      return !current && latest && latest.status === 'mismatch';
+    });
+
+    return rejected ? 'rejected' : 'pending';
+  }
+
+  serializeVerification(verification) {
+    return {
+      id: verification.id,
+      checkType: verification.checkType,
+      status: verification.status,
+      verified: verification.status === 'verified',
+      maskedIdentifier: verification.maskedIdentifier,
+      matchScore: verification.matchScore === null ? null : parseFloat(verification.matchScore),
+      matchDetails: verification.matchDetails,
+      failureReason: verification.failureReason,
+      verifiedAt: verification.verifiedAt,
+      expiresAt: verification.expiresAt,
+      createdAt: verification.createdAt
+    };
+  }
+
+  // Per-check state, overall status and what's left to do
+  async getStatus(userId) {
+    const user = await User.findByPk(userId, { attributes: ['id', 'verificationStatus'] });
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const checks = await this.getCheckHistory(userId);
+    const verifications = {};
+
+    for (const checkType of KYC_CHECKS) {
+      const { latest, current } = checks[checkType];
+      const shown = current || latest;
+
+      verifications[checkType] = shown
+        ? { ...this.serializeVerification(shown), required: REQUIRED_CHECKS.includes(checkType) }
+        : { checkType, status: 'not_started', verified: false, required: REQUIRED_CHECKS.includes(checkType) };
+    }
+
+    const completed = KYC_CHECKS.filter(checkType => checks[checkType].current).length;
+
+    return {
+      status: this.aggregateStatus(checks),
+      verifications,
+      completionPercentage: Math.round(completed / KYC_CHECKS.length * 100),
+      nextSteps: KYC_CHECKS
+        .filter(checkType => !checks[checkType].current)
+        .map(checkType => ({
+          checkType,
+          required: REQUIRED_CHECKS.includes(checkType),
+          description: checks[checkType].latest && checks[checkType].latest.status === 'expired'
+            ? `Your ${CHECK_LABELS[checkType]} verification has expired. Verify it again`
+            : `Verify your ${CHECK_LABELS[checkType]}`
+        }))
+    };
+  }
+
+  // Recompute User.verificationStatus from the stored results; tells the user when it changes
+  async refreshUserStatus(userOrId) {
+    const user = typeof userOrId === 'string' ? await User.findByPk(userOrId) : userOrId;
+    const status = this.aggregateStatus(await this.getCheckHistory(user.id));
+
+    if (user.verificationStatus !== status) {
+      const previous = user.verificationStatus;
+      await user.update({ verificationStatus: status });
+
+      this.logger.info('Verification status changed', { userId: user.id, from: previous, to: status });
+
+      if (status === 'verified' || previous === 'verified') {
+        await this.notifyStatusChange(user, status);
+      }
+    }
+
+    // Single checks feed the score even when the overall status stays the same
+    await creditRatingService.scheduleRecalculation(user.id, 'kyc');
+
+    return status;
+  }
+
+  async notifyStatusChange(user, status) {
+    try {
+      await notificationDispatcher.dispatch(user.id, {
+        type: 'account_verified',
+        title: status === 'verified' ? 'Identity Verified' : 'Verification Needed',
+        message: status === 'verified'
+          ? 'Your identity checks are complete and your account is now verified.'
+          : 'One of your identity verifications has expired. Verify it again to keep your account verified.',
+        data: { verificationStatus: status },
+        actionUrl: '/verification'
+      });
+    } catch (error) {
+      this.logger.error('Failed to send verification notification', { userId: user.id, message: error.message });
+    }
+  }
+
+  // Lapse verifications past their expiry and re-derive the affected users' status
+  async expireVerifications(now = new Date()) {
+    const expired = await KycVerification.findAll({
+      where: {
+        status: 'verified',
+        expiresAt: { [Op.lte]: now }
+      },
+      attributes: ['id', 'userId']
+    });
+
+    if (expired.length === 0) {
+      return { expired: 0, users: 0 };
+    }
+
+    await KycVerification.update(
+      { status: 'expired' },
+      { where: { id: expired.map(verification => verification.id) } }
+    );
+
+    const userIds = [...new Set(expired.map(verification => verification.userId))];
+    for (const userId of userIds) {
+      await this.refreshUserStatus(userId);
+    }
+
+    this.logger.info('Expired KYC verifications', { expired: expired.length, users: userIds.length });
+
+    return { expired: expired.length, users: userIds.length };
+  }
+}
+
+// Create and export singleton instance
+const kycService = new KycService();
+module.exports = kycService;
@@ -0,0 +1,322 @@
+const fs = require('fs');
+const path = require('path');
+const { Op } = require('sequelize');
+const winston = require('winston');
+const { Payment, User } = require('../models');
+const kycService = require('./kycService');
+const ledgerService = require('./ledgerService');
+const exchangeRateService = require('./exchangeRateService');
+const { AppError, NotFoundError } = require('../middleware/errorHandler');
+
+const DEFAULT_TIERS_FILE = path.join(__dirname, '../config/kyc-tiers.json');
+
+const LIMIT_EXCEEDED = 'KYC_LIMIT_EXCEEDED';
+
+// Payments that count against the payer's daily limit, on top of intents that haven't expired
+const COUNTED_PAYMENT_STATUSES = ['processing', 'completed'];
+
+const DEFAULT_TIMEZONE = 'Africa/Lagos';
+
+const REQUIREMENT_DESCRIPTIONS = {
+  contact: 'Verify your email address or phone number',
+  nin: 'Verify your NIN',
+  bvn: 'Verify your BVN',
+  id_document: 'Upload a government-issued ID and have it approved',
+  business_documents: 'Upload your business registration documents and have them approved'
+};
+
+// Below Tier 0 nothing can move
+const UNVERIFIED = {
+  level: null,
+  name: 'Unverified',
+  limits: { perTransaction: 0, daily: 0, walletBalance: 0 }
+};
+
+const roundAmount = (value) => Math.round((parseFloat(value) || 0) * 100) / 100;
+
+const isApproved = (document) => Boolean(document && document.status === 'approved');
+
+const limitError = (message) => new AppError(message, 403, LIMIT_EXCEEDED);
+
+/**
+ * KYC tiers and the money limits that come with them.
+ *
+ * Tiers are read from KYC_TIERS_FILE and are cumulative: a user is on the
+ * highest tier whose requirements, and those of every tier below it, are met.
+ * Each tier caps a single transaction, the total paid or withdrawn per day
+ * and the wallet balance (null means no cap). Limits are in the tiers
+ * currency, so amounts in other currencies are converted before checking,
+ * and days run from midnight in the tiers timezone.
+ */
+class KycTierService {
+  constructor() {
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/kyc-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/kyc.log' })
+      ]
+    });
+
+    this.tiersFile = process.env.KYC_TIERS_FILE || DEFAULT_TIERS_FILE;
+    this.rules = null;
+  }
+
+  getRules() {
+    if (!this.rules) {
+      this.rules = JSON.parse(fs.readFileSync(this.tiersFile, 'utf8'));
+      this.logger.info('KYC tiers loaded', { file: this.tiersFile });
+    }
+
+    return this.rules;
+  }
+
+  setRules(rules) {
+    this.rules = rules;
+  }
+
+  get timezone() {
+    return this.getRules().timezone || DEFAULT_TIMEZONE;
+  }
+
+  // Midnight today in the tiers timezone, which is when daily limits reset
+  startOfDay(now = new Date()) {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone: this.timezone,
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(now);
+
+    const part = (type) => parseInt(parts.find(item => item.type === type).value, 10);
+    const elapsed = ((part('hour') * 60 + part('minute')) * 60 + part('second')) * 1000 + now.getMilliseconds();
+
+    return new Date(now.getTime() - elapsed);
+  }
+
+  get currency() {
+    return this.getRules().currency;
+  }
+
+  formatAmount(amount) {
+    return `${this.currency} ${roundAmount(amount).toLocaleString('en-NG')}`;
+  }
+
+  async toTierCurrency(amount, currency) {
+    if (!currency || currency.toUpperCase() === this.currency) {
+      return roundAmount(amount);
+    }
+
+    return (await exchangeRateService.convert(amount, currency, this.currency)).amount;
+  }
+
+  async loadUser(userOrId) {
+    const user = typeof userOrId === 'string' || !userOrId
+      ? await User.findByPk(userOrId, { attributes: ['id', 'isEmailVerified', 'isPhoneVerified', 'documents'] })
+      : userOrId;
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    return user;
+  }
+
+  // Which requirements the user has met, from their profile and current KYC checks
+  async getMetRequirements(user) {
+    const verifications = await kycService.getCurrentVerifications(user.id);
+    const documents = user.documents || {};
+
+    return {
+      contact: Boolean(user.isEmailVerified || user.isPhoneVerified),
+      nin: Boolean(verifications.nin),
+      bvn: Boolean(verifications.bvn),
+      id_document: isApproved(documents.idCard),
+      business_documents: isApproved(documents.businessLicense)
+    };
+  }
+
+  describeTier(tier, met) {
+    return {
+      level: tier.level,
+      name: tier.name,
+      limits: tier.limits,
+      requirements: tier.requirements.map(key => ({
+        key,
+        description: REQUIREMENT_DESCRIPTIONS[key] || key,
+        met: Boolean(met[key])
+      }))
+    };
+  }
+
+  // Highest tier the user qualifies for, plus the tier above it
+  async getTier(userOrId) {
+    const user = await this.loadUser(userOrId);
+    const met = await this.getMetRequirements(user);
+    const tiers = this.getRules().tiers;
+
+    let current = UNVERIFIED;
+    let next = null;
+
+    for (const tier of tiers) {
+      if (!tier.requirements.every(key => met[key])) {
+        next = tier;
+        break;
+      }
+      current = tier;
+    }
+
+    return { user, met, tier: current, nextTier: next };
+  }
+
+  async getDailyPaymentTotal(userId) {
+    const total = await Payment.sum('amountInBaseCurrency', {
+      where: {
+        payerId: userId,
+        createdAt: { [Op.gte]: this.startOfDay() },
+        [Op.or]: [
+          { status: { [Op.in]: COUNTED_PAYMENT_STATUSES } },
+          // Open intents hold their share until they expire, or several could each pass and all be paid
+          { status: 'pending', expiresAt: { [Op.gt]: new Date() } }
+        ]
+      }
+    });
+
+    return this.toTierCurrency(total || 0, ledgerService.baseCurrency);
+  }
+
+  async getWalletTotal(userId) {
+    const { available, pending } = await ledgerService.getUserBalance(userId);
+    return this.toTierCurrency(available + pending, ledgerService.baseCurrency);
+  }
+
+  // Hint appended to limit errors so the user knows how to raise the limit
+  upgradeHint({ nextTier, met }) {
+    if (!nextTier) {
+      return '';
+    }
+
+    const missing = nextTier.requirements
+      .filter(key => !met[key])
+      .map(key => REQUIREMENT_DESCRIPTIONS[key] || key);
+
+    return `. ${missing.join(' and ')} to raise it`;
+  }
+
+  assertPerTransaction(state, amount, action) {
+    const { tier } = state;
+
+    if (tier.level === null) {
+      throw limitError(`${REQUIREMENT_DESCRIPTIONS.contact} before you can ${action}`);
+    }
+
+    if (amount > tier.limits.perTransaction) {
+      throw limitError(
+        `This exceeds your Tier ${tier.level} limit of ${this.formatAmount(tier.limits.perTransaction)} per transaction${this.upgradeHint(state)}`
+      );
+    }
+  }
+
+  assertDaily(state, amount, usedToday, action) {
+    const { tier } = state;
+    const remaining = Math.max(roundAmount(tier.limits.daily - usedToday), 0);
+
+    if (amount > remaining) {
+      throw limitError(
+        `This exceeds your Tier ${tier.level} daily limit. You can ${action} up to ${this.formatAmount(remaining)} more today${this.upgradeHint(state)}`
+      );
+    }
+  }
+
+  /**
+   * Check a payment against the payer's per-transaction and daily limits and
+   * the payee's wallet balance cap. `amount` is what the payer is charged and
+   * `payeeAmount` what lands in the payee's wallet, both in `currency`.
+   */
+  async assertPaymentAllowed({ payer, payeeId, amount, payeeAmount = amount, currency }) {
+    const charged = await this.toTierCurrency(amount, currency);
+    const payerState = await this.getTier(payer);
+
+    this.assertPerTransaction(payerState, charged, 'pay');
+    this.assertDaily(payerState, charged, await this.getDailyPaymentTotal(payerState.user.id), 'pay');
+
+    if (!payeeId) {
+      return;
+    }
+
+    const { tier } = await this.getTier(payeeId);
+    const incoming = await this.toTierCurrency(payeeAmount, currency);
+    const cap = tier.limits.walletBalance;
+
+    if (cap !== null && await this.getWalletTotal(payeeId) + incoming > cap) {
+      this.logger.info('Payment blocked by payee wallet cap', { payeeId, tier: tier.level, incoming });
+      throw limitError('The provider can\'t receive this payment until they complete more account verification');
+    }
+  }
+
+  // Bookings aren't charged yet, so only the per-transaction cap applies
+  async assertBookingAllowed(requester, { amount, currency }) {
+    const state = await this.getTier(requester);
+    this.assertPerTransaction(state, await this.toTierCurrency(amount, currency), 'book a service');
+  }
+
+  /**
+   * Check a withdrawal against the per-transaction and daily limits of the
+   * tier `state` from getTier, which callers look up before opening their
+   * transaction. `usedToday` is what was already withdrawn today, in `currency`.
+   */
+  async assertWithdrawalAllowed(state, { amount, usedToday = 0, currency }) {
+    const requested = await this.toTierCurrency(amount, currency);
+
+    this.assertPerTransaction(state, requested, 'withdraw');
+    this.assertDaily(state, requested, await this.toTierCurrency(usedToday, currency), 'withdraw');
+  }
+
+  // Current tier and usage, every tier's requirements and what unlocks the next one
+  async getRequirements(userId) {
+    const { tier, nextTier, met } = await this.getTier(userId);
+    const [paidToday, walletBalance] = await Promise.all([
+      this.getDailyPaymentTotal(userId),
+      this.getWalletTotal(userId)
+    ]);
+
+    const remaining = (limit, used) => (limit === null ? null : Math.max(roundAmount(limit - used), 0));
+
+    return {
+      currency: this.currency,
+      currentTier: {
+        level: tier.level,
+        name: tier.name,
+        limits: tier.limits
+      },
+      usage: {
+        paidToday,
+        remainingToday: remaining(tier.limits.daily, paidToday),
+        walletBalance,
+        walletHeadroom: remaining(tier.limits.walletBalance, walletBalance)
+      },
+      nextTier: nextTier
+        ? {
+          ...this.describeTier(nextTier, met),
+          missing: nextTier.requirements
+            .filter(key => !met[key])
+            .map(key => ({ key, description: REQUIREMENT_DESCRIPTIONS[key] || key }))
+        }
+        : null,
+      tiers: this.getRules().tiers.map(item => ({
+        ...this.describeTier(item, met),
+        unlocked: tier.level !== null && item.level <= tier.level
+      }))
+    };
+  }
+}
+
+// Create and export singleton instance
+const kycTierService = new KycTierService();
+module.exports = kycTierService;
@@ -0,0 +1,476 @@
+const { sequelize, LedgerAccount, LedgerJournal, LedgerEntry, User } = require('../models');
+const winston = require('winston');
+
+// Round to two decimal places (kobo/cents)
+const roundAmount = (value) => Math.round((parseFloat(value) || 0) * 100) / 100;
+
+/**
+ * Double-entry wallet ledger.
+ *
+ * Every movement of money is a balanced journal of debit and credit entries
+ * against ledger accounts:
+ *   - gateway_clearing (platform, debit-normal): money collected by gateways
+ *   - escrow (per payee, credit-normal): funds held until a job is released
+ *   - wallet (per user, credit-normal): funds a user can withdraw
+ *   - platform_fee (platform, credit-normal): commission revenue
+ *   - payout_clearing (platform, credit-normal): withdrawals awaiting gateway settlement
+ *
+ * Journals are keyed by a unique reference so re-posting the same payment
+ * event is a no-op. The cached User balance columns are refreshed from the
+ * ledger after every posting.
+ */
+class LedgerService {
+  constructor() {
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/ledger-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/ledger.log' })
+      ]
+    });
+
+    this.baseCurrency = (process.env.BASE_CURRENCY || 'NGN').toUpperCase();
+  }
+
+  // Run work in the caller's transaction or a new one
+  runInTransaction(options, work) {
+    return options.transaction ? work(options.transaction) : sequelize.transaction(work);
+  }
+
+  // Find or create the ledger account for a type/owner/currency
+  async getAccount(accountType, ownerId = null, currency = this.baseCurrency, options = {}) {
+    const code = LedgerAccount.buildCode(accountType, ownerId, currency);
+
+    const [account] = await LedgerAccount.findOrCreate({
+      where: { code },
+      defaults: {
+        code,
+        accountType,
+        ownerId,
+        currency: currency.toUpperCase(),
+        normalBalance: LedgerAccount.normalBalanceFor(accountType)
+      },
+      transaction: options.transaction
+    });
+
+    return account;
+  }
+
+  // Post a balanced journal; returns the existing journal if the reference was already posted
+  async postJournal({
+    reference,
+    journalType,
+    paymentId = null,
+    currency = this.baseCurrency,
+    description = null,
+    metadata = {},
+    lines
+  }, options = {}) {
+    return this.runInTransaction(options, async (transaction) => {
+      const existing = await LedgerJournal.findOne({ where: { reference }, transaction });
+      if (existing) {
+        this.logger.info('Ledger journal already posted', { reference });
+        return existing;
+      }
+
+      const postings = lines
+        .map(line => ({ ...line, amount: roundAmount(line.amount) }))
+        .filter(line => line.amount > 0);
+
+      const totals = postings.reduce((acc, line) => {
+        acc[line.direction] = roundAmount(acc[line.direction] + line.amount);
+        return acc;
+      }, { debit: 0, credit: 0 });
+
+      if (postings.length < 2 || totals.debit !== totals.credit) {
+        throw new Error(`Unbalanced ledger journal ${reference}: debits ${totals.debit} != credits ${totals.credit}`);
+      }
+
+      const journal = await LedgerJournal.create({
+        reference,
+        journalType,
+        paymentId,
+        currency: currency.toUpperCase(),
+        amount: totals.debit,
+        description,
+        metadata,
+        postedAt: new Date()
+      }, { transaction });
+
+      for (const line of postings) {
+        const account = await this.getAccount(line.accountType, line.ownerId || null, currency, { transaction });
+
+        await LedgerEntry.create({
+          journalId: journal.id,
+          accountId: account.id,
+          paymentId,
+          direction: line.direction,
+          amount: line.amount,
+          currency: currency.toUpperCase(),
+          memo: line.memo || null
+        }, { transaction });
+      }
+
+      const ownerIds = [...new Set(postings.map(line => line.ownerId).filter(Boolean))];
+      for (const ownerId of ownerIds) {
+        await this.syncUserBalances(ownerId, { transaction });
+      }
+
+      this.logger.info('Ledger journal posted', {
+        reference,
+        journalType,
+        paymentId,
+        amount: totals.debit,
+        currency
+      });
+
+      return journal;
+    });
+  }
+
+  // Balance of an account in its normal direction, optionally restricted to one payment
+  async getBalance(accountType, ownerId = null, currency = this.baseCurrency, options = {}) {
+    const account = await LedgerAccount.findOne({
+      where: { code: LedgerAccount.buildCode(accountType, ownerId, currency) },
+      transaction: options.transaction
+    });
+
+    if (!account) {
+      return 0;
+    }
+
+    const where = { accountId: account.id };
+    if (options.paymentId) {
+      where.paymentId = options.paymentId;
+    }
+
+    const totals = await LedgerEntry.findAll({
+      where,
+      attributes: [
+        'direction',
+        [sequelize.fn('SUM', sequelize.col('amount')), 'total']
+      ],
+      group: ['direction'],
+      raw: true,
+      transaction: options.transaction
+    });
+
+    const sums = totals.reduce((acc, row) => {
+      acc[row.direction] = roundAmount(row.total);
+      return acc;
+    }, { debit: 0, credit: 0 });
+
+    return account.normalBalance === 'credit'
+      ? roundAmount(sums.credit - sums.debit)
+      : roundAmount(sums.debit - sums.credit);
+  }
+
+  // Split a payment into the payee's share and the platform's; the platform keeps every fee
+  // (commission, gateway and cross-border fees and VAT) and settles gateway costs and tax itself
+  splitPaymentAmount(payment) {
+    const amount = roundAmount(payment.amount);
+    const fees = payment.fees && payment.fees.totalFees ? payment.fees : payment.calculateFees();
+    const platformFee = Math.min(roundAmount(fees.totalFees), amount);
+
+    return {
+      amount,
+      platformFee,
+      payeeAmount: roundAmount(amount - platformFee)
+    };
+  }
+
+  async isCaptured(payment, options = {}) {
+    const journal = await LedgerJournal.findOne({
+      where: { reference: `payment:${payment.id}:capture` },
+      transaction: options.transaction
+    });
+
+    return !!journal;
+  }
+
+  // Gateway collected the money: credit the payee's escrow or wallet and the platform fee
+  async recordPaymentCapture(payment, options = {}) {
+    const { amount, platformFee, payeeAmount } = this.splitPaymentAmount(payment);
+    const escrowed = !!(payment.escrowDetails?.isEscrowed && !payment.escrowDetails?.releasedAt);
+
+    return this.postJournal({
+      reference: `payment:${payment.id}:capture`,
+      journalType: 'payment_capture',
+      paymentId: payment.id,
+      currency: payment.currency,
+      description: `Payment ${payment.transactionId} captured`,
+      metadata: { gateway: payment.paymentGateway, heldInEscrow: escrowed },
+      lines: [
+        { accountType: 'gateway_clearing', direction: 'debit', amount },
+        { accountType: escrowed ? 'escrow' : 'wallet', ownerId: payment.payeeId, direction: 'credit', amount: payeeAmount },
+        { accountType: 'platform_fee', direction: 'credit', amount: platformFee }
+      ]
+    }, options);
+  }
+
+  // Move a captured payment's wallet credit into escrow
+  async recordEscrowHold(payment, options = {}) {
+    const settled = await this.getBalance('wallet', payment.payeeId, payment.currency, {
+      ...options,
+      paymentId: payment.id
+    });
+
+    if (settled <= 0) {
+      return null;
+    }
+
+    return this.postJournal({
+      reference: `payment:${payment.id}:escrow_hold`,
+      journalType: 'escrow_hold',
+      paymentId: payment.id,
+      currency: payment.currency,
+      description: `Payment ${payment.transactionId} held in escrow`,
+      lines: [
+        { accountType: 'wallet', ownerId: payment.payeeId, direction: 'debit', amount: settled },
+        { accountType: 'escrow', ownerId: payment.payeeId, direction: 'credit', amount: settled }
+      ]
+    }, options);
+  }
+
+  // Release whatever is held in escrow for a payment to the payee's wallet
+  async recordEscrowRelease(payment, options = {}) {
+    const held = await this.getBalance('escrow', payment.payeeId, payment.currency, {
+      ...options,
+      paymentId: payment.id
+    });
+
+    if (held <= 0) {
+      return null;
+    }
+
+    return this.postJournal({
+      reference: `payment:${payment.id}:escrow_release`,
+      journalType: 'escrow_release',
+      paymentId: payment.id,
+      currency: payment.currency,
+      description: `Payment ${payment.transactionId} released from escrow`,
+      lines: [
+        { accountType: 'escrow', ownerId: payment.payeeId, direction: 'debit', amount: held },
+        { accountType: 'wallet', ownerId: payment.payeeId, direction: 'credit', amount: held }
+      ]
+    }, options);
+  }
+
+  // Reverse part of a captured payment back to the gateway, taking from escrow first
+  async recordRefund(payment, { refundId, amount }, options = {}) {
+    const refundAmount = roundAmount(amount);
+
+    if (refundAmount <= 0 || !(await this.isCaptured(payment, options))) {
+      return null;
+    }
+
+    const split = this.splitPaymentAmount(payment);
+    const feeShare = split.amount > 0
+      ? roundAmount(split.platformFee * Math.min(refundAmount / split.amount, 1))
+      : 0;
+    const payeeShare = roundAmount(refundAmount - feeShare);
+
+    const held = await this.getBalance('escrow', payment.payeeId, payment.currency, {
+      ...options,
+      paymentId: payment.id
+    });
+    const fromEscrow = Math.min(payeeShare, Math.max(held, 0));
+    const fromWallet = roundAmount(payeeShare - fromEscrow);
+
+    return this.postJournal({
+      reference: `payment:${payment.id}:refund:${refundId}`,
+      journalType: 'refund',
+      paymentId: payment.id,
+      currency: payment.currency,
+      description: `Refund ${refundId} for payment ${payment.transactionId}`,
+      metadata: { refundId },
+      lines: [
+        { accountType: 'escrow', ownerId: payment.payeeId, direction: 'debit', amount: fromEscrow },
+        { accountType: 'wallet', ownerId: payment.payeeId, direction: 'debit', amount: fromWallet },
+        { accountType: 'platform_fee', direction: 'debit', amount: feeShare },
+        { accountType: 'gateway_clearing', direction: 'credit', amount: refundAmount }
+      ]
+    }, options);
+  }
+
+  // Withdrawal requested: move funds out of the wallet while the transfer is in flight
+  async recordWithdrawal(withdrawal, options = {}) {
+    return this.postJournal({
+      reference: `withdrawal:${withdrawal.id}:debit`,
+      journalType: 'withdrawal',
+      currency: withdrawal.currency,
+      description: `Withdrawal ${withdrawal.reference} requested`,
+      metadata: { withdrawalId: withdrawal.id },
+      lines: [
+        { accountType: 'wallet', ownerId: withdrawal.userId, direction: 'debit', amount: withdrawal.amount },
+        { accountType: 'payout_clearing', direction: 'credit', amount: withdrawal.amount }
+      ]
+    }, options);
+  }
+
+  // Gateway confirmed the transfer: the money has left the gateway balance
+  async recordWithdrawalPaid(withdrawal, options = {}) {
+    return this.postJournal({
+      reference: `withdrawal:${withdrawal.id}:paid`,
+      journalType: 'withdrawal_paid',
+      currency: withdrawal.currency,
+      description: `Withdrawal ${withdrawal.reference} paid out`,
+      metadata: { withdrawalId: withdrawal.id },
+      lines: [
+        { accountType: 'payout_clearing', direction: 'debit', amount: withdrawal.amount },
+        { accountType: 'gateway_clearing', direction: 'credit', amount: withdrawal.amount }
+      ]
+    }, options);
+  }
+
+  // Transfer failed or was reversed: return the funds to the wallet
+  async recordWithdrawalReversal(withdrawal, options = {}) {
+    const paid = await LedgerJournal.findOne({
+      where: { reference: `withdrawal:${withdrawal.id}:paid` },
+      transaction: options.transaction
+    });
+
+    return this.postJournal({
+      reference: `withdrawal:${withdrawal.id}:reversal`,
+      journalType: 'withdrawal_reversal',
+      currency: withdrawal.currency,
+      description: `Withdrawal ${withdrawal.reference} returned to wallet`,
+      metadata: { withdrawalId: withdrawal.id },
+      lines: [
+        { accountType: paid ? 'gateway_clearing' : 'payout_clearing', direction: 'debit', amount: withdrawal.amount },
+        { accountType: 'wallet', ownerId: withdrawal.userId, direction: 'credit', amount: withdrawal.amount }
+      ]
+    }, options);
+  }
+
+  // Lifetime earnings: captured payee credits less refunded payee debits
+  async getUserEarnings(userId, currency = this.baseCurrency, options = {}) {
+    const entries = await LedgerEntry.findAll({
+      attributes: ['direction', 'amount'],
+      include: [
+        {
+          model: LedgerAccount,
+          as: 'account',
+          attributes: [],
+          where: { ownerId: userId, currency, accountType: ['wallet', 'escrow'] }
+        },
+        {
+          model: LedgerJournal,
+          as: 'journal',
+          attributes: ['journalType'],
+          where: { journalType: ['payment_capture', 'refund'] }
+        }
+      ],
+      transaction: options.transaction
+    });
+
+    return roundAmount(entries.reduce((total, entry) => (
+      entry.direction === 'credit'
+        ? total + parseFloat(entry.amount)
+        : total - parseFloat(entry.amount)
+    ), 0));
+  }
+
+  async getUserBalance(userId, currency = this.baseCurrency, options = {}) {
+    const [available, pending, totalEarnings] = await Promise.all([
+      this.getBalance('wallet', userId, currency, options),
+      this.getBalance('escrow', userId, currency, options),
+      this.getUserEarnings(userId, currency, options)
+    ]);
+
+    return {
+      currency: currency.toUpperCase(),
+      available,
+      pending,
+      totalEarnings
+    };
+  }
+
+  // Refresh the cached balance columns on User from the ledger (base currency)
+  async syncUserBalances(userId, options = {}) {
+    const balance = await this.getUserBalance(userId, this.baseCurrency, options);
+
+    await User.update({
+      availableBalance: balance.available,
+      pendingBalance: balance.pending,
+      totalEarnings: balance.totalEarnings
+    }, {
+      where: { id: userId },
+      transaction: options.transaction
+    });
+
+    return balance;
+  }
+
+  // Paginated entries on a user's wallet and escrow accounts
+  async getUserStatement(userId, { page = 1, limit = 20, currency = this.baseCurrency } = {}) {
+    const offset = (page - 1) * limit;
+
+    const { count, rows: entries } = await LedgerEntry.findAndCountAll({
+      include: [
+        {
+          model: LedgerAccount,
+          as: 'account',
+          attributes: ['accountType', 'currency'],
+          where: { ownerId: userId, currency: currency.toUpperCase() }
+        },
+        {
+          model: LedgerJournal,
+          as: 'journal',
+          attributes: ['reference', 'journalType', 'description', 'postedAt']
+        }
+      ],
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    return {
+      entries,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalEntries: count,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    };
+  }
+
+  // Sum of all debits and credits across the ledger; must be equal
+  async getTrialBalance(currency = this.baseCurrency) {
+    const totals = await LedgerEntry.findAll({
+      where: { currency: currency.toUpperCase() },
+      attributes: [
+        'direction',
+        [sequelize.fn('SUM', sequelize.col('amount')), 'total']
+      ],
+      group: ['direction'],
+      raw: true
+    });
+
+    const sums = totals.reduce((acc, row) => {
+      acc[row.direction] = roundAmount(row.total);
+      return acc;
+    }, { debit: 0, credit: 0 });
+
+    return {
+      currency: currency.toUpperCase(),
+      debits: sums.debit,
+      credits: sums.credit,
+      balanced: sums.debit === sums.credit
+    };
+  }
+}
+
+// Create and export singleton instance
+const ledgerService = new LedgerService();
+module.exports = ledgerService;
+module.exports.roundAmount = roundAmount;
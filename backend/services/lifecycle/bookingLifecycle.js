@@ -0,0 +1,231 @@
+const { Payment, Service, User } = require('../../models');
+const { createStateMachine, requirePaymentInEscrow } = require('./index');
+const notificationDispatcher = require('../notificationDispatcher');
+const escrowService = require('../escrowService');
+const paymentService = require('../paymentService');
+const creditRatingService = require('../creditRatingService');
+
+// A booking keeps its failed and expired attempts, so only the latest captured payment is the one in play
+const CAPTURED_PAYMENT_STATUSES = ['completed', 'partially_refunded', 'refunded', 'disputed'];
+
+const loadPayment = (booking) => booking.payment || Payment.findOne({
+  where: { bookingId: booking.id, paymentType: 'booking_payment', status: CAPTURED_PAYMENT_STATUSES },
+  order: [['createdAt', 'DESC']]
+});
+
+const resolveRole = (booking, user) => {
+  if (!user) {
+    return null;
+  }
+
+  if (user.userType === 'admin') {
+    return 'admin';
+  }
+
+  if (booking.providerId === user.id) {
+    return 'provider';
+  }
+
+  return booking.requesterId === user.id ? 'requester' : null;
+};
+
+const sendConfirmationEmail = async (booking) => {
+  const [requester, provider, service] = await Promise.all([
+    booking.requester || User.findByPk(booking.requesterId),
+    booking.provider || User.findByPk(booking.providerId),
+    booking.service || Service.findByPk(booking.serviceId)
+  ]);
+
+  const params = {
+    requesterName: requester.firstName,
+    serviceName: service.title,
+    providerName: provider.firstName,
+    scheduledDate: booking.scheduledDate,
+    bookingId: booking.id
+  };
+
+  // The in-app status update comes from notifyParticipants
+  await notificationDispatcher.dispatch(requester, {
+    type: 'booking_confirmed',
+    template: 'booking_confirmed',
+    params,
+    inApp: false,
+    push: false,
+    email: { template: 'booking-notification', data: params }
+  });
+};
+
+const recordCompletion = async (booking) => {
+  const service = await Service.findByPk(booking.serviceId);
+  await service.incrementCompletedBookings();
+
+  // Process payment if not already processed
+  const payment = await Payment.findOne({
+    where: { bookingId: booking.id, paymentType: 'booking_payment', status: 'pending' },
+    order: [['createdAt', 'DESC']]
+  });
+  if (payment) {
+    await paymentService.processPayment(payment.id);
+  }
+};
+
+// Refund what the cancellation policy allows; earlier partial refunds count against it
+const refundCancellation = async (booking, { user }) => {
+  const payment = await loadPayment(booking);
+
+  const refundAmount = payment?.canBeRefunded()
+    ? Math.min(parseFloat(booking.calculateRefundAmount()), await payment.getRefundableAmount())
+    : 0;
+
+  if (refundAmount <= 0) {
+    return { refund: null };
+  }
+
+  const { refund } = await paymentService.processRefund(payment.id, 'Booking cancelled', refundAmount, {
+    initiatedBy: user.id,
+    source: 'cancellation',
+    reference: `booking_cancellation:${booking.id}`
+  });
+
+  return { refund };
+};
+
+// The provider keeps what the policy did not refund, so the escrow is settled now rather than left held
+const releaseCancellationRemainder = async (booking, { user }) => {
+  const payment = await loadPayment(booking);
+  if (!payment) {
+    return;
+  }
+
+  await payment.reload();
+  if (payment.isHeldInEscrow() && !escrowService.getReleaseBlocker(payment)) {
+    await escrowService.releasePayment(payment, {
+      releasedBy: user.id,
+      trigger: 'cancellation',
+      reference: `booking_cancellation:${booking.id}`
+    });
+  }
+};
+
+const notifyParticipants = async (booking, { user }) => {
+  const service = booking.service || await Service.findByPk(booking.serviceId);
+  const data = {
+    bookingId: booking.id,
+    serviceName: service.title,
+    status: booking.status
+  };
+
+  if (booking.providerId !== user.id) {
+    await notificationDispatcher.dispatch(booking.providerId, {
+      type: 'booking_status_update',
+      title: 'Booking Status Updated',
+      message: `Booking for "${service.title}" has been ${booking.status}`,
+      data
+    });
+  }
+
+  if (booking.requesterId !== user.id) {
+    await notificationDispatcher.dispatch(booking.requesterId, {
+      type: 'booking_status_update',
+      title: 'Booking Status Updated',
+      message: `Your booking for "${service.title}" has been ${booking.status}`,
+      data
+    });
+  }
+};
+
+// Every status change feeds both participants' credit scores
+const refreshCreditRatings = (booking) => creditRatingService.scheduleRecalculation(
+  [booking.providerId, booking.requesterId],
+  `booking_${booking.status}`
+);
+
+const bookingLifecycle = createStateMachine({
+  name: 'booking',
+  states: ['pending', 'confirmed', 'in_progress', 'completed', 'cancelled', 'disputed', 'refunded'],
+  resolveRole,
+  transitions: [
+    {
+      action: 'confirm',
+      from: ['pending'],
+      to: 'confirmed',
+      roles: ['provider', 'admin'],
+      label: 'Confirm booking',
+      event: 'booking_confirmed',
+      timestamp: 'confirmedAt',
+      apply: () => ({ expiresAt: null }),
+      effects: [sendConfirmationEmail]
+    },
+    {
+      action: 'start',
+      from: ['confirmed'],
+      to: 'in_progress',
+      roles: ['provider', 'admin'],
+      label: 'Start service',
+      event: 'service_started',
+      timestamp: 'startedAt',
+      guards: [requirePaymentInEscrow(loadPayment)],
+      apply: () => ({ actualStartTime: new Date() })
+    },
+    {
+      action: 'complete',
+      from: ['in_progress'],
+      to: 'completed',
+      roles: ['provider', 'admin'],
+      label: 'Mark as completed',
+      event: 'service_completed',
+      timestamp: 'completedAt',
+      apply: () => ({ actualEndTime: new Date() }),
+      effects: [recordCompletion]
+    },
+    {
+      action: 'cancel',
+      from: ['pending', 'confirmed', 'in_progress'],
+      to: 'cancelled',
+      roles: ['requester', 'provider', 'admin'],
+      label: 'Cancel booking',
+      event: 'booking_cancelled',
+      timestamp: 'cancelledAt',
+      before: [refundCancellation, releaseCancellationRemainder],
+      apply: (booking, { role, reason, refund }) => ({
+        cancellation: {
+          cancelledBy: role,
+          reason: reason || null,
+          cancelledAt: new Date(),
+          refundAmount: refund ? parseFloat(refund.amount) : 0,
+          refundStatus: refund ? 'processed' : 'none'
+        }
+      })
+    },
+    {
+      // Disputes are opened through disputeService, which freezes the escrow
+      action: 'dispute',
+      from: ['confirmed', 'in_progress', 'completed'],
+      to: 'disputed',
+      roles: ['requester', 'provider'],
+      label: 'Open a dispute',
+      event: 'booking_disputed',
+      guards: [requirePaymentInEscrow(loadPayment, 'Payment must be held in escrow to open a dispute')]
+    },
+    {
+      // The admin decision has already moved the money; these close the booking
+      action: 'refund',
+      from: ['disputed'],
+      to: 'refunded',
+      roles: ['admin'],
+      label: 'Refund booking',
+      event: 'dispute_resolved'
+    },
+    {
+      action: 'resolve',
+      from: ['disputed'],
+      to: 'completed',
+      roles: ['admin'],
+      label: 'Resolve dispute',
+      event: 'dispute_resolved'
+    }
+  ],
+  onTransition: [notifyParticipants, refreshCreditRatings]
+});
+
+module.exports = bookingLifecycle;
@@ -0,0 +1,228 @@
+const winston = require('winston');
+const { ValidationError, AuthorizationError } = require('../../middleware/errorHandler');
+
+/**
+ * Declarative lifecycle state machines.
+ *
+ * A machine is defined by its states and a list of transitions:
+ *   {
+ *     action: 'start',            // what the client asks for
+ *     from: ['confirmed'],        // states the action is valid in
+ *     to: 'in_progress',
+ *     roles: ['provider'],        // who may trigger it (see resolveRole)
+ *     label: 'Start work',        // shown by clients
+ *     event: 'service_started',   // timeline event name
+ *     timestamp: 'startedAt',     // set to now on transition
+ *     guards: [fn],               // async (entity, context) -> reason | null
+ *     before: [fn],               // async (entity, context) -> context additions | undefined
+ *     apply: fn,                  // (entity, context) -> extra column updates
+ *     effects: [fn]               // async (entity, context) after the update
+ *   }
+ *
+ * The same action may be listed more than once with different `from` states
+ * and roles. `resolveRole(entity, user)` maps the acting user to one of the
+ * roles. `before` steps move money: they run after the guards and before the
+ * status change, so a failed refund or release aborts the transition. Each
+ * must be safe to run again when a transition is retried. Effects run after
+ * the status change is saved; their failures are logged and never undo the
+ * transition. `onTransition` effects run after every transition of the
+ * machine.
+ */
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/lifecycle-error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'logs/lifecycle.log' })
+  ]
+});
+
+const ROLE_NAMES = {
+  requester: 'the requester',
+  provider: 'the assigned provider',
+  candidate: 'a provider',
+  admin: 'an admin'
+};
+
+const describeRoles = (roles) => roles
+  .filter(role => role !== 'admin')
+  .map(role => ROLE_NAMES[role] || role)
+  .join(' or ') || ROLE_NAMES.admin;
+
+const createStateMachine = ({ name, states, transitions, resolveRole, onTransition = [] }) => {
+  transitions.forEach(transition => {
+    [...transition.from, transition.to].forEach(state => {
+      if (!states.includes(state)) {
+        throw new Error(`Unknown ${name} state "${state}" in transition ${transition.action}`);
+      }
+    });
+  });
+
+  const actions = [...new Set(transitions.map(transition => transition.action))];
+
+  // First definition of `action` that is valid from the entity's current state
+  const findTransition = (entity, action) => transitions.find(
+    transition => transition.action === action && transition.from.includes(entity.status)
+  );
+
+  const check = async (entity, action, user, context = {}) => {
+    if (!actions.includes(action)) {
+      return { allowed: false, reason: `Unknown ${name} action: ${action}` };
+    }
+
+    const transition = findTransition(entity, action);
+
+    if (!transition) {
+      return { allowed: false, reason: `Cannot ${action} a ${name} that is ${entity.status}` };
+    }
+
+    const role = resolveRole(entity, user);
+
+    if (!role || !transition.roles.includes(role)) {
+      return {
+        allowed: false,
+        transition,
+        reason: `Only ${describeRoles(transition.roles)} can ${action} this ${name}`
+      };
+    }
+
+    for (const guard of transition.guards || []) {
+      const reason = await guard(entity, { ...context, user, role });
+
+      if (reason) {
+        return { allowed: false, transition, role, reason };
+      }
+    }
+
+    return { allowed: true, transition, role };
+  };
+
+  const assertCan = async (entity, action, user, context = {}) => {
+    const result = await check(entity, action, user, context);
+
+    // A transition with no role means the user may not take it; anything else is a bad request
+    if (!result.allowed) {
+      throw result.transition && !result.role
+        ? new AuthorizationError(result.reason)
+        : new ValidationError(result.reason);
+    }
+
+    return result;
+  };
+
+  // Actions the user can take right now, for clients to render
+  const availableTransitions = async (entity, user, context = {}) => {
+    const available = [];
+
+    for (const action of actions) {
+      const { allowed, transition } = await check(entity, action, user, context);
+
+      if (allowed) {
+        available.push({
+          action,
+          to: transition.to,
+          label: transition.label
+        });
+      }
+    }
+
+    return available;
+  };
+
+  /**
+   * Move the entity through `action`.
+   *
+   * `updates` are saved with the status change; `note` becomes the timeline
+   * description. Given a `transaction`, the status change is saved in it and
+   * effects wait for it to commit. Everything else in `context` is passed to
+   * guards, `apply` and effects.
+   */
+  const transition = async (entity, action, user, { updates = {}, note = null, transaction = null, ...context } = {}) => {
+    const { transition: definition, role } = await assertCan(entity, action, user, context);
+    const from = entity.status;
+    const now = new Date();
+    const effectContext = { ...context, user, role, from, note };
+
+    for (const step of definition.before || []) {
+      Object.assign(effectContext, await step(entity, effectContext));
+    }
+
+    const timeline = [...(entity.timeline || []), {
+      event: definition.event || `${name}_${definition.to}`,
+      timestamp: now,
+      description: note || definition.label,
+      actor: role,
+      from,
+      to: definition.to
+    }];
+
+    await entity.update({
+      ...(definition.apply ? definition.apply(entity, effectContext) : {}),
+      ...updates,
+      status: definition.to,
+      ...(definition.timestamp && { [definition.timestamp]: now }),
+      timeline
+    }, { transaction });
+
+    logger.info(`${name} ${action}`, {
+      id: entity.id,
+      from,
+      to: definition.to,
+      userId: user ? user.id : null,
+      role
+    });
+
+    const runEffects = async () => {
+      for (const effect of [...(definition.effects || []), ...onTransition]) {
+        try {
+          await effect(entity, effectContext);
+        } catch (error) {
+          logger.error(`${name} ${action} side effect failed`, {
+            id: entity.id,
+            message: error.message,
+            stack: error.stack
+          });
+        }
+      }
+    };
+
+    if (transaction) {
+      transaction.afterCommit(runEffects);
+    } else {
+      await runEffects();
+    }
+
+    return entity;
+  };
+
+  return {
+    name,
+    states,
+    actions,
+    check,
+    assertCan,
+    availableTransitions,
+    transition,
+    findTransition
+  };
+};
+
+// Guard: the entity's payment must be captured and held in escrow
+const requirePaymentInEscrow = (loadPayment, reason = 'Payment must be held in escrow before work starts') => async (entity) => {
+  const payment = await loadPayment(entity);
+
+  if (!payment || !payment.isHeldInEscrow()) {
+    return reason;
+  }
+
+  return null;
+};
+
+module.exports = {
+  createStateMachine,
+  requirePaymentInEscrow
+};
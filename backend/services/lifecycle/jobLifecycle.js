@@ -0,0 +1,226 @@
+const { JobApplication, JobOffer, Payment, User } = require('../../models');
+const { createStateMachine, requirePaymentInEscrow } = require('./index');
+const escrowService = require('../escrowService');
+const paymentService = require('../paymentService');
+const notificationDispatcher = require('../notificationDispatcher');
+
+const loadPayment = (job) => job.payment || (job.paymentId ? Payment.findByPk(job.paymentId) : null);
+
+// Providers who are not on the job yet may take it or be hired for it
+const resolveRole = (job, user) => {
+  if (!user) {
+    return null;
+  }
+
+  if (user.userType === 'admin') {
+    return 'admin';
+  }
+
+  if (job.requesterId === user.id) {
+    return 'requester';
+  }
+
+  if (job.providerId === user.id) {
+    return 'provider';
+  }
+
+  return user.userType === 'provider' && !job.providerId ? 'candidate' : null;
+};
+
+const notify = async (job, userId, type, title, message) => {
+  if (!userId) {
+    return;
+  }
+
+  await notificationDispatcher.dispatch(userId, {
+    type,
+    title,
+    message,
+    data: {
+      jobId: job.id,
+      status: job.status
+    }
+  });
+};
+
+// The hired provider hears about an accepted application; the requester about a provider taking the job
+const notifyAccepted = (job, { role }) => (role === 'requester'
+  ? notify(job, job.providerId, 'job_accepted', 'Application Accepted', `You have been hired for "${job.title}"`)
+  : notify(job, job.requesterId, 'job_accepted', 'Job Accepted', `A provider has accepted "${job.title}"`));
+
+const notifyStarted = job => notify(
+  job, job.requesterId, 'job_started', 'Work Started', `Work on "${job.title}" has started`
+);
+
+const notifyCompleted = job => notify(
+  job, job.requesterId, 'job_completed', 'Job Completed', `"${job.title}" has been marked as completed. Please review the work.`
+);
+
+const notifySatisfied = job => notify(
+  job, job.providerId, 'job_satisfied', 'Work Approved', `The requester is satisfied with your work on "${job.title}"`
+);
+
+const recordCompletion = async (job) => {
+  await User.increment('completedJobs', { where: { id: job.providerId } });
+};
+
+// Satisfaction is the requester's go-ahead to pay the provider out of escrow
+const releaseEscrow = async (job, { user, satisfaction }) => {
+  const payment = await loadPayment(job);
+
+  if (payment && payment.isHeldInEscrow()) {
+    await escrowService.releasePayment(payment, {
+      releasedBy: user.id,
+      trigger: 'requester_satisfaction',
+      satisfaction: satisfaction || null
+    });
+  }
+};
+
+const recordCancellation = (job, { role, reason }) => ({
+  cancellation: { cancelledBy: role, reason, cancelledAt: new Date() }
+});
+
+// Work never happened, so whatever is still in escrow goes back to the requester
+const refundPayment = async (job, { user }) => {
+  const payment = await loadPayment(job);
+
+  if (payment && payment.isHeldInEscrow() && payment.canBeRefunded()) {
+    await paymentService.processRefund(payment.id, 'Job cancelled', null, {
+      initiatedBy: user.id,
+      source: 'cancellation',
+      reference: `job_cancellation:${job.id}`
+    });
+  }
+};
+
+// An intent the requester hasn't paid yet must not land in escrow for a job that is off
+const cancelPendingPayment = async (job) => {
+  const payment = await loadPayment(job);
+
+  if (payment && payment.status === 'pending') {
+    await payment.update({ status: 'cancelled' });
+  }
+};
+
+const closeNegotiations = async (job) => {
+  await JobApplication.update(
+    { status: 'rejected', respondedAt: new Date() },
+    { where: { jobId: job.id, status: 'pending' } }
+  );
+  await JobOffer.update(
+    { status: 'rejected', respondedAt: new Date() },
+    { where: { jobId: job.id, status: 'pending' } }
+  );
+};
+
+const notifyCancelled = async (job, { user }) => {
+  const recipients = [job.requesterId, job.providerId]
+    .filter(userId => userId && userId !== user.id);
+
+  for (const userId of recipients) {
+    await notify(job, userId, 'job_cancelled', 'Job Cancelled', `"${job.title}" has been cancelled`);
+  }
+};
+
+const jobLifecycle = createStateMachine({
+  name: 'job',
+  states: ['pending', 'accepted', 'in_progress', 'completed', 'satisfied', 'disputed', 'resolved', 'cancelled'],
+  resolveRole,
+  transitions: [
+    {
+      action: 'accept',
+      from: ['pending'],
+      to: 'accepted',
+      roles: ['requester', 'candidate'],
+      label: 'Accept job',
+      event: 'job_accepted',
+      timestamp: 'acceptedAt',
+      effects: [notifyAccepted]
+    },
+    {
+      action: 'start',
+      from: ['accepted'],
+      to: 'in_progress',
+      roles: ['provider', 'admin'],
+      label: 'Start work',
+      event: 'job_started',
+      timestamp: 'startedAt',
+      guards: [requirePaymentInEscrow(loadPayment)],
+      effects: [notifyStarted]
+    },
+    {
+      action: 'complete',
+      from: ['in_progress'],
+      to: 'completed',
+      roles: ['provider'],
+      label: 'Mark as completed',
+      event: 'job_completed',
+      timestamp: 'completedAt',
+      apply: (job, { deliverables, notes }) => ({
+        ...(deliverables && deliverables.length > 0 && { deliverables }),
+        ...(notes && { completionNotes: notes })
+      }),
+      effects: [recordCompletion, notifyCompleted]
+    },
+    {
+      action: 'satisfy',
+      from: ['completed'],
+      to: 'satisfied',
+      roles: ['requester'],
+      label: 'Confirm satisfaction',
+      event: 'job_satisfied',
+      timestamp: 'satisfiedAt',
+      before: [releaseEscrow],
+      effects: [notifySatisfied]
+    },
+    {
+      // Disputes are opened through disputeService, which freezes the escrow
+      action: 'dispute',
+      from: ['in_progress', 'completed'],
+      to: 'disputed',
+      roles: ['requester', 'provider'],
+      label: 'Open a dispute',
+      event: 'job_disputed',
+      timestamp: 'disputedAt',
+      guards: [requirePaymentInEscrow(loadPayment, 'Payment must be held in escrow to open a dispute')]
+    },
+    {
+      // The admin decision has already moved the money; this closes the job
+      action: 'resolve',
+      from: ['disputed'],
+      to: 'resolved',
+      roles: ['admin'],
+      label: 'Resolve dispute',
+      event: 'job_resolved',
+      timestamp: 'resolvedAt'
+    },
+    {
+      action: 'cancel',
+      from: ['pending', 'accepted'],
+      to: 'cancelled',
+      roles: ['requester', 'provider', 'admin'],
+      label: 'Cancel job',
+      event: 'job_cancelled',
+      timestamp: 'cancelledAt',
+      apply: recordCancellation,
+      before: [refundPayment, cancelPendingPayment],
+      effects: [closeNegotiations, notifyCancelled]
+    },
+    {
+      // Once work has started only support can call the job off; disputed jobs close through the decision
+      action: 'cancel',
+      from: ['in_progress'],
+      to: 'cancelled',
+      roles: ['admin'],
+      label: 'Cancel job',
+      event: 'job_cancelled',
+      timestamp: 'cancelledAt',
+      apply: recordCancellation,
+      before: [refundPayment, cancelPendingPayment],
+      effects: [closeNegotiations, notifyCancelled]
+    }
+  ]
+});
+
+module.exports = jobLifecycle;
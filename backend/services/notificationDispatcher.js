@@ -0,0 +1,341 @@
+const { User, Notification } = require('../models');
+const winston = require('winston');
+const Handlebars = require('handlebars');
+const notificationService = require('./notificationService');
+const emailService = require('./emailService');
+const smsService = require('./smsService');
+const jobScheduler = require('./jobScheduler');
+const messageCatalog = require('../config/notification-messages.json');
+
+const HELD_DELIVERY_JOB = 'notifications.deliver_held';
+const DEFAULT_LANGUAGE = 'en';
+const DEFAULT_TIMEZONE = 'Africa/Lagos';
+
+// Preference switch each notification type answers to, by type prefix
+const CATEGORY_PREFIXES = [
+  ['job_', 'jobAlerts'],
+  ['booking_', 'jobAlerts'],
+  ['review_', 'jobAlerts'],
+  ['payment_', 'paymentAlerts'],
+  ['refund_', 'paymentAlerts'],
+  ['withdrawal_', 'paymentAlerts'],
+  ['message_', 'chatMessages'],
+  ['promotion', 'marketing']
+];
+
+// Disputes, account and moderation notices can't be switched off
+const ESSENTIAL = 'essential';
+
+// Priorities that are delivered straight away even during quiet hours
+const URGENT_PRIORITIES = ['high', 'urgent'];
+
+/**
+ * Single entry point for telling a user about something.
+ *
+ * A dispatch looks up the recipient's notification preferences, drops it when
+ * its category is switched off, renders the text in the user's language and
+ * fans out to the in-app inbox, push, email and SMS as the caller asked and
+ * the user allows. Push and SMS that land in the user's quiet hours are held
+ * as a scheduled job until the window ends. A failing channel is logged and
+ * reported in the result, never thrown, so callers don't need to guard each
+ * channel separately.
+ */
+class NotificationDispatcher {
+  constructor() {
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/notification-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/notification.log' })
+      ]
+    });
+
+    // Text notifications, not HTML, so nothing is escaped
+    this.handlebars = Handlebars.create();
+    this.handlebars.registerHelper('money', (amount, currency, options) => this.formatMoney(amount, currency, options.data.root));
+    this.handlebars.registerHelper('date', (value, options) => this.formatDate(value, options.data.root));
+    this.compiled = new Map();
+  }
+
+  categoryFor(type) {
+    const match = CATEGORY_PREFIXES.find(([prefix]) => type.startsWith(prefix));
+    return match ? match[1] : ESSENTIAL;
+  }
+
+  // BCP 47 tag for number and date formatting, e.g. en-NG
+  localeTag(language) {
+    return `${language}-NG`;
+  }
+
+  formatMoney(amount, currency = 'NGN', { _locale } = {}) {
+    const value = parseFloat(amount);
+    if (Number.isNaN(value)) {
+      return `${amount} ${currency}`;
+    }
+
+    try {
+      return new Intl.NumberFormat(this.localeTag(_locale || DEFAULT_LANGUAGE), { style: 'currency', currency }).format(value);
+    } catch (error) {
+      return `${value.toFixed(2)} ${currency}`;
+    }
+  }
+
+  formatDate(value, { _locale, _timezone } = {}) {
+    const date = value ? new Date(value) : null;
+    if (!date || Number.isNaN(date.getTime())) {
+      return value || '';
+    }
+
+    return new Intl.DateTimeFormat(this.localeTag(_locale || DEFAULT_LANGUAGE), {
+      dateStyle: 'medium',
+      timeZone: _timezone || DEFAULT_TIMEZONE
+    }).format(date);
+  }
+
+  // Title and message for a catalog template in the user's language, falling back to English
+  render(template, language, timezone, params = {}) {
+    const locale = (messageCatalog[language] || {})[template] ? language : DEFAULT_LANGUAGE;
+    const entry = messageCatalog[locale][template];
+
+    if (!entry) {
+      throw new Error(`Unknown notification template: ${template}`);
+    }
+
+    const context = { ...params, _locale: locale, _timezone: timezone };
+
+    return {
+      title: this.compile(`${locale}.${template}.title`, entry.title)(context),
+      message: this.compile(`${locale}.${template}.message`, entry.message)(context)
+    };
+  }
+
+  compile(key, source) {
+    if (!this.compiled.has(key)) {
+      this.compiled.set(key, this.handlebars.compile(source, { noEscape: true }));
+    }
+
+    return this.compiled.get(key);
+  }
+
+  // Minutes past midnight on the user's wall clock
+  localMinutes(date, timezone) {
+    let parts;
+    try {
+      parts = new Intl.DateTimeFormat('en-GB', { timeZone: timezone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).formatToParts(date);
+    } catch (error) {
+      parts = new Intl.DateTimeFormat('en-GB', { timeZone: DEFAULT_TIMEZONE, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).formatToParts(date);
+    }
+
+    const part = (type) => parseInt(parts.find(item => item.type === type).value, 10);
+    return part('hour') * 60 + part('minute');
+  }
+
+  // When the user's quiet hours end if they are in them now, otherwise null
+  quietHoursEnd(quietHours, timezone, now = new Date()) {
+    if (!quietHours || !quietHours.enabled) {
+      return null;
+    }
+
+    const toMinutes = (time) => {
+      const [hours, minutes] = time.split(':').map(Number);
+      return hours * 60 + minutes;
+    };
+
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+    const current = this.localMinutes(now, timezone);
+
+    // Windows like 22:00-07:00 wrap past midnight
+    const inside = start <= end
+      ? current >= start && current < end
+      : current >= start || current < end;
+
+    if (start === end || !inside) {
+      return null;
+    }
+
+    const remaining = (end - current + 24 * 60) % (24 * 60);
+    const endsAt = new Date(now.getTime() + remaining * 60 * 1000);
+    endsAt.setSeconds(0, 0);
+    return endsAt;
+  }
+
+  async loadRecipient(recipient) {
+    const userId = typeof recipient === 'string' ? recipient : recipient && recipient.id;
+    const user = userId && await User.findByPk(userId, { attributes: ['id', 'email', 'phone', 'preferences'] });
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const stored = user.preferences || {};
+
+    return {
+      user,
+      preferences: notificationService.resolvePreferences(stored),
+      language: stored.language || DEFAULT_LANGUAGE,
+      timezone: stored.timezone || DEFAULT_TIMEZONE
+    };
+  }
+
+  /**
+   * Notify a user on every channel their preferences allow.
+   *
+   * recipient is a user id or user. The text comes from a catalog `template`
+   * rendered with `params`, or a literal `title` and `message`. `inApp` and
+   * `push` default on; `email` ({ template, data }) and `sms` are opt-in.
+   * Returns the in-app notification (if any) and what happened per channel.
+   */
+  async dispatch(recipient, {
+    type,
+    template = null,
+    params = {},
+    title,
+    message,
+    data = {},
+    priority = 'medium',
+    actionUrl = null,
+    inApp = true,
+    push = true,
+    email = null,
+    sms = false
+  }) {
+    const { user, preferences, language, timezone } = await this.loadRecipient(recipient);
+    const category = this.categoryFor(type);
+    const result = { notification: null, channels: {} };
+
+    if (category !== ESSENTIAL && preferences[category] === false) {
+      this.logger.info('Notification suppressed by category preference', { userId: user.id, type, category });
+      result.suppressed = true;
+      return result;
+    }
+
+    const content = template ? this.render(template, language, timezone, params) : { title, message };
+
+    if (inApp) {
+      result.notification = await notificationService.createNotification({
+        userId: user.id,
+        type,
+        title: content.title,
+        message: content.message,
+        data,
+        priority,
+        actionUrl,
+        push: false
+      });
+      result.channels.inApp = 'sent';
+    }
+
+    const pushPayload = result.notification
+      ? notificationService.toPushPayload(result.notification)
+      : { title: content.title, message: content.message, data: { type, actionUrl, ...data } };
+    const smsText = typeof sms === 'string' ? sms : content.message;
+
+    const held = {};
+    const quietUntil = URGENT_PRIORITIES.includes(priority)
+      ? null
+      : this.quietHoursEnd(preferences.quietHours, timezone);
+
+    if (push) {
+      if (!preferences.push) {
+        result.channels.push = 'off';
+      } else if (quietUntil) {
+        held.push = pushPayload;
+      } else {
+        result.channels.push = await this.deliver('push', user, () => notificationService.sendPushNotification(user.id, pushPayload));
+      }
+    }
+
+    if (sms) {
+      if (!preferences.sms || !user.phone) {
+        result.channels.sms = 'off';
+      } else if (quietUntil) {
+        held.sms = smsText;
+      } else {
+        result.channels.sms = await this.deliver('sms', user, () => smsService.sendSMS(user.phone, smsText));
+      }
+    }
+
+    // Email sits in an inbox until read, so quiet hours don't hold it back
+    if (email) {
+      if (!preferences.email || !user.email) {
+        result.channels.email = 'off';
+      } else {
+        result.channels.email = await this.deliver('email', user, () => emailService.sendEmail(
+          user.email,
+          content.title,
+          email.template,
+          { ...(email.data || {}), title: content.title, message: content.message }
+        ));
+      }
+    }
+
+    if (Object.keys(held).length > 0) {
+      const status = await this.hold(user, result.notification, held, quietUntil);
+      for (const channel of Object.keys(held)) {
+        result.channels[channel] = status;
+      }
+    }
+
+    this.logger.info('Notification dispatched', { userId: user.id, type, channels: result.channels });
+
+    return result;
+  }
+
+  async deliver(channel, user, send) {
+    try {
+      await send();
+      return 'sent';
+    } catch (error) {
+      this.logger.error(`Failed to deliver ${channel} notification:`, { userId: user.id, message: error.message, stack: error.stack });
+      return 'failed';
+    }
+  }
+
+  // Queue push/SMS for the end of quiet hours
+  async hold(user, notification, held, runAt) {
+    try {
+      await jobScheduler.enqueue(HELD_DELIVERY_JOB, {
+        userId: user.id,
+        notificationId: notification ? notification.id : null,
+        ...held
+      }, { runAt });
+      return 'held';
+    } catch (error) {
+      this.logger.error('Failed to hold notification for quiet hours:', { userId: user.id, message: error.message, stack: error.stack });
+      return 'failed';
+    }
+  }
+
+  // Send what was held for quiet hours, unless the user has already seen it in the app
+  async deliverHeld({ userId, notificationId = null, push = null, sms = null }) {
+    if (notificationId) {
+      const notification = await Notification.findByPk(notificationId, { attributes: ['id', 'isRead'] });
+      if (!notification || notification.isRead) {
+        return { skipped: true };
+      }
+    }
+
+    const { user, preferences } = await this.loadRecipient(userId);
+    const channels = {};
+
+    if (push && preferences.push) {
+      channels.push = await this.deliver('push', user, () => notificationService.sendPushNotification(user.id, push));
+    }
+
+    if (sms && preferences.sms && user.phone) {
+      channels.sms = await this.deliver('sms', user, () => smsService.sendSMS(user.phone, sms));
+    }
+
+    return { channels };
+  }
+}
+
+// Create and export singleton instance
+const notificationDispatcher = new NotificationDispatcher();
+module.exports = notificationDispatcher;
@@ -1,8 +1,30 @@
-const { Notification } = require('../models');
+const { Notification, DeviceToken, User } = require('../models');
 const { Op } = require('sequelize');
+const crypto = require('crypto');
 const winston = require('winston');
 const admin = require('firebase-admin');
 const webpush = require('web-push');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+// Channels and categories a user can switch off; anything not stored falls back to these
+const DEFAULT_PREFERENCES = {
+  push: true,
+  email: true,
+  sms: false,
+  jobAlerts: true,
+  paymentAlerts: true,
+  chatMessages: true,
+  marketing: false,
+  // Push and SMS wait until the end of this window, in the user's own timezone
+  quietHours: {
+    enabled: false,
+    start: '22:00',
+    end: '07:00'
+  }
+};
+
+const SWITCHES = Object.keys(DEFAULT_PREFERENCES).filter(key => typeof DEFAULT_PREFERENCES[key] === 'boolean');
+const CLOCK_TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
 
 // Notification service class
 class NotificationService {
@@ -74,7 +96,8 @@ class NotificationService {
     data = {},
     priority = 'normal',
     actionUrl = null,
-    expiresAt = null
+    expiresAt = null,
+    push = true
   }) {
     try {
       const notification = await Notification.create({
@@ -90,17 +113,10 @@ class NotificationService {
         readAt: null
       });
 
-      // Send push notification
-      await this.sendPushNotification(userId, {
-        title,
-        message,
-        data: {
-          notificationId: notification.id,
-          type,
-          actionUrl,
-          ...data
-        }
-      });
+      // Callers that manage delivery themselves send the push separately
+      if (push) {
+        await this.sendPushNotification(userId, this.toPushPayload(notification));
+      }
 
       this.logger.info('Notification created successfully', {
         notificationId: notification.id,
@@ -116,10 +132,23 @@ class NotificationService {
     }
   }
 
+  // Push payload for an in-app notification, linking back to it
+  toPushPayload(notification) {
+    return {
+      title: notification.title,
+      message: notification.message,
+      data: {
+        notificationId: notification.id,
+        type: notification.type,
+        actionUrl: notification.actionUrl,
+        ...(notification.data || {})
+      }
+    };
+  }
+
   // Send push notification to user's devices
   async sendPushNotification(userId, payload) {
     try {
-      // Get user's device tokens (you would store these in a UserDevice model)
       const deviceTokens = await this.getUserDeviceTokens(userId);
       
       if (deviceTokens.length === 0) {
@@ -205,11 +234,60 @@ class NotificationService {
     }
   }
 
-  // Get user's device tokens (mock implementation - you'd implement this based on your UserDevice model)
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // Register an FCM token or web-push subscription for the user's device
+  async registerDevice(userId, { token, type, platform, appVersion = null }) {
+    let value = typeof token === 'string' ? token : JSON.stringify(token);
+
+    if (type === 'webpush') {
+      let subscription;
+      try {
+        subscription = JSON.parse(value);
+      } catch (error) {
+        subscription = null;
+      }
+
+      if (!subscription || !subscription.endpoint || !subscription.keys) {
+        throw new ValidationError('Web push subscriptions need an endpoint and keys');
+      }
+
+      // Stored in one canonical form so the same subscription always hashes the same
+      value = JSON.stringify(subscription);
+    }
+
+    const tokenHash = this.hashToken(value);
+    const existing = await DeviceToken.findOne({ where: { tokenHash } });
+
+    if (existing) {
+      await existing.update({ userId, type, platform, appVersion, lastUsedAt: new Date() });
+      this.logger.info('Device token refreshed', { userId, deviceTokenId: existing.id });
+      return existing;
+    }
+
+    const deviceToken = await DeviceToken.create({
+      userId,
+      type,
+      token: value,
+      tokenHash,
+      platform,
+      appVersion
+    });
+
+    this.logger.info('Device token registered', { userId, deviceTokenId: deviceToken.id, platform });
+
+    return deviceToken;
+  }
+
+  // Get user's device tokens
   async getUserDeviceTokens(userId) {
-    // This is a mock implementation
-    // In a real app, you'd have a UserDevice model to store device tokens
-    return [];
+    return DeviceToken.findAll({
+      where: { userId },
+      attributes: ['id', 'type', 'token'],
+      raw: true
+    });
   }
 
   // Handle failed Firebase tokens
@@ -228,15 +306,95 @@ class NotificationService {
 
     // Remove invalid tokens from database
     if (failedTokens.length > 0) {
-      // Implementation would remove these tokens from UserDevice model
-      this.logger.info('Removed invalid device tokens', { count: failedTokens.length });
+      const count = await DeviceToken.destroy({
+        where: { tokenHash: failedTokens.map(token => this.hashToken(token)) }
+      });
+      this.logger.info('Removed invalid device tokens', { count });
     }
   }
 
-  // Remove device token
+  // Remove device token; returns whether the user had it registered
   async removeDeviceToken(userId, token) {
-    // Implementation would remove token from UserDevice model
-    this.logger.info('Device token removed', { userId });
+    const value = typeof token === 'string' ? token : JSON.stringify(token);
+    const count = await DeviceToken.destroy({
+      where: { userId, tokenHash: this.hashToken(value) }
+    });
+
+    this.logger.info('Device token removed', { userId, removed: count > 0 });
+
+    return count > 0;
+  }
+
+  // Stored notification preferences filled in with defaults
+  resolvePreferences(preferences) {
+    const stored = (preferences && preferences.notifications) || {};
+
+    return {
+      ...DEFAULT_PREFERENCES,
+      ...stored,
+      quietHours: {
+        ...DEFAULT_PREFERENCES.quietHours,
+        ...(stored.quietHours || {})
+      }
+    };
+  }
+
+  // The user's notification preferences, with defaults for anything not set
+  async getPreferences(userId) {
+    const user = await User.findByPk(userId, { attributes: ['id', 'preferences'] });
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    return this.resolvePreferences(user.preferences);
+  }
+
+  // Update some of the user's notification preferences; returns the full set
+  async updatePreferences(userId, changes) {
+    const user = await User.findByPk(userId, { attributes: ['id', 'preferences'] });
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const updates = {};
+    for (const key of SWITCHES) {
+      if (typeof changes[key] === 'boolean') {
+        updates[key] = changes[key];
+      }
+    }
+
+    const preferences = user.preferences || {};
+    const notifications = {
+      ...this.resolvePreferences(preferences),
+      ...updates
+    };
+
+    if (changes.quietHours) {
+      const { enabled, start, end } = changes.quietHours;
+      const quietHours = { ...notifications.quietHours };
+
+      if (typeof enabled === 'boolean') {
+        quietHours.enabled = enabled;
+      }
+      if (CLOCK_TIME.test(start)) {
+        quietHours.start = start;
+      }
+      if (CLOCK_TIME.test(end)) {
+        quietHours.end = end;
+      }
+
+      notifications.quietHours = quietHours;
+      updates.quietHours = quietHours;
+    }
+
+    // Reassign the JSON column so Sequelize sees the change
+    await user.update({ preferences: { ...preferences, notifications } });
+
+    this.logger.info('Notification preferences updated', { userId, updated: Object.keys(updates) });
+
+    return notifications;
   }
 
   // Get user notifications
@@ -302,7 +460,7 @@ class NotificationService {
     });
 
     if (!notification) {
-      throw new Error('Notification not found');
+      throw new NotFoundError('Notification not found');
     }
 
     if (!notification.isRead) {
@@ -348,6 +506,15 @@ class NotificationService {
     return result > 0;
   }
 
+  // Delete all of the user's notifications
+  async clearNotifications(userId) {
+    const count = await Notification.destroy({ where: { userId } });
+
+    this.logger.info('Notifications cleared', { userId, count });
+
+    return count;
+  }
+
   // Get unread notification count
   async getUnreadCount(userId) {
     const count = await Notification.count({
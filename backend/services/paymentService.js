@@ -1,9 +1,11 @@
-const { Payment, Booking, User } = require('../models');
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-const axios = require('axios');
+const { sequelize, Payment, Refund, Booking, Service, User } = require('../models');
 const winston = require('winston');
-const crypto = require('crypto');
 const { Op } = require('sequelize');
+const { getGateway } = require('./gateways');
+const escrowService = require('./escrowService');
+const notificationDispatcher = require('./notificationDispatcher');
+const creditRatingService = require('./creditRatingService');
+const { ValidationError, NotFoundError, PaymentError } = require('../middleware/errorHandler');
 
 // Payment service class
 class PaymentService {
@@ -21,241 +23,137 @@ class PaymentService {
       ]
     });
 
-    this.platformFeeRate = parseFloat(process.env.PLATFORM_FEE_RATE || '0.05'); // 5% default
     this.initializeGateways();
   }
 
   // Initialize payment gateways
   initializeGateways() {
     try {
-      // Stripe initialization
-      if (process.env.STRIPE_SECRET_KEY) {
-        this.logger.info('Stripe payment gateway initialized');
-      } else {
-        this.logger.warn('Stripe secret key not provided');
-      }
+      const keys = {
+        stripe: process.env.STRIPE_SECRET_KEY,
+        paystack: process.env.PAYSTACK_SECRET_KEY,
+        flutterwave: process.env.FLUTTERWAVE_SECRET_KEY
+      };
 
-      // Paystack initialization
-      if (process.env.PAYSTACK_SECRET_KEY) {
-        this.logger.info('Paystack payment gateway initialized');
-      } else {
-        this.logger.warn('Paystack secret key not provided');
-      }
+      Object.entries(keys).forEach(([gateway, key]) => {
+        if (key) {
+          this.logger.info(`${gateway} payment gateway configured`);
+        } else {
+          this.logger.warn(`${gateway} secret key not provided`);
+        }
+      });
     } catch (error) {
       this.logger.error('Failed to initialize payment gateways:', error);
     }
   }
 
-  // Calculate payment breakdown
-  calculatePaymentBreakdown(baseAmount, currency = 'USD') {
-    const base = parseFloat(baseAmount);
-    const platformFee = base * this.platformFeeRate;
-    const total = base + platformFee;
-
-    return {
-      baseAmount: base,
-      platformFee: platformFee,
-      totalAmount: total,
-      currency: currency.toUpperCase()
-    };
+  getGateway(name) {
+    return getGateway(name);
   }
 
-  // Create payment intent with Stripe
-  async createStripePaymentIntent(amount, currency, metadata = {}) {
-    try {
-      const paymentIntent = await stripe.paymentIntents.create({
-        amount: Math.round(amount * 100), // Convert to cents
-        currency: currency.toLowerCase(),
-        metadata,
-        automatic_payment_methods: {
-          enabled: true
-        },
-        capture_method: 'automatic'
-      });
-
-      this.logger.info('Stripe payment intent created', {
-        paymentIntentId: paymentIntent.id,
-        amount,
-        currency
-      });
-
-      return {
-        id: paymentIntent.id,
-        clientSecret: paymentIntent.client_secret,
-        status: paymentIntent.status,
-        amount: paymentIntent.amount / 100
-      };
-    } catch (error) {
-      this.logger.error('Failed to create Stripe payment intent:', error);
-      throw new Error(`Stripe payment intent creation failed: ${error.message}`);
-    }
-  }
+  // Start a checkout for a pending payment; the payment's transactionId is our gateway reference
+  async initializePayment(payment, { email, paymentMethod = 'card', callbackUrl, bankCode } = {}) {
+    const gateway = getGateway(payment.paymentGateway);
 
-  // Initialize Paystack transaction
-  async initializePaystackTransaction(amount, currency, email, metadata = {}) {
     try {
-      const response = await axios.post('https://api.paystack.co/transaction/initialize', {
+      const result = await gateway.initialize({
+        amount: parseFloat(payment.amount),
+        currency: payment.currency,
         email,
-        amount: Math.round(amount * 100), // Convert to kobo
-        currency: currency.toUpperCase(),
-        metadata,
-        callback_url: `${process.env.FRONTEND_URL}/payment/callback`
-      }, {
-        headers: {
-          'Authorization': `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
-          'Content-Type': 'application/json'
+        reference: payment.transactionId,
+        paymentMethod,
+        callbackUrl,
+        bankCode,
+        metadata: {
+          paymentId: payment.id,
+          bookingId: payment.bookingId
         }
       });
 
-      this.logger.info('Paystack transaction initialized', {
-        reference: response.data.data.reference,
-        amount,
-        currency
+      await payment.update({
+        gatewayTransactionId: result.gatewayTransactionId,
+        gatewayReference: result.reference,
+        paymentDetails: {
+          ...(payment.paymentDetails || {}),
+          channel: paymentMethod
+        }
       });
 
-      return {
-        reference: response.data.data.reference,
-        authorizationUrl: response.data.data.authorization_url,
-        accessCode: response.data.data.access_code
-      };
-    } catch (error) {
-      this.logger.error('Failed to initialize Paystack transaction:', error);
-      throw new Error(`Paystack transaction initialization failed: ${error.response?.data?.message || error.message}`);
-    }
-  }
+      this.logger.info('Payment initialized', {
+        paymentId: payment.id,
+        gateway: gateway.name,
+        paymentMethod,
+        amount: payment.amount,
+        currency: payment.currency
+      });
 
-  // Verify Stripe payment
-  async verifyStripePayment(paymentIntentId) {
-    try {
-      const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
-      
-      return {
-        id: paymentIntent.id,
-        status: paymentIntent.status,
-        amount: paymentIntent.amount / 100,
-        currency: paymentIntent.currency.toUpperCase(),
-        paymentMethod: paymentIntent.payment_method,
-        charges: paymentIntent.charges.data
-      };
+      return result;
     } catch (error) {
-      this.logger.error('Failed to verify Stripe payment:', error);
-      throw new Error(`Stripe payment verification failed: ${error.message}`);
+      this.logger.error('Failed to initialize payment:', { paymentId: payment.id, gateway: gateway.name, message: error.message });
+      throw error;
     }
   }
 
-  // Verify Paystack transaction
-  async verifyPaystackTransaction(reference) {
-    try {
-      const response = await axios.get(`https://api.paystack.co/transaction/verify/${reference}`, {
-        headers: {
-          'Authorization': `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
-          'Content-Type': 'application/json'
-        }
-      });
-      
-      const transaction = response.data.data;
-      
-      return {
-        reference: transaction.reference,
-        status: transaction.status,
-        amount: transaction.amount / 100,
-        currency: transaction.currency,
-        paidAt: transaction.paid_at,
-        channel: transaction.channel,
-        fees: transaction.fees / 100
-      };
-    } catch (error) {
-      this.logger.error('Failed to verify Paystack transaction:', error);
-      throw new Error(`Paystack transaction verification failed: ${error.response?.data?.message || error.message}`);
-    }
+  // Ask the payment's gateway for the current state of a charge
+  async verifyPayment(payment, gatewayTransactionId = payment.gatewayTransactionId) {
+    return getGateway(payment.paymentGateway).verify(gatewayTransactionId);
   }
 
-  // Create Paystack refund
-  async createPaystackRefund(transactionId, amount, currency, reason) {
-    try {
-      const response = await axios.post('https://api.paystack.co/refund', {
-        transaction: transactionId,
-        amount: Math.round(amount * 100), // Convert to kobo
-        currency: currency.toUpperCase(),
-        customer_note: reason,
-        merchant_note: `Refund for transaction ${transactionId}`
-      }, {
-        headers: {
-          'Authorization': `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
-          'Content-Type': 'application/json'
-        }
-      });
+  // Refund part or all of a payment through its gateway
+  async refundWithGateway(payment, amount, reason) {
+    const gatewayRefund = await getGateway(payment.paymentGateway).refund({
+      gatewayTransactionId: payment.gatewayTransactionId,
+      amount,
+      currency: payment.currency,
+      reason,
+      metadata: {
+        paymentId: payment.id,
+        bookingId: payment.bookingId
+      }
+    });
 
-      this.logger.info('Paystack refund created', {
-        refundId: response.data.data.id,
-        amount,
-        currency
-      });
+    this.logger.info('Gateway refund created', {
+      paymentId: payment.id,
+      gateway: payment.paymentGateway,
+      refundId: gatewayRefund.id,
+      amount
+    });
 
-      return {
-        id: response.data.data.id,
-        amount: response.data.data.amount / 100, // Convert from kobo
-        currency: response.data.data.currency,
-        status: response.data.data.status,
-        gatewayResponse: response.data.data
-      };
-    } catch (error) {
-      this.logger.error('Failed to create Paystack refund:', error);
-      throw new Error(`Paystack refund creation failed: ${error.response?.data?.message || error.message}`);
-    }
+    return gatewayRefund;
   }
 
   // Process payment completion
   async processPayment(paymentId) {
-    try {
-      const payment = await Payment.findByPk(paymentId, {
-        include: [
-          {
-            model: Booking,
-            as: 'booking',
-            include: [
-              { model: User, as: 'requester' },
-              { model: User, as: 'provider' }
-            ]
-          }
-        ]
-      });
-
-      if (!payment) {
-        throw new Error('Payment not found');
-      }
+    const payment = await Payment.findByPk(paymentId, {
+      include: [
+        {
+          model: Booking,
+          as: 'booking',
+          include: [
+            { model: User, as: 'requester' },
+            { model: User, as: 'provider' }
+          ]
+        }
+      ]
+    });
 
-      if (payment.status !== 'pending') {
-        throw new Error('Payment is not in pending status');
-      }
+    if (!payment) {
+      throw new NotFoundError('Payment not found');
+    }
 
-      let gatewayResponse;
+    if (payment.status !== 'pending') {
+      throw new ValidationError('Payment is not in pending status');
+    }
 
+    try {
       // Verify payment with gateway
-      if (payment.gateway === 'stripe') {
-        gatewayResponse = await this.verifyStripePayment(payment.gatewayTransactionId);
-        
-        if (gatewayResponse.status !== 'succeeded') {
-          throw new Error('Payment not completed on Stripe');
-        }
-      } else if (payment.gateway === 'paystack') {
-        gatewayResponse = await this.verifyPaystackTransaction(payment.gatewayTransactionId);
-        
-        if (gatewayResponse.status !== 'success') {
-          throw new Error('Payment not completed on Paystack');
-        }
-      } else {
-        throw new Error('Unsupported payment gateway');
+      const gatewayResponse = await this.verifyPayment(payment);
+
+      if (gatewayResponse.status !== 'succeeded') {
+        throw new PaymentError(`Payment not completed on ${payment.paymentGateway}`);
       }
 
-      // Update payment status
-      await payment.update({
-        status: 'completed',
-        completedAt: new Date(),
-        gatewayResponse,
-        actualAmount: gatewayResponse.amount,
-        gatewayFee: gatewayResponse.fees || 0
-      });
+      await escrowService.holdPayment(payment, { webhookData: gatewayResponse.raw });
 
       // Update booking status if needed
       if (payment.booking && payment.booking.status === 'pending') {
@@ -268,107 +166,175 @@ class PaymentService {
       this.logger.info('Payment processed successfully', {
         paymentId,
         amount: payment.amount,
-        gateway: payment.gateway
+        gateway: payment.paymentGateway
       });
 
       return payment;
     } catch (error) {
-      this.logger.error('Failed to process payment:', error);
-      
-      // Update payment status to failed
-      await Payment.update(
-        {
-          status: 'failed',
-          failedAt: new Date(),
-          failureReason: error.message
-        },
-        { where: { id: paymentId } }
-      );
-      
+      this.logger.error('Failed to process payment:', { paymentId, message: error.message });
+
+      // Schedules the next retry with backoff, or fails the payment for good
+      await payment.markAsFailed(error.message);
+
       throw error;
     }
   }
 
-  // Process refund
-  async processRefund(paymentId, reason, amount = null) {
-    try {
-      const payment = await Payment.findByPk(paymentId);
+  // Refund part or all of a captured payment through its gateway
+  async processRefund(paymentId, reason, amount = null, { initiatedBy = null, source = 'system', reference = null } = {}) {
+    const payment = await Payment.findByPk(paymentId);
+
+    if (!payment) {
+      throw new NotFoundError('Payment not found');
+    }
+
+    // Reserve the amount first so concurrent refunds can't exceed the capture
+    const { refund, existing } = await sequelize.transaction(async (transaction) => {
+      await payment.reload({ transaction, lock: transaction.LOCK.UPDATE });
 
-      if (!payment) {
-        throw new Error('Payment not found');
+      // A retried caller gets the refund it already made instead of a second one
+      if (reference) {
+        const previous = await Refund.findOne({
+          where: { paymentId: payment.id, reference, status: ['pending', 'succeeded', 'needs_reconciliation'] },
+          transaction
+        });
+
+        if (previous && previous.status !== 'succeeded') {
+          throw new ValidationError(`Refund ${previous.refundNumber} for ${reference} is ${previous.status.replace('_', ' ')}`);
+        }
+
+        if (previous) {
+          return { refund: previous, existing: true };
+        }
       }
 
-      if (payment.status !== 'completed') {
-        throw new Error('Only completed payments can be refunded');
+      if (!payment.canBeRefunded()) {
+        throw new ValidationError(`Payment cannot be refunded from status ${payment.status}`);
       }
 
-      const maxRefundAmount = payment.amount - (payment.refundedAmount || 0);
-      const refundAmount = amount ? Math.min(amount, maxRefundAmount) : maxRefundAmount;
+      const refundable = await payment.getRefundableAmount({ transaction });
+      const refundAmount = amount === null || amount === undefined
+        ? refundable
+        : Math.round(parseFloat(amount) * 100) / 100;
 
-      if (refundAmount <= 0) {
-        throw new Error('Invalid refund amount');
+      if (refundable <= 0) {
+        throw new ValidationError('Payment has already been fully refunded');
       }
 
-      let gatewayRefund;
-
-      // Process refund with gateway
-      if (payment.gateway === 'stripe') {
-        gatewayRefund = await stripe.refunds.create({
-          payment_intent: payment.gatewayTransactionId,
-          amount: Math.round(refundAmount * 100),
-          reason: 'requested_by_customer',
-          metadata: {
-            paymentId: payment.id,
-            refundReason: reason
-          }
-        });
-      } else if (payment.gateway === 'paystack') {
-        gatewayRefund = await this.createPaystackRefund(
-          payment.gatewayTransactionId,
-          refundAmount,
-          payment.currency,
-          reason
-        );
-      } else {
-        throw new Error('Unsupported payment gateway for refunds');
+      if (!(refundAmount > 0) || refundAmount > refundable) {
+        throw new ValidationError(`Refund amount must be between 0.01 and ${refundable} ${payment.currency}`);
       }
 
-      // Update payment with refund information
-      const refundDetails = payment.refundDetails || [];
-      refundDetails.push({
+      const created = await Refund.create({
+        paymentId: payment.id,
         amount: refundAmount,
+        currency: payment.currency,
         reason,
-        processedAt: new Date(),
-        gatewayRefundId: gatewayRefund.id,
-        gatewayResponse: gatewayRefund
-      });
+        status: 'pending',
+        source,
+        reference,
+        initiatedBy,
+        refundMethod: payment.paymentMethod,
+        gateway: payment.paymentGateway
+      }, { transaction });
+
+      return { refund: created, existing: false };
+    });
 
-      const totalRefunded = (payment.refundedAmount || 0) + refundAmount;
-      const refundStatus = totalRefunded >= payment.amount ? 'completed' : 'partial';
+    if (existing) {
+      return { refund, payment };
+    }
 
-      await payment.update({
-        refundStatus,
-        refundedAmount: totalRefunded,
-        refundDetails,
-        refundedAt: refundStatus === 'completed' ? new Date() : payment.refundedAt
-      });
+    let gatewayRefund;
+    try {
+      gatewayRefund = await this.refundWithGateway(payment, parseFloat(refund.amount), reason);
+    } catch (error) {
+      await refund.update({ status: 'failed', failureReason: error.message });
+      this.logger.error('Gateway refund failed', { paymentId, refundId: refund.id, message: error.message });
+      throw error;
+    }
 
-      this.logger.info('Refund processed successfully', {
-        paymentId,
-        refundAmount,
-        gateway: payment.gateway,
-        gatewayRefundId: gatewayRefund.id
+    try {
+      await sequelize.transaction(async (transaction) => {
+        await refund.update({
+          status: 'succeeded',
+          gatewayRefundId: gatewayRefund.id,
+          gatewayResponse: gatewayRefund.raw
+        }, { transaction });
+
+        await payment.applyRefund(refund, { transaction });
       });
-
-      return {
-        refundId: gatewayRefund.id,
-        amount: refundAmount,
-        status: refundStatus
-      };
     } catch (error) {
-      this.logger.error('Failed to process refund:', error);
+      // The money has left the gateway, so the refund can neither fail nor be retried
+      await this.flagForReconciliation(refund, gatewayRefund, error);
       throw error;
     }
+
+    this.logger.info('Refund processed successfully', {
+      paymentId,
+      refundId: refund.id,
+      amount: refund.amount,
+      gateway: payment.paymentGateway,
+      gatewayRefundId: gatewayRefund.id,
+      paymentStatus: payment.status
+    });
+
+    return { refund, payment };
+  }
+
+  // Keep a gateway-settled refund we couldn't record on the admin queue instead of losing it
+  async flagForReconciliation(refund, gatewayRefund, error) {
+    this.logger.error('Refund settled at the gateway but not recorded; needs reconciliation', {
+      paymentId: refund.paymentId,
+      refundId: refund.id,
+      gatewayRefundId: gatewayRefund.id,
+      message: error.message
+    });
+
+    try {
+      // Drop the values the rolled-back transaction left on the instance
+      await refund.reload();
+      await refund.update({
+        status: 'needs_reconciliation',
+        gatewayRefundId: gatewayRefund.id,
+        gatewayResponse: gatewayRefund.raw,
+        failureReason: error.message
+      });
+    } catch (updateError) {
+      this.logger.error('Failed to flag refund for reconciliation', {
+        refundId: refund.id,
+        message: updateError.message
+      });
+    }
+  }
+
+  // Refunds for the admin queue, newest first; filter by status to find the ones needing reconciliation
+  async getRefunds({ page = 1, limit = 20, status, gateway } = {}) {
+    const offset = (page - 1) * limit;
+    const where = {};
+
+    if (status) where.status = status;
+    if (gateway) where.gateway = gateway;
+
+    const { count, rows: refunds } = await Refund.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    return {
+      refunds,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalRefunds: count,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    };
   }
 
   // Calculate refund amount based on cancellation policy
@@ -447,7 +413,7 @@ class PaymentService {
       }) || 0;
       
       const totalRefunded = await Payment.sum('refundedAmount', {
-        where: { ...where, refundStatus: { [Op.in]: ['partial', 'completed'] } }
+        where: { ...where, status: { [Op.in]: ['partially_refunded', 'refunded'] } }
       }) || 0;
 
       const averageTransactionValue = completedPayments > 0 ? totalRevenue / completedPayments : 0;
@@ -470,63 +436,116 @@ class PaymentService {
     }
   }
 
-  // Retry failed payments
+  // Retry failed charges whose backoff has elapsed
   async retryFailedPayments(limit = 10) {
-    try {
-      const failedPayments = await Payment.findAll({
-        where: {
-          status: 'failed',
-          retryCount: {
-            [Op.lt]: 3 // Maximum 3 retry attempts
-          },
-          createdAt: {
-            [Op.gte]: new Date(Date.now() - 24 * 60 * 60 * 1000) // Only retry payments from last 24 hours
-          }
-        },
-        limit,
-        order: [['createdAt', 'ASC']]
-      });
-
-      const results = [];
-
-      for (const payment of failedPayments) {
-        try {
-          await this.processPayment(payment.id);
-          results.push({ paymentId: payment.id, status: 'success' });
-        } catch (error) {
-          await payment.update({
-            retryCount: (payment.retryCount || 0) + 1,
-            lastRetryAt: new Date()
-          });
-          results.push({ paymentId: payment.id, status: 'failed', error: error.message });
+    const payments = await Payment.getFailedPaymentsForRetry(limit);
+    const results = [];
+
+    for (const payment of payments) {
+      try {
+        await this.processPayment(payment.id);
+        results.push({ paymentId: payment.id, status: 'success' });
+      } catch (error) {
+        await payment.reload();
+
+        if (payment.status === 'failed') {
+          await creditRatingService.scheduleRecalculation(payment.payerId, 'payment');
         }
+
+        results.push({
+          paymentId: payment.id,
+          status: payment.status === 'failed' ? 'failed' : 'retry_scheduled',
+          attempts: payment.attempts,
+          nextRetryAt: payment.status === 'failed' ? null : payment.nextRetryAt,
+          error: error.message
+        });
       }
+    }
+
+    this.logger.info('Failed payments retry completed', {
+      attempted: payments.length,
+      successful: results.filter(r => r.status === 'success').length,
+      exhausted: results.filter(r => r.status === 'failed').length
+    });
+
+    return results;
+  }
 
-      this.logger.info('Failed payments retry completed', {
-        attempted: failedPayments.length,
-        successful: results.filter(r => r.status === 'success').length
+  // Expire pending payments nobody completed before expiresAt
+  async expireStalePayments(now = new Date(), limit = 100) {
+    const payments = await Payment.findAll({
+      where: {
+        status: 'pending',
+        expiresAt: { [Op.lte]: now },
+        // Payments waiting on a scheduled retry are not stale
+        nextRetryAt: null
+      },
+      order: [['expiresAt', 'ASC']],
+      limit
+    });
+
+    for (const payment of payments) {
+      await payment.update({
+        status: 'expired',
+        errorMessage: 'Payment was not completed before it expired'
       });
+    }
 
-      return results;
-    } catch (error) {
-      this.logger.error('Failed to retry failed payments:', error);
-      throw error;
+    if (payments.length > 0) {
+      this.logger.info('Expired stale pending payments', { count: payments.length });
     }
+
+    return payments.map(payment => payment.id);
   }
 
-  // Validate webhook signature
-  validateWebhookSignature(payload, signature, secret, gateway) {
+  // Tell both sides a charge failed for good
+  async notifyPaymentFailed(paymentId) {
+    const payment = await Payment.findByPk(paymentId, {
+      include: [
+        {
+          model: Booking,
+          as: 'booking',
+          include: [{ model: Service, as: 'service', attributes: ['id', 'title'] }]
+        }
+      ]
+    });
+
+    if (!payment || payment.status !== 'failed') {
+      return { notified: 0 };
+    }
+
+    const serviceName = payment.booking?.service?.title || 'your booking';
+    const data = {
+      paymentId: payment.id,
+      bookingId: payment.bookingId,
+      amount: payment.amount,
+      currency: payment.currency,
+      reason: payment.errorMessage
+    };
+
+    await notificationDispatcher.dispatch(payment.payerId, {
+      type: 'payment_failed',
+      title: 'Payment Failed',
+      message: `We couldn't complete your payment of ${payment.amount} ${payment.currency} for ${serviceName} after ${payment.attempts} attempts. Please try another payment method.`,
+      data,
+      priority: 'high',
+      sms: true
+    });
+
+    await notificationDispatcher.dispatch(payment.payeeId, {
+      type: 'payment_failed',
+      title: 'Client Payment Failed',
+      message: `The client's payment for ${serviceName} could not be completed. The booking stays unpaid until they pay again.`,
+      data
+    });
+
+    return { notified: 2 };
+  }
+
+  // Validate webhook signature against the raw request body
+  validateWebhookSignature(gateway, rawBody, headers) {
     try {
-      if (gateway === 'stripe') {
-        return stripe.webhooks.constructEvent(payload, signature, secret);
-      } else if (gateway === 'paystack') {
-        const hash = crypto
-          .createHmac('sha512', secret)
-          .update(payload)
-          .digest('hex');
-        return hash === signature;
-      }
-      return false;
+      return getGateway(gateway).verifyWebhook(rawBody, headers);
     } catch (error) {
       this.logger.error('Webhook signature validation failed:', error);
       return false;
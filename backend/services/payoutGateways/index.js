@@ -0,0 +1,48 @@
+/**
+ * Payout gateway registry.
+ *
+ * Each adapter implements:
+ *   resolveAccount({ accountNumber, bankCode }) -> { accountNumber, accountName, bankCode }
+ *   createRecipient({ accountName, accountNumber, bankCode, currency }) -> { recipientCode, bankName }
+ *   initiateTransfer({ amount, currency, recipientCode, reference, reason }) -> { transferCode, status, gatewayResponse }
+ *   verifyTransfer(reference) -> { transferCode, status, failureReason, gatewayResponse },
+ *     or null when the gateway has no transfer with that reference
+ *
+ * Statuses returned by adapters are withdrawal statuses
+ * (processing, paid, failed, reversed). Adapters are loaded lazily so that
+ * an unused gateway's client library is never required. The local gateway
+ * is only available in test and development.
+ */
+const adapters = {
+  paystack: () => require('./paystackPayoutGateway')
+};
+
+const LOCAL_ENVIRONMENTS = ['test', 'development'];
+
+if (LOCAL_ENVIRONMENTS.includes(process.env.NODE_ENV)) {
+  adapters.local = () => require('./localPayoutGateway');
+}
+
+const instances = {};
+
+const getDefaultGatewayName = () => (
+  process.env.PAYOUT_GATEWAY || (process.env.NODE_ENV === 'test' ? 'local' : 'paystack')
+);
+
+const getPayoutGateway = (name = getDefaultGatewayName()) => {
+  if (!adapters[name]) {
+    throw new Error(`Unsupported payout gateway: ${name}`);
+  }
+
+  if (!instances[name]) {
+    const Adapter = adapters[name]();
+    instances[name] = new Adapter();
+  }
+
+  return instances[name];
+};
+
+module.exports = {
+  getPayoutGateway,
+  getDefaultGatewayName
+};
@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+
+/**
+ * In-memory payout gateway for development and tests.
+ *
+ * Any 10-digit account number resolves to a deterministic name unless a
+ * name has been registered with setAccount(). Transfers stay "processing"
+ * until settleTransfer() is called, mirroring how real gateways confirm
+ * transfers asynchronously by webhook. Account numbers starting with "000"
+ * fail resolution.
+ */
+class LocalPayoutGateway {
+  constructor() {
+    this.name = 'local';
+    this.accounts = new Map();
+    this.transfers = new Map();
+  }
+
+  accountKey(accountNumber, bankCode) {
+    return `${bankCode}:${accountNumber}`;
+  }
+
+  setAccount({ accountNumber, bankCode, accountName }) {
+    this.accounts.set(this.accountKey(accountNumber, bankCode), accountName);
+  }
+
+  async resolveAccount({ accountNumber, bankCode }) {
+    if (!/^\d{10}$/.test(accountNumber) || accountNumber.startsWith('000')) {
+      throw new Error('Could not resolve account name. Check account number and bank');
+    }
+
+    const accountName = this.accounts.get(this.accountKey(accountNumber, bankCode))
+      || `TEST ACCOUNT ${accountNumber.slice(-4)}`;
+
+    return { accountNumber, accountName, bankCode };
+  }
+
+  async createRecipient({ accountNumber, bankCode }) {
+    const digest = crypto.createHash('sha1').update(this.accountKey(accountNumber, bankCode)).digest('hex');
+
+    return {
+      recipientCode: `RCP_local_${digest.slice(0, 12)}`,
+      bankName: null
+    };
+  }
+
+  async initiateTransfer({ amount, currency = 'NGN', recipientCode, reference }) {
+    const transfer = {
+      transferCode: `TRF_local_${reference}`,
+      status: 'processing',
+      failureReason: null,
+      gatewayResponse: { amount, currency, recipientCode, reference }
+    };
+
+    this.transfers.set(reference, transfer);
+    return transfer;
+  }
+
+  async verifyTransfer(reference) {
+    return this.transfers.get(reference) || null;
+  }
+
+  // Test helper: move a transfer to its final state
+  settleTransfer(reference, status = 'paid', failureReason = null) {
+    const transfer = this.transfers.get(reference);
+    if (transfer) {
+      transfer.status = status;
+      transfer.failureReason = failureReason;
+    }
+
+    return transfer;
+  }
+
+  reset() {
+    this.accounts.clear();
+    this.transfers.clear();
+  }
+}
+
+module.exports = LocalPayoutGateway;
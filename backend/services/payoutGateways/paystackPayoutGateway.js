@@ -0,0 +1,121 @@
+const axios = require('axios');
+
+const PAYSTACK_BASE_URL = 'https://api.paystack.co';
+
+// Map Paystack transfer statuses onto withdrawal statuses
+const TRANSFER_STATUS_MAP = {
+  pending: 'processing',
+  otp: 'processing',
+  received: 'processing',
+  success: 'paid',
+  failed: 'failed',
+  abandoned: 'failed',
+  blocked: 'failed',
+  rejected: 'failed',
+  reversed: 'reversed'
+};
+
+// Paystack payouts via transfer recipients and transfers
+class PaystackPayoutGateway {
+  constructor() {
+    this.name = 'paystack';
+  }
+
+  request(method, path, data) {
+    return axios({
+      method,
+      url: `${PAYSTACK_BASE_URL}${path}`,
+      data,
+      headers: {
+        'Authorization': `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  mapTransferStatus(status) {
+    return TRANSFER_STATUS_MAP[status] || 'processing';
+  }
+
+  // Resolve the registered name on a bank account
+  async resolveAccount({ accountNumber, bankCode }) {
+    try {
+      const response = await this.request(
+        'get',
+        `/bank/resolve?account_number=${encodeURIComponent(accountNumber)}&bank_code=${encodeURIComponent(bankCode)}`
+      );
+
+      return {
+        accountNumber: response.data.data.account_number,
+        accountName: response.data.data.account_name,
+        bankCode
+      };
+    } catch (error) {
+      throw new Error(`Paystack account resolution failed: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  // Register a bank account as a transfer recipient
+  async createRecipient({ accountName, accountNumber, bankCode, currency = 'NGN' }) {
+    try {
+      const response = await this.request('post', '/transferrecipient', {
+        type: 'nuban',
+        name: accountName,
+        account_number: accountNumber,
+        bank_code: bankCode,
+        currency: currency.toUpperCase()
+      });
+
+      return {
+        recipientCode: response.data.data.recipient_code,
+        bankName: response.data.data.details?.bank_name || null
+      };
+    } catch (error) {
+      throw new Error(`Paystack recipient creation failed: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  // Send money from the Paystack balance to a recipient
+  async initiateTransfer({ amount, currency = 'NGN', recipientCode, reference, reason }) {
+    try {
+      const response = await this.request('post', '/transfer', {
+        source: 'balance',
+        amount: Math.round(amount * 100), // Convert to kobo
+        currency: currency.toUpperCase(),
+        recipient: recipientCode,
+        reference,
+        reason
+      });
+
+      return {
+        transferCode: response.data.data.transfer_code,
+        status: this.mapTransferStatus(response.data.data.status),
+        gatewayResponse: response.data.data
+      };
+    } catch (error) {
+      throw new Error(`Paystack transfer failed: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  // Look up the current state of a transfer by our reference
+  async verifyTransfer(reference) {
+    try {
+      const response = await this.request('get', `/transfer/verify/${encodeURIComponent(reference)}`);
+
+      return {
+        transferCode: response.data.data.transfer_code,
+        status: this.mapTransferStatus(response.data.data.status),
+        failureReason: response.data.data.reason || null,
+        gatewayResponse: response.data.data
+      };
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+
+      throw new Error(`Paystack transfer verification failed: ${error.response?.data?.message || error.message}`);
+    }
+  }
+}
+
+module.exports = PaystackPayoutGateway;
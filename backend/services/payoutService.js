@@ -0,0 +1,549 @@
+const { sequelize, User, PayoutAccount, Withdrawal } = require('../models');
+const { Op } = require('sequelize');
+const winston = require('winston');
+const ledgerService = require('./ledgerService');
+const notificationDispatcher = require('./notificationDispatcher');
+const kycTierService = require('./kycTierService');
+const creditRatingService = require('./creditRatingService');
+const { getPayoutGateway, getDefaultGatewayName } = require('./payoutGateways');
+const { ValidationError, NotFoundError, PaymentError } = require('../middleware/errorHandler');
+const { roundAmount } = ledgerService;
+
+// Withdrawal status changes a gateway may report for each current status
+const ALLOWED_TRANSITIONS = {
+  queued: ['processing', 'paid', 'failed'],
+  processing: ['paid', 'failed', 'reversed'],
+  paid: ['reversed'],
+  failed: [],
+  reversed: []
+};
+
+// Gateway webhook events for transfers
+const TRANSFER_EVENTS = {
+  'transfer.success': 'paid',
+  'transfer.failed': 'failed',
+  'transfer.reversed': 'reversed'
+};
+
+// Payout service class
+class PayoutService {
+  constructor() {
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/payout-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/payout.log' })
+      ]
+    });
+
+    this.minWithdrawalAmount = parseFloat(process.env.MIN_WITHDRAWAL_AMOUNT || '100');
+    this.dailyWithdrawalLimit = parseFloat(process.env.DAILY_WITHDRAWAL_LIMIT || '500000');
+    this.dailyWithdrawalCount = parseInt(process.env.DAILY_WITHDRAWAL_COUNT || '5');
+    this.maxTransferAttempts = parseInt(process.env.PAYOUT_MAX_ATTEMPTS || '3');
+    // How long a claimed transfer may be missing at the gateway before it counts as never sent
+    this.transferConfirmDelay = parseInt(process.env.PAYOUT_CONFIRM_DELAY_MINUTES || '10') * 60 * 1000;
+  }
+
+  // Look up the name on a bank account without saving it
+  async resolveAccount({ accountNumber, bankCode }, gateway = getPayoutGateway()) {
+    try {
+      return await gateway.resolveAccount({ accountNumber, bankCode });
+    } catch (error) {
+      throw new ValidationError(error.message);
+    }
+  }
+
+  // Verify and save a payout account
+  async addPayoutAccount(userId, {
+    accountNumber,
+    bankCode,
+    bankName = null,
+    accountType = 'bank',
+    currency = ledgerService.baseCurrency,
+    isDefault = false
+  }) {
+    const existing = await PayoutAccount.findOne({
+      where: { userId, bankCode, accountNumber }
+    });
+
+    if (existing) {
+      throw new ValidationError('This payout account has already been added');
+    }
+
+    const gateway = getPayoutGateway();
+    const resolved = await this.resolveAccount({ accountNumber, bankCode }, gateway);
+    const recipient = await gateway.createRecipient({
+      accountName: resolved.accountName,
+      accountNumber,
+      bankCode,
+      currency
+    });
+
+    const accountCount = await PayoutAccount.count({ where: { userId } });
+    const makeDefault = isDefault || accountCount === 0;
+
+    const account = await sequelize.transaction(async (transaction) => {
+      if (makeDefault) {
+        await PayoutAccount.update({ isDefault: false }, { where: { userId }, transaction });
+      }
+
+      return PayoutAccount.create({
+        userId,
+        accountType,
+        bankCode,
+        bankName: bankName || recipient.bankName,
+        accountNumber,
+        accountName: resolved.accountName,
+        currency: currency.toUpperCase(),
+        gateway: gateway.name,
+        recipientCode: recipient.recipientCode,
+        isDefault: makeDefault,
+        isVerified: true,
+        verifiedAt: new Date()
+      }, { transaction });
+    });
+
+    this.logger.info('Payout account added', {
+      userId,
+      payoutAccountId: account.id,
+      gateway: gateway.name
+    });
+
+    return account;
+  }
+
+  async getPayoutAccounts(userId) {
+    return PayoutAccount.findAll({
+      where: { userId },
+      order: [['isDefault', 'DESC'], ['createdAt', 'DESC']]
+    });
+  }
+
+  async setDefaultPayoutAccount(userId, payoutAccountId) {
+    const account = await PayoutAccount.findOne({ where: { id: payoutAccountId, userId } });
+    if (!account) {
+      throw new NotFoundError('Payout account not found');
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await PayoutAccount.update({ isDefault: false }, { where: { userId }, transaction });
+      await account.update({ isDefault: true }, { transaction });
+    });
+
+    return account;
+  }
+
+  async removePayoutAccount(userId, payoutAccountId) {
+    const account = await PayoutAccount.findOne({ where: { id: payoutAccountId, userId } });
+    if (!account) {
+      throw new NotFoundError('Payout account not found');
+    }
+
+    const inFlight = await Withdrawal.count({
+      where: { payoutAccountId, status: ['queued', 'processing'] }
+    });
+
+    if (inFlight > 0) {
+      throw new ValidationError('Cannot remove a payout account with withdrawals in progress');
+    }
+
+    await account.destroy();
+
+    if (account.isDefault) {
+      const next = await PayoutAccount.findOne({
+        where: { userId },
+        order: [['createdAt', 'DESC']]
+      });
+
+      if (next) {
+        await next.update({ isDefault: true });
+      }
+    }
+
+    return account;
+  }
+
+  // Amount and number of withdrawals counted against today's limits
+  async getDailyUsage(userId, currency = ledgerService.baseCurrency, options = {}) {
+    // Same day boundary as the KYC tier limits this usage is checked against
+    const where = {
+      userId,
+      currency: currency.toUpperCase(),
+      status: { [Op.notIn]: ['failed', 'reversed'] },
+      createdAt: { [Op.gte]: kycTierService.startOfDay() }
+    };
+
+    const [amount, count] = await Promise.all([
+      Withdrawal.sum('amount', { where, transaction: options.transaction }),
+      Withdrawal.count({ where, transaction: options.transaction })
+    ]);
+
+    return {
+      amount: roundAmount(amount),
+      count,
+      remainingAmount: Math.max(roundAmount(this.dailyWithdrawalLimit - (amount || 0)), 0),
+      remainingCount: Math.max(this.dailyWithdrawalCount - count, 0)
+    };
+  }
+
+  // Debit the wallet and queue a transfer to a saved payout account
+  async requestWithdrawal(userId, {
+    amount,
+    payoutAccountId = null,
+    currency = ledgerService.baseCurrency,
+    reason = null
+  }) {
+    const withdrawalAmount = roundAmount(amount);
+
+    if (withdrawalAmount < this.minWithdrawalAmount) {
+      throw new PaymentError(`Minimum withdrawal amount is ${this.minWithdrawalAmount}`);
+    }
+
+    const account = await PayoutAccount.findOne({
+      where: payoutAccountId ? { id: payoutAccountId, userId } : { userId, isDefault: true }
+    });
+
+    if (!account) {
+      throw new PaymentError('Payout account not found. Add a bank account before withdrawing');
+    }
+
+    const tierState = await kycTierService.getTier(userId);
+
+    const withdrawal = await sequelize.transaction(async (transaction) => {
+      // Serialize withdrawals per user so balance and limit checks can't race
+      await User.findByPk(userId, { transaction, lock: transaction.LOCK.UPDATE });
+
+      const usage = await this.getDailyUsage(userId, currency, { transaction });
+      if (usage.remainingCount <= 0) {
+        throw new PaymentError(`Daily withdrawal limit of ${this.dailyWithdrawalCount} requests reached`);
+      }
+      if (withdrawalAmount > usage.remainingAmount) {
+        throw new PaymentError(`Daily withdrawal limit exceeded. You can withdraw up to ${usage.remainingAmount} today`);
+      }
+
+      const available = await ledgerService.getBalance('wallet', userId, currency, { transaction });
+      if (withdrawalAmount > available) {
+        throw new PaymentError('Insufficient available balance');
+      }
+
+      await kycTierService.assertWithdrawalAllowed(tierState, {
+        amount: withdrawalAmount,
+        usedToday: usage.amount,
+        currency
+      });
+
+      const created = await Withdrawal.create({
+        reference: Withdrawal.generateReference(),
+        userId,
+        payoutAccountId: account.id,
+        amount: withdrawalAmount,
+        currency: currency.toUpperCase(),
+        gateway: account.gateway,
+        reason
+      }, { transaction });
+
+      await ledgerService.recordWithdrawal(created, { transaction });
+
+      return created;
+    });
+
+    this.logger.info('Withdrawal requested', {
+      withdrawalId: withdrawal.id,
+      reference: withdrawal.reference,
+      userId,
+      amount: withdrawalAmount
+    });
+
+    return this.processWithdrawal(withdrawal);
+  }
+
+  // Send a queued withdrawal to its gateway
+  async processWithdrawal(withdrawal) {
+    // Claim the row first; the request and the scheduled job can both pick up a queued withdrawal
+    const [claimed] = await Withdrawal.update(
+      { status: 'processing', attempts: withdrawal.attempts + 1, processedAt: new Date() },
+      { where: { id: withdrawal.id, status: 'queued', attempts: withdrawal.attempts } }
+    );
+
+    await withdrawal.reload();
+    if (!claimed) {
+      return withdrawal;
+    }
+
+    const account = await PayoutAccount.findByPk(withdrawal.payoutAccountId, { paranoid: false });
+
+    try {
+      const transfer = await getPayoutGateway(withdrawal.gateway).initiateTransfer({
+        amount: parseFloat(withdrawal.amount),
+        currency: withdrawal.currency,
+        recipientCode: account.recipientCode,
+        reference: withdrawal.reference,
+        reason: withdrawal.reason || `Withdrawal ${withdrawal.reference}`
+      });
+
+      await withdrawal.update({
+        gatewayTransferCode: transfer.transferCode,
+        gatewayResponse: transfer.gatewayResponse || {},
+        failureReason: null
+      });
+
+      return this.applyTransferStatus(withdrawal, transfer.status, {
+        failureReason: transfer.failureReason
+      });
+    } catch (error) {
+      this.logger.error('Failed to initiate withdrawal transfer', {
+        withdrawalId: withdrawal.id,
+        attempts: withdrawal.attempts,
+        message: error.message
+      });
+
+      // A timeout may still have reached the gateway, so the withdrawal stays processing
+      // until refreshWithdrawalStatus confirms whether the transfer exists
+      await withdrawal.update({ failureReason: error.message });
+      return withdrawal;
+    }
+  }
+
+  // The gateway never received the transfer: queue it again, or give the money back once attempts run out
+  async retryOrFail(withdrawal) {
+    const failureReason = withdrawal.failureReason || 'Transfer was not received by the gateway';
+
+    if (withdrawal.attempts >= this.maxTransferAttempts) {
+      return this.applyTransferStatus(withdrawal, 'failed', { failureReason });
+    }
+
+    await Withdrawal.update(
+      { status: 'queued', failureReason },
+      { where: { id: withdrawal.id, status: 'processing' } }
+    );
+
+    return withdrawal.reload();
+  }
+
+  // Move a withdrawal to a new status and post the matching ledger journal
+  async applyTransferStatus(withdrawal, status, { failureReason = null, gatewayResponse = null } = {}) {
+    // Webhooks, the poller and the request itself can report on the same transfer at once
+    const applied = await sequelize.transaction(async (transaction) => {
+      await withdrawal.reload({ transaction, lock: transaction.LOCK.UPDATE });
+
+      if (status === withdrawal.status) {
+        return false;
+      }
+
+      if (!ALLOWED_TRANSITIONS[withdrawal.status].includes(status)) {
+        this.logger.warn('Ignoring withdrawal status change', {
+          withdrawalId: withdrawal.id,
+          from: withdrawal.status,
+          to: status
+        });
+        return false;
+      }
+
+      const updates = { status };
+      if (failureReason) {
+        updates.failureReason = failureReason;
+      }
+      if (gatewayResponse) {
+        updates.gatewayResponse = gatewayResponse;
+      }
+
+      await withdrawal.update(updates, { transaction });
+
+      if (status === 'paid') {
+        await ledgerService.recordWithdrawalPaid(withdrawal, { transaction });
+      } else if (status === 'failed' || status === 'reversed') {
+        await ledgerService.recordWithdrawalReversal(withdrawal, { transaction });
+      }
+
+      return true;
+    });
+
+    if (!applied) {
+      return withdrawal;
+    }
+
+    this.logger.info('Withdrawal status updated', {
+      withdrawalId: withdrawal.id,
+      reference: withdrawal.reference,
+      status
+    });
+
+    await this.notifyStatusChange(withdrawal);
+
+    if (['paid', 'failed', 'reversed'].includes(status)) {
+      await creditRatingService.scheduleRecalculation(withdrawal.userId, 'withdrawal');
+    }
+
+    return withdrawal;
+  }
+
+  async notifyStatusChange(withdrawal) {
+    if (!['paid', 'failed', 'reversed'].includes(withdrawal.status)) {
+      return;
+    }
+
+    const paid = withdrawal.status === 'paid';
+
+    try {
+      await notificationDispatcher.dispatch(withdrawal.userId, {
+        type: paid ? 'withdrawal_completed' : 'withdrawal_failed',
+        title: paid ? 'Withdrawal Successful' : 'Withdrawal Unsuccessful',
+        message: paid
+          ? `Your withdrawal of ${withdrawal.currency} ${withdrawal.amount} has been paid to your bank account`
+          : `Your withdrawal of ${withdrawal.currency} ${withdrawal.amount} could not be completed and has been returned to your balance`,
+        data: {
+          withdrawalId: withdrawal.id,
+          reference: withdrawal.reference,
+          amount: withdrawal.amount,
+          status: withdrawal.status
+        }
+      });
+    } catch (error) {
+      this.logger.error('Failed to send withdrawal notification', {
+        withdrawalId: withdrawal.id,
+        message: error.message
+      });
+    }
+  }
+
+  // Apply a transfer webhook event; returns null for events that aren't ours
+  async handleTransferEvent(event, data = {}, withdrawal = null) {
+    const status = TRANSFER_EVENTS[event];
+    if (!status || !data.reference) {
+      return null;
+    }
+
+    withdrawal = withdrawal || await Withdrawal.findOne({ where: { reference: data.reference } });
+    if (!withdrawal) {
+      this.logger.warn('Transfer event for unknown withdrawal', { event, reference: data.reference });
+      return null;
+    }
+
+    if (!withdrawal.gatewayTransferCode && data.transfer_code) {
+      await withdrawal.update({ gatewayTransferCode: data.transfer_code });
+    }
+
+    return this.applyTransferStatus(withdrawal, status, {
+      failureReason: status === 'paid' ? null : (data.reason || data.gateway_response || `Transfer ${status}`),
+      gatewayResponse: data
+    });
+  }
+
+  // Ask the gateway for the latest status of an in-flight withdrawal
+  async refreshWithdrawalStatus(withdrawal, now = new Date()) {
+    if (withdrawal.status !== 'processing') {
+      return withdrawal;
+    }
+
+    let transfer;
+    try {
+      transfer = await getPayoutGateway(withdrawal.gateway).verifyTransfer(withdrawal.reference);
+    } catch (error) {
+      this.logger.error('Failed to verify withdrawal transfer', {
+        withdrawalId: withdrawal.id,
+        message: error.message
+      });
+      return withdrawal;
+    }
+
+    if (!transfer) {
+      // Only money the gateway confirms it never received goes back to the wallet
+      const claimedAt = withdrawal.processedAt || withdrawal.updatedAt;
+      if (now - new Date(claimedAt) < this.transferConfirmDelay) {
+        return withdrawal;
+      }
+
+      return this.retryOrFail(withdrawal);
+    }
+
+    if (!withdrawal.gatewayTransferCode && transfer.transferCode) {
+      await withdrawal.update({ gatewayTransferCode: transfer.transferCode });
+    }
+
+    return this.applyTransferStatus(withdrawal, transfer.status, {
+      failureReason: transfer.failureReason,
+      gatewayResponse: transfer.gatewayResponse
+    });
+  }
+
+  // Retry queued withdrawals and poll in-flight ones
+  async processPendingWithdrawals(limit = 50) {
+    const withdrawals = await Withdrawal.findAll({
+      where: { status: ['queued', 'processing'] },
+      order: [['createdAt', 'ASC']],
+      limit
+    });
+
+    for (const withdrawal of withdrawals) {
+      if (withdrawal.status === 'queued') {
+        await this.processWithdrawal(withdrawal);
+      } else {
+        await this.refreshWithdrawalStatus(withdrawal);
+      }
+    }
+
+    return withdrawals.length;
+  }
+
+  async getWithdrawals(userId, { page = 1, limit = 20, status } = {}) {
+    const offset = (page - 1) * limit;
+    const where = { userId };
+
+    if (status) {
+      where.status = status;
+    }
+
+    const { count, rows: withdrawals } = await Withdrawal.findAndCountAll({
+      where,
+      include: [
+        {
+          model: PayoutAccount,
+          as: 'payoutAccount',
+          paranoid: false
+        }
+      ],
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    return {
+      withdrawals,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalWithdrawals: count,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    };
+  }
+
+  async getTotalWithdrawn(userId, currency = ledgerService.baseCurrency) {
+    const total = await Withdrawal.sum('amount', {
+      where: { userId, currency: currency.toUpperCase(), status: 'paid' }
+    });
+
+    return roundAmount(total);
+  }
+
+  getLimits() {
+    return {
+      minAmount: this.minWithdrawalAmount,
+      dailyAmount: this.dailyWithdrawalLimit,
+      dailyCount: this.dailyWithdrawalCount,
+      gateway: getDefaultGatewayName()
+    };
+  }
+}
+
+// Create and export singleton instance
+const payoutService = new PayoutService();
+module.exports = payoutService;
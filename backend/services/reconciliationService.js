@@ -0,0 +1,306 @@
+const { Payment, ReconciliationReport, User } = require('../models');
+const { Op } = require('sequelize');
+const winston = require('winston');
+const { parseSettlementFile } = require('./settlementParsers');
+const { ValidationError } = require('../middleware/errorHandler');
+
+// The gateway status each local payment status should show up as in a settlement export
+const EXPECTED_GATEWAY_STATUS = {
+  pending: ['pending'],
+  processing: ['pending'],
+  completed: ['succeeded'],
+  disputed: ['succeeded'],
+  partially_refunded: ['succeeded', 'refunded'],
+  refunded: ['refunded'],
+  failed: ['failed'],
+  cancelled: ['failed'],
+  expired: ['failed', 'pending']
+};
+
+// Local statuses where the gateway must have collected the money
+const SETTLED_STATUSES = ['completed', 'disputed', 'partially_refunded', 'refunded'];
+
+const AMOUNT_TOLERANCE = 0.01;
+const LOOKUP_BATCH_SIZE = 500;
+
+/**
+ * Settlement reconciliation.
+ *
+ * Matches the rows of a gateway settlement export against our Payment table
+ * by gateway reference / transaction id and records a report listing rows we
+ * have no payment for, settled payments the gateway doesn't list, and
+ * amount or status differences between the two.
+ */
+class ReconciliationService {
+  constructor() {
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/reconciliation-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/reconciliation.log' })
+      ]
+    });
+  }
+
+  // Period covered by the export, from its settlement dates
+  getPeriod(rows) {
+    const dates = rows
+      .map(row => row.settledAt)
+      .filter(date => date && !Number.isNaN(date.getTime()))
+      .map(date => date.getTime());
+
+    if (dates.length === 0) {
+      return { periodStart: null, periodEnd: null };
+    }
+
+    return {
+      periodStart: new Date(Math.min(...dates)),
+      periodEnd: new Date(Math.max(...dates))
+    };
+  }
+
+  // Load our payments for the gateway that any row refers to
+  async findPaymentsForRows(gateway, rows) {
+    const keys = Array.from(new Set(
+      rows.flatMap(row => [row.reference, row.gatewayTransactionId]).filter(Boolean)
+    ));
+
+    const payments = [];
+
+    for (let i = 0; i < keys.length; i += LOOKUP_BATCH_SIZE) {
+      const batch = keys.slice(i, i + LOOKUP_BATCH_SIZE);
+
+      payments.push(...await Payment.findAll({
+        where: {
+          paymentGateway: gateway,
+          [Op.or]: [
+            { gatewayReference: batch },
+            { gatewayTransactionId: batch },
+            { transactionId: batch }
+          ]
+        }
+      }));
+    }
+
+    const index = new Map();
+    payments.forEach(payment => {
+      [payment.gatewayReference, payment.gatewayTransactionId, payment.transactionId]
+        .filter(Boolean)
+        .forEach(key => index.set(String(key), payment));
+    });
+
+    return index;
+  }
+
+  describePayment(payment) {
+    return {
+      paymentId: payment.id,
+      transactionId: payment.transactionId,
+      localAmount: parseFloat(payment.amount),
+      localCurrency: payment.currency,
+      localStatus: payment.status
+    };
+  }
+
+  describeRow(row) {
+    return {
+      reference: row.reference,
+      gatewayTransactionId: row.gatewayTransactionId,
+      gatewayAmount: row.amount,
+      gatewayCurrency: row.currency,
+      gatewayStatus: row.status
+    };
+  }
+
+  // Compare one matched row with its payment
+  compare(row, payment) {
+    const mismatches = [];
+    const details = { ...this.describeRow(row), ...this.describePayment(payment) };
+
+    const currencyDiffers = row.currency && row.currency !== payment.currency;
+    const amountDiffers = row.amount === null
+      || Math.abs(row.amount - parseFloat(payment.amount)) > AMOUNT_TOLERANCE;
+
+    if (currencyDiffers || amountDiffers) {
+      mismatches.push({
+        type: 'amount_mismatch',
+        ...details,
+        difference: row.amount === null ? null : Math.round((row.amount - parseFloat(payment.amount)) * 100) / 100
+      });
+    }
+
+    const expected = EXPECTED_GATEWAY_STATUS[payment.status] || [];
+    if (!expected.includes(row.status)) {
+      mismatches.push({ type: 'status_mismatch', ...details, expectedGatewayStatus: expected });
+    }
+
+    return mismatches;
+  }
+
+  // Reconcile a settlement export and store the report
+  async reconcile(gateway, content, { format, sourceName = null, periodStart, periodEnd, createdBy = null } = {}) {
+    let parsed;
+    try {
+      parsed = parseSettlementFile(gateway, content, { format });
+    } catch (error) {
+      // Anything the parser rejects is a problem with the uploaded file
+      throw new ValidationError(`Could not reconcile settlement file: ${error.message}`);
+    }
+
+    const { format: resolvedFormat, rows } = parsed;
+    const period = this.getPeriod(rows);
+    const start = periodStart ? new Date(periodStart) : period.periodStart;
+    const end = periodEnd ? new Date(periodEnd) : period.periodEnd;
+
+    const index = await this.findPaymentsForRows(gateway, rows);
+    const matchedPaymentIds = new Set();
+    const mismatches = [];
+    let matched = 0;
+    let gatewayTotal = 0;
+
+    for (const row of rows) {
+      gatewayTotal += row.status === 'succeeded' ? (row.amount || 0) : 0;
+
+      const payment = index.get(String(row.reference)) || index.get(String(row.gatewayTransactionId));
+
+      if (!payment) {
+        mismatches.push({ type: 'missing_locally', ...this.describeRow(row) });
+        continue;
+      }
+
+      if (matchedPaymentIds.has(payment.id)) {
+        mismatches.push({ type: 'duplicate_at_gateway', ...this.describeRow(row), ...this.describePayment(payment) });
+        continue;
+      }
+
+      matchedPaymentIds.add(payment.id);
+      const rowMismatches = this.compare(row, payment);
+      mismatches.push(...rowMismatches);
+
+      if (rowMismatches.length === 0) {
+        matched += 1;
+      }
+    }
+
+    // Settled payments in the period that the gateway doesn't list
+    let localTotal = 0;
+
+    if (start && end) {
+      const settled = await Payment.findAll({
+        where: {
+          paymentGateway: gateway,
+          status: SETTLED_STATUSES,
+          completedAt: { [Op.between]: [start, end] }
+        }
+      });
+
+      settled.forEach(payment => {
+        localTotal += parseFloat(payment.amount);
+
+        if (!matchedPaymentIds.has(payment.id)) {
+          mismatches.push({
+            type: 'missing_at_gateway',
+            reference: payment.gatewayReference,
+            gatewayTransactionId: payment.gatewayTransactionId,
+            ...this.describePayment(payment)
+          });
+        }
+      });
+    }
+
+    const countByType = mismatches.reduce((counts, mismatch) => {
+      counts[mismatch.type] = (counts[mismatch.type] || 0) + 1;
+      return counts;
+    }, {});
+
+    const report = await ReconciliationReport.create({
+      gateway,
+      sourceName,
+      format: resolvedFormat,
+      periodStart: start,
+      periodEnd: end,
+      status: mismatches.length === 0 ? 'clean' : 'mismatched',
+      summary: {
+        gatewayRows: rows.length,
+        matched,
+        mismatches: mismatches.length,
+        missingLocally: countByType.missing_locally || 0,
+        missingAtGateway: countByType.missing_at_gateway || 0,
+        amountMismatches: countByType.amount_mismatch || 0,
+        statusMismatches: countByType.status_mismatch || 0,
+        duplicates: countByType.duplicate_at_gateway || 0,
+        gatewayTotal: Math.round(gatewayTotal * 100) / 100,
+        localTotal: Math.round(localTotal * 100) / 100
+      },
+      mismatches,
+      createdBy
+    });
+
+    this.logger.info('Settlement reconciled', {
+      reportId: report.id,
+      gateway,
+      sourceName,
+      rows: rows.length,
+      mismatches: mismatches.length
+    });
+
+    return report;
+  }
+
+  async getReports({ page = 1, limit = 20, gateway, status } = {}) {
+    const offset = (page - 1) * limit;
+    const where = {};
+
+    if (gateway) where.gateway = gateway;
+    if (status) where.status = status;
+
+    const { count, rows: reports } = await ReconciliationReport.findAndCountAll({
+      where,
+      attributes: { exclude: ['mismatches'] },
+      include: [
+        {
+          model: User,
+          as: 'creator',
+          attributes: ['id', 'firstName', 'lastName']
+        }
+      ],
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    return {
+      reports,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalReports: count,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    };
+  }
+
+  async getReport(id) {
+    return ReconciliationReport.findByPk(id, {
+      include: [
+        {
+          model: User,
+          as: 'creator',
+          attributes: ['id', 'firstName', 'lastName']
+        }
+      ]
+    });
+  }
+}
+
+// Create and export singleton instance
+const reconciliationService = new ReconciliationService();
+module.exports = reconciliationService;
@@ -0,0 +1,461 @@
+const winston = require('winston');
+const { Op } = require('sequelize');
+const { sequelize, Review, ReviewVote, ReviewReport, Booking, Service, User } = require('../models');
+const notificationDispatcher = require('./notificationDispatcher');
+const creditRatingService = require('./creditRatingService');
+const { ValidationError, NotFoundError, AuthorizationError } = require('../middleware/errorHandler');
+
+const USER_ATTRIBUTES = ['id', 'firstName', 'lastName', 'profilePicture'];
+
+const SORT_ORDERS = {
+  newest: [['createdAt', 'DESC']],
+  oldest: [['createdAt', 'ASC']],
+  highest: [['rating', 'DESC'], ['createdAt', 'DESC']],
+  lowest: [['rating', 'ASC'], ['createdAt', 'DESC']],
+  helpful: [['helpfulCount', 'DESC'], ['createdAt', 'DESC']]
+};
+
+/**
+ * Reviews left on completed bookings.
+ *
+ * Each participant may review the other once per booking. A requester's
+ * review rates the provider and the service; a provider's review rates the
+ * requester. `User.rating` and `Service.rating` are kept as running averages
+ * of the public reviews, so hiding a review takes its rating back out.
+ * Reports never hide a review by themselves; they queue it for an admin.
+ */
+class ReviewService {
+  constructor() {
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/reviews-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/reviews.log' })
+      ]
+    });
+  }
+
+  async notify(userId, type, title, message, review) {
+    try {
+      await notificationDispatcher.dispatch(userId, {
+        type,
+        title,
+        message,
+        data: {
+          reviewId: review.id,
+          bookingId: review.bookingId,
+          serviceId: review.serviceId,
+          rating: review.rating
+        }
+      });
+    } catch (error) {
+      this.logger.error('Failed to send review notification', {
+        reviewId: review.id,
+        type,
+        message: error.message
+      });
+    }
+  }
+
+  // Public reviews only; hidden ones can't be voted on or reported
+  async findReview(id) {
+    const review = await Review.findOne({ where: { id, isPublic: true } });
+
+    if (!review) {
+      throw new NotFoundError('Review not found');
+    }
+
+    return review;
+  }
+
+  async getReview(id) {
+    const review = await Review.findOne({
+      where: { id, isPublic: true },
+      include: [
+        { model: User, as: 'reviewer', attributes: USER_ATTRIBUTES },
+        { model: User, as: 'reviewee', attributes: USER_ATTRIBUTES },
+        { model: Service, as: 'service', attributes: ['id', 'title'] }
+      ]
+    });
+
+    if (!review) {
+      throw new NotFoundError('Review not found');
+    }
+
+    return review;
+  }
+
+  async createReview(user, { bookingId, rating, review = null }) {
+    const booking = await Booking.findByPk(bookingId);
+
+    if (!booking) {
+      throw new NotFoundError('Booking not found');
+    }
+
+    let reviewerRole = null;
+    if (booking.requesterId === user.id) {
+      reviewerRole = 'requester';
+    } else if (booking.providerId === user.id) {
+      reviewerRole = 'provider';
+    }
+
+    if (!reviewerRole) {
+      throw new AuthorizationError('Only participants of this booking can review it');
+    }
+
+    if (booking.status !== 'completed') {
+      throw new ValidationError('Bookings can be reviewed once they are completed');
+    }
+
+    const existing = await Review.findOne({ where: { bookingId, reviewerId: user.id }, paranoid: false });
+    if (existing) {
+      throw new ValidationError('You have already reviewed this booking');
+    }
+
+    const revieweeId = reviewerRole === 'requester' ? booking.providerId : booking.requesterId;
+
+    const created = await Review.create({
+      bookingId,
+      reviewerId: user.id,
+      revieweeId,
+      serviceId: booking.serviceId,
+      reviewerRole,
+      rating,
+      review,
+      isVerified: true
+    });
+
+    await this.addToAggregates(created);
+    await booking.addRating(rating, review, reviewerRole);
+
+    await this.notify(
+      revieweeId,
+      'review_received',
+      'New Review',
+      `${user.firstName} left you a ${rating}-star review`,
+      created
+    );
+
+    this.logger.info('Review created', {
+      reviewId: created.id,
+      bookingId,
+      reviewerRole,
+      rating
+    });
+
+    return created;
+  }
+
+  async addToAggregates(review) {
+    const reviewee = await User.findByPk(review.revieweeId);
+    await reviewee.updateRating(review.rating);
+
+    if (review.reviewerRole === 'requester') {
+      const service = await Service.findByPk(review.serviceId);
+      await service.updateRating(review.rating);
+    }
+
+    await creditRatingService.scheduleRecalculation(review.revieweeId, 'review');
+  }
+
+  async removeFromAggregates(review) {
+    const reviewee = await User.findByPk(review.revieweeId);
+    await reviewee.removeRating(review.rating);
+
+    if (review.reviewerRole === 'requester') {
+      const service = await Service.findByPk(review.serviceId);
+      await service.removeRating(review.rating);
+    }
+
+    await creditRatingService.scheduleRecalculation(review.revieweeId, 'review');
+  }
+
+  // Average, count and 1-5 star distribution of the public reviews matching `where`
+  async summarize(where) {
+    const rows = await Review.findAll({
+      where: { ...where, isPublic: true },
+      attributes: ['rating', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['rating'],
+      raw: true
+    });
+
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    let total = 0;
+    let sum = 0;
+
+    for (const row of rows) {
+      const count = parseInt(row.count);
+      distribution[row.rating] = count;
+      total += count;
+      sum += row.rating * count;
+    }
+
+    return {
+      averageRating: total > 0 ? Math.round((sum / total) * 100) / 100 : 0,
+      totalReviews: total,
+      distribution
+    };
+  }
+
+  async listReviews(where, { page = 1, limit = 10, rating, sort = 'newest' } = {}) {
+    page = parseInt(page);
+    limit = parseInt(limit);
+
+    const filter = { ...where, isPublic: true };
+    if (rating) {
+      filter.rating = parseInt(rating);
+    }
+
+    const { count, rows: reviews } = await Review.findAndCountAll({
+      where: filter,
+      include: [
+        { model: User, as: 'reviewer', attributes: USER_ATTRIBUTES },
+        { model: Service, as: 'service', attributes: ['id', 'title'] }
+      ],
+      order: SORT_ORDERS[sort] || SORT_ORDERS.newest,
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    return {
+      reviews,
+      summary: await this.summarize(where),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalReviews: count,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    };
+  }
+
+  // Reviews a user has received, as a provider or a requester
+  async listUserReviews(userId, options = {}) {
+    const user = await User.findByPk(userId, { attributes: ['id'] });
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    return this.listReviews({ revieweeId: userId }, options);
+  }
+
+  // Requesters' reviews of a service
+  async listServiceReviews(serviceId, options = {}) {
+    const service = await Service.findByPk(serviceId, { attributes: ['id'] });
+
+    if (!service) {
+      throw new NotFoundError('Service not found');
+    }
+
+    return this.listReviews({ serviceId, reviewerRole: 'requester' }, options);
+  }
+
+  async replyToReview(review, user, reply) {
+    if (review.reviewerRole !== 'requester' || review.revieweeId !== user.id) {
+      throw new AuthorizationError('Only the reviewed provider can reply to this review');
+    }
+
+    if (review.reply) {
+      throw new ValidationError('This review already has a reply');
+    }
+
+    await review.update({ reply, repliedAt: new Date() });
+
+    await this.notify(
+      review.reviewerId,
+      'review_reply',
+      'Reply to Your Review',
+      `${user.firstName} replied to your review`,
+      review
+    );
+
+    return review;
+  }
+
+  async voteHelpful(review, user) {
+    if (review.reviewerId === user.id) {
+      throw new ValidationError('You cannot vote on your own review');
+    }
+
+    const [, created] = await ReviewVote.findOrCreate({
+      where: { reviewId: review.id, userId: user.id }
+    });
+
+    if (!created) {
+      throw new ValidationError('You have already marked this review as helpful');
+    }
+
+    await review.increment('helpfulCount');
+    return review.reload();
+  }
+
+  async removeHelpfulVote(review, user) {
+    const removed = await ReviewVote.destroy({ where: { reviewId: review.id, userId: user.id } });
+
+    if (!removed) {
+      throw new NotFoundError('Helpful vote not found');
+    }
+
+    await review.decrement('helpfulCount');
+    return review.reload();
+  }
+
+  // Only users who have completed a booking on the platform may report, so new accounts can't bury reviews
+  async reportReview(review, user, { reason, details = null }) {
+    if (review.reviewerId === user.id) {
+      throw new ValidationError('You cannot report your own review');
+    }
+
+    const completedBooking = await Booking.findOne({
+      where: {
+        status: 'completed',
+        [Op.or]: [{ requesterId: user.id }, { providerId: user.id }]
+      },
+      attributes: ['id']
+    });
+
+    if (!completedBooking) {
+      throw new AuthorizationError('Only users with a completed booking can report reviews');
+    }
+
+    const [report, created] = await ReviewReport.findOrCreate({
+      where: { reviewId: review.id, reporterId: user.id },
+      defaults: { reason, details }
+    });
+
+    if (!created) {
+      throw new ValidationError('You have already reported this review');
+    }
+
+    await review.increment('reportCount');
+
+    this.logger.info('Review reported', {
+      reviewId: review.id,
+      reporterId: user.id,
+      reason
+    });
+
+    return report;
+  }
+
+  // Moderation queue: reviews with reports in `status`, most reported first
+  async listReportedReviews({ status = 'pending', page = 1, limit = 20 } = {}) {
+    page = parseInt(page);
+    limit = parseInt(limit);
+
+    const { count, rows: reviews } = await Review.findAndCountAll({
+      include: [
+        {
+          model: ReviewReport,
+          as: 'reports',
+          where: { status },
+          include: [{ model: User, as: 'reporter', attributes: USER_ATTRIBUTES }]
+        },
+        { model: User, as: 'reviewer', attributes: USER_ATTRIBUTES },
+        { model: User, as: 'reviewee', attributes: USER_ATTRIBUTES }
+      ],
+      order: [['reportCount', 'DESC'], ['createdAt', 'ASC']],
+      distinct: true,
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    return {
+      reviews,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalReviews: count,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    };
+  }
+
+  // Any review, hidden or not, for moderators
+  async findReviewForModeration(id) {
+    const review = await Review.findByPk(id);
+
+    if (!review) {
+      throw new NotFoundError('Review not found');
+    }
+
+    return review;
+  }
+
+  async resolveReports(review, fromStatus, toStatus) {
+    await ReviewReport.update(
+      { status: toStatus },
+      { where: { reviewId: review.id, status: fromStatus } }
+    );
+  }
+
+  // Uphold the pending reports and take the review out of listings and rating aggregates
+  async hideReview(reviewId, moderator) {
+    const review = await this.findReviewForModeration(reviewId);
+
+    if (!review.isPublic) {
+      throw new ValidationError('This review is already hidden');
+    }
+
+    await review.update({ isPublic: false, hiddenAt: new Date() });
+    await this.removeFromAggregates(review);
+    await this.resolveReports(review, 'pending', 'upheld');
+
+    this.logger.warn('Review hidden', {
+      reviewId: review.id,
+      moderatorId: moderator.id,
+      reportCount: review.reportCount
+    });
+
+    return review;
+  }
+
+  // Keep the review up and close its pending reports
+  async dismissReports(reviewId, moderator) {
+    const review = await this.findReviewForModeration(reviewId);
+    await this.resolveReports(review, 'pending', 'dismissed');
+
+    this.logger.info('Review reports dismissed', {
+      reviewId: review.id,
+      moderatorId: moderator.id
+    });
+
+    return review;
+  }
+
+  // Reverse a hide: the review is listed again and its rating counts again
+  async unhideReview(reviewId, moderator) {
+    const review = await this.findReviewForModeration(reviewId);
+
+    if (review.isPublic) {
+      throw new ValidationError('This review is not hidden');
+    }
+
+    await review.update({ isPublic: true, hiddenAt: null });
+    await this.addToAggregates(review);
+    await this.resolveReports(review, 'upheld', 'dismissed');
+
+    this.logger.warn('Review unhidden', {
+      reviewId: review.id,
+      moderatorId: moderator.id
+    });
+
+    return review;
+  }
+}
+
+// Create and export singleton instance
+const reviewService = new ReviewService();
+module.exports = reviewService;
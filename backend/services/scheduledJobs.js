@@ -0,0 +1,79 @@
+const paymentService = require('./paymentService');
+const escrowService = require('./escrowService');
+const payoutService = require('./payoutService');
+const disputeService = require('./disputeService');
+const notificationDispatcher = require('./notificationDispatcher');
+const kycService = require('./kycService');
+const creditRatingService = require('./creditRatingService');
+
+const minutes = (value) => value * 60 * 1000;
+
+const intervals = {
+  paymentRetry: parseInt(process.env.PAYMENT_RETRY_INTERVAL_MS || minutes(1)),
+  paymentExpiry: parseInt(process.env.PAYMENT_EXPIRY_INTERVAL_MS || minutes(5)),
+  escrowRelease: parseInt(process.env.ESCROW_RELEASE_INTERVAL_MS || minutes(15)),
+  withdrawals: parseInt(process.env.WITHDRAWAL_PROCESS_INTERVAL_MS || minutes(10)),
+  disputeDeadlines: parseInt(process.env.DISPUTE_DEADLINE_INTERVAL_MS || minutes(15)),
+  kycExpiry: parseInt(process.env.KYC_EXPIRY_INTERVAL_MS || minutes(60))
+};
+
+// Register the platform's background jobs with a scheduler
+const registerJobs = (scheduler) => {
+  scheduler.every('payments.retry_failed', intervals.paymentRetry, async () => {
+    const results = await paymentService.retryFailedPayments(50);
+    const exhausted = results.filter(result => result.status === 'failed');
+
+    // Notifications run as their own jobs so a crash here can't lose them
+    for (const { paymentId } of exhausted) {
+      await scheduler.enqueue('payments.notify_failed', { paymentId }, {
+        uniqueKey: `payment-failed:${paymentId}`
+      });
+    }
+
+    return {
+      attempted: results.length,
+      succeeded: results.filter(result => result.status === 'success').length,
+      exhausted: exhausted.length
+    };
+  });
+
+  scheduler.register('payments.notify_failed', ({ paymentId }) => paymentService.notifyPaymentFailed(paymentId));
+
+  // Push and SMS held back by a user's quiet hours
+  scheduler.register('notifications.deliver_held', payload => notificationDispatcher.deliverHeld(payload));
+
+  scheduler.every('payments.expire_stale', intervals.paymentExpiry, async () => {
+    const expired = await paymentService.expireStalePayments();
+    return { expired: expired.length };
+  });
+
+  scheduler.every('escrow.release_due', intervals.escrowRelease, async () => {
+    const { released, skipped, failed } = await escrowService.releaseDuePayments();
+    return { released: released.length, skipped: skipped.length, failed: failed.length };
+  });
+
+  scheduler.every('withdrawals.process_pending', intervals.withdrawals, async () => {
+    const processed = await payoutService.processPendingWithdrawals();
+    return { processed };
+  });
+
+  scheduler.every('disputes.process_deadlines', intervals.disputeDeadlines, async () => {
+    const { escalated, overdue } = await disputeService.processDeadlines();
+    return { escalated: escalated.length, overdue: overdue.length };
+  });
+
+  scheduler.every('kyc.expire_verifications', intervals.kycExpiry, () => kycService.expireVerifications());
+
+  // Queued by creditRatingService.scheduleRecalculation when something feeds a user's score
+  scheduler.register('credit.recalculate', async ({ userId, trigger }) => {
+    const snapshot = await creditRatingService.recalculate(userId, { trigger });
+    return { score: parseFloat(snapshot.score) };
+  });
+
+  return scheduler;
+};
+
+module.exports = {
+  registerJobs,
+  intervals
+};
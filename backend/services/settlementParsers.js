@@ -0,0 +1,275 @@
+/**
+ * Settlement export parsers.
+ *
+ * Each gateway's dashboard CSV export and API JSON listing is normalized to
+ * rows of { reference, gatewayTransactionId, amount, currency, status, fee,
+ * settledAt, raw }. Amounts are converted to major units and statuses to
+ * succeeded / pending / failed / refunded so they can be compared with our
+ * Payment records directly.
+ */
+
+const STATUS_MAP = {
+  success: 'succeeded',
+  successful: 'succeeded',
+  succeeded: 'succeeded',
+  paid: 'succeeded',
+  completed: 'succeeded',
+  pending: 'pending',
+  processing: 'pending',
+  ongoing: 'pending',
+  queued: 'pending',
+  failed: 'failed',
+  abandoned: 'failed',
+  cancelled: 'failed',
+  canceled: 'failed',
+  refunded: 'refunded',
+  partially_refunded: 'refunded',
+  reversed: 'refunded'
+};
+
+// Column names (lower-cased) each gateway uses in its exports, most specific first
+const FORMATS = {
+  paystack: {
+    csv: {
+      reference: ['reference', 'transaction reference'],
+      gatewayTransactionId: ['id', 'transaction id'],
+      amount: ['amount', 'amount paid'],
+      currency: ['currency'],
+      status: ['status'],
+      fee: ['fees', 'fee'],
+      settledAt: ['paid at', 'transaction date', 'date']
+    },
+    json: {
+      reference: 'reference',
+      gatewayTransactionId: 'id',
+      amount: 'amount',
+      currency: 'currency',
+      status: 'status',
+      fee: 'fees',
+      settledAt: 'paid_at',
+      minorUnits: true
+    }
+  },
+  stripe: {
+    csv: {
+      reference: ['reference (metadata)', 'metadata.reference'],
+      gatewayTransactionId: ['payment intent id', 'paymentintent id', 'id'],
+      amount: ['amount'],
+      currency: ['currency'],
+      status: ['status'],
+      fee: ['fee'],
+      settledAt: ['created (utc)', 'created']
+    },
+    json: {
+      reference: 'metadata.reference',
+      gatewayTransactionId: 'payment_intent',
+      fallbackTransactionId: 'id',
+      amount: 'amount',
+      currency: 'currency',
+      status: 'status',
+      fee: 'fee',
+      settledAt: 'created',
+      minorUnits: true,
+      unixTimestamps: true
+    }
+  },
+  flutterwave: {
+    csv: {
+      reference: ['transaction reference', 'tx_ref', 'merchant reference'],
+      gatewayTransactionId: ['transaction id', 'id'],
+      amount: ['amount', 'charged amount'],
+      currency: ['currency'],
+      status: ['status'],
+      fee: ['app fee', 'fee'],
+      settledAt: ['date', 'created at']
+    },
+    json: {
+      reference: 'tx_ref',
+      gatewayTransactionId: 'id',
+      amount: 'amount',
+      currency: 'currency',
+      status: 'status',
+      fee: 'app_fee',
+      settledAt: 'created_at'
+    }
+  },
+  mock: {
+    csv: {
+      reference: ['reference'],
+      gatewayTransactionId: ['id'],
+      amount: ['amount'],
+      currency: ['currency'],
+      status: ['status'],
+      fee: ['fee'],
+      settledAt: ['settled at', 'date']
+    },
+    json: {
+      reference: 'reference',
+      gatewayTransactionId: 'id',
+      amount: 'amount',
+      currency: 'currency',
+      status: 'status',
+      fee: 'fee',
+      settledAt: 'settledAt'
+    }
+  }
+};
+
+// RFC 4180 CSV: quoted fields, escaped quotes and newlines inside quotes
+const parseCsv = (content) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => (value == null ? value : value[key]), object);
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = parseFloat(String(value).replace(/[^0-9.-]/g, ''));
+  return Number.isNaN(number) ? null : number;
+};
+
+const normalizeStatus = (status) => {
+  const key = String(status || '').trim().toLowerCase().replace(/\s+/g, '_');
+  return STATUS_MAP[key] || key || 'unknown';
+};
+
+const detectFormat = (content) => (/^\s*[[{]/.test(content) ? 'json' : 'csv');
+
+const parseCsvRows = (content, columns) => {
+  const [header, ...lines] = parseCsv(content);
+
+  if (!header) {
+    return [];
+  }
+
+  const names = header.map(name => name.trim().toLowerCase());
+  const indexOf = (aliases) => {
+    for (const alias of aliases) {
+      const index = names.indexOf(alias);
+      if (index !== -1) return index;
+    }
+    return -1;
+  };
+
+  const index = {};
+  Object.entries(columns).forEach(([key, aliases]) => {
+    index[key] = indexOf(aliases);
+  });
+
+  if (index.amount === -1 || (index.reference === -1 && index.gatewayTransactionId === -1)) {
+    throw new Error('Settlement file is missing a reference or amount column');
+  }
+
+  const cell = (cells, key) => (index[key] === -1 ? null : (cells[index[key]] || '').trim() || null);
+
+  return lines.map(cells => ({
+    reference: cell(cells, 'reference'),
+    gatewayTransactionId: cell(cells, 'gatewayTransactionId'),
+    amount: toNumber(cell(cells, 'amount')),
+    currency: (cell(cells, 'currency') || '').toUpperCase() || null,
+    status: normalizeStatus(cell(cells, 'status')),
+    fee: toNumber(cell(cells, 'fee')),
+    settledAt: cell(cells, 'settledAt') ? new Date(cell(cells, 'settledAt')) : null,
+    raw: Object.fromEntries(names.map((name, i) => [name, cells[i]]))
+  }));
+};
+
+const parseJsonRows = (content, fields) => {
+  const parsed = JSON.parse(content);
+  // API listings wrap rows in `data`; plain exports are arrays
+  const items = Array.isArray(parsed) ? parsed : (parsed.data || parsed.transactions || []);
+
+  if (!Array.isArray(items)) {
+    throw new Error('Settlement JSON must be an array or contain a data array');
+  }
+
+  const divisor = fields.minorUnits ? 100 : 1;
+  const amount = (value) => {
+    const number = toNumber(value);
+    return number === null ? null : number / divisor;
+  };
+
+  return items.map(item => {
+    const settledAt = getPath(item, fields.settledAt);
+
+    return {
+      reference: getPath(item, fields.reference) || null,
+      gatewayTransactionId: String(
+        getPath(item, fields.gatewayTransactionId) || (fields.fallbackTransactionId ? getPath(item, fields.fallbackTransactionId) : '') || ''
+      ) || null,
+      amount: amount(getPath(item, fields.amount)),
+      currency: (getPath(item, fields.currency) || '').toUpperCase() || null,
+      status: normalizeStatus(getPath(item, fields.status)),
+      fee: amount(getPath(item, fields.fee)),
+      settledAt: settledAt ? new Date(fields.unixTimestamps ? settledAt * 1000 : settledAt) : null,
+      raw: item
+    };
+  });
+};
+
+// Parse a gateway settlement export into normalized rows
+const parseSettlementFile = (gateway, content, { format } = {}) => {
+  const definition = FORMATS[gateway];
+
+  if (!definition) {
+    throw new Error(`No settlement format defined for gateway: ${gateway}`);
+  }
+
+  const text = Buffer.isBuffer(content) ? content.toString('utf8') : String(content || '');
+  const resolvedFormat = format || detectFormat(text);
+
+  if (!definition[resolvedFormat]) {
+    throw new Error(`Unsupported settlement file format: ${resolvedFormat}`);
+  }
+
+  const rows = resolvedFormat === 'json'
+    ? parseJsonRows(text, definition.json)
+    : parseCsvRows(text.replace(/^\uFEFF/, ''), definition.csv);
+
+  return { format: resolvedFormat, rows };
+};
+
+module.exports = {
+  parseSettlementFile,
+  parseCsv,
+  normalizeStatus,
+  supportedGateways: Object.keys(FORMATS)
+};
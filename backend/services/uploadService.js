@@ -9,6 +9,7 @@ const { v4: uuidv4 } = require('uuid');
 // Cloud storage services (optional)
 const cloudinary = require('cloudinary').v2;
 const AWS = require('aws-sdk');
+const { ValidationError } = require('../middleware/errorHandler');
 
 // Upload service class
 class UploadService {
@@ -30,6 +31,19 @@ class UploadService {
     this.maxFileSize = parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024; // 5MB default
     this.allowedImageTypes = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
     this.allowedDocumentTypes = ['application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'];
+    this.allowedEvidenceTypes = [...this.allowedImageTypes, 'application/pdf'];
+    this.allowedChatFileTypes = [...this.allowedDocumentTypes, 'text/plain'];
+    this.allowedChatAttachmentTypes = [...this.allowedImageTypes, ...this.allowedChatFileTypes];
+    this.chatAttachmentLimits = {
+      image: parseInt(process.env.CHAT_IMAGE_MAX_SIZE) || 10 * 1024 * 1024, // 10MB default
+      file: parseInt(process.env.CHAT_FILE_MAX_SIZE) || 20 * 1024 * 1024 // 20MB default
+    };
+
+    // Private files are never served statically; they are reached through signed, expiring URLs
+    this.privateUploadDir = process.env.PRIVATE_UPLOAD_DIR || 'private_uploads';
+    this.signedUrlSecret = process.env.SIGNED_URL_SECRET || process.env.JWT_SECRET;
+    this.signedUrlTtl = parseInt(process.env.SIGNED_URL_TTL_SECONDS) || 15 * 60; // 15 minutes default
+    this.verificationDocumentMaxSize = parseInt(process.env.VERIFICATION_DOCUMENT_MAX_SIZE) || 10 * 1024 * 1024; // 10MB default
     
     this.initializeStorage();
     this.ensureUploadDirectories();
@@ -72,7 +86,10 @@ class UploadService {
         path.join(this.uploadDir, 'profiles'),
         path.join(this.uploadDir, 'services'),
         path.join(this.uploadDir, 'documents'),
-        path.join(this.uploadDir, 'temp')
+        path.join(this.uploadDir, 'disputes'),
+        path.join(this.uploadDir, 'temp'),
+        path.join(this.privateUploadDir, 'chat'),
+        path.join(this.privateUploadDir, 'documents')
       ];
 
       for (const dir of directories) {
@@ -406,6 +423,288 @@ class UploadService {
     }
   }
 
+  // Upload dispute evidence; images are optimized but not cropped, PDFs are stored as-is
+  async uploadDisputeEvidence(files, disputeId) {
+    try {
+      const uploadResults = [];
+
+      for (const file of files) {
+        const tempPath = file.path;
+        const isImage = this.allowedImageTypes.includes(file.mimetype);
+        const originalName = isImage ? `${path.parse(file.originalname).name}.jpg` : file.originalname;
+        const filename = this.generateFilename(originalName, `dispute-${disputeId}-`);
+        const localPath = path.join(this.uploadDir, 'disputes', filename);
+
+        if (isImage) {
+          await this.processImage(tempPath, localPath, {
+            width: 1600,
+            quality: 85,
+            format: 'jpeg'
+          });
+        } else {
+          await fs.copyFile(tempPath, localPath);
+        }
+
+        let uploadResult = {
+          filename,
+          path: localPath,
+          url: `/uploads/disputes/${filename}`,
+          mimetype: isImage ? 'image/jpeg' : file.mimetype,
+          originalName: file.originalname,
+          size: file.size
+        };
+
+        // Upload to cloud storage if available
+        if (this.cloudinaryEnabled) {
+          const cloudResult = await this.uploadToCloudinary(localPath, {
+            folder: 'sha-pay/disputes',
+            resourceType: isImage ? 'image' : 'raw'
+          });
+          uploadResult.cloudinary = cloudResult;
+          uploadResult.url = cloudResult.url;
+        } else if (this.s3Enabled) {
+          const s3Result = await this.uploadToS3(localPath, `disputes/${filename}`, {
+            contentType: uploadResult.mimetype,
+            acl: 'private'
+          });
+          uploadResult.s3 = s3Result;
+          uploadResult.url = s3Result.url;
+        }
+
+        uploadResults.push(uploadResult);
+
+        // Clean up temp file
+        await fs.unlink(tempPath).catch(() => {});
+      }
+
+      this.logger.info('Dispute evidence uploaded successfully', {
+        disputeId,
+        count: uploadResults.length
+      });
+
+      return uploadResults;
+    } catch (error) {
+      // Clean up temp files on error
+      for (const file of files) {
+        if (file.path) {
+          await fs.unlink(file.path).catch(() => {});
+        }
+      }
+      this.logger.error('Dispute evidence upload failed:', { message: error.message, stack: error.stack });
+      throw error;
+    }
+  }
+
+  // Upload a chat attachment into private storage; images also get a square thumbnail
+  async uploadChatAttachment(file, conversationId) {
+    const localPaths = [];
+
+    try {
+      const tempPath = file.path;
+      const isImage = this.allowedImageTypes.includes(file.mimetype);
+      const kind = isImage ? 'image' : 'file';
+
+      if (!this.validateFileType(file.mimetype, this.allowedChatAttachmentTypes)) {
+        throw new ValidationError(`Unsupported attachment type: ${file.mimetype}`);
+      }
+
+      const maxSize = this.chatAttachmentLimits[kind];
+      if (file.size > maxSize) {
+        throw new ValidationError(`${isImage ? 'Images' : 'Files'} must be smaller than ${Math.floor(maxSize / (1024 * 1024))}MB`);
+      }
+
+      const originalName = isImage ? `${path.parse(file.originalname).name}.jpg` : file.originalname;
+      const filename = this.generateFilename(originalName, `chat-${conversationId}-`);
+      const localPath = path.join(this.privateUploadDir, 'chat', filename);
+
+      let uploadResult = {
+        id: uuidv4(),
+        kind,
+        name: file.originalname,
+        mimetype: isImage ? 'image/jpeg' : file.mimetype,
+        filename,
+        path: localPath
+      };
+
+      if (isImage) {
+        const thumbnailPath = path.join(this.privateUploadDir, 'chat', `thumb-${filename}`);
+
+        const image = await this.processImage(tempPath, localPath, {
+          width: 1600,
+          quality: 85,
+          format: 'jpeg'
+        });
+        localPaths.push(localPath);
+
+        await this.processImage(tempPath, thumbnailPath, {
+          width: 320,
+          height: 320,
+          quality: 75,
+          format: 'jpeg'
+        });
+        localPaths.push(thumbnailPath);
+
+        Object.assign(uploadResult, {
+          thumbnailPath,
+          width: image.width,
+          height: image.height
+        });
+      } else {
+        await fs.copyFile(tempPath, localPath);
+        localPaths.push(localPath);
+      }
+
+      uploadResult.size = (await fs.stat(localPath)).size;
+
+      // Cloudinary URLs are public, so chat attachments only go to S3 (as private objects)
+      if (this.s3Enabled) {
+        const s3Result = await this.uploadToS3(localPath, `chat/${conversationId}/${filename}`, {
+          contentType: uploadResult.mimetype,
+          acl: 'private'
+        });
+        uploadResult.s3 = { key: s3Result.key };
+
+        if (uploadResult.thumbnailPath) {
+          const thumbnailResult = await this.uploadToS3(uploadResult.thumbnailPath, `chat/${conversationId}/thumb-${filename}`, {
+            contentType: 'image/jpeg',
+            acl: 'private'
+          });
+          uploadResult.s3.thumbnailKey = thumbnailResult.key;
+        }
+      }
+
+      // Clean up temp file
+      await fs.unlink(tempPath).catch(() => {});
+
+      this.logger.info('Chat attachment uploaded successfully', {
+        conversationId,
+        kind,
+        filename
+      });
+
+      return uploadResult;
+    } catch (error) {
+      // Clean up temp and partially processed files on error
+      for (const filePath of [file.path, ...localPaths]) {
+        if (filePath) {
+          await fs.unlink(filePath).catch(() => {});
+        }
+      }
+      this.logger.error('Chat attachment upload failed:', { message: error.message, stack: error.stack });
+      throw error;
+    }
+  }
+
+  // Store an identity or business document privately; photos are re-encoded, which also drops their metadata
+  async uploadVerificationDocument(file, userId) {
+    let localPath = null;
+
+    try {
+      const isImage = this.allowedImageTypes.includes(file.mimetype);
+
+      if (!this.validateFileType(file.mimetype, this.allowedEvidenceTypes)) {
+        throw new ValidationError(`Unsupported document type: ${file.mimetype}`);
+      }
+
+      if (file.size > this.verificationDocumentMaxSize) {
+        throw new ValidationError(`Documents must be smaller than ${Math.floor(this.verificationDocumentMaxSize / (1024 * 1024))}MB`);
+      }
+
+      const originalName = isImage ? `${path.parse(file.originalname).name}.jpg` : file.originalname;
+      const filename = this.generateFilename(originalName, `document-${userId}-`);
+      localPath = path.join(this.privateUploadDir, 'documents', filename);
+      const mimetype = isImage ? 'image/jpeg' : file.mimetype;
+
+      if (isImage) {
+        await this.processImage(file.path, localPath, {
+          width: 2000,
+          quality: 90,
+          format: 'jpeg'
+        });
+      } else {
+        await fs.copyFile(file.path, localPath);
+      }
+
+      const uploadResult = {
+        name: file.originalname,
+        mimetype,
+        size: (await fs.stat(localPath)).size,
+        path: localPath
+      };
+
+      if (this.s3Enabled) {
+        const s3Result = await this.uploadToS3(localPath, `documents/${userId}/${filename}`, {
+          contentType: mimetype,
+          acl: 'private'
+        });
+        uploadResult.s3Key = s3Result.key;
+      }
+
+      await fs.unlink(file.path).catch(() => {});
+
+      this.logger.info('Verification document uploaded successfully', { userId, filename });
+
+      return uploadResult;
+    } catch (error) {
+      for (const filePath of [file.path, localPath]) {
+        if (filePath) {
+          await fs.unlink(filePath).catch(() => {});
+        }
+      }
+      this.logger.error('Verification document upload failed:', { message: error.message, stack: error.stack });
+      throw error;
+    }
+  }
+
+  // Remove a chat attachment and its thumbnail from every location
+  async deleteChatAttachment(attachment) {
+    await this.deleteUploadedFile({ path: attachment.path, s3: attachment.s3 && { key: attachment.s3.key } });
+
+    if (attachment.thumbnailPath) {
+      await this.deleteUploadedFile({ path: attachment.thumbnailPath, s3: attachment.s3 && { key: attachment.s3.thumbnailKey } });
+    }
+  }
+
+  signUrlPath(urlPath, expires) {
+    return crypto
+      .createHmac('sha256', this.signedUrlSecret)
+      .update(`${urlPath}:${expires}`)
+      .digest('base64url');
+  }
+
+  // Append an expiry and HMAC signature to an API path
+  createSignedUrl(urlPath, expiresIn = this.signedUrlTtl) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+
+    return {
+      url: `${urlPath}?expires=${expires}&signature=${this.signUrlPath(urlPath, expires)}`,
+      expiresAt: new Date(expires * 1000)
+    };
+  }
+
+  // Check the expiry and signature that createSignedUrl appended to a path
+  verifySignedUrl(urlPath, { expires, signature } = {}) {
+    const expiresAt = parseInt(expires);
+
+    if (!expiresAt || typeof signature !== 'string' || expiresAt < Math.floor(Date.now() / 1000)) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.signUrlPath(urlPath, expiresAt));
+    const given = Buffer.from(signature);
+
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }
+
+  // Pre-signed S3 URL for a private object
+  getS3SignedUrl(key, expiresIn = this.signedUrlTtl) {
+    return this.s3.getSignedUrl('getObject', {
+      Bucket: this.s3Bucket,
+      Key: key,
+      Expires: expiresIn
+    });
+  }
+
   // Delete file from local storage
   async deleteLocalFile(filePath) {
     try {
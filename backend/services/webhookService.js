@@ -0,0 +1,356 @@
+const { Payment, Booking, Service, User, Withdrawal, WebhookEvent } = require('../models');
+const { Op } = require('sequelize');
+const winston = require('winston');
+const crypto = require('crypto');
+const escrowService = require('./escrowService');
+const payoutService = require('./payoutService');
+const { getGateway } = require('./gateways');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+// Payment states a late or repeated event must not move a payment out of
+const SUCCESS_APPLIES_TO = ['pending', 'processing', 'failed', 'expired'];
+const FAILURE_APPLIES_TO = ['pending', 'processing'];
+
+/**
+ * Persistent, idempotent webhook processing.
+ *
+ * Every verified gateway event is stored once per (gateway, event id) with
+ * a hash of its payload. Redeliveries of an event that was already handled
+ * are acknowledged without touching payments again; failed events, and
+ * events stuck in received or processing past a timeout (e.g. after a
+ * crash), are retried on redelivery or replayed by an admin. Each attempt
+ * first claims the event, so concurrent deliveries never run a handler
+ * twice. Handlers check the current
+ * payment state so events arriving out of order (a failure after a success,
+ * a success after a refund) are recorded as skipped instead of applied.
+ */
+class WebhookService {
+  constructor() {
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/webhook-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/webhook.log' })
+      ]
+    });
+
+    // Keyed by the normalized event types gateway adapters parse webhooks into
+    this.handlers = {
+      'payment.succeeded': (data) => this.handlePaymentSuccess(data),
+      'payment.failed': (data) => this.handlePaymentFailure(data),
+      'dispute.created': (data) => this.handleDispute(data),
+      'transfer.success': (data, eventType) => this.handleTransfer(eventType, data),
+      'transfer.failed': (data, eventType) => this.handleTransfer(eventType, data),
+      'transfer.reversed': (data, eventType) => this.handleTransfer(eventType, data)
+    };
+
+    // An event still received or processing after this long is taken to have been abandoned
+    this.processingTimeoutMs = parseInt(process.env.WEBHOOK_PROCESSING_TIMEOUT_MS || '300000');
+  }
+
+  isRetryable(record, now = new Date()) {
+    if (record.status === 'failed') {
+      return true;
+    }
+
+    if (record.status !== 'received' && record.status !== 'processing') {
+      return false;
+    }
+
+    const startedAt = record.lastAttemptAt || record.createdAt;
+    return !startedAt || now - new Date(startedAt) > this.processingTimeoutMs;
+  }
+
+  // Mark the event processing unless another delivery or replay got to it first
+  async claimEvent(record) {
+    const [claimed] = await WebhookEvent.update(
+      { status: 'processing', attempts: record.attempts + 1, lastAttemptAt: new Date() },
+      { where: { id: record.id, status: record.status, attempts: record.attempts } }
+    );
+
+    await record.reload();
+    return claimed > 0;
+  }
+
+  hashPayload(event) {
+    return crypto.createHash('sha256').update(JSON.stringify(event)).digest('hex');
+  }
+
+  // Store a verified event and process it unless it was already handled
+  async ingest(gateway, event) {
+    const payloadHash = this.hashPayload(event);
+    const parsed = getGateway(gateway).parseWebhook(event);
+    const eventId = parsed.id ? String(parsed.id) : `${gateway}:${payloadHash}`;
+
+    const [record, created] = await WebhookEvent.findOrCreate({
+      where: { gateway, eventId },
+      defaults: {
+        gateway,
+        eventId,
+        eventType: parsed.type || 'unknown',
+        payloadHash,
+        payload: event
+      }
+    });
+
+    if (!created) {
+      await record.increment('deliveryCount');
+
+      if (record.payloadHash !== payloadHash) {
+        this.logger.warn('Webhook redelivered with a different payload', { gateway, eventId });
+      }
+
+      // Only failed or abandoned events are worth another attempt
+      if (!this.isRetryable(record)) {
+        this.logger.info('Duplicate webhook event ignored', { gateway, eventId, status: record.status });
+        return { event: record, duplicate: true };
+      }
+    }
+
+    const processed = await this.processEvent(record);
+    return { event: record, duplicate: !processed };
+  }
+
+  // Run the handler for a stored event and record the outcome; null when another attempt holds the event
+  async processEvent(record) {
+    const handler = this.handlers[record.eventType];
+
+    if (!handler) {
+      await record.update({
+        status: 'ignored',
+        processedAt: new Date(),
+        result: { reason: `Unhandled event type: ${record.eventType}` }
+      });
+      return record;
+    }
+
+    if (!(await this.claimEvent(record))) {
+      this.logger.info('Webhook event already claimed', {
+        gateway: record.gateway,
+        eventId: record.eventId,
+        status: record.status
+      });
+      return null;
+    }
+
+    try {
+      const { data } = getGateway(record.gateway).parseWebhook(record.payload || {});
+      const result = await handler(data, record.eventType);
+
+      await record.update({
+        status: result.outcome === 'skipped' ? 'skipped' : 'processed',
+        result,
+        lastError: null,
+        processedAt: new Date()
+      });
+
+      this.logger.info('Webhook event processed', {
+        gateway: record.gateway,
+        eventId: record.eventId,
+        eventType: record.eventType,
+        outcome: result.outcome
+      });
+    } catch (error) {
+      this.logger.error('Webhook event processing failed', {
+        gateway: record.gateway,
+        eventId: record.eventId,
+        eventType: record.eventType,
+        message: error.message
+      });
+
+      await record.update({
+        status: 'failed',
+        lastError: error.message
+      });
+    }
+
+    return record;
+  }
+
+  // Re-run a failed or abandoned event
+  async replayEvent(id) {
+    const record = await WebhookEvent.findByPk(id);
+
+    if (!record) {
+      throw new NotFoundError('Webhook event not found');
+    }
+
+    if (!this.isRetryable(record)) {
+      throw new ValidationError(`Only failed or abandoned events can be replayed (status: ${record.status})`);
+    }
+
+    this.logger.info('Replaying webhook event', { id, gateway: record.gateway, eventId: record.eventId });
+
+    const processed = await this.processEvent(record);
+    if (!processed) {
+      throw new ValidationError(`Webhook event is already being processed (status: ${record.status})`);
+    }
+
+    return processed;
+  }
+
+  async getEvents({ page = 1, limit = 20, status, gateway, eventType } = {}) {
+    const offset = (page - 1) * limit;
+    const where = {};
+
+    if (status) where.status = status;
+    if (gateway) where.gateway = gateway;
+    if (eventType) where.eventType = eventType;
+
+    const { count, rows: events } = await WebhookEvent.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    return {
+      events,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalEvents: count,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    };
+  }
+
+  // Find the payment a gateway object refers to
+  async findPayment(gatewayId, reference = null, options = {}) {
+    const conditions = [];
+    if (gatewayId) conditions.push({ gatewayTransactionId: String(gatewayId) });
+    if (reference) {
+      // Gateways that key charges by our reference store it as the transaction id too
+      conditions.push({ gatewayTransactionId: String(reference) }, { gatewayReference: String(reference) });
+    }
+
+    if (conditions.length === 0) {
+      return null;
+    }
+
+    return Payment.findOne({
+      where: { [Op.or]: conditions },
+      ...options
+    });
+  }
+
+  async handlePaymentSuccess(paymentData) {
+    const payment = await this.findPayment(paymentData.id, paymentData.reference, {
+      include: [
+        {
+          model: Booking,
+          as: 'booking',
+          include: [
+            { model: Service, as: 'service' },
+            { model: User, as: 'requester' },
+            { model: User, as: 'provider' }
+          ]
+        }
+      ]
+    });
+
+    // The payment may not be linked to its gateway reference yet; fail so it is retried
+    if (!payment) {
+      throw new Error(`Payment not found for ${paymentData.id || paymentData.reference}`);
+    }
+
+    if (!SUCCESS_APPLIES_TO.includes(payment.status)) {
+      return { outcome: 'skipped', paymentId: payment.id, reason: `Payment already ${payment.status}` };
+    }
+
+    await escrowService.holdPayment(payment, { webhookData: paymentData });
+
+    // Update booking status
+    if (payment.booking && payment.booking.status === 'pending') {
+      await payment.booking.update({
+        status: 'confirmed',
+        confirmedAt: new Date()
+      });
+    }
+
+    return { outcome: 'applied', paymentId: payment.id, status: payment.status };
+  }
+
+  async handlePaymentFailure(paymentData) {
+    const payment = await this.findPayment(paymentData.id, paymentData.reference);
+
+    if (!payment) {
+      throw new Error(`Payment not found for ${paymentData.id || paymentData.reference}`);
+    }
+
+    if (!FAILURE_APPLIES_TO.includes(payment.status)) {
+      return { outcome: 'skipped', paymentId: payment.id, reason: `Payment already ${payment.status}` };
+    }
+
+    await payment.update({
+      status: 'failed',
+      failedAt: new Date(),
+      errorMessage: paymentData.failure_message
+        || paymentData.last_payment_error?.message
+        || paymentData.gateway_response
+        || paymentData.processor_response
+        || null,
+      webhookData: paymentData
+    });
+
+    return { outcome: 'applied', paymentId: payment.id, status: payment.status };
+  }
+
+  async handleDispute(disputeData) {
+    // Stripe disputes reference the payment intent, Paystack disputes embed the transaction
+    const transaction = disputeData.transaction || {};
+    const payment = await this.findPayment(
+      disputeData.payment_intent || disputeData.charge || transaction.id,
+      transaction.reference
+    );
+
+    if (!payment) {
+      throw new Error(`Payment not found for dispute ${disputeData.id}`);
+    }
+
+    if (payment.disputeDetails?.gatewayDisputeId === disputeData.id) {
+      return { outcome: 'skipped', paymentId: payment.id, reason: 'Dispute already recorded' };
+    }
+
+    // Opening the dispute also freezes any escrowed funds
+    await payment.createDispute(disputeData.reason);
+    await payment.update({
+      disputeDetails: {
+        ...payment.disputeDetails,
+        gatewayDisputeId: disputeData.id,
+        amount: disputeData.amount,
+        gatewayStatus: disputeData.status
+      },
+      webhookData: disputeData
+    });
+
+    return { outcome: 'applied', paymentId: payment.id, status: payment.status };
+  }
+
+  async handleTransfer(eventType, data) {
+    const withdrawal = await Withdrawal.findOne({ where: { reference: data.reference || null } });
+
+    if (!withdrawal) {
+      throw new Error(`Withdrawal not found for ${data.reference}`);
+    }
+
+    const previousStatus = withdrawal.status;
+    await payoutService.handleTransferEvent(eventType, data, withdrawal);
+
+    return withdrawal.status === previousStatus
+      ? { outcome: 'skipped', withdrawalId: withdrawal.id, reason: `Withdrawal already ${previousStatus}` }
+      : { outcome: 'applied', withdrawalId: withdrawal.id, status: withdrawal.status };
+  }
+}
+
+// Create and export singleton instance
+const webhookService = new WebhookService();
+module.exports = webhookService;
@@ -0,0 +1,181 @@
+const http = require('http');
+const WebSocket = require('ws');
+const { Message } = require('../models');
+const { generateToken } = require('../middleware/auth');
+const chatServer = require('../services/chatServer');
+const fixtures = require('./helpers/fixtures');
+
+describe('Chat WebSocket server', () => {
+  let server;
+  let baseUrl;
+  let requester;
+  let provider;
+  let outsider;
+  let booking;
+
+  // Open a socket that buffers frames until a test asks for them by type
+  const connect = (user) => new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${baseUrl}/chat?token=${generateToken(user.id)}`);
+    ws.frames = [];
+    ws.waiters = [];
+
+    ws.on('message', (data) => {
+      const frame = JSON.parse(data.toString());
+      const index = ws.waiters.findIndex(waiter => waiter.type === frame.type);
+
+      if (index >= 0) {
+        ws.waiters.splice(index, 1)[0].resolve(frame.payload);
+      } else {
+        ws.frames.push(frame);
+      }
+    });
+
+    ws.once('open', () => resolve(ws));
+    ws.once('error', reject);
+  });
+
+  const nextFrame = (ws, type) => {
+    const index = ws.frames.findIndex(frame => frame.type === type);
+    if (index >= 0) {
+      return Promise.resolve(ws.frames.splice(index, 1)[0].payload);
+    }
+
+    return new Promise(resolve => ws.waiters.push({ type, resolve }));
+  };
+
+  const send = (ws, type, payload) => ws.send(JSON.stringify({ type, payload }));
+
+  const disconnect = (ws) => new Promise((resolve) => {
+    ws.once('close', resolve);
+    ws.close();
+  });
+
+  beforeAll(async () => {
+    requester = await fixtures.createUser('Chat');
+    provider = await fixtures.createUser('Chat', 'provider');
+    outsider = await fixtures.createUser('Outsider');
+
+    const service = await fixtures.createService(provider, { title: 'Chat Test Service', basePrice: 5000.00 });
+    booking = await fixtures.createBooking(service, requester, {
+      scheduledDate: new Date(Date.now() + 72 * 60 * 60 * 1000),
+      status: 'confirmed'
+    });
+
+    server = http.createServer();
+    chatServer.attach(server);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `ws://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await chatServer.close();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('rejects connections without a valid token', async () => {
+    const attempt = (url) => new Promise((resolve) => {
+      const ws = new WebSocket(url);
+      ws.on('unexpected-response', (request, response) => {
+        resolve(response.statusCode);
+        request.destroy();
+      });
+      ws.on('error', () => {});
+    });
+
+    expect(await attempt(`${baseUrl}/chat`)).toBe(401);
+    expect(await attempt(`${baseUrl}/chat?token=not-a-jwt`)).toBe(401);
+    expect(await attempt(`${baseUrl}/elsewhere?token=${generateToken(requester.id)}`)).toBe(404);
+  });
+
+  it('tracks presence and relays messages, typing and receipts within a booking room', async () => {
+    const requesterSocket = await connect(requester);
+    const providerSocket = await connect(provider);
+
+    expect(await nextFrame(requesterSocket, 'userOnline')).toEqual({ userId: provider.id, isOnline: true });
+    await requester.reload();
+    expect(requester.isOnline).toBe(true);
+
+    send(requesterSocket, 'ping');
+    expect(await nextFrame(requesterSocket, 'pong')).toHaveProperty('timestamp');
+
+    const outsiderSocket = await connect(outsider);
+    send(outsiderSocket, 'joinConversation', { conversationId: booking.id });
+    expect(await nextFrame(outsiderSocket, 'error')).toEqual({
+      message: 'Only participants of this booking can access its conversation',
+      requestType: 'joinConversation'
+    });
+
+    send(requesterSocket, 'joinConversation', { conversationId: booking.id });
+    expect(await nextFrame(requesterSocket, 'userOnline')).toEqual({ userId: provider.id, isOnline: true });
+    // The requester's own presence broadcast can reach the provider if both connected at once
+    providerSocket.frames = providerSocket.frames.filter(frame => frame.type !== 'userOnline');
+    send(providerSocket, 'joinConversation', { conversationId: booking.id });
+    await nextFrame(providerSocket, 'userOnline');
+
+    send(providerSocket, 'typing', { conversationId: booking.id });
+    expect(await nextFrame(requesterSocket, 'typing')).toMatchObject({ conversationId: booking.id, userId: provider.id });
+
+    send(requesterSocket, 'message', { id: 'temp_1', conversationId: booking.id, content: 'Hello, are you on your way?', type: 'text' });
+
+    const ack = await nextFrame(requesterSocket, 'messageStatus');
+    expect(ack).toMatchObject({ tempId: 'temp_1', conversationId: booking.id, status: 'sent' });
+
+    const received = await nextFrame(providerSocket, 'message');
+    expect(received).toMatchObject({
+      id: ack.messageId,
+      conversationId: booking.id,
+      senderId: requester.id,
+      receiverId: provider.id,
+      content: 'Hello, are you on your way?',
+      type: 'text'
+    });
+
+    expect(await nextFrame(requesterSocket, 'messageStatus')).toMatchObject({ messageIds: [ack.messageId], status: 'delivered' });
+    expect(await nextFrame(providerSocket, 'conversationUpdate')).toMatchObject({ conversationId: booking.id, unreadCount: 1 });
+
+    send(providerSocket, 'markAsRead', { conversationId: booking.id, messageIds: [ack.messageId] });
+    expect(await nextFrame(requesterSocket, 'messageStatus')).toMatchObject({ messageIds: [ack.messageId], status: 'read' });
+
+    const stored = await Message.findByPk(ack.messageId);
+    expect(stored).toMatchObject({ status: 'read', isRead: true });
+    expect(stored.deliveredAt).toBeTruthy();
+    expect(stored.readAt).toBeTruthy();
+
+    await disconnect(outsiderSocket);
+    await disconnect(providerSocket);
+    // Wait for the server to take the provider offline before the next test reconnects them
+    await nextFrame(requesterSocket, 'userOffline');
+    await disconnect(requesterSocket);
+  });
+
+  it('delivers messages sent while the receiver was offline once they reconnect', async () => {
+    const requesterSocket = await connect(requester);
+    const providerSocket = await connect(provider);
+    await nextFrame(requesterSocket, 'userOnline');
+
+    await disconnect(providerSocket);
+    const offline = await nextFrame(requesterSocket, 'userOffline');
+    expect(offline).toMatchObject({ userId: provider.id, isOnline: false });
+    expect(offline.lastSeenAt).toBeTruthy();
+
+    await provider.reload();
+    expect(provider.isOnline).toBe(false);
+
+    send(requesterSocket, 'message', { id: 'temp_2', conversationId: booking.id, content: 'Ping me when you are back' });
+    const ack = await nextFrame(requesterSocket, 'messageStatus');
+    expect((await Message.findByPk(ack.messageId)).status).toBe('sent');
+
+    await connect(provider);
+    expect(await nextFrame(requesterSocket, 'messageStatus')).toMatchObject({ messageIds: [ack.messageId], status: 'delivered' });
+    expect((await Message.findByPk(ack.messageId)).status).toBe('delivered');
+
+    send(requesterSocket, 'typing', { conversationId: booking.id });
+    expect(await nextFrame(requesterSocket, 'error')).toEqual({
+      message: 'Join the conversation before sending typing indicators',
+      requestType: 'typing'
+    });
+
+    send(requesterSocket, 'somethingElse', {});
+    expect(await nextFrame(requesterSocket, 'error')).toEqual({ message: 'Unknown message type: somethingElse', requestType: null });
+  });
+});
@@ -0,0 +1,153 @@
+const fs = require('fs').promises;
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const sharp = require('sharp');
+const { Message } = require('../models');
+const chatService = require('../services/chatService');
+const uploadService = require('../services/uploadService');
+const chatRoutes = require('../routes/chat');
+const { errorHandler } = require('../middleware/errorHandler');
+const fixtures = require('./helpers/fixtures');
+
+describe('Chat attachments', () => {
+  let app;
+  let requester;
+  let provider;
+  let outsider;
+  let booking;
+
+  // Multer leaves uploads in the temp directory; mimic that for the service
+  const tempFile = async (name, mimetype, content) => {
+    const tempPath = path.join(uploadService.uploadDir, 'temp', `${Date.now()}-${name}`);
+    await fs.mkdir(path.dirname(tempPath), { recursive: true });
+    await fs.writeFile(tempPath, content);
+
+    return { path: tempPath, originalname: name, mimetype, size: content.length };
+  };
+
+  const png = () => sharp({
+    create: { width: 800, height: 600, channels: 3, background: { r: 40, g: 120, b: 200 } }
+  }).png().toBuffer();
+
+  beforeAll(async () => {
+    requester = await fixtures.createUser('Attach');
+    provider = await fixtures.createUser('Attach', 'provider');
+    outsider = await fixtures.createUser('Outsider');
+
+    const service = await fixtures.createService(provider, { title: 'Chat Attachment Service', basePrice: 5000.00 });
+    booking = await fixtures.createBooking(service, requester, {
+      scheduledDate: new Date(Date.now() + 72 * 60 * 60 * 1000),
+      status: 'confirmed'
+    });
+
+    app = express();
+    app.use('/api/chat', chatRoutes);
+    app.use(errorHandler);
+  });
+
+  it('stores images privately with a thumbnail and serves them through signed links', async () => {
+    const file = await tempFile('leak.png', 'image/png', await png());
+    const message = await chatService.sendAttachment(requester, { conversationId: booking.id, file, caption: 'The leak under the sink' });
+
+    const [stored] = message.attachments;
+    expect(message).toMatchObject({ messageType: 'image', content: 'The leak under the sink' });
+    expect(stored).toMatchObject({ kind: 'image', name: 'leak.png', mimetype: 'image/jpeg' });
+    expect(stored.path.startsWith(path.join(uploadService.privateUploadDir, 'chat'))).toBe(true);
+    expect((await sharp(stored.thumbnailPath).metadata())).toMatchObject({ width: 320, height: 320 });
+    await expect(fs.access(file.path)).rejects.toThrow();
+
+    const [attachment] = chatService.serializeMessage(message).attachments;
+    expect(attachment).not.toHaveProperty('path');
+    expect(attachment.url).toMatch(new RegExp(`^/api/chat/attachments/${message.id}/${stored.id}\\?expires=\\d+&signature=`));
+    expect(attachment.thumbnailUrl).toContain(`/${stored.id}/thumbnail?`);
+
+    const full = await request(app).get(attachment.url);
+    expect(full.status).toBe(200);
+    expect(full.headers['content-type']).toBe('image/jpeg');
+
+    const thumbnail = await request(app).get(attachment.thumbnailUrl);
+    expect(thumbnail.status).toBe(200);
+    expect((await sharp(thumbnail.body).metadata()).width).toBe(320);
+
+    // A signature only covers the path it was issued for
+    const [, query] = attachment.url.split('?');
+    expect((await request(app).get(`/api/chat/attachments/${message.id}/${stored.id}/thumbnail?${query}`)).status).toBe(403);
+    expect((await request(app).get(`${attachment.url}x`)).status).toBe(403);
+
+    const expired = uploadService.createSignedUrl(chatService.attachmentPath(message.id, stored.id), -1);
+    const response = await request(app).get(expired.url);
+    expect(response.status).toBe(403);
+    expect(response.body.message).toBe('This download link is invalid or has expired');
+  });
+
+  it('enforces per-type limits and keeps files out of other conversations', async () => {
+    const document = await tempFile('quote.pdf', 'application/pdf', Buffer.from('%PDF-1.4 quote'));
+    const message = await chatService.sendAttachment(provider, { conversationId: booking.id, file: document });
+    expect(message).toMatchObject({ messageType: 'file', content: 'quote.pdf' });
+
+    const [attachment] = chatService.serializeMessage(message).attachments;
+    expect(attachment).toMatchObject({ kind: 'file', name: 'quote.pdf', size: 14, thumbnailUrl: null });
+
+    const download = await request(app).get(attachment.url);
+    expect(download.status).toBe(200);
+    expect(download.headers['content-disposition']).toContain('quote.pdf');
+
+    const limit = uploadService.chatAttachmentLimits.image;
+    const large = await tempFile('huge.png', 'image/png', await png());
+    large.size = limit + 1;
+    await expect(chatService.sendAttachment(requester, { conversationId: booking.id, file: large }))
+      .rejects.toThrow(`Images must be smaller than ${limit / (1024 * 1024)}MB`);
+    await expect(fs.access(large.path)).rejects.toThrow();
+
+    const script = await tempFile('run.sh', 'application/x-sh', Buffer.from('echo hi'));
+    await expect(chatService.sendAttachment(requester, { conversationId: booking.id, file: script }))
+      .rejects.toThrow('Unsupported attachment type: application/x-sh');
+
+    const stray = await tempFile('stray.pdf', 'application/pdf', Buffer.from('%PDF-1.4 stray'));
+    await expect(chatService.sendAttachment(outsider, { conversationId: booking.id, file: stray }))
+      .rejects.toThrow('Only participants of this booking can access its conversation');
+    await expect(fs.access(stray.path)).rejects.toThrow();
+
+    await expect(chatService.sendMessage(requester, { conversationId: booking.id, content: 'x', type: 'file' }))
+      .rejects.toThrow('Images and files must be uploaded as attachments');
+
+    // Deleting the message removes the stored file and invalidates its links
+    const stored = message.attachments[0];
+    await chatService.deleteMessage(message.id, provider);
+    await expect(fs.access(stored.path)).rejects.toThrow();
+    expect((await request(app).get(attachment.url)).status).toBe(404);
+  });
+
+  it('sends locations as coordinates with an optional address', async () => {
+    const message = await chatService.sendMessage(requester, {
+      conversationId: booking.id,
+      type: 'location',
+      location: { latitude: '6.4281', longitude: 3.4219, address: ' 12 Admiralty Way, Lekki ' }
+    });
+
+    expect(message.content).toBe('12 Admiralty Way, Lekki');
+    expect(chatService.serializeMessage(message).attachments).toEqual([{
+      id: expect.any(String),
+      kind: 'location',
+      latitude: 6.4281,
+      longitude: 3.4219,
+      address: '12 Admiralty Way, Lekki'
+    }]);
+
+    const pinned = await chatService.sendMessage(provider, {
+      conversationId: booking.id,
+      type: 'location',
+      location: { latitude: 6.5, longitude: 3.3 }
+    });
+    expect(pinned.content).toBe('Shared a location');
+
+    await expect(chatService.sendMessage(requester, {
+      conversationId: booking.id,
+      type: 'location',
+      location: { latitude: 91, longitude: 3.3 }
+    })).rejects.toThrow('A valid location is required');
+
+    expect(await Message.count({ where: { bookingId: booking.id, messageType: 'location' } })).toBe(2);
+  });
+});
@@ -0,0 +1,135 @@
+const chatService = require('../services/chatService');
+const fixtures = require('./helpers/fixtures');
+
+describe('Chat history', () => {
+  let requester;
+  let provider;
+  let outsider;
+  let service;
+  let booking;
+  let quietBooking;
+
+  const createBooking = (owner) => fixtures.createBooking(service, owner, {
+    scheduledDate: new Date(Date.now() + 72 * 60 * 60 * 1000),
+    status: 'confirmed'
+  });
+
+  beforeAll(async () => {
+    requester = await fixtures.createUser('History');
+    provider = await fixtures.createUser('History', 'provider');
+    outsider = await fixtures.createUser('Outsider');
+    service = await fixtures.createService(provider, { title: 'Chat History Service', basePrice: 5000.00 });
+
+    quietBooking = await createBooking(requester);
+    booking = await createBooking(requester);
+  });
+
+  it('pages back through history with cursors and keeps unread counters in sync', async () => {
+    const sent = [];
+    for (let i = 1; i <= 5; i++) {
+      sent.push(await chatService.sendMessage(requester, { conversationId: booking.id, content: `Update number ${i}` }));
+    }
+
+    await booking.reload();
+    expect(booking.communication).toMatchObject({
+      messageCount: 5,
+      unreadCount: { requester: 0, provider: 5 }
+    });
+
+    const seen = [];
+    let cursor = null;
+    let pages = 0;
+    do {
+      const page = await chatService.listMessages(booking.id, provider, { cursor, limit: 2 });
+      expect(page.messages.length).toBeLessThanOrEqual(2);
+      seen.unshift(...page.messages.map(message => message.id));
+      cursor = page.nextCursor;
+      pages++;
+    } while (cursor);
+
+    expect(pages).toBe(3);
+    expect(new Set(seen).size).toBe(5);
+    expect(seen.sort()).toEqual(sent.map(message => message.id).sort());
+
+    const latest = await chatService.listMessages(booking.id, provider, { limit: 2 });
+    expect(latest.hasMore).toBe(true);
+    expect(latest.unreadCount).toBe(5);
+
+    await expect(chatService.listMessages(booking.id, outsider))
+      .rejects.toThrow('Only participants of this booking can access its conversation');
+    await expect(chatService.listMessages(booking.id, provider, { cursor: 'bm90LWEtY3Vyc29y' }))
+      .rejects.toThrow('Invalid cursor');
+
+    expect(await chatService.getUnreadCounts(provider)).toEqual({
+      totalUnread: 5,
+      conversationCounts: { [booking.id]: 5 }
+    });
+
+    await chatService.markRead(provider, { conversationId: booking.id, messageIds: [sent[0].id, sent[1].id] });
+    await booking.reload();
+    expect(booking.communication.unreadCount.provider).toBe(3);
+
+    await chatService.markRead(provider, { conversationId: booking.id });
+    await booking.reload();
+    expect(booking.communication.unreadCount.provider).toBe(0);
+    expect((await chatService.getUnreadCounts(provider)).totalUnread).toBe(0);
+  });
+
+  it('lets senders edit and delete their own messages, leaving a tombstone', async () => {
+    const message = await chatService.sendMessage(provider, { conversationId: booking.id, content: 'I will arrive at 9am' });
+
+    await expect(chatService.editMessage(message.id, requester, 'Hacked'))
+      .rejects.toThrow('Only the sender can change this message');
+
+    const edited = await chatService.editMessage(message.id, provider, 'I will arrive at 10am instead');
+    expect(chatService.serializeMessage(edited)).toMatchObject({
+      content: 'I will arrive at 10am instead',
+      isEdited: true
+    });
+    expect(edited.editedAt).toBeTruthy();
+
+    await booking.reload();
+    expect(booking.communication).toMatchObject({ messageCount: 6, unreadCount: { requester: 1 } });
+
+    const deleted = await chatService.deleteMessage(message.id, provider);
+    expect(chatService.serializeMessage(deleted)).toMatchObject({ content: null, attachments: [], isDeleted: true });
+
+    await booking.reload();
+    expect(booking.communication).toMatchObject({ messageCount: 5, unreadCount: { requester: 0 } });
+
+    await expect(chatService.editMessage(message.id, provider, 'Again'))
+      .rejects.toThrow('This message has been deleted');
+
+    const { messages } = await chatService.listMessages(booking.id, requester);
+    expect(messages[messages.length - 1]).toMatchObject({ id: message.id, isDeleted: true, content: null });
+  });
+
+  it('lists conversations by latest activity and searches message text', async () => {
+    const { conversations, pagination } = await chatService.listConversations(requester);
+
+    expect(conversations.map(conversation => conversation.id)).toEqual([booking.id, quietBooking.id]);
+    expect(pagination.totalConversations).toBe(2);
+    expect(conversations[0]).toMatchObject({
+      bookingNumber: booking.bookingNumber,
+      service: { id: service.id, title: 'Chat History Service' },
+      messageCount: 5,
+      unreadCount: 0
+    });
+    expect(conversations[0].participants.map(participant => participant.role)).toEqual(['requester', 'provider']);
+    expect(conversations[0].lastMessage).toMatchObject({ isDeleted: true });
+    expect(conversations[1]).toMatchObject({ lastMessage: null, messageCount: 0 });
+
+    const other = await createBooking(outsider);
+    await chatService.sendMessage(outsider, { conversationId: other.id, content: 'Update on a different booking' });
+
+    const results = await chatService.searchMessages(requester, { q: 'update number' });
+    expect(results.totalResults).toBe(5);
+    expect(results.results.every(message => message.conversationId === booking.id)).toBe(true);
+
+    const deletedText = await chatService.searchMessages(provider, { q: '10am', conversationId: booking.id });
+    expect(deletedText.totalResults).toBe(0);
+
+    await expect(chatService.searchMessages(requester, { q: 'update', conversationId: other.id }))
+      .rejects.toThrow('Only participants of this booking can access its conversation');
+  });
+});
@@ -0,0 +1,165 @@
+const express = require('express');
+const request = require('supertest');
+const { Review, ScheduledJob, CreditScoreSnapshot } = require('../models');
+const { generateToken } = require('../middleware/auth');
+const { getIdentityProvider } = require('../services/identityProviders');
+const kycService = require('../services/kycService');
+const jobScheduler = require('../services/jobScheduler');
+const bookingLifecycle = require('../services/lifecycle/bookingLifecycle');
+const { registerJobs } = require('../services/scheduledJobs');
+const creditRatingRoutes = require('../routes/creditRating');
+const { errorHandler } = require('../middleware/errorHandler');
+const fixtures = require('./helpers/fixtures');
+
+describe('Credit rating', () => {
+  let app;
+  let provider;
+  let requester;
+  let admin;
+  let service;
+  const registry = getIdentityProvider('local');
+
+  const api = (method, url, owner = provider) => request(app)[method](`/api${url}`)
+    .set('Authorization', `Bearer ${generateToken(owner.id)}`);
+
+  const tomorrow = () => new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+  const createBooking = (values = {}) => fixtures.createBooking(service, requester, {
+    scheduledDate: tomorrow().toISOString().slice(0, 10),
+    ...values
+  });
+
+  beforeAll(async () => {
+    registerJobs(jobScheduler);
+
+    provider = await fixtures.createUser('Ngozi', 'provider', {
+      lastName: 'Rating',
+      isEmailVerified: true,
+      isPhoneVerified: true,
+      bio: 'Electrician with ten years of experience',
+      city: 'Lagos',
+      skills: ['wiring']
+    });
+    requester = await fixtures.createUser('Kunle', 'requester', { lastName: 'Rating' });
+    admin = await fixtures.createUser('Credit', 'admin');
+
+    service = await fixtures.createService(provider, {
+      title: 'Rewiring',
+      description: 'Full rewiring of a flat by a certified electrician',
+      basePrice: 15000.00
+    });
+
+    registry.setRecord('nin', '52345678901', {
+      firstName: 'NGOZI',
+      middleName: null,
+      lastName: 'RATING',
+      dateOfBirth: '1990-06-01',
+      phone: null
+    });
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/credit-rating', creditRatingRoutes);
+    app.use(errorHandler);
+  });
+
+  afterAll(() => {
+    registry.reset();
+  });
+
+  it('scores users from their verification, bookings and reviews and explains how to improve', async () => {
+    const halfHourAfterBooking = new Date(Date.now() + 30 * 60 * 1000);
+    const beforeScheduledStart = new Date(`${tomorrow().toISOString().slice(0, 10)}T09:55:00`);
+
+    for (let i = 0; i < 2; i++) {
+      const booking = await createBooking({
+        status: 'completed',
+        confirmedAt: halfHourAfterBooking,
+        startedAt: beforeScheduledStart,
+        completedAt: beforeScheduledStart
+      });
+
+      await Review.create({
+        bookingId: booking.id,
+        reviewerId: requester.id,
+        revieweeId: provider.id,
+        serviceId: service.id,
+        reviewerRole: 'requester',
+        rating: 4
+      });
+    }
+
+    await createBooking({
+      status: 'cancelled',
+      cancellation: { cancelledBy: 'provider', reason: 'Double booked' }
+    });
+
+    const response = await api('get', `/credit-rating/${provider.id}`);
+    expect(response.status).toBe(200);
+
+    const { rating } = response.body.data;
+    expect(rating.components.verification).toEqual({ nin: 0, bvn: 0, idDocument: 0, phone: 100, email: 100 });
+    expect(rating.components.transactions).toEqual({
+      completionRate: 66.7,
+      onTimeDelivery: 100,
+      clientSatisfaction: 80,
+      disputeRate: 100
+    });
+    // Nothing paid or withdrawn yet, so the financial factor is neutral
+    expect(rating.components.financial).toEqual({ paymentHistory: null, withdrawalPattern: null, balanceManagement: null });
+    expect(rating.breakdown).toEqual({ verification: 20, transactions: 82.7, activity: 48, financial: 50 });
+    expect(rating).toMatchObject({ score: 49.1, tier: 'Poor', tierKey: 'poor', trigger: 'initial' });
+    expect(rating.metrics).toMatchObject({ completedBookings: 2, failedBookings: 1, reviewCount: 2, averageRating: 4 });
+
+    // Reading again doesn't add a snapshot
+    await api('get', `/credit-rating/${provider.id}`);
+    expect(await CreditScoreSnapshot.count({ where: { userId: provider.id } })).toBe(1);
+
+    const denied = await api('get', `/credit-rating/${provider.id}`, requester);
+    expect(denied.status).toBe(403);
+    expect(denied.body.message).toBe('Only the account owner or an admin can view this credit rating');
+    expect((await api('get', `/credit-rating/${provider.id}`, admin)).status).toBe(200);
+
+    const recommendations = (await api('get', `/credit-rating/${provider.id}/recommendations`)).body.data.recommendations;
+    expect(recommendations[0]).toMatchObject({ key: 'nin', action: 'verify_identity', potentialGain: 12, impact: 'High' });
+    expect(recommendations.map(item => item.key)).toContain('profileCompleteness');
+    expect(recommendations.map(item => item.key)).not.toContain('email');
+  });
+
+  it('recalculates in the background when something feeds the score and tracks the trend', async () => {
+    const booking = await createBooking({ status: 'confirmed' });
+
+    await bookingLifecycle.transition(booking, 'cancel', provider, { reason: 'Unwell' });
+    await kycService.verifyNin(provider, { nin: '52345678901', dateOfBirth: '1990-06-01' });
+
+    // Both events for the provider share one job; the requester gets their own
+    expect(await ScheduledJob.count({ where: { name: 'credit.recalculate' } })).toBe(2);
+    await jobScheduler.tick(new Date(Date.now() + 2 * 60 * 1000));
+    expect(await ScheduledJob.count({ where: { name: 'credit.recalculate', status: 'completed' } })).toBe(2);
+
+    const history = await api('get', `/credit-rating/${provider.id}/history?period=1month`);
+    expect(history.status).toBe(200);
+    expect(history.body.data.history.map(item => item.trigger)).toEqual(['initial', 'booking_cancelled']);
+
+    const latest = history.body.data.history[1];
+    expect(latest.components.verification.nin).toBe(100);
+    expect(latest.components.transactions.completionRate).toBe(50);
+    expect(history.body.data.trend).toMatchObject({ trend: 'improving', change: latest.score - 49.1 });
+
+    expect(await CreditScoreSnapshot.count({ where: { userId: requester.id } })).toBe(1);
+    expect((await api('get', `/credit-rating/${provider.id}/history?period=decade`)).status).toBe(400);
+  });
+
+  it('lets admins recalculate ratings in bulk', async () => {
+    const missingId = '00000000-0000-4000-8000-000000000000';
+
+    expect((await api('post', '/credit-rating/bulk-update').send({ userIds: [provider.id] })).status).toBe(403);
+
+    const response = await api('post', '/credit-rating/bulk-update', admin)
+      .send({ userIds: [provider.id, requester.id, missingId] });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.updated.map(item => item.userId)).toEqual([provider.id, requester.id]);
+    expect(response.body.data.failed).toEqual([{ userId: missingId, message: 'User not found' }]);
+  });
+});
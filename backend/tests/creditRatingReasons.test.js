@@ -0,0 +1,165 @@
+const express = require('express');
+const request = require('supertest');
+const { Dispute } = require('../models');
+const { generateToken } = require('../middleware/auth');
+const { getIdentityProvider } = require('../services/identityProviders');
+const kycService = require('../services/kycService');
+const jobScheduler = require('../services/jobScheduler');
+const { registerJobs } = require('../services/scheduledJobs');
+const creditRatingRoutes = require('../routes/creditRating');
+const { errorHandler } = require('../middleware/errorHandler');
+const fixtures = require('./helpers/fixtures');
+
+describe('Credit rating reasons', () => {
+  let app;
+  let provider;
+  let requester;
+  let service;
+  let dispute;
+  const registry = getIdentityProvider('local');
+
+  const api = (method, url) => request(app)[method](`/api${url}`)
+    .set('Authorization', `Bearer ${generateToken(provider.id)}`);
+
+  const tomorrow = () => new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+  const createCompletedBooking = () => {
+    const scheduledDate = tomorrow().toISOString().slice(0, 10);
+    const startedAt = new Date(`${scheduledDate}T09:55:00`);
+
+    return fixtures.createBooking(service, requester, {
+      scheduledDate,
+      status: 'completed',
+      confirmedAt: new Date(Date.now() + 30 * 60 * 1000),
+      startedAt,
+      completedAt: startedAt
+    });
+  };
+
+  beforeAll(async () => {
+    registerJobs(jobScheduler);
+
+    provider = await fixtures.createUser('Tunde', 'provider', {
+      lastName: 'Reason',
+      isEmailVerified: true,
+      isPhoneVerified: true,
+      bio: 'Plumber serving Ikeja and Yaba',
+      city: 'Lagos',
+      skills: ['plumbing']
+    });
+    requester = await fixtures.createUser('Bisi', 'requester', { lastName: 'Reason' });
+
+    service = await fixtures.createService(provider, {
+      title: 'Leak repair',
+      description: 'Finding and fixing leaks in kitchens and bathrooms',
+      basePrice: 12000.00
+    });
+
+    await createCompletedBooking();
+    const disputed = await createCompletedBooking();
+
+    const payment = await fixtures.createPayment(disputed, {
+      platformFee: 600,
+      gatewayTransactionId: `MOCK-CRR-${disputed.id}`,
+      status: 'disputed'
+    });
+
+    dispute = await Dispute.create({
+      disputeNumber: `DSP-CRR-${Date.now()}`,
+      subjectType: 'booking',
+      bookingId: disputed.id,
+      paymentId: payment.id,
+      claimantId: requester.id,
+      respondentId: provider.id,
+      disputeType: 'incomplete',
+      reason: 'Leak came back',
+      description: 'The tap started leaking again the next day',
+      respondBy: tomorrow(),
+      resolveBy: tomorrow()
+    });
+
+    registry.setRecord('nin', '62345678901', {
+      firstName: 'TUNDE',
+      middleName: null,
+      lastName: 'REASON',
+      dateOfBirth: '1988-03-14',
+      phone: null
+    });
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/credit-rating', creditRatingRoutes);
+    app.use(errorHandler);
+  });
+
+  afterAll(() => {
+    registry.reset();
+  });
+
+  it('breaks the score down into contributions and reason codes', async () => {
+    const response = await api('get', `/credit-rating/${provider.id}`);
+    expect(response.status).toBe(200);
+
+    const { rating } = response.body.data;
+    const factorPoints = Object.values(rating.contributions).reduce((sum, factor) => sum + factor.points, 0);
+    expect(factorPoints).toBeCloseTo(rating.score, 0);
+    expect(rating.contributions.verification.components.nin).toMatchObject({ label: 'NIN', score: 0, points: 0, maxPoints: 12 });
+    expect(rating.contributions.transactions.components.clientSatisfaction).toMatchObject({ score: null, points: null });
+
+    const byCode = Object.fromEntries(rating.reasons.map(reason => [reason.code, reason]));
+    expect(byCode.dispute_rate).toMatchObject({
+      factor: 'transactions',
+      component: 'disputeRate',
+      message: 'Dispute rate 50% in the last 90 days',
+      params: { disputesUpheld: 1, bookings: 2, windowDays: 90 }
+    });
+    expect(byCode.new_account.message).toBe('Account younger than 30 days');
+    expect(byCode.nin_not_verified.points).toBe(-12);
+    expect(byCode.no_financial_history).toBeUndefined();
+    expect(byCode.email_not_verified).toBeUndefined();
+
+    // Most costly first, and the first snapshot has nothing to compare with
+    expect(rating.reasons.map(reason => reason.points)).toEqual([...rating.reasons.map(reason => reason.points)].sort((a, b) => a - b));
+    expect(rating.changes).toBeNull();
+
+    const recommendations = (await api('get', `/credit-rating/${provider.id}/recommendations`)).body.data.recommendations;
+    expect(recommendations.find(item => item.key === 'disputeRate')).toMatchObject({ reasonCode: 'dispute_rate', potentialGain: 4.4 });
+  });
+
+  it('records what changed since the previous snapshot', async () => {
+    await kycService.verifyNin(provider, { nin: '62345678901', dateOfBirth: '1988-03-14' });
+    await dispute.update({ status: 'resolved', decision: { outcome: 'release' } });
+
+    const response = await api('post', `/credit-rating/${provider.id}/update`);
+    expect(response.status).toBe(200);
+
+    const { rating } = response.body.data;
+    const { changes } = rating;
+    expect(changes).toMatchObject({ previousScore: expect.any(Number), scoreChange: 17.2 });
+    expect(changes.previousCalculatedAt).toBeTruthy();
+    expect(changes.factors.map(factor => factor.factor)).toEqual(['verification', 'transactions', 'activity']);
+
+    // The verified NIN also filled in the date of birth on the profile
+    expect(changes.components).toEqual([
+      { factor: 'verification', component: 'nin', label: 'NIN', from: 0, to: 100, pointsChange: 12, reason: null },
+      { factor: 'transactions', component: 'disputeRate', label: 'Disputes', from: 0, to: 100, pointsChange: 4.38, reason: null },
+      {
+        factor: 'activity',
+        component: 'profileCompleteness',
+        label: 'Profile completeness',
+        from: 66.7,
+        to: 83.3,
+        pointsChange: 0.75,
+        reason: { code: 'incomplete_profile', message: 'Profile is missing: profile picture' }
+      }
+    ]);
+    expect(changes.reasonsResolved.map(reason => reason.code).sort()).toEqual(['dispute_rate', 'nin_not_verified']);
+    expect(changes.reasonsResolved.find(reason => reason.code === 'dispute_rate').message).toBe('Dispute rate 50% in the last 90 days');
+    expect(changes.reasonsAdded).toEqual([]);
+    expect(rating.reasons.map(reason => reason.code)).not.toContain('nin_not_verified');
+
+    // The history carries each snapshot's changes too
+    const history = (await api('get', `/credit-rating/${provider.id}/history?period=1month`)).body.data.history;
+    expect(history.map(item => item.changes && item.changes.scoreChange)).toEqual([null, 17.2]);
+  });
+});
@@ -0,0 +1,268 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { Job, Refund, Dispute, Notification, DisputeStatement } = require('../models');
+const disputeService = require('../services/disputeService');
+const escrowService = require('../services/escrowService');
+const jobService = require('../services/jobService');
+const fixtures = require('./helpers/fixtures');
+
+describe('Disputes', () => {
+  let requester;
+  let provider;
+  let outsider;
+  let admin;
+  let service;
+
+  const disputeData = {
+    disputeType: 'quality',
+    reason: 'Tiles are cracked',
+    description: 'Several tiles cracked within a day of the work being finished',
+    proposedResolution: 'Refund half of the payment'
+  };
+
+  const fundedJob = async () => {
+    const job = await jobService.createJob(requester.id, {
+      title: 'Retile the bathroom',
+      description: 'Replace the cracked wall and floor tiles in a small bathroom',
+      category: 'home',
+      budget: 50000
+    });
+    await jobService.acceptJob(job, provider, {});
+
+    const payment = await fixtures.fundJob(job);
+    await jobService.startJob(job, provider);
+
+    return { job, payment };
+  };
+
+  const paidBooking = async () => {
+    const booking = await fixtures.createBooking(service, requester, {
+      scheduledDate: new Date(Date.now() + 72 * 60 * 60 * 1000),
+      status: 'confirmed'
+    });
+
+    // A declined first attempt stays on the booking next to the payment that went through
+    await fixtures.createPayment(booking, { status: 'failed' });
+    const payment = await fixtures.createPayment(booking, { platformFee: 400, gatewayTransactionId: `MOCK-DSP-BKG-${booking.id}` });
+
+    await escrowService.holdPayment(payment);
+    return { booking, payment };
+  };
+
+  beforeAll(async () => {
+    requester = await fixtures.createUser('Dispute');
+    provider = await fixtures.createUser('Dispute', 'provider');
+    outsider = await fixtures.createUser('Outsider');
+    admin = await fixtures.createUser('Dispute', 'admin');
+    service = await fixtures.createService(provider, { title: 'Dispute Test Service', basePrice: 8000.00 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('freezes escrow on a job dispute and splits the payment on a partial refund decision', async () => {
+    const { job, payment } = await fundedJob();
+
+    const dispute = await disputeService.openDispute('job', job, requester, disputeData);
+    expect(dispute).toMatchObject({ status: 'open', claimantId: requester.id, respondentId: provider.id, paymentId: payment.id });
+    expect(dispute.respondBy > new Date()).toBe(true);
+    expect(job.status).toBe('disputed');
+
+    await payment.reload();
+    expect(payment.status).toBe('disputed');
+    expect(payment.disputeDetails.disputeId).toBe(dispute.disputeNumber);
+    expect(escrowService.getReleaseBlocker(payment)).toBe('Payment is frozen while a dispute is open');
+    expect(await Notification.count({ where: { userId: provider.id, type: 'dispute_opened' } })).toBe(1);
+
+    await expect(disputeService.openDispute('job', job, provider, disputeData))
+      .rejects.toThrow('Cannot dispute a job that is disputed');
+
+    // Threaded statements; the respondent's first one stops the response clock
+    const opening = await disputeService.addStatement(dispute, requester, { message: 'Photos attached' });
+    const reply = await disputeService.addStatement(dispute, provider, { message: 'The tiles were supplied by the client', parentId: opening.id });
+    expect(reply).toMatchObject({ authorRole: 'respondent', parentId: opening.id });
+    expect(dispute.status).toBe('under_review');
+    expect(dispute.respondedAt).toBeTruthy();
+
+    await expect(disputeService.addStatement(dispute, outsider, { message: 'Hello' }))
+      .rejects.toThrow('Only the parties to this dispute or an admin can access it');
+
+    const refundable = await payment.getRefundableAmount();
+    await expect(disputeService.resolveDispute(dispute, admin, { outcome: 'partial_refund', refundAmount: refundable, notes: 'Split' }))
+      .rejects.toThrow('Partial refund amount must be more than 0');
+
+    await disputeService.resolveDispute(dispute, admin, {
+      outcome: 'partial_refund',
+      refundAmount: 20000,
+      notes: 'Both parties share responsibility for the tiles'
+    });
+
+    expect(dispute.status).toBe('resolved');
+    expect(dispute.decision).toMatchObject({ outcome: 'partial_refund', refundAmount: 20000, releasedAmount: refundable - 20000 });
+
+    await payment.reload();
+    expect(payment.status).toBe('partially_refunded');
+    expect(parseFloat(payment.refundedAmount)).toBe(20000);
+    expect(payment.escrowDetails.releasedAt).toBeTruthy();
+    expect(payment.escrowDetails.releaseTrigger).toBe('dispute_resolution');
+    expect(payment.disputeDetails).toMatchObject({ status: 'resolved', winner: 'split' });
+
+    await job.reload();
+    expect(job.status).toBe('resolved');
+    expect(job.timeline.map(entry => entry.event).slice(-2)).toEqual(['job_disputed', 'job_resolved']);
+
+    const [refund] = await Refund.findAll({ where: { paymentId: payment.id } });
+    expect(refund).toMatchObject({ source: 'dispute', initiatedBy: admin.id });
+
+    expect(await Notification.count({ where: { type: 'dispute_resolved', userId: [requester.id, provider.id] } })).toBeGreaterThanOrEqual(2);
+    await expect(disputeService.addStatement(dispute, requester, { message: 'One more thing' }))
+      .rejects.toThrow('This dispute has already been resolved');
+  });
+
+  it('opens one dispute when both parties dispute at once', async () => {
+    const { job } = await fundedJob();
+    const staleCopy = await Job.findByPk(job.id);
+
+    await disputeService.openDispute('job', job, requester, disputeData);
+
+    // The provider's request loaded the job before the requester's dispute was saved
+    await expect(disputeService.openDispute('job', staleCopy, provider, disputeData))
+      .rejects.toThrow('Cannot dispute a job that is disputed');
+    expect(await Dispute.count({ where: { jobId: job.id } })).toBe(1);
+  });
+
+  it('finishes a decision that failed part way without moving the money twice', async () => {
+    const { job, payment } = await fundedJob();
+    const dispute = await disputeService.openDispute('job', job, requester, disputeData);
+
+    jest.spyOn(escrowService, 'releasePayment').mockRejectedValueOnce(new Error('Ledger unavailable'));
+    await expect(disputeService.resolveDispute(dispute, admin, { outcome: 'partial_refund', refundAmount: 10000 }))
+      .rejects.toThrow('Ledger unavailable');
+
+    expect(dispute.status).toBe('resolving');
+    await expect(disputeService.addStatement(dispute, requester, { message: 'Any news?' }))
+      .rejects.toThrow('This dispute has already been resolved');
+    await expect(disputeService.resolveDispute(dispute, admin, { outcome: 'release' }))
+      .rejects.toThrow('This dispute is already being resolved as partial refund');
+
+    await disputeService.resolveDispute(dispute, admin, { outcome: 'partial_refund', refundAmount: 10000 });
+
+    expect(dispute.status).toBe('resolved');
+    expect(dispute.decision).toMatchObject({ outcome: 'partial_refund', refundAmount: 10000 });
+    expect(await Refund.count({ where: { paymentId: payment.id } })).toBe(1);
+
+    await payment.reload();
+    expect(parseFloat(payment.refundedAmount)).toBe(10000);
+    expect(payment.escrowDetails).toMatchObject({ releaseTrigger: 'dispute_resolution', releaseReference: `dispute:${dispute.id}` });
+    await job.reload();
+    expect(job.status).toBe('resolved');
+  });
+
+  it('refunds a disputed booking in full and stores evidence uploads', async () => {
+    const { booking, payment } = await paidBooking();
+
+    const dispute = await disputeService.openDispute('booking', booking, requester, {
+      ...disputeData,
+      disputeType: 'no_show',
+      reason: 'Provider never arrived'
+    });
+    expect(booking.status).toBe('disputed');
+
+    const tempPath = path.join('uploads', 'temp', `evidence-${Date.now()}.pdf`);
+    await fs.mkdir(path.dirname(tempPath), { recursive: true });
+    await fs.writeFile(tempPath, '%PDF-1.4 test');
+
+    const [evidence] = await disputeService.addEvidence(dispute, requester, [{
+      path: tempPath,
+      originalname: 'call-log.pdf',
+      mimetype: 'application/pdf',
+      size: 13
+    }], { caption: 'Call log' });
+
+    expect(evidence).toMatchObject({ filename: 'call-log.pdf', mimetype: 'application/pdf', caption: 'Call log', uploadedBy: requester.id });
+    expect(evidence.url).toMatch(/^\/uploads\/disputes\/dispute-/);
+    expect(dispute.evidence).toHaveLength(1);
+
+    await disputeService.addStatement(dispute, requester, { message: 'See the call log', evidenceIds: [evidence.id] });
+    await expect(disputeService.addStatement(dispute, requester, { message: 'Unknown', evidenceIds: ['missing'] }))
+      .rejects.toThrow('Evidence not found on this dispute');
+
+    await disputeService.resolveDispute(dispute, admin, { outcome: 'full_refund', notes: 'Provider did not attend' });
+
+    await payment.reload();
+    expect(payment.status).toBe('refunded');
+    expect(parseFloat(payment.refundedAmount)).toBe(8000);
+    expect(payment.escrowDetails.releasedAt).toBeFalsy();
+
+    await booking.reload();
+    expect(booking.status).toBe('refunded');
+
+    await fs.unlink(path.join('uploads', 'disputes', evidence.id)).catch(() => {});
+  });
+
+  it('releases the payment to the provider when the decision goes their way', async () => {
+    const { job, payment } = await fundedJob();
+    await jobService.completeJob(job, provider, { notes: 'All tiles replaced' });
+
+    const dispute = await disputeService.openDispute('job', job, requester, disputeData);
+    await disputeService.resolveDispute(dispute, admin, { outcome: 'release', notes: 'Work matches the agreed scope' });
+
+    await payment.reload();
+    expect(payment.status).toBe('completed');
+    expect(payment.escrowDetails.releasedAt).toBeTruthy();
+    expect(await Refund.count({ where: { paymentId: payment.id } })).toBe(0);
+
+    await expect(disputeService.resolveDispute(dispute, admin, { outcome: 'release' }))
+      .rejects.toThrow('This dispute has already been resolved');
+  });
+
+  it('does not let unfunded jobs be disputed', async () => {
+    const job = await jobService.createJob(requester.id, {
+      title: 'Hang some shelves',
+      description: 'Put up three floating shelves in the study',
+      category: 'home',
+      budget: 15000
+    });
+    await jobService.acceptJob(job, provider, {});
+    await job.update({ status: 'in_progress' });
+
+    await expect(disputeService.openDispute('job', job, requester, disputeData))
+      .rejects.toThrow('Payment must be held in escrow to open a dispute');
+  });
+
+  it('escalates missed response deadlines and flags overdue decisions to admins', async () => {
+    const { job } = await fundedJob();
+    const dispute = await disputeService.openDispute('job', job, provider, {
+      ...disputeData,
+      disputeType: 'payment',
+      reason: 'Client keeps adding work'
+    });
+    expect(dispute.respondentId).toBe(requester.id);
+
+    const afterResponseDeadline = new Date(dispute.respondBy.getTime() + 1000);
+    let result = await disputeService.processDeadlines(afterResponseDeadline);
+    expect(result.escalated).toContain(dispute.id);
+    expect(result.overdue).not.toContain(dispute.id);
+
+    await dispute.reload();
+    expect(dispute).toMatchObject({ status: 'under_review', priority: 'high' });
+
+    const afterResolutionDeadline = new Date(dispute.resolveBy.getTime() + 1000);
+    result = await disputeService.processDeadlines(afterResolutionDeadline);
+    expect(result.overdue).toContain(dispute.id);
+
+    await dispute.reload();
+    expect(dispute.priority).toBe('urgent');
+    expect(await Notification.count({ where: { userId: admin.id, type: 'dispute_escalated' } })).toBeGreaterThanOrEqual(1);
+
+    // Flagged once only
+    result = await disputeService.processDeadlines(afterResolutionDeadline);
+    expect(result.overdue).not.toContain(dispute.id);
+
+    await dispute.update({ resolveBy: new Date(Date.now() - 1000) });
+    const { disputes } = await disputeService.listDisputes({ overdue: 'true' });
+    expect(disputes.map(item => item.id)).toContain(dispute.id);
+    expect(await DisputeStatement.count({ where: { disputeId: dispute.id } })).toBe(0);
+  });
+});
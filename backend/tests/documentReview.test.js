@@ -0,0 +1,135 @@
+const express = require('express');
+const request = require('supertest');
+const sharp = require('sharp');
+const { User, Notification, VerificationDocument } = require('../models');
+const { generateToken } = require('../middleware/auth');
+const kycTierService = require('../services/kycTierService');
+const verificationRoutes = require('../routes/verification');
+const adminRoutes = require('../routes/admin');
+const { errorHandler } = require('../middleware/errorHandler');
+const { createUser } = require('./helpers/fixtures');
+
+describe('Verification document review', () => {
+  let app;
+  let user;
+  let admin;
+
+  const api = (method, url, owner = user) => request(app)[method](`/api${url}`)
+    .set('Authorization', `Bearer ${generateToken(owner.id)}`);
+
+  const png = () => sharp({
+    create: { width: 600, height: 400, channels: 3, background: { r: 200, g: 180, b: 40 } }
+  }).png().toBuffer();
+
+  const upload = async (documentType, name = 'id.png') => api('post', '/verification/document')
+    .field('documentType', documentType)
+    .attach('file', await png(), name);
+
+  beforeAll(async () => {
+    user = await createUser('Doc', 'provider');
+    admin = await createUser('Doc', 'admin');
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/verification', verificationRoutes);
+    app.use('/api/admin', adminRoutes);
+    app.use(errorHandler);
+  });
+
+  it('queues uploads privately and lets admins reject them with a reason', async () => {
+    const submitted = await upload('id_card');
+    expect(submitted.status).toBe(201);
+
+    const { document } = submitted.body.data;
+    expect(document).toMatchObject({ documentType: 'id_card', status: 'pending', mimetype: 'image/jpeg', fileName: 'id.png' });
+    expect(document).not.toHaveProperty('storagePath');
+    expect(document.url).toMatch(new RegExp(`^/api/verification/documents/${document.id}/file\\?expires=\\d+&signature=`));
+
+    await user.reload();
+    expect(user.documents.idCard).toMatchObject({ id: document.id, status: 'pending' });
+
+    expect((await api('get', '/admin/verification-documents')).status).toBe(403);
+
+    const queue = await api('get', '/admin/verification-documents', admin);
+    expect(queue.body.data.documents).toEqual([expect.objectContaining({
+      id: document.id,
+      user: expect.objectContaining({ id: user.id, email: user.email })
+    })]);
+    expect(queue.body.data.documents[0]).not.toHaveProperty('url');
+    expect(Object.keys(queue.body.data.reasonCodes.rejected)).toContain('unreadable');
+
+    const opened = await api('get', `/admin/verification-documents/${document.id}`, admin);
+    expect(opened.body.data.document.history.map(event => event.action)).toEqual(['submitted', 'viewed']);
+
+    const file = await request(app).get(opened.body.data.document.url);
+    expect(file.status).toBe(200);
+    expect(file.headers['content-type']).toBe('image/jpeg');
+    expect(file.headers['cache-control']).toBe('private, no-store');
+    expect((await request(app).get(`/api/verification/documents/${document.id}/file?expires=1&signature=x`)).status).toBe(403);
+
+    const unexplained = await api('post', `/admin/verification-documents/${document.id}/reject`, admin).send({});
+    expect(unexplained.status).toBe(400);
+    expect(unexplained.body.message).toBe('A reason code is required to reject a document');
+    expect((await api('post', `/admin/verification-documents/${document.id}/reject`, admin).send({ reasonCode: 'ugly' })).status).toBe(400);
+    expect((await api('post', `/admin/verification-documents/${document.id}/reject`, admin).send({ reasonCode: 'other' })).status).toBe(400);
+
+    const rejected = await api('post', `/admin/verification-documents/${document.id}/reject`, admin).send({ reasonCode: 'unreadable' });
+    expect(rejected.status).toBe(200);
+    expect(rejected.body.data.document).toMatchObject({ status: 'rejected', reason: 'The document is blurry or unreadable' });
+
+    await user.reload();
+    expect(user.documents.idCard.status).toBe('rejected');
+    expect(user.verificationNotes).toBe('Your ID card was rejected: The document is blurry or unreadable');
+
+    const notice = await Notification.findOne({ where: { userId: user.id, type: 'document_rejected' } });
+    expect(notice.message).toBe('Your ID card was not accepted: The document is blurry or unreadable. Please upload a new one');
+    expect(notice.data).toMatchObject({ documentId: document.id, reasonCode: 'unreadable' });
+
+    expect((await api('get', '/admin/verification-documents', admin)).body.data.documents).toHaveLength(0);
+  });
+
+  it('replaces rejected uploads, approves the new one and audits every reviewer action', async () => {
+    const [rejected] = await VerificationDocument.findAll({ where: { userId: user.id, status: 'rejected' } });
+
+    const resubmitted = await upload('id_card', 'id-clear.png');
+    const { document } = resubmitted.body.data;
+
+    await rejected.reload();
+    expect(rejected.status).toBe('superseded');
+    expect((await api('get', '/verification/documents')).body.data.documents.map(item => item.id)).toEqual([document.id]);
+
+    const approved = await api('post', `/admin/verification-documents/${document.id}/approve`, admin).send({ note: 'Matches NIN photo' });
+    expect(approved.body.data.document).toMatchObject({ status: 'approved', reasonCode: 'verified', reviewNote: 'Matches NIN photo' });
+    expect((await api('post', `/admin/verification-documents/${document.id}/approve`, admin).send({})).body.message)
+      .toBe('This document is already approved');
+    expect((await api('post', `/admin/verification-documents/${rejected.id}/approve`, admin).send({})).body.message)
+      .toBe('This document has been replaced by a newer upload');
+
+    // Approved ID documents count towards the KYC tiers
+    expect((await kycTierService.getMetRequirements(await User.findByPk(user.id))).id_document).toBe(true);
+    expect(await Notification.count({ where: { userId: user.id, type: 'document_approved' } })).toBe(1);
+
+    // Certifications stack up instead of replacing each other
+    const certification = await api('post', '/verification/document')
+      .field('documentType', 'certification')
+      .attach('file', Buffer.from('%PDF-1.4 certificate'), { filename: 'cert.pdf', contentType: 'application/pdf' });
+    expect(certification.body.data.document).toMatchObject({ mimetype: 'application/pdf', size: 20 });
+    expect((await api('post', '/verification/document').field('documentType', 'passport').attach('file', await png(), 'p.png')).status).toBe(400);
+
+    await user.reload();
+    expect(user.documents.certifications).toHaveLength(1);
+
+    const audit = await api('get', `/admin/verification-documents/audit?actorId=${admin.id}`, admin);
+    expect(audit.body.data.events.map(event => event.action).sort()).toEqual(['approved', 'rejected', 'viewed']);
+    expect(audit.body.data.events.find(event => event.action === 'approved')).toMatchObject({
+      fromStatus: 'pending',
+      toStatus: 'approved',
+      note: 'Matches NIN photo',
+      actor: expect.objectContaining({ id: admin.id }),
+      document: { id: document.id, documentType: 'id_card', status: 'approved' }
+    });
+
+    const ownerTrail = await api('get', `/admin/verification-documents/audit?userId=${user.id}&action=superseded`, admin);
+    expect(ownerTrail.body.data.events).toEqual([expect.objectContaining({ documentId: rejected.id, fromStatus: 'rejected' })]);
+  });
+});
@@ -0,0 +1,91 @@
+const ledgerService = require('../services/ledgerService');
+const escrowService = require('../services/escrowService');
+const fixtures = require('./helpers/fixtures');
+
+describe('Escrow Release Workflow', () => {
+  let provider;
+  let requester;
+  let service;
+  let booking;
+
+  const createPayment = (subject = booking) => fixtures.createPayment(subject, { platformFee: 400 });
+
+  beforeAll(async () => {
+    ({ provider, requester, service, booking } = await fixtures.createBookingFixture('Escrow', { amount: 8000.00 }));
+  });
+
+  it('captures confirmed payments into escrow', async () => {
+    const before = await ledgerService.getUserBalance(provider.id);
+    const payment = await createPayment();
+
+    await escrowService.holdPayment(payment, { reference: 'PSK-ESC-1' });
+
+    expect(payment.status).toBe('completed');
+    expect(payment.isHeldInEscrow()).toBe(true);
+    expect(payment.escrowDetails.holdPeriod).toBe(escrowService.defaultHoldPeriod);
+    expect(payment.escrowReleaseAt.getTime()).toBeGreaterThan(Date.now());
+
+    const balance = await ledgerService.getUserBalance(provider.id);
+    expect(balance.pending).toBe(before.pending + 7600);
+    expect(balance.available).toBe(before.available);
+  });
+
+  it('releases to the provider wallet when the requester is satisfied', async () => {
+    const payment = await createPayment();
+    await escrowService.holdPayment(payment);
+    const before = await ledgerService.getUserBalance(provider.id);
+
+    await escrowService.releasePayment(payment, {
+      releasedBy: requester.id,
+      trigger: 'requester_satisfaction',
+      satisfaction: { rating: 5, feedback: 'Great work' }
+    });
+
+    expect(payment.escrowDetails.releasedAt).toBeTruthy();
+    expect(payment.escrowDetails.satisfaction.rating).toBe(5);
+    expect(payment.escrowReleaseAt).toBeNull();
+
+    const balance = await ledgerService.getUserBalance(provider.id);
+    expect(balance.available).toBe(before.available + 7600);
+    expect(balance.pending).toBe(before.pending - 7600);
+
+    await expect(escrowService.releasePayment(payment)).rejects.toThrow('already been released');
+  });
+
+  it('auto-releases payments after the hold period without a dispute or cancellation', async () => {
+    const due = await createPayment();
+    await escrowService.holdPayment(due);
+    await due.update({ escrowReleaseAt: new Date(Date.now() - 60 * 1000) });
+
+    const disputed = await createPayment();
+    await escrowService.holdPayment(disputed);
+    await disputed.createDispute('Work not delivered');
+
+    const cancelledBooking = await fixtures.createBooking(service, requester, { status: 'cancelled' });
+    const cancelled = await createPayment(cancelledBooking);
+    await escrowService.holdPayment(cancelled);
+
+    const result = await escrowService.releaseDuePayments(new Date(Date.now() + 73 * 60 * 60 * 1000));
+
+    expect(result.released).toContain(due.id);
+    expect(result.released).not.toContain(disputed.id);
+    expect(result.released).not.toContain(cancelled.id);
+    expect(result.skipped.map(item => item.paymentId)).not.toContain(cancelled.id);
+
+    await due.reload();
+    expect(due.escrowDetails.releaseTrigger).toBe('hold_period_elapsed');
+  });
+
+  it('freezes escrowed funds when a dispute is opened', async () => {
+    const payment = await createPayment();
+    await escrowService.holdPayment(payment);
+    await payment.createDispute('Incomplete job');
+
+    expect(payment.status).toBe('disputed');
+    expect(payment.escrowDetails.frozenAt).toBeTruthy();
+    expect(payment.escrowReleaseAt).toBeNull();
+
+    await expect(escrowService.releasePayment(payment)).rejects.toThrow('frozen while a dispute is open');
+    expect(await ledgerService.getBalance('escrow', provider.id, 'NGN', { paymentId: payment.id })).toBe(7600);
+  });
+});
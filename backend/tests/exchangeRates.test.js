@@ -0,0 +1,82 @@
+const { Service, Payment } = require('../models');
+const exchangeRateService = require('../services/exchangeRateService');
+const fixtures = require('./helpers/fixtures');
+
+describe('Exchange Rates', () => {
+  let provider;
+  let requester;
+  let booking;
+
+  const createPayment = (overrides = {}) => fixtures.createPayment(booking, { amount: 10.00, currency: 'USD', ...overrides });
+
+  beforeAll(async () => {
+    ({ provider, requester, booking } = await fixtures.createBookingFixture('Rate', { amount: 15450.00 }));
+  });
+
+  afterEach(() => {
+    exchangeRateService.useSource('file');
+  });
+
+  it('converts through cross rates from the rates file', async () => {
+    const usd = await exchangeRateService.getRate('USD', 'NGN');
+    expect(usd).toMatchObject({ rate: 1545, source: 'file' });
+
+    const converted = await exchangeRateService.convert(15450, 'NGN', 'USD');
+    expect(converted).toMatchObject({ amount: 10, currency: 'USD' });
+
+    expect((await exchangeRateService.getRate('ngn', 'NGN')).rate).toBe(1);
+    await expect(exchangeRateService.getRate('XYZ')).rejects.toThrow('No exchange rate available for XYZ/NGN');
+  });
+
+  it('falls back to the rates file when the configured source fails', async () => {
+    exchangeRateService.registerSource('broken', {
+      fetchRates: () => Promise.reject(new Error('Rate API responded with 500'))
+    });
+    exchangeRateService.useSource('broken');
+
+    const table = await exchangeRateService.getRates();
+    expect(table.source).toBe('file');
+    expect(table.rates.NGN).toBe(1545);
+  });
+
+  it('snapshots the rate on each payment', async () => {
+    const payment = await createPayment();
+    expect(parseFloat(payment.exchangeRate)).toBe(1545);
+    expect(parseFloat(payment.amountInBaseCurrency)).toBe(15450);
+    expect(payment.exchangeRateSource).toBe('file');
+
+    exchangeRateService.registerSource('live', {
+      fetchRates: async () => ({ base: 'USD', rates: { NGN: 1600 }, fetchedAt: new Date() })
+    });
+    exchangeRateService.useSource('live');
+
+    const later = await createPayment();
+    expect(parseFloat(later.amountInBaseCurrency)).toBe(16000);
+
+    await payment.reload();
+    expect(parseFloat(payment.amountInBaseCurrency)).toBe(15450);
+
+    const local = await createPayment({ amount: 5000, currency: 'NGN' });
+    expect(parseFloat(local.exchangeRate)).toBe(1);
+    expect(local.exchangeRateSource).toBe('identity');
+  });
+
+  it('shows service prices in the viewer currency', async () => {
+    const service = await Service.findOne({ where: { providerId: provider.id } });
+
+    const [inDollars] = await exchangeRateService.localizePrices([service], 'USD');
+    expect(inDollars.displayPrice).toEqual({ amount: 10, currency: 'USD', exchangeRate: 0.00064725 });
+
+    const [unknown] = await exchangeRateService.localizePrices([service], 'XYZ');
+    expect(unknown.displayPrice).toEqual({ amount: 15450, currency: 'NGN', exchangeRate: 1 });
+  });
+
+  it('reports monthly revenue in the base currency', async () => {
+    await Payment.update({ status: 'completed' }, { where: { payerId: requester.id } });
+
+    const revenue = await Payment.getMonthlyRevenue();
+    const month = revenue.find(row => row.month === new Date().getMonth() + 1);
+
+    expect(month).toEqual({ month: new Date().getMonth() + 1, revenue: 36450, transactions: 3, currency: 'NGN' });
+  });
+});
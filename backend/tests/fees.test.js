@@ -0,0 +1,114 @@
+const feeService = require('../services/feeService');
+const escrowService = require('../services/escrowService');
+const ledgerService = require('../services/ledgerService');
+const fixtures = require('./helpers/fixtures');
+
+describe('Fee Engine', () => {
+  let provider;
+  let requester;
+  let service;
+
+  beforeAll(async () => {
+    provider = await fixtures.createUser('Fee', 'provider', { verificationStatus: 'verified' });
+    requester = await fixtures.createUser('Fee');
+    service = await fixtures.createService(provider, {
+      title: 'Fee Test Consulting',
+      category: 'consulting',
+      basePrice: 20000.00
+    });
+  });
+
+  afterEach(() => {
+    feeService.reloadRules();
+  });
+
+  it('applies the default platform fee and VAT', () => {
+    const quote = feeService.calculate({ amount: 10000, currency: 'NGN' });
+
+    expect(quote).toMatchObject({
+      subtotal: 10000,
+      platformFee: 500,
+      gatewayFee: 0,
+      processingFee: 0,
+      vat: 37.5,
+      totalFees: 537.5,
+      total: 10537.5,
+      payeeAmount: 10000,
+      chargedTo: 'payer'
+    });
+
+    // Minimum and cap
+    expect(feeService.calculate({ amount: 1000, currency: 'NGN' }).platformFee).toBe(100);
+    expect(feeService.calculate({ amount: 5000000, currency: 'NGN' }).platformFee).toBe(50000);
+  });
+
+  it('adjusts the platform fee by category and provider tier', () => {
+    expect(feeService.calculate({ amount: 10000, currency: 'NGN', category: 'consulting' }).platformFee).toBe(700);
+
+    const verified = feeService.calculate({ amount: 10000, currency: 'NGN', category: 'consulting', providerTier: 'verified' });
+    expect(verified.platformFee).toBe(650);
+    expect(verified.rates.platformFee).toBeCloseTo(0.065);
+
+    const topRated = feeService.calculate({ amount: 1000000, currency: 'NGN', providerTier: 'top_rated' });
+    expect(topRated.platformFee).toBe(30000);
+
+    expect(feeService.getProviderTier({ rating: 4.8, completedJobs: 60 })).toBe('top_rated');
+    expect(feeService.getProviderTier({ rating: 4.8, completedJobs: 3, verificationStatus: 'verified' })).toBe('verified');
+    expect(feeService.getProviderTier(null)).toBe('standard');
+  });
+
+  it('adds gateway and cross-border fees with caps in the rules currency', () => {
+    const paystack = feeService.calculate({ amount: 10000, currency: 'NGN', gateway: 'paystack' });
+    expect(paystack.gatewayFee).toBe(250);
+    expect(feeService.calculate({ amount: 500000, currency: 'NGN', gateway: 'paystack' }).gatewayFee).toBe(2000);
+    expect(feeService.calculate({ amount: 10000, currency: 'NGN', gateway: 'unknown' }).gatewayFee).toBe(200);
+
+    // 100 USD at 1545 NGN: 1.5% + ₦100 would be $1.56, but the ₦2000 cap is $1.29
+    const usd = feeService.calculate({ amount: 100, currency: 'USD', gateway: 'paystack', exchangeRate: 1545 });
+    expect(usd).toMatchObject({ platformFee: 5, gatewayFee: 1.29, processingFee: 1, vat: 0.55, total: 107.84 });
+  });
+
+  it('deducts the platform fee from the payee when configured', () => {
+    const rules = JSON.parse(JSON.stringify(feeService.getRules()));
+    rules.platformFee.chargedTo = 'payee';
+    feeService.setRules(rules);
+
+    const quote = feeService.calculate({ amount: 10000, currency: 'NGN', gateway: 'paystack' });
+    expect(quote).toMatchObject({
+      chargedTo: 'payee',
+      total: 10268.75,
+      payeeAmount: 9462.5,
+      totalFees: 806.25
+    });
+  });
+
+  it('quotes from stored data and the ledger pays out the subtotal', async () => {
+    const serviceQuote = await feeService.quote({ serviceId: service.id, amount: 1 });
+    expect(serviceQuote.applied).toEqual({ category: 'consulting', providerTier: 'verified', gateway: null });
+    await expect(feeService.quote({ amount: 0 })).rejects.toThrow('Amount must be greater than zero');
+
+    const booking = await fixtures.createBooking(service, requester, {
+      pricing: { basePrice: 20000, subtotal: 20000, total: 21397.5, currency: 'NGN' },
+      totalAmount: 21397.5
+    });
+
+    const quote = await feeService.quote({ bookingId: booking.id, gateway: 'paystack' });
+    expect(quote).toMatchObject({ subtotal: 20000, platformFee: 1300, gatewayFee: 400, vat: 127.5, total: 21827.5 });
+
+    const payment = await fixtures.createPayment(booking, {
+      ...feeService.toPaymentFields(quote),
+      paymentGateway: 'paystack'
+    });
+
+    expect(parseFloat(payment.amount)).toBe(21827.5);
+    expect(payment.fees.totalFees).toBe(1827.5);
+    expect(payment.breakdown).toMatchObject({ subtotal: 20000, tax: 127.5, payeeAmount: 20000 });
+
+    const feesBefore = await ledgerService.getBalance('platform_fee');
+    await escrowService.holdPayment(payment);
+
+    expect((await ledgerService.getUserBalance(provider.id)).pending).toBe(20000);
+    expect(await ledgerService.getBalance('platform_fee')).toBe(feesBefore + 1827.5);
+    expect((await ledgerService.getTrialBalance()).balanced).toBe(true);
+  });
+});
@@ -0,0 +1,119 @@
+const paymentService = require('../services/paymentService');
+const webhookService = require('../services/webhookService');
+const { getGateway, resolveGateway } = require('../services/gateways');
+const fixtures = require('./helpers/fixtures');
+
+describe('Payment Gateway Adapters', () => {
+  let requester;
+  let booking;
+  const mock = getGateway('mock');
+
+  const createPayment = (overrides = {}) => fixtures.createPayment(booking, { platformFee: 400, ...overrides });
+
+  beforeAll(async () => {
+    ({ requester, booking } = await fixtures.createBookingFixture('Gateway', { amount: 8000.00 }));
+  });
+
+  afterEach(() => {
+    mock.reset();
+  });
+
+  it('resolves gateways and rejects unsupported methods', () => {
+    expect(resolveGateway({ gateway: 'mock', paymentMethod: 'ussd' }).gateway.name).toBe('mock');
+    expect(resolveGateway({ paymentMethod: 'stripe' })).toEqual({ gateway: getGateway('stripe'), paymentMethod: 'card' });
+
+    expect(() => resolveGateway({ gateway: 'stripe', paymentMethod: 'mobile_money' }))
+      .toThrow('stripe does not support mobile_money payments');
+    expect(() => getGateway('unknown')).toThrow('Unsupported payment gateway: unknown');
+  });
+
+  it('generates the transaction reference and base amount before validation', async () => {
+    const payment = await createPayment();
+
+    expect(payment.transactionId).toMatch(/^TXN\d+/);
+    expect(parseFloat(payment.amountInBaseCurrency)).toBe(8000);
+  });
+
+  it('initializes a checkout and captures it into escrow once verified', async () => {
+    const payment = await createPayment({ paymentMethod: 'bank_transfer' });
+    const { clientData } = await paymentService.initializePayment(payment, {
+      email: requester.email,
+      paymentMethod: 'bank_transfer'
+    });
+
+    expect(clientData.reference).toBe(payment.transactionId);
+    expect(payment.gatewayTransactionId).toBe(payment.transactionId);
+    expect(payment.paymentDetails.channel).toBe('bank_transfer');
+
+    expect((await paymentService.verifyPayment(payment)).status).toBe('pending');
+
+    mock.completeCharge(payment.transactionId);
+    await paymentService.processPayment(payment.id);
+    await payment.reload();
+
+    expect(payment.status).toBe('completed');
+    expect(payment.isHeldInEscrow()).toBe(true);
+  });
+
+  it('refunds through the payment gateway', async () => {
+    const payment = await createPayment({ gatewayTransactionId: 'MOCK-REFUND-1' });
+    const refund = await paymentService.refundWithGateway(payment, 3000, 'Partial cancellation');
+
+    expect(refund.amount).toBe(3000);
+    expect(refund.currency).toBe('NGN');
+    expect(refund.id).toMatch(/MOCK-REFUND-1$/);
+  });
+
+  it('verifies webhook signatures against the raw body', () => {
+    const rawBody = JSON.stringify({ id: 'evt_sig_1', type: 'payment.succeeded', data: {} });
+
+    expect(paymentService.validateWebhookSignature('mock', rawBody, { 'x-mock-signature': mock.sign(rawBody) })).toBe(true);
+    expect(paymentService.validateWebhookSignature('mock', rawBody, { 'x-mock-signature': 'forged' })).toBe(false);
+    expect(paymentService.validateWebhookSignature('stripe', rawBody, {})).toBe(false);
+
+    // Without a configured secret nothing verifies, whatever the signature
+    const signature = mock.sign(rawBody);
+    const secret = process.env.MOCK_GATEWAY_SECRET;
+    delete process.env.MOCK_GATEWAY_SECRET;
+
+    try {
+      expect(paymentService.validateWebhookSignature('mock', rawBody, { 'x-mock-signature': signature })).toBe(false);
+    } finally {
+      process.env.MOCK_GATEWAY_SECRET = secret;
+    }
+  });
+
+  it('only offers the mock gateway in test and development', () => {
+    const environment = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+
+    try {
+      jest.isolateModules(() => {
+        const gateways = require('../services/gateways');
+
+        expect(gateways.SUPPORTED_GATEWAYS).toEqual(['stripe', 'paystack', 'flutterwave']);
+        expect(gateways.isSupportedGateway('mock')).toBe(false);
+        expect(() => gateways.getGateway('mock')).toThrow('Unsupported payment gateway: mock');
+      });
+    } finally {
+      process.env.NODE_ENV = environment;
+    }
+  });
+
+  it('normalizes native gateway events before processing', async () => {
+    const payment = await createPayment({ paymentGateway: 'stripe', gatewayTransactionId: 'pi_gateway_test_1' });
+
+    const { event } = await webhookService.ingest('stripe', {
+      id: 'evt_gateway_test_1',
+      type: 'payment_intent.payment_failed',
+      data: { object: { id: 'pi_gateway_test_1', last_payment_error: { message: 'Card declined' } } }
+    });
+
+    expect(event.eventType).toBe('payment.failed');
+    expect(event.status).toBe('processed');
+
+    await payment.reload();
+    expect(payment.status).toBe('failed');
+    expect(payment.errorMessage).toBe('Card declined');
+  });
+});
@@ -0,0 +1,161 @@
+const { User, Job, JobApplication } = require('../models');
+const jobService = require('../services/jobService');
+const { createUser, fundJob } = require('./helpers/fixtures');
+
+describe('Jobs Marketplace', () => {
+  let requester;
+  let provider;
+  let otherProvider;
+
+  const postJob = (overrides = {}) => jobService.createJob(requester.id, {
+    title: 'Build a landing page',
+    description: 'Responsive landing page for a small bakery business',
+    category: 'Technology',
+    skills: ['React', 'CSS'],
+    budget: 50000,
+    urgency: 'high',
+    ...overrides
+  });
+
+  beforeAll(async () => {
+    requester = await createUser('Job');
+    provider = await createUser('Job', 'provider');
+    otherProvider = await createUser('Other', 'provider');
+  });
+
+  it('posts jobs from the app payload and lists them with filters', async () => {
+    const job = await postJob();
+    expect(job).toMatchObject({ status: 'pending', priority: 'high', requesterId: requester.id });
+    expect(parseFloat(job.amount)).toBe(50000);
+
+    await postJob({
+      title: 'Garden clean up',
+      description: 'Trim hedges and clear leaves from a small front garden',
+      category: 'gardening',
+      skills: ['Pruning'],
+      budget: 8000
+    });
+
+    const byCategory = await jobService.listJobs({ category: 'gardening' });
+    expect(byCategory.jobs).toHaveLength(1);
+
+    const bySkill = await jobService.listJobs({ skills: 'react' });
+    expect(bySkill.jobs.map(found => found.id)).toContain(job.id);
+    expect(bySkill.pagination.totalJobs).toBe(1);
+
+    const search = await jobService.listJobs({ search: 'bakery' });
+    expect(search.jobs).toHaveLength(1);
+
+    const cheap = await jobService.listJobs({ maxPrice: 10000 });
+    expect(cheap.jobs.every(found => parseFloat(found.amount) <= 10000)).toBe(true);
+
+    expect(await jobService.getSkills('gardening')).toEqual([{ skill: 'Pruning', count: 1 }]);
+  });
+
+  it('lets providers apply once and the owner accept one application', async () => {
+    const job = await postJob();
+
+    await expect(jobService.apply(job, requester, {})).rejects.toThrow('Only providers can apply for jobs');
+
+    const application = await jobService.apply(job, provider, { coverLetter: 'I can do this', proposedBudget: 45000 });
+    const rival = await jobService.apply(job, otherProvider, { coverLetter: 'Me too' });
+    await expect(jobService.apply(job, provider, {})).rejects.toThrow('You have already applied for this job');
+
+    await job.reload();
+    expect(job.applicationCount).toBe(2);
+
+    expect(await jobService.getApplications(job, requester.id)).toHaveLength(2);
+    expect(await jobService.getApplications(job, otherProvider.id)).toHaveLength(1);
+
+    await expect(jobService.acceptJob(job, provider, { applicationId: application.id }))
+      .rejects.toThrow('Only the job owner can do this');
+
+    await jobService.acceptJob(job, requester, { applicationId: application.id });
+
+    expect(job).toMatchObject({ status: 'accepted', providerId: provider.id });
+    expect(parseFloat(job.agreedAmount)).toBe(45000);
+    expect((await rival.reload()).status).toBe('rejected');
+
+    const assigned = await jobService.getMyJobs(provider.id, { type: 'assigned', status: 'active' });
+    expect(assigned.jobs.map(found => found.id)).toContain(job.id);
+
+    const applied = await jobService.getMyJobs(otherProvider.id, { type: 'applied' });
+    expect(applied.jobs.map(found => found.id)).toContain(job.id);
+  });
+
+  it('lets a provider take a job at the posted amount only', async () => {
+    const job = await postJob();
+
+    await expect(jobService.acceptJob(job, provider, { agreedAmount: 40000 }))
+      .rejects.toThrow('To propose a different amount, apply for the job instead');
+
+    await jobService.acceptJob(job, provider, { agreedAmount: 50000, additionalNotes: 'Starting tomorrow' });
+    expect(job.status).toBe('accepted');
+
+    const recorded = await JobApplication.findOne({ where: { jobId: job.id, applicantId: provider.id } });
+    expect(recorded.status).toBe('accepted');
+
+    await expect(jobService.acceptJob(job, otherProvider, {}))
+      .rejects.toThrow('Cannot accept a job that is accepted');
+  });
+
+  it('assigns only one provider when two take the same job at once', async () => {
+    const job = await postJob();
+    const staleCopy = await jobService.findJob(job.id);
+
+    await jobService.acceptJob(job, provider, {});
+
+    // The second request loaded the job before the first one assigned it
+    await expect(jobService.acceptJob(staleCopy, otherProvider, {}))
+      .rejects.toThrow('This job has already been assigned');
+
+    await staleCopy.reload();
+    expect(staleCopy.providerId).toBe(provider.id);
+    expect(staleCopy.timeline.filter(entry => entry.event === 'job_accepted')).toHaveLength(1);
+  });
+
+  it('completes and rates jobs, updating user ratings', async () => {
+    const job = await postJob();
+    await jobService.acceptJob(job, provider, {});
+    await fundJob(job);
+    await jobService.startJob(job, provider);
+
+    await expect(jobService.completeJob(job, requester)).rejects.toThrow('Only the assigned provider can complete this job');
+    await expect(jobService.rateJob(job, requester.id, { rating: 5 })).rejects.toThrow('Jobs can only be rated once completed');
+
+    const before = await User.findByPk(provider.id);
+    await jobService.completeJob(job, provider, { deliverables: ['Source code'], notes: 'Deployed' });
+
+    expect(job.status).toBe('completed');
+    expect(job.deliverables).toEqual(['Source code']);
+
+    await jobService.rateJob(job, requester.id, { rating: 4, review: 'Good work', categories: { quality: 4 } });
+    await expect(jobService.rateJob(job, requester.id, { rating: 5 })).rejects.toThrow('You have already rated this job');
+
+    const after = await User.findByPk(provider.id);
+    expect(after.completedJobs).toBe(before.completedJobs + 1);
+    expect(after.totalRatings).toBe(before.totalRatings + 1);
+    expect(job.rating).toMatchObject({ requesterRating: 4, requesterReview: 'Good work' });
+  });
+
+  it('restricts editing, deletion and cancellation by status and party', async () => {
+    const job = await postJob();
+
+    await expect(jobService.updateJob(job, provider.id, { title: 'Hijacked job title' }))
+      .rejects.toThrow('Only the job owner can do this');
+    await jobService.updateJob(job, requester.id, { budget: 60000 });
+    expect(parseFloat(job.amount)).toBe(60000);
+
+    await jobService.acceptJob(job, provider, {});
+    await expect(jobService.deleteJob(job, requester.id)).rejects.toThrow('Jobs can only be deleted while open');
+    await expect(jobService.cancelJob(job, otherProvider, 'Not mine')).rejects.toThrow('Only the requester or the assigned provider can cancel this job');
+
+    await jobService.cancelJob(job, provider, 'No longer available');
+    expect(job.status).toBe('cancelled');
+    expect(job.cancellation.cancelledBy).toBe('provider');
+
+    const open = await postJob();
+    await jobService.deleteJob(open, requester.id);
+    expect(await Job.findByPk(open.id)).toBeNull();
+  });
+});
@@ -0,0 +1,146 @@
+const { Refund, JobApplication, JobOffer } = require('../models');
+const jobService = require('../services/jobService');
+const jobOfferService = require('../services/jobOfferService');
+const feeService = require('../services/feeService');
+const { createUser, fundJob } = require('./helpers/fixtures');
+
+describe('Job Offers', () => {
+  let requester;
+  let provider;
+  let otherProvider;
+  let admin;
+
+  const postJob = () => jobService.createJob(requester.id, {
+    title: 'Tile the kitchen floor',
+    description: 'Remove old tiles and lay new ceramic tiles in a kitchen',
+    category: 'home',
+    budget: 100000
+  });
+
+  beforeAll(async () => {
+    requester = await createUser('Offer');
+    provider = await createUser('Offer', 'provider');
+    otherProvider = await createUser('Rival', 'provider');
+    admin = await createUser('Offer', 'admin');
+  });
+
+  it('negotiates bid, counter and counter until the requester accepts', async () => {
+    const job = await postJob();
+
+    const bid = await jobOfferService.submitBid(job, provider, { amount: 120000, estimatedCompletion: '5 days', message: 'Includes grout' });
+    const application = await JobApplication.findOne({ where: { jobId: job.id, applicantId: provider.id } });
+    expect(application.status).toBe('pending');
+    expect(parseFloat(application.proposedAmount)).toBe(120000);
+
+    const rivalBid = await jobOfferService.submitBid(job, otherProvider, { amount: 95000 });
+
+    await expect(jobOfferService.counterOffer(job, provider, bid.id, { amount: 110000 }))
+      .rejects.toThrow('You cannot respond to your own offer');
+    await expect(jobOfferService.acceptOffer(job, otherProvider, bid.id))
+      .rejects.toThrow('Only the job owner or the bidding provider can respond to this offer');
+
+    const counter = await jobOfferService.counterOffer(job, requester, bid.id, { amount: 100000, message: 'Budget is tight' });
+    expect(counter).toMatchObject({ authorRole: 'requester', providerId: provider.id, counterToId: bid.id, status: 'pending' });
+    expect((await bid.reload()).status).toBe('countered');
+
+    const final = await jobOfferService.counterOffer(job, provider, counter.id, { amount: 108000 });
+    await jobOfferService.acceptOffer(job, requester, final.id);
+
+    expect(job).toMatchObject({ status: 'accepted', providerId: provider.id });
+    expect(parseFloat(job.agreedAmount)).toBe(108000);
+
+    const history = await jobOfferService.listOffers(job, requester);
+    expect(history.map(offer => [offer.authorRole, parseFloat(offer.amount), offer.status])).toEqual([
+      ['provider', 120000, 'countered'],
+      ['provider', 95000, 'rejected'],
+      ['requester', 100000, 'countered'],
+      ['provider', 108000, 'accepted']
+    ]);
+
+    expect(await jobOfferService.listOffers(job, otherProvider)).toHaveLength(1);
+    expect((await rivalBid.reload()).status).toBe('rejected');
+
+    // The agreed amount is what the job payment charges
+    const quote = await feeService.quoteJob(job);
+    expect(quote.subtotal).toBe(108000);
+  });
+
+  it('lets the provider accept the requester\'s counter-offer', async () => {
+    const job = await postJob();
+
+    await jobService.apply(job, provider, { coverLetter: 'Can start Monday', proposedAmount: 130000 });
+    const [opening] = await jobOfferService.listOffers(job, provider);
+    expect(parseFloat(opening.amount)).toBe(130000);
+
+    const counter = await jobOfferService.counterOffer(job, requester, opening.id, { amount: 115000 });
+
+    await expect(jobOfferService.acceptOffer(job, requester, counter.id))
+      .rejects.toThrow('You cannot respond to your own offer');
+
+    await jobOfferService.acceptOffer(job, provider, counter.id);
+
+    expect(job.status).toBe('accepted');
+    expect(parseFloat(job.agreedAmount)).toBe(115000);
+    expect((await JobApplication.findByPk(opening.applicationId)).status).toBe('accepted');
+
+    await expect(jobOfferService.submitBid(job, otherProvider, { amount: 90000 }))
+      .rejects.toThrow('This job is no longer accepting offers');
+  });
+
+  it('does not accept a bid the provider replaced while it was being accepted', async () => {
+    const job = await postJob();
+    const bid = await jobOfferService.submitBid(job, provider, { amount: 125000 });
+
+    // The new bid lands after the accept request checked the old one
+    let replacement;
+    const findApplication = JobApplication.findByPk.bind(JobApplication);
+    jest.spyOn(JobApplication, 'findByPk').mockImplementationOnce(async (...args) => {
+      replacement = await jobOfferService.submitBid(job, provider, { amount: 140000 });
+      return findApplication(...args);
+    });
+
+    await expect(jobOfferService.acceptOffer(job, requester, bid.id))
+      .rejects.toThrow('This offer has already been withdrawn');
+    expect(job.status).toBe('pending');
+
+    await jobOfferService.acceptOffer(job, requester, replacement.id);
+    expect(parseFloat(job.agreedAmount)).toBe(140000);
+  });
+
+  it('replaces a provider\'s pending bid and closes offers on rejection and withdrawal', async () => {
+    const job = await postJob();
+
+    const first = await jobOfferService.submitBid(job, provider, { amount: 125000 });
+    const second = await jobOfferService.submitBid(job, provider, { amount: 118000 });
+    expect((await first.reload()).status).toBe('withdrawn');
+
+    await jobOfferService.rejectOffer(job, requester, second.id);
+    expect((await second.reload()).status).toBe('rejected');
+    await expect(jobOfferService.acceptOffer(job, requester, second.id))
+      .rejects.toThrow('This offer has already been rejected');
+
+    const third = await jobOfferService.submitBid(job, provider, { amount: 112000 });
+    await jobService.withdrawApplication(job, provider.id);
+    expect((await third.reload()).status).toBe('withdrawn');
+  });
+
+  it('funds the job at the agreed amount and refunds it when the job is cancelled', async () => {
+    const job = await postJob();
+    const bid = await jobOfferService.submitBid(job, provider, { amount: 90000 });
+    await jobOfferService.acceptOffer(job, requester, bid.id);
+
+    const payment = await fundJob(job);
+    expect((await payment.reload()).bookingId).toBeNull();
+    expect(parseFloat(payment.breakdown.subtotal)).toBe(90000);
+
+    await jobService.startJob(job, provider);
+    expect(job.status).toBe('in_progress');
+
+    await jobService.cancelJob(job, admin, 'Provider unavailable');
+
+    const refunds = await Refund.findAll({ where: { paymentId: payment.id } });
+    expect(refunds).toHaveLength(1);
+    expect(parseFloat(refunds[0].amount)).toBe(parseFloat(payment.amount));
+    expect(await JobOffer.count({ where: { jobId: job.id, status: 'pending' } })).toBe(0);
+  });
+});
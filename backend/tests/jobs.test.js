@@ -0,0 +1,169 @@
+const { Payment, Notification, ScheduledJob } = require('../models');
+const jobScheduler = require('../services/jobScheduler');
+const paymentService = require('../services/paymentService');
+const { registerJobs } = require('../services/scheduledJobs');
+const { getGateway } = require('../services/gateways');
+const fixtures = require('./helpers/fixtures');
+
+describe('Job Scheduler', () => {
+  let provider;
+  let requester;
+  let booking;
+  const mock = getGateway('mock');
+
+  const createPayment = (overrides = {}) => fixtures.createPayment(booking, overrides);
+
+  const later = (ms) => new Date(Date.now() + ms);
+
+  beforeAll(async () => {
+    ({ provider, requester, booking } = await fixtures.createBookingFixture('Jobs', { amount: 6000.00 }));
+
+    registerJobs(jobScheduler);
+    await jobScheduler.ensureRecurringJobs();
+  });
+
+  afterEach(() => {
+    mock.reset();
+  });
+
+  it('persists one row per recurring job', async () => {
+    await jobScheduler.ensureRecurringJobs();
+
+    const count = await ScheduledJob.count({ where: { uniqueKey: 'recurring:payments.retry_failed' } });
+    expect(count).toBe(1);
+  });
+
+  it('retries failed one-off jobs with backoff until maxAttempts', async () => {
+    let calls = 0;
+    jobScheduler.register('test.flaky', () => {
+      calls += 1;
+      throw new Error('Gateway timeout');
+    });
+
+    const job = await jobScheduler.enqueue('test.flaky', {}, { uniqueKey: 'flaky-1', maxAttempts: 2 });
+    const duplicate = await jobScheduler.enqueue('test.flaky', {}, { uniqueKey: 'flaky-1', maxAttempts: 2 });
+    expect(duplicate.id).toBe(job.id);
+
+    await jobScheduler.tick();
+    await job.reload();
+
+    expect(calls).toBe(1);
+    expect(job.status).toBe('pending');
+    expect(job.lastError).toBe('Gateway timeout');
+    expect(job.runAt.getTime()).toBeGreaterThan(Date.now() + 50 * 1000);
+
+    // Not due yet
+    await jobScheduler.tick();
+    expect(calls).toBe(1);
+
+    await jobScheduler.tick(later(2 * 60 * 1000));
+    await job.reload();
+
+    expect(calls).toBe(2);
+    expect(job.status).toBe('failed');
+    expect(job.attempts).toBe(2);
+  });
+
+  it('picks up jobs left running by a crashed worker', async () => {
+    let calls = 0;
+    jobScheduler.register('test.stale', () => {
+      calls += 1;
+      return { ok: true };
+    });
+
+    const job = await ScheduledJob.create({
+      name: 'test.stale',
+      status: 'running',
+      lockedBy: 'dead-worker',
+      lockedAt: new Date(Date.now() - jobScheduler.lockTimeout - 1000)
+    });
+
+    await jobScheduler.tick();
+    await job.reload();
+
+    expect(calls).toBe(1);
+    expect(job.status).toBe('completed');
+    expect(job.result).toEqual({ ok: true });
+    expect(job.lockedBy).toBeNull();
+  });
+
+  it('queues jobs whose handler only another instance runs', async () => {
+    const job = await jobScheduler.enqueue('test.elsewhere', { userId: requester.id });
+    expect(job.status).toBe('pending');
+
+    await jobScheduler.tick();
+    await job.reload();
+    expect(job.status).toBe('pending');
+
+    let payload;
+    jobScheduler.register('test.elsewhere', (jobPayload) => {
+      payload = jobPayload;
+    });
+
+    await jobScheduler.tick();
+    await job.reload();
+    expect(job.status).toBe('completed');
+    expect(payload).toEqual({ userId: requester.id });
+  });
+
+  it('retries failed charges and notifies both sides on final failure', async () => {
+    const payment = await createPayment({ maxAttempts: 2 });
+    await paymentService.initializePayment(payment, { email: requester.email });
+
+    // The charge is still pending with the gateway, so the first attempt fails
+    await expect(paymentService.processPayment(payment.id)).rejects.toThrow('Payment not completed');
+    await payment.reload();
+
+    expect(payment.status).toBe('pending');
+    expect(payment.attempts).toBe(1);
+    expect(payment.nextRetryAt).toBeTruthy();
+
+    mock.failCharge(payment.transactionId);
+    await payment.update({ nextRetryAt: new Date(Date.now() - 1000) });
+    await jobScheduler.tick(later(2 * 60 * 1000));
+    await payment.reload();
+
+    expect(payment.status).toBe('failed');
+    expect(payment.attempts).toBe(2);
+
+    const notice = await ScheduledJob.findOne({ where: { uniqueKey: `payment-failed:${payment.id}` } });
+    expect(notice.status).toBe('pending');
+
+    await jobScheduler.tick(later(3 * 60 * 1000));
+
+    const notifications = await Notification.findAll({ where: { type: 'payment_failed' } });
+    expect(notifications.map(n => n.userId).sort()).toEqual([provider.id, requester.id].sort());
+  });
+
+  it('recovers a charge that succeeds on retry', async () => {
+    const payment = await createPayment();
+    await paymentService.initializePayment(payment, { email: requester.email });
+    await payment.markAsFailed('Gateway timeout');
+    await payment.update({ nextRetryAt: new Date(Date.now() - 1000) });
+
+    mock.completeCharge(payment.transactionId);
+    const results = await paymentService.retryFailedPayments();
+
+    expect(results).toEqual([{ paymentId: payment.id, status: 'success' }]);
+    await payment.reload();
+    expect(payment.status).toBe('completed');
+    expect(payment.isHeldInEscrow()).toBe(true);
+  });
+
+  it('expires stale pending payments but not ones awaiting a retry', async () => {
+    const stale = await createPayment();
+    await stale.update({ expiresAt: new Date(Date.now() - 1000) });
+
+    const retrying = await createPayment();
+    await retrying.markAsFailed('Gateway timeout');
+    await retrying.update({ expiresAt: new Date(Date.now() - 1000) });
+
+    const expired = await paymentService.expireStalePayments();
+
+    expect(expired).toContain(stale.id);
+    expect(expired).not.toContain(retrying.id);
+
+    await stale.reload();
+    expect(stale.status).toBe('expired');
+  });
+});
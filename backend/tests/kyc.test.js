@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const { Notification, KycVerification } = require('../models');
+const { generateToken } = require('../middleware/auth');
+const { getIdentityProvider } = require('../services/identityProviders');
+const kycService = require('../services/kycService');
+const verificationRoutes = require('../routes/verification');
+const { errorHandler } = require('../middleware/errorHandler');
+const { createUser } = require('./helpers/fixtures');
+
+describe('KYC verification', () => {
+  let app;
+  let user;
+  let other;
+  const registry = getIdentityProvider('local');
+
+  const api = (method, url, owner = user) => request(app)[method](`/api/verification${url}`)
+    .set('Authorization', `Bearer ${generateToken(owner.id)}`);
+
+  beforeAll(async () => {
+    user = await createUser('Adebayo', 'provider', { lastName: 'Okafor' });
+    other = await createUser('Ngozi', 'requester', { lastName: 'Eze', dateOfBirth: '1992-05-17' });
+
+    registry.setRecord('nin', '12345678901', {
+      firstName: 'ADEBAYO',
+      middleName: 'JOHN',
+      lastName: 'OKAFOR',
+      dateOfBirth: '1990-03-14',
+      phone: '08089400001'
+    });
+    registry.setRecord('bvn', '22345678901', {
+      firstName: 'Adébayo',
+      middleName: null,
+      lastName: 'Okafur',
+      dateOfBirth: '1990-03-14',
+      phone: '08089400001'
+    });
+    registry.setRecord('nin', '32345678901', {
+      firstName: 'NGOZI',
+      middleName: null,
+      lastName: 'EZE',
+      dateOfBirth: '1992-05-18',
+      phone: null
+    });
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/verification', verificationRoutes);
+    app.use(errorHandler);
+  });
+
+  afterAll(() => {
+    registry.reset();
+  });
+
+  it('verifies NIN and BVN with fuzzy name matching and marks the user verified', async () => {
+    const nin = await api('post', '/nimc').send({ nin: '12345678901', dateOfBirth: '1990-03-14' });
+    expect(nin.status).toBe(200);
+    expect(nin.body.data).toMatchObject({ verified: true, verificationStatus: 'pending' });
+    expect(nin.body.data.verification).toMatchObject({ checkType: 'nin', maskedIdentifier: '*******8901', matchScore: 1 });
+    expect(nin.body.data.verification).not.toHaveProperty('registryRecord');
+
+    // The registry's date of birth fills in the empty profile field
+    await user.reload();
+    expect(user.dateOfBirth).toBe('1990-03-14');
+
+    // Accents and a one-letter surname typo still match
+    const bvn = await api('post', '/bvn').send({ bvn: '22345678901' });
+    expect(bvn.body.data).toMatchObject({ verified: true, verificationStatus: 'verified' });
+    expect(bvn.body.data.verification.matchDetails.lastName).toMatchObject({ matched: true, score: 0.833 });
+
+    await user.reload();
+    expect(user.verificationStatus).toBe('verified');
+    expect(await Notification.count({ where: { userId: user.id, type: 'account_verified' } })).toBe(1);
+
+    const stored = await KycVerification.findOne({ where: { userId: user.id, checkType: 'nin' } });
+    expect(stored.identifierHash).not.toContain('12345678901');
+    expect(stored.identifierHash).not.toBe(crypto.createHash('sha256').update('12345678901').digest('hex'));
+    expect(stored.registryRecord).toEqual({ dateOfBirth: '1990-03-14' });
+
+    const status = await api('get', '/status');
+    expect(status.body.data).toMatchObject({ status: 'verified', completionPercentage: 67 });
+    expect(status.body.data.nextSteps).toEqual([expect.objectContaining({ checkType: 'cbn', required: false })]);
+  });
+
+  it('records mismatches and registry misses, and rejects reuse, outages and bad input', async () => {
+    const mismatch = await api('post', '/nimc', other).send({ nin: '32345678901' });
+    expect(mismatch.status).toBe(200);
+    expect(mismatch.body.message).toBe('Your date of birth does not match the NIMC record');
+    expect(mismatch.body.data).toMatchObject({ verified: false, verificationStatus: 'rejected' });
+
+    const missing = await api('post', '/nimc', other).send({ nin: '00045678901' });
+    expect(missing.body.data.verification.status).toBe('not_found');
+    expect(missing.body.message).toBe('No record was found for this NIN');
+
+    const outage = await api('post', '/bvn', other).send({ bvn: '99945678901' });
+    expect(outage.status).toBe(503);
+
+    const reused = await api('post', '/nimc', other).send({ nin: '12345678901' });
+    expect(reused.status).toBe(400);
+    expect(reused.body.message).toBe('This NIN is already linked to another account');
+
+    expect((await api('post', '/nimc', other).send({ nin: '1234' })).status).toBe(400);
+    expect((await api('post', '/bvn', other).send({ bvn: '22345678901', dateOfBirth: '14/03/1990' })).status).toBe(400);
+
+    // Two failed NIN attempts so far; the fifth in a day is the last allowed
+    await api('post', '/nimc', other).send({ nin: '00045678902' });
+    await api('post', '/nimc', other).send({ nin: '00045678903' });
+    await api('post', '/nimc', other).send({ nin: '00045678904' });
+    expect((await api('post', '/nimc', other).send({ nin: '00045678905' })).status).toBe(429);
+
+    expect((await api('get', `/status/${user.id}`, other)).status).toBe(403);
+  });
+
+  it('checks bank account ownership and lapses expired verifications', async () => {
+    registry.setRecord('account', '0123456789:058', { accountName: 'OKAFOR ADEBAYO J', bvn: '22345678901' });
+    registry.setRecord('account', '0223456789:058', { accountName: 'OKAFOR ADEBAYO', bvn: '52345678901' });
+
+    const owned = await api('post', '/cbn').send({ accountNumber: '0123456789', bankCode: '058' });
+    expect(owned.body.data).toMatchObject({ verified: true, verificationStatus: 'verified' });
+    // The BVN the bank returned was only compared, never kept
+    expect((await KycVerification.findOne({ where: { checkType: 'cbn', status: 'verified' } })).registryRecord).toEqual({});
+
+    const foreign = await api('post', '/cbn').send({ accountNumber: '0223456789', bankCode: '058' });
+    expect(foreign.body.data.verified).toBe(false);
+    expect(foreign.body.message).toBe('This bank account is registered to a different BVN');
+
+    expect((await api('get', '/status')).body.data.completionPercentage).toBe(100);
+
+    const result = await kycService.expireVerifications(new Date(Date.now() + 400 * 24 * 60 * 60 * 1000));
+    expect(result).toEqual({ expired: 3, users: 1 });
+
+    await user.reload();
+    expect(user.verificationStatus).toBe('pending');
+
+    const status = await api('get', '/status');
+    expect(status.body.data.verifications.nin).toMatchObject({ status: 'expired', verified: false });
+    expect(status.body.data.nextSteps[0].description).toBe('Your NIN verification has expired. Verify it again');
+    expect(await Notification.count({ where: { userId: user.id, type: 'account_verified' } })).toBe(2);
+  });
+
+  it('only offers the local provider in test and development', () => {
+    const environment = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+
+    try {
+      jest.isolateModules(() => {
+        const identityProviders = require('../services/identityProviders');
+
+        expect(() => identityProviders.getIdentityProvider('local')).toThrow('Unsupported identity provider: local');
+      });
+    } finally {
+      process.env.NODE_ENV = environment;
+    }
+  });
+});
@@ -0,0 +1,152 @@
+const express = require('express');
+const request = require('supertest');
+const { Op } = require('sequelize');
+const { Payment } = require('../models');
+const { generateToken } = require('../middleware/auth');
+const { getIdentityProvider } = require('../services/identityProviders');
+const kycService = require('../services/kycService');
+const kycTierService = require('../services/kycTierService');
+const verificationRoutes = require('../routes/verification');
+const paymentRoutes = require('../routes/payments');
+const { errorHandler } = require('../middleware/errorHandler');
+const fixtures = require('./helpers/fixtures');
+
+describe('KYC tiers and limits', () => {
+  let app;
+  let requester;
+  let provider;
+  let service;
+  const registry = getIdentityProvider('local');
+
+  const api = (method, url, owner = requester) => request(app)[method](`/api${url}`)
+    .set('Authorization', `Bearer ${generateToken(owner.id)}`);
+
+  const createUser = (name, extra = {}) => fixtures.createUser(name, 'requester', { lastName: 'Tier', ...extra });
+
+  const createBooking = (owner, amount, payee = provider) => fixtures.createBooking(service, owner, {
+    providerId: payee.id,
+    totalAmount: amount
+  });
+
+  const payFor = (owner, booking) => api('post', '/payments/intent', owner).send({
+    bookingId: booking.id,
+    amount: parseFloat(booking.totalAmount),
+    currency: 'NGN',
+    paymentMethod: 'card',
+    gateway: 'mock'
+  });
+
+  beforeAll(async () => {
+    requester = await createUser('Amaka');
+    provider = await createUser('Tunde', { userType: 'provider', isPhoneVerified: true });
+
+    service = await fixtures.createService(provider, { title: 'Tier Test Service' });
+
+    registry.setRecord('nin', '42345678901', {
+      firstName: 'AMAKA',
+      middleName: null,
+      lastName: 'TIER',
+      dateOfBirth: '1994-02-11',
+      phone: null
+    });
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/verification', verificationRoutes);
+    app.use('/api/payments', paymentRoutes);
+    app.use(errorHandler);
+  });
+
+  afterAll(() => {
+    registry.reset();
+  });
+
+  it('reports the current tier and what unlocks the next one', async () => {
+    const unverified = await api('get', '/verification/requirements');
+    expect(unverified.status).toBe(200);
+    expect(unverified.body.data.currentTier).toEqual({
+      level: null,
+      name: 'Unverified',
+      limits: { perTransaction: 0, daily: 0, walletBalance: 0 }
+    });
+    expect(unverified.body.data.nextTier).toMatchObject({
+      level: 0,
+      missing: [{ key: 'contact', description: 'Verify your email address or phone number' }]
+    });
+
+    await requester.update({ isEmailVerified: true });
+    const basic = await api('get', '/verification/requirements');
+    expect(basic.body.data.currentTier.level).toBe(0);
+    expect(basic.body.data.nextTier.missing.map(item => item.key)).toEqual(['nin']);
+
+    await kycService.verifyNin(requester, { nin: '42345678901', dateOfBirth: '1994-02-11' });
+
+    const identified = await api('get', '/verification/requirements');
+    expect(identified.body.data).toMatchObject({
+      currency: 'NGN',
+      currentTier: { level: 1, limits: { perTransaction: 50000, daily: 300000, walletBalance: 300000 } },
+      usage: { paidToday: 0, remainingToday: 300000 }
+    });
+    expect(identified.body.data.nextTier.missing.map(item => item.key)).toEqual(['bvn', 'id_document']);
+    expect(identified.body.data.tiers.map(tier => tier.unlocked)).toEqual([true, true, false, false]);
+
+    // Approved business documents don't skip the tiers below them
+    await requester.update({ documents: { idCard: null, businessLicense: { status: 'approved' }, certifications: [] } });
+    expect((await kycTierService.getTier(requester.id)).tier.level).toBe(1);
+  });
+
+  it('caps payment intents by the payer\'s tier and the payee\'s wallet limit', async () => {
+    const payer = await createUser('Chidi', { isPhoneVerified: true });
+
+    const tooLarge = await payFor(payer, await createBooking(payer, 25000));
+    expect(tooLarge.status).toBe(403);
+    expect(tooLarge.body.errorCode).toBe('KYC_LIMIT_EXCEEDED');
+    expect(tooLarge.body.message).toBe('This exceeds your Tier 0 limit of NGN 20,000 per transaction. Verify your NIN to raise it');
+
+    // Intents that expired unpaid don't use up the daily limit
+    const first = await payFor(payer, await createBooking(payer, 18000));
+    expect(first.status).toBe(201);
+    const abandoned = await Payment.findByPk(first.body.data.payment.id);
+    await abandoned.update({ expiresAt: new Date(Date.now() - 1000) });
+
+    for (let i = 0; i < 2; i++) {
+      expect((await payFor(payer, await createBooking(payer, 18000))).status).toBe(201);
+    }
+
+    // Open intents do, so they can't each pass the limit and then all be paid
+    const overDaily = await payFor(payer, await createBooking(payer, 18000));
+    expect(overDaily.status).toBe(403);
+    expect(overDaily.body.message).toBe('This exceeds your Tier 0 daily limit. You can pay up to NGN 11,291 more today. Verify your NIN to raise it');
+
+    await Payment.update({ status: 'completed' }, { where: { payerId: payer.id, id: { [Op.ne]: abandoned.id } } });
+    expect((await payFor(payer, await createBooking(payer, 18000))).status).toBe(403);
+    await abandoned.reload();
+    expect(abandoned.status).toBe('pending');
+
+    // Days start at midnight in Lagos, not on the server's clock
+    expect(kycTierService.startOfDay(new Date('2026-01-01T23:30:00Z')).toISOString()).toBe('2026-01-01T23:00:00.000Z');
+    expect(await Payment.count({ where: { payerId: payer.id } })).toBe(3);
+
+    // A provider who hasn't verified any contact detail can't hold a balance yet
+    const newcomer = await createUser('Bisi', { userType: 'provider' });
+    const blocked = await payFor(payer, await createBooking(payer, 1000, newcomer));
+    expect(blocked.status).toBe(403);
+    expect(blocked.body.message).toBe('The provider can\'t receive this payment until they complete more account verification');
+
+    const unverified = await createUser('Emeka');
+    const denied = await payFor(unverified, await createBooking(unverified, 1000));
+    expect(denied.body.message).toBe('Verify your email address or phone number before you can pay');
+  });
+
+  it('holds withdrawals to the tier\'s per-transaction and daily limits', async () => {
+    const state = await kycTierService.getTier(provider.id);
+    expect(state.tier.level).toBe(0);
+
+    await expect(kycTierService.assertWithdrawalAllowed(state, { amount: 20000.01, currency: 'NGN' }))
+      .rejects.toThrow('This exceeds your Tier 0 limit of NGN 20,000 per transaction');
+    await expect(kycTierService.assertWithdrawalAllowed(state, { amount: 10000, usedToday: 45000, currency: 'NGN' }))
+      .rejects.toThrow('You can withdraw up to NGN 5,000 more today');
+    await expect(kycTierService.assertWithdrawalAllowed(state, { amount: 5000, usedToday: 45000, currency: 'NGN' }))
+      .resolves.toBeUndefined();
+  });
+});
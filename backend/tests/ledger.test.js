@@ -0,0 +1,86 @@
+const { LedgerJournal } = require('../models');
+const ledgerService = require('../services/ledgerService');
+const fixtures = require('./helpers/fixtures');
+
+describe('Wallet Ledger', () => {
+  let provider;
+  let booking;
+
+  const createPayment = (overrides = {}) => fixtures.createPayment(booking, { platformFee: 250, ...overrides });
+
+  beforeAll(async () => {
+    ({ provider, booking } = await fixtures.createBookingFixture('Ledger'));
+  });
+
+  it('credits the payee wallet and platform fee when a payment completes', async () => {
+    const payment = await createPayment();
+    await payment.markAsCompleted({ reference: 'PSK-1' });
+
+    const balance = await ledgerService.getUserBalance(provider.id);
+    expect(balance.available).toBe(9750);
+    expect(balance.pending).toBe(0);
+    expect(await ledgerService.getBalance('platform_fee')).toBe(250);
+
+    await provider.reload();
+    expect(parseFloat(provider.availableBalance)).toBe(9750);
+    expect(parseFloat(provider.totalEarnings)).toBe(9750);
+  });
+
+  it('does not post the same capture twice', async () => {
+    const payment = await createPayment();
+    await payment.markAsCompleted();
+    await payment.markAsCompleted();
+
+    const journals = await LedgerJournal.count({ where: { paymentId: payment.id } });
+    expect(journals).toBe(1);
+  });
+
+  it('holds escrowed payments as pending until released', async () => {
+    const before = await ledgerService.getUserBalance(provider.id);
+    const payment = await createPayment();
+
+    await payment.holdInEscrow(48);
+    await payment.markAsCompleted();
+
+    let balance = await ledgerService.getUserBalance(provider.id);
+    expect(balance.pending).toBe(before.pending + 9750);
+    expect(balance.available).toBe(before.available);
+
+    await payment.releaseFromEscrow();
+
+    balance = await ledgerService.getUserBalance(provider.id);
+    expect(balance.pending).toBe(before.pending);
+    expect(balance.available).toBe(before.available + 9750);
+  });
+
+  it('reverses payee share and commission on refund', async () => {
+    const before = await ledgerService.getUserBalance(provider.id);
+    const feesBefore = await ledgerService.getBalance('platform_fee');
+    const payment = await createPayment();
+
+    await payment.markAsCompleted();
+    await payment.processRefund(5000, 'Partial cancellation');
+
+    const balance = await ledgerService.getUserBalance(provider.id);
+    expect(balance.available).toBe(before.available + 4875);
+    expect(balance.totalEarnings).toBe(before.totalEarnings + 4875);
+    expect(await ledgerService.getBalance('platform_fee')).toBe(feesBefore + 125);
+  });
+
+  it('keeps the ledger balanced', async () => {
+    const trialBalance = await ledgerService.getTrialBalance();
+    expect(trialBalance.balanced).toBe(true);
+    expect(trialBalance.debits).toBeGreaterThan(0);
+  });
+
+  it('rejects unbalanced journals', async () => {
+    await expect(ledgerService.postJournal({
+      reference: 'adjustment:unbalanced',
+      journalType: 'adjustment',
+      lines: [
+        { accountType: 'gateway_clearing', direction: 'debit', amount: 100 },
+        { accountType: 'wallet', ownerId: provider.id, direction: 'credit', amount: 90 }
+      ]
+    })).rejects.toThrow('Unbalanced ledger journal');
+  });
+});
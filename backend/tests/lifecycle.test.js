@@ -0,0 +1,237 @@
+const { Job, Payment } = require('../models');
+const escrowService = require('../services/escrowService');
+const ledgerService = require('../services/ledgerService');
+const jobService = require('../services/jobService');
+const bookingLifecycle = require('../services/lifecycle/bookingLifecycle');
+const jobLifecycle = require('../services/lifecycle/jobLifecycle');
+const { createStateMachine } = require('../services/lifecycle');
+const { getGateway } = require('../services/gateways');
+const fixtures = require('./helpers/fixtures');
+
+describe('Lifecycle State Machines', () => {
+  let provider;
+  let requester;
+  let otherProvider;
+  let admin;
+  let service;
+
+  const createBooking = () => fixtures.createBooking(service, requester, {
+    scheduledDate: new Date(Date.now() + 72 * 60 * 60 * 1000)
+  });
+
+  const createEscrowedPayment = async (booking, paymentGateway = 'paystack') => {
+    const payment = await fixtures.createPayment(booking, { platformFee: 400, paymentGateway });
+
+    await escrowService.holdPayment(payment);
+    return payment;
+  };
+
+  const postJob = () => jobService.createJob(requester.id, {
+    title: 'Paint the living room',
+    description: 'Two coats of paint for a medium sized living room',
+    category: 'home',
+    budget: 30000
+  });
+
+  beforeAll(async () => {
+    provider = await fixtures.createUser('Cycle', 'provider');
+    otherProvider = await fixtures.createUser('Other', 'provider');
+    requester = await fixtures.createUser('Cycle');
+    admin = await fixtures.createUser('Cycle', 'admin');
+    service = await fixtures.createService(provider, { title: 'Lifecycle Test Service', basePrice: 8000.00 });
+  });
+
+  it('rejects transitions that reference unknown states', () => {
+    expect(() => createStateMachine({
+      name: 'thing',
+      states: ['open'],
+      resolveRole: () => 'admin',
+      transitions: [{ action: 'close', from: ['open'], to: 'closed', roles: ['admin'] }]
+    })).toThrow('Unknown thing state "closed" in transition close');
+  });
+
+  it('walks a booking through its lifecycle with role checks and the escrow guard', async () => {
+    const booking = await createBooking();
+
+    await expect(bookingLifecycle.transition(booking, 'confirm', requester))
+      .rejects.toThrow('Only the assigned provider can confirm this booking');
+    await expect(bookingLifecycle.transition(booking, 'start', provider))
+      .rejects.toThrow('Cannot start a booking that is pending');
+
+    await bookingLifecycle.transition(booking, 'confirm', provider);
+    expect(booking.status).toBe('confirmed');
+    expect(booking.confirmedAt).toBeTruthy();
+    expect(booking.expiresAt).toBeNull();
+
+    await expect(bookingLifecycle.transition(booking, 'start', provider))
+      .rejects.toThrow('Payment must be held in escrow before work starts');
+    expect((await bookingLifecycle.availableTransitions(booking, provider)).map(t => t.action))
+      .toEqual(['cancel']);
+
+    // A declined attempt stays on the booking but is not the payment in play
+    await fixtures.createPayment(booking, { status: 'failed' });
+    await createEscrowedPayment(booking);
+
+    expect(await bookingLifecycle.availableTransitions(booking, provider)).toEqual([
+      { action: 'start', to: 'in_progress', label: 'Start service' },
+      { action: 'cancel', to: 'cancelled', label: 'Cancel booking' },
+      { action: 'dispute', to: 'disputed', label: 'Open a dispute' }
+    ]);
+
+    await bookingLifecycle.transition(booking, 'start', provider, { note: 'On site' });
+    await bookingLifecycle.transition(booking, 'complete', provider);
+
+    await booking.reload();
+    expect(booking.status).toBe('completed');
+    expect(booking.actualStartTime).toBeTruthy();
+    expect(booking.timeline.map(entry => entry.event)).toEqual([
+      'booking_created',
+      'booking_confirmed',
+      'service_started',
+      'service_completed'
+    ]);
+    expect(booking.timeline[2]).toMatchObject({ description: 'On site', actor: 'provider', from: 'confirmed', to: 'in_progress' });
+
+    await expect(bookingLifecycle.transition(booking, 'cancel', requester))
+      .rejects.toThrow('Cannot cancel a booking that is completed');
+  });
+
+  it('records who cancelled a booking and why', async () => {
+    const booking = await createBooking();
+
+    await bookingLifecycle.transition(booking, 'cancel', requester, { reason: 'Plans changed' });
+
+    expect(booking.status).toBe('cancelled');
+    expect(booking.cancellation).toMatchObject({ cancelledBy: 'requester', reason: 'Plans changed' });
+    expect(await bookingLifecycle.availableTransitions(booking, admin)).toEqual([]);
+  });
+
+  it('keeps a booking open when its cancellation refund fails', async () => {
+    const mock = getGateway('mock');
+    const booking = await createBooking();
+    await bookingLifecycle.transition(booking, 'confirm', provider);
+    const payment = await createEscrowedPayment(booking, 'mock');
+
+    jest.spyOn(mock, 'refund').mockRejectedValueOnce(new Error('Gateway unavailable'));
+    await expect(bookingLifecycle.transition(booking, 'cancel', requester, { reason: 'Plans changed' }))
+      .rejects.toThrow('Gateway unavailable');
+
+    await booking.reload();
+    expect(booking.status).toBe('confirmed');
+
+    // A retry goes through and records the refund that was made
+    await bookingLifecycle.transition(booking, 'cancel', requester, { reason: 'Plans changed' });
+    await payment.reload();
+    expect(booking.status).toBe('cancelled');
+    expect(booking.cancellation).toMatchObject({ refundAmount: 8000, refundStatus: 'processed' });
+    expect(payment.status).toBe('refunded');
+  });
+
+  it('releases what a late cancellation does not refund to the provider', async () => {
+    const booking = await createBooking();
+    await bookingLifecycle.transition(booking, 'confirm', provider);
+    const payment = await createEscrowedPayment(booking, 'mock');
+    jest.spyOn(booking, 'calculateRefundAmount').mockReturnValue(4000);
+
+    await bookingLifecycle.transition(booking, 'cancel', requester, { reason: 'Running late' });
+
+    await payment.reload();
+    expect(booking.cancellation).toMatchObject({ refundAmount: 4000, refundStatus: 'processed' });
+    expect(payment.status).toBe('partially_refunded');
+    expect(payment.escrowReleaseAt).toBeNull();
+    expect(payment.escrowDetails).toMatchObject({ releaseTrigger: 'cancellation', releaseReference: `booking_cancellation:${booking.id}` });
+    expect(await ledgerService.getBalance('escrow', provider.id, 'NGN', { paymentId: payment.id })).toBe(0);
+  });
+
+  it('runs pending -> accepted -> completed -> satisfied for jobs and releases escrow', async () => {
+    const job = await postJob();
+
+    expect((await jobService.getTransitions(job, otherProvider)).map(t => t.action)).toEqual(['accept']);
+    expect((await jobService.getTransitions(job, requester)).map(t => t.action)).toEqual(['accept', 'cancel']);
+
+    await jobService.acceptJob(job, provider, {});
+    expect(await jobService.getTransitions(job, otherProvider)).toEqual([]);
+
+    // Job funding arrives with offers; attach an escrowed payment directly here
+    const payment = await createEscrowedPayment(await createBooking());
+    await job.update({ paymentId: payment.id });
+
+    await jobService.startJob(job, provider);
+    expect(job.status).toBe('in_progress');
+
+    await expect(jobService.satisfyJob(job, requester, { rating: 5 }))
+      .rejects.toThrow('Cannot satisfy a job that is in_progress');
+
+    await jobService.completeJob(job, provider, { notes: 'Two coats done' });
+    expect(job.completionNotes).toBe('Two coats done');
+
+    await expect(jobService.satisfyJob(job, provider, {}))
+      .rejects.toThrow('Only the requester can satisfy this job');
+
+    // A failed release leaves the job unrated, so the same request can be retried
+    jest.spyOn(escrowService, 'releasePayment').mockRejectedValueOnce(new Error('Ledger unavailable'));
+    await expect(jobService.satisfyJob(job, requester, { rating: 5, review: 'Spotless' }))
+      .rejects.toThrow('Ledger unavailable');
+    await job.reload();
+    expect(job.status).toBe('completed');
+
+    await jobService.satisfyJob(job, requester, { rating: 5, review: 'Spotless' });
+
+    await job.reload();
+    expect(job.status).toBe('satisfied');
+    expect(job.satisfiedAt).toBeTruthy();
+    expect(job.rating.requesterRating).toBe(5);
+
+    await payment.reload();
+    expect(payment.isHeldInEscrow()).toBe(false);
+    expect(payment.escrowDetails.releaseTrigger).toBe('requester_satisfaction');
+    expect(payment.escrowDetails.satisfaction).toMatchObject({ rating: 5, feedback: 'Spotless' });
+  });
+
+  it('blocks starting a job before its payment is in escrow', async () => {
+    const job = await postJob();
+    await jobService.acceptJob(job, provider, {});
+
+    await expect(jobService.startJob(job, provider))
+      .rejects.toThrow('Payment must be held in escrow before work starts');
+    await expect(jobService.completeJob(job, provider, {}))
+      .rejects.toThrow('Cannot complete a job that is accepted');
+    expect((await jobService.getTransitions(job, provider)).map(t => t.action)).toEqual(['cancel']);
+  });
+
+  it('cancels the unpaid payment intent when the job is cancelled', async () => {
+    const job = await postJob();
+    await jobService.acceptJob(job, provider, {});
+    const payment = await Payment.create({
+      jobId: job.id,
+      payerId: job.requesterId,
+      payeeId: job.providerId,
+      amount: job.amount,
+      paymentType: 'job_payment',
+      paymentMethod: 'card',
+      paymentGateway: 'mock',
+      status: 'pending'
+    });
+    await job.update({ paymentId: payment.id });
+
+    await jobService.cancelJob(job, requester, 'Found someone closer');
+
+    await payment.reload();
+    expect(payment.status).toBe('cancelled');
+  });
+
+  it('only lets admins cancel a job once work has started', async () => {
+    const job = await postJob();
+    await jobService.acceptJob(job, provider, {});
+    await job.update({ status: 'in_progress' });
+
+    await expect(jobService.cancelJob(job, requester, 'Too slow'))
+      .rejects.toThrow('Only an admin can cancel this job');
+
+    await jobService.cancelJob(job, admin, 'Resolved with support');
+
+    const saved = await Job.findByPk(job.id);
+    expect(saved.status).toBe('cancelled');
+    expect(saved.cancellation).toMatchObject({ cancelledBy: 'admin', reason: 'Resolved with support' });
+  });
+});
@@ -0,0 +1,170 @@
+const { Notification, ScheduledJob } = require('../models');
+const notificationDispatcher = require('../services/notificationDispatcher');
+const notificationService = require('../services/notificationService');
+const emailService = require('../services/emailService');
+const smsService = require('../services/smsService');
+const jobScheduler = require('../services/jobScheduler');
+const { registerJobs } = require('../services/scheduledJobs');
+const { createUser } = require('./helpers/fixtures');
+
+describe('Notification dispatcher', () => {
+  let user;
+  let push;
+  let email;
+  let sms;
+
+  const setPreferences = async (notifications, extra = {}) => {
+    await user.update({
+      preferences: {
+        ...user.preferences,
+        ...extra,
+        notifications: { ...(user.preferences.notifications || {}), ...notifications }
+      }
+    });
+  };
+
+  // An hour either side of the current time on the user's clock
+  const quietHoursAroundNow = () => {
+    const now = notificationDispatcher.localMinutes(new Date(), 'Africa/Lagos');
+    const clock = (minutes) => {
+      const value = (minutes + 24 * 60) % (24 * 60);
+      return `${String(Math.floor(value / 60)).padStart(2, '0')}:${String(value % 60).padStart(2, '0')}`;
+    };
+
+    return { enabled: true, start: clock(now - 60), end: clock(now + 60) };
+  };
+
+  beforeAll(async () => {
+    registerJobs(jobScheduler);
+
+    user = await createUser('Dispatch', 'provider');
+  });
+
+  beforeEach(async () => {
+    push = jest.spyOn(notificationService, 'sendPushNotification').mockResolvedValue();
+    email = jest.spyOn(emailService, 'sendEmail').mockResolvedValue({ messageId: 'test' });
+    sms = jest.spyOn(smsService, 'sendSMS').mockResolvedValue({ success: true });
+
+    await Notification.destroy({ where: { userId: user.id }, force: true });
+    await user.update({ preferences: { language: 'en', timezone: 'Africa/Lagos' } });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('fans out to the channels the user allows and renders catalog text', async () => {
+    await setPreferences({ push: false, sms: true });
+
+    const { notification, channels } = await notificationDispatcher.dispatch(user.id, {
+      type: 'payment_received',
+      template: 'payment_received',
+      params: { amount: 5000, currency: 'NGN', serviceName: 'Deep Cleaning' },
+      data: { bookingId: 'booking-1' },
+      email: { template: 'booking-notification', data: { providerName: 'Dispatch' } },
+      sms: true
+    });
+
+    expect(notification).toMatchObject({
+      title: 'Payment Received',
+      message: 'Payment of ₦5,000.00 received for booking of "Deep Cleaning"'
+    });
+    expect(channels).toEqual({ inApp: 'sent', push: 'off', email: 'sent', sms: 'sent' });
+
+    expect(push).not.toHaveBeenCalled();
+    expect(email).toHaveBeenCalledWith(user.email, 'Payment Received', 'booking-notification', expect.objectContaining({
+      providerName: 'Dispatch',
+      message: notification.message
+    }));
+    expect(sms).toHaveBeenCalledWith(user.phone, notification.message);
+
+    // A broken channel is reported, not thrown
+    email.mockRejectedValueOnce(new Error('Email transporter not initialized'));
+    const retry = await notificationDispatcher.dispatch(user, {
+      type: 'payment_received',
+      title: 'Payment Received',
+      message: 'Payment received',
+      email: { template: 'booking-notification' }
+    });
+    expect(retry.channels.email).toBe('failed');
+
+    // Languages without their own catalog entries fall back to English
+    const fallback = notificationDispatcher.render('refund_processed', 'yo', 'Africa/Lagos', {
+      amount: 1250.5,
+      currency: 'NGN',
+      serviceName: 'Plumbing'
+    });
+    expect(fallback.message).toBe('Refund of ₦1,250.50 has been processed for your booking of "Plumbing"');
+  });
+
+  it('drops categories the user switched off but always delivers essential notices', async () => {
+    await setPreferences({ jobAlerts: false });
+
+    const dropped = await notificationDispatcher.dispatch(user.id, {
+      type: 'booking_request',
+      title: 'New Booking Request',
+      message: 'Someone wants to book you'
+    });
+    expect(dropped).toMatchObject({ suppressed: true, notification: null });
+
+    const essential = await notificationDispatcher.dispatch(user.id, {
+      type: 'dispute_opened',
+      title: 'Dispute Opened',
+      message: 'A dispute was opened on your booking',
+      priority: 'high'
+    });
+    expect(essential.channels).toEqual({ inApp: 'sent', push: 'sent' });
+
+    expect(await Notification.count({ where: { userId: user.id } })).toBe(1);
+    expect(push).toHaveBeenCalledTimes(1);
+  });
+
+  it('holds push and SMS during quiet hours and sends them when the window ends', async () => {
+    const quietHours = quietHoursAroundNow();
+    await setPreferences({ sms: true, quietHours });
+
+    const { notification, channels } = await notificationDispatcher.dispatch(user.id, {
+      type: 'payment_failed',
+      title: 'Payment Failed',
+      message: 'Your payment could not be completed',
+      sms: true
+    });
+    expect(channels).toEqual({ inApp: 'sent', push: 'held', sms: 'held' });
+    expect(push).not.toHaveBeenCalled();
+    expect(sms).not.toHaveBeenCalled();
+
+    const job = await ScheduledJob.findOne({ where: { name: 'notifications.deliver_held' } });
+    expect(job.payload).toMatchObject({ notificationId: notification.id, sms: 'Your payment could not be completed' });
+    expect(job.runAt.getTime()).toBeGreaterThan(Date.now() + 55 * 60 * 1000);
+    expect(job.runAt.getTime()).toBeLessThanOrEqual(Date.now() + 61 * 60 * 1000);
+
+    // Urgent notices skip the wait
+    const urgent = await notificationDispatcher.dispatch(user.id, {
+      type: 'account_verified',
+      title: 'Account Verified',
+      message: 'Your account is verified',
+      priority: 'urgent'
+    });
+    expect(urgent.channels.push).toBe('sent');
+    push.mockClear();
+
+    // Push-only alerts have no inbox entry to check, so they always go out afterwards
+    const chat = await notificationDispatcher.dispatch(user.id, {
+      type: 'message_received',
+      title: 'New message',
+      message: 'Hi there',
+      inApp: false
+    });
+    expect(chat.channels).toEqual({ push: 'held' });
+
+    const later = new Date(Date.now() + 2 * 60 * 60 * 1000);
+    await notificationService.markAsRead(notification.id, user.id);
+    await jobScheduler.tick(later);
+
+    // The read notification stays quiet; the chat alert goes out
+    expect(sms).not.toHaveBeenCalled();
+    expect(push).toHaveBeenCalledTimes(1);
+    expect(push).toHaveBeenCalledWith(user.id, expect.objectContaining({ title: 'New message' }));
+    expect(await ScheduledJob.count({ where: { name: 'notifications.deliver_held', status: 'completed' } })).toBe(2);
+  });
+});
@@ -0,0 +1,134 @@
+const express = require('express');
+const request = require('supertest');
+const { Notification, DeviceToken } = require('../models');
+const { generateToken } = require('../middleware/auth');
+const notificationService = require('../services/notificationService');
+const notificationRoutes = require('../routes/notifications');
+const { errorHandler } = require('../middleware/errorHandler');
+const { createUser } = require('./helpers/fixtures');
+
+describe('Notifications API', () => {
+  let app;
+  let user;
+  let other;
+
+  const api = (method, url, owner = user) => request(app)[method](`/api/notifications${url}`)
+    .set('Authorization', `Bearer ${generateToken(owner.id)}`);
+
+  const notify = (owner, title, extra = {}) => Notification.create({
+    userId: owner.id,
+    type: 'system_update',
+    title,
+    message: `${title} message`,
+    expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    ...extra
+  });
+
+  beforeAll(async () => {
+    user = await createUser('Notify');
+    other = await createUser('Notify', 'provider');
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/notifications', notificationRoutes);
+    app.use(errorHandler);
+  });
+
+  it('lists, reads, deletes and clears only the current user\'s notifications', async () => {
+    const first = await notify(user, 'First');
+    const second = await notify(user, 'Second');
+    await notify(user, 'Expired', { expiresAt: new Date(Date.now() - 1000) });
+    const foreign = await notify(other, 'Not yours');
+
+    const list = await api('get', '/?limit=10');
+    expect(list.status).toBe(200);
+    expect(list.body.data.unreadCount).toBe(2);
+    expect(list.body.data.notifications.map(notification => notification.title).sort()).toEqual(['First', 'Second']);
+    expect(list.body.data.pagination).toMatchObject({ totalNotifications: 2, currentPage: 1 });
+
+    expect((await api('patch', `/${foreign.id}/read`)).status).toBe(404);
+
+    const read = await api('patch', `/${first.id}/read`);
+    expect(read.status).toBe(200);
+    expect(read.body.data.notification).toMatchObject({ id: first.id, isRead: true });
+
+    const unread = await api('get', '/?unreadOnly=true');
+    expect(unread.body.data.notifications.map(notification => notification.id)).toEqual([second.id]);
+
+    const readAll = await api('patch', '/read-all');
+    expect(readAll.body.data.updatedCount).toBe(1);
+    expect((await api('get', '/unread-count')).body.data.unreadCount).toBe(0);
+
+    expect((await api('delete', `/${foreign.id}`)).status).toBe(404);
+    expect((await api('delete', `/${first.id}`)).status).toBe(200);
+
+    const cleared = await api('delete', '/clear');
+    expect(cleared.body.data.deletedCount).toBe(2);
+    expect(await Notification.count({ where: { userId: user.id } })).toBe(0);
+    expect(await Notification.count({ where: { userId: other.id } })).toBe(1);
+
+    expect((await request(app).get('/api/notifications')).status).toBe(401);
+  });
+
+  it('stores channel and category preferences on the user', async () => {
+    const defaults = await api('get', '/preferences');
+    expect(defaults.body.data.preferences).toEqual({
+      push: true,
+      email: true,
+      sms: false,
+      jobAlerts: true,
+      paymentAlerts: true,
+      chatMessages: true,
+      marketing: false,
+      quietHours: { enabled: false, start: '22:00', end: '07:00' }
+    });
+
+    const updated = await api('put', '/preferences').send({ sms: true, marketing: true });
+    expect(updated.status).toBe(200);
+    expect(updated.body.data.preferences).toMatchObject({ sms: true, marketing: true, push: true });
+
+    const quiet = await api('put', '/preferences').send({ quietHours: { enabled: true, start: '23:30' } });
+    expect(quiet.body.data.preferences.quietHours).toEqual({ enabled: true, start: '23:30', end: '07:00' });
+    expect((await api('put', '/preferences').send({ quietHours: { end: '7am' } })).status).toBe(400);
+
+    await user.reload();
+    expect(user.preferences.notifications).toMatchObject({ sms: true, marketing: true });
+    expect(user.preferences.language).toBe('en');
+
+    expect((await api('put', '/preferences').send({ sms: 'yes' })).status).toBe(400);
+    expect((await api('put', '/preferences').send({ volume: 11 })).status).toBe(400);
+  });
+
+  it('registers device tokens for push and forgets them on unsubscribe or failure', async () => {
+    const registered = await api('post', '/subscribe').send({ token: 'fcm-token-1', platform: 'android', appVersion: '1.2.0' });
+    expect(registered.status).toBe(201);
+    expect(registered.body.data.device).toMatchObject({ type: 'firebase', platform: 'android', appVersion: '1.2.0' });
+    expect(registered.body.data.device).not.toHaveProperty('token');
+
+    const subscription = { endpoint: 'https://push.example.com/abc', keys: { p256dh: 'key', auth: 'secret' } };
+    const webPush = await api('post', '/subscribe').send({ token: subscription, platform: 'web' });
+    expect(webPush.body.data.device.type).toBe('webpush');
+
+    expect((await api('post', '/subscribe').send({ token: { endpoint: 'https://push.example.com' }, platform: 'web' })).status).toBe(400);
+    expect((await api('post', '/subscribe').send({ token: 'fcm-token-2', platform: 'blackberry' })).status).toBe(400);
+
+    const tokens = await notificationService.getUserDeviceTokens(user.id);
+    expect(tokens.map(token => token.type).sort()).toEqual(['firebase', 'webpush']);
+    expect(JSON.parse(tokens.find(token => token.type === 'webpush').token)).toEqual(subscription);
+
+    // The same device signing in as someone else moves the token to them
+    await api('post', '/subscribe', other).send({ token: 'fcm-token-1', platform: 'android' });
+    expect(await DeviceToken.count({ where: { userId: user.id } })).toBe(1);
+    expect((await notificationService.getUserDeviceTokens(other.id)).map(token => token.token)).toEqual(['fcm-token-1']);
+
+    await notificationService.handleFailedTokens(
+      [{ success: false, error: { code: 'messaging/registration-token-not-registered' } }],
+      ['fcm-token-1']
+    );
+    expect(await DeviceToken.count({ where: { userId: other.id } })).toBe(0);
+
+    expect((await api('post', '/unsubscribe').send({ token: subscription })).status).toBe(200);
+    expect((await api('post', '/unsubscribe').send({ token: subscription })).status).toBe(404);
+    expect(await DeviceToken.count()).toBe(0);
+  });
+});
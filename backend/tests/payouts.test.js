@@ -0,0 +1,178 @@
+const { Withdrawal } = require('../models');
+const ledgerService = require('../services/ledgerService');
+const payoutService = require('../services/payoutService');
+const { getPayoutGateway } = require('../services/payoutGateways');
+const LocalPayoutGateway = require('../services/payoutGateways/localPayoutGateway');
+const { createBookingFixture, createPayment } = require('./helpers/fixtures');
+
+describe('Provider Payouts', () => {
+  let provider;
+  let payoutAccount;
+  const gateway = getPayoutGateway('local');
+
+  beforeAll(async () => {
+    const fixture = await createBookingFixture('Payout', { amount: 50000.01, provider: { isPhoneVerified: true } });
+    provider = fixture.provider;
+
+    gateway.setAccount({ accountNumber: '0123456789', bankCode: '058', accountName: 'PAYOUT PROVIDER' });
+    const payment = await createPayment(fixture.booking, { platformFee: 0.01 });
+    await payment.markAsCompleted();
+  });
+
+  it('resolves the account name when saving a payout account', async () => {
+    payoutAccount = await payoutService.addPayoutAccount(provider.id, {
+      accountNumber: '0123456789',
+      bankCode: '058',
+      bankName: 'GTBank'
+    });
+
+    expect(payoutAccount.accountName).toBe('PAYOUT PROVIDER');
+    expect(payoutAccount.isVerified).toBe(true);
+    expect(payoutAccount.isDefault).toBe(true);
+    expect(payoutAccount.recipientCode).toMatch(/^RCP_local_/);
+    expect(payoutAccount.toJSON().recipientCode).toBeUndefined();
+  });
+
+  it('rejects accounts the gateway cannot resolve', async () => {
+    await expect(payoutService.addPayoutAccount(provider.id, {
+      accountNumber: '0001112223',
+      bankCode: '058'
+    })).rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('Could not resolve account name') });
+  });
+
+  it('debits available balance and marks the withdrawal paid on settlement', async () => {
+    const withdrawal = await payoutService.requestWithdrawal(provider.id, { amount: 20000 });
+
+    expect(withdrawal.status).toBe('processing');
+    expect(withdrawal.payoutAccountId).toBe(payoutAccount.id);
+
+    let balance = await ledgerService.getUserBalance(provider.id);
+    expect(balance.available).toBe(30000);
+
+    await payoutService.handleTransferEvent('transfer.success', { reference: withdrawal.reference });
+    await withdrawal.reload();
+
+    expect(withdrawal.status).toBe('paid');
+    expect(withdrawal.paidAt).toBeTruthy();
+    expect(await payoutService.getTotalWithdrawn(provider.id)).toBe(20000);
+
+    balance = await ledgerService.getUserBalance(provider.id);
+    expect(balance.available).toBe(30000);
+    expect(await ledgerService.getBalance('payout_clearing')).toBe(0);
+  });
+
+  it('returns funds to the wallet when a transfer fails', async () => {
+    const withdrawal = await payoutService.requestWithdrawal(provider.id, { amount: 5000 });
+    expect((await ledgerService.getUserBalance(provider.id)).available).toBe(25000);
+
+    gateway.settleTransfer(withdrawal.reference, 'failed', 'Account dormant');
+    await payoutService.refreshWithdrawalStatus(withdrawal);
+
+    expect(withdrawal.status).toBe('failed');
+    expect(withdrawal.failureReason).toBe('Account dormant');
+    expect((await ledgerService.getUserBalance(provider.id)).available).toBe(30000);
+
+    // A late success event must not move a failed withdrawal
+    await payoutService.handleTransferEvent('transfer.success', { reference: withdrawal.reference });
+    await withdrawal.reload();
+    expect(withdrawal.status).toBe('failed');
+  });
+
+  it('enforces minimum amount, available balance and daily limits', async () => {
+    await expect(payoutService.requestWithdrawal(provider.id, { amount: 50 }))
+      .rejects.toThrow('Minimum withdrawal amount');
+
+    await expect(payoutService.requestWithdrawal(provider.id, { amount: 40000 }))
+      .rejects.toMatchObject({ statusCode: 402, message: 'Insufficient available balance' });
+
+    const dailyLimit = payoutService.dailyWithdrawalLimit;
+    payoutService.dailyWithdrawalLimit = 21000;
+
+    try {
+      await expect(payoutService.requestWithdrawal(provider.id, { amount: 2000 }))
+        .rejects.toThrow('Daily withdrawal limit exceeded');
+    } finally {
+      payoutService.dailyWithdrawalLimit = dailyLimit;
+    }
+
+    expect(await Withdrawal.count({ where: { userId: provider.id } })).toBe(2);
+  });
+
+  it('sends a queued withdrawal to the gateway only once', async () => {
+    // Leave the withdrawal queued, as if the request died before sending it
+    const sendNow = jest.spyOn(payoutService, 'processWithdrawal').mockImplementationOnce(async (withdrawal) => withdrawal);
+    const withdrawal = await payoutService.requestWithdrawal(provider.id, { amount: 3000 });
+    sendNow.mockRestore();
+
+    const stale = await Withdrawal.findByPk(withdrawal.id);
+    const initiateTransfer = jest.spyOn(gateway, 'initiateTransfer');
+
+    await payoutService.processWithdrawal(withdrawal);
+    await payoutService.processWithdrawal(stale);
+
+    expect(initiateTransfer).toHaveBeenCalledTimes(1);
+    initiateTransfer.mockRestore();
+
+    expect(stale.status).toBe('processing');
+    expect(stale.attempts).toBe(1);
+
+    gateway.settleTransfer(withdrawal.reference, 'paid');
+    await payoutService.refreshWithdrawalStatus(stale);
+    expect(stale.status).toBe('paid');
+    expect((await ledgerService.getUserBalance(provider.id)).available).toBe(27000);
+  });
+
+  it('confirms with the gateway before giving back a withdrawal whose transfer errored', async () => {
+    // The gateway takes the transfer but the response times out
+    jest.spyOn(gateway, 'initiateTransfer').mockImplementationOnce(async (params) => {
+      await LocalPayoutGateway.prototype.initiateTransfer.call(gateway, params);
+      throw new Error('Gateway timeout');
+    });
+    const sent = await payoutService.requestWithdrawal(provider.id, { amount: 2000 });
+
+    expect(sent.status).toBe('processing');
+    expect(sent.failureReason).toBe('Gateway timeout');
+
+    gateway.settleTransfer(sent.reference, 'paid');
+    await payoutService.refreshWithdrawalStatus(sent);
+    expect(sent.status).toBe('paid');
+    expect((await ledgerService.getUserBalance(provider.id)).available).toBe(25000);
+
+    // The gateway never sees this one
+    jest.spyOn(gateway, 'initiateTransfer').mockRejectedValueOnce(new Error('Gateway timeout'));
+    const lost = await payoutService.requestWithdrawal(provider.id, { amount: 1000 });
+
+    await payoutService.refreshWithdrawalStatus(lost);
+    expect(lost.status).toBe('processing');
+
+    const later = new Date(Date.now() + payoutService.transferConfirmDelay + 1000);
+    await payoutService.refreshWithdrawalStatus(lost, later);
+    expect(lost.status).toBe('queued');
+    expect((await ledgerService.getUserBalance(provider.id)).available).toBe(24000);
+
+    await payoutService.processPendingWithdrawals();
+    await lost.reload();
+    expect(lost.status).toBe('processing');
+    expect(lost.attempts).toBe(2);
+  });
+
+  it('only offers the local gateway in test and development', () => {
+    const environment = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+
+    try {
+      jest.isolateModules(() => {
+        const gateways = require('../services/payoutGateways');
+
+        expect(() => gateways.getPayoutGateway('local')).toThrow('Unsupported payout gateway: local');
+      });
+    } finally {
+      process.env.NODE_ENV = environment;
+    }
+  });
+
+  it('keeps the ledger balanced', async () => {
+    const trialBalance = await ledgerService.getTrialBalance();
+    expect(trialBalance.balanced).toBe(true);
+  });
+});
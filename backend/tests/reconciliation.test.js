@@ -0,0 +1,94 @@
+const reconciliationService = require('../services/reconciliationService');
+const { parseSettlementFile } = require('../services/settlementParsers');
+const fixtures = require('./helpers/fixtures');
+
+describe('Settlement Reconciliation', () => {
+  let booking;
+
+  const settledAt = new Date('2024-05-01T12:00:00Z');
+
+  const createPayment = (reference, overrides = {}) => fixtures.createPayment(booking, {
+    paymentGateway: 'paystack',
+    gatewayTransactionId: reference,
+    gatewayReference: reference,
+    status: 'completed',
+    completedAt: settledAt,
+    ...overrides
+  });
+
+  beforeAll(async () => {
+    ({ booking } = await fixtures.createBookingFixture('Recon', { amount: 5000.00 }));
+
+    await createPayment('PSK-REC-OK');
+    await createPayment('PSK-REC-AMOUNT');
+    await createPayment('PSK-REC-STATUS', { status: 'failed', completedAt: null });
+    await createPayment('PSK-REC-MISSING');
+  });
+
+  it('parses gateway CSV and JSON exports into normalized rows', () => {
+    const csv = [
+      'Reference,Amount,Currency,Status,Fees,Paid At',
+      '"PSK-1","5,000.00",NGN,success,75,2024-05-01T10:00:00Z'
+    ].join('\n');
+
+    const { format, rows } = parseSettlementFile('paystack', csv);
+    expect(format).toBe('csv');
+    expect(rows[0]).toMatchObject({ reference: 'PSK-1', amount: 5000, currency: 'NGN', status: 'succeeded', fee: 75 });
+
+    const json = JSON.stringify({
+      data: [{ id: 42, reference: 'PSK-2', amount: 250000, currency: 'NGN', status: 'abandoned', fees: 0 }]
+    });
+    const parsed = parseSettlementFile('paystack', json);
+    expect(parsed.format).toBe('json');
+    expect(parsed.rows[0]).toMatchObject({ reference: 'PSK-2', gatewayTransactionId: '42', amount: 2500, status: 'failed' });
+
+    expect(() => parseSettlementFile('paystack', 'Foo,Bar\n1,2')).toThrow('missing a reference or amount column');
+  });
+
+  it('reports missing, amount and status mismatches', async () => {
+    const csv = [
+      'Reference,Amount,Currency,Status,Paid At',
+      'PSK-REC-OK,5000,NGN,success,2024-05-01T09:00:00Z',
+      'PSK-REC-AMOUNT,4500,NGN,success,2024-05-01T10:00:00Z',
+      'PSK-REC-STATUS,5000,NGN,success,2024-05-01T11:00:00Z',
+      'PSK-REC-UNKNOWN,1200,NGN,success,2024-05-01T13:00:00Z',
+      'PSK-REC-OK,5000,NGN,success,2024-05-01T14:00:00Z'
+    ].join('\n');
+
+    const report = await reconciliationService.reconcile('paystack', csv, { sourceName: 'paystack-2024-05-01.csv' });
+
+    expect(report.status).toBe('mismatched');
+    expect(report.summary).toMatchObject({
+      gatewayRows: 5,
+      matched: 1,
+      missingLocally: 1,
+      missingAtGateway: 1,
+      amountMismatches: 1,
+      statusMismatches: 1,
+      duplicates: 1
+    });
+
+    const byType = (type) => report.mismatches.filter(mismatch => mismatch.type === type);
+
+    expect(byType('missing_locally')[0].reference).toBe('PSK-REC-UNKNOWN');
+    expect(byType('missing_at_gateway')[0].reference).toBe('PSK-REC-MISSING');
+    expect(byType('amount_mismatch')[0]).toMatchObject({ reference: 'PSK-REC-AMOUNT', difference: -500 });
+    expect(byType('status_mismatch')[0]).toMatchObject({ gatewayStatus: 'succeeded', localStatus: 'failed' });
+  });
+
+  it('produces a clean report when everything matches', async () => {
+    await createPayment('PSK-REC-CLEAN', { completedAt: new Date('2024-05-02T12:00:00Z') });
+
+    const json = JSON.stringify([
+      { id: 1, reference: 'PSK-REC-CLEAN', amount: 500000, currency: 'NGN', status: 'success', paid_at: '2024-05-02T12:00:00Z' }
+    ]);
+
+    const report = await reconciliationService.reconcile('paystack', json);
+
+    expect(report.status).toBe('clean');
+    expect(report.summary.matched).toBe(1);
+
+    const { reports } = await reconciliationService.getReports({ gateway: 'paystack', status: 'clean' });
+    expect(reports.map(r => r.id)).toContain(report.id);
+  });
+});
@@ -0,0 +1,167 @@
+const express = require('express');
+const request = require('supertest');
+const { Payment, Refund } = require('../models');
+const { generateToken } = require('../middleware/auth');
+const { errorHandler } = require('../middleware/errorHandler');
+const paymentRoutes = require('../routes/payments');
+const paymentService = require('../services/paymentService');
+const jobService = require('../services/jobService');
+const escrowService = require('../services/escrowService');
+const ledgerService = require('../services/ledgerService');
+const { getGateway } = require('../services/gateways');
+const fixtures = require('./helpers/fixtures');
+
+describe('Partial Refunds', () => {
+  let provider;
+  let requester;
+  let booking;
+  const mock = getGateway('mock');
+
+  const createCapturedPayment = async (reference, overrides = {}) => {
+    const payment = await fixtures.createPayment(booking, { platformFee: 500, gatewayTransactionId: reference, ...overrides });
+
+    await escrowService.holdPayment(payment);
+    return payment;
+  };
+
+  beforeAll(async () => {
+    ({ provider, requester, booking } = await fixtures.createBookingFixture('Refund'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    mock.reset();
+  });
+
+  it('records each partial refund and moves the payment to refunded', async () => {
+    const payment = await createCapturedPayment('MOCK-RFD-1');
+
+    const first = await paymentService.processRefund(payment.id, 'Late arrival', 2500, { source: 'admin' });
+    expect(first.refund.status).toBe('succeeded');
+    expect(first.refund.gatewayRefundId).toMatch(/MOCK-RFD-1$/);
+    expect(first.payment.status).toBe('partially_refunded');
+    expect(parseFloat(first.payment.refundedAmount)).toBe(2500);
+
+    const second = await paymentService.processRefund(payment.id, 'Booking cancelled');
+    expect(parseFloat(second.refund.amount)).toBe(7500);
+    expect(second.payment.status).toBe('refunded');
+    expect(second.payment.escrowReleaseAt).toBeNull();
+
+    const refunds = await Refund.findAll({ where: { paymentId: payment.id } });
+    expect(refunds).toHaveLength(2);
+    expect(mock.refunds.map(refund => refund.amount)).toEqual([2500, 7500]);
+
+    await expect(paymentService.processRefund(payment.id, 'Again', 1))
+      .rejects.toThrow('Payment cannot be refunded from status refunded');
+  });
+
+  it('adds up partial refunds that overlap', async () => {
+    const payment = await createCapturedPayment('MOCK-RFD-6');
+
+    // A second refund completes while the gateway is still handling the first
+    const gatewayRefund = mock.refund.bind(mock);
+    jest.spyOn(mock, 'refund').mockImplementationOnce(async (...args) => {
+      await paymentService.processRefund(payment.id, 'Late arrival', 3000);
+      return gatewayRefund(...args);
+    });
+
+    await paymentService.processRefund(payment.id, 'Missing part', 2000);
+
+    await payment.reload();
+    expect(parseFloat(payment.refundedAmount)).toBe(5000);
+    expect(payment.status).toBe('partially_refunded');
+  });
+
+  it('never refunds more than the captured amount, counting pending refunds', async () => {
+    const payment = await createCapturedPayment('MOCK-RFD-2');
+
+    await Refund.create({ paymentId: payment.id, amount: 6000, currency: 'NGN', status: 'pending' });
+
+    await expect(paymentService.processRefund(payment.id, 'Too much', 4500))
+      .rejects.toThrow('Refund amount must be between 0.01 and 4000 NGN');
+    expect(mock.refunds).toHaveLength(0);
+
+    await payment.reload();
+    expect(payment.status).toBe('completed');
+  });
+
+  it('releases the reserved amount when the gateway refund fails', async () => {
+    const payment = await createCapturedPayment('MOCK-RFD-3');
+    jest.spyOn(mock, 'refund').mockRejectedValueOnce(new Error('Gateway unavailable'));
+
+    await expect(paymentService.processRefund(payment.id, 'Outage', 3000)).rejects.toThrow('Gateway unavailable');
+
+    const [failed] = await Refund.findAll({ where: { paymentId: payment.id } });
+    expect(failed.status).toBe('failed');
+    expect(failed.failureReason).toBe('Gateway unavailable');
+    expect(await payment.getRefundableAmount()).toBe(10000);
+  });
+
+  it('flags a refund the gateway paid but we failed to record for reconciliation', async () => {
+    const payment = await createCapturedPayment('MOCK-RFD-6');
+    jest.spyOn(Payment.prototype, 'applyRefund').mockRejectedValueOnce(new Error('Ledger unavailable'));
+
+    await expect(paymentService.processRefund(payment.id, 'Outage', 3000)).rejects.toThrow('Ledger unavailable');
+
+    const [flagged] = await Refund.findAll({ where: { paymentId: payment.id } });
+    expect(flagged.status).toBe('needs_reconciliation');
+    expect(flagged.failureReason).toBe('Ledger unavailable');
+    expect(flagged.gatewayRefundId).toBeTruthy();
+    expect(mock.refunds).toHaveLength(1);
+
+    // The paid-out amount stays reserved, and admins find it on the queue
+    expect(await payment.getRefundableAmount()).toBe(7000);
+    const { refunds } = await paymentService.getRefunds({ status: 'needs_reconciliation' });
+    expect(refunds.map(refund => refund.id)).toEqual([flagged.id]);
+  });
+
+  it('releases the unrefunded remainder from escrow', async () => {
+    const payment = await createCapturedPayment('MOCK-RFD-4');
+    const before = await ledgerService.getUserBalance(provider.id);
+
+    await paymentService.processRefund(payment.id, 'Partial cancellation', 4000);
+    await payment.reload();
+    await escrowService.releasePayment(payment, { trigger: 'manual' });
+
+    // 6000 remains, less the 5% platform fee share
+    const balance = await ledgerService.getUserBalance(provider.id);
+    expect(balance.available).toBe(before.available + 5700);
+    expect((await ledgerService.getTrialBalance()).balanced).toBe(true);
+  });
+
+  it('sends payers to a dispute but lets the payee refund and view a job payment through the API', async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/payments', paymentRoutes);
+    app.use(errorHandler);
+
+    const job = await jobService.createJob(requester.id, {
+      title: 'Fix the gate',
+      description: 'Weld the hinge back onto the front gate',
+      category: 'home',
+      budget: 10000
+    });
+    const payment = await createCapturedPayment('MOCK-RFD-5', { bookingId: null, jobId: job.id, paymentType: 'job_payment' });
+    const refund = (user, body) => request(app)
+      .post(`/api/payments/${payment.id}/refund`)
+      .set('Authorization', `Bearer ${generateToken(user.id)}`)
+      .send(body);
+
+    const byPayer = await refund(requester, { reason: 'Changed my mind', amount: 2000 });
+    expect(byPayer.status).toBe(403);
+    expect(byPayer.body.message).toBe('Open a dispute to ask for a refund');
+
+    const byPayee = await refund(provider, { reason: 'Could not finish the weld', amount: 2000 });
+    expect(byPayee.status).toBe(200);
+    expect(byPayee.body.data.refund.source).toBe('provider');
+    expect(parseFloat(byPayee.body.data.refund.amount)).toBe(2000);
+    expect(byPayee.body.data.payment.status).toBe('partially_refunded');
+
+    // The payee can see the job payment too, even though it has no booking
+    const viewed = await request(app)
+      .get(`/api/payments/${payment.id}`)
+      .set('Authorization', `Bearer ${generateToken(provider.id)}`);
+    expect(viewed.status).toBe(200);
+    expect(viewed.body.data.payment.job).toMatchObject({ id: job.id, title: 'Fix the gate' });
+  });
+});
@@ -0,0 +1,155 @@
+const { Review, Notification } = require('../models');
+const reviewService = require('../services/reviewService');
+const fixtures = require('./helpers/fixtures');
+
+describe('Reviews', () => {
+  let provider;
+  let service;
+  const requesters = [];
+
+  const createBooking = (requester, status = 'completed') => fixtures.createBooking(service, requester, {
+    scheduledDate: new Date(Date.now() - 72 * 60 * 60 * 1000),
+    status
+  });
+
+  beforeAll(async () => {
+    provider = await fixtures.createUser('Review', 'provider');
+
+    for (let i = 1; i <= 4; i++) {
+      requesters.push(await fixtures.createUser(`Reviewer${i}`));
+    }
+
+    service = await fixtures.createService(provider, { title: 'Review Test Service', basePrice: 5000.00 });
+  });
+
+  it('only lets participants review a completed booking once and keeps ratings in sync', async () => {
+    const [first, second] = requesters;
+
+    const pending = await createBooking(first, 'confirmed');
+    await expect(reviewService.createReview(first, { bookingId: pending.id, rating: 5 }))
+      .rejects.toThrow('Bookings can be reviewed once they are completed');
+
+    const booking = await createBooking(first);
+    await expect(reviewService.createReview(second, { bookingId: booking.id, rating: 1 }))
+      .rejects.toThrow('Only participants of this booking can review it');
+
+    const review = await reviewService.createReview(first, { bookingId: booking.id, rating: 4, review: 'Good job' });
+    expect(review).toMatchObject({ reviewerRole: 'requester', revieweeId: provider.id, serviceId: service.id, isVerified: true });
+
+    await expect(reviewService.createReview(first, { bookingId: booking.id, rating: 5 }))
+      .rejects.toThrow('You have already reviewed this booking');
+
+    const other = await createBooking(second);
+    await reviewService.createReview(second, { bookingId: other.id, rating: 2 });
+
+    await service.reload();
+    await provider.reload();
+    expect(parseFloat(service.rating)).toBe(3);
+    expect(service.totalRatings).toBe(2);
+    expect(parseFloat(provider.rating)).toBe(3);
+    expect(provider.totalRatings).toBe(2);
+
+    // The provider's review rates the requester, not the service
+    await reviewService.createReview(provider, { bookingId: booking.id, rating: 5, review: 'Great client' });
+    await first.reload();
+    await service.reload();
+    expect(parseFloat(first.rating)).toBe(5);
+    expect(service.totalRatings).toBe(2);
+
+    await booking.reload();
+    expect(booking.rating).toMatchObject({ requesterRating: 4, providerRating: 5 });
+    expect(await Notification.count({ where: { userId: provider.id, type: 'review_received' } })).toBe(2);
+  });
+
+  it('lists reviews per provider and service with replies, helpful votes and a summary', async () => {
+    const [first, second, third] = requesters;
+    const booking = await createBooking(third);
+    const review = await reviewService.createReview(third, { bookingId: booking.id, rating: 5, review: 'Excellent' });
+
+    await expect(reviewService.replyToReview(review, first, 'Not mine'))
+      .rejects.toThrow('Only the reviewed provider can reply to this review');
+    await reviewService.replyToReview(review, provider, 'Thank you!');
+    expect(review.reply).toBe('Thank you!');
+    await expect(reviewService.replyToReview(review, provider, 'Again'))
+      .rejects.toThrow('This review already has a reply');
+
+    await expect(reviewService.voteHelpful(review, third)).rejects.toThrow('You cannot vote on your own review');
+    await reviewService.voteHelpful(review, first);
+    await reviewService.voteHelpful(review, second);
+    await expect(reviewService.voteHelpful(review, first))
+      .rejects.toThrow('You have already marked this review as helpful');
+    await reviewService.removeHelpfulVote(review, second);
+    expect(review.helpfulCount).toBe(1);
+
+    const page = await reviewService.listServiceReviews(service.id, { limit: 2, sort: 'helpful' });
+    expect(page.reviews).toHaveLength(2);
+    expect(page.reviews[0].id).toBe(review.id);
+    expect(page.pagination).toMatchObject({ totalReviews: 3, totalPages: 2, hasNextPage: true });
+    expect(page.summary).toMatchObject({ totalReviews: 3, distribution: { 2: 1, 4: 1, 5: 1 } });
+    expect(page.summary.averageRating).toBeCloseTo(3.67, 2);
+
+    const lowest = await reviewService.listUserReviews(provider.id, { sort: 'lowest', rating: 2 });
+    expect(lowest.reviews.map(item => item.rating)).toEqual([2]);
+
+    // Reviews about the requester are listed on their profile
+    const aboutFirst = await reviewService.listUserReviews(first.id);
+    expect(aboutFirst.reviews.map(item => item.reviewerRole)).toEqual(['provider']);
+  });
+
+  it('queues reported reviews for an admin, who can hide and restore them', async () => {
+    const [first, second, third, fourth] = requesters;
+    const admin = await fixtures.createUser('Review', 'admin');
+    const newcomer = await fixtures.createUser('Newcomer');
+
+    const booking = await createBooking(fourth);
+    const review = await reviewService.createReview(fourth, { bookingId: booking.id, rating: 1, review: 'Spam spam spam' });
+
+    await service.reload();
+    const totalBefore = service.totalRatings;
+    const ratingBefore = parseFloat(service.rating);
+
+    await expect(reviewService.reportReview(review, fourth, { reason: 'spam' }))
+      .rejects.toThrow('You cannot report your own review');
+    await expect(reviewService.reportReview(review, newcomer, { reason: 'spam' }))
+      .rejects.toThrow('Only users with a completed booking can report reviews');
+
+    await reviewService.reportReview(review, first, { reason: 'spam' });
+    await expect(reviewService.reportReview(review, first, { reason: 'fake' }))
+      .rejects.toThrow('You have already reported this review');
+    await reviewService.reportReview(review, second, { reason: 'spam' });
+    await reviewService.reportReview(review, third, { reason: 'offensive', details: 'Not a real review' });
+
+    // However many reports come in, the review stays up until an admin decides
+    await review.reload();
+    expect(review).toMatchObject({ isPublic: true, reportCount: 3 });
+
+    const queue = await reviewService.listReportedReviews();
+    expect(queue.reviews.map(item => item.id)).toEqual([review.id]);
+    expect(queue.reviews[0].reports).toHaveLength(3);
+
+    await reviewService.hideReview(review.id, admin);
+    const hidden = await Review.findByPk(review.id);
+    expect(hidden.isPublic).toBe(false);
+    expect(hidden.hiddenAt).toBeTruthy();
+    await expect(reviewService.findReview(review.id)).rejects.toThrow('Review not found');
+    expect((await reviewService.listReportedReviews()).reviews).toHaveLength(0);
+    expect((await reviewService.listReportedReviews({ status: 'upheld' })).reviews).toHaveLength(1);
+
+    await service.reload();
+    expect(service.totalRatings).toBe(totalBefore - 1);
+    expect(parseFloat(service.rating)).toBeGreaterThan(ratingBefore);
+
+    const { summary } = await reviewService.listServiceReviews(service.id);
+    expect(summary.totalReviews).toBe(totalBefore - 1);
+    expect(summary.averageRating).toBeCloseTo(parseFloat(service.rating), 2);
+
+    // Unhiding puts the rating back into the aggregates
+    await reviewService.unhideReview(review.id, admin);
+    await expect(reviewService.unhideReview(review.id, admin)).rejects.toThrow('This review is not hidden');
+    expect((await reviewService.findReview(review.id)).hiddenAt).toBeNull();
+    await service.reload();
+    expect(service.totalRatings).toBe(totalBefore);
+    expect(parseFloat(service.rating)).toBeCloseTo(ratingBefore, 2);
+    expect((await reviewService.listReportedReviews({ status: 'dismissed' })).reviews).toHaveLength(1);
+  });
+});
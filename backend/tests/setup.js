@@ -2,6 +2,8 @@
 process.env.NODE_ENV = 'test';
 process.env.JWT_SECRET = 'test-jwt-secret';
 process.env.DB_NAME = 'test_sha_pay';
+process.env.MOCK_GATEWAY_SECRET = 'test-mock-gateway-secret';
+process.env.KYC_IDENTIFIER_SECRET = 'test-kyc-identifier-secret';
 
 // Add polyfills for Node.js compatibility
 const { TextEncoder, TextDecoder } = require('util');
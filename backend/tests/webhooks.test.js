@@ -0,0 +1,161 @@
+const { WebhookEvent } = require('../models');
+const webhookService = require('../services/webhookService');
+const ledgerService = require('../services/ledgerService');
+const fixtures = require('./helpers/fixtures');
+
+describe('Webhook Event Store', () => {
+  let provider;
+  let booking;
+
+  const createPayment = (gatewayTransactionId) => fixtures.createPayment(booking, { platformFee: 250, gatewayTransactionId });
+
+  const chargeEvent = (type, reference) => ({
+    id: `${type}:${reference}`,
+    type,
+    data: { id: `${reference}-id`, reference, amount: 5000, gateway_response: 'Declined' }
+  });
+
+  beforeAll(async () => {
+    ({ provider, booking } = await fixtures.createBookingFixture('Webhook', { amount: 5000.00 }));
+  });
+
+  it('processes an event once and acknowledges redeliveries', async () => {
+    const payment = await createPayment('PSK-WH-1');
+    const event = chargeEvent('payment.succeeded', 'PSK-WH-1');
+
+    const first = await webhookService.ingest('mock', event);
+    expect(first.duplicate).toBe(false);
+    expect(first.event.status).toBe('processed');
+
+    const second = await webhookService.ingest('mock', event);
+    expect(second.duplicate).toBe(true);
+
+    await second.event.reload();
+    expect(second.event.deliveryCount).toBe(2);
+    expect(second.event.attempts).toBe(1);
+
+    await payment.reload();
+    expect(payment.status).toBe('completed');
+    expect(payment.isHeldInEscrow()).toBe(true);
+    expect(await ledgerService.getBalance('escrow', provider.id, 'NGN', { paymentId: payment.id })).toBe(4750);
+  });
+
+  it('skips a failure that arrives after the payment succeeded', async () => {
+    const payment = await createPayment('PSK-WH-2');
+
+    await webhookService.ingest('mock', chargeEvent('payment.succeeded', 'PSK-WH-2'));
+    const { event } = await webhookService.ingest('mock', chargeEvent('payment.failed', 'PSK-WH-2'));
+
+    expect(event.status).toBe('skipped');
+    expect(event.result.reason).toBe('Payment already completed');
+
+    await payment.reload();
+    expect(payment.status).toBe('completed');
+  });
+
+  it('records unknown event types as ignored', async () => {
+    const { event } = await webhookService.ingest('stripe', { id: 'evt_unknown_1', type: 'customer.created', data: { object: {} } });
+    expect(event.status).toBe('ignored');
+  });
+
+  it('marks events for unknown payments as failed and replays them', async () => {
+    const event = chargeEvent('payment.succeeded', 'PSK-WH-3');
+    const { event: stored } = await webhookService.ingest('mock', event);
+
+    expect(stored.status).toBe('failed');
+    expect(stored.lastError).toMatch(/Payment not found/);
+
+    const failed = await webhookService.getEvents({ status: 'failed' });
+    expect(failed.events.map(e => e.id)).toContain(stored.id);
+
+    const payment = await createPayment('PSK-WH-3');
+    const replayed = await webhookService.replayEvent(stored.id);
+
+    expect(replayed.status).toBe('processed');
+    expect(replayed.attempts).toBe(2);
+
+    await payment.reload();
+    expect(payment.status).toBe('completed');
+
+    await expect(webhookService.replayEvent(stored.id)).rejects.toMatchObject({
+      statusCode: 400,
+      message: expect.stringContaining('Only failed or abandoned events can be replayed')
+    });
+    await expect(webhookService.replayEvent(payment.id)).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('retries events left processing past the timeout', async () => {
+    const event = chargeEvent('payment.succeeded', 'PSK-WH-4');
+    const { event: stored } = await webhookService.ingest('mock', event);
+
+    // As if the process died while the handler was running
+    await stored.update({ status: 'processing', lastAttemptAt: new Date() });
+    expect((await webhookService.ingest('mock', event)).duplicate).toBe(true);
+    await expect(webhookService.replayEvent(stored.id)).rejects.toThrow('Only failed or abandoned events can be replayed');
+
+    await stored.update({ lastAttemptAt: new Date(Date.now() - webhookService.processingTimeoutMs - 1000) });
+    const payment = await createPayment('PSK-WH-4');
+    const { event: retried, duplicate } = await webhookService.ingest('mock', event);
+
+    expect(duplicate).toBe(false);
+    expect(retried.status).toBe('processed');
+
+    await payment.reload();
+    expect(payment.status).toBe('completed');
+  });
+
+  it('retries events left received past the timeout', async () => {
+    const event = chargeEvent('payment.succeeded', 'PSK-WH-5');
+    const payment = await createPayment('PSK-WH-5');
+
+    // As if the process died between storing the event and processing it
+    const stored = await WebhookEvent.create({
+      gateway: 'mock',
+      eventId: event.id,
+      eventType: 'payment.succeeded',
+      payloadHash: webhookService.hashPayload(event),
+      payload: event
+    });
+    expect((await webhookService.ingest('mock', event)).duplicate).toBe(true);
+
+    await WebhookEvent.update(
+      { createdAt: new Date(Date.now() - webhookService.processingTimeoutMs - 1000) },
+      { where: { id: stored.id }, silent: true }
+    );
+    const replayed = await webhookService.replayEvent(stored.id);
+
+    expect(replayed.status).toBe('processed');
+    await payment.reload();
+    expect(payment.status).toBe('completed');
+  });
+
+  it('runs the handler once when two attempts race for the same event', async () => {
+    const event = chargeEvent('payment.succeeded', 'PSK-WH-6');
+    const { event: stored } = await webhookService.ingest('mock', event);
+    expect(stored.status).toBe('failed');
+
+    const payment = await createPayment('PSK-WH-6');
+    const stale = await WebhookEvent.findByPk(stored.id);
+    const applySuccess = webhookService.handlePaymentSuccess.bind(webhookService);
+    const handlePaymentSuccess = jest.spyOn(webhookService, 'handlePaymentSuccess');
+
+    // A second delivery that loaded the event before the first claimed it
+    handlePaymentSuccess.mockImplementationOnce(async (data) => {
+      expect(await webhookService.processEvent(stale)).toBeNull();
+      return applySuccess(data);
+    });
+
+    const replayed = await webhookService.replayEvent(stored.id);
+    expect(handlePaymentSuccess).toHaveBeenCalledTimes(1);
+    handlePaymentSuccess.mockRestore();
+
+    expect(replayed.status).toBe('processed');
+    expect(replayed.attempts).toBe(2);
+    expect(await ledgerService.getBalance('escrow', provider.id, 'NGN', { paymentId: payment.id })).toBe(4750);
+  });
+
+  it('keeps one row per gateway event id', async () => {
+    const count = await WebhookEvent.count({ where: { gateway: 'mock', eventId: 'payment.succeeded:PSK-WH-1' } });
+    expect(count).toBe(1);
+  });
+});
@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { View, Text, StyleSheet, TouchableOpacity, Alert } from 'react-native';
+import { View, Text, StyleSheet, TouchableOpacity, Alert, Image, Linking } from 'react-native';
 import { Surface, Menu, Divider } from 'react-native-paper';
 import Icon from '@expo/vector-icons/MaterialCommunityIcons';
 import MessageStatus from './MessageStatus';
@@ -63,7 +63,40 @@ const MessageBubble = ({
     return chatUtils.formatMessageTime(timestamp);
   };
 
+  const attachment = message.attachments && message.attachments[0];
+
+  // Signed links expire; a fresh one arrives whenever the history is reloaded
+  const openLink = (url) => {
+    Linking.openURL(chatUtils.getAttachmentUrl(url)).catch(() => {
+      Alert.alert('Unable to open', 'This attachment link may have expired. Reopen the conversation and try again.');
+    });
+  };
+
+  const fileIcon = (mimetype = '') => {
+    if (mimetype === 'application/pdf') return 'file-pdf-box';
+    if (mimetype.includes('word')) return 'file-word-box';
+    return 'file-document-outline';
+  };
+
+  const renderCaption = () => (
+    <Text style={[
+      styles.messageText,
+      styles.caption,
+      isCurrentUser ? styles.currentUserText : styles.otherUserText
+    ]}>
+      {message.content}
+    </Text>
+  );
+
   const renderMessageContent = () => {
+    if (message.isDeleted) {
+      return (
+        <Text style={[styles.deletedText, isCurrentUser ? styles.currentUserMeta : styles.otherUserTime]}>
+          This message was deleted
+        </Text>
+      );
+    }
+
     switch (message.type) {
       case 'text':
         return (
@@ -77,17 +110,67 @@ const MessageBubble = ({
       case 'image':
         return (
           <View>
-            {/* Image component would go here */}
-            <Text style={styles.placeholderText}>📷 Image</Text>
+            {attachment && (
+              <TouchableOpacity onPress={() => openLink(attachment.url)} onLongPress={handleLongPress}>
+                <Image
+                  source={{ uri: chatUtils.getAttachmentUrl(attachment.thumbnailUrl || attachment.url) }}
+                  style={styles.imagePreview}
+                  resizeMode="cover"
+                />
+              </TouchableOpacity>
+            )}
+            {!!message.content && message.content !== attachment?.name && renderCaption()}
           </View>
         );
       case 'file':
         return (
-          <View style={styles.fileContainer}>
-            <Icon name="file-document-outline" size={20} color="#666666" />
-            <Text style={styles.fileName}>{message.fileName || 'File'}</Text>
+          <View>
+            <TouchableOpacity
+              style={styles.fileContainer}
+              onPress={() => attachment && openLink(attachment.url)}
+              onLongPress={handleLongPress}
+            >
+              <Icon name={fileIcon(attachment?.mimetype)} size={28} color={isCurrentUser ? '#FFFFFF' : '#666666'} />
+              <View style={styles.fileDetails}>
+                <Text
+                  style={[styles.fileName, isCurrentUser && styles.currentUserText]}
+                  numberOfLines={1}
+                >
+                  {attachment?.name || message.fileName || 'File'}
+                </Text>
+                {!!attachment?.size && (
+                  <Text style={[styles.fileMeta, isCurrentUser && styles.currentUserMeta]}>
+                    {chatUtils.formatFileSize(attachment.size)}
+                  </Text>
+                )}
+              </View>
+              <Icon name="download" size={20} color={isCurrentUser ? '#FFFFFF' : '#666666'} />
+            </TouchableOpacity>
+            {!!message.content && message.content !== attachment?.name && renderCaption()}
           </View>
         );
+      case 'location':
+        return (
+          <TouchableOpacity
+            style={styles.locationCard}
+            onPress={() => attachment && Linking.openURL(chatUtils.getMapsUrl(attachment))}
+            onLongPress={handleLongPress}
+          >
+            <View style={styles.locationMap}>
+              <Icon name="map-marker" size={32} color="#FF3B30" />
+            </View>
+            <View style={styles.locationDetails}>
+              <Text style={styles.locationTitle} numberOfLines={2}>
+                {attachment?.address || 'Shared location'}
+              </Text>
+              {attachment && (
+                <Text style={styles.locationCoordinates}>
+                  {attachment.latitude.toFixed(5)}, {attachment.longitude.toFixed(5)}
+                </Text>
+              )}
+            </View>
+          </TouchableOpacity>
+        );
       default:
         return (
           <Text style={[
@@ -184,7 +267,7 @@ const MessageBubble = ({
                   {formatTime(message.timestamp)}
                 </Text>
                 
-                {message.edited && (
+                {(message.isEdited || message.edited) && (
                   <Text style={styles.editedText}>edited</Text>
                 )}
                 
@@ -302,17 +385,61 @@ const styles = StyleSheet.create({
     padding: 8,
     backgroundColor: 'rgba(0, 0, 0, 0.1)',
     borderRadius: 8,
+    minWidth: 200,
+  },
+  fileDetails: {
+    flex: 1,
+    marginHorizontal: 8,
   },
   fileName: {
-    marginLeft: 8,
     fontSize: 14,
     color: '#333333',
   },
-  placeholderText: {
-    fontSize: 16,
-    textAlign: 'center',
+  fileMeta: {
+    fontSize: 12,
+    color: '#888888',
+    marginTop: 2,
+  },
+  currentUserMeta: {
+    color: 'rgba(255, 255, 255, 0.7)',
+  },
+  imagePreview: {
+    width: 220,
+    height: 220,
+    borderRadius: 12,
+    backgroundColor: '#E5E5EA',
+  },
+  caption: {
+    marginTop: 6,
+  },
+  locationCard: {
+    width: 220,
+    borderRadius: 12,
+    overflow: 'hidden',
+    backgroundColor: '#FFFFFF',
+  },
+  locationMap: {
+    height: 100,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#E8F0E3',
+  },
+  locationDetails: {
     padding: 8,
   },
+  locationTitle: {
+    fontSize: 14,
+    color: '#333333',
+  },
+  locationCoordinates: {
+    fontSize: 12,
+    color: '#888888',
+    marginTop: 2,
+  },
+  deletedText: {
+    fontSize: 14,
+    fontStyle: 'italic',
+  },
 });
 
 export default MessageBubble;
\ No newline at end of file
@@ -145,6 +145,85 @@ const CreditRating = ({
     }
   };
   
+  const formatPoints = (points) => `${points > 0 ? '+' : ''}${points}`;
+  
+  const getChangeColor = (points) => {
+    if (points > 0) return colors.status.success;
+    if (points < 0) return colors.status.error;
+    return colors.text.secondary;
+  };
+  
+  // What moved the score since the previous snapshot, biggest movers first
+  const renderChanges = () => {
+    const changes = rating?.changes;
+    
+    if (!changes) return null;
+    
+    const hasReasonChanges = changes.reasonsResolved.length > 0 || changes.reasonsAdded.length > 0;
+    
+    return (
+      <View style={styles.changes}>
+        <View style={styles.changesHeader}>
+          <ThemedText variant="body2" style={styles.changesTitle}>
+            What Changed
+          </ThemedText>
+          
+          <ThemedText
+            variant="body2"
+            style={[styles.changesScore, { color: getChangeColor(changes.scoreChange) }]}
+          >
+            {formatPoints(changes.scoreChange)} since {new Date(changes.previousCalculatedAt).toLocaleDateString()}
+          </ThemedText>
+        </View>
+        
+        {changes.components.slice(0, 3).map((change) => (
+          <View key={`${change.factor}_${change.component}`} style={styles.changeItem}>
+            <View style={styles.changeContent}>
+              <ThemedText variant="body2">{change.label}</ThemedText>
+              
+              {change.reason && (
+                <ThemedText variant="caption" style={styles.changeReason}>
+                  {change.reason.message}
+                </ThemedText>
+              )}
+            </View>
+            
+            <ThemedText
+              variant="body2"
+              style={[styles.changePoints, { color: getChangeColor(change.pointsChange) }]}
+            >
+              {formatPoints(change.pointsChange)}
+            </ThemedText>
+          </View>
+        ))}
+        
+        {hasReasonChanges && (
+          <View style={styles.changeReasons}>
+            {changes.reasonsResolved.map((reason) => (
+              <ThemedText
+                key={`resolved_${reason.code}`}
+                variant="caption"
+                style={{ color: colors.status.success }}
+              >
+                ✓ {reason.message}
+              </ThemedText>
+            ))}
+            
+            {changes.reasonsAdded.map((reason) => (
+              <ThemedText
+                key={`added_${reason.code}`}
+                variant="caption"
+                style={{ color: colors.status.error }}
+              >
+                ⚠️ {reason.message}
+              </ThemedText>
+            ))}
+          </View>
+        )}
+      </View>
+    );
+  };
+  
   const renderCompactView = () => {
     if (!rating) {
       return (
@@ -302,6 +381,8 @@ const CreditRating = ({
           </View>
         )}
         
+        {renderChanges()}
+        
         {showRecommendations && recommendations && recommendations.length > 0 && (
           <View style={styles.recommendations}>
             <View style={styles.recommendationsHeader}>
@@ -399,6 +480,26 @@ const CreditRating = ({
             ))}
           </View>
           
+          {rating.reasons && rating.reasons.length > 0 && (
+            <View style={styles.modalReasons}>
+              <ThemedText variant="h6" style={styles.modalSectionTitle}>
+                Why This Score
+              </ThemedText>
+              
+              {rating.reasons.map((reason) => (
+                <View key={reason.code} style={styles.modalReasonItem}>
+                  <ThemedText variant="body2" style={styles.modalReasonMessage}>
+                    {reason.message}
+                  </ThemedText>
+                  
+                  <ThemedText variant="body2" style={{ color: getChangeColor(reason.points) }}>
+                    {formatPoints(reason.points)}
+                  </ThemedText>
+                </View>
+              ))}
+            </View>
+          )}
+          
           {ratingHistory && ratingHistory.length > 0 && (
             <View style={styles.modalHistory}>
               <ThemedText variant="h6" style={styles.modalSectionTitle}>
@@ -408,7 +509,7 @@ const CreditRating = ({
               {ratingHistory.slice(-5).map((historyItem, index) => (
                 <View key={index} style={styles.modalHistoryItem}>
                   <ThemedText variant="body2">
-                    {new Date(historyItem.date).toLocaleDateString()}
+                    {new Date(historyItem.calculatedAt).toLocaleDateString()}
                   </ThemedText>
                   
                   <ThemedText
@@ -572,6 +673,45 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     marginTop: spacing[1],
   },
+  changes: {
+    borderTopWidth: 1,
+    borderTopColor: colors.border.light,
+    paddingTop: spacing[4],
+    marginBottom: spacing[4],
+  },
+  changesHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: spacing[3],
+  },
+  changesTitle: {
+    color: colors.text.secondary,
+  },
+  changesScore: {
+    fontWeight: '600',
+  },
+  changeItem: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: spacing[2],
+  },
+  changeContent: {
+    flex: 1,
+    marginRight: spacing[2],
+  },
+  changeReason: {
+    color: colors.text.secondary,
+    marginTop: spacing[1],
+  },
+  changePoints: {
+    fontWeight: '600',
+  },
+  changeReasons: {
+    gap: spacing[1],
+    marginTop: spacing[2],
+  },
   recommendations: {
     borderTopWidth: 1,
     borderTopColor: colors.border.light,
@@ -662,6 +802,20 @@ const styles = StyleSheet.create({
     textAlign: 'right',
     fontWeight: '600',
   },
+  modalReasons: {
+    marginBottom: spacing[6],
+  },
+  modalReasonItem: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: spacing[2],
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border.light,
+  },
+  modalReasonMessage: {
+    flex: 1,
+    marginRight: spacing[2],
+  },
   modalHistory: {
     marginBottom: spacing[4],
   },
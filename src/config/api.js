@@ -159,6 +159,7 @@ export const API_ENDPOINTS = {
     EMAIL_SEND: '/verification/email/send-verification',
     EMAIL_CONFIRM: '/verification/email/confirm',
     DOCUMENT: '/verification/document',
+    DOCUMENTS: '/verification/documents',
     STATUS: '/verification/status',
     REQUIREMENTS: '/verification/requirements',
   },
@@ -172,24 +173,55 @@ export const API_ENDPOINTS = {
     DELETE: '/jobs/:id',
     APPLY: '/jobs/:id/apply',
     ACCEPT: '/jobs/:id/accept',
+    START: '/jobs/:id/start',
     COMPLETE: '/jobs/:id/complete',
+    SATISFY: '/jobs/:id/satisfy',
     CANCEL: '/jobs/:id/cancel',
     RATE: '/jobs/:id/rate',
     DISPUTE: '/jobs/:id/dispute',
     MY_JOBS: '/jobs/my-jobs',
     APPLICATIONS: '/jobs/:id/applications',
+    TRANSITIONS: '/jobs/:id/transitions',
+    OFFERS: '/jobs/:id/offers',
+    OFFER_COUNTER: '/jobs/:id/offers/:offerId/counter',
+    OFFER_ACCEPT: '/jobs/:id/offers/:offerId/accept',
+    OFFER_REJECT: '/jobs/:id/offers/:offerId/reject',
     SEARCH: '/jobs/search',
     CATEGORIES: '/jobs/categories',
     SKILLS: '/jobs/skills',
   },
 
+  // Disputes
+  DISPUTES: {
+    LIST: '/disputes',
+    DETAILS: '/disputes/:id',
+    STATEMENTS: '/disputes/:id/statements',
+    EVIDENCE: '/disputes/:id/evidence',
+    BOOKING: '/bookings/:id/dispute',
+  },
+
+  // Reviews
+  REVIEWS: {
+    CREATE: '/reviews',
+    DETAILS: '/reviews/:id',
+    REPLY: '/reviews/:id/reply',
+    HELPFUL: '/reviews/:id/helpful',
+    REPORT: '/reviews/:id/report',
+    USER: '/users/:id/reviews',
+    SERVICE: '/services/:id/reviews',
+  },
+
   // Chat
   CHAT: {
     CONVERSATIONS: '/chat/conversations',
+    CONVERSATION: '/chat/conversations/:id',
     MESSAGES: '/chat/conversations/:id/messages',
     SEND_MESSAGE: '/chat/conversations/:id/messages',
     MARK_READ: '/chat/conversations/:id/read',
-    UPLOAD_MEDIA: '/chat/upload',
+    UNREAD_COUNT: '/chat/unread',
+    SEARCH: '/chat/search',
+    UPLOAD_MEDIA: '/chat/conversations/:id/attachments',
+    EDIT_MESSAGE: '/chat/messages/:id',
     DELETE_MESSAGE: '/chat/messages/:id',
   },
 
@@ -198,8 +230,15 @@ export const API_ENDPOINTS = {
     HISTORY: '/payments/history',
     DETAILS: '/payments/:id',
     INITIATE: '/payments/initiate',
+    QUOTE: '/payments/quote',
     VERIFY: '/payments/verify',
+    RELEASE: '/payments/:paymentId/release',
     WITHDRAW: '/payments/withdraw',
+    WITHDRAWALS: '/payments/withdrawals',
+    WITHDRAWAL_LIMITS: '/payments/withdrawals/limits',
+    PAYOUT_ACCOUNTS: '/payments/payout-accounts',
+    RESOLVE_PAYOUT_ACCOUNT: '/payments/payout-accounts/resolve',
+    REMOVE_PAYOUT_ACCOUNT: '/payments/payout-accounts/:id',
     BALANCE: '/payments/balance',
     METHODS: '/payments/methods',
     ADD_METHOD: '/payments/methods',
@@ -210,7 +249,6 @@ export const API_ENDPOINTS = {
   // Credit Rating
   CREDIT_RATING: {
     GET_RATING: '/credit-rating/:userId',
-    CALCULATE: '/credit-rating/calculate',
     HISTORY: '/credit-rating/:userId/history',
     RECOMMENDATIONS: '/credit-rating/:userId/recommendations',
     UPDATE: '/credit-rating/:userId/update',
@@ -220,6 +258,7 @@ export const API_ENDPOINTS = {
   // Notifications
   NOTIFICATIONS: {
     LIST: '/notifications',
+    UNREAD_COUNT: '/notifications/unread-count',
     MARK_READ: '/notifications/:id/read',
     MARK_ALL_READ: '/notifications/read-all',
     DELETE: '/notifications/:id',
@@ -245,6 +284,8 @@ export const API_ENDPOINTS = {
     JOBS: '/admin/jobs',
     PAYMENTS: '/admin/payments',
     DISPUTES: '/admin/disputes',
+    DISPUTE_DETAILS: '/admin/disputes/:id',
+    DISPUTE_RESOLVE: '/admin/disputes/:id/resolve',
     ANALYTICS: '/admin/analytics',
   },
 };
@@ -164,7 +164,7 @@ const ChatScreen = ({ route, navigation }) => {
         recipientId: participant.id,
         content: messageData.text,
         type: messageData.type || 'text',
-        attachments: messageData.attachments || [],
+        location: messageData.location,
       };
       
       await dispatch(sendMessage(messagePayload)).unwrap();
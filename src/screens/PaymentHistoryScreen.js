@@ -23,6 +23,7 @@ import {
 import { colors, spacing } from '../theme';
 import {
   fetchPaymentHistory,
+  fetchBalance,
   requestWithdrawal,
   downloadReceipt,
 } from '../store/slices/paymentSlice';
@@ -37,7 +38,7 @@ const PaymentHistoryScreen = ({ navigation }) => {
     balance,
     loading,
     refreshing,
-  } = useSelector((state) => state.payments);
+  } = useSelector((state) => state.payment);
   
   const [filter, setFilter] = useState(0); // 0: All, 1: Received, 2: Sent, 3: Withdrawals
   const [selectedTransaction, setSelectedTransaction] = useState(null);
@@ -65,7 +66,10 @@ const PaymentHistoryScreen = ({ navigation }) => {
   
   const loadPaymentHistory = useCallback(async () => {
     try {
-      await dispatch(fetchPaymentHistory(user.id)).unwrap();
+      await Promise.all([
+        dispatch(fetchPaymentHistory(user.id)).unwrap(),
+        dispatch(fetchBalance()).unwrap(),
+      ]);
     } catch (error) {
       console.error('Error loading payment history:', error);
     }
@@ -39,7 +39,7 @@ const ProfileScreen = ({ navigation }) => {
     try {
       await Promise.all([
         dispatch(fetchUserStats()).unwrap(),
-        dispatch(fetchUserReviews()).unwrap(),
+        dispatch(fetchUserReviews(user?.id)).unwrap(),
       ]);
     } catch (error) {
       console.error('Error loading profile data:', error);
@@ -25,12 +25,17 @@ import {
   deleteAccount,
 } from '../store/slices/authSlice';
 import { clearAllData } from '../store/slices/appSlice';
+import {
+  fetchNotificationPreferences,
+  updateNotificationPreferences,
+} from '../store/slices/notificationSlice';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 
 const SettingsScreen = ({ navigation }) => {
   const dispatch = useDispatch();
   const { user, loading } = useSelector((state) => state.auth);
   const { theme, language } = useSelector((state) => state.app);
+  const notificationPreferences = useSelector((state) => state.notifications.preferences);
   
   const [settings, setSettings] = useState({
     notifications: {
@@ -41,6 +46,7 @@ const SettingsScreen = ({ navigation }) => {
       paymentAlerts: true,
       chatMessages: true,
       marketing: false,
+      quietHours: { enabled: false, start: '22:00', end: '07:00' },
     },
     privacy: {
       profileVisibility: 'public', // public, private, contacts
@@ -105,13 +111,29 @@ const SettingsScreen = ({ navigation }) => {
   
   useEffect(() => {
     loadSettings();
+    dispatch(fetchNotificationPreferences());
   }, []);
   
+  // Notification preferences live on the server, where the dispatcher reads them
+  useEffect(() => {
+    if (notificationPreferences) {
+      setSettings((current) => ({
+        ...current,
+        notifications: { ...current.notifications, ...notificationPreferences },
+      }));
+    }
+  }, [notificationPreferences]);
+  
   const loadSettings = async () => {
     try {
       const savedSettings = await AsyncStorage.getItem('userSettings');
       if (savedSettings) {
-        setSettings(JSON.parse(savedSettings));
+        const parsed = JSON.parse(savedSettings);
+        setSettings((current) => ({
+          ...current,
+          ...parsed,
+          notifications: { ...current.notifications, ...parsed.notifications },
+        }));
       }
     } catch (error) {
       console.error('Error loading settings:', error);
@@ -381,6 +403,36 @@ const SettingsScreen = ({ navigation }) => {
     </ThemedCard>
   );
   
+  const updateNotificationSetting = async (key, value) => {
+    try {
+      setSaving(true);
+      await dispatch(updateNotificationPreferences({ [key]: value })).unwrap();
+    } catch (error) {
+      console.error('Error saving notification preferences:', error);
+      Alert.alert('Error', 'Failed to save notification preferences. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+  
+  const renderNotificationToggle = (key, title, subtitle, first = false) => (
+    <ThemedListItem
+      title={title}
+      subtitle={subtitle}
+      rightComponent={
+        <ThemedButton
+          variant={settings.notifications[key] ? 'primary' : 'outline'}
+          size="small"
+          disabled={saving}
+          onPress={() => updateNotificationSetting(key, !settings.notifications[key])}
+        >
+          {settings.notifications[key] ? 'On' : 'Off'}
+        </ThemedButton>
+      }
+      style={first ? undefined : { marginTop: spacing[2] }}
+    />
+  );
+  
   const renderNotificationModal = () => (
     <ThemedModal
       visible={showNotificationModal}
@@ -391,51 +443,43 @@ const SettingsScreen = ({ navigation }) => {
       <ScrollView style={{ maxHeight: 500 }}>
         <View style={styles.modalSection}>
           <ThemedText variant="body1" style={{ marginBottom: spacing[3] }}>
-            Push Notifications
+            Channels
           </ThemedText>
           
-          <ThemedListItem
-            title="Job Alerts"
-            subtitle="New job opportunities"
-            rightComponent={
-              <ThemedButton
-                variant={settings.notifications.jobAlerts ? 'primary' : 'outline'}
-                size="small"
-                onPress={() => updateSetting('notifications', 'jobAlerts', !settings.notifications.jobAlerts)}
-              >
-                {settings.notifications.jobAlerts ? 'On' : 'Off'}
-              </ThemedButton>
-            }
-          />
+          {renderNotificationToggle('push', 'Push Notifications', 'Alerts on this device', true)}
+          {renderNotificationToggle('email', 'Email', `Updates sent to ${user?.email || 'your email'}`)}
+          {renderNotificationToggle('sms', 'SMS', 'Important updates by text message')}
+        </View>
+        
+        <View style={styles.modalSection}>
+          <ThemedText variant="body1" style={{ marginBottom: spacing[3] }}>
+            What to notify me about
+          </ThemedText>
           
-          <ThemedListItem
-            title="Payment Alerts"
-            subtitle="Payment confirmations and updates"
-            rightComponent={
-              <ThemedButton
-                variant={settings.notifications.paymentAlerts ? 'primary' : 'outline'}
-                size="small"
-                onPress={() => updateSetting('notifications', 'paymentAlerts', !settings.notifications.paymentAlerts)}
-              >
-                {settings.notifications.paymentAlerts ? 'On' : 'Off'}
-              </ThemedButton>
-            }
-            style={{ marginTop: spacing[2] }}
-          />
+          {renderNotificationToggle('jobAlerts', 'Job Alerts', 'Jobs, bookings and reviews', true)}
+          {renderNotificationToggle('paymentAlerts', 'Payment Alerts', 'Payment confirmations and updates')}
+          {renderNotificationToggle('chatMessages', 'Chat Messages', 'New messages from other users')}
+          {renderNotificationToggle('marketing', 'Promotions', 'Offers and news from Sha Pay')}
           
+          <ThemedText variant="caption" color="text.secondary" style={{ marginTop: spacing[2] }}>
+            Disputes and account notices are always sent.
+          </ThemedText>
+        </View>
+        
+        <View style={styles.modalSection}>
           <ThemedListItem
-            title="Chat Messages"
-            subtitle="New messages from other users"
+            title="Quiet Hours"
+            subtitle={`No push or SMS from ${settings.notifications.quietHours.start} to ${settings.notifications.quietHours.end}`}
             rightComponent={
               <ThemedButton
-                variant={settings.notifications.chatMessages ? 'primary' : 'outline'}
+                variant={settings.notifications.quietHours.enabled ? 'primary' : 'outline'}
                 size="small"
-                onPress={() => updateSetting('notifications', 'chatMessages', !settings.notifications.chatMessages)}
+                disabled={saving}
+                onPress={() => updateNotificationSetting('quietHours', { enabled: !settings.notifications.quietHours.enabled })}
               >
-                {settings.notifications.chatMessages ? 'On' : 'Off'}
+                {settings.notifications.quietHours.enabled ? 'On' : 'Off'}
               </ThemedButton>
             }
-            style={{ marginTop: spacing[2] }}
           />
         </View>
       </ScrollView>
@@ -2,7 +2,8 @@ import React, { useState, useEffect } from 'react';
 import { View, StyleSheet, ScrollView, KeyboardAvoidingView, Platform, Alert } from 'react-native';
 import { TextInput, Button, Text, Title, HelperText, Divider, Card, Paragraph, Snackbar, Chip, Switch } from 'react-native-paper';
 import { useDispatch, useSelector } from 'react-redux';
-import { acceptJob } from '../../store/slices/jobsSlice';
+import { acceptJob, submitOffer } from '../../store/slices/jobsSlice';
+import { fetchFeeQuote } from '../../store/slices/paymentSlice';
 import DateTimePicker from '../../components/DateTimePicker';
 import MaterialCommunityIcons from '@expo/vector-icons/MaterialCommunityIcons';
 
@@ -10,7 +11,7 @@ const JobAcceptanceForm = ({ navigation, route }) => {
   const { jobId } = route.params;
   const dispatch = useDispatch();
   const { jobs, loading, error } = useSelector(state => state.jobs);
-  const { serviceChargeRate } = useSelector(state => state.payment);
+  const { feeQuote } = useSelector(state => state.payment);
   
   // Find the job from the store
   const job = jobs.find(j => j.id === jobId) || {};
@@ -37,18 +38,29 @@ const JobAcceptanceForm = ({ navigation, route }) => {
     }
   }, [job]);
 
+  // Ask the server what the provider keeps for the agreed amount
   useEffect(() => {
-    if (agreedAmount) {
-      const amount = parseFloat(agreedAmount);
-      const charge = amount * serviceChargeRate;
-      const net = amount - charge;
-      setServiceCharge(charge);
-      setNetAmount(net);
+    const amount = parseFloat(agreedAmount);
+    if (!amount || amount <= 0) {
+      return undefined;
+    }
+
+    const timer = setTimeout(() => {
+      dispatch(fetchFeeQuote({ amount, category: job.category, currency: job.currency }));
+    }, 400);
+
+    return () => clearTimeout(timer);
+  }, [agreedAmount, job.category, job.currency, dispatch]);
+
+  useEffect(() => {
+    if (agreedAmount && feeQuote && feeQuote.subtotal === parseFloat(agreedAmount)) {
+      setServiceCharge(feeQuote.subtotal - feeQuote.payeeAmount);
+      setNetAmount(feeQuote.payeeAmount);
     } else {
       setServiceCharge(0);
       setNetAmount(0);
     }
-  }, [agreedAmount, serviceChargeRate]);
+  }, [agreedAmount, feeQuote]);
 
   const validateForm = () => {
     const errors = {};
@@ -74,16 +86,60 @@ const JobAcceptanceForm = ({ navigation, route }) => {
     return Object.keys(errors).length === 0;
   };
   
+  // A different amount is sent to the requester as an offer instead of accepting outright
+  const isCounterProposal = negotiateAmount && parseFloat(agreedAmount) !== parseFloat(job.amount);
+
+  const handleSendOffer = () => {
+    Alert.alert(
+      'Send Offer',
+      `Offer to do this job for ₦${parseFloat(agreedAmount).toLocaleString()}? The requester can accept, decline or counter.`,
+      [
+        {
+          text: 'Cancel',
+          style: 'cancel',
+        },
+        {
+          text: 'Send',
+          onPress: () => {
+            dispatch(submitOffer({
+              jobId,
+              amount: parseFloat(agreedAmount),
+              estimatedCompletion,
+              message: additionalNotes,
+            }))
+              .unwrap()
+              .then(() => {
+                setSnackbarMessage('Offer sent to the requester');
+                setSnackbarVisible(true);
+                setTimeout(() => {
+                  navigation.goBack();
+                }, 2000);
+              })
+              .catch((error) => {
+                setSnackbarMessage(error || 'Failed to send offer. Please try again.');
+                setSnackbarVisible(true);
+              });
+          },
+        },
+      ]
+    );
+  };
+
   const handleAccept = () => {
     if (!validateForm()) {
       setSnackbarMessage('Please fix the errors before proceeding');
       setSnackbarVisible(true);
       return;
     }
+
+    if (isCounterProposal) {
+      handleSendOffer();
+      return;
+    }
     
     Alert.alert(
       'Confirm Job Acceptance',
-      `Are you sure you want to accept this job for ₦${parseFloat(agreedAmount).toLocaleString()}? You will receive ₦${netAmount.toLocaleString()} after the 2.5% service fee.`,
+      `Are you sure you want to accept this job for ₦${parseFloat(agreedAmount).toLocaleString()}? You will receive ₦${netAmount.toLocaleString()} after service fees.`,
       [
         {
           text: 'Cancel',
@@ -134,7 +190,7 @@ const JobAcceptanceForm = ({ navigation, route }) => {
           <Card.Content>
             <Title style={styles.title}>Accept Job Request</Title>
             <Paragraph style={styles.subtitle}>
-              Review and confirm job details. A 2.5% service fee will be deducted from your earnings.
+              Review and confirm job details. Any service fee deducted from your earnings is shown below.
             </Paragraph>
           </Card.Content>
         </Card>
@@ -222,7 +278,7 @@ const JobAcceptanceForm = ({ navigation, route }) => {
                   <Text>₦{parseFloat(agreedAmount || 0).toLocaleString()}</Text>
                 </View>
                 <View style={styles.earningsRow}>
-                  <Text>Service Fee (2.5%):</Text>
+                  <Text>Service Fee{feeQuote?.chargedTo === 'payee' ? ` (${(feeQuote.rates.platformFee * 100).toFixed(1)}% + VAT)` : ''}:</Text>
                   <Text style={styles.feeText}>-₦{serviceCharge.toLocaleString()}</Text>
                 </View>
                 <Divider style={styles.earningsDivider} />
@@ -273,7 +329,7 @@ const JobAcceptanceForm = ({ navigation, route }) => {
               <Text style={styles.termsText}>
                 I agree to complete this job as described, by the estimated completion date, 
                 for the agreed amount. I understand that payment will be released after the 
-                client confirms job completion, and a 2.5% service fee will be deducted.
+                client confirms job completion, less the service fee shown above.
               </Text>
               
               <View style={styles.termsCheckContainer}>
@@ -303,9 +359,9 @@ const JobAcceptanceForm = ({ navigation, route }) => {
             style={styles.button}
             loading={loading}
             disabled={loading}
-            icon="check-circle"
+            icon={isCounterProposal ? 'send' : 'check-circle'}
           >
-            Accept Job and Proceed
+            {isCounterProposal ? 'Send Offer' : 'Accept Job and Proceed'}
           </Button>
           
           <Button 
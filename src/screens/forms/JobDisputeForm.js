@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { View, StyleSheet, ScrollView } from 'react-native';
+import { View, StyleSheet, ScrollView, Image } from 'react-native';
 import { TextInput, Button, Text, Title, HelperText, Card, Divider, RadioButton } from 'react-native-paper';
 import { useDispatch, useSelector } from 'react-redux';
 import { createDispute } from '../../store/slices/jobsSlice';
@@ -4,6 +4,7 @@ import { TextInput, Button, Text, Title, HelperText, Chip, Divider, Switch, Card
 import { useDispatch, useSelector } from 'react-redux';
 import { createJobRequest } from '../../store/slices/jobsSlice';
 import { setTemporaryCategory } from '../../store/slices/userSlice';
+import { fetchFeeQuote } from '../../store/slices/paymentSlice';
 import DateTimePicker from '../../components/DateTimePicker';
 import MaterialCommunityIcons from '@expo/vector-icons/MaterialCommunityIcons';
 
@@ -25,7 +26,7 @@ const JobRequestForm = ({ navigation }) => {
   const dispatch = useDispatch();
   const { loading, error } = useSelector(state => state.jobs);
   const { currentCategory } = useSelector(state => state.user);
-  const serviceChargeRate = 0.025; // 2.5% service charge
+  const { feeQuote } = useSelector(state => state.payment);
   
   // Handle category switching if user is a service provider
   const handleCategorySwitch = (value) => {
@@ -37,17 +38,29 @@ const JobRequestForm = ({ navigation }) => {
     }
   };
   
+  // Ask the server what the requester will pay for this amount
   useEffect(() => {
-    if (amount) {
-      const charge = parseFloat(amount) * serviceChargeRate;
-      const total = parseFloat(amount) + charge;
-      setServiceCharge(charge);
-      setTotalAmount(total);
+    const value = parseFloat(amount);
+    if (!value || value <= 0) {
+      return undefined;
+    }
+
+    const timer = setTimeout(() => {
+      dispatch(fetchFeeQuote({ amount: value }));
+    }, 400);
+
+    return () => clearTimeout(timer);
+  }, [amount, dispatch]);
+
+  useEffect(() => {
+    if (amount && feeQuote && feeQuote.subtotal === parseFloat(amount)) {
+      setServiceCharge(feeQuote.total - feeQuote.subtotal);
+      setTotalAmount(feeQuote.total);
     } else {
       setServiceCharge(0);
       setTotalAmount(0);
     }
-  }, [amount]);
+  }, [amount, feeQuote]);
 
   const validateForm = () => {
     const errors = {};
@@ -123,7 +136,7 @@ const JobRequestForm = ({ navigation }) => {
           <Card.Content>
             <Title style={styles.title}>Request a Service</Title>
             <Paragraph style={styles.subtitle}>
-              Describe the job you need done. A 2.5% service fee will be added.
+              Describe the job you need done. Service fees and VAT are shown below before you post.
             </Paragraph>
           </Card.Content>
         </Card>
@@ -204,7 +217,7 @@ const JobRequestForm = ({ navigation }) => {
                 <Text>₦{parseFloat(amount || 0).toLocaleString()}</Text>
               </View>
               <View style={styles.costRow}>
-                <Text>Service Fee (2.5%):</Text>
+                <Text>Service Fee & VAT:</Text>
                 <Text>₦{serviceCharge.toLocaleString()}</Text>
               </View>
               <Divider style={styles.costDivider} />
@@ -3,7 +3,6 @@ import { View, StyleSheet, ScrollView, KeyboardAvoidingView, Platform, Alert } f
 import { TextInput, Button, Text, Title, HelperText, Card, RadioButton, Divider, Paragraph, Snackbar, Chip, Switch } from 'react-native-paper';
 import { useDispatch, useSelector } from 'react-redux';
 import { satisfyJob } from '../../store/slices/jobsSlice';
-import { releasePayment } from '../../store/slices/paymentSlice';
 import MaterialCommunityIcons from '@expo/vector-icons/MaterialCommunityIcons';
 
 const JobSatisfactionForm = ({ navigation, route }) => {
@@ -82,31 +81,24 @@ const JobSatisfactionForm = ({ navigation, route }) => {
               submissionDate: new Date().toISOString(),
             };
             
+            // Unsatisfactory work goes to a dispute; satisfying the job releases the payment
+            if (!satisfactionData.isSatisfied) {
+              setSnackbarMessage('Proceeding to dispute resolution.');
+              setSnackbarVisible(true);
+              setTimeout(() => {
+                navigation.navigate('JobDisputeForm', { jobId, jobDetails, satisfactionData });
+              }, 2000);
+              return;
+            }
+
             dispatch(satisfyJob(satisfactionData))
               .unwrap()
               .then(() => {
-                if (isSatisfied === 'yes') {
-                  // If satisfied, release payment
-                  dispatch(releasePayment({ jobId }))
-                    .unwrap()
-                    .then(() => {
-                      setSnackbarMessage('Feedback submitted and payment released successfully!');
-                      setSnackbarVisible(true);
-                      setTimeout(() => {
-                        navigation.navigate('MainTabs', { screen: 'Jobs' });
-                      }, 2000);
-                    })
-                    .catch((error) => {
-                      setSnackbarMessage('Feedback submitted but payment release failed');
-                      setSnackbarVisible(true);
-                    });
-                } else {
-                  setSnackbarMessage('Feedback submitted. Proceeding to dispute resolution.');
-                  setSnackbarVisible(true);
-                  setTimeout(() => {
-                    navigation.navigate('JobDisputeForm', { jobId, jobDetails });
-                  }, 2000);
-                }
+                setSnackbarMessage('Feedback submitted and payment released successfully!');
+                setSnackbarVisible(true);
+                setTimeout(() => {
+                  navigation.navigate('MainTabs', { screen: 'Jobs' });
+                }, 2000);
               })
               .catch((error) => {
                 setSnackbarMessage('Failed to submit feedback. Please try again.');
@@ -21,13 +21,13 @@ import {
   RadioButton,
 } from 'react-native-paper';
 import { useDispatch, useSelector } from 'react-redux';
-import { savePaymentDetails } from '../../store/slices/paymentSlice';
+import { savePaymentDetails, fetchFeeQuote } from '../../store/slices/paymentSlice';
 import Icon from '@expo/vector-icons/MaterialCommunityIcons';
 
 const PaymentDetailsForm = ({ navigation, route }) => {
   const { jobId, amount, jobDetails } = route.params;
   const dispatch = useDispatch();
-  const { loading, error, serviceCharge } = useSelector(state => state.payment);
+  const { loading, error, feeQuote } = useSelector(state => state.payment);
   
   const [accountName, setAccountName] = useState('');
   const [accountNumber, setAccountNumber] = useState('');
@@ -53,9 +53,13 @@ const PaymentDetailsForm = ({ navigation, route }) => {
     { name: 'Ecobank Nigeria', code: '050' },
   ];
   
-  // Calculate amounts
-  const serviceFee = amount * (serviceCharge || 0.025); // 2.5% service charge
-  const totalAmount = amount + serviceFee;
+  // Amounts are priced by the server
+  useEffect(() => {
+    dispatch(fetchFeeQuote({ amount, category: jobDetails?.category }));
+  }, [amount, jobDetails?.category, dispatch]);
+  
+  const serviceFee = feeQuote ? feeQuote.total - feeQuote.subtotal : 0;
+  const totalAmount = feeQuote ? feeQuote.total : amount;
   
   useEffect(() => {
     if (error) {
@@ -192,7 +196,7 @@ const PaymentDetailsForm = ({ navigation, route }) => {
               <Text style={styles.summaryValue}>₦{amount?.toFixed(2) || '0.00'}</Text>
             </View>
             <View style={styles.summaryRow}>
-              <Text style={styles.summaryLabel}>Service Fee (2.5%):</Text>
+              <Text style={styles.summaryLabel}>Service Fee & VAT:</Text>
               <Text style={styles.summaryValue}>₦{serviceFee.toFixed(2)}</Text>
             </View>
             <Divider style={styles.divider} />
@@ -139,13 +139,9 @@ const ChatScreen = ({ navigation, route }) => {
         timestamp: new Date().toISOString(),
       };
       
+      // The server relays REST messages over the WebSocket, so one send is enough
       dispatch(sendMessage(fullMessageData));
       
-      // Send via WebSocket for real-time delivery
-      if (isConnected) {
-        websocketService.sendMessage(fullMessageData);
-      }
-      
       // Scroll to bottom after sending
       setTimeout(() => {
         flatListRef.current?.scrollToEnd({ animated: true });
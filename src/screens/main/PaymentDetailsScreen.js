@@ -1,22 +1,25 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { View, StyleSheet, ScrollView } from 'react-native';
 import { TextInput, Button, Text, Title, HelperText, Card, Divider } from 'react-native-paper';
 import { useDispatch, useSelector } from 'react-redux';
-import { savePaymentDetails } from '../../store/slices/paymentSlice';
+import { savePaymentDetails, fetchFeeQuote } from '../../store/slices/paymentSlice';
 
 const PaymentDetailsScreen = ({ navigation, route }) => {
   const { jobId, amount } = route.params;
   const dispatch = useDispatch();
-  const { loading, error } = useSelector(state => state.payment);
-  const { serviceCharge } = useSelector(state => state.payment);
+  const { loading, error, feeQuote } = useSelector(state => state.payment);
   
   const [accountName, setAccountName] = useState('');
   const [accountNumber, setAccountNumber] = useState('');
   const [bankName, setBankName] = useState('');
   
-  // Calculate the amount after service charge
-  const serviceFee = amount * serviceCharge;
-  const amountAfterCharge = amount - serviceFee;
+  // What the provider receives is priced by the server
+  useEffect(() => {
+    dispatch(fetchFeeQuote({ amount }));
+  }, [amount, dispatch]);
+  
+  const amountAfterCharge = feeQuote ? feeQuote.payeeAmount : amount;
+  const serviceFee = amount - amountAfterCharge;
   
   const handleSubmit = () => {
     const paymentDetails = {
@@ -59,7 +62,7 @@ const PaymentDetailsScreen = ({ navigation, route }) => {
           </View>
           
           <View style={styles.summaryRow}>
-            <Text>Service Fee (2.5%):</Text>
+            <Text>Service Fee:</Text>
             <Text>₦{serviceFee.toFixed(2)}</Text>
           </View>
           
@@ -132,7 +135,7 @@ const PaymentDetailsScreen = ({ navigation, route }) => {
             • Payment will be processed after the Service Requirer submits the Job Satisfaction Form
           </Text>
           <Text style={styles.infoText}>
-            • A service fee of 2.5% is deducted from the total job amount
+            • Any service fee shown above is deducted from the total job amount
           </Text>
           <Text style={styles.infoText}>
             • Please ensure your bank account details are correct to avoid payment delays
@@ -2,12 +2,12 @@ import React, { useState, useEffect } from 'react';
 import { View, StyleSheet, ScrollView, Image } from 'react-native';
 import { TextInput, Button, Text, Title, HelperText, Card, RadioButton, Divider } from 'react-native-paper';
 import { useDispatch, useSelector } from 'react-redux';
-import { processPayment } from '../../store/slices/paymentSlice';
+import { processPayment, fetchFeeQuote } from '../../store/slices/paymentSlice';
 
 const PaymentScreen = ({ navigation, route }) => {
   const { amount } = route.params;
   const dispatch = useDispatch();
-  const { loading, error, serviceCharge } = useSelector(state => state.payment);
+  const { loading, error, feeQuote } = useSelector(state => state.payment);
   
   const [paymentMethod, setPaymentMethod] = useState('card');
   const [cardNumber, setCardNumber] = useState('');
@@ -15,9 +15,13 @@ const PaymentScreen = ({ navigation, route }) => {
   const [cardCvv, setCardCvv] = useState('');
   const [cardName, setCardName] = useState('');
   
-  // Calculate service charge and total amount
-  const serviceFee = amount * serviceCharge;
-  const totalAmount = amount + serviceFee;
+  // Fees are priced by the server
+  useEffect(() => {
+    dispatch(fetchFeeQuote({ amount }));
+  }, [amount, dispatch]);
+  
+  const serviceFee = feeQuote ? feeQuote.total - feeQuote.subtotal : 0;
+  const totalAmount = feeQuote ? feeQuote.total : amount;
   
   const formatCardNumber = (text) => {
     // Format card number with spaces every 4 digits
@@ -40,6 +44,7 @@ const PaymentScreen = ({ navigation, route }) => {
       amount: totalAmount,
       jobAmount: amount,
       serviceFee,
+      feeQuote,
       paymentMethod,
       cardDetails: paymentMethod === 'card' ? {
         cardNumber: cardNumber.replace(/\s/g, ''),
@@ -74,7 +79,7 @@ const PaymentScreen = ({ navigation, route }) => {
           </View>
           
           <View style={styles.summaryRow}>
-            <Text>Service Fee (2.5%):</Text>
+            <Text>Service Fee & VAT:</Text>
             <Text>₦{serviceFee.toFixed(2)}</Text>
           </View>
           
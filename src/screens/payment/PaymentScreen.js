@@ -24,7 +24,7 @@ import {
 } from 'react-native-paper';
 import { useSelector, useDispatch } from 'react-redux';
 import { colors, spacing } from '../../theme';
-import { processPayment, createPaymentIntent } from '../../store/slices/paymentSlice';
+import { processPayment, createPaymentIntent, fetchFeeQuote } from '../../store/slices/paymentSlice';
 import { showNotification } from '../../store/slices/notificationSlice';
 
 const { width: screenWidth } = Dimensions.get('window');
@@ -32,7 +32,7 @@ const { width: screenWidth } = Dimensions.get('window');
 const PaymentScreen = ({ route, navigation }) => {
   const { bookingId, amount, serviceTitle, providerId } = route.params;
   const dispatch = useDispatch();
-  const { paymentMethods, loading, paymentIntent } = useSelector(state => state.payment);
+  const { paymentMethods, loading, paymentIntent, feeQuote } = useSelector(state => state.payment);
   const { user } = useSelector(state => state.auth);
   
   const [selectedPaymentMethod, setSelectedPaymentMethod] = useState('');
@@ -45,13 +45,13 @@ const PaymentScreen = ({ route, navigation }) => {
   const [showCardForm, setShowCardForm] = useState(false);
   const [promoCode, setPromoCode] = useState('');
   const [discount, setDiscount] = useState(0);
-  const [platformFee, setPlatformFee] = useState(0);
   
   useEffect(() => {
-    // Calculate fees
-    const fee = amount * 0.025; // 2.5% platform fee
-    setPlatformFee(fee);
-  }, [amount]);
+    // Fees are priced by the server for this booking
+    dispatch(fetchFeeQuote(bookingId ? { bookingId } : { amount }));
+  }, [bookingId, amount, dispatch]);
+  
+  const platformFee = feeQuote ? feeQuote.total - feeQuote.subtotal : 0;
   
   useEffect(() => {
     // Create payment intent when component mounts
@@ -192,7 +192,7 @@ const PaymentScreen = ({ route, navigation }) => {
         </View>
         
         <View style={styles.priceRow}>
-          <Text style={styles.priceLabel}>Platform Fee (2.5%):</Text>
+          <Text style={styles.priceLabel}>Platform Fee & VAT:</Text>
           <Text style={styles.priceValue}>₦{platformFee?.toLocaleString()}</Text>
         </View>
         
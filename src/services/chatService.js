@@ -2,326 +2,154 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Alert } from 'react-native';
 import httpClient from './httpClient';
 import { API_ENDPOINTS, buildUrl, STORAGE_KEYS } from '../config/api';
+import { chatUtils } from '../utils/chatUtils';
 
 class ChatService {
-  // Fetch all conversations for a user
-  async fetchConversations(userId) {
+  // Fetch the user's booking conversations, most recently active first
+  async fetchConversations({ page = 1, limit = 20 } = {}) {
+    const cacheKey = `conversations_page_${page}`;
+
     try {
-      const response = await httpClient.get(buildUrl(API_ENDPOINTS.CHAT.CONVERSATIONS, { userId }));
-      const data = response.data;
-      
+      const response = await httpClient.get(`${API_ENDPOINTS.CHAT.CONVERSATIONS}?page=${page}&limit=${limit}`);
+      const { conversations } = response.data.data;
+
       // Store locally for offline access
-      await AsyncStorage.setItem(`conversations_${userId}`, JSON.stringify(data));
-      
-      return data;
+      await AsyncStorage.setItem(cacheKey, JSON.stringify(conversations));
+
+      return conversations;
     } catch (error) {
-      // Return cached data or mock data
-      const cachedConversations = await AsyncStorage.getItem(`conversations_${userId}`);
-      if (cachedConversations) {
+      const cachedConversations = await AsyncStorage.getItem(cacheKey);
+      if (cachedConversations && error.isNetworkError) {
         return JSON.parse(cachedConversations);
       }
-      
-      // Mock conversations
-      return [
-        {
-          id: 'conv_1',
-          jobId: 'job_1',
-          participants: [
-            {
-              id: 'user_123',
-              name: 'John Doe',
-              avatar: null,
-              role: 'provider',
-            },
-            {
-              id: 'user_456',
-              name: 'Jane Smith',
-              avatar: null,
-              role: 'requirer',
-            },
-          ],
-          lastMessage: {
-            id: 'msg_3',
-            text: 'Great! I can start working on this tomorrow.',
-            senderId: 'user_123',
-            timestamp: '2024-01-15T14:30:00Z',
-            type: 'text',
-          },
-          unreadCount: 0,
-          createdAt: '2024-01-15T10:00:00Z',
-          updatedAt: '2024-01-15T14:30:00Z',
-          jobTitle: 'Website Development',
-          status: 'active',
-        },
-        {
-          id: 'conv_2',
-          jobId: 'job_2',
-          participants: [
-            {
-              id: 'user_123',
-              name: 'John Doe',
-              avatar: null,
-              role: 'provider',
-            },
-            {
-              id: 'user_789',
-              name: 'Mike Johnson',
-              avatar: null,
-              role: 'requirer',
-            },
-          ],
-          lastMessage: {
-            id: 'msg_6',
-            text: 'When can you deliver the final design?',
-            senderId: 'user_789',
-            timestamp: '2024-01-14T16:45:00Z',
-            type: 'text',
-          },
-          unreadCount: 2,
-          createdAt: '2024-01-14T09:00:00Z',
-          updatedAt: '2024-01-14T16:45:00Z',
-          jobTitle: 'Mobile App UI Design',
-          status: 'active',
-        },
-      ];
+
+      throw error;
     }
   }
 
-  // Fetch messages for a specific conversation
-  async fetchMessages(conversationId, page = 1, limit = 50) {
+  // Fetch a page of history; pass the previous page's nextCursor to go further back
+  async fetchMessages(conversationId, { cursor = null, limit = 50 } = {}) {
+    const url = buildUrl(API_ENDPOINTS.CHAT.MESSAGES, { id: conversationId });
+    const query = cursor ? `?limit=${limit}&cursor=${cursor}` : `?limit=${limit}`;
+
     try {
-      const response = await httpClient.get(buildUrl(API_ENDPOINTS.CHAT.MESSAGES, { conversationId }), {
-        params: { page, limit }
-      });
-      const data = response.data;
-      
-      // Store locally for offline access
-      await AsyncStorage.setItem(`messages_${conversationId}`, JSON.stringify(data));
-      
+      const response = await httpClient.get(`${url}${query}`);
+      const data = response.data.data;
+
+      // Only the latest page is cached for offline access
+      if (!cursor) {
+        await AsyncStorage.setItem(`messages_${conversationId}`, JSON.stringify(data));
+      }
+
       return data;
     } catch (error) {
-      // Return cached data or mock data
       const cachedMessages = await AsyncStorage.getItem(`messages_${conversationId}`);
-      if (cachedMessages) {
+      if (!cursor && cachedMessages && error.isNetworkError) {
         return JSON.parse(cachedMessages);
       }
-      
-      // Mock messages
-      return {
-        messages: [
-          {
-            id: 'msg_1',
-            conversationId: conversationId,
-            text: 'Hi! I\'m interested in your job posting for website development.',
-            senderId: 'user_123',
-            senderName: 'John Doe',
-            timestamp: '2024-01-15T10:00:00Z',
-            type: 'text',
-            status: 'delivered',
-            edited: false,
-          },
-          {
-            id: 'msg_2',
-            conversationId: conversationId,
-            text: 'Hello John! Thanks for your interest. Can you tell me about your experience with React?',
-            senderId: 'user_456',
-            senderName: 'Jane Smith',
-            timestamp: '2024-01-15T10:15:00Z',
-            type: 'text',
-            status: 'read',
-            edited: false,
-          },
-          {
-            id: 'msg_3',
-            conversationId: conversationId,
-            text: 'I have 3 years of experience with React and have built several e-commerce websites. I can show you my portfolio.',
-            senderId: 'user_123',
-            senderName: 'John Doe',
-            timestamp: '2024-01-15T10:30:00Z',
-            type: 'text',
-            status: 'read',
-            edited: false,
-          },
-          {
-            id: 'msg_4',
-            conversationId: conversationId,
-            text: 'That sounds perfect! What\'s your estimated timeline for completion?',
-            senderId: 'user_456',
-            senderName: 'Jane Smith',
-            timestamp: '2024-01-15T11:00:00Z',
-            type: 'text',
-            status: 'read',
-            edited: false,
-          },
-          {
-            id: 'msg_5',
-            conversationId: conversationId,
-            text: 'I can complete the project within 2 weeks. Would you like to discuss the requirements in detail?',
-            senderId: 'user_123',
-            senderName: 'John Doe',
-            timestamp: '2024-01-15T14:30:00Z',
-            type: 'text',
-            status: 'delivered',
-            edited: false,
-          },
-        ],
-        pagination: {
-          currentPage: page,
-          totalPages: 1,
-          totalMessages: 5,
-          hasMore: false,
-        },
-      };
+
+      throw error;
     }
   }
 
-  // Send a new message
+  // Send a new message; the server relays it to the other participant in real time
   async sendMessage(messageData) {
-    try {
-      const response = await httpClient.post(buildUrl(API_ENDPOINTS.CHAT.SEND_MESSAGE, { conversationId: messageData.conversationId }), messageData);
-      const data = response.data;
-      
-      // Update local storage
-      await this.updateLocalMessages(messageData.conversationId, data);
-      
-      return data;
-    } catch (error) {
-      // Mock implementation
-      const mockMessage = {
-        id: `msg_${Date.now()}`,
-        conversationId: messageData.conversationId,
-        text: messageData.text,
-        senderId: messageData.senderId,
-        senderName: messageData.senderName,
-        timestamp: new Date().toISOString(),
-        type: messageData.type || 'text',
-        status: 'sent',
-        edited: false,
-        attachments: messageData.attachments || [],
-      };
-      
-      // Update local storage
-      await this.updateLocalMessages(messageData.conversationId, mockMessage);
-      
-      return mockMessage;
-    }
+    const url = buildUrl(API_ENDPOINTS.CHAT.SEND_MESSAGE, { id: messageData.conversationId });
+    const response = await httpClient.post(url, {
+      content: messageData.content || messageData.text,
+      type: messageData.type || 'text',
+      location: messageData.location,
+      tempId: messageData.tempId,
+    });
+    const { message } = response.data.data;
+
+    // Update local storage
+    await this.updateLocalMessages(messageData.conversationId, message);
+
+    return message;
   }
 
-  // Create a new conversation
-  async createConversation(conversationData) {
-    try {
-      const response = await httpClient.post(API_ENDPOINTS.CHAT.CREATE_CONVERSATION, conversationData);
-      const data = response.data;
-      return data;
-    } catch (error) {
-      // Mock implementation
-      const mockConversation = {
-        id: `conv_${Date.now()}`,
-        jobId: conversationData.jobId,
-        participants: conversationData.participants,
-        lastMessage: null,
-        unreadCount: 0,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-        jobTitle: conversationData.jobTitle,
-        status: 'active',
-      };
-      
-      return mockConversation;
+  /**
+   * Open the conversation for a booking. Conversations belong to bookings, so
+   * without a booking id this looks for an existing one with the participant.
+   */
+  async createConversation({ bookingId, participantId, recipientId }) {
+    if (bookingId) {
+      const response = await httpClient.get(buildUrl(API_ENDPOINTS.CHAT.CONVERSATION, { id: bookingId }));
+      return response.data.data.conversation;
+    }
+
+    const otherId = participantId || recipientId;
+    const conversations = await this.fetchConversations({ limit: 100 });
+    const existing = conversations.find(conversation =>
+      conversation.participants.some(participant => participant && participant.id === otherId)
+    );
+
+    if (!existing) {
+      throw new Error('You can chat with this user once you have a booking together');
     }
+
+    return existing;
   }
 
-  // Mark messages as read
+  // Mark messages as read; all unread ones when no ids are given
   async markMessagesAsRead(conversationId, messageIds) {
-    try {
-      const response = await httpClient.put(buildUrl(API_ENDPOINTS.CHAT.MARK_READ, { conversationId }), { messageIds });
-      const data = response.data;
-      return data;
-    } catch (error) {
-      // Mock implementation
-      return {
-        conversationId,
-        markedAsRead: messageIds,
-        timestamp: new Date().toISOString(),
-      };
-    }
+    const response = await httpClient.put(buildUrl(API_ENDPOINTS.CHAT.MARK_READ, { id: conversationId }), { messageIds });
+    return response.data.data;
   }
 
-  // Delete a message
+  // Delete a message; it stays in the history as a deleted placeholder
   async deleteMessage(messageId) {
-    try {
-      const response = await httpClient.delete(buildUrl(API_ENDPOINTS.CHAT.DELETE_MESSAGE, { messageId }));
-      const data = response.data;
-      return data;
-    } catch (error) {
-      // Mock implementation
-      return {
-        messageId,
-        deleted: true,
-        deletedAt: new Date().toISOString(),
-      };
-    }
+    const response = await httpClient.delete(buildUrl(API_ENDPOINTS.CHAT.DELETE_MESSAGE, { id: messageId }));
+    return response.data.data.message;
   }
 
-  // Edit a message
+  // Edit the text of a message
   async editMessage(messageId, newText) {
-    try {
-      const response = await httpClient.put(buildUrl(API_ENDPOINTS.CHAT.EDIT_MESSAGE, { messageId }), { text: newText });
-      const data = response.data;
-      return data;
-    } catch (error) {
-      // Mock implementation
-      return {
-        id: messageId,
-        text: newText,
-        edited: true,
-        editedAt: new Date().toISOString(),
-      };
-    }
+    const response = await httpClient.put(buildUrl(API_ENDPOINTS.CHAT.EDIT_MESSAGE, { id: messageId }), { content: newText });
+    return response.data.data.message;
   }
 
-  // Upload file/image for chat
-  async uploadChatFile(fileData) {
-    try {
-      const formData = new FormData();
-      formData.append('file', {
-        uri: fileData.uri,
-        type: fileData.type,
-        name: fileData.fileName,
-      });
-
-      const response = await httpClient.upload(API_ENDPOINTS.CHAT.UPLOAD_FILE, formData);
-      const data = response.data;
-      return data;
-    } catch (error) {
-      // Mock implementation
-      return {
-        fileUrl: fileData.uri,
-        fileName: fileData.fileName,
-        fileType: fileData.type,
-        fileSize: fileData.size,
-        uploadedAt: new Date().toISOString(),
-      };
-    }
+  // Share a location: { latitude, longitude, address? }
+  async sendLocation(conversationId, location, { tempId } = {}) {
+    return this.sendMessage({ conversationId, type: 'location', location, tempId });
   }
 
-  // Get unread message count
-  async getUnreadCount(userId) {
-    try {
-      const response = await httpClient.get(buildUrl(API_ENDPOINTS.CHAT.UNREAD_COUNT, { userId }));
-      const data = response.data;
-      return data;
-    } catch (error) {
-      // Mock implementation
-      return {
-        totalUnread: 3,
-        conversationCounts: {
-          'conv_1': 0,
-          'conv_2': 2,
-          'conv_3': 1,
-        },
-      };
+  // Upload an image or file as a message; the server checks the same type and size limits
+  async sendAttachment(conversationId, fileData, { caption, tempId } = {}) {
+    const file = {
+      uri: fileData.uri,
+      type: fileData.type,
+      name: fileData.fileName || fileData.name,
+      size: fileData.size,
+    };
+
+    const validation = chatUtils.validateChatFile(file);
+    if (!validation.isValid) {
+      throw new Error(validation.error);
+    }
+
+    const fields = {};
+    if (caption) {
+      fields.caption = caption;
     }
+    if (tempId) {
+      fields.tempId = tempId;
+    }
+
+    const url = buildUrl(API_ENDPOINTS.CHAT.UPLOAD_MEDIA, { id: conversationId });
+    const response = await httpClient.upload(url, file, { fields });
+    const { message } = response.data.data;
+
+    await this.updateLocalMessages(conversationId, message);
+
+    return message;
+  }
+
+  // Get unread message counts: { totalUnread, conversationCounts }
+  async getUnreadCount() {
+    const response = await httpClient.get(API_ENDPOINTS.CHAT.UNREAD_COUNT);
+    return response.data.data;
   }
 
   // Helper methods
@@ -347,26 +175,15 @@ class ChatService {
     }
   }
 
-  // Search messages
+  // Search messages, optionally within one conversation
   async searchMessages(query, conversationId = null) {
-    try {
-      const endpoint = conversationId 
-        ? buildUrl(API_ENDPOINTS.CHAT.SEARCH_MESSAGES, { conversationId })
-        : API_ENDPOINTS.CHAT.SEARCH;
-        
-      const response = await httpClient.get(endpoint, {
-        params: { q: query }
-      });
-      const data = response.data;
-      return data;
-    } catch (error) {
-      // Mock implementation
-      return {
-        results: [],
-        totalResults: 0,
-        query: query,
-      };
+    const params = [`q=${encodeURIComponent(query)}`];
+    if (conversationId) {
+      params.push(`conversationId=${conversationId}`);
     }
+
+    const response = await httpClient.get(`${API_ENDPOINTS.CHAT.SEARCH}?${params.join('&')}`);
+    return response.data.data;
   }
 }
 
@@ -74,13 +74,14 @@ export const JobModel = {
   deadline: 'string', // ISO date string
   location: 'string',
   locationType: 'string', // 'remote' | 'onsite' | 'hybrid'
-  status: 'string', // 'pending' | 'accepted' | 'in_progress' | 'completed' | 'disputed' | 'cancelled'
+  status: 'string', // 'pending' | 'accepted' | 'in_progress' | 'completed' | 'satisfied' | 'disputed' | 'resolved' | 'cancelled'
   priority: 'string', // 'low' | 'medium' | 'high' | 'urgent'
   requesterId: 'string', // User who posted the job
   providerId: 'string|null', // User who accepted the job
   acceptedAt: 'string|null', // ISO date string
   startedAt: 'string|null', // ISO date string
   completedAt: 'string|null', // ISO date string
+  satisfiedAt: 'string|null', // ISO date string, set when the requester confirms satisfaction
   estimatedDuration: 'string', // e.g., '2 weeks', '3 days'
   attachments: 'array', // Array of file URLs
   requirements: 'array', // Array of requirement strings
@@ -105,6 +106,25 @@ export const JobApplicationModel = {
   updatedAt: 'string',
 };
 
+// Job Offer Model (bids and counter-offers; one thread per job and provider)
+export const JobOfferModel = {
+  id: 'string',
+  jobId: 'string',
+  applicationId: 'string',
+  providerId: 'string', // Provider the thread is with
+  authorId: 'string',
+  authorRole: 'string', // 'provider' | 'requester'
+  amount: 'number',
+  currency: 'string',
+  estimatedCompletion: 'string|null',
+  message: 'string|null',
+  status: 'string', // 'pending' | 'countered' | 'accepted' | 'rejected' | 'withdrawn'
+  counterToId: 'string|null', // Offer this one answers
+  respondedAt: 'string|null', // ISO date string
+  createdAt: 'string',
+  updatedAt: 'string',
+};
+
 // Payment Transaction Model
 export const PaymentTransactionModel = {
   id: 'string',
@@ -112,7 +132,7 @@ export const PaymentTransactionModel = {
   payerId: 'string', // Usually the job requester
   payeeId: 'string', // Usually the job provider
   amount: 'number',
-  serviceCharge: 'number', // 2.5% of amount
+  serviceCharge: 'number', // Fees from the server quote (GET /payments/quote)
   totalAmount: 'number', // amount + serviceCharge
   currency: 'string', // Default: 'NGN'
   status: 'string', // 'pending' | 'processing' | 'completed' | 'failed' | 'refunded'
@@ -152,11 +172,11 @@ export const MessageModel = {
   senderId: 'string',
   senderName: 'string',
   timestamp: 'string', // ISO date string
-  type: 'string', // 'text' | 'image' | 'file' | 'system'
+  type: 'string', // 'text' | 'image' | 'file' | 'location' | 'system'
   status: 'string', // 'sent' | 'delivered' | 'read'
   edited: 'boolean',
   editedAt: 'string|null', // ISO date string
-  attachments: 'array', // Array of attachment objects
+  attachments: 'array', // [{ id, kind, name, mimetype, size, url, thumbnailUrl, expiresAt }] or [{ id, kind: 'location', latitude, longitude, address }]
   replyTo: 'string|null', // Message ID being replied to
   deleted: 'boolean',
   deletedAt: 'string|null', // ISO date string
@@ -167,18 +187,39 @@ export const MessageModel = {
 // Dispute Model
 export const DisputeModel = {
   id: 'string',
-  jobId: 'string',
-  raisedBy: 'string', // User ID who raised the dispute
-  againstUser: 'string', // User ID the dispute is against
+  disputeNumber: 'string',
+  subjectType: 'string', // 'job' | 'booking'
+  jobId: 'string|null',
+  bookingId: 'string|null',
+  paymentId: 'string',
+  claimantId: 'string', // User ID who raised the dispute
+  respondentId: 'string', // User ID the dispute is against
+  disputeType: 'string', // 'quality' | 'incomplete' | 'payment' | 'no_show' | 'other'
   reason: 'string',
   description: 'string',
-  evidence: 'array', // Array of evidence file URLs
-  status: 'string', // 'open' | 'under_review' | 'resolved' | 'closed'
-  resolution: 'string|null',
-  resolvedBy: 'string|null', // Admin/mediator user ID
+  proposedResolution: 'string|null',
+  evidence: 'array', // [{ id, url, filename, mimetype, size, caption, uploadedBy, uploadedAt }]
+  status: 'string', // 'open' | 'under_review' | 'resolved'
+  priority: 'string', // 'normal' | 'high' | 'urgent'
+  respondBy: 'string', // ISO date string
+  respondedAt: 'string|null', // ISO date string
+  resolveBy: 'string', // ISO date string
+  decision: 'object|null', // { outcome, refundAmount, releasedAmount, currency, notes }
+  resolvedById: 'string|null', // Admin user ID
   resolvedAt: 'string|null', // ISO date string
-  refundAmount: 'number|null',
-  penaltyAmount: 'number|null',
+  createdAt: 'string',
+  updatedAt: 'string',
+};
+
+// Dispute Statement Model
+export const DisputeStatementModel = {
+  id: 'string',
+  disputeId: 'string',
+  authorId: 'string',
+  authorRole: 'string', // 'claimant' | 'respondent' | 'admin'
+  parentId: 'string|null', // Statement being replied to
+  message: 'string',
+  evidenceIds: 'array',
   createdAt: 'string',
   updatedAt: 'string',
 };
@@ -277,14 +318,13 @@ export const DatabaseConfig = {
     BVN_LENGTH: 11,
     MIN_JOB_AMOUNT: 1000, // NGN
     MAX_JOB_AMOUNT: 10000000, // NGN
-    SERVICE_CHARGE_RATE: 0.025, // 2.5%
   },
   
   // Status enums
   STATUS_ENUMS: {
-    JOB_STATUS: ['pending', 'accepted', 'in_progress', 'completed', 'disputed', 'cancelled'],
+    JOB_STATUS: ['pending', 'accepted', 'in_progress', 'completed', 'satisfied', 'disputed', 'resolved', 'cancelled'],
     PAYMENT_STATUS: ['pending', 'processing', 'completed', 'failed', 'refunded'],
-    DISPUTE_STATUS: ['open', 'under_review', 'resolved', 'closed'],
+    DISPUTE_STATUS: ['open', 'under_review', 'resolved'],
     VERIFICATION_STATUS: ['pending', 'verified', 'rejected'],
     MESSAGE_STATUS: ['sent', 'delivered', 'read'],
     USER_CATEGORY: ['provider', 'requirer'],
@@ -305,9 +345,6 @@ export const ValidationHelpers = {
     return numAmount >= DatabaseConfig.VALIDATION_RULES.MIN_JOB_AMOUNT && 
            numAmount <= DatabaseConfig.VALIDATION_RULES.MAX_JOB_AMOUNT;
   },
-  calculateServiceCharge: (amount) => {
-    return parseFloat(amount) * DatabaseConfig.VALIDATION_RULES.SERVICE_CHARGE_RATE;
-  },
   generateId: () => {
     return `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   },
@@ -325,10 +362,12 @@ export default {
   UserRatingModel,
   JobModel,
   JobApplicationModel,
+  JobOfferModel,
   PaymentTransactionModel,
   ConversationModel,
   MessageModel,
   DisputeModel,
+  DisputeStatementModel,
   NotificationModel,
   VerificationDocumentModel,
   CreditRatingModel,
@@ -1,340 +1,282 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { Alert } from 'react-native';
+import { formatDistanceToNow } from 'date-fns';
+import httpClient from './httpClient';
+import { API_ENDPOINTS, REQUEST_TIMEOUT, buildUrl } from '../config/api';
 
-// Mock API endpoints - replace with actual backend URLs
-const API_BASE_URL = 'https://your-backend-api.com/api';
+const JOBS_CACHE_KEY = 'jobs_cache';
+
+// Statuses for the buckets the jobs tab shows
+const ACTIVE_STATUSES = ['accepted', 'in_progress'];
 
 class JobsService {
   // Create a new job request
   async createJobRequest(jobData) {
-    try {
-      const response = await fetch(`${API_BASE_URL}/jobs/create`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${await this.getToken()}`,
-        },
-        body: JSON.stringify(jobData),
-      });
+    const { requiredSkills, skills, category, ...rest } = jobData;
 
-      if (!response.ok) {
-        throw new Error('Failed to create job request');
-      }
+    return this.createJob({
+      ...rest,
+      category: category || 'other',
+      skills: skills || requiredSkills || [],
+    });
+  }
 
-      const data = await response.json();
-      
-      // Store locally for offline access
-      await this.storeJobLocally(data.job);
-      
-      return data.job;
-    } catch (error) {
-      // Mock implementation for development
-      const mockJob = {
-        id: `job_${Date.now()}`,
-        ...jobData,
-        status: 'pending',
-        createdAt: new Date().toISOString(),
-        requesterName: 'Current User',
-      };
-      
-      await this.storeJobLocally(mockJob);
-      return mockJob;
-    }
+  // Accept a job: the owner accepts an application, a provider takes the job
+  async acceptJob({ jobId, applicationId, agreedAmount, estimatedCompletion, additionalNotes }) {
+    const url = buildUrl(API_ENDPOINTS.JOBS.ACCEPT, { id: jobId });
+    const response = await httpClient.post(url, {
+      applicationId,
+      agreedAmount,
+      estimatedCompletion,
+      additionalNotes,
+    });
+
+    return response.data.data.job;
   }
 
-  // Accept a job offer
-  async acceptJob(acceptanceData) {
-    try {
-      const response = await fetch(`${API_BASE_URL}/jobs/${acceptanceData.jobId}/accept`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${await this.getToken()}`,
-        },
-        body: JSON.stringify(acceptanceData),
-      });
+  // Mark job as complete with the provider's completion details
+  async completeJob(completionData) {
+    const url = buildUrl(API_ENDPOINTS.JOBS.COMPLETE, { id: completionData.jobId });
+    const response = await httpClient.post(url, {
+      notes: completionData.completionNotes,
+      deliverables: completionData.deliverables || [],
+    });
 
-      if (!response.ok) {
-        throw new Error('Failed to accept job');
-      }
+    return response.data.data.job;
+  }
 
-      const data = await response.json();
-      await this.updateJobLocally(data.job);
-      
-      return data.job;
-    } catch (error) {
-      // Mock implementation
-      const mockAcceptedJob = {
-        id: acceptanceData.jobId,
-        status: 'accepted',
-        acceptedAt: new Date().toISOString(),
-        agreedAmount: acceptanceData.agreedAmount,
-        estimatedCompletion: acceptanceData.estimatedCompletion,
-        additionalNotes: acceptanceData.additionalNotes,
-        providerId: 'current_user_id',
-        providerName: 'Current User',
-      };
-      
-      await this.updateJobLocally(mockAcceptedJob);
-      return mockAcceptedJob;
-    }
+  // Confirm satisfaction with the work; the server releases the escrowed payment
+  async satisfyJob(satisfactionData) {
+    const url = buildUrl(API_ENDPOINTS.JOBS.SATISFY, { id: satisfactionData.jobId });
+    const response = await httpClient.post(url, {
+      rating: satisfactionData.rating,
+      review: satisfactionData.feedback,
+      categories: satisfactionData.qualityAspects,
+    });
+
+    return response.data.data.job;
   }
 
-  // Mark job as complete
-  async completeJob(completionData) {
-    try {
-      const response = await fetch(`${API_BASE_URL}/jobs/${completionData.jobId}/complete`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${await this.getToken()}`,
-        },
-        body: JSON.stringify(completionData),
-      });
+  // Offer history for a job (all bids for the owner, own thread for a provider)
+  async fetchJobOffers(jobId) {
+    const url = buildUrl(API_ENDPOINTS.JOBS.OFFERS, { id: jobId });
+    const response = await httpClient.get(url);
+    return response.data.data.offers;
+  }
 
-      if (!response.ok) {
-        throw new Error('Failed to mark job as complete');
-      }
+  // Bid on a job with an amount, ETA and message
+  async submitOffer({ jobId, amount, estimatedCompletion, message }) {
+    const url = buildUrl(API_ENDPOINTS.JOBS.OFFERS, { id: jobId });
+    const response = await httpClient.post(url, { amount, estimatedCompletion, message });
+    return response.data.data.offer;
+  }
 
-      const data = await response.json();
-      await this.updateJobLocally(data.job);
-      
-      return data.job;
-    } catch (error) {
-      // Mock implementation
-      const mockCompletedJob = {
-        id: completionData.jobId,
-        status: 'completed',
-        completedAt: new Date().toISOString(),
-        completionNotes: completionData.completionNotes,
-        completionImages: completionData.completionImages,
-        timeSpent: completionData.timeSpent,
-        workQuality: completionData.workQuality,
-        challengesFaced: completionData.challengesFaced,
-        requestPayment: completionData.requestPayment,
-      };
-      
-      await this.updateJobLocally(mockCompletedJob);
-      return mockCompletedJob;
-    }
+  // Answer the other side's offer with a new amount
+  async counterOffer({ jobId, offerId, amount, estimatedCompletion, message }) {
+    const url = buildUrl(API_ENDPOINTS.JOBS.OFFER_COUNTER, { id: jobId, offerId });
+    const response = await httpClient.post(url, { amount, estimatedCompletion, message });
+    return response.data.data.offer;
   }
 
-  // Submit job satisfaction
-  async satisfyJob(satisfactionData) {
-    try {
-      const response = await fetch(`${API_BASE_URL}/jobs/${satisfactionData.jobId}/satisfy`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${await this.getToken()}`,
-        },
-        body: JSON.stringify(satisfactionData),
-      });
+  // Accept the other side's offer; the job is assigned at its amount
+  async acceptOffer({ jobId, offerId }) {
+    const url = buildUrl(API_ENDPOINTS.JOBS.OFFER_ACCEPT, { id: jobId, offerId });
+    const response = await httpClient.post(url);
+    return response.data.data;
+  }
 
-      if (!response.ok) {
-        throw new Error('Failed to submit satisfaction');
-      }
+  async rejectOffer({ jobId, offerId }) {
+    const url = buildUrl(API_ENDPOINTS.JOBS.OFFER_REJECT, { id: jobId, offerId });
+    const response = await httpClient.post(url);
+    return response.data.data.offer;
+  }
 
-      const data = await response.json();
-      await this.updateJobLocally(data.job);
-      
-      return data.job;
-    } catch (error) {
-      // Mock implementation
-      const mockSatisfiedJob = {
-        id: satisfactionData.jobId,
-        status: 'satisfied',
-        satisfiedAt: new Date().toISOString(),
-        rating: satisfactionData.rating,
-        feedback: satisfactionData.feedback,
-        isSatisfied: satisfactionData.isSatisfied,
-        qualityAspects: satisfactionData.qualityAspects,
-        wouldRecommend: satisfactionData.wouldRecommend,
-        wouldHireAgain: satisfactionData.wouldHireAgain,
-      };
-      
-      await this.updateJobLocally(mockSatisfiedJob);
-      return mockSatisfiedJob;
-    }
+  // Start work on an accepted job
+  async startJob(jobId) {
+    const url = buildUrl(API_ENDPOINTS.JOBS.START, { id: jobId });
+    const response = await httpClient.post(url);
+    return response.data.data.job;
+  }
+
+  // Status changes the current user can make on a job
+  async fetchJobTransitions(jobId) {
+    const url = buildUrl(API_ENDPOINTS.JOBS.TRANSITIONS, { id: jobId });
+    const response = await httpClient.get(url);
+    return response.data.data.transitions;
   }
 
-  // Create a dispute
+  // Open a dispute on a job, then attach any evidence images
   async createDispute(disputeData) {
     try {
-      const response = await fetch(`${API_BASE_URL}/disputes/create`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${await this.getToken()}`,
-        },
-        body: JSON.stringify(disputeData),
+      const url = buildUrl(API_ENDPOINTS.JOBS.DISPUTE, { id: disputeData.jobId });
+      const response = await httpClient.post(url, {
+        disputeType: disputeData.disputeType,
+        reason: disputeData.disputeReason || disputeData.reason,
+        description: disputeData.disputeDescription || disputeData.description,
+        proposedResolution: disputeData.proposedResolution,
       });
+      const dispute = response.data.data.dispute;
 
-      if (!response.ok) {
-        throw new Error('Failed to create dispute');
+      const images = disputeData.evidenceImages || [];
+      if (images.length > 0) {
+        try {
+          dispute.evidence = await this.uploadDisputeEvidence(dispute.id, images);
+        } catch (error) {
+          // The dispute stands without them; the evidence endpoint accepts them later
+          console.error('Failed to upload dispute evidence:', error);
+        }
       }
 
-      const data = await response.json();
-      await this.storeDisputeLocally(data.dispute);
-      
-      return data.dispute;
+      await this.storeDisputeLocally(dispute);
+      return dispute;
     } catch (error) {
-      // Mock implementation
-      const mockDispute = {
+      // The server turned the dispute down (e.g. the job is not funded)
+      if (error.isClientError) {
+        throw error;
+      }
+
+      // Disputes are kept on the device until the server accepts them
+      const localDispute = {
         id: `dispute_${Date.now()}`,
         jobId: disputeData.jobId,
-        reason: disputeData.reason,
-        description: disputeData.description,
-        evidence: disputeData.evidence,
+        reason: disputeData.disputeReason || disputeData.reason,
+        description: disputeData.disputeDescription || disputeData.description,
+        evidence: disputeData.evidenceImages || disputeData.evidence,
         initiatedBy: disputeData.initiatedBy,
         status: 'pending',
         createdAt: new Date().toISOString(),
       };
-      
-      await this.storeDisputeLocally(mockDispute);
-      return mockDispute;
+
+      await this.storeDisputeLocally(localDispute);
+      return localDispute;
     }
   }
 
-  // Fetch all jobs
+  // Upload evidence images (local URIs) to a dispute
+  async uploadDisputeEvidence(disputeId, imageUris) {
+    const formData = new FormData();
+    imageUris.forEach((uri, index) => {
+      formData.append('files', {
+        uri,
+        type: 'image/jpeg',
+        name: `evidence_${index + 1}.jpg`,
+      });
+    });
+
+    const url = buildUrl(API_ENDPOINTS.DISPUTES.EVIDENCE, { id: disputeId });
+    const response = await httpClient.request(url, {
+      method: 'POST',
+      body: formData,
+      headers: { 'Content-Type': 'multipart/form-data' },
+      timeout: REQUEST_TIMEOUT.UPLOAD,
+    });
+    return response.data.data.evidence;
+  }
+
+  // A dispute with its evidence and statement thread
+  async fetchDispute(disputeId) {
+    const url = buildUrl(API_ENDPOINTS.DISPUTES.DETAILS, { id: disputeId });
+    const response = await httpClient.get(url);
+    return response.data.data.dispute;
+  }
+
+  // Add a statement to a dispute, optionally replying to another one
+  async addDisputeStatement(disputeId, { message, parentId = null }) {
+    const url = buildUrl(API_ENDPOINTS.DISPUTES.STATEMENTS, { id: disputeId });
+    const response = await httpClient.post(url, { message, parentId });
+    return response.data.data.statement;
+  }
+
+  // Fetch the marketplace feed and the user's own jobs, grouped for the jobs tab
   async fetchJobs() {
     try {
-      const response = await fetch(`${API_BASE_URL}/jobs`, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${await this.getToken()}`,
-        },
-      });
+      const [feed, created, assigned] = await Promise.all([
+        httpClient.get(`${API_ENDPOINTS.JOBS.LIST}?limit=50`),
+        httpClient.get(`${API_ENDPOINTS.JOBS.MY_JOBS}?type=created&limit=100`),
+        httpClient.get(`${API_ENDPOINTS.JOBS.MY_JOBS}?type=assigned&limit=100`),
+      ]);
+
+      const openJobs = feed.data.data.jobs;
+      const ownJobs = [...created.data.data.jobs, ...assigned.data.data.jobs];
+
+      const data = {
+        jobs: openJobs,
+        jobRequests: created.data.data.jobs.filter(job => job.status === 'pending'),
+        jobOffers: openJobs,
+        activeJobs: ownJobs.filter(job => ACTIVE_STATUSES.includes(job.status)),
+        completedJobs: ownJobs.filter(job => ['completed', 'satisfied', 'resolved'].includes(job.status)),
+        disputes: ownJobs.filter(job => job.status === 'disputed'),
+      };
 
-      if (!response.ok) {
-        throw new Error('Failed to fetch jobs');
-      }
+      // Keep the last response for offline viewing
+      await AsyncStorage.setItem(JOBS_CACHE_KEY, JSON.stringify(data));
 
-      const data = await response.json();
-      
-      // Store locally for offline access
-      await AsyncStorage.setItem('jobs_cache', JSON.stringify(data));
-      
       return data;
     } catch (error) {
-      // Return cached data or mock data
-      const cachedJobs = await AsyncStorage.getItem('jobs_cache');
-      if (cachedJobs) {
+      const cachedJobs = await AsyncStorage.getItem(JOBS_CACHE_KEY);
+      if (cachedJobs && error.isNetworkError) {
         return JSON.parse(cachedJobs);
       }
-      
-      // Mock data
-      return {
-        jobs: [],
-        jobRequests: [],
-        jobOffers: [],
-        activeJobs: [],
-        completedJobs: [],
-        disputes: [],
-      };
+
+      throw error;
     }
   }
 
   // Fetch a specific job by ID
   async fetchJobById(jobId) {
-    try {
-      const response = await fetch(`${API_BASE_URL}/jobs/${jobId}`, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${await this.getToken()}`,
-        },
-      });
+    const url = buildUrl(API_ENDPOINTS.JOBS.DETAILS, { id: jobId });
+    const response = await httpClient.get(url);
+    return response.data.data.job;
+  }
 
-      if (!response.ok) {
-        throw new Error('Failed to fetch job details');
-      }
+  // Fetch reviews a user has received, shaped for the profile reviews card
+  async fetchUserReviews(userId, { page = 1, limit = 10, sort = 'newest' } = {}) {
+    const url = buildUrl(API_ENDPOINTS.REVIEWS.USER, { id: userId });
+    const response = await httpClient.get(`${url}?page=${page}&limit=${limit}&sort=${sort}`);
+
+    return response.data.data.reviews.map((review) => ({
+      ...review,
+      comment: review.review,
+      reviewer: review.reviewer && {
+        ...review.reviewer,
+        name: `${review.reviewer.firstName} ${review.reviewer.lastName}`,
+        avatar: review.reviewer.profilePicture,
+      },
+      timeAgo: formatDistanceToNow(new Date(review.createdAt), { addSuffix: true }),
+    }));
+  }
 
-      const data = await response.json();
-      return data.job;
-    } catch (error) {
-      // Try to find job in local storage
-      const existingJobs = await AsyncStorage.getItem('local_jobs');
-      if (existingJobs) {
-        const jobs = JSON.parse(existingJobs);
-        const job = jobs.find(j => j.id === jobId);
-        if (job) {
-          return job;
-        }
-      }
-      
-      // Mock job data for development
-      return {
-        id: jobId,
-        title: 'Sample Job',
-        description: 'This is a sample job for development purposes.',
-        category: 'General',
-        budget: 100,
-        status: 'pending',
-        createdAt: new Date().toISOString(),
-        requesterName: 'Sample User',
-        serviceProviderId: null,
-        serviceRequirerId: 'user_123',
-      };
-    }
+  // Review a completed booking
+  async createReview({ bookingId, rating, review }) {
+    const response = await httpClient.post(API_ENDPOINTS.REVIEWS.CREATE, { bookingId, rating, review });
+    return response.data.data.review;
   }
 
-  // Fetch user reviews
-  async fetchUserReviews(userId) {
-    try {
-      const response = await fetch(`${API_BASE_URL}/users/${userId}/reviews`, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${await this.getToken()}`,
-        },
-      });
+  // Provider's public reply to a review they received
+  async replyToReview(reviewId, reply) {
+    const url = buildUrl(API_ENDPOINTS.REVIEWS.REPLY, { id: reviewId });
+    const response = await httpClient.post(url, { reply });
+    return response.data.data.review;
+  }
 
-      if (!response.ok) {
-        throw new Error('Failed to fetch user reviews');
-      }
+  // Mark or unmark a review as helpful
+  async setReviewHelpful(reviewId, helpful = true) {
+    const url = buildUrl(API_ENDPOINTS.REVIEWS.HELPFUL, { id: reviewId });
+    const response = helpful ? await httpClient.post(url) : await httpClient.delete(url);
+    return response.data.data.helpfulCount;
+  }
 
-      const data = await response.json();
-      return data.reviews;
-    } catch (error) {
-      console.error('Error fetching user reviews:', error);
-      
-      // Return mock reviews as fallback
-      return [
-        {
-          id: '1',
-          rating: 5,
-          comment: 'Excellent work quality and timely delivery!',
-          reviewerName: 'John Doe',
-          jobTitle: 'Website Development',
-          date: new Date().toISOString()
-        },
-        {
-          id: '2',
-          rating: 4,
-          comment: 'Good communication and professional service.',
-          reviewerName: 'Jane Smith',
-          jobTitle: 'Mobile App Design',
-          date: new Date(Date.now() - 86400000).toISOString()
-        }
-      ];
-    }
+  // Report a review for moderation
+  async reportReview(reviewId, { reason, details }) {
+    const url = buildUrl(API_ENDPOINTS.REVIEWS.REPORT, { id: reviewId });
+    const response = await httpClient.post(url, { reason, details });
+    return response.data.data.reportId;
   }
 
   // Fetch user statistics
   async fetchUserStats(userId) {
     try {
-      const response = await fetch(`${API_BASE_URL}/users/${userId}/stats`, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${await this.getToken()}`,
-        },
-      });
-
-      if (!response.ok) {
-        throw new Error('Failed to fetch user stats');
-      }
-
-      const data = await response.json();
-      return data.stats;
+      const response = await httpClient.get(`/users/${userId}/stats`);
+      return response.data.data.stats;
     } catch (error) {
       console.error('Error fetching user stats:', error);
       
@@ -351,44 +293,6 @@ class JobsService {
     }
   }
 
-  // Helper methods
-  async getToken() {
-    try {
-      return await AsyncStorage.getItem('authToken');
-    } catch (error) {
-      return null;
-    }
-  }
-
-  async storeJobLocally(job) {
-    try {
-      const existingJobs = await AsyncStorage.getItem('local_jobs');
-      const jobs = existingJobs ? JSON.parse(existingJobs) : [];
-      jobs.push(job);
-      await AsyncStorage.setItem('local_jobs', JSON.stringify(jobs));
-    } catch (error) {
-      console.error('Failed to store job locally:', error);
-    }
-  }
-
-  async updateJobLocally(updatedJob) {
-    try {
-      const existingJobs = await AsyncStorage.getItem('local_jobs');
-      const jobs = existingJobs ? JSON.parse(existingJobs) : [];
-      const index = jobs.findIndex(job => job.id === updatedJob.id);
-      
-      if (index !== -1) {
-        jobs[index] = { ...jobs[index], ...updatedJob };
-      } else {
-        jobs.push(updatedJob);
-      }
-      
-      await AsyncStorage.setItem('local_jobs', JSON.stringify(jobs));
-    } catch (error) {
-      console.error('Failed to update job locally:', error);
-    }
-  }
-
   async storeDisputeLocally(dispute) {
     try {
       const existingDisputes = await AsyncStorage.getItem('local_disputes');
@@ -402,280 +306,63 @@ class JobsService {
 
   // Mark job as complete
   async markJobComplete(jobId) {
-    try {
-      const token = await this.getToken();
-      const response = await httpClient.put(
-        API_ENDPOINTS.JOBS.COMPLETE.replace(':id', jobId),
-        { status: 'completed' },
-        {
-          headers: {
-            Authorization: `Bearer ${token}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-      
-      const completedJob = response.data;
-      await this.updateJobLocally(completedJob);
-      return completedJob;
-    } catch (error) {
-      console.error('Error marking job as complete:', error);
-      
-      // Mock job completion for development
-      const mockCompletedJob = {
-        id: jobId,
-        status: 'completed',
-        completedAt: new Date().toISOString(),
-        paymentReleased: true
-      };
-      
-      await this.updateJobLocally(mockCompletedJob);
-       return mockCompletedJob;
-     }
-   }
-
-   // Cancel job
-   async cancelJob(jobId) {
-     try {
-       const token = await this.getToken();
-       const response = await httpClient.delete(
-         API_ENDPOINTS.JOBS.CANCEL.replace(':id', jobId),
-         {
-           headers: {
-             Authorization: `Bearer ${token}`,
-             'Content-Type': 'application/json'
-           }
-         }
-       );
-       
-       const cancelledJob = response.data;
-       // Remove from local storage
-       const existingJobs = await AsyncStorage.getItem('local_jobs');
-       if (existingJobs) {
-         const jobs = JSON.parse(existingJobs);
-         const filteredJobs = jobs.filter(job => job.id !== jobId);
-         await AsyncStorage.setItem('local_jobs', JSON.stringify(filteredJobs));
-       }
-       
-       return cancelledJob;
-     } catch (error) {
-       console.error('Error cancelling job:', error);
-       
-       // Mock job cancellation for development
-       const mockCancelledJob = {
-         id: jobId,
-         status: 'cancelled',
-         cancelledAt: new Date().toISOString()
-       };
-       
-       return mockCancelledJob;
-      }
-    }
+    return this.completeJob({ jobId });
+  }
 
-    // Fetch user jobs
-    async fetchUserJobs(userId) {
-      try {
-        const token = await this.getToken();
-        const response = await httpClient.get(
-          API_ENDPOINTS.JOBS.USER_JOBS.replace(':userId', userId),
-          {
-            headers: {
-              Authorization: `Bearer ${token}`,
-              'Content-Type': 'application/json'
-            }
-          }
-        );
-        
-        const userJobs = response.data;
-        // Store jobs locally
-        await AsyncStorage.setItem('local_jobs', JSON.stringify(userJobs));
-        return userJobs;
-      } catch (error) {
-        console.error('Error fetching user jobs:', error);
-        
-        // Try to get jobs from local storage
-        try {
-          const localJobs = await AsyncStorage.getItem('local_jobs');
-          if (localJobs) {
-            return JSON.parse(localJobs);
-          }
-        } catch (localError) {
-          console.error('Error reading local jobs:', localError);
-        }
-        
-        // Return mock jobs for development
-        return [
-          {
-            id: 'job_1',
-            title: 'Sample Job 1',
-            description: 'This is a sample job for development',
-            status: 'active',
-            amount: 50,
-            createdAt: new Date().toISOString()
-          },
-          {
-            id: 'job_2',
-            title: 'Sample Job 2',
-            description: 'Another sample job for development',
-            status: 'completed',
-            amount: 75,
-            createdAt: new Date().toISOString()
-          }
-        ];
-       }
-     }
-
-     // Favorite/unfavorite job
-     async favoriteJob(jobId, isFavorite) {
-       try {
-         const token = await this.getToken();
-         const response = await httpClient.post(
-           API_ENDPOINTS.JOBS.FAVORITE.replace(':id', jobId),
-           { isFavorite },
-           {
-             headers: {
-               Authorization: `Bearer ${token}`,
-               'Content-Type': 'application/json'
-             }
-           }
-         );
-         
-         return { jobId, isFavorite };
-       } catch (error) {
-         console.error('Error updating favorite status:', error);
-         
-         // Mock favorite update for development
-          return { jobId, isFavorite };
-        }
-      }
+  // Cancel job
+  async cancelJob(jobId, reason) {
+    const url = buildUrl(API_ENDPOINTS.JOBS.CANCEL, { id: jobId });
+    const response = await httpClient.post(url, { reason });
+    return response.data.data.job;
+  }
 
-      // Apply for job
-      async applyForJob(jobId, userId) {
-        try {
-          const token = await this.getToken();
-          const response = await httpClient.post(
-            API_ENDPOINTS.JOBS.APPLY.replace(':id', jobId),
-            { userId },
-            {
-              headers: {
-                Authorization: `Bearer ${token}`,
-                'Content-Type': 'application/json'
-              }
-            }
-          );
-          
-          return response.data;
-        } catch (error) {
-          console.error('Error applying for job:', error);
-          
-          // Mock job application for development
-          return {
-            jobId,
-            userId,
-            applicationId: `APP_${Date.now()}`,
-            status: 'pending',
-            appliedAt: new Date().toISOString()
-          };
-         }
-       }
-
-       // Fetch job details
-       async fetchJobDetails(jobId) {
-         try {
-           const token = await this.getToken();
-           const response = await httpClient.get(
-             API_ENDPOINTS.JOBS.DETAILS.replace(':id', jobId),
-             {
-               headers: {
-                 Authorization: `Bearer ${token}`,
-                 'Content-Type': 'application/json'
-               }
-             }
-           );
-           
-           const jobDetails = response.data;
-           await this.updateJobLocally(jobDetails);
-           return jobDetails;
-         } catch (error) {
-           console.error('Error fetching job details:', error);
-           
-           // Try to get job from local storage first
-           try {
-             const localJobs = await AsyncStorage.getItem('local_jobs');
-             if (localJobs) {
-               const jobs = JSON.parse(localJobs);
-               const job = jobs.find(j => j.id === jobId);
-               if (job) {
-                 return job;
-               }
-             }
-           } catch (localError) {
-             console.error('Error reading local jobs:', localError);
-           }
-           
-           // Return mock job details for development
-           return {
-             id: jobId,
-             title: 'Sample Job Details',
-             description: 'This is a detailed description of the job for development purposes.',
-             category: 'Technology',
-             location: 'Remote',
-             budget: 100,
-             duration: '1-2 weeks',
-             skillsRequired: ['JavaScript', 'React Native'],
-             postedBy: {
-               id: 'user_123',
-               name: 'John Doe',
-               rating: 4.5,
-               completedJobs: 25
-             },
-             status: 'open',
-             applicants: 5,
-             createdAt: new Date().toISOString(),
-             deadline: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString()
-           };
-         }
-       }
-
-       // Create job
-       async createJob(jobData) {
-         try {
-           const token = await this.getToken();
-           const response = await httpClient.post(
-             API_ENDPOINTS.JOBS.CREATE,
-             jobData,
-             {
-               headers: {
-                 Authorization: `Bearer ${token}`,
-                 'Content-Type': 'application/json'
-               }
-             }
-           );
-           
-           const newJob = response.data;
-           await this.storeJobLocally(newJob);
-           return newJob;
-         } catch (error) {
-           console.error('Error creating job:', error);
-           
-           // Return mock job for development
-           const mockJob = {
-             id: `job_${Date.now()}`,
-             ...jobData,
-             status: 'open',
-             applicants: 0,
-             createdAt: new Date().toISOString(),
-             postedBy: {
-               id: 'user_123',
-               name: 'Current User',
-               rating: 4.5
-             }
-           };
-           
-           await this.storeJobLocally(mockJob);
-           return mockJob;
-         }
-       }
-     }
-
-export default new JobsService();
\ No newline at end of file
+  // Fetch jobs the current user posted or was assigned
+  async fetchUserJobs() {
+    const [created, assigned] = await Promise.all([
+      httpClient.get(`${API_ENDPOINTS.JOBS.MY_JOBS}?type=created&limit=100`),
+      httpClient.get(`${API_ENDPOINTS.JOBS.MY_JOBS}?type=assigned&limit=100`),
+    ]);
+
+    return [...created.data.data.jobs, ...assigned.data.data.jobs]
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  // Favorite/unfavorite job
+  async favoriteJob(jobId, isFavorite) {
+    // Favorites are not synced with the server yet
+    return { jobId, isFavorite };
+  }
+
+  // Apply for job
+  async applyForJob(jobId, applicationData = {}) {
+    const url = buildUrl(API_ENDPOINTS.JOBS.APPLY, { id: jobId });
+    const { coverLetter, proposedAmount, estimatedCompletion, portfolio } = applicationData;
+    const response = await httpClient.post(url, {
+      coverLetter,
+      proposedAmount,
+      estimatedCompletion,
+      portfolio,
+    });
+
+    const { application } = response.data.data;
+    return {
+      jobId,
+      applicationId: application.id,
+      status: application.status,
+      appliedAt: application.appliedAt,
+    };
+  }
+
+  // Fetch job details
+  async fetchJobDetails(jobId) {
+    return this.fetchJobById(jobId);
+  }
+
+  // Create job
+  async createJob(jobData) {
+    const response = await httpClient.post(API_ENDPOINTS.JOBS.CREATE, jobData);
+    return response.data.data.job;
+  }
+}
+
+export default new JobsService();
@@ -4,279 +4,109 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Alert } from 'react-native';
 
 class NotificationService {
-  // Get all notifications for a user
-  async getNotifications(userId, page = 1, limit = 20) {
-    try {
-      const response = await httpClient.get(buildUrl(API_ENDPOINTS.NOTIFICATIONS.LIST, { userId }), {
-        params: { page, limit }
-      });
-      return response.data;
-    } catch (error) {
-      // Mock notifications for development
-      return {
-        notifications: [
-          {
-            id: 'notif_1',
-            userId,
-            type: 'job_application',
-            title: 'New Job Application',
-            message: 'John Doe applied for your Website Development job',
-            data: {
-              jobId: 'job_123',
-              applicantId: 'user_456',
-              applicantName: 'John Doe'
-            },
-            read: false,
-            createdAt: new Date(Date.now() - 3600000).toISOString(),
-            priority: 'high'
-          },
-          {
-            id: 'notif_2',
-            userId,
-            type: 'payment_received',
-            title: 'Payment Received',
-            message: 'You received ₦45,000 for Logo Design project',
-            data: {
-              paymentId: 'pay_789',
-              amount: 45000,
-              jobId: 'job_456'
-            },
-            read: false,
-            createdAt: new Date(Date.now() - 7200000).toISOString(),
-            priority: 'medium'
-          },
-          {
-            id: 'notif_3',
-            userId,
-            type: 'job_completed',
-            title: 'Job Completed',
-            message: 'Mobile App Development project has been marked as completed',
-            data: {
-              jobId: 'job_789',
-              completedBy: 'user_123'
-            },
-            read: true,
-            createdAt: new Date(Date.now() - 86400000).toISOString(),
-            priority: 'medium'
-          },
-          {
-            id: 'notif_4',
-            userId,
-            type: 'message_received',
-            title: 'New Message',
-            message: 'Jane Smith sent you a message about Website Development',
-            data: {
-              conversationId: 'conv_123',
-              senderId: 'user_789',
-              senderName: 'Jane Smith'
-            },
-            read: true,
-            createdAt: new Date(Date.now() - 172800000).toISOString(),
-            priority: 'low'
-          },
-          {
-            id: 'notif_5',
-            userId,
-            type: 'verification_approved',
-            title: 'Verification Approved',
-            message: 'Your identity verification has been approved. Credit rating: A',
-            data: {
-              verificationType: 'identity',
-              creditRating: 'A'
-            },
-            read: true,
-            createdAt: new Date(Date.now() - 259200000).toISOString(),
-            priority: 'high'
-          }
-        ],
-        pagination: {
-          currentPage: page,
-          totalPages: 1,
-          totalNotifications: 5,
-          hasMore: false
-        },
-        unreadCount: 2
-      };
-    }
+  // Server notifications use `isRead`; screens and the store use `read`
+  normalizeNotification(notification) {
+    return {
+      ...notification,
+      read: notification.isRead,
+    };
   }
 
-  // Mark notifications as read
-  async markAsRead(notificationIds) {
-    try {
-      const response = await httpClient.put(API_ENDPOINTS.NOTIFICATIONS.MARK_READ, {
-        notificationIds
-      });
-      return response.data;
-    } catch (error) {
-      // Mock mark as read for development
-      return {
-        success: true,
-        markedCount: notificationIds.length,
-        markedAt: new Date().toISOString()
-      };
-    }
+  // Get the current user's notifications with the unread count
+  async getNotifications({ page = 1, limit = 20, unreadOnly = false } = {}) {
+    const query = `?page=${page}&limit=${limit}${unreadOnly ? '&unreadOnly=true' : ''}`;
+    const response = await httpClient.get(`${API_ENDPOINTS.NOTIFICATIONS.LIST}${query}`);
+    const data = response.data.data;
+
+    return {
+      ...data,
+      notifications: data.notifications.map(notification => this.normalizeNotification(notification)),
+    };
   }
 
-  // Mark all notifications as read
-  async markAllAsRead(userId) {
-    try {
-      const response = await httpClient.put(buildUrl(API_ENDPOINTS.NOTIFICATIONS.MARK_ALL_READ, { userId }));
-      return response.data;
-    } catch (error) {
-      // Mock mark all as read for development
-      return {
-        success: true,
-        message: 'All notifications marked as read',
-        markedAt: new Date().toISOString()
-      };
-    }
+  // Mark a notification as read
+  async markAsRead(notificationId) {
+    const response = await httpClient.patch(buildUrl(API_ENDPOINTS.NOTIFICATIONS.MARK_READ, { id: notificationId }));
+    return this.normalizeNotification(response.data.data.notification);
   }
 
-  // Delete notifications
-  async deleteNotifications(notificationIds) {
-    try {
-      const response = await httpClient.delete(API_ENDPOINTS.NOTIFICATIONS.DELETE, {
-        data: { notificationIds }
-      });
-      return response.data;
-    } catch (error) {
-      // Mock delete for development
-      return {
-        success: true,
-        deletedCount: notificationIds.length,
-        deletedAt: new Date().toISOString()
-      };
-    }
+  // Mark all notifications as read; returns how many changed
+  async markAllAsRead() {
+    const response = await httpClient.patch(API_ENDPOINTS.NOTIFICATIONS.MARK_ALL_READ);
+    return response.data.data.updatedCount;
   }
 
-  // Get unread notification count
-  async getUnreadCount(userId) {
-    try {
-      const response = await httpClient.get(buildUrl(API_ENDPOINTS.NOTIFICATIONS.UNREAD_COUNT, { userId }));
-      return response.data;
-    } catch (error) {
-      // Mock unread count for development
-      return {
-        unreadCount: 3,
-        lastChecked: new Date().toISOString()
-      };
-    }
+  async deleteNotification(notificationId) {
+    await httpClient.delete(buildUrl(API_ENDPOINTS.NOTIFICATIONS.DELETE, { id: notificationId }));
+    return notificationId;
   }
 
-  // Update notification preferences
-  async updatePreferences(userId, preferences) {
-    try {
-      const response = await httpClient.put(buildUrl(API_ENDPOINTS.NOTIFICATIONS.PREFERENCES, { userId }), preferences);
-      return response.data;
-    } catch (error) {
-      // Mock preferences update for development
-      return {
-        success: true,
-        preferences,
-        updatedAt: new Date().toISOString()
-      };
-    }
+  async clearAll() {
+    const response = await httpClient.delete(API_ENDPOINTS.NOTIFICATIONS.CLEAR_ALL);
+    return response.data.data.deletedCount;
   }
 
-  // Get notification preferences
-  async getPreferences(userId) {
-    try {
-      const response = await httpClient.get(buildUrl(API_ENDPOINTS.NOTIFICATIONS.PREFERENCES, { userId }));
-      return response.data;
-    } catch (error) {
-      // Mock preferences for development
-      return {
-        preferences: {
-          pushNotifications: true,
-          emailNotifications: true,
-          smsNotifications: false,
-          jobApplications: true,
-          paymentUpdates: true,
-          messageNotifications: true,
-          jobCompletions: true,
-          verificationUpdates: true,
-          marketingEmails: false,
-          weeklyDigest: true,
-          quietHours: {
-            enabled: true,
-            startTime: '22:00',
-            endTime: '08:00'
-          }
-        }
-      };
-    }
+  async getUnreadCount() {
+    const response = await httpClient.get(API_ENDPOINTS.NOTIFICATIONS.UNREAD_COUNT);
+    return response.data.data.unreadCount;
   }
 
-  // Send push notification (for admin/system use)
-  async sendNotification(notificationData) {
-    try {
-      const response = await httpClient.post(API_ENDPOINTS.NOTIFICATIONS.SEND, notificationData);
-      return response.data;
-    } catch (error) {
-      // Mock send notification for development
-      return {
-        success: true,
-        notificationId: `notif_${Date.now()}`,
-        sentAt: new Date().toISOString(),
-        recipients: notificationData.recipients || []
-      };
-    }
+  // Channel (push/email/sms) and category (jobAlerts/paymentAlerts/chatMessages/marketing) switches
+  async getPreferences() {
+    const response = await httpClient.get(API_ENDPOINTS.NOTIFICATIONS.PREFERENCES);
+    return response.data.data.preferences;
   }
 
-  // Register device for push notifications
-  async registerDevice(deviceToken, platform) {
-    try {
-      const response = await httpClient.post(API_ENDPOINTS.NOTIFICATIONS.REGISTER_DEVICE, {
-        deviceToken,
-        platform, // 'ios' or 'android'
-        appVersion: '1.0.0'
-      });
-      
-      // Store device token locally
-      await AsyncStorage.setItem(STORAGE_KEYS.DEVICE_TOKEN, deviceToken);
-      
-      return response.data;
-    } catch (error) {
-      // Mock device registration for development
-      await AsyncStorage.setItem(STORAGE_KEYS.DEVICE_TOKEN, deviceToken);
-      return {
-        success: true,
-        deviceId: `device_${Date.now()}`,
-        registeredAt: new Date().toISOString()
-      };
-    }
+  // Update some preferences; returns the full set
+  async updatePreferences(preferences) {
+    const response = await httpClient.put(API_ENDPOINTS.NOTIFICATIONS.PREFERENCES, preferences);
+    return response.data.data.preferences;
   }
 
-  // Unregister device from push notifications
+  // Register this device for push: an FCM token on ios/android, a push subscription on web
+  async registerDevice(deviceToken, platform, appVersion) {
+    const response = await httpClient.post(API_ENDPOINTS.NOTIFICATIONS.SUBSCRIBE, {
+      token: deviceToken,
+      platform,
+      appVersion,
+    });
+
+    await AsyncStorage.setItem(
+      STORAGE_KEYS.DEVICE_TOKEN,
+      typeof deviceToken === 'string' ? deviceToken : JSON.stringify(deviceToken)
+    );
+
+    return response.data.data.device;
+  }
+
+  // Unregister this device from push notifications, e.g. on logout
   async unregisterDevice() {
+    const deviceToken = await AsyncStorage.getItem(STORAGE_KEYS.DEVICE_TOKEN);
+    if (!deviceToken) {
+      return false;
+    }
+
+    let token = deviceToken;
     try {
-      const deviceToken = await AsyncStorage.getItem(STORAGE_KEYS.DEVICE_TOKEN);
-      if (deviceToken) {
-        const response = await httpClient.delete(API_ENDPOINTS.NOTIFICATIONS.UNREGISTER_DEVICE, {
-          data: { deviceToken }
-        });
-        
-        // Remove device token from local storage
-        await AsyncStorage.removeItem(STORAGE_KEYS.DEVICE_TOKEN);
-        
-        return response.data;
-      }
-      return { success: true, message: 'No device token found' };
+      token = JSON.parse(deviceToken);
     } catch (error) {
-      // Mock device unregistration for development
+      // FCM tokens are stored as plain strings
+    }
+
+    try {
+      await httpClient.post(API_ENDPOINTS.NOTIFICATIONS.UNSUBSCRIBE, { token });
+    } finally {
       await AsyncStorage.removeItem(STORAGE_KEYS.DEVICE_TOKEN);
-      return {
-        success: true,
-        unregisteredAt: new Date().toISOString()
-      };
     }
+
+    return true;
   }
 
   // Handle notification tap/click
   handleNotificationTap(notification) {
     try {
       // Mark notification as read
-      this.markAsRead([notification.id]);
+      this.markAsRead(notification.id).catch(() => {});
       
       // Navigate based on notification type
       switch (notification.type) {
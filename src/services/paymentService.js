@@ -1,39 +1,35 @@
 import httpClient from './httpClient';
 import { API_ENDPOINTS, buildUrl } from '../config/api';
 
-// Service charge rate (2.5%)
-const SERVICE_CHARGE_RATE = 0.025;
-
 class PaymentService {
 
-  // Calculate service charge
-  calculateServiceCharge(amount) {
-    return amount * SERVICE_CHARGE_RATE;
-  }
+  // Fee breakdown priced by the server for a booking, service or amount
+  async getFeeQuote({ bookingId, serviceId, amount, currency, category, providerId, gateway } = {}) {
+    const queryParams = new URLSearchParams();
 
-  // Calculate total amount including service charge
-  calculateTotalAmount(amount) {
-    const serviceCharge = this.calculateServiceCharge(amount);
-    return {
-      originalAmount: amount,
-      serviceCharge,
-      totalAmount: amount + serviceCharge,
-    };
+    Object.entries({ bookingId, serviceId, amount, currency, category, providerId, gateway })
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .forEach(([key, value]) => queryParams.append(key, value.toString()));
+
+    const response = await httpClient.get(`${API_ENDPOINTS.PAYMENTS.QUOTE}?${queryParams}`);
+    return response.data.data.quote;
   }
 
   // Process payment
   async processPayment(paymentData) {
     try {
-      // Calculate service charge
-      const { originalAmount, serviceCharge, totalAmount } = this.calculateTotalAmount(
-        paymentData.jobAmount
-      );
+      // Fees are priced by the server; the client never computes them
+      const quote = paymentData.feeQuote || await this.getFeeQuote({
+        amount: paymentData.jobAmount,
+        category: paymentData.category,
+      });
 
       const processedPaymentData = {
         ...paymentData,
-        originalAmount,
-        serviceCharge,
-        totalAmount,
+        feeQuote: quote,
+        originalAmount: quote.subtotal,
+        serviceCharge: quote.total - quote.subtotal,
+        totalAmount: quote.total,
         timestamp: new Date().toISOString(),
         status: 'pending',
       };
@@ -263,19 +259,35 @@ class PaymentService {
     }
   }
 
-  // Release payment to service provider
-  async releasePayment(paymentId) {
-    try {
-      const response = await httpClient.post(buildUrl(API_ENDPOINTS.PAYMENTS.RELEASE, { paymentId }));
-      return response.data;
-    } catch (error) {
-      // Mock payment release for development
-      return {
-        success: true,
-        message: 'Payment released successfully',
-        releasedAt: new Date().toISOString(),
-      };
+  // Fetch wallet balance from the server ledger
+  async getBalance() {
+    const response = await httpClient.get(API_ENDPOINTS.PAYMENTS.BALANCE);
+    const { balance, pendingBalance, totalEarnings, totalWithdrawn, currency } = response.data.data;
+
+    return {
+      available: balance,
+      pending: pendingBalance,
+      totalEarned: totalEarnings,
+      totalWithdrawn,
+      currency,
+    };
+  }
+
+  // Release escrowed payment to service provider
+  // Accepts a payment ID or { paymentId, rating, feedback } from the satisfaction form
+  async releasePayment(release) {
+    const { paymentId, rating, feedback } = typeof release === 'object' ? release : { paymentId: release };
+
+    if (!paymentId) {
+      throw new Error('A payment ID is required to release a payment');
     }
+
+    const response = await httpClient.post(buildUrl(API_ENDPOINTS.PAYMENTS.RELEASE, { paymentId }), {
+      isSatisfied: true,
+      rating,
+      feedback,
+    });
+    return response.data.data.payment;
   }
 
   // Refund payment
@@ -296,11 +308,6 @@ class PaymentService {
     }
   }
 
-  // Get service charge rate
-  getServiceChargeRate() {
-    return SERVICE_CHARGE_RATE;
-  }
-
   // Format currency
   formatCurrency(amount) {
     return new Intl.NumberFormat('en-NG', {
@@ -347,7 +354,14 @@ class PaymentService {
   async requestWithdrawal(withdrawalData) {
     try {
       const response = await httpClient.post(API_ENDPOINTS.PAYMENTS.WITHDRAW, withdrawalData);
-      return response.data;
+      const { withdrawal } = response.data.data;
+
+      return {
+        ...withdrawal,
+        transactionId: withdrawal.reference,
+        type: 'withdrawal',
+        timestamp: withdrawal.createdAt,
+      };
     } catch (error) {
       console.error('Error requesting withdrawal:', error);
       
@@ -364,6 +378,40 @@ class PaymentService {
       };
     }
   }
+
+  // Get saved payout (bank) accounts
+  async getPayoutAccounts() {
+    const response = await httpClient.get(API_ENDPOINTS.PAYMENTS.PAYOUT_ACCOUNTS);
+    return response.data.data.payoutAccounts;
+  }
+
+  // Look up the account name for a bank account before saving it
+  async resolvePayoutAccount(accountNumber, bankCode) {
+    const response = await httpClient.post(API_ENDPOINTS.PAYMENTS.RESOLVE_PAYOUT_ACCOUNT, {
+      accountNumber,
+      bankCode,
+    });
+    return response.data.data.account;
+  }
+
+  // Save a payout account
+  async addPayoutAccount(accountData) {
+    const response = await httpClient.post(API_ENDPOINTS.PAYMENTS.PAYOUT_ACCOUNTS, accountData);
+    return response.data.data.payoutAccount;
+  }
+
+  // Remove a payout account
+  async removePayoutAccount(accountId) {
+    const response = await httpClient.delete(buildUrl(API_ENDPOINTS.PAYMENTS.REMOVE_PAYOUT_ACCOUNT, { id: accountId }));
+    return response.data;
+  }
+
+  // Get withdrawal history
+  async getWithdrawals(params = {}) {
+    const queryParams = new URLSearchParams(params).toString();
+    const response = await httpClient.get(`${API_ENDPOINTS.PAYMENTS.WITHDRAWALS}?${queryParams}`);
+    return response.data.data;
+  }
 }
 
 export default new PaymentService();
\ No newline at end of file
@@ -45,10 +45,12 @@ class VerificationService {
 
       return {
         success: true,
-        verified: result.verified,
-        data: result.data,
-        confidence: result.confidence,
-        verificationId: result.verificationId,
+        verified: result.data.verified,
+        data: result.data.verification,
+        confidence: result.data.verification.matchScore,
+        verificationId: result.data.verification.id,
+        verificationStatus: result.data.verificationStatus,
+        error: result.data.verified ? undefined : result.message,
       };
     } catch (error) {
       console.error('NIMC verification error:', error);
@@ -94,10 +96,12 @@ class VerificationService {
 
       return {
         success: true,
-        verified: result.verified,
-        data: result.data,
-        bankInfo: result.bankInfo,
-        verificationId: result.verificationId,
+        verified: result.data.verified,
+        data: result.data.verification,
+        confidence: result.data.verification.matchScore,
+        verificationId: result.data.verification.id,
+        verificationStatus: result.data.verificationStatus,
+        error: result.data.verified ? undefined : result.message,
       };
     } catch (error) {
       console.error('BVN verification error:', error);
@@ -136,10 +140,11 @@ class VerificationService {
 
       return {
         success: true,
-        compliant: result.compliant,
-        riskLevel: result.riskLevel,
-        restrictions: result.restrictions,
-        verificationId: result.verificationId,
+        compliant: result.data.verified,
+        data: result.data.verification,
+        verificationId: result.data.verification.id,
+        verificationStatus: result.data.verificationStatus,
+        error: result.data.verified ? undefined : result.message,
       };
     } catch (error) {
       console.error('CBN compliance verification error:', error);
@@ -293,18 +298,18 @@ class VerificationService {
   }
 
   /**
-   * Upload and verify identity document
+   * Upload an identity or business document for review
+   * documentType is id_card, business_license or certification
    */
   async verifyDocument(documentData) {
     try {
       const formData = new FormData();
-      formData.append('document', {
+      formData.append('file', {
         uri: documentData.uri,
         type: documentData.type,
         name: documentData.name,
       });
       formData.append('documentType', documentData.documentType);
-      formData.append('userId', documentData.userId);
 
       const response = await fetch(`${this.baseURL}/verification/document`, {
         method: 'POST',
@@ -318,16 +323,16 @@ class VerificationService {
       const result = await response.json();
 
       if (!response.ok) {
-        throw new Error(result.message || 'Document verification failed');
+        throw new Error(result.message || 'Document upload failed');
       }
 
+      // Documents are reviewed by hand, so they start out pending
       return {
         success: true,
-        verified: result.verified,
-        documentId: result.documentId,
-        extractedData: result.extractedData,
-        confidence: result.confidence,
-        verificationId: result.verificationId,
+        verified: result.data.document.status === 'approved',
+        status: result.data.document.status,
+        documentId: result.data.document.id,
+        document: result.data.document,
       };
     } catch (error) {
       console.error('Document verification error:', error);
@@ -340,11 +345,11 @@ class VerificationService {
   }
 
   /**
-   * Get user verification status
+   * Get the user's submitted documents and their review outcome
    */
-  async getVerificationStatus(userId) {
+  async getDocuments() {
     try {
-      const response = await fetch(`${this.baseURL}/verification/status/${userId}`, {
+      const response = await fetch(`${this.baseURL}/verification/documents`, {
         method: 'GET',
         headers: {
           'Authorization': `Bearer ${await this.getAuthToken()}`,
@@ -354,18 +359,15 @@ class VerificationService {
       const result = await response.json();
 
       if (!response.ok) {
-        throw new Error(result.message || 'Failed to get verification status');
+        throw new Error(result.message || 'Failed to get documents');
       }
 
       return {
         success: true,
-        status: result.status,
-        verifications: result.verifications,
-        completionPercentage: result.completionPercentage,
-        nextSteps: result.nextSteps,
+        documents: result.data.documents,
       };
     } catch (error) {
-      console.error('Get verification status error:', error);
+      console.error('Get documents error:', error);
       return {
         success: false,
         error: error.message,
@@ -374,11 +376,11 @@ class VerificationService {
   }
 
   /**
-   * Get verification requirements
+   * Get the user's KYC tier, its limits and what unlocks the next tier
    */
-  async getVerificationRequirements(userType = 'individual') {
+  async getVerificationRequirements() {
     try {
-      const response = await fetch(`${this.baseURL}/verification/requirements?type=${userType}`, {
+      const response = await fetch(`${this.baseURL}/verification/requirements`, {
         method: 'GET',
         headers: {
           'Authorization': `Bearer ${await this.getAuthToken()}`,
@@ -393,9 +395,11 @@ class VerificationService {
 
       return {
         success: true,
-        requirements: result.requirements,
-        optional: result.optional,
-        benefits: result.benefits,
+        currency: result.data.currency,
+        currentTier: result.data.currentTier,
+        nextTier: result.data.nextTier,
+        usage: result.data.usage,
+        tiers: result.data.tiers,
       };
     } catch (error) {
       console.error('Get verification requirements error:', error);
@@ -452,14 +456,15 @@ class VerificationService {
         });
       }
 
-      // Calculate overall verification score
+      // Calculate overall verification score; the tier comes from the server
       const score = this.calculateVerificationScore(verificationResults);
+      const requirements = await this.getVerificationRequirements();
 
       return {
         success: true,
         results: verificationResults,
         overallScore: score,
-        verificationLevel: this.getVerificationLevel(score),
+        verificationLevel: requirements.success ? requirements.currentTier : null,
         recommendations: this.getVerificationRecommendations(verificationResults),
       };
     } catch (error) {
@@ -493,17 +498,6 @@ class VerificationService {
     return Math.min(score, 100);
   }
 
-  /**
-   * Get verification level based on score
-   */
-  getVerificationLevel(score) {
-    if (score >= 90) return 'Platinum';
-    if (score >= 75) return 'Gold';
-    if (score >= 60) return 'Silver';
-    if (score >= 40) return 'Bronze';
-    return 'Basic';
-  }
-
   /**
    * Get verification recommendations
    */
@@ -1,3 +1,6 @@
+import { WS_BASE_URL } from '../config/api';
+import httpClient from './httpClient';
+
 // WebSocket service for real-time chat functionality
 class WebSocketService {
   constructor() {
@@ -12,15 +15,16 @@ class WebSocketService {
     this.userId = null;
   }
 
-  // Connect to WebSocket server
-  connect(userId, authToken) {
+  // Connect to WebSocket server; falls back to the stored access token
+  async connect(userId, authToken) {
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
       console.log('WebSocket already connected');
       return;
     }
 
     this.userId = userId;
-    const wsUrl = `wss://your-websocket-server.com/chat?userId=${userId}&token=${authToken}`;
+    this.authToken = authToken || await httpClient.getToken();
+    const wsUrl = `${WS_BASE_URL}/chat?token=${encodeURIComponent(this.authToken)}`;
     
     try {
       this.ws = new WebSocket(wsUrl);
@@ -79,6 +83,12 @@ class WebSocketService {
       case 'messageStatus':
         this.emit('messageStatusUpdate', data.payload);
         break;
+      case 'messageUpdated':
+        this.emit('messageUpdated', data.payload);
+        break;
+      case 'messageDeleted':
+        this.emit('messageDeleted', data.payload);
+        break;
       case 'typing':
         this.emit('userTyping', data.payload);
         break;
@@ -97,6 +107,9 @@ class WebSocketService {
       case 'pong':
         // Heartbeat response
         break;
+      case 'error':
+        this.emit('serverError', data.payload);
+        break;
       default:
         console.log('Unknown message type:', data.type);
     }
@@ -332,10 +345,5 @@ class WebSocketService {
 // Create singleton instance
 const websocketService = new WebSocketService();
 
-// Enable mock mode for development
-if (__DEV__) {
-  websocketService.enableMockMode();
-}
-
 export default websocketService;
 export { websocketService };
\ No newline at end of file
@@ -60,7 +60,8 @@ export const usePayment = () => {
     payments: payment.payments,
     currentPayment: payment.currentPayment,
     paymentDetails: payment.paymentDetails,
-    serviceChargeRate: payment.serviceChargeRate,
+    feeQuote: payment.feeQuote,
+    quoteLoading: payment.quoteLoading,
     loading: payment.loading,
     error: payment.error,
     paymentMethods: payment.paymentMethods,
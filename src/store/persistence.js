@@ -63,7 +63,7 @@ const jobsPersistConfig = {
 const paymentPersistConfig = {
   key: 'payment',
   storage: AsyncStorage,
-  whitelist: ['paymentMethods', 'paymentDetails', 'serviceChargeRate'],
+  whitelist: ['paymentMethods', 'paymentDetails'],
   blacklist: ['payments', 'currentPayment', 'loading', 'error', 'transactionHistory'],
 };
 
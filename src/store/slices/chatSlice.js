@@ -24,6 +24,17 @@ export const fetchMessages = createAsyncThunk(
   }
 );
 
+export const fetchOlderMessages = createAsyncThunk(
+  'chat/fetchOlderMessages',
+  async ({ conversationId, cursor }, { rejectWithValue }) => {
+    try {
+      return await chatService.fetchMessages(conversationId, { cursor });
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch messages');
+    }
+  }
+);
+
 export const sendMessage = createAsyncThunk(
   'chat/sendMessage',
   async (messageData, { rejectWithValue }) => {
@@ -61,6 +72,8 @@ const initialState = {
   conversations: [],
   currentConversation: null,
   messages: [],
+  messagesCursor: null,
+  hasMoreMessages: false,
   loading: false,
   error: null,
   unreadCount: 0,
@@ -119,9 +132,16 @@ const chatSlice = createSlice({
         state.messages[messageIndex].status = status;
       }
     },
+    // Deleted messages stay in the thread as placeholders
     deleteMessage: (state, action) => {
       const { messageId } = action.payload;
-      state.messages = state.messages.filter(msg => msg.id !== messageId);
+      const messageIndex = state.messages.findIndex(msg => msg.id === messageId);
+      
+      if (messageIndex !== -1) {
+        state.messages[messageIndex].content = null;
+        state.messages[messageIndex].attachments = [];
+        state.messages[messageIndex].isDeleted = true;
+      }
     },
     editMessage: (state, action) => {
       const { messageId, content } = action.payload;
@@ -129,7 +149,7 @@ const chatSlice = createSlice({
       
       if (messageIndex !== -1) {
         state.messages[messageIndex].content = content;
-        state.messages[messageIndex].edited = true;
+        state.messages[messageIndex].isEdited = true;
         state.messages[messageIndex].editedAt = new Date().toISOString();
       }
     },
@@ -159,12 +179,23 @@ const chatSlice = createSlice({
       })
       .addCase(fetchMessages.fulfilled, (state, action) => {
         state.loading = false;
-        state.messages = action.payload;
+        state.messages = action.payload.messages;
+        state.messagesCursor = action.payload.nextCursor;
+        state.hasMoreMessages = action.payload.hasMore;
       })
       .addCase(fetchMessages.rejected, (state, action) => {
         state.loading = false;
         state.error = action.payload;
       })
+      // Fetch Older Messages
+      .addCase(fetchOlderMessages.fulfilled, (state, action) => {
+        state.messages = [...action.payload.messages, ...state.messages];
+        state.messagesCursor = action.payload.nextCursor;
+        state.hasMoreMessages = action.payload.hasMore;
+      })
+      .addCase(fetchOlderMessages.rejected, (state, action) => {
+        state.error = action.payload;
+      })
       // Send Message
       .addCase(sendMessage.pending, (state) => {
         state.loading = true;
@@ -209,13 +240,16 @@ const chatSlice = createSlice({
       })
       .addCase(markMessagesAsRead.fulfilled, (state, action) => {
         state.loading = false;
-        const { conversationId, messageIds } = action.meta.arg;
+        const { conversationId } = action.meta.arg;
+        // The server reports which messages it actually marked
+        const { messageIds } = action.payload;
         
         // Mark messages as read in current conversation
         if (state.currentConversation && state.currentConversation.id === conversationId) {
           state.messages.forEach(message => {
             if (messageIds.includes(message.id)) {
               message.read = true;
+              message.status = 'read';
             }
           });
         }
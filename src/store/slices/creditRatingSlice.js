@@ -1,17 +1,12 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import creditRatingService from '../../services/creditRatingService';
-import httpClient from '../../services/httpClient';
 
 // Async thunks
 export const calculateUserRating = createAsyncThunk(
   'creditRating/calculateUserRating',
-  async ({ userId, userData }, { rejectWithValue }) => {
+  async ({ userId }, { rejectWithValue }) => {
     try {
-      const rating = creditRatingService.calculateCreditRating(userData);
-      
-      // Save rating to backend
-      await httpClient.post(`/users/${userId}/rating`, rating);
-      
+      const rating = await creditRatingService.recalculateRating(userId);
       return { userId, rating };
     } catch (error) {
       return rejectWithValue(error.response?.data || error.message);
@@ -23,8 +18,8 @@ export const fetchUserRating = createAsyncThunk(
   'creditRating/fetchUserRating',
   async (userId, { rejectWithValue }) => {
     try {
-      const response = await httpClient.get(`/users/${userId}/rating`);
-      return { userId, rating: response.data };
+      const rating = await creditRatingService.getRating(userId);
+      return { userId, rating };
     } catch (error) {
       return rejectWithValue(error.response?.data || error.message);
     }
@@ -35,32 +30,8 @@ export const fetchRatingHistory = createAsyncThunk(
   'creditRating/fetchRatingHistory',
   async ({ userId, period = '6months' }, { rejectWithValue }) => {
     try {
-      const response = await httpClient.get(`/users/${userId}/rating/history`, {
-        params: { period },
-      });
-      return { userId, history: response.data };
-    } catch (error) {
-      return rejectWithValue(error.response?.data || error.message);
-    }
-  }
-);
-
-export const updateRatingFeedback = createAsyncThunk(
-  'creditRating/updateRatingFeedback',
-  async ({ userId, transactionId, rating, feedback }, { rejectWithValue }) => {
-    try {
-      const response = await httpClient.post(`/transactions/${transactionId}/rating`, {
-        rating,
-        feedback,
-      });
-      
-      // Recalculate user rating after feedback
-      const userDataResponse = await httpClient.get(`/users/${userId}/rating-data`);
-      const newRating = creditRatingService.calculateCreditRating(userDataResponse.data);
-      
-      await httpClient.post(`/users/${userId}/rating`, newRating);
-      
-      return { userId, rating: newRating, feedback: response.data };
+      const { history, trend } = await creditRatingService.getRatingHistory(userId, period);
+      return { userId, history, trend };
     } catch (error) {
       return rejectWithValue(error.response?.data || error.message);
     }
@@ -69,19 +40,12 @@ export const updateRatingFeedback = createAsyncThunk(
 
 export const fetchRatingRecommendations = createAsyncThunk(
   'creditRating/fetchRatingRecommendations',
-  async (userId, { getState, rejectWithValue }) => {
+  async (userId, { rejectWithValue }) => {
     try {
-      const state = getState();
-      const userRating = state.creditRating.ratings[userId];
-      
-      if (!userRating) {
-        throw new Error('User rating not found');
-      }
-      
-      const recommendations = creditRatingService.getRatingRecommendations(userRating);
+      const recommendations = await creditRatingService.getRatingRecommendations(userId);
       return { userId, recommendations };
     } catch (error) {
-      return rejectWithValue(error.message);
+      return rejectWithValue(error.response?.data || error.message);
     }
   }
 );
@@ -90,23 +54,10 @@ export const bulkUpdateRatings = createAsyncThunk(
   'creditRating/bulkUpdateRatings',
   async (userIds, { rejectWithValue }) => {
     try {
-      const updates = [];
-      
-      for (const userId of userIds) {
-        try {
-          const userDataResponse = await httpClient.get(`/users/${userId}/rating-data`);
-          const rating = creditRatingService.calculateCreditRating(userDataResponse.data);
-          
-          await httpClient.post(`/users/${userId}/rating`, rating);
-          updates.push({ userId, rating });
-        } catch (error) {
-          console.error(`Error updating rating for user ${userId}:`, error);
-        }
-      }
-      
-      return updates;
+      const { updated } = await creditRatingService.bulkUpdateRatings(userIds);
+      return updated.map(rating => ({ userId: rating.userId, rating }));
     } catch (error) {
-      return rejectWithValue(error.message);
+      return rejectWithValue(error.response?.data || error.message);
     }
   }
 );
@@ -200,11 +151,8 @@ const creditRatingSlice = createSlice({
       })
       .addCase(fetchRatingHistory.fulfilled, (state, action) => {
         state.loading = false;
-        const { userId, history } = action.payload;
+        const { userId, history, trend } = action.payload;
         state.ratingHistory[userId] = history;
-        
-        // Calculate trend
-        const trend = creditRatingService.calculateRatingTrend(history);
         state.trends[userId] = trend;
       })
       .addCase(fetchRatingHistory.rejected, (state, action) => {
@@ -212,22 +160,6 @@ const creditRatingSlice = createSlice({
         state.error = action.payload;
       })
       
-      // Update Rating Feedback
-      .addCase(updateRatingFeedback.pending, (state) => {
-        state.loading = true;
-        state.error = null;
-      })
-      .addCase(updateRatingFeedback.fulfilled, (state, action) => {
-        state.loading = false;
-        const { userId, rating } = action.payload;
-        state.ratings[userId] = rating;
-        state.lastUpdated = new Date().toISOString();
-      })
-      .addCase(updateRatingFeedback.rejected, (state, action) => {
-        state.loading = false;
-        state.error = action.payload;
-      })
-      
       // Fetch Rating Recommendations
       .addCase(fetchRatingRecommendations.pending, (state) => {
         state.loading = true;
@@ -236,9 +168,9 @@ const creditRatingSlice = createSlice({
       .addCase(fetchRatingRecommendations.fulfilled, (state, action) => {
         state.loading = false;
         const { userId, recommendations } = action.payload;
-        state.recommendations[userId] = recommendations.map((rec, index) => ({
+        state.recommendations[userId] = recommendations.map(rec => ({
           ...rec,
-          id: `${userId}_${index}`,
+          id: `${userId}_${rec.key}`,
           completed: false,
         }));
       })
@@ -325,7 +257,7 @@ export const selectUsersNeedingRatingUpdate = (state) => {
   const oneWeekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
   
   return Object.entries(state.creditRating.ratings)
-    .filter(([, rating]) => new Date(rating.lastUpdated) < oneWeekAgo)
+    .filter(([, rating]) => new Date(rating.calculatedAt) < oneWeekAgo)
     .map(([userId]) => userId);
 };
 
@@ -147,9 +147,9 @@ export const favoriteJob = createAsyncThunk(
 
 export const applyForJob = createAsyncThunk(
   'jobs/applyForJob',
-  async ({ jobId, userId }, { rejectWithValue }) => {
+  async ({ jobId, ...applicationData }, { rejectWithValue }) => {
     try {
-      return await jobsService.applyForJob(jobId, userId);
+      return await jobsService.applyForJob(jobId, applicationData);
     } catch (error) {
       return rejectWithValue(error.response?.data?.message || 'Failed to apply for job');
     }
@@ -178,6 +178,61 @@ export const createJob = createAsyncThunk(
   }
 );
 
+export const fetchOfferHistory = createAsyncThunk(
+  'jobs/fetchOfferHistory',
+  async (jobId, { rejectWithValue }) => {
+    try {
+      return await jobsService.fetchJobOffers(jobId);
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to load offers');
+    }
+  }
+);
+
+export const submitOffer = createAsyncThunk(
+  'jobs/submitOffer',
+  async (offerData, { rejectWithValue }) => {
+    try {
+      return await jobsService.submitOffer(offerData);
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to submit offer');
+    }
+  }
+);
+
+export const counterOffer = createAsyncThunk(
+  'jobs/counterOffer',
+  async (offerData, { rejectWithValue }) => {
+    try {
+      return await jobsService.counterOffer(offerData);
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to submit counter-offer');
+    }
+  }
+);
+
+export const acceptOffer = createAsyncThunk(
+  'jobs/acceptOffer',
+  async (offerData, { rejectWithValue }) => {
+    try {
+      return await jobsService.acceptOffer(offerData);
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to accept offer');
+    }
+  }
+);
+
+export const rejectOffer = createAsyncThunk(
+  'jobs/rejectOffer',
+  async (offerData, { rejectWithValue }) => {
+    try {
+      return await jobsService.rejectOffer(offerData);
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to reject offer');
+    }
+  }
+);
+
 const initialState = {
   jobs: [],
   currentJob: null,
@@ -190,6 +245,7 @@ const initialState = {
   activeJobs: [],
   completedJobs: [],
   disputes: [],
+  offerHistory: [],
   filters: {
     category: '',
     location: '',
@@ -492,6 +548,75 @@ const jobsSlice = createSlice({
         state.loading = false;
         state.error = action.payload;
       })
+      // Offers
+      .addCase(fetchOfferHistory.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchOfferHistory.fulfilled, (state, action) => {
+        state.loading = false;
+        state.offerHistory = action.payload;
+      })
+      .addCase(fetchOfferHistory.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      .addCase(submitOffer.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(submitOffer.fulfilled, (state, action) => {
+        state.loading = false;
+        state.offerHistory.push(action.payload);
+      })
+      .addCase(submitOffer.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      .addCase(counterOffer.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(counterOffer.fulfilled, (state, action) => {
+        state.loading = false;
+        state.offerHistory.push(action.payload);
+      })
+      .addCase(counterOffer.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      .addCase(acceptOffer.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(acceptOffer.fulfilled, (state, action) => {
+        state.loading = false;
+        const { job, offer } = action.payload;
+        const index = state.offerHistory.findIndex(item => item.id === offer.id);
+        if (index !== -1) {
+          state.offerHistory[index] = offer;
+        }
+        state.currentJob = job;
+      })
+      .addCase(acceptOffer.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      .addCase(rejectOffer.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(rejectOffer.fulfilled, (state, action) => {
+        state.loading = false;
+        const index = state.offerHistory.findIndex(offer => offer.id === action.payload.id);
+        if (index !== -1) {
+          state.offerHistory[index] = action.payload;
+        }
+      })
+      .addCase(rejectOffer.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
       // Create Job
       .addCase(createJob.pending, (state) => {
         state.loading = true;
@@ -1,45 +1,14 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
-import { httpClient } from '../../services/httpClient';
+import notificationService from '../../services/notificationService';
 
 // Async thunks
 export const fetchNotifications = createAsyncThunk(
   'notifications/fetchNotifications',
-  async (_, { rejectWithValue }) => {
+  async (options = {}, { rejectWithValue }) => {
     try {
-      // Mock data for development when backend is not available
-      if (__DEV__) {
-        // Simulate API delay
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        
-        return {
-          notifications: [
-            {
-              id: '1',
-              type: 'job_application',
-              title: 'New Job Application',
-              message: 'You have received a new job application.',
-              read: false,
-              createdAt: new Date().toISOString(),
-              data: { jobId: 'job_123' }
-            },
-            {
-              id: '2',
-              type: 'payment_received',
-              title: 'Payment Received',
-              message: 'You have received a payment of ₦5,000.',
-              read: true,
-              createdAt: new Date(Date.now() - 86400000).toISOString(),
-              data: { amount: 5000 }
-            }
-          ],
-          unreadCount: 1
-        };
-      }
-      
-      const response = await httpClient.get('/notifications');
-      return response.data;
+      return await notificationService.getNotifications(options);
     } catch (error) {
-      return rejectWithValue(error.response?.data?.message || 'Failed to fetch notifications');
+      return rejectWithValue(error.message || 'Failed to fetch notifications');
     }
   }
 );
@@ -48,16 +17,9 @@ export const markNotificationAsRead = createAsyncThunk(
   'notifications/markAsRead',
   async (notificationId, { rejectWithValue }) => {
     try {
-      // Mock response for development
-      if (__DEV__) {
-        await new Promise(resolve => setTimeout(resolve, 500));
-        return { id: notificationId, read: true };
-      }
-      
-      const response = await httpClient.patch(`/notifications/${notificationId}/read`);
-      return response.data;
+      return await notificationService.markAsRead(notificationId);
     } catch (error) {
-      return rejectWithValue(error.response?.data?.message || 'Failed to mark notification as read');
+      return rejectWithValue(error.message || 'Failed to mark notification as read');
     }
   }
 );
@@ -66,16 +28,9 @@ export const markAllNotificationsAsRead = createAsyncThunk(
   'notifications/markAllAsRead',
   async (_, { rejectWithValue }) => {
     try {
-      // Mock response for development
-      if (__DEV__) {
-        await new Promise(resolve => setTimeout(resolve, 500));
-        return { success: true };
-      }
-      
-      const response = await httpClient.patch('/notifications/read-all');
-      return response.data;
+      return await notificationService.markAllAsRead();
     } catch (error) {
-      return rejectWithValue(error.response?.data?.message || 'Failed to mark all notifications as read');
+      return rejectWithValue(error.message || 'Failed to mark all notifications as read');
     }
   }
 );
@@ -84,16 +39,9 @@ export const deleteNotification = createAsyncThunk(
   'notifications/deleteNotification',
   async (notificationId, { rejectWithValue }) => {
     try {
-      // Mock response for development
-      if (__DEV__) {
-        await new Promise(resolve => setTimeout(resolve, 500));
-        return notificationId;
-      }
-      
-      await httpClient.delete(`/notifications/${notificationId}`);
-      return notificationId;
+      return await notificationService.deleteNotification(notificationId);
     } catch (error) {
-      return rejectWithValue(error.response?.data?.message || 'Failed to delete notification');
+      return rejectWithValue(error.message || 'Failed to delete notification');
     }
   }
 );
@@ -102,16 +50,43 @@ export const clearAllNotifications = createAsyncThunk(
   'notifications/clearAll',
   async (_, { rejectWithValue }) => {
     try {
-      // Mock response for development
-      if (__DEV__) {
-        await new Promise(resolve => setTimeout(resolve, 500));
-        return true;
-      }
-      
-      await httpClient.delete('/notifications/clear-all');
+      await notificationService.clearAll();
       return true;
     } catch (error) {
-      return rejectWithValue(error.response?.data?.message || 'Failed to clear all notifications');
+      return rejectWithValue(error.message || 'Failed to clear all notifications');
+    }
+  }
+);
+
+export const fetchNotificationPreferences = createAsyncThunk(
+  'notifications/fetchPreferences',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await notificationService.getPreferences();
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to load notification preferences');
+    }
+  }
+);
+
+export const updateNotificationPreferences = createAsyncThunk(
+  'notifications/updatePreferences',
+  async (preferences, { rejectWithValue }) => {
+    try {
+      return await notificationService.updatePreferences(preferences);
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to update notification preferences');
+    }
+  }
+);
+
+export const registerPushDevice = createAsyncThunk(
+  'notifications/registerDevice',
+  async ({ token, platform, appVersion }, { rejectWithValue }) => {
+    try {
+      return await notificationService.registerDevice(token, platform, appVersion);
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to register device for notifications');
     }
   }
 );
@@ -121,6 +96,7 @@ const initialState = {
   loading: false,
   refreshing: false,
   unreadCount: 0,
+  preferences: null,
   error: null,
 };
 
@@ -138,7 +114,7 @@ const notificationSlice = createSlice({
       }
     },
     updateNotificationSettings: (state, action) => {
-      // Handle notification settings updates
+      state.preferences = { ...(state.preferences || {}), ...action.payload };
     },
   },
   extraReducers: (builder) => {
@@ -218,6 +194,17 @@ const notificationSlice = createSlice({
       })
       .addCase(clearAllNotifications.rejected, (state, action) => {
         state.error = action.payload || 'Failed to clear all notifications';
+      })
+
+      // Preferences
+      .addCase(fetchNotificationPreferences.fulfilled, (state, action) => {
+        state.preferences = action.payload;
+      })
+      .addCase(updateNotificationPreferences.fulfilled, (state, action) => {
+        state.preferences = action.payload;
+      })
+      .addCase(updateNotificationPreferences.rejected, (state, action) => {
+        state.error = action.payload || 'Failed to update notification preferences';
       });
   },
 });
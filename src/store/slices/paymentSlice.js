@@ -13,6 +13,17 @@ export const processPayment = createAsyncThunk(
   }
 );
 
+export const fetchFeeQuote = createAsyncThunk(
+  'payment/fetchFeeQuote',
+  async (quoteParams, { rejectWithValue }) => {
+    try {
+      return await paymentService.getFeeQuote(quoteParams);
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch fee quote');
+    }
+  }
+);
+
 export const savePaymentDetails = createAsyncThunk(
   'payment/saveDetails',
   async (paymentDetails, { rejectWithValue }) => {
@@ -35,6 +46,17 @@ export const fetchPaymentHistory = createAsyncThunk(
   }
 );
 
+export const fetchBalance = createAsyncThunk(
+  'payment/fetchBalance',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await paymentService.getBalance();
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch balance');
+    }
+  }
+);
+
 export const releasePayment = createAsyncThunk(
   'payment/release',
   async (paymentId, { rejectWithValue }) => {
@@ -72,11 +94,13 @@ const initialState = {
   payments: [],
   currentPayment: null,
   paymentDetails: null,
-  serviceChargeRate: 0.025, // 2.5%
+  feeQuote: null, // Server-computed fee breakdown for the amount being paid
+  quoteLoading: false,
   loading: false,
   error: null,
   paymentMethods: [],
   escrowBalance: 0,
+  balance: null,
   transactionHistory: [],
 };
 
@@ -90,9 +114,8 @@ const paymentSlice = createSlice({
     clearPaymentError: (state) => {
       state.error = null;
     },
-    calculateServiceCharge: (state, action) => {
-      const amount = action.payload;
-      return amount * state.serviceChargeRate;
+    clearFeeQuote: (state) => {
+      state.feeQuote = null;
     },
     updateEscrowBalance: (state, action) => {
       state.escrowBalance = action.payload;
@@ -122,6 +145,19 @@ const paymentSlice = createSlice({
         state.loading = false;
         state.error = action.payload;
       })
+      // Fetch Fee Quote
+      .addCase(fetchFeeQuote.pending, (state) => {
+        state.quoteLoading = true;
+      })
+      .addCase(fetchFeeQuote.fulfilled, (state, action) => {
+        state.quoteLoading = false;
+        state.feeQuote = action.payload;
+      })
+      .addCase(fetchFeeQuote.rejected, (state, action) => {
+        state.quoteLoading = false;
+        state.feeQuote = null;
+        state.error = action.payload;
+      })
       // Save Payment Details
       .addCase(savePaymentDetails.pending, (state) => {
         state.loading = true;
@@ -148,6 +184,14 @@ const paymentSlice = createSlice({
         state.loading = false;
         state.error = action.payload;
       })
+      // Fetch Balance
+      .addCase(fetchBalance.fulfilled, (state, action) => {
+        state.balance = action.payload;
+        state.escrowBalance = action.payload.pending;
+      })
+      .addCase(fetchBalance.rejected, (state, action) => {
+        state.error = action.payload;
+      })
       // Release Payment
       .addCase(releasePayment.pending, (state) => {
         state.loading = true;
@@ -203,5 +247,5 @@ const paymentSlice = createSlice({
   },
 });
 
-export const { setCurrentPayment, clearPaymentError, calculateServiceCharge } = paymentSlice.actions;
+export const { setCurrentPayment, clearPaymentError, clearFeeQuote } = paymentSlice.actions;
 export default paymentSlice.reducer;
\ No newline at end of file
@@ -227,17 +227,6 @@ export const validateUserProfile = (profileData) => {
  * Calculation utilities
  */
 
-// Calculate service charge
-export const calculateServiceCharge = (amount, rate = 0.025) => {
-  return Math.round(amount * rate);
-};
-
-// Calculate total amount with service charge
-export const calculateTotalAmount = (amount, serviceChargeRate = 0.025) => {
-  const serviceCharge = calculateServiceCharge(amount, serviceChargeRate);
-  return amount + serviceCharge;
-};
-
 // Calculate average rating
 export const calculateAverageRating = (ratings) => {
   if (!ratings || ratings.length === 0) return 0;
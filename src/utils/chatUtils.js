@@ -1,4 +1,5 @@
 import { Alert } from 'react-native';
+import { API_BASE_URL } from '../config/api';
 
 // Chat utility functions
 export const chatUtils = {
@@ -253,20 +254,43 @@ export const chatUtils = {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
   },
 
-  // Validate file for chat
+  // Validate file for chat; limits match the server's per-type limits
   validateChatFile: (file) => {
-    const maxSize = 10 * 1024 * 1024; // 10MB
-    const allowedTypes = ['image/jpeg', 'image/png', 'image/gif', 'application/pdf', 'text/plain'];
+    const imageTypes = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+    const fileTypes = [
+      'application/pdf',
+      'application/msword',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'text/plain'
+    ];
 
-    if (file.size > maxSize) {
-      return { isValid: false, error: 'File size must be less than 10MB' };
+    if (!imageTypes.includes(file.type) && !fileTypes.includes(file.type)) {
+      return { isValid: false, error: 'File type not supported' };
     }
 
-    if (!allowedTypes.includes(file.type)) {
-      return { isValid: false, error: 'File type not supported' };
+    const isImage = imageTypes.includes(file.type);
+    const maxSizeMb = isImage ? 10 : 20;
+
+    if (file.size > maxSizeMb * 1024 * 1024) {
+      return { isValid: false, error: `${isImage ? 'Images' : 'Files'} must be smaller than ${maxSizeMb}MB` };
     }
 
     return { isValid: true };
+  },
+
+  // Attachment links are API paths signed by the server; prefix them with the API host
+  getAttachmentUrl: (url) => {
+    if (!url || /^https?:\/\//.test(url)) {
+      return url;
+    }
+
+    return `${API_BASE_URL.replace(/\/api\/?$/, '')}${url}`;
+  },
+
+  // Link that opens a shared location in the device's maps app
+  getMapsUrl: ({ latitude, longitude, address }) => {
+    const query = encodeURIComponent(address || `${latitude},${longitude}`);
+    return `https://www.google.com/maps/search/?api=1&query=${query}`;
   }
 };
 